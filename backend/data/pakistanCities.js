@@ -0,0 +1,113 @@
+// List of major cities in Pakistan
+// Mirrored in frontend/src/data/pakistanCities.js - keep the two in sync.
+const pakistanCities = [
+  'Karachi',
+  'Lahore',
+  'Faisalabad',
+  'Rawalpindi',
+  'Multan',
+  'Gujranwala',
+  'Hyderabad',
+  'Peshawar',
+  'Islamabad',
+  'Quetta',
+  'Bahawalpur',
+  'Sargodha',
+  'Sialkot',
+  'Sukkur',
+  'Larkana',
+  'Sheikhupura',
+  'Rahim Yar Khan',
+  'Jhang',
+  'Dera Ghazi Khan',
+  'Gujrat',
+  'Kasur',
+  'Mardan',
+  'Mingora',
+  'Nawabshah',
+  'Chiniot',
+  'Kotri',
+  'Kāmoke',
+  'Hafizabad',
+  'Kohat',
+  'Jacobabad',
+  'Shikarpur',
+  'Muzaffargarh',
+  'Khanpur',
+  'Gojra',
+  'Bahawalnagar',
+  'Abbottabad',
+  'Muridke',
+  'Pakpattan',
+  'Khuzdar',
+  'Jhelum',
+  'Mandi Bahauddin',
+  'Ahmadpur East',
+  'Kamalia',
+  'Tando Adam',
+  'Khairpur',
+  'Dera Ismail Khan',
+  'Vehari',
+  'Nowshera',
+  'Dadu',
+  'Wazirabad',
+  'Chishtian',
+  'Charsadda',
+  'Kandhkot',
+  'Hasilpur',
+  'Attock',
+  'Muzaffarabad',
+  'Mianwali',
+  'Jatoi',
+  'Haroonabad',
+  'Narowal',
+  'Bhakkar',
+  'Hangu',
+  'Kot Abdul Malik',
+  'Toba Tek Singh',
+  'Jamshoro',
+  'Kharian',
+  'Umarkot',
+  'Pattoki',
+  'Samundri',
+  'Jaranwala',
+  'Chakwal',
+  'Badin',
+  'Renala Khurd',
+  'Tando Allahyar',
+  'Kot Addu',
+  'Vihari',
+  'New Mirpur',
+  'Ferozewala',
+  'Chak Jhumra',
+  'Sadiqabad',
+  'Sanghar',
+  'Shahdadpur',
+  'Mian Channun',
+  'Bhalwal',
+  'Zahir Pir',
+  'Dullewala',
+  'Shorkot',
+  'Shahkot',
+  'Mansehra',
+  'Burewala',
+  'Layyah',
+  'Kotri',
+  'Tando Muhammad Khan'
+];
+
+const citySet = new Set(pakistanCities.map(city => city.toLowerCase()));
+
+/**
+ * Whether a city is on the list (case and surrounding spaces are ignored)
+ * @param {string} city - City name as entered
+ * @returns {boolean}
+ */
+function isPakistanCity(city) {
+  return citySet.has(String(city).trim().toLowerCase());
+}
+
+module.exports = {
+  pakistanCities,
+  isPakistanCity
+};
@@ -1,7 +1,13 @@
 const jwt = require('jsonwebtoken');
 const prisma = require('../lib/db');
+const { ALL_PERMISSIONS, hasPermission } = require('../utils/permissions');
 
 const authenticateToken = async (req, res, next) => {
+  // Already authenticated by a router-level guard (e.g. routes/accounting/index.js)
+  if (req.user) {
+    return next();
+  }
+
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1];
 
@@ -24,6 +30,13 @@ const authenticateToken = async (req, res, next) => {
           select: {
             id: true
           }
+        },
+        staffMembership: {
+          select: {
+            tenantId: true,
+            permissions: true,
+            isActive: true
+          }
         }
       }
     });
@@ -32,28 +45,61 @@ const authenticateToken = async (req, res, next) => {
       return res.status(401).json({ error: 'Invalid token' });
     }
 
-    req.user = user;
+    const { staffMembership, ...authUser } = user;
+
+    if (authUser.role === 'STAFF') {
+      if (!staffMembership || !staffMembership.isActive) {
+        return res.status(403).json({ error: 'Staff access has been revoked' });
+      }
+      // Staff work inside the tenant they were added to
+      authUser.tenant = { id: staffMembership.tenantId };
+      authUser.permissions = staffMembership.permissions;
+    } else if (authUser.role === 'BUSINESS_OWNER') {
+      authUser.permissions = ALL_PERMISSIONS;
+    } else {
+      authUser.permissions = [];
+    }
+
+    req.user = authUser;
     next();
   } catch (error) {
     return res.status(403).json({ error: 'Invalid or expired token' });
   }
 };
 
-const requireRole = (roles) => {
+/**
+ * Allow the listed roles; staff members are allowed when they hold `permission`
+ * @param {Array<string>} roles - Roles allowed outright
+ * @param {string|Array<string>} [permission] - Permission (or any of several) that lets STAFF through
+ */
+const requireRole = (roles, permission) => {
+  const permissions = [].concat(permission || []);
+
   return (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({ error: 'Authentication required' });
     }
 
-    if (!roles.includes(req.user.role)) {
-      return res.status(403).json({ error: 'Insufficient permissions' });
+    if (roles.includes(req.user.role)) {
+      return next();
     }
 
-    next();
+    if (req.user.role === 'STAFF' && permissions.some(key => hasPermission(req.user, key))) {
+      return next();
+    }
+
+    return res.status(403).json({ error: 'Insufficient permissions' });
   };
 };
 
+/**
+ * Tenant-scoped access: the business owner, or a staff member holding `permission`
+ * @param {string|Array<string>} permission - Permission key, e.g. 'orders:confirm'
+ */
+const requirePermission = (permission) => requireRole(['BUSINESS_OWNER'], permission);
+
 module.exports = {
   authenticateToken,
-  requireRole
+  requireRole,
+  requirePermission
 };
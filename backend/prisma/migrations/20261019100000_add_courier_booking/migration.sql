@@ -0,0 +1,14 @@
+-- AlterTable
+ALTER TABLE "logistics_companies" ADD COLUMN     "courierAccountNumber" TEXT,
+ADD COLUMN     "courierApiKey" TEXT,
+ADD COLUMN     "courierService" TEXT NOT NULL DEFAULT 'MANUAL',
+ADD COLUMN     "trackingUrlTemplate" TEXT;
+
+-- AlterTable
+ALTER TABLE "orders" ADD COLUMN     "consignmentNumber" TEXT,
+ADD COLUMN     "courierBookedAt" TIMESTAMP(3),
+ADD COLUMN     "courierLabelUrl" TEXT,
+ADD COLUMN     "trackingNumber" TEXT;
+
+-- CreateIndex
+CREATE INDEX "orders_consignmentNumber_idx" ON "orders"("consignmentNumber");
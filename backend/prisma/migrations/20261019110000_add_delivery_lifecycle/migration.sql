@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "orders" ADD COLUMN     "deliveredAt" TIMESTAMP(3),
+ADD COLUMN     "deliveryFailedAt" TIMESTAMP(3),
+ADD COLUMN     "deliveryFailureReason" TEXT,
+ADD COLUMN     "returnedToOriginAt" TIMESTAMP(3);
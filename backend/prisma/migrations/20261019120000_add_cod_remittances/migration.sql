@@ -0,0 +1,77 @@
+-- CreateTable
+CREATE TABLE "cod_remittances" (
+    "id" TEXT NOT NULL,
+    "remittanceNumber" TEXT NOT NULL,
+    "settlementDate" TIMESTAMP(3) NOT NULL,
+    "reference" TEXT,
+    "status" TEXT NOT NULL DEFAULT 'DRAFT',
+    "totalCodCollected" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "totalCodFee" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "totalShippingCharges" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "netAmount" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "notes" TEXT,
+    "postedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "tenantId" TEXT NOT NULL,
+    "logisticsCompanyId" TEXT NOT NULL,
+    "paymentAccountId" TEXT,
+    "transactionId" TEXT,
+
+    CONSTRAINT "cod_remittances_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "cod_remittance_lines" (
+    "id" TEXT NOT NULL,
+    "consignmentNumber" TEXT NOT NULL,
+    "codCollected" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "codFee" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "shippingCharge" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "expectedCodAmount" DOUBLE PRECISION,
+    "expectedCodFee" DOUBLE PRECISION,
+    "codVariance" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "codFeeVariance" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "matchStatus" TEXT NOT NULL DEFAULT 'UNMATCHED',
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "remittanceId" TEXT NOT NULL,
+    "orderId" TEXT,
+
+    CONSTRAINT "cod_remittance_lines_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "cod_remittances_transactionId_key" ON "cod_remittances"("transactionId");
+
+-- CreateIndex
+CREATE INDEX "cod_remittances_tenantId_settlementDate_idx" ON "cod_remittances"("tenantId", "settlementDate");
+
+-- CreateIndex
+CREATE INDEX "cod_remittances_logisticsCompanyId_idx" ON "cod_remittances"("logisticsCompanyId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "cod_remittances_remittanceNumber_tenantId_key" ON "cod_remittances"("remittanceNumber", "tenantId");
+
+-- CreateIndex
+CREATE INDEX "cod_remittance_lines_remittanceId_idx" ON "cod_remittance_lines"("remittanceId");
+
+-- CreateIndex
+CREATE INDEX "cod_remittance_lines_orderId_idx" ON "cod_remittance_lines"("orderId");
+
+-- AddForeignKey
+ALTER TABLE "cod_remittances" ADD CONSTRAINT "cod_remittances_tenantId_fkey" FOREIGN KEY ("tenantId") REFERENCES "tenants"("id") ON DELETE RESTRICT ON UPDATE NO ACTION;
+
+-- AddForeignKey
+ALTER TABLE "cod_remittances" ADD CONSTRAINT "cod_remittances_logisticsCompanyId_fkey" FOREIGN KEY ("logisticsCompanyId") REFERENCES "logistics_companies"("id") ON DELETE RESTRICT ON UPDATE NO ACTION;
+
+-- AddForeignKey
+ALTER TABLE "cod_remittances" ADD CONSTRAINT "cod_remittances_paymentAccountId_fkey" FOREIGN KEY ("paymentAccountId") REFERENCES "accounts"("id") ON DELETE SET NULL ON UPDATE NO ACTION;
+
+-- AddForeignKey
+ALTER TABLE "cod_remittances" ADD CONSTRAINT "cod_remittances_transactionId_fkey" FOREIGN KEY ("transactionId") REFERENCES "transactions"("id") ON DELETE SET NULL ON UPDATE NO ACTION;
+
+-- AddForeignKey
+ALTER TABLE "cod_remittance_lines" ADD CONSTRAINT "cod_remittance_lines_remittanceId_fkey" FOREIGN KEY ("remittanceId") REFERENCES "cod_remittances"("id") ON DELETE CASCADE ON UPDATE NO ACTION;
+
+-- AddForeignKey
+ALTER TABLE "cod_remittance_lines" ADD CONSTRAINT "cod_remittance_lines_orderId_fkey" FOREIGN KEY ("orderId") REFERENCES "orders"("id") ON DELETE SET NULL ON UPDATE NO ACTION;
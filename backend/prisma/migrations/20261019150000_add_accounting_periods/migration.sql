@@ -0,0 +1,62 @@
+-- AlterTable
+ALTER TABLE "transactions" ADD COLUMN "entryType" TEXT NOT NULL DEFAULT 'STANDARD';
+
+-- CreateTable
+CREATE TABLE "accounting_periods" (
+    "id" TEXT NOT NULL,
+    "periodStart" TIMESTAMP(3) NOT NULL,
+    "periodEnd" TIMESTAMP(3) NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'CLOSED',
+    "netProfit" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "closedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "closedBy" TEXT,
+    "reopenedAt" TIMESTAMP(3),
+    "reopenedBy" TEXT,
+    "reopenReason" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "tenantId" TEXT NOT NULL,
+    "closingTransactionId" TEXT,
+
+    CONSTRAINT "accounting_periods_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "account_balance_snapshots" (
+    "id" TEXT NOT NULL,
+    "debitTotal" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "creditTotal" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "balance" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "periodId" TEXT NOT NULL,
+    "accountId" TEXT NOT NULL,
+
+    CONSTRAINT "account_balance_snapshots_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "accounting_periods_closingTransactionId_key" ON "accounting_periods"("closingTransactionId");
+
+-- CreateIndex
+CREATE INDEX "accounting_periods_tenantId_status_idx" ON "accounting_periods"("tenantId", "status");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "accounting_periods_tenantId_periodStart_key" ON "accounting_periods"("tenantId", "periodStart");
+
+-- CreateIndex
+CREATE INDEX "account_balance_snapshots_accountId_idx" ON "account_balance_snapshots"("accountId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "account_balance_snapshots_periodId_accountId_key" ON "account_balance_snapshots"("periodId", "accountId");
+
+-- AddForeignKey
+ALTER TABLE "accounting_periods" ADD CONSTRAINT "accounting_periods_tenantId_fkey" FOREIGN KEY ("tenantId") REFERENCES "tenants"("id") ON DELETE CASCADE ON UPDATE NO ACTION;
+
+-- AddForeignKey
+ALTER TABLE "accounting_periods" ADD CONSTRAINT "accounting_periods_closingTransactionId_fkey" FOREIGN KEY ("closingTransactionId") REFERENCES "transactions"("id") ON DELETE SET NULL ON UPDATE NO ACTION;
+
+-- AddForeignKey
+ALTER TABLE "account_balance_snapshots" ADD CONSTRAINT "account_balance_snapshots_periodId_fkey" FOREIGN KEY ("periodId") REFERENCES "accounting_periods"("id") ON DELETE CASCADE ON UPDATE NO ACTION;
+
+-- AddForeignKey
+ALTER TABLE "account_balance_snapshots" ADD CONSTRAINT "account_balance_snapshots_accountId_fkey" FOREIGN KEY ("accountId") REFERENCES "accounts"("id") ON DELETE RESTRICT ON UPDATE NO ACTION;
@@ -0,0 +1,15 @@
+-- AlterTable
+ALTER TABLE "transactions" ADD COLUMN     "status" TEXT NOT NULL DEFAULT 'POSTED',
+ADD COLUMN     "voidedAt" TIMESTAMP(3),
+ADD COLUMN     "voidedBy" TEXT,
+ADD COLUMN     "voidReason" TEXT,
+ADD COLUMN     "reversalOfId" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "transactions_reversalOfId_key" ON "transactions"("reversalOfId");
+
+-- CreateIndex
+CREATE INDEX "transactions_tenantId_status_idx" ON "transactions"("tenantId", "status");
+
+-- AddForeignKey
+ALTER TABLE "transactions" ADD CONSTRAINT "transactions_reversalOfId_fkey" FOREIGN KEY ("reversalOfId") REFERENCES "transactions"("id") ON DELETE SET NULL ON UPDATE NO ACTION;
@@ -0,0 +1,55 @@
+-- CreateTable
+CREATE TABLE "bank_statements" (
+    "id" TEXT NOT NULL,
+    "statementNumber" TEXT NOT NULL,
+    "fromDate" TIMESTAMP(3),
+    "toDate" TIMESTAMP(3),
+    "closingBalance" DOUBLE PRECISION,
+    "fileName" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "tenantId" TEXT NOT NULL,
+    "accountId" TEXT NOT NULL,
+
+    CONSTRAINT "bank_statements_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "bank_statement_lines" (
+    "id" TEXT NOT NULL,
+    "date" TIMESTAMP(3) NOT NULL,
+    "description" TEXT,
+    "reference" TEXT,
+    "amount" DOUBLE PRECISION NOT NULL,
+    "matchType" TEXT,
+    "matchedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "statementId" TEXT NOT NULL,
+    "transactionLineId" TEXT,
+
+    CONSTRAINT "bank_statement_lines_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "bank_statements_statementNumber_tenantId_key" ON "bank_statements"("statementNumber", "tenantId");
+
+-- CreateIndex
+CREATE INDEX "bank_statements_tenantId_accountId_idx" ON "bank_statements"("tenantId", "accountId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "bank_statement_lines_transactionLineId_key" ON "bank_statement_lines"("transactionLineId");
+
+-- CreateIndex
+CREATE INDEX "bank_statement_lines_statementId_idx" ON "bank_statement_lines"("statementId");
+
+-- AddForeignKey
+ALTER TABLE "bank_statements" ADD CONSTRAINT "bank_statements_tenantId_fkey" FOREIGN KEY ("tenantId") REFERENCES "tenants"("id") ON DELETE CASCADE ON UPDATE NO ACTION;
+
+-- AddForeignKey
+ALTER TABLE "bank_statements" ADD CONSTRAINT "bank_statements_accountId_fkey" FOREIGN KEY ("accountId") REFERENCES "accounts"("id") ON DELETE RESTRICT ON UPDATE NO ACTION;
+
+-- AddForeignKey
+ALTER TABLE "bank_statement_lines" ADD CONSTRAINT "bank_statement_lines_statementId_fkey" FOREIGN KEY ("statementId") REFERENCES "bank_statements"("id") ON DELETE CASCADE ON UPDATE NO ACTION;
+
+-- AddForeignKey
+ALTER TABLE "bank_statement_lines" ADD CONSTRAINT "bank_statement_lines_transactionLineId_fkey" FOREIGN KEY ("transactionLineId") REFERENCES "transaction_lines"("id") ON DELETE SET NULL ON UPDATE NO ACTION;
@@ -0,0 +1,44 @@
+-- CreateTable
+CREATE TABLE "promotions" (
+    "id" TEXT NOT NULL,
+    "code" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "description" TEXT,
+    "discountType" TEXT NOT NULL,
+    "discountValue" DOUBLE PRECISION NOT NULL,
+    "maxDiscountAmount" DOUBLE PRECISION,
+    "scope" TEXT NOT NULL DEFAULT 'ORDER',
+    "productIds" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "categories" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "minOrderValue" DOUBLE PRECISION,
+    "usageLimit" INTEGER,
+    "perCustomerLimit" INTEGER,
+    "startsAt" TIMESTAMP(3),
+    "endsAt" TIMESTAMP(3),
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "tenantId" TEXT NOT NULL,
+
+    CONSTRAINT "promotions_pkey" PRIMARY KEY ("id")
+);
+
+-- AlterTable
+ALTER TABLE "orders" ADD COLUMN "promotionId" TEXT,
+ADD COLUMN "promotionCode" TEXT,
+ADD COLUMN "discountAmount" DOUBLE PRECISION DEFAULT 0;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "promotions_code_tenantId_key" ON "promotions"("code", "tenantId");
+
+-- CreateIndex
+CREATE INDEX "promotions_tenantId_isActive_idx" ON "promotions"("tenantId", "isActive");
+
+-- CreateIndex
+CREATE INDEX "orders_promotionId_idx" ON "orders"("promotionId");
+
+-- AddForeignKey
+ALTER TABLE "promotions" ADD CONSTRAINT "promotions_tenantId_fkey" FOREIGN KEY ("tenantId") REFERENCES "tenants"("id") ON DELETE CASCADE ON UPDATE NO ACTION;
+
+-- AddForeignKey
+ALTER TABLE "orders" ADD CONSTRAINT "orders_promotionId_fkey" FOREIGN KEY ("promotionId") REFERENCES "promotions"("id") ON DELETE SET NULL ON UPDATE NO ACTION;
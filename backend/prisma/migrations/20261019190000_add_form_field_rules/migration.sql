@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "form_fields" ADD COLUMN "validation" TEXT,
+ADD COLUMN "showIf" TEXT;
@@ -0,0 +1,77 @@
+-- CreateTable
+CREATE TABLE "stock_locations" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "address" TEXT,
+    "isDefault" BOOLEAN NOT NULL DEFAULT false,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "tenantId" TEXT NOT NULL,
+
+    CONSTRAINT "stock_locations_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "location_stocks" (
+    "id" TEXT NOT NULL,
+    "quantity" INTEGER NOT NULL DEFAULT 0,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "locationId" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "productVariantId" TEXT,
+
+    CONSTRAINT "location_stocks_pkey" PRIMARY KEY ("id")
+);
+
+-- AlterTable
+ALTER TABLE "orders" ADD COLUMN "dispatchLocationId" TEXT;
+
+-- AlterTable
+ALTER TABLE "product_logs" ADD COLUMN "locationId" TEXT,
+ADD COLUMN "toLocationId" TEXT;
+
+-- AlterTable
+ALTER TABLE "purchase_invoices" ADD COLUMN "locationId" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "stock_locations_tenantId_name_key" ON "stock_locations"("tenantId", "name");
+
+-- CreateIndex
+CREATE INDEX "stock_locations_tenantId_idx" ON "stock_locations"("tenantId");
+
+-- CreateIndex
+CREATE INDEX "location_stocks_locationId_idx" ON "location_stocks"("locationId");
+
+-- CreateIndex
+CREATE INDEX "location_stocks_productId_idx" ON "location_stocks"("productId");
+
+-- CreateIndex
+CREATE INDEX "location_stocks_productVariantId_idx" ON "location_stocks"("productVariantId");
+
+-- CreateIndex
+CREATE INDEX "orders_dispatchLocationId_idx" ON "orders"("dispatchLocationId");
+
+-- AddForeignKey
+ALTER TABLE "stock_locations" ADD CONSTRAINT "stock_locations_tenantId_fkey" FOREIGN KEY ("tenantId") REFERENCES "tenants"("id") ON DELETE CASCADE ON UPDATE NO ACTION;
+
+-- AddForeignKey
+ALTER TABLE "location_stocks" ADD CONSTRAINT "location_stocks_locationId_fkey" FOREIGN KEY ("locationId") REFERENCES "stock_locations"("id") ON DELETE CASCADE ON UPDATE NO ACTION;
+
+-- AddForeignKey
+ALTER TABLE "location_stocks" ADD CONSTRAINT "location_stocks_productId_fkey" FOREIGN KEY ("productId") REFERENCES "products"("id") ON DELETE CASCADE ON UPDATE NO ACTION;
+
+-- AddForeignKey
+ALTER TABLE "location_stocks" ADD CONSTRAINT "location_stocks_productVariantId_fkey" FOREIGN KEY ("productVariantId") REFERENCES "product_variants"("id") ON DELETE CASCADE ON UPDATE NO ACTION;
+
+-- AddForeignKey
+ALTER TABLE "orders" ADD CONSTRAINT "orders_dispatchLocationId_fkey" FOREIGN KEY ("dispatchLocationId") REFERENCES "stock_locations"("id") ON DELETE SET NULL ON UPDATE NO ACTION;
+
+-- AddForeignKey
+ALTER TABLE "product_logs" ADD CONSTRAINT "product_logs_locationId_fkey" FOREIGN KEY ("locationId") REFERENCES "stock_locations"("id") ON DELETE SET NULL ON UPDATE NO ACTION;
+
+-- AddForeignKey
+ALTER TABLE "product_logs" ADD CONSTRAINT "product_logs_toLocationId_fkey" FOREIGN KEY ("toLocationId") REFERENCES "stock_locations"("id") ON DELETE SET NULL ON UPDATE NO ACTION;
+
+-- AddForeignKey
+ALTER TABLE "purchase_invoices" ADD CONSTRAINT "purchase_invoices_locationId_fkey" FOREIGN KEY ("locationId") REFERENCES "stock_locations"("id") ON DELETE SET NULL ON UPDATE NO ACTION;
@@ -0,0 +1,71 @@
+-- CreateTable
+CREATE TABLE "stock_counts" (
+    "id" TEXT NOT NULL,
+    "countNumber" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'IN_PROGRESS',
+    "notes" TEXT,
+    "startedBy" TEXT,
+    "submittedAt" TIMESTAMP(3),
+    "submittedBy" TEXT,
+    "approvedAt" TIMESTAMP(3),
+    "approvedBy" TEXT,
+    "shrinkageValue" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "gainValue" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "tenantId" TEXT NOT NULL,
+    "locationId" TEXT,
+    "transactionId" TEXT,
+
+    CONSTRAINT "stock_counts_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "stock_count_items" (
+    "id" TEXT NOT NULL,
+    "productName" TEXT NOT NULL,
+    "bookQuantity" INTEGER NOT NULL DEFAULT 0,
+    "countedQuantity" INTEGER,
+    "unitCost" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "reason" TEXT,
+    "notes" TEXT,
+    "countedAt" TIMESTAMP(3),
+    "stockCountId" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "productVariantId" TEXT,
+
+    CONSTRAINT "stock_count_items_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "stock_counts_transactionId_key" ON "stock_counts"("transactionId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "stock_counts_tenantId_countNumber_key" ON "stock_counts"("tenantId", "countNumber");
+
+-- CreateIndex
+CREATE INDEX "stock_counts_tenantId_status_idx" ON "stock_counts"("tenantId", "status");
+
+-- CreateIndex
+CREATE INDEX "stock_count_items_stockCountId_idx" ON "stock_count_items"("stockCountId");
+
+-- CreateIndex
+CREATE INDEX "stock_count_items_productId_idx" ON "stock_count_items"("productId");
+
+-- AddForeignKey
+ALTER TABLE "stock_counts" ADD CONSTRAINT "stock_counts_tenantId_fkey" FOREIGN KEY ("tenantId") REFERENCES "tenants"("id") ON DELETE CASCADE ON UPDATE NO ACTION;
+
+-- AddForeignKey
+ALTER TABLE "stock_counts" ADD CONSTRAINT "stock_counts_locationId_fkey" FOREIGN KEY ("locationId") REFERENCES "stock_locations"("id") ON DELETE SET NULL ON UPDATE NO ACTION;
+
+-- AddForeignKey
+ALTER TABLE "stock_counts" ADD CONSTRAINT "stock_counts_transactionId_fkey" FOREIGN KEY ("transactionId") REFERENCES "transactions"("id") ON DELETE SET NULL ON UPDATE NO ACTION;
+
+-- AddForeignKey
+ALTER TABLE "stock_count_items" ADD CONSTRAINT "stock_count_items_stockCountId_fkey" FOREIGN KEY ("stockCountId") REFERENCES "stock_counts"("id") ON DELETE CASCADE ON UPDATE NO ACTION;
+
+-- AddForeignKey
+ALTER TABLE "stock_count_items" ADD CONSTRAINT "stock_count_items_productId_fkey" FOREIGN KEY ("productId") REFERENCES "products"("id") ON DELETE CASCADE ON UPDATE NO ACTION;
+
+-- AddForeignKey
+ALTER TABLE "stock_count_items" ADD CONSTRAINT "stock_count_items_productVariantId_fkey" FOREIGN KEY ("productVariantId") REFERENCES "product_variants"("id") ON DELETE CASCADE ON UPDATE NO ACTION;
@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "tenants" ADD COLUMN "requirePackScan" BOOLEAN NOT NULL DEFAULT false;
+
+-- AlterTable
+ALTER TABLE "orders" ADD COLUMN "packVerifiedAt" TIMESTAMP(3),
+ADD COLUMN "packVerifiedBy" TEXT;
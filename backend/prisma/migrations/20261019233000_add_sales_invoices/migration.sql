@@ -0,0 +1,41 @@
+-- CreateTable
+CREATE TABLE "tenant_logos" (
+    "id" TEXT NOT NULL,
+    "tenantId" TEXT NOT NULL,
+    "imageData" BYTEA NOT NULL,
+    "imageType" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "tenant_logos_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "sales_invoices" (
+    "id" TEXT NOT NULL,
+    "invoiceNumber" TEXT NOT NULL,
+    "issuedBy" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "tenantId" TEXT NOT NULL,
+    "orderId" TEXT NOT NULL,
+
+    CONSTRAINT "sales_invoices_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "tenant_logos_tenantId_key" ON "tenant_logos"("tenantId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "sales_invoices_orderId_key" ON "sales_invoices"("orderId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "sales_invoices_tenantId_invoiceNumber_key" ON "sales_invoices"("tenantId", "invoiceNumber");
+
+-- AddForeignKey
+ALTER TABLE "tenant_logos" ADD CONSTRAINT "tenant_logos_tenantId_fkey" FOREIGN KEY ("tenantId") REFERENCES "tenants"("id") ON DELETE CASCADE ON UPDATE NO ACTION;
+
+-- AddForeignKey
+ALTER TABLE "sales_invoices" ADD CONSTRAINT "sales_invoices_tenantId_fkey" FOREIGN KEY ("tenantId") REFERENCES "tenants"("id") ON DELETE CASCADE ON UPDATE NO ACTION;
+
+-- AddForeignKey
+ALTER TABLE "sales_invoices" ADD CONSTRAINT "sales_invoices_orderId_fkey" FOREIGN KEY ("orderId") REFERENCES "orders"("id") ON DELETE CASCADE ON UPDATE NO ACTION;
@@ -0,0 +1,32 @@
+-- AlterTable
+ALTER TABLE "tenants" ADD COLUMN "riskReviewScore" INTEGER NOT NULL DEFAULT 30,
+ADD COLUMN "riskPrepaymentScore" INTEGER NOT NULL DEFAULT 60,
+ADD COLUMN "riskRejectScore" INTEGER,
+ADD COLUMN "blocklistAction" TEXT NOT NULL DEFAULT 'REJECT';
+
+-- AlterTable
+ALTER TABLE "orders" ADD COLUMN "riskScore" INTEGER,
+ADD COLUMN "riskAction" TEXT,
+ADD COLUMN "riskReasons" TEXT,
+ADD COLUMN "riskReviewedAt" TIMESTAMP(3),
+ADD COLUMN "riskReviewedBy" TEXT;
+
+-- CreateTable
+CREATE TABLE "blocked_contacts" (
+    "id" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "value" TEXT NOT NULL,
+    "label" TEXT NOT NULL,
+    "reason" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "createdBy" TEXT,
+    "tenantId" TEXT NOT NULL,
+
+    CONSTRAINT "blocked_contacts_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "blocked_contacts_tenantId_type_value_key" ON "blocked_contacts"("tenantId", "type", "value");
+
+-- AddForeignKey
+ALTER TABLE "blocked_contacts" ADD CONSTRAINT "blocked_contacts_tenantId_fkey" FOREIGN KEY ("tenantId") REFERENCES "tenants"("id") ON DELETE CASCADE ON UPDATE NO ACTION;
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "customers" ADD COLUMN "alternatePhones" TEXT[] DEFAULT ARRAY[]::TEXT[];
@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const { authenticateToken } = require('../../middleware/auth');
 const balanceService = require('../../services/balanceService');
+const ageingService = require('../../services/ageingService');
 
 // Get customer balances
 router.get('/customers', authenticateToken, async (req, res) => {
@@ -73,6 +74,87 @@ router.get('/summary', authenticateToken, async (req, res) => {
   }
 });
 
+// Ageing as-of date, credit terms, filters and sort from the query string
+const parseAgeingOptions = (req, res, next) => {
+  try {
+    req.ageingOptions = ageingService.getOptions(req.query);
+    next();
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: error.message
+      }
+    });
+  }
+};
+
+// Ageing report for all customers (AR) or suppliers (AP); ?format=csv downloads it
+const getAgeingReport = (partyType) => async (req, res) => {
+  try {
+    const tenantId = req.user.tenant.id;
+    const report = await ageingService.getAgeingReport(partyType, tenantId, req.ageingOptions);
+
+    if (req.query.format === 'csv') {
+      const asOf = req.ageingOptions.asOf.toISOString().slice(0, 10);
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${partyType}-ageing-${asOf}.csv"`);
+      return res.send(ageingService.toCsv(partyType, report));
+    }
+
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    console.error(`Error fetching ${partyType} ageing:`, error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: `Failed to fetch ${partyType} ageing`
+      }
+    });
+  }
+};
+
+// Open orders / purchase invoices behind one party's ageing
+const getPartyAgeing = (partyType, param) => async (req, res) => {
+  try {
+    const tenantId = req.user.tenant.id;
+    const ageing = await ageingService.getPartyAgeing(partyType, tenantId, req.params[param], req.ageingOptions);
+
+    res.json({
+      success: true,
+      data: ageing
+    });
+  } catch (error) {
+    console.error(`Error fetching ${partyType} ageing detail:`, error);
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'NOT_FOUND',
+          message: error.message
+        }
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: `Failed to fetch ${partyType} ageing`
+      }
+    });
+  }
+};
+
+router.get('/customers/ageing', authenticateToken, parseAgeingOptions, getAgeingReport('customer'));
+router.get('/suppliers/ageing', authenticateToken, parseAgeingOptions, getAgeingReport('supplier'));
+router.get('/customers/:customerId/ageing', authenticateToken, parseAgeingOptions, getPartyAgeing('customer', 'customerId'));
+router.get('/suppliers/:supplierId/ageing', authenticateToken, parseAgeingOptions, getPartyAgeing('supplier', 'supplierId'));
+
 // Get customer balance by ID
 router.get('/customers/:customerId', authenticateToken, async (req, res) => {
   try {
@@ -0,0 +1,244 @@
+const express = require('express');
+const multer = require('multer');
+const router = express.Router();
+const { authenticateToken } = require('../../middleware/auth');
+const bankReconciliationService = require('../../services/bankReconciliationService');
+
+// Statements are small; keep them in memory and parse directly
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB limit
+  }
+});
+
+const sendError = (res, error, fallbackMessage) => {
+  const notFound = error.message && error.message.toLowerCase().includes('not found');
+  res.status(notFound ? 404 : 400).json({
+    success: false,
+    error: {
+      code: notFound ? 'NOT_FOUND' : 'VALIDATION_ERROR',
+      message: error.message || fallbackMessage
+    }
+  });
+};
+
+// Cleared vs book balance per Cash/Bank account
+router.get('/report', authenticateToken, async (req, res) => {
+  try {
+    const { accountId, asOfDate } = req.query;
+
+    const report = await bankReconciliationService.getReconciliationReport({
+      tenantId: req.user.tenant.id,
+      accountId,
+      asOfDate
+    });
+
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    console.error('Error building reconciliation report:', error);
+    sendError(res, error, 'Failed to build reconciliation report');
+  }
+});
+
+// Ledger lines of an account not yet matched to a statement (optionally of one amount)
+router.get('/uncleared-lines', authenticateToken, async (req, res) => {
+  try {
+    const { accountId, amount } = req.query;
+
+    if (!accountId) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'accountId is required'
+        }
+      });
+    }
+
+    const lines = await bankReconciliationService.getUnclearedLedgerLines({
+      tenantId: req.user.tenant.id,
+      accountId,
+      amount
+    });
+
+    res.json({
+      success: true,
+      data: lines
+    });
+  } catch (error) {
+    console.error('Error fetching uncleared ledger lines:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to fetch uncleared ledger lines'
+      }
+    });
+  }
+});
+
+// Get statements
+router.get('/statements', authenticateToken, async (req, res) => {
+  try {
+    const statements = await bankReconciliationService.getStatements({
+      tenantId: req.user.tenant.id,
+      accountId: req.query.accountId
+    });
+
+    res.json({
+      success: true,
+      data: statements
+    });
+  } catch (error) {
+    console.error('Error fetching bank statements:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to fetch bank statements'
+      }
+    });
+  }
+});
+
+// Import a statement (CSV with date, description, amount) and auto-match it
+router.post('/statements/import', authenticateToken, upload.single('file'), async (req, res) => {
+  try {
+    const { accountId, closingBalance, dateWindowDays } = req.body;
+    const csvText = req.file ? req.file.buffer.toString('utf8') : req.body.csvText;
+
+    if (!accountId || !csvText) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Account and statement file are required'
+        }
+      });
+    }
+
+    const result = await bankReconciliationService.importStatement({
+      tenantId: req.user.tenant.id,
+      accountId,
+      closingBalance,
+      dateWindowDays,
+      fileName: req.file ? req.file.originalname : null,
+      csvText
+    });
+
+    res.status(201).json({
+      success: true,
+      data: result.statement,
+      matchedCount: result.matchedCount,
+      errors: result.errors
+    });
+  } catch (error) {
+    console.error('Error importing bank statement:', error);
+    sendError(res, error, 'Failed to import statement');
+  }
+});
+
+// Get statement by ID
+router.get('/statements/:id', authenticateToken, async (req, res) => {
+  try {
+    const statement = await bankReconciliationService.getStatementById(req.params.id, req.user.tenant.id);
+
+    res.json({
+      success: true,
+      data: statement
+    });
+  } catch (error) {
+    console.error('Error fetching bank statement:', error);
+    sendError(res, error, 'Failed to fetch statement');
+  }
+});
+
+// Re-run auto-matching for unmatched lines (e.g. after posting missing entries)
+router.post('/statements/:id/auto-match', authenticateToken, async (req, res) => {
+  try {
+    const tenantId = req.user.tenant.id;
+    const { matchedCount } = await bankReconciliationService.autoMatch(req.params.id, tenantId, req.body.dateWindowDays);
+    const statement = await bankReconciliationService.getStatementById(req.params.id, tenantId);
+
+    res.json({
+      success: true,
+      data: statement,
+      matchedCount
+    });
+  } catch (error) {
+    console.error('Error auto-matching bank statement:', error);
+    sendError(res, error, 'Failed to auto-match statement');
+  }
+});
+
+// Match a statement line to a ledger line manually
+router.put('/statements/:id/lines/:lineId', authenticateToken, async (req, res) => {
+  try {
+    const { transactionLineId } = req.body;
+
+    if (!transactionLineId) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'transactionLineId is required'
+        }
+      });
+    }
+
+    const statement = await bankReconciliationService.matchLine(
+      req.params.id,
+      req.params.lineId,
+      transactionLineId,
+      req.user.tenant.id
+    );
+
+    res.json({
+      success: true,
+      data: statement
+    });
+  } catch (error) {
+    console.error('Error matching statement line:', error);
+    sendError(res, error, 'Failed to match statement line');
+  }
+});
+
+// Unmatch a statement line
+router.delete('/statements/:id/lines/:lineId/match', authenticateToken, async (req, res) => {
+  try {
+    const statement = await bankReconciliationService.unmatchLine(
+      req.params.id,
+      req.params.lineId,
+      req.user.tenant.id
+    );
+
+    res.json({
+      success: true,
+      data: statement
+    });
+  } catch (error) {
+    console.error('Error unmatching statement line:', error);
+    sendError(res, error, 'Failed to unmatch statement line');
+  }
+});
+
+// Delete a statement
+router.delete('/statements/:id', authenticateToken, async (req, res) => {
+  try {
+    await bankReconciliationService.deleteStatement(req.params.id, req.user.tenant.id);
+
+    res.json({
+      success: true,
+      message: 'Statement deleted'
+    });
+  } catch (error) {
+    console.error('Error deleting bank statement:', error);
+    sendError(res, error, 'Failed to delete statement');
+  }
+});
+
+module.exports = router;
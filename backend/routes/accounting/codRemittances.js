@@ -0,0 +1,222 @@
+const express = require('express');
+const multer = require('multer');
+const router = express.Router();
+const { authenticateToken } = require('../../middleware/auth');
+const codRemittanceService = require('../../services/codRemittanceService');
+
+// Settlement sheets are small; keep them in memory and parse directly
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB limit
+  }
+});
+
+const sendError = (res, error, fallbackMessage) => {
+  const notFound = error.message && error.message.toLowerCase().includes('not found');
+  res.status(notFound ? 404 : 400).json({
+    success: false,
+    error: {
+      code: notFound ? 'NOT_FOUND' : 'VALIDATION_ERROR',
+      message: error.message || fallbackMessage
+    }
+  });
+};
+
+// Get remittances
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const tenantId = req.user.tenant.id;
+    const { logisticsCompanyId, status } = req.query;
+
+    const remittances = await codRemittanceService.getRemittances({
+      tenantId,
+      logisticsCompanyId,
+      status
+    });
+
+    res.json({
+      success: true,
+      data: remittances
+    });
+  } catch (error) {
+    console.error('Error fetching COD remittances:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to fetch COD remittances'
+      }
+    });
+  }
+});
+
+// Get COD orders not yet settled by the courier
+router.get('/unreconciled-orders', authenticateToken, async (req, res) => {
+  try {
+    const tenantId = req.user.tenant.id;
+    const { logisticsCompanyId } = req.query;
+
+    const result = await codRemittanceService.getUnreconciledOrders({
+      tenantId,
+      logisticsCompanyId
+    });
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('Error fetching unreconciled COD orders:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to fetch unreconciled orders'
+      }
+    });
+  }
+});
+
+// Import settlement sheet (CSV) as a draft remittance
+router.post('/import', authenticateToken, upload.single('file'), async (req, res) => {
+  try {
+    const tenantId = req.user.tenant.id;
+    const { logisticsCompanyId, settlementDate, reference, notes } = req.body;
+    const csvText = req.file ? req.file.buffer.toString('utf8') : req.body.csvText;
+
+    if (!logisticsCompanyId || !csvText) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Logistics company and settlement file are required'
+        }
+      });
+    }
+
+    const result = await codRemittanceService.importSettlement({
+      tenantId,
+      logisticsCompanyId,
+      settlementDate,
+      reference,
+      notes,
+      csvText
+    });
+
+    res.status(201).json({
+      success: true,
+      data: result.remittance,
+      errors: result.errors
+    });
+  } catch (error) {
+    console.error('Error importing COD settlement:', error);
+    sendError(res, error, 'Failed to import settlement');
+  }
+});
+
+// Get remittance by ID
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const tenantId = req.user.tenant.id;
+    const remittance = await codRemittanceService.getRemittanceById(req.params.id, tenantId);
+
+    res.json({
+      success: true,
+      data: remittance
+    });
+  } catch (error) {
+    console.error('Error fetching COD remittance:', error);
+    sendError(res, error, 'Failed to fetch remittance');
+  }
+});
+
+// Match a settlement line to an order manually
+router.put('/:id/lines/:lineId', authenticateToken, async (req, res) => {
+  try {
+    const tenantId = req.user.tenant.id;
+    const { orderId } = req.body;
+
+    if (!orderId) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Order ID is required'
+        }
+      });
+    }
+
+    const remittance = await codRemittanceService.matchLine(req.params.id, req.params.lineId, orderId, tenantId);
+
+    res.json({
+      success: true,
+      data: remittance
+    });
+  } catch (error) {
+    console.error('Error matching COD remittance line:', error);
+    sendError(res, error, 'Failed to match line');
+  }
+});
+
+// Remove a settlement line from a draft remittance
+router.delete('/:id/lines/:lineId', authenticateToken, async (req, res) => {
+  try {
+    const tenantId = req.user.tenant.id;
+    const remittance = await codRemittanceService.removeLine(req.params.id, req.params.lineId, tenantId);
+
+    res.json({
+      success: true,
+      data: remittance
+    });
+  } catch (error) {
+    console.error('Error removing COD remittance line:', error);
+    sendError(res, error, 'Failed to remove line');
+  }
+});
+
+// Post remittance to the ledger
+router.post('/:id/post', authenticateToken, async (req, res) => {
+  try {
+    const tenantId = req.user.tenant.id;
+    const { paymentAccountId } = req.body;
+
+    if (!paymentAccountId) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Payment account is required'
+        }
+      });
+    }
+
+    const remittance = await codRemittanceService.postRemittance(req.params.id, tenantId, paymentAccountId);
+
+    res.json({
+      success: true,
+      data: remittance
+    });
+  } catch (error) {
+    console.error('Error posting COD remittance:', error);
+    sendError(res, error, 'Failed to post remittance');
+  }
+});
+
+// Delete draft remittance
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    const tenantId = req.user.tenant.id;
+    await codRemittanceService.deleteRemittance(req.params.id, tenantId);
+
+    res.json({
+      success: true,
+      message: 'Remittance deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting COD remittance:', error);
+    sendError(res, error, 'Failed to delete remittance');
+  }
+});
+
+module.exports = router;
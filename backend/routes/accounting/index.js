@@ -1,5 +1,6 @@
 const express = require('express');
 const router = express.Router();
+const { authenticateToken, requireRole } = require('../../middleware/auth');
 
 // Import all accounting route modules
 const accountsRouter = require('./accounts');
@@ -13,19 +14,40 @@ const profitRouter = require('./profit');
 const withdrawalsRouter = require('./withdrawals');
 const logisticsRouter = require('./logistics');
 const suppliersRouter = require('./suppliers');
+const codRemittancesRouter = require('./codRemittances');
+const reportsRouter = require('./reports');
+const periodsRouter = require('./periods');
+const bankReconciliationRouter = require('./bankReconciliation');
+
+// Staff access per area: reads need one of `view`, writes one of `edit`
+const guard = ({ view, edit, roles = ['BUSINESS_OWNER'] }) => [
+  authenticateToken,
+  (req, res, next) => requireRole(roles, req.method === 'GET' ? view : edit)(req, res, next)
+];
+
+const ACCOUNTING = { view: 'accounting:view', edit: 'accounting:edit' };
 
 // Mount all routes
-router.use('/accounts', accountsRouter);
-router.use('/transactions', transactionsRouter);
-router.use('/balances', balancesRouter);
-router.use('/expenses', expensesRouter);
-router.use('/payments', paymentsRouter);
-router.use('/order-returns', returnsRouter);
-router.use('/investors', investorsRouter);
-router.use('/profit', profitRouter);
-router.use('/withdrawals', withdrawalsRouter);
-router.use('/logistics-companies', logisticsRouter);
-router.use('/suppliers', suppliersRouter);
+// Payment accounts are also picked when confirming orders and verifying payments
+router.use('/accounts', guard({ view: ['accounting:view', 'orders:confirm', 'orders:edit'], edit: 'accounting:edit' }), accountsRouter);
+router.use('/transactions', guard(ACCOUNTING), transactionsRouter);
+router.use('/balances', guard(ACCOUNTING), balancesRouter);
+router.use('/expenses', guard(ACCOUNTING), expensesRouter);
+router.use('/payments', guard({ view: ['accounting:view', 'orders:edit'], edit: ['accounting:edit', 'orders:edit'] }), paymentsRouter);
+router.use('/order-returns', guard({ view: ['accounting:view', 'orders:view'], edit: 'returns:edit' }), returnsRouter);
+router.use('/investors', guard(ACCOUNTING), investorsRouter);
+router.use('/profit', guard(ACCOUNTING), profitRouter);
+router.use('/withdrawals', guard(ACCOUNTING), withdrawalsRouter);
+router.use('/logistics-companies', guard({
+  view: ['accounting:view', 'orders:view'],
+  edit: 'accounting:edit',
+  roles: ['BUSINESS_OWNER', 'STOCK_KEEPER']
+}), logisticsRouter);
+router.use('/suppliers', guard({ view: 'purchases:view', edit: 'purchases:edit' }), suppliersRouter);
+router.use('/cod-remittances', guard(ACCOUNTING), codRemittancesRouter);
+router.use('/reports', guard(ACCOUNTING), reportsRouter);
+router.use('/periods', guard(ACCOUNTING), periodsRouter);
+router.use('/bank-reconciliation', guard(ACCOUNTING), bankReconciliationRouter);
 
 module.exports = router;
 
@@ -3,6 +3,7 @@ const router = express.Router();
 const prisma = require('../../lib/db');
 const { authenticateToken } = require('../../middleware/auth');
 const codFeeService = require('../../services/codFeeService');
+const courierService = require('../../services/courierService');
 
 // Get logistics companies
 router.get('/', authenticateToken, async (req, res) => {
@@ -34,6 +35,14 @@ router.get('/', authenticateToken, async (req, res) => {
   }
 });
 
+// Get available courier integrations
+router.get('/courier-services', authenticateToken, async (req, res) => {
+  res.json({
+    success: true,
+    data: courierService.listAdapters()
+  });
+});
+
 // Create logistics company
 router.post('/', authenticateToken, async (req, res) => {
   try {
@@ -47,7 +56,11 @@ router.post('/', authenticateToken, async (req, res) => {
       codFeeCalculationType,
       codFeePercentage,
       codFeeRules,
-      fixedCodFee
+      fixedCodFee,
+      courierService: courierServiceCode,
+      courierApiKey,
+      courierAccountNumber,
+      trackingUrlTemplate
     } = req.body;
 
     if (!name || !codFeeCalculationType) {
@@ -158,6 +171,16 @@ router.post('/', authenticateToken, async (req, res) => {
       });
     }
 
+    if (courierServiceCode && !courierService.isSupported(courierServiceCode)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: `Unsupported courier service: ${courierServiceCode}`
+        }
+      });
+    }
+
     const company = await prisma.logisticsCompany.create({
       data: {
         name,
@@ -169,6 +192,10 @@ router.post('/', authenticateToken, async (req, res) => {
         codFeePercentage: codFeePercentage ? parseFloat(codFeePercentage) : null,
         codFeeRules: codFeeRules ? JSON.stringify(codFeeRules) : null,
         fixedCodFee: fixedCodFee ? parseFloat(fixedCodFee) : null,
+        courierService: courierServiceCode || 'MANUAL',
+        courierApiKey: courierApiKey || null,
+        courierAccountNumber: courierAccountNumber || null,
+        trackingUrlTemplate: trackingUrlTemplate || null,
         status: 'ACTIVE',
         tenantId
       }
@@ -314,6 +341,16 @@ router.put('/:id', authenticateToken, async (req, res) => {
       }
     }
 
+    if (updateData.courierService !== undefined && !courierService.isSupported(updateData.courierService)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: `Unsupported courier service: ${updateData.courierService}`
+        }
+      });
+    }
+
     // Convert codFeeRules to JSON if provided
     if (updateData.codFeeRules && typeof updateData.codFeeRules === 'object') {
       updateData.codFeeRules = JSON.stringify(updateData.codFeeRules);
@@ -400,6 +437,7 @@ router.post('/orders/:orderId/calculate-cod-fee', authenticateToken, async (req,
     }
 
     orderTotal += (order.shippingCharges || 0);
+    orderTotal -= order.discountAmount || 0;
     const paymentAmount = order.paymentAmount || 0;
     const codAmount = orderTotal - paymentAmount;
 
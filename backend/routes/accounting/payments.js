@@ -2,9 +2,10 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const router = express.Router();
 const prisma = require('../../lib/db');
-const { authenticateToken, requireRole } = require('../../middleware/auth');
+const { authenticateToken, requirePermission } = require('../../middleware/auth');
 const accountingService = require('../../services/accountingService');
 const balanceService = require('../../services/balanceService');
+const auditLogService = require('../../services/auditLogService');
 
 // Get payments
 router.get('/', authenticateToken, async (req, res) => {
@@ -615,6 +616,18 @@ router.put('/:id', authenticateToken, async (req, res) => {
       });
     }
 
+    const logPaymentEdit = (updatedPayment) => auditLogService.logChanges({
+      tenantId,
+      user: req.user,
+      entityType: 'PAYMENT',
+      entityId: existingPayment.id,
+      entityLabel: existingPayment.paymentNumber,
+      action: 'UPDATE',
+      before: existingPayment,
+      after: updatedPayment,
+      fields: ['amount', 'date', 'paymentMethod', 'accountId']
+    });
+
     // Allow editing both supplier and customer payments
     // For customer payments, only allow editing if not linked to order payment verification
     if (existingPayment.type === 'CUSTOMER_PAYMENT' && existingPayment.orderId) {
@@ -691,6 +704,8 @@ router.put('/:id', authenticateToken, async (req, res) => {
         }
       });
 
+      await logPaymentEdit(updatedPayment);
+
       return res.json({
         success: true,
         data: updatedPayment
@@ -771,6 +786,8 @@ router.put('/:id', authenticateToken, async (req, res) => {
         };
       });
 
+      await logPaymentEdit(result.payment);
+
       return res.json({
         success: true,
         data: result.payment,
@@ -984,6 +1001,8 @@ router.put('/:id', authenticateToken, async (req, res) => {
       };
     });
 
+    await logPaymentEdit(result.payment);
+
     res.json({
       success: true,
       data: result.payment,
@@ -1002,7 +1021,7 @@ router.put('/:id', authenticateToken, async (req, res) => {
 });
 
 // Associate direct payment with order (no accounting - amount already posted)
-router.patch('/:id/associate-order', authenticateToken, requireRole(['BUSINESS_OWNER']), [
+router.patch('/:id/associate-order', authenticateToken, requirePermission('orders:edit'), [
   body('orderId').notEmpty().withMessage('Order ID is required')
 ], async (req, res) => {
   try {
@@ -1096,7 +1115,7 @@ router.patch('/:id/associate-order', authenticateToken, requireRole(['BUSINESS_O
 });
 
 // Verify payment (for direct customer payments without orders)
-router.post('/:id/verify', authenticateToken, requireRole(['BUSINESS_OWNER']), [
+router.post('/:id/verify', authenticateToken, requirePermission('orders:edit'), [
   body('paymentAccountId').notEmpty().withMessage('Payment account is required')
 ], async (req, res) => {
   try {
@@ -0,0 +1,97 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, requireRole } = require('../../middleware/auth');
+const accountingPeriodService = require('../../services/accountingPeriodService');
+
+const sendError = (res, error, fallbackMessage) => {
+  const notFound = error.message && error.message.toLowerCase().includes('not found');
+  res.status(notFound ? 404 : 400).json({
+    success: false,
+    error: {
+      code: notFound ? 'NOT_FOUND' : 'VALIDATION_ERROR',
+      message: error.message || fallbackMessage
+    }
+  });
+};
+
+// Get closed and reopened periods
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const periods = await accountingPeriodService.getPeriods(req.user.tenant.id);
+
+    res.json({
+      success: true,
+      data: periods
+    });
+  } catch (error) {
+    console.error('Error fetching accounting periods:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to fetch accounting periods'
+      }
+    });
+  }
+});
+
+// Get period with balance snapshot and closing entry
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const period = await accountingPeriodService.getPeriodById(req.params.id, req.user.tenant.id);
+
+    res.json({
+      success: true,
+      data: period
+    });
+  } catch (error) {
+    console.error('Error fetching accounting period:', error);
+    sendError(res, error, 'Failed to fetch accounting period');
+  }
+});
+
+// Close a month
+router.post('/close', authenticateToken, async (req, res) => {
+  try {
+    const { year, month } = req.body;
+
+    const period = await accountingPeriodService.closePeriod({
+      tenantId: req.user.tenant.id,
+      year,
+      month,
+      user: req.user
+    });
+
+    res.status(201).json({
+      success: true,
+      data: period,
+      message: `${period.label} closed`
+    });
+  } catch (error) {
+    console.error('Error closing accounting period:', error);
+    sendError(res, error, 'Failed to close period');
+  }
+});
+
+// Reopen a closed month (owner only)
+router.post('/:id/reopen', authenticateToken, requireRole(['BUSINESS_OWNER']), async (req, res) => {
+  try {
+    const period = await accountingPeriodService.reopenPeriod({
+      tenantId: req.user.tenant.id,
+      periodId: req.params.id,
+      user: req.user,
+      reason: req.body.reason
+    });
+
+    res.json({
+      success: true,
+      data: period,
+      message: `${period.label} reopened`
+    });
+  } catch (error) {
+    console.error('Error reopening accounting period:', error);
+    sendError(res, error, 'Failed to reopen period');
+  }
+});
+
+module.exports = router;
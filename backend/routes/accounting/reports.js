@@ -0,0 +1,78 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../../middleware/auth');
+const financialReportService = require('../../services/financialReportService');
+const { toCsv } = require('../../utils/csv');
+
+const COMPARE_OPTIONS = ['PREVIOUS_PERIOD', 'PREVIOUS_YEAR'];
+
+const REPORTS = {
+  'trial-balance': {
+    label: 'trial balance',
+    generate: (options) => financialReportService.getTrialBalance(options)
+  },
+  'profit-loss': {
+    label: 'profit and loss',
+    generate: (options) => financialReportService.getProfitAndLoss(options)
+  },
+  'balance-sheet': {
+    label: 'balance sheet',
+    generate: (options) => financialReportService.getBalanceSheet(options)
+  }
+};
+
+// Trial balance, profit & loss and balance sheet from ledger lines (?format=csv to download)
+router.get('/:report', authenticateToken, async (req, res) => {
+  const report = REPORTS[req.params.report];
+
+  if (!report) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        code: 'NOT_FOUND',
+        message: 'Report not found'
+      }
+    });
+  }
+
+  try {
+    const tenantId = req.user.tenant.id;
+    const { fromDate, toDate, compareTo, format } = req.query;
+
+    if (compareTo && !COMPARE_OPTIONS.includes(compareTo)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: `compareTo must be one of ${COMPARE_OPTIONS.join(', ')}`
+        }
+      });
+    }
+
+    const data = await report.generate({ tenantId, fromDate, toDate, compareTo });
+
+    if (format === 'csv') {
+      const { rows, columns } = financialReportService.toCsvRows(req.params.report, data);
+      const suffix = (toDate || new Date().toISOString()).slice(0, 10);
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${req.params.report}-${suffix}.csv"`);
+      return res.send(toCsv(rows, columns));
+    }
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    console.error(`Error generating ${report.label}:`, error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: `Failed to generate ${report.label}`
+      }
+    });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,6 @@
 const express = require('express');
 const router = express.Router();
-const { authenticateToken, requireRole } = require('../../middleware/auth');
+const { authenticateToken, requirePermission } = require('../../middleware/auth');
 const returnService = require('../../services/returnService');
 
 // Get order returns
@@ -120,7 +120,7 @@ router.put('/:id/approve', authenticateToken, async (req, res) => {
 });
 
 // Update return order (full editability)
-router.put('/:id', authenticateToken, requireRole(['BUSINESS_OWNER']), async (req, res) => {
+router.put('/:id', authenticateToken, requirePermission('returns:edit'), async (req, res) => {
   try {
     const tenantId = req.user.tenant.id;
     const { id } = req.params;
@@ -165,7 +165,7 @@ router.put('/:id', authenticateToken, requireRole(['BUSINESS_OWNER']), async (re
 });
 
 // Reject return
-router.post('/:id/reject', authenticateToken, requireRole(['BUSINESS_OWNER']), async (req, res) => {
+router.post('/:id/reject', authenticateToken, requirePermission('returns:edit'), async (req, res) => {
   try {
     const tenantId = req.user.tenant.id;
     const { id } = req.params;
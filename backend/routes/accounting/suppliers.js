@@ -2,12 +2,14 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const router = express.Router();
 const prisma = require('../../lib/db');
-const { authenticateToken, requireRole } = require('../../middleware/auth');
+const { authenticateToken, requirePermission } = require('../../middleware/auth');
 const balanceService = require('../../services/balanceService');
+const ledgerService = require('../../services/ledgerService');
+const statementService = require('../../services/statementService');
 const accountingService = require('../../services/accountingService');
 
 // Get all suppliers for a tenant with pagination and search
-router.get('/', authenticateToken, requireRole(['BUSINESS_OWNER']), async (req, res) => {
+router.get('/', authenticateToken, requirePermission('purchases:view'), async (req, res) => {
   try {
     const tenantId = req.user.tenant.id;
     const {
@@ -95,7 +97,7 @@ router.get('/', authenticateToken, requireRole(['BUSINESS_OWNER']), async (req,
 });
 
 // Create new supplier
-router.post('/', authenticateToken, requireRole(['BUSINESS_OWNER']), [
+router.post('/', authenticateToken, requirePermission('purchases:edit'), [
   body('name').trim().isLength({ min: 2 }).withMessage('Name must be at least 2 characters'),
   body('contact').optional().trim(),
   body('address').optional().trim(),
@@ -245,8 +247,39 @@ router.post('/', authenticateToken, requireRole(['BUSINESS_OWNER']), [
   }
 });
 
+// Statements for every supplier with a balance at the end of the period, in one PDF or CSV
+router.get('/statements', authenticateToken, requirePermission('purchases:view'), async (req, res) => {
+  try {
+    const tenantId = req.user.tenant.id;
+    const period = statementService.getPeriod(req.query.fromDate, req.query.toDate);
+    const statements = await statementService.buildBulkStatements('supplier', tenantId, period);
+    if (statements.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'No suppliers have a balance at the end of this period'
+      });
+    }
+    const file = await statementService.exportStatements('supplier', tenantId, statements, period, req.query.format);
+    res.setHeader('Content-Type', file.contentType);
+    res.setHeader('Content-Disposition', `${req.query.format === 'csv' ? 'attachment' : 'inline'}; filename="${file.filename}"`);
+    res.send(file.body);
+  } catch (error) {
+    if (error.message.includes('period') || error.message.includes('start date')) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+    console.error('Bulk supplier statements error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create statements'
+    });
+  }
+});
+
 // Get supplier by ID
-router.get('/:id', authenticateToken, requireRole(['BUSINESS_OWNER']), async (req, res) => {
+router.get('/:id', authenticateToken, requirePermission('purchases:view'), async (req, res) => {
   try {
     const tenantId = req.user.tenant.id;
     const { id } = req.params;
@@ -324,7 +357,7 @@ router.get('/:id', authenticateToken, requireRole(['BUSINESS_OWNER']), async (re
 });
 
 // Update supplier
-router.put('/:id', authenticateToken, requireRole(['BUSINESS_OWNER']), [
+router.put('/:id', authenticateToken, requirePermission('purchases:edit'), [
   body('name').optional({ nullable: true, checkFalsy: true }).trim().isLength({ min: 2 }).withMessage('Name must be at least 2 characters'),
   body('contact').optional({ nullable: true, checkFalsy: true }).trim(),
   body('address').optional({ nullable: true, checkFalsy: true }).trim(),
@@ -619,7 +652,7 @@ router.put('/:id', authenticateToken, requireRole(['BUSINESS_OWNER']), [
 });
 
 // Delete supplier
-router.delete('/:id', authenticateToken, requireRole(['BUSINESS_OWNER']), async (req, res) => {
+router.delete('/:id', authenticateToken, requirePermission('purchases:edit'), async (req, res) => {
   try {
     const tenantId = req.user.tenant.id;
     const { id } = req.params;
@@ -670,7 +703,7 @@ router.delete('/:id', authenticateToken, requireRole(['BUSINESS_OWNER']), async
 });
 
 // Get supplier statistics
-router.get('/stats/overview', authenticateToken, requireRole(['BUSINESS_OWNER']), async (req, res) => {
+router.get('/stats/overview', authenticateToken, requirePermission('purchases:view'), async (req, res) => {
   try {
     const tenantId = req.user.tenant.id;
 
@@ -722,7 +755,7 @@ router.get('/stats/overview', authenticateToken, requireRole(['BUSINESS_OWNER'])
 });
 
 // Get supplier balance
-router.get('/:id/balance', authenticateToken, requireRole(['BUSINESS_OWNER']), async (req, res) => {
+router.get('/:id/balance', authenticateToken, requirePermission('purchases:view'), async (req, res) => {
   try {
     const tenantId = req.user.tenant.id;
     const { id } = req.params;
@@ -754,7 +787,7 @@ router.get('/:id/balance', authenticateToken, requireRole(['BUSINESS_OWNER']), a
 });
 
 // Search suppliers
-router.get('/search/:query', authenticateToken, requireRole(['BUSINESS_OWNER']), async (req, res) => {
+router.get('/search/:query', authenticateToken, requirePermission('purchases:view'), async (req, res) => {
   try {
     const tenantId = req.user.tenant.id;
     const { query } = req.params;
@@ -795,7 +828,7 @@ router.get('/search/:query', authenticateToken, requireRole(['BUSINESS_OWNER']),
 });
 
 // Get supplier balance by name (for purchase invoice creation)
-router.get('/by-name/:name/balance', authenticateToken, requireRole(['BUSINESS_OWNER']), async (req, res) => {
+router.get('/by-name/:name/balance', authenticateToken, requirePermission('purchases:view'), async (req, res) => {
   try {
     const tenantId = req.user.tenant.id;
     const { name } = req.params;
@@ -845,285 +878,59 @@ router.get('/by-name/:name/balance', authenticateToken, requireRole(['BUSINESS_O
 });
 
 // Get supplier ledger (all transactions)
-router.get('/:id/ledger', authenticateToken, requireRole(['BUSINESS_OWNER']), async (req, res) => {
+router.get('/:id/ledger', authenticateToken, requirePermission('purchases:view'), async (req, res) => {
   try {
-    const tenantId = req.user.tenant.id;
-    const { id } = req.params;
     const { fromDate, toDate } = req.query;
+    const { supplier, ledgerEntries, summary } = await ledgerService.getSupplierLedger(req.user.tenant.id, req.params.id, { fromDate, toDate });
 
-    // Verify supplier belongs to tenant
-    const supplier = await prisma.supplier.findFirst({
-      where: { id, tenantId }
+    res.json({
+      success: true,
+      supplier,
+      ledgerEntries,
+      summary
     });
-
-    if (!supplier) {
+  } catch (error) {
+    if (error.message === 'Supplier not found') {
       return res.status(404).json({
         success: false,
-        error: 'Supplier not found'
+        error: error.message
       });
     }
-
-    // Build date filter
-    const dateFilter = {};
-    if (fromDate) {
-      dateFilter.gte = new Date(fromDate);
-    }
-    if (toDate) {
-      dateFilter.lte = new Date(toDate);
-    }
-
-    // Fetch all purchase invoices
-    const purchaseInvoices = await prisma.purchaseInvoice.findMany({
-      where: {
-        supplierId: id,
-        tenantId,
-        isDeleted: false,
-        ...(Object.keys(dateFilter).length > 0 && {
-          invoiceDate: dateFilter
-        })
-      },
-      include: {
-        purchaseItems: {
-          select: {
-            id: true,
-            name: true,
-            quantity: true,
-            purchasePrice: true
-          }
-        },
-        returns: {
-          include: {
-            returnItems: {
-              select: {
-                id: true,
-                productName: true,
-                quantity: true,
-                purchasePrice: true
-              }
-            }
-          }
-        },
-        payments: {
-          where: {
-            type: 'SUPPLIER_PAYMENT'
-          },
-          select: {
-            id: true,
-            paymentNumber: true,
-            date: true,
-            amount: true,
-            account: {
-              select: {
-                id: true,
-                name: true
-              }
-            }
-          },
-          orderBy: {
-            date: 'asc'
-          }
-        }
-      },
-      orderBy: {
-        invoiceDate: 'asc'
-      }
-    });
-
-    // Fetch all payments (including those not linked to invoices)
-    const allPayments = await prisma.payment.findMany({
-      where: {
-        supplierId: id,
-        type: 'SUPPLIER_PAYMENT',
-        ...(Object.keys(dateFilter).length > 0 && {
-          date: dateFilter
-        })
-      },
-      select: {
-        id: true,
-        paymentNumber: true,
-        date: true,
-        amount: true,
-        purchaseInvoiceId: true,
-        account: {
-          select: {
-            id: true,
-            name: true
-          }
-        }
-      },
-      orderBy: {
-        date: 'asc'
-      }
+    console.error('Error fetching supplier ledger:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch supplier ledger'
     });
+  }
+});
 
-    // Find opening balance transaction date from accounting transactions
-    let openingBalanceDate = supplier.createdAt; // Default to supplier creation date
-    if (supplier.balance !== 0) {
-      try {
-        // Find the opening balance transaction for this supplier
-        const openingBalanceTransaction = await prisma.transaction.findFirst({
-          where: {
-            tenantId,
-            description: {
-              contains: `Supplier Opening Balance - ${supplier.name}`,
-              mode: 'insensitive'
-            }
-          },
-          orderBy: {
-            date: 'asc'
-          },
-          select: {
-            date: true
-          }
-        });
-        
-        if (openingBalanceTransaction) {
-          openingBalanceDate = openingBalanceTransaction.date;
-        }
-      } catch (error) {
-        console.error('Error fetching opening balance transaction date:', error);
-        // Use supplier.createdAt as fallback
-      }
-    }
-
-    // Build ledger entries
-    const ledgerEntries = [];
-
-    // Add opening balance entry FIRST (before all other transactions)
-    if (supplier.balance !== 0) {
-      ledgerEntries.push({
-        date: openingBalanceDate,
-        type: 'OPENING_BALANCE',
-        description: 'Opening Balance',
-        reference: null,
-        debit: supplier.balance > 0 ? supplier.balance : 0,
-        credit: supplier.balance < 0 ? Math.abs(supplier.balance) : 0,
-        isOpeningBalance: true
+// Statement of account for a supplier over a period (PDF or CSV)
+router.get('/:id/statement', authenticateToken, requirePermission('purchases:view'), async (req, res) => {
+  try {
+    const tenantId = req.user.tenant.id;
+    const period = statementService.getPeriod(req.query.fromDate, req.query.toDate);
+    const statement = await statementService.buildStatement('supplier', tenantId, req.params.id, period);
+    const file = await statementService.exportStatements('supplier', tenantId, [statement], period, req.query.format);
+    res.setHeader('Content-Type', file.contentType);
+    res.setHeader('Content-Disposition', `${req.query.format === 'csv' ? 'attachment' : 'inline'}; filename="${file.filename}"`);
+    res.send(file.body);
+  } catch (error) {
+    if (error.message === 'Supplier not found') {
+      return res.status(404).json({
+        success: false,
+        error: error.message
       });
     }
-
-    // Add purchase invoice entries
-    purchaseInvoices.forEach(invoice => {
-      const purchaseTotal = invoice.purchaseItems.reduce((sum, item) => 
-        sum + (item.quantity * item.purchasePrice), 0);
-      const returnTotal = invoice.returns.reduce((sum, ret) => 
-        sum + ret.returnItems.reduce((retSum, item) => 
-          retSum + (item.quantity * item.purchasePrice), 0), 0);
-      const netAmount = purchaseTotal - returnTotal;
-
-      if (netAmount > 0) {
-        // Purchase invoice (increases what we owe)
-        ledgerEntries.push({
-          date: invoice.invoiceDate,
-          type: 'PURCHASE_INVOICE',
-          description: `Purchase Invoice: ${invoice.invoiceNumber}`,
-          reference: invoice.invoiceNumber,
-          invoiceId: invoice.id,
-          debit: netAmount,
-          credit: 0,
-          purchaseTotal,
-          returnTotal
-        });
-      } else if (netAmount < 0) {
-        // Return-only invoice (decreases what we owe)
-        ledgerEntries.push({
-          date: invoice.invoiceDate,
-          type: 'RETURN',
-          description: `Return: ${invoice.invoiceNumber}`,
-          reference: invoice.invoiceNumber,
-          invoiceId: invoice.id,
-          debit: 0,
-          credit: Math.abs(netAmount),
-          purchaseTotal: 0,
-          returnTotal: Math.abs(netAmount)
-        });
-      }
-    });
-
-    // Add payment entries
-    allPayments.forEach(payment => {
-      ledgerEntries.push({
-        date: payment.date,
-        type: 'PAYMENT',
-        description: `Payment: ${payment.paymentNumber}${payment.account ? ` (${payment.account.name})` : ''}`,
-        reference: payment.paymentNumber,
-        paymentId: payment.id,
-        invoiceId: payment.purchaseInvoiceId,
-        debit: 0,
-        credit: payment.amount,
-        accountName: payment.account?.name || null
+    if (error.message.includes('period') || error.message.includes('start date')) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
       });
-    });
-
-    // Sort by date (chronological order)
-    // Opening balance should always appear first, even if its date is later
-    ledgerEntries.sort((a, b) => {
-      // Opening balance always comes first
-      if (a.type === 'OPENING_BALANCE' && b.type !== 'OPENING_BALANCE') {
-        return -1;
-      }
-      if (a.type !== 'OPENING_BALANCE' && b.type === 'OPENING_BALANCE') {
-        return 1;
-      }
-      
-      // For non-opening balance entries, sort by date
-      const dateA = new Date(a.date);
-      const dateB = new Date(b.date);
-      if (dateA.getTime() !== dateB.getTime()) {
-        return dateA - dateB;
-      }
-      // If same date, sort by type: invoices, then payments
-      const typeOrder = { PURCHASE_INVOICE: 1, RETURN: 1, PAYMENT: 2 };
-      return (typeOrder[a.type] || 99) - (typeOrder[b.type] || 99);
-    });
-
-    // Calculate running balance
-    // Start from 0, then apply opening balance, then apply other transactions chronologically
-    let runningBalance = 0;
-    ledgerEntries.forEach(entry => {
-      // For supplier ledger: debit increases what we owe, credit decreases
-      // Opening balance: positive balance (we owe) = debit, negative balance (they owe) = credit
-      // Purchase invoice: increases what we owe = debit
-      // Payment: decreases what we owe = credit
-      runningBalance = runningBalance + entry.debit - entry.credit;
-      entry.balance = runningBalance;
-    });
-
-    // Calculate summary
-    const summary = {
-      openingBalance: supplier.balance || 0,
-      totalPurchases: purchaseInvoices.reduce((sum, inv) => {
-        const purchaseTotal = inv.purchaseItems.reduce((s, item) => s + (item.quantity * item.purchasePrice), 0);
-        const returnTotal = inv.returns.reduce((s, ret) => 
-          s + ret.returnItems.reduce((rs, item) => rs + (item.quantity * item.purchasePrice), 0), 0);
-        const netAmount = purchaseTotal - returnTotal;
-        return sum + (netAmount > 0 ? netAmount : 0);
-      }, 0),
-      totalReturns: purchaseInvoices.reduce((sum, inv) => {
-        const purchaseTotal = inv.purchaseItems.reduce((s, item) => s + (item.quantity * item.purchasePrice), 0);
-        const returnTotal = inv.returns.reduce((s, ret) => 
-          s + ret.returnItems.reduce((rs, item) => rs + (item.quantity * item.purchasePrice), 0), 0);
-        const netAmount = purchaseTotal - returnTotal;
-        return sum + (netAmount < 0 ? Math.abs(netAmount) : 0);
-      }, 0),
-      totalPayments: allPayments.reduce((sum, p) => sum + p.amount, 0),
-      closingBalance: runningBalance
-    };
-
-    res.json({
-      success: true,
-      supplier: {
-        id: supplier.id,
-        name: supplier.name
-      },
-      ledgerEntries,
-      summary
-    });
-  } catch (error) {
-    console.error('Error fetching supplier ledger:', error);
+    }
+    console.error('Supplier statement error:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to fetch supplier ledger'
+      error: 'Failed to create statement'
     });
   }
 });
@@ -3,6 +3,18 @@ const router = express.Router();
 const prisma = require('../../lib/db');
 const { authenticateToken } = require('../../middleware/auth');
 const accountingService = require('../../services/accountingService');
+const auditLogService = require('../../services/auditLogService');
+
+const sendError = (res, error, fallbackMessage) => {
+  const notFound = error.message && error.message.toLowerCase().includes('not found');
+  res.status(notFound ? 404 : 400).json({
+    success: false,
+    error: {
+      code: notFound ? 'NOT_FOUND' : (error.code || 'VALIDATION_ERROR'),
+      message: error.message || fallbackMessage
+    }
+  });
+};
 
 // Get transactions
 router.get('/', authenticateToken, async (req, res) => {
@@ -16,7 +28,8 @@ router.get('/', authenticateToken, async (req, res) => {
       fromDate,
       toDate,
       orderId,
-      accountId
+      accountId,
+      status
     } = req.query;
 
     const result = await accountingService.getTransactions({
@@ -28,7 +41,8 @@ router.get('/', authenticateToken, async (req, res) => {
       fromDate,
       toDate,
       orderId,
-      accountId
+      accountId,
+      status
     });
 
     // When ledger is for a specific account and fromDate is set, compute opening balance (balance before fromDate)
@@ -45,6 +59,7 @@ router.get('/', authenticateToken, async (req, res) => {
             accountId,
             transaction: {
               tenantId,
+              status: 'POSTED',
               date: { lt: new Date(fromDate) }
             }
           },
@@ -76,49 +91,147 @@ router.get('/', authenticateToken, async (req, res) => {
   }
 });
 
-// Create journal entry
-router.post('/', authenticateToken, async (req, res) => {
+// Get a transaction with its lines and reversal links
+router.get('/:id', authenticateToken, async (req, res) => {
   try {
-    const tenantId = req.user.tenant.id;
-    const { date, description, transactionLines } = req.body;
+    const transaction = await prisma.transaction.findFirst({
+      where: { id: req.params.id, tenantId: req.user.tenant.id },
+      include: {
+        transactionLines: {
+          include: { account: true }
+        },
+        reversalOf: {
+          select: { id: true, transactionNumber: true }
+        },
+        reversal: {
+          select: { id: true, transactionNumber: true, status: true }
+        }
+      }
+    });
 
-    if (!transactionLines || !Array.isArray(transactionLines) || transactionLines.length < 2) {
-      return res.status(400).json({
+    if (!transaction) {
+      return res.status(404).json({
         success: false,
         error: {
-          code: 'VALIDATION_ERROR',
-          message: 'At least 2 transaction lines are required'
+          code: 'NOT_FOUND',
+          message: 'Transaction not found'
         }
       });
     }
 
-    const transactionNumber = `TXN-${new Date().getFullYear()}-${Date.now()}`;
-    
-    const transaction = await accountingService.createTransaction(
-      {
-        transactionNumber,
-        date: new Date(date || new Date()),
-        description,
-        tenantId
-      },
-      transactionLines
-    );
-
-    res.status(201).json({
+    res.json({
       success: true,
       data: transaction
     });
   } catch (error) {
-    console.error('Error creating transaction:', error);
+    console.error('Error fetching transaction:', error);
     res.status(500).json({
       success: false,
       error: {
         code: 'INTERNAL_ERROR',
-        message: error.message || 'Failed to create transaction'
+        message: 'Failed to fetch transaction'
       }
     });
   }
 });
 
-module.exports = router;
+// Create manual journal entry (debits must equal credits)
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const { date, description, transactionLines } = req.body;
 
+    const transaction = await accountingService.createJournalEntry({
+      tenantId: req.user.tenant.id,
+      date,
+      description,
+      lines: Array.isArray(transactionLines) ? transactionLines : []
+    });
+
+    res.status(201).json({
+      success: true,
+      data: transaction
+    });
+  } catch (error) {
+    console.error('Error creating transaction:', error);
+    sendError(res, error, 'Failed to create transaction');
+  }
+});
+
+// Reverse a transaction with a linked mirror entry
+router.post('/:id/reverse', authenticateToken, async (req, res) => {
+  try {
+    const tenantId = req.user.tenant.id;
+    const reversal = await accountingService.reverseTransaction({
+      tenantId,
+      transactionId: req.params.id,
+      date: req.body.date,
+      description: req.body.description
+    });
+
+    await auditLogService.log({
+      tenantId,
+      user: req.user,
+      entityType: 'TRANSACTION',
+      entityId: req.params.id,
+      entityLabel: reversal.reversalOf.transactionNumber,
+      action: 'REVERSE',
+      description: `Reversed by ${reversal.transactionNumber}`
+    });
+
+    res.status(201).json({
+      success: true,
+      data: reversal,
+      message: `Reversal ${reversal.transactionNumber} posted`
+    });
+  } catch (error) {
+    console.error('Error reversing transaction:', error);
+    sendError(res, error, 'Failed to reverse transaction');
+  }
+});
+
+// Void a transaction: excluded from balances, kept on the journal
+router.post('/:id/void', authenticateToken, async (req, res) => {
+  try {
+    const tenantId = req.user.tenant.id;
+    const { reason } = req.body;
+
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'A reason is required to void a transaction'
+        }
+      });
+    }
+
+    const transaction = await accountingService.voidTransaction({
+      tenantId,
+      transactionId: req.params.id,
+      reason: reason.trim(),
+      user: req.user
+    });
+
+    await auditLogService.log({
+      tenantId,
+      user: req.user,
+      entityType: 'TRANSACTION',
+      entityId: transaction.id,
+      entityLabel: transaction.transactionNumber,
+      action: 'VOID',
+      changes: [{ field: 'status', oldValue: 'POSTED', newValue: 'VOID' }],
+      description: `Voided: ${transaction.voidReason}`
+    });
+
+    res.json({
+      success: true,
+      data: transaction,
+      message: `Transaction ${transaction.transactionNumber} voided`
+    });
+  } catch (error) {
+    console.error('Error voiding transaction:', error);
+    sendError(res, error, 'Failed to void transaction');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,76 @@
+const express = require('express');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { hasPermission } = require('../utils/permissions');
+const auditLogService = require('../services/auditLogService');
+
+const router = express.Router();
+
+// Which permission lets a user read an entity's history
+const ENTITY_VIEW_PERMISSIONS = {
+  ORDER: 'orders:view',
+  PAYMENT: 'accounting:view',
+  PURCHASE_INVOICE: 'purchases:view',
+  ACCOUNTING_PERIOD: 'accounting:view',
+  TRANSACTION: 'accounting:view',
+  STOCK_COUNT: 'products:view'
+};
+
+// Get audit logs (filterable)
+router.get('/', authenticateToken, requirePermission('audit:view'), async (req, res) => {
+  try {
+    const { entityType, entityId, userId, action, search, startDate, endDate, page, limit } = req.query;
+
+    const result = await auditLogService.getLogs({
+      tenantId: req.user.tenant.id,
+      entityType,
+      entityId,
+      userId,
+      action,
+      search,
+      startDate,
+      endDate,
+      page,
+      limit
+    });
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error fetching audit logs:', error);
+    res.status(500).json({ error: 'Failed to fetch audit logs' });
+  }
+});
+
+// Users that appear in the audit log
+router.get('/actors', authenticateToken, requirePermission('audit:view'), async (req, res) => {
+  try {
+    const actors = await auditLogService.getActors(req.user.tenant.id);
+    res.json({ actors });
+  } catch (error) {
+    console.error('Error fetching audit actors:', error);
+    res.status(500).json({ error: 'Failed to fetch audit users' });
+  }
+});
+
+// History of a single order, payment or purchase invoice
+router.get('/:entityType/:entityId', authenticateToken, async (req, res) => {
+  try {
+    const { entityType, entityId } = req.params;
+    const permission = ENTITY_VIEW_PERMISSIONS[entityType];
+
+    if (!permission) {
+      return res.status(400).json({ error: 'Unknown entity type' });
+    }
+
+    if (!hasPermission(req.user, permission) && !hasPermission(req.user, 'audit:view')) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+
+    const logs = await auditLogService.getEntityHistory(req.user.tenant.id, entityType, entityId);
+    res.json({ logs });
+  } catch (error) {
+    console.error('Error fetching entity history:', error);
+    res.status(500).json({ error: 'Failed to fetch history' });
+  }
+});
+
+module.exports = router;
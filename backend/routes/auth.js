@@ -4,9 +4,26 @@ const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
 const prisma = require('../lib/db');
 const { authenticateToken } = require('../middleware/auth');
+const { ALL_PERMISSIONS } = require('../utils/permissions');
 
 const router = express.Router();
 
+// Staff see their employer's tenant; expose it (and permissions) the same way as an owner's
+const withTenantAccess = (user) => {
+  const { staffMembership, ...rest } = user;
+  if (rest.role === 'STAFF') {
+    return {
+      ...rest,
+      tenant: staffMembership ? staffMembership.tenant : null,
+      permissions: staffMembership ? staffMembership.permissions : []
+    };
+  }
+  return {
+    ...rest,
+    permissions: rest.role === 'BUSINESS_OWNER' ? ALL_PERMISSIONS : []
+  };
+};
+
 // Register new user (Admin only for creating business owners and stock keepers)
 router.post('/register', [
   body('email').isEmail().normalizeEmail(),
@@ -79,7 +96,12 @@ router.post('/login', [
     const user = await prisma.user.findUnique({
       where: { email },
       include: {
-        tenant: true
+        tenant: true,
+        staffMembership: {
+          include: {
+            tenant: true
+          }
+        }
       }
     });
 
@@ -93,6 +115,10 @@ router.post('/login', [
       return res.status(401).json({ error: 'Invalid email or password' });
     }
 
+    if (user.role === 'STAFF' && (!user.staffMembership || !user.staffMembership.isActive)) {
+      return res.status(403).json({ error: 'Staff access has been revoked' });
+    }
+
     // Generate JWT token
     const token = jwt.sign(
       { userId: user.id, role: user.role },
@@ -106,7 +132,7 @@ router.post('/login', [
     res.json({
       message: 'Login successful',
       token,
-      user: userWithoutPassword
+      user: withTenantAccess(userWithoutPassword)
     });
   } catch (error) {
     console.error('Login error:', error);
@@ -125,11 +151,17 @@ router.get('/me', authenticateToken, async (req, res) => {
         name: true,
         role: true,
         createdAt: true,
-        tenant: true
+        tenant: true,
+        staffMembership: {
+          select: {
+            permissions: true,
+            tenant: true
+          }
+        }
       }
     });
 
-    res.json({ user });
+    res.json({ user: withTenantAccess(user) });
   } catch (error) {
     console.error('Get profile error:', error);
     res.status(500).json({ error: 'Failed to get user profile' });
@@ -2,19 +2,23 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const validator = require('validator');
 const prisma = require('../lib/db');
-const { authenticateToken, requireRole } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
 const customerService = require('../services/customerService');
 const accountingService = require('../services/accountingService');
-const balanceService = require('../services/balanceService');
+const ledgerService = require('../services/ledgerService');
+const statementService = require('../services/statementService');
+const customerSegmentService = require('../services/customerSegmentService');
+const customerRiskService = require('../services/customerRiskService');
+const customerMergeService = require('../services/customerMergeService');
 
 const router = express.Router();
 
 // Get all customers for a tenant (Business Owner only)
-router.get('/', authenticateToken, requireRole(['BUSINESS_OWNER']), async (req, res) => {
+router.get('/', authenticateToken, requirePermission('customers:view'), async (req, res) => {
   try {
     // Get tenant for the business owner
     const tenant = await prisma.tenant.findUnique({
-      where: { ownerId: req.user.id }
+      where: { id: req.user.tenant.id }
     });
 
     if (!tenant) {
@@ -27,16 +31,24 @@ router.get('/', authenticateToken, requireRole(['BUSINESS_OWNER']), async (req,
       search = '', 
       sortBy = 'lastOrderDate', 
       sortOrder = 'desc',
-      hasPendingPayment = false
+      hasPendingPayment = false,
+      segmentId = ''
     } = req.query;
 
+    let ids = null;
+    if (segmentId) {
+      const { customers } = await customerSegmentService.getSegmentMembers(segmentId, tenant.id);
+      ids = customers.map(customer => customer.customerId);
+    }
+
     const result = await customerService.getCustomersByTenant(tenant.id, {
       page: parseInt(page),
       limit: parseInt(limit),
       search,
       sortBy,
       sortOrder,
-      hasPendingPayment: hasPendingPayment === 'true' || hasPendingPayment === true
+      hasPendingPayment: hasPendingPayment === 'true' || hasPendingPayment === true,
+      ids
     });
 
     res.json({
@@ -45,13 +57,16 @@ router.get('/', authenticateToken, requireRole(['BUSINESS_OWNER']), async (req,
     });
 
   } catch (error) {
+    if (error.message === 'Segment not found') {
+      return res.status(404).json({ error: error.message });
+    }
     console.error('Get customers error:', error);
     res.status(500).json({ error: 'Failed to get customers' });
   }
 });
 
 // Create new customer (Business Owner only)
-router.post('/', authenticateToken, requireRole(['BUSINESS_OWNER']), [
+router.post('/', authenticateToken, requirePermission('customers:edit'), [
   body('name').trim().isLength({ min: 2 }).withMessage('Name must be at least 2 characters'),
   body('phoneNumber').trim().isLength({ min: 10 }).withMessage('Phone number must be at least 10 characters'),
   body('email').optional().custom((value) => {
@@ -82,7 +97,7 @@ router.post('/', authenticateToken, requireRole(['BUSINESS_OWNER']), [
 
     // Get tenant for the business owner
     const tenant = await prisma.tenant.findUnique({
-      where: { ownerId: req.user.id }
+      where: { id: req.user.tenant.id }
     });
 
     if (!tenant) {
@@ -92,8 +107,11 @@ router.post('/', authenticateToken, requireRole(['BUSINESS_OWNER']), [
     // Check if phone number already exists
     const existingCustomer = await prisma.customer.findFirst({
       where: {
-        phoneNumber: customerData.phoneNumber,
-        tenantId: tenant.id
+        tenantId: tenant.id,
+        OR: [
+          { phoneNumber: customerData.phoneNumber },
+          { alternatePhones: { has: customerData.phoneNumber } }
+        ]
       }
     });
 
@@ -222,14 +240,267 @@ router.post('/', authenticateToken, requireRole(['BUSINESS_OWNER']), [
   }
 });
 
+// Statements for every customer with a balance at the end of the period, in one PDF or CSV
+router.get('/statements', authenticateToken, requirePermission('customers:view'), async (req, res) => {
+  try {
+    const tenantId = req.user.tenant.id;
+    const period = statementService.getPeriod(req.query.fromDate, req.query.toDate);
+    const statements = await statementService.buildBulkStatements('customer', tenantId, period);
+    if (statements.length === 0) {
+      return res.status(404).json({ error: 'No customers have a balance at the end of this period' });
+    }
+    const file = await statementService.exportStatements('customer', tenantId, statements, period, req.query.format);
+    res.setHeader('Content-Type', file.contentType);
+    res.setHeader('Content-Disposition', `${req.query.format === 'csv' ? 'attachment' : 'inline'}; filename="${file.filename}"`);
+    res.send(file.body);
+  } catch (error) {
+    if (error.message.includes('period') || error.message.includes('start date')) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Bulk customer statements error:', error);
+    res.status(500).json({ error: 'Failed to create statements' });
+  }
+});
+
+// Map segment/risk service errors: missing records are 404, validation problems 400
+const sendServiceError = (res, error, fallback) => {
+  if (error.message.includes('not found')) {
+    return res.status(404).json({ error: error.message });
+  }
+  if (error.name && error.name.startsWith('Prisma')) {
+    console.error(`${fallback}:`, error);
+    return res.status(500).json({ error: fallback });
+  }
+  res.status(400).json({ error: error.message || fallback });
+};
+
+// Saved segments with live member counts, plus the rule fields and templates for the builder
+router.get('/segments', authenticateToken, requirePermission('customers:view'), async (req, res) => {
+  try {
+    const segments = await customerSegmentService.getSegments(req.user.tenant.id);
+    res.json({
+      success: true,
+      segments,
+      ...customerSegmentService.getBuilderOptions()
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to get segments');
+  }
+});
+
+// Create a saved segment
+router.post('/segments', authenticateToken, requirePermission('customers:edit'), async (req, res) => {
+  try {
+    const segment = await customerSegmentService.createSegment(req.user.tenant.id, req.body);
+    res.status(201).json({
+      success: true,
+      message: 'Segment created successfully',
+      segment
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to create segment');
+  }
+});
+
+// Update a saved segment
+router.put('/segments/:segmentId', authenticateToken, requirePermission('customers:edit'), async (req, res) => {
+  try {
+    const segment = await customerSegmentService.updateSegment(req.params.segmentId, req.user.tenant.id, req.body);
+    res.json({
+      success: true,
+      message: 'Segment updated successfully',
+      segment
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to update segment');
+  }
+});
+
+// Delete a saved segment
+router.delete('/segments/:segmentId', authenticateToken, requirePermission('customers:edit'), async (req, res) => {
+  try {
+    await customerSegmentService.deleteSegment(req.params.segmentId, req.user.tenant.id);
+    res.json({
+      success: true,
+      message: 'Segment deleted successfully'
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to delete segment');
+  }
+});
+
+// Current members of a segment with their RFM metrics
+router.get('/segments/:segmentId/customers', authenticateToken, requirePermission('customers:view'), async (req, res) => {
+  try {
+    const result = await customerSegmentService.getSegmentMembers(req.params.segmentId, req.user.tenant.id);
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to get segment customers');
+  }
+});
+
+// Segment members as a CSV contact list for WhatsApp broadcast lists
+router.get('/segments/:segmentId/export', authenticateToken, requirePermission('customers:view'), async (req, res) => {
+  try {
+    const file = await customerSegmentService.exportSegment(req.params.segmentId, req.user.tenant.id);
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="${file.filename}"`);
+    res.send(file.content);
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to export segment');
+  }
+});
+
+// Customer count per RFM group
+router.get('/analytics/rfm', authenticateToken, requirePermission('customers:view'), async (req, res) => {
+  try {
+    const metrics = await customerSegmentService.getCustomerMetrics(req.user.tenant.id);
+    res.json({
+      success: true,
+      groups: customerSegmentService.summarizeGroups(metrics)
+    });
+  } catch (error) {
+    console.error('Get RFM analytics error:', error);
+    res.status(500).json({ error: 'Failed to get RFM analytics' });
+  }
+});
+
+// A customer's RFM scores and the saved segments they are in
+router.get('/:id/segments', authenticateToken, requirePermission('customers:view'), async (req, res) => {
+  try {
+    const result = await customerSegmentService.getCustomerSegments(req.user.tenant.id, req.params.id);
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to get customer segments');
+  }
+});
+
+// Phone numbers and addresses the business will not accept orders from
+router.get('/blocklist', authenticateToken, requirePermission('customers:view'), async (req, res) => {
+  try {
+    const entries = await customerRiskService.getBlocklist(req.user.tenant.id);
+    res.json({
+      success: true,
+      entries
+    });
+  } catch (error) {
+    console.error('Get blocklist error:', error);
+    res.status(500).json({ error: 'Failed to get blocklist' });
+  }
+});
+
+// Block a phone number or address
+router.post('/blocklist', authenticateToken, requirePermission('customers:edit'), [
+  body('type').isIn(['PHONE', 'ADDRESS']).withMessage('Type must be PHONE or ADDRESS'),
+  body('value').trim().notEmpty().withMessage('Enter the phone number or address to block'),
+  body('reason').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: errors.array()[0].msg, 
+        details: errors.array() 
+      });
+    }
+
+    const entry = await customerRiskService.addBlockedContact(req.user.tenant.id, req.body, req.user.id);
+    res.status(201).json({
+      success: true,
+      message: 'Added to blocklist',
+      entry
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to update blocklist');
+  }
+});
+
+// Remove a blocklist entry
+router.delete('/blocklist/:entryId', authenticateToken, requirePermission('customers:edit'), async (req, res) => {
+  try {
+    await customerRiskService.removeBlockedContact(req.params.entryId, req.user.tenant.id);
+    res.json({
+      success: true,
+      message: 'Removed from blocklist'
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to update blocklist');
+  }
+});
+
+// A customer's risk score from refused deliveries, cancellations and returns
+router.get('/:id/risk', authenticateToken, requirePermission('customers:view'), async (req, res) => {
+  try {
+    const risk = await customerRiskService.getCustomerRisk(req.user.tenant.id, req.params.id);
+    res.json({
+      success: true,
+      risk
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to get customer risk');
+  }
+});
+
+// Records that look like the same buyer (same number in another format, or similar name and address)
+router.get('/duplicates', authenticateToken, requirePermission('customers:view'), async (req, res) => {
+  try {
+    const groups = await customerMergeService.findDuplicates(req.user.tenant.id, {
+      customerId: req.query.customerId || null
+    });
+    res.json({
+      success: true,
+      groups
+    });
+  } catch (error) {
+    console.error('Find duplicate customers error:', error);
+    res.status(500).json({ error: 'Failed to find duplicate customers' });
+  }
+});
+
+// Merge duplicates into one customer; the duplicates are removed
+router.post('/merge', authenticateToken, requirePermission('customers:edit'), [
+  body('primaryId').isString().notEmpty().withMessage('Choose the customer to keep'),
+  body('duplicateIds').isArray({ min: 1 }).withMessage('Choose at least one customer to merge')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: errors.array()[0].msg,
+        details: errors.array()
+      });
+    }
+
+    const customer = await customerMergeService.mergeCustomers(
+      req.user.tenant.id,
+      req.body.primaryId,
+      req.body.duplicateIds,
+      req.user.id
+    );
+    res.json({
+      success: true,
+      message: 'Customers merged successfully',
+      customer
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to merge customers');
+  }
+});
+
 // Get customer by ID (Business Owner only)
-router.get('/:id', authenticateToken, requireRole(['BUSINESS_OWNER']), async (req, res) => {
+router.get('/:id', authenticateToken, requirePermission('customers:view'), async (req, res) => {
   try {
     const { id } = req.params;
 
     // Get tenant for the business owner
     const tenant = await prisma.tenant.findUnique({
-      where: { ownerId: req.user.id }
+      where: { id: req.user.tenant.id }
     });
 
     if (!tenant) {
@@ -254,7 +525,7 @@ router.get('/:id', authenticateToken, requireRole(['BUSINESS_OWNER']), async (re
 });
 
 // Update customer (Business Owner only)
-router.put('/:id', authenticateToken, requireRole(['BUSINESS_OWNER']), [
+router.put('/:id', authenticateToken, requirePermission('customers:edit'), [
   body('name').optional().trim(),
   body('email').optional().custom((value) => {
     if (value && value.trim() !== '') {
@@ -286,7 +557,7 @@ router.put('/:id', authenticateToken, requireRole(['BUSINESS_OWNER']), [
 
     // Get tenant for the business owner
     const tenant = await prisma.tenant.findUnique({
-      where: { ownerId: req.user.id }
+      where: { id: req.user.tenant.id }
     });
 
     if (!tenant) {
@@ -325,13 +596,13 @@ router.put('/:id', authenticateToken, requireRole(['BUSINESS_OWNER']), [
 });
 
 // Delete customer (soft delete) (Business Owner only)
-router.delete('/:id', authenticateToken, requireRole(['BUSINESS_OWNER']), async (req, res) => {
+router.delete('/:id', authenticateToken, requirePermission('customers:edit'), async (req, res) => {
   try {
     const { id } = req.params;
 
     // Get tenant for the business owner
     const tenant = await prisma.tenant.findUnique({
-      where: { ownerId: req.user.id }
+      where: { id: req.user.tenant.id }
     });
 
     if (!tenant) {
@@ -376,13 +647,13 @@ router.delete('/:id', authenticateToken, requireRole(['BUSINESS_OWNER']), async
 });
 
 // Restore customer (Business Owner only)
-router.patch('/:id/restore', authenticateToken, requireRole(['BUSINESS_OWNER']), async (req, res) => {
+router.patch('/:id/restore', authenticateToken, requirePermission('customers:edit'), async (req, res) => {
   try {
     const { id } = req.params;
 
     // Get tenant for the business owner
     const tenant = await prisma.tenant.findUnique({
-      where: { ownerId: req.user.id }
+      where: { id: req.user.tenant.id }
     });
 
     if (!tenant) {
@@ -427,7 +698,7 @@ router.patch('/:id/restore', authenticateToken, requireRole(['BUSINESS_OWNER']),
 });
 
 // Bulk update customers (Business Owner only)
-router.patch('/bulk/update', authenticateToken, requireRole(['BUSINESS_OWNER']), [
+router.patch('/bulk/update', authenticateToken, requirePermission('customers:edit'), [
   body('customerIds').isArray({ min: 1 }).withMessage('Customer IDs must be an array with at least one item'),
   body('updateData').isObject().withMessage('Update data must be an object'),
   body('updateData.isActive').optional().isBoolean()
@@ -445,7 +716,7 @@ router.patch('/bulk/update', authenticateToken, requireRole(['BUSINESS_OWNER']),
 
     // Get tenant for the business owner
     const tenant = await prisma.tenant.findUnique({
-      where: { ownerId: req.user.id }
+      where: { id: req.user.tenant.id }
     });
 
     if (!tenant) {
@@ -500,7 +771,7 @@ router.patch('/bulk/update', authenticateToken, requireRole(['BUSINESS_OWNER']),
 });
 
 // Bulk delete customers (Business Owner only)
-router.delete('/bulk/delete', authenticateToken, requireRole(['BUSINESS_OWNER']), [
+router.delete('/bulk/delete', authenticateToken, requirePermission('customers:edit'), [
   body('customerIds').isArray({ min: 1 }).withMessage('Customer IDs must be an array with at least one item')
 ], async (req, res) => {
   try {
@@ -516,7 +787,7 @@ router.delete('/bulk/delete', authenticateToken, requireRole(['BUSINESS_OWNER'])
 
     // Get tenant for the business owner
     const tenant = await prisma.tenant.findUnique({
-      where: { ownerId: req.user.id }
+      where: { id: req.user.tenant.id }
     });
 
     if (!tenant) {
@@ -571,11 +842,11 @@ router.delete('/bulk/delete', authenticateToken, requireRole(['BUSINESS_OWNER'])
 });
 
 // Get customer statistics (Business Owner only)
-router.get('/stats/overview', authenticateToken, requireRole(['BUSINESS_OWNER']), async (req, res) => {
+router.get('/stats/overview', authenticateToken, requirePermission('customers:view'), async (req, res) => {
   try {
     // Get tenant for the business owner
     const tenant = await prisma.tenant.findUnique({
-      where: { ownerId: req.user.id }
+      where: { id: req.user.tenant.id }
     });
 
     if (!tenant) {
@@ -596,14 +867,14 @@ router.get('/stats/overview', authenticateToken, requireRole(['BUSINESS_OWNER'])
 });
 
 // Get customer logs (Business Owner only)
-router.get('/:id/logs', authenticateToken, requireRole(['BUSINESS_OWNER']), async (req, res) => {
+router.get('/:id/logs', authenticateToken, requirePermission('customers:view'), async (req, res) => {
   try {
     const { id } = req.params;
     const { page = 1, limit = 50 } = req.query;
 
     // Get tenant for the business owner
     const tenant = await prisma.tenant.findUnique({
-      where: { ownerId: req.user.id }
+      where: { id: req.user.tenant.id }
     });
 
     if (!tenant) {
@@ -648,13 +919,13 @@ router.get('/:id/logs', authenticateToken, requireRole(['BUSINESS_OWNER']), asyn
 });
 
 // Search customers (Business Owner only)
-router.get('/search/:query', authenticateToken, requireRole(['BUSINESS_OWNER']), async (req, res) => {
+router.get('/search/:query', authenticateToken, requirePermission('customers:view'), async (req, res) => {
   try {
     const { query } = req.params;
 
     // Get tenant for the business owner
     const tenant = await prisma.tenant.findUnique({
-      where: { ownerId: req.user.id }
+      where: { id: req.user.tenant.id }
     });
 
     if (!tenant) {
@@ -695,7 +966,7 @@ router.get('/search/:query', authenticateToken, requireRole(['BUSINESS_OWNER']),
 });
 
 // Update customer balance (Business Owner only)
-router.put('/:id/balance', authenticateToken, requireRole(['BUSINESS_OWNER']), [
+router.put('/:id/balance', authenticateToken, requirePermission('accounting:edit'), [
   body('balance').isFloat().withMessage('Balance must be a number'),
   body('openingBalanceDate').optional({ nullable: true }).isISO8601().withMessage('Opening balance date must be a valid date')
 ], async (req, res) => {
@@ -895,305 +1166,60 @@ router.put('/:id/balance', authenticateToken, requireRole(['BUSINESS_OWNER']), [
 });
 
 // Get customer ledger (Business Owner only)
-router.get('/:id/ledger', authenticateToken, requireRole(['BUSINESS_OWNER']), async (req, res) => {
+router.get('/:id/ledger', authenticateToken, requirePermission('customers:view'), async (req, res) => {
   try {
     const { id } = req.params;
     const { fromDate, toDate } = req.query;
 
-    // Get tenant for the business owner
-    const tenant = await prisma.tenant.findUnique({
-      where: { ownerId: req.user.id }
-    });
-
-    if (!tenant) {
-      return res.status(404).json({ error: 'Tenant not found' });
-    }
-
-    // Verify customer belongs to tenant
-    const customer = await prisma.customer.findFirst({
-      where: { id, tenantId: tenant.id }
-    });
-
-    if (!customer) {
-      return res.status(404).json({ error: 'Customer not found' });
-    }
-
-    // Build date filter
-    const dateFilter = {};
-    if (fromDate) dateFilter.gte = new Date(fromDate);
-    if (toDate) dateFilter.lte = new Date(toDate);
-
-    // Get all orders (CONFIRMED, DISPATCHED, COMPLETED - orders with potential outstanding balance)
-    const orders = await prisma.order.findMany({
-      where: {
-        customerId: id,
-        status: { in: ['CONFIRMED', 'DISPATCHED', 'COMPLETED'] },
-        ...(Object.keys(dateFilter).length > 0 && {
-          createdAt: dateFilter
-        })
-      },
-      select: {
-        id: true,
-        orderNumber: true,
-        createdAt: true,
-        selectedProducts: true,
-        productQuantities: true,
-        productPrices: true,
-        shippingCharges: true,
-        codFee: true,
-        codFeePaidBy: true,
-        verifiedPaymentAmount: true,
-        paymentVerified: true,
-        orderItems: { select: { quantity: true, price: true } }
-      },
-      orderBy: {
-        createdAt: 'asc'
-      }
-    });
-
-    // Fetch all payments (including those not linked to orders)
-    const allPayments = await prisma.payment.findMany({
-      where: {
-        customerId: id,
-        type: 'CUSTOMER_PAYMENT',
-        ...(Object.keys(dateFilter).length > 0 && {
-          date: dateFilter
-        })
-      },
-      select: {
-        id: true,
-        paymentNumber: true,
-        date: true,
-        amount: true,
-        orderId: true,
-        account: {
-          select: {
-            id: true,
-            name: true
-          }
-        }
-      },
-      orderBy: {
-        date: 'asc'
-      }
-    });
-
-    // Fetch all returns
-    const allReturns = await prisma.return.findMany({
-      where: {
-        order: {
-          customerId: id
-        },
-        returnType: {
-          in: ['CUSTOMER_FULL', 'CUSTOMER_PARTIAL']
-        },
-        ...(Object.keys(dateFilter).length > 0 && {
-          returnDate: dateFilter
-        })
-      },
-      select: {
-        id: true,
-        returnNumber: true,
-        returnDate: true,
-        totalAmount: true,
-        refundAmount: true,
-        status: true,
-        orderId: true,
-        order: {
-          select: {
-            orderNumber: true
-          }
-        }
-      },
-      orderBy: {
-        returnDate: 'asc'
-      }
-    });
-
-    // Find opening balance transaction - only show Opening Balance row when we have an explicit transaction.
-    // When advance comes from customer.advanceBalance (no transaction), it's from direct payments we show as separate rows - don't double-count.
-    const openingBalanceTransaction = await prisma.transaction.findFirst({
-      where: {
-        tenantId: tenant.id,
-        description: {
-          contains: `Customer Opening Balance - ${customer.name || customer.phoneNumber}`,
-          mode: 'insensitive'
-        }
-      },
-      orderBy: { date: 'asc' },
-      select: { date: true }
-    });
-
-    let openingBalanceDate = customer.createdAt;
-    if (openingBalanceTransaction) {
-      openingBalanceDate = openingBalanceTransaction.date;
-    }
-
-    // Build ledger entries
-    const ledgerEntries = [];
-    const customerBalance = await balanceService.calculateCustomerBalance(id);
-
-    // Only show Opening Balance row when we have an explicit "Customer Opening Balance" transaction.
-    // Otherwise openingAdvanceBalance from customer.advanceBalance = sum of direct payments, which we show as separate rows.
-    if (openingBalanceTransaction && (customerBalance.openingARBalance !== 0 || customerBalance.openingAdvanceBalance !== 0)) {
-      ledgerEntries.push({
-        date: openingBalanceDate,
-        type: 'OPENING_BALANCE',
-        description: 'Opening Balance',
-        reference: null,
-        debit: customerBalance.openingARBalance > 0 ? customerBalance.openingARBalance : 0,
-        credit: customerBalance.openingAdvanceBalance > 0 ? customerBalance.openingAdvanceBalance : 0,
-        isOpeningBalance: true
-      });
-    }
-
-    // Add order entries (AR created)
-    for (const order of orders) {
-      // Calculate order total: prefer orderItems (variant flow), else legacy selectedProducts
-      let orderTotal = 0;
-      if (order.orderItems && order.orderItems.length > 0) {
-        orderTotal = order.orderItems.reduce((sum, item) =>
-          sum + (item.quantity || 0) * (item.price || 0), 0);
-      } else {
-        try {
-          const selectedProducts = typeof order.selectedProducts === 'string'
-            ? JSON.parse(order.selectedProducts)
-            : (order.selectedProducts || []);
-          const productQuantities = typeof order.productQuantities === 'string'
-            ? JSON.parse(order.productQuantities)
-            : (order.productQuantities || {});
-          const productPrices = typeof order.productPrices === 'string'
-            ? JSON.parse(order.productPrices)
-            : (order.productPrices || {});
-
-          if (Array.isArray(selectedProducts)) {
-            selectedProducts.forEach(product => {
-              const quantity = productQuantities[product.id] || product.quantity || 1;
-              const price = productPrices[product.id] || product.price || product.currentRetailPrice || 0;
-              orderTotal += price * quantity;
-            });
-          }
-        } catch (e) {
-          console.error('Error parsing order data for ledger:', e);
-        }
-      }
-
-      orderTotal += (order.shippingCharges || 0);
-      if (order.codFeePaidBy === 'CUSTOMER' && order.codFee && order.codFee > 0) {
-        orderTotal += order.codFee;
-      }
-
-      if (orderTotal > 0) {
-        ledgerEntries.push({
-          date: order.createdAt,
-          type: 'ORDER',
-          description: `Order: ${order.orderNumber}`,
-          reference: order.orderNumber,
-          debit: orderTotal,
-          credit: 0,
-          orderId: order.id
-        });
-      }
-    }
-
-    // Add payment entries (distinguish direct payments vs order-linked)
-    for (const payment of allPayments) {
-      const isDirectPayment = !payment.orderId;
-      const paymentLabel = isDirectPayment ? 'Payment (without order)' : 'Payment';
-      const accountSuffix = payment.account ? ` (${payment.account.name})` : '';
-      ledgerEntries.push({
-        date: payment.date,
-        type: 'PAYMENT',
-        description: `${paymentLabel}: ${payment.paymentNumber}${accountSuffix}`,
-        reference: payment.paymentNumber,
-        debit: 0,
-        credit: payment.amount,
-        paymentId: payment.id,
-        orderId: payment.orderId,
-        isDirectPayment
-      });
-    }
-
-    // Add return entries
-    for (const returnRecord of allReturns) {
-      if (returnRecord.totalAmount > 0) {
-        ledgerEntries.push({
-          date: returnRecord.returnDate,
-          type: 'RETURN',
-          description: `Return: ${returnRecord.returnNumber}${returnRecord.order ? ` (Order: ${returnRecord.order.orderNumber})` : ''}`,
-          reference: returnRecord.returnNumber,
-          debit: 0,
-          credit: returnRecord.totalAmount,
-          returnId: returnRecord.id,
-          orderId: returnRecord.orderId
-        });
-      }
-
-      // Add refund entry if refunded
-      if (returnRecord.status === 'REFUNDED' && returnRecord.refundAmount > 0) {
-        ledgerEntries.push({
-          date: returnRecord.returnDate,
-          type: 'REFUND',
-          description: `Refund: ${returnRecord.returnNumber}`,
-          reference: returnRecord.returnNumber,
-          debit: returnRecord.refundAmount,
-          credit: 0,
-          returnId: returnRecord.id
-        });
-      }
-    }
-
-    // Sort by date
-    ledgerEntries.sort((a, b) => new Date(a.date) - new Date(b.date));
-
-    // Calculate running balance.
-    // When no explicit opening transaction, openingAdvanceBalance = customer.advanceBalance (= sum of direct payments).
-    // Those direct payments are shown as separate rows, so we must NOT include them in the starting balance or we double-count.
-    const hasExplicitOpening = !!openingBalanceTransaction;
-    let runningBalance = hasExplicitOpening
-      ? customerBalance.openingARBalance - customerBalance.openingAdvanceBalance
-      : 0;
-    const ledgerWithBalance = ledgerEntries.map(entry => {
-      runningBalance = runningBalance + entry.debit - entry.credit;
-      return {
-        ...entry,
-        balance: runningBalance
-      };
-    });
+    const { customer, ledger, summary } = await ledgerService.getCustomerLedger(req.user.tenant.id, id, { fromDate, toDate });
 
     res.json({
       success: true,
-      customer: {
-        id: customer.id,
-        name: customer.name,
-        phoneNumber: customer.phoneNumber
-      },
-      ledger: ledgerWithBalance,
-      summary: {
-        openingARBalance: hasExplicitOpening ? customerBalance.openingARBalance : 0,
-        openingAdvanceBalance: hasExplicitOpening ? customerBalance.openingAdvanceBalance : 0,
-        totalOrders: orders.length,
-        totalPayments: allPayments.length,
-        totalReturns: allReturns.length,
-        currentBalance: runningBalance
-      }
+      customer,
+      ledger,
+      summary
     });
 
   } catch (error) {
+    if (error.message === 'Customer not found') {
+      return res.status(404).json({ error: error.message });
+    }
     console.error('Get customer ledger error:', error);
     res.status(500).json({ error: 'Failed to get customer ledger' });
   }
 });
 
+// Statement of account for a customer over a period (PDF or CSV)
+router.get('/:id/statement', authenticateToken, requirePermission('customers:view'), async (req, res) => {
+  try {
+    const tenantId = req.user.tenant.id;
+    const period = statementService.getPeriod(req.query.fromDate, req.query.toDate);
+    const statement = await statementService.buildStatement('customer', tenantId, req.params.id, period);
+    const file = await statementService.exportStatements('customer', tenantId, [statement], period, req.query.format);
+    res.setHeader('Content-Type', file.contentType);
+    res.setHeader('Content-Disposition', `${req.query.format === 'csv' ? 'attachment' : 'inline'}; filename="${file.filename}"`);
+    res.send(file.body);
+  } catch (error) {
+    if (error.message === 'Customer not found') {
+      return res.status(404).json({ error: error.message });
+    }
+    if (error.message.includes('period') || error.message.includes('start date')) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Customer statement error:', error);
+    res.status(500).json({ error: 'Failed to create statement' });
+  }
+});
+
 // Get customer orders (Business Owner only)
-router.get('/:id/orders', authenticateToken, requireRole(['BUSINESS_OWNER']), async (req, res) => {
+router.get('/:id/orders', authenticateToken, requirePermission('customers:view'), async (req, res) => {
   try {
     const { id } = req.params;
     const { page = 1, limit = 20 } = req.query;
 
     // Get tenant for the business owner
     const tenant = await prisma.tenant.findUnique({
-      where: { ownerId: req.user.id }
+      where: { id: req.user.tenant.id }
     });
 
     if (!tenant) {
@@ -1265,13 +1291,13 @@ router.get('/:id/orders', authenticateToken, requireRole(['BUSINESS_OWNER']), as
 });
 
 // Export customers to CSV (Business Owner only)
-router.get('/export/csv', authenticateToken, requireRole(['BUSINESS_OWNER']), async (req, res) => {
+router.get('/export/csv', authenticateToken, requirePermission('customers:view'), async (req, res) => {
   try {
     const { search = '', includeInactive = false } = req.query;
 
     // Get tenant for the business owner
     const tenant = await prisma.tenant.findUnique({
-      where: { ownerId: req.user.id }
+      where: { id: req.user.tenant.id }
     });
 
     if (!tenant) {
@@ -1361,14 +1387,14 @@ router.get('/export/csv', authenticateToken, requireRole(['BUSINESS_OWNER']), as
 });
 
 // Get customer analytics (Business Owner only)
-router.get('/analytics/overview', authenticateToken, requireRole(['BUSINESS_OWNER']), async (req, res) => {
+router.get('/analytics/overview', authenticateToken, requirePermission('customers:view'), async (req, res) => {
   try {
     const { period = '30' } = req.query; // days
     const days = parseInt(period);
 
     // Get tenant for the business owner
     const tenant = await prisma.tenant.findUnique({
-      where: { ownerId: req.user.id }
+      where: { id: req.user.tenant.id }
     });
 
     if (!tenant) {
@@ -1384,7 +1410,8 @@ router.get('/analytics/overview', authenticateToken, requireRole(['BUSINESS_OWNE
       activeCustomers,
       newCustomers,
       topCustomers,
-      customerGrowth
+      customerGrowth,
+      rfmMetrics
     ] = await Promise.all([
       // Total customers
       prisma.customer.count({
@@ -1423,7 +1450,9 @@ router.get('/analytics/overview', authenticateToken, requireRole(['BUSINESS_OWNE
         },
         _count: { id: true },
         orderBy: { createdAt: 'asc' }
-      })
+      }),
+      // RFM scores for the group breakdown
+      customerSegmentService.getCustomerMetrics(tenant.id)
     ]);
 
     res.json({
@@ -1437,7 +1466,8 @@ router.get('/analytics/overview', authenticateToken, requireRole(['BUSINESS_OWNE
         customerGrowth: customerGrowth.map(item => ({
           date: item.createdAt.toISOString().split('T')[0],
           count: item._count.id
-        }))
+        })),
+        rfmSegments: customerSegmentService.summarizeGroups(rfmMetrics)
       }
     });
 
@@ -1448,13 +1478,13 @@ router.get('/analytics/overview', authenticateToken, requireRole(['BUSINESS_OWNE
 });
 
 // Recalculate customer statistics (Business Owner only)
-router.post('/:id/recalculate-stats', authenticateToken, requireRole(['BUSINESS_OWNER']), async (req, res) => {
+router.post('/:id/recalculate-stats', authenticateToken, requirePermission('customers:edit'), async (req, res) => {
   try {
     const { id } = req.params;
 
     // Get tenant for the business owner
     const tenant = await prisma.tenant.findUnique({
-      where: { ownerId: req.user.id }
+      where: { id: req.user.tenant.id }
     });
 
     if (!tenant) {
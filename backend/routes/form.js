@@ -3,17 +3,19 @@ const { body, validationResult } = require('express-validator');
 const crypto = require('crypto');
 const prisma = require('../lib/db');
 const { authenticateToken, requireRole } = require('../middleware/auth');
+const { isTenantUser } = require('../utils/permissions');
+const { FORM_FIELD_TYPES, buildFieldRules } = require('../utils/formFieldRules');
 
 const router = express.Router();
 
 // Create new form (Admin or Business Owner)
-router.post('/', authenticateToken, requireRole(['ADMIN', 'BUSINESS_OWNER']), [
+router.post('/', authenticateToken, requireRole(['ADMIN', 'BUSINESS_OWNER'], 'forms:edit'), [
   body('name').trim().isLength({ min: 2 }),
   body('description').optional().trim(),
   body('formCategory').optional().isIn(['SIMPLE_CART', 'SHOPPING_CART']),
   body('fields').isArray({ min: 1 }),
   body('fields.*.label').trim().isLength({ min: 1 }),
-  body('fields.*.fieldType').isIn(['TEXT', 'EMAIL', 'PHONE', 'ADDRESS', 'FILE_UPLOAD', 'AMOUNT', 'TEXTAREA', 'DROPDOWN', 'PRODUCT_SELECTOR']),
+  body('fields.*.fieldType').isIn(FORM_FIELD_TYPES),
   body('fields.*.isRequired').isBoolean(),
   body('fields.*.placeholder').optional().trim(),
   body('fields.*.options').optional()
@@ -40,7 +42,7 @@ router.post('/', authenticateToken, requireRole(['ADMIN', 'BUSINESS_OWNER']), [
     } else {
       // Business owner uses their own tenant
       const tenant = await prisma.tenant.findUnique({
-        where: { ownerId: req.user.id }
+        where: { id: req.user.tenant.id }
       });
       if (!tenant) {
         return res.status(404).json({ error: 'No tenant found for this user' });
@@ -48,6 +50,14 @@ router.post('/', authenticateToken, requireRole(['ADMIN', 'BUSINESS_OWNER']), [
       tenantId = tenant.id;
     }
 
+    // Check show/hide conditions and validation rules before anything is saved
+    let fieldRules;
+    try {
+      fieldRules = fields.map(field => buildFieldRules(field, fields));
+    } catch (ruleError) {
+      return res.status(400).json({ error: ruleError.message });
+    }
+
     // Generate unique form link
     const formLink = crypto.randomBytes(16).toString('hex');
     
@@ -76,6 +86,8 @@ router.post('/', authenticateToken, requireRole(['ADMIN', 'BUSINESS_OWNER']), [
           selectedProducts: field.fieldType === 'PRODUCT_SELECTOR' && field.selectedProducts 
             ? JSON.stringify(field.selectedProducts) 
             : null,
+          validation: fieldRules[index].validation,
+          showIf: fieldRules[index].showIf,
           order: index,
           formId: form.id
         }
@@ -109,8 +121,8 @@ router.get('/', authenticateToken, async (req, res) => {
   try {
     let whereClause = {};
 
-    if (req.user.role === 'BUSINESS_OWNER') {
-      // Business owner can see their own forms
+    if (isTenantUser(req.user)) {
+      // Business owner (and staff) can see their own forms
       // Optimize: Use tenant from authenticated user (already loaded)
       if (!req.user.tenant?.id) {
         return res.status(404).json({ error: 'No tenant found for this user' });
@@ -213,7 +225,7 @@ router.get('/:id', authenticateToken, async (req, res) => {
     }
 
     // Check permissions
-    if (req.user.role !== 'ADMIN' && req.user.id !== form.tenant.ownerId) {
+    if (req.user.role !== 'ADMIN' && req.user.tenant?.id !== form.tenantId) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
@@ -293,7 +305,7 @@ router.get('/public/:formLink/prepaid-details', async (req, res) => {
 });
 
 // Publish form (Admin or Business Owner)
-router.post('/:id/publish', authenticateToken, requireRole(['ADMIN', 'BUSINESS_OWNER']), async (req, res) => {
+router.post('/:id/publish', authenticateToken, requireRole(['ADMIN', 'BUSINESS_OWNER'], 'forms:edit'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -315,7 +327,7 @@ router.post('/:id/publish', authenticateToken, requireRole(['ADMIN', 'BUSINESS_O
     }
 
     // Check permissions
-    if (req.user.role !== 'ADMIN' && req.user.id !== form.tenant.ownerId) {
+    if (req.user.role !== 'ADMIN' && req.user.tenant?.id !== form.tenantId) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
@@ -353,7 +365,7 @@ router.post('/:id/publish', authenticateToken, requireRole(['ADMIN', 'BUSINESS_O
 });
 
 // Unpublish form (Admin or Business Owner)
-router.post('/:id/unpublish', authenticateToken, requireRole(['ADMIN', 'BUSINESS_OWNER']), async (req, res) => {
+router.post('/:id/unpublish', authenticateToken, requireRole(['ADMIN', 'BUSINESS_OWNER'], 'forms:edit'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -373,7 +385,7 @@ router.post('/:id/unpublish', authenticateToken, requireRole(['ADMIN', 'BUSINESS
     }
 
     // Check permissions
-    if (req.user.role !== 'ADMIN' && req.user.id !== form.tenant.ownerId) {
+    if (req.user.role !== 'ADMIN' && req.user.tenant?.id !== form.tenantId) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
@@ -396,11 +408,12 @@ router.post('/:id/unpublish', authenticateToken, requireRole(['ADMIN', 'BUSINESS
 });
 
 // Update form (Admin or Business Owner)
-router.put('/:id', authenticateToken, requireRole(['ADMIN', 'BUSINESS_OWNER']), [
+router.put('/:id', authenticateToken, requireRole(['ADMIN', 'BUSINESS_OWNER'], 'forms:edit'), [
   body('name').optional().trim().isLength({ min: 2 }),
   body('description').optional().trim(),
   body('formCategory').optional().isIn(['SIMPLE_CART', 'SHOPPING_CART']),
-  body('fields').optional().isArray({ min: 1 })
+  body('fields').optional().isArray({ min: 1 }),
+  body('fields.*.fieldType').optional().isIn(FORM_FIELD_TYPES)
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -427,10 +440,19 @@ router.put('/:id', authenticateToken, requireRole(['ADMIN', 'BUSINESS_OWNER']),
     }
 
     // Check permissions
-    if (req.user.role !== 'ADMIN' && req.user.id !== form.tenant.ownerId) {
+    if (req.user.role !== 'ADMIN' && req.user.tenant?.id !== form.tenantId) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
+    let fieldRules = [];
+    if (fields) {
+      try {
+        fieldRules = fields.map(field => buildFieldRules(field, fields));
+      } catch (ruleError) {
+        return res.status(400).json({ error: ruleError.message });
+      }
+    }
+
     // Update form basic info first
     const updatedForm = await prisma.form.update({
       where: { id },
@@ -465,6 +487,8 @@ router.put('/:id', authenticateToken, requireRole(['ADMIN', 'BUSINESS_OWNER']),
             selectedProducts: field.fieldType === 'PRODUCT_SELECTOR' && field.selectedProducts 
               ? (typeof field.selectedProducts === 'string' ? field.selectedProducts : JSON.stringify(field.selectedProducts))
               : null,
+            validation: fieldRules[index].validation,
+            showIf: fieldRules[index].showIf,
             order: index,
             formId: id
           }
@@ -486,7 +510,7 @@ router.put('/:id', authenticateToken, requireRole(['ADMIN', 'BUSINESS_OWNER']),
 });
 
 // Delete form (Admin or Business Owner)
-router.delete('/:id', authenticateToken, requireRole(['ADMIN', 'BUSINESS_OWNER']), async (req, res) => {
+router.delete('/:id', authenticateToken, requireRole(['ADMIN', 'BUSINESS_OWNER'], 'forms:edit'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -511,7 +535,7 @@ router.delete('/:id', authenticateToken, requireRole(['ADMIN', 'BUSINESS_OWNER']
     }
 
     // Check permissions
-    if (req.user.role !== 'ADMIN' && req.user.id !== form.tenant.ownerId) {
+    if (req.user.role !== 'ADMIN' && req.user.tenant?.id !== form.tenantId) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
@@ -544,7 +568,7 @@ router.delete('/:id', authenticateToken, requireRole(['ADMIN', 'BUSINESS_OWNER']
 });
 
 // Hide/Show form (Admin or Business Owner)
-router.patch('/:id/visibility', authenticateToken, requireRole(['ADMIN', 'BUSINESS_OWNER']), [
+router.patch('/:id/visibility', authenticateToken, requireRole(['ADMIN', 'BUSINESS_OWNER'], 'forms:edit'), [
   body('isHidden').isBoolean()
 ], async (req, res) => {
   try {
@@ -572,7 +596,7 @@ router.patch('/:id/visibility', authenticateToken, requireRole(['ADMIN', 'BUSINE
     }
 
     // Check permissions
-    if (req.user.role !== 'ADMIN' && req.user.id !== form.tenant.ownerId) {
+    if (req.user.role !== 'ADMIN' && req.user.tenant?.id !== form.tenantId) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
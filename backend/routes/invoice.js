@@ -3,7 +3,7 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const prisma = require('../lib/db');
-const { authenticateToken, requireRole } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
 const { processInvoiceImage, processInvoiceText } = require('../services/openaiService');
 const { generateInvoiceNumber } = require('../utils/invoiceNumberGenerator');
 
@@ -40,7 +40,7 @@ const upload = multer({
 });
 
 // Process invoice image and extract products
-router.post('/process-image', authenticateToken, requireRole(['BUSINESS_OWNER']), upload.single('invoice'), async (req, res) => {
+router.post('/process-image', authenticateToken, requirePermission('purchases:edit'), upload.single('invoice'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'No invoice image provided' });
@@ -55,7 +55,7 @@ router.post('/process-image', authenticateToken, requireRole(['BUSINESS_OWNER'])
 
     // Get tenant for invoice number generation
     const tenant = await prisma.tenant.findUnique({
-      where: { ownerId: req.user.id }
+      where: { id: req.user.tenant.id }
     });
 
     if (!tenant) {
@@ -121,7 +121,7 @@ router.post('/process-image', authenticateToken, requireRole(['BUSINESS_OWNER'])
 });
 
 // Process invoice text (alternative method)
-router.post('/process-text', authenticateToken, requireRole(['BUSINESS_OWNER']), async (req, res) => {
+router.post('/process-text', authenticateToken, requirePermission('purchases:edit'), async (req, res) => {
   try {
     const { invoiceText } = req.body;
     
@@ -138,7 +138,7 @@ router.post('/process-text', authenticateToken, requireRole(['BUSINESS_OWNER']),
 
     // Get tenant for invoice number generation
     const tenant = await prisma.tenant.findUnique({
-      where: { ownerId: req.user.id }
+      where: { id: req.user.tenant.id }
     });
 
     if (!tenant) {
@@ -194,7 +194,7 @@ router.post('/process-text', authenticateToken, requireRole(['BUSINESS_OWNER']),
 });
 
 // Get supported file types
-router.get('/supported-formats', authenticateToken, requireRole(['BUSINESS_OWNER']), (req, res) => {
+router.get('/supported-formats', authenticateToken, requirePermission('purchases:edit'), (req, res) => {
   res.json({
     supportedFormats: ['image/jpeg', 'image/png', 'image/gif', 'image/webp'],
     maxFileSize: '10MB',
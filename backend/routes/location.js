@@ -0,0 +1,111 @@
+const express = require('express');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const locationService = require('../services/locationService');
+
+const router = express.Router();
+
+const sendError = (res, error, fallbackMessage) => {
+  const notFound = error.message && error.message.toLowerCase().includes('not found');
+  res.status(notFound ? 404 : 400).json({ error: error.message || fallbackMessage });
+};
+
+// Get stock locations with the units held at each
+router.get('/', authenticateToken, requirePermission('products:view'), async (req, res) => {
+  try {
+    const locations = await locationService.getLocations(req.user.tenant.id);
+    res.json({ locations });
+  } catch (error) {
+    console.error('Error fetching locations:', error);
+    res.status(500).json({ error: 'Failed to fetch locations' });
+  }
+});
+
+// Per-location quantities for every product/variant
+router.get('/stock-levels', authenticateToken, requirePermission('products:view'), async (req, res) => {
+  try {
+    const levels = await locationService.getStockLevels(req.user.tenant.id);
+    res.json({ levels });
+  } catch (error) {
+    console.error('Error fetching stock levels:', error);
+    res.status(500).json({ error: 'Failed to fetch stock levels' });
+  }
+});
+
+// Recent transfers between locations
+router.get('/transfers', authenticateToken, requirePermission('products:view'), async (req, res) => {
+  try {
+    const transfers = await locationService.getTransfers(req.user.tenant.id, req.query.limit);
+    res.json({ transfers });
+  } catch (error) {
+    console.error('Error fetching transfers:', error);
+    res.status(500).json({ error: 'Failed to fetch transfers' });
+  }
+});
+
+// Move stock from one location to another
+router.post('/transfers', authenticateToken, requirePermission('products:edit'), async (req, res) => {
+  try {
+    const result = await locationService.transferStock(req.user.tenant.id, req.body);
+    res.status(201).json(result);
+  } catch (error) {
+    console.error('Error transferring stock:', error);
+    sendError(res, error, 'Failed to transfer stock');
+  }
+});
+
+// Create a location
+router.post('/', authenticateToken, requirePermission('products:edit'), async (req, res) => {
+  try {
+    const location = await locationService.createLocation(req.user.tenant.id, req.body);
+    res.status(201).json({ location });
+  } catch (error) {
+    console.error('Error creating location:', error);
+    sendError(res, error, 'Failed to create location');
+  }
+});
+
+// Quantities held at one location
+router.get('/:id/stock', authenticateToken, requirePermission('products:view'), async (req, res) => {
+  try {
+    const stock = await locationService.getLocationStock(req.user.tenant.id, req.params.id);
+    res.json(stock);
+  } catch (error) {
+    console.error('Error fetching location stock:', error);
+    sendError(res, error, 'Failed to fetch location stock');
+  }
+});
+
+// Make a location the default
+router.post('/:id/default', authenticateToken, requirePermission('products:edit'), async (req, res) => {
+  try {
+    const location = await locationService.setDefaultLocation(req.params.id, req.user.tenant.id);
+    res.json({ location });
+  } catch (error) {
+    console.error('Error setting default location:', error);
+    sendError(res, error, 'Failed to set default location');
+  }
+});
+
+// Rename or activate/deactivate a location
+router.put('/:id', authenticateToken, requirePermission('products:edit'), async (req, res) => {
+  try {
+    const location = await locationService.updateLocation(req.params.id, req.user.tenant.id, req.body);
+    res.json({ location });
+  } catch (error) {
+    console.error('Error updating location:', error);
+    sendError(res, error, 'Failed to update location');
+  }
+});
+
+// Delete an empty location
+router.delete('/:id', authenticateToken, requirePermission('products:edit'), async (req, res) => {
+  try {
+    await locationService.deleteLocation(req.params.id, req.user.tenant.id);
+    res.json({ message: 'Location deleted' });
+  } catch (error) {
+    console.error('Error deleting location:', error);
+    sendError(res, error, 'Failed to delete location');
+  }
+});
+
+module.exports = router;
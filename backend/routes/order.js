@@ -1,7 +1,8 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const prisma = require('../lib/db');
-const { authenticateToken, requireRole } = require('../middleware/auth');
+const { authenticateToken, requireRole, requirePermission } = require('../middleware/auth');
+const { isTenantUser } = require('../utils/permissions');
 const { generateOrderNumber } = require('../utils/orderNumberGenerator');
 const profitService = require('../services/profitService');
 const customerService = require('../services/customerService');
@@ -9,9 +10,104 @@ const stockValidationService = require('../services/stockValidationService');
 const ShippingChargesService = require('../services/shippingChargesService');
 const accountingService = require('../services/accountingService');
 const codFeeService = require('../services/codFeeService');
+const courierService = require('../services/courierService');
+const auditLogService = require('../services/auditLogService');
+const promotionService = require('../services/promotionService');
+const reservationService = require('../services/reservationService');
+const locationService = require('../services/locationService');
+const packingService = require('../services/packingService');
+const shippingDocumentService = require('../services/shippingDocumentService');
+const salesInvoiceService = require('../services/salesInvoiceService');
+const customerRiskService = require('../services/customerRiskService');
+const formFieldRules = require('../utils/formFieldRules');
+const {
+  ORDER_STATUSES,
+  CONFIRMED_ORDER_STATUSES,
+  SHIPPED_ORDER_STATUSES,
+  canTransition,
+  getAllowedTransitions
+} = require('../utils/orderStatus');
 
 const router = express.Router();
 
+// Order fields recorded in the audit log when an order is edited
+const ORDER_AUDIT_FIELDS = [
+  'formData',
+  'productQuantities',
+  'productPrices',
+  'shippingCharges',
+  'paymentAmount',
+  'paymentMethod',
+  'paymentAccountId',
+  'codAmount'
+];
+
+/**
+ * Resolve quantity and price per submitted product line (composite productId_variantId keys for variants)
+ * @param {Array} products - Parsed selectedProducts
+ * @param {Object} quantities - Parsed productQuantities
+ * @param {Object} prices - Parsed productPrices
+ * @returns {Array} [{ productId, productVariantId, quantity, price }]
+ */
+function getOrderLines(products, quantities, prices) {
+  return products.map(product => {
+    const productId = product.id || null;
+    const variantId = product.variantId || product.productVariantId || null;
+    const key = variantId ? `${productId}_${variantId}` : productId;
+    return {
+      productId,
+      productVariantId: variantId,
+      quantity: Number(quantities[key] ?? quantities[productId] ?? product.quantity ?? 1) || 0,
+      price: Number(prices[key] ?? prices[productId] ?? product.price ?? 0) || 0
+    };
+  });
+}
+
+// Preview a discount code on a public form before the order is submitted
+router.post('/apply-coupon', [
+  body('formLink').notEmpty(),
+  body('couponCode').notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { formLink, couponCode, selectedProducts, productQuantities, productPrices } = req.body;
+
+    const form = await prisma.form.findUnique({
+      where: { formLink, isPublished: true },
+      select: { tenantId: true }
+    });
+    if (!form) {
+      return res.status(404).json({ error: 'Form not found or not published' });
+    }
+
+    const parse = (value, fallback) => {
+      const parsed = typeof value === 'string' ? JSON.parse(value) : value;
+      return parsed && typeof parsed === 'object' ? parsed : fallback;
+    };
+    const products = parse(selectedProducts, []);
+
+    const result = await promotionService.calculateDiscount({
+      tenantId: form.tenantId,
+      code: couponCode,
+      lines: getOrderLines(Array.isArray(products) ? products : [], parse(productQuantities, {}), parse(productPrices, {}))
+    });
+
+    res.json({
+      code: result.promotion.code,
+      name: result.promotion.name,
+      discountAmount: result.discountAmount,
+      eligibleSubtotal: result.eligibleSubtotal
+    });
+  } catch (error) {
+    console.error('Apply coupon error:', error);
+    res.status(400).json({ error: error.message || 'Failed to apply discount code' });
+  }
+});
+
 // Submit order (public endpoint)
 router.post('/submit', [
   body('formLink').notEmpty(),
@@ -24,7 +120,7 @@ router.post('/submit', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { formLink, formData, paymentAmount, paymentAccountId, paymentMethod, images, paymentReceipt, selectedProducts, productQuantities, productPrices } = req.body;
+    const { formLink, formData, paymentAmount, paymentAccountId, paymentMethod, images, paymentReceipt, selectedProducts, productQuantities, productPrices, couponCode } = req.body;
     
     // Debug: Log the received data
     console.log('📥 Received order data:');
@@ -52,7 +148,12 @@ router.post('/submit', [
           select: {
             id: true,
             businessName: true,
-            whatsappNumber: true
+            whatsappNumber: true,
+            stockReservationHours: true,
+            riskReviewScore: true,
+            riskPrepaymentScore: true,
+            riskRejectScore: true,
+            blocklistAction: true
           }
         }
       }
@@ -62,30 +163,34 @@ router.post('/submit', [
       return res.status(404).json({ error: 'Form not found or not published' });
     }
 
-    // Validate required fields
-    const requiredFields = form.fields.filter(field => field.isRequired);
-    const missingFields = requiredFields.filter(field => {
-      if (field.fieldType === 'FILE_UPLOAD') {
-        // For file uploads, check if images array is provided and not empty
-        if (field.label.toLowerCase().includes('image') || field.label.toLowerCase().includes('dress')) {
-          return !images || images.length === 0;
-        }
-        // For receipt uploads, they're usually optional or handled separately
-        return false;
-      } else {
-        // For regular fields, check if value exists and is not empty
-        const value = formData[field.label];
-        return value === undefined || value === null || value === '' || (typeof value === 'string' && value.trim() === '');
-      }
-    });
+    // Validate answers: required fields, type/min/max/regex rules; hidden fields are skipped
+    const { missingFields, invalidFields, hiddenFields } = formFieldRules.validateSubmission(form.fields, formData, { images });
 
     if (missingFields.length > 0) {
       return res.status(400).json({
         error: 'Missing required fields',
-        missingFields: missingFields.map(field => field.label)
+        missingFields
       });
     }
 
+    if (invalidFields.length > 0) {
+      return res.status(400).json({
+        error: invalidFields.map(entry => entry.message).join('; '),
+        invalidFields
+      });
+    }
+
+    // Answers to questions the customer never saw are not kept
+    hiddenFields.forEach(label => {
+      delete formData[label];
+    });
+    // Checkbox groups arrive as arrays; store them as text like every other answer
+    form.fields
+      .filter(field => field.fieldType === 'CHECKBOX' && Array.isArray(formData[field.label]))
+      .forEach(field => {
+        formData[field.label] = formData[field.label].join(', ');
+      });
+
     // Extract phone number for customer lookup
     let phoneNumber = null;
     const phoneField = form.fields.find(field =>
@@ -105,6 +210,21 @@ router.post('/submit', [
       console.log('No phone number found in form data');
     }
 
+    // Submit-time risk rules: the tenant's blocklist and the customer's record of refused
+    // deliveries, cancellations and returns. Checked before the customer record is touched.
+    const risk = await customerRiskService.assessSubmission(form.tenant, { phoneNumber, formData });
+    if (risk.action === 'REJECT') {
+      return res.status(403).json({
+        error: 'This order cannot be accepted online. Please contact the business directly.'
+      });
+    }
+    if (risk.action === 'REQUIRE_PREPAYMENT' && !(parseFloat(paymentAmount) > 0)) {
+      return res.status(400).json({
+        error: 'Advance payment is required for this order. Please pay in advance and enter the amount paid.',
+        prepaymentRequired: true
+      });
+    }
+
     // Handle customer creation/update
     let customer = null;
     if (phoneNumber) {
@@ -215,6 +335,24 @@ router.post('/submit', [
       parsedPrices = {};
     }
 
+    // Validate the coupon against the submitted lines; the discount is worked out here, never taken from the client
+    let promotion = null;
+    let discountAmount = 0;
+    if (couponCode && String(couponCode).trim()) {
+      try {
+        const result = await promotionService.calculateDiscount({
+          tenantId: form.tenant.id,
+          code: couponCode,
+          lines: getOrderLines(parsedProducts, parsedQuantities, parsedPrices),
+          customerId: customer ? customer.id : null
+        });
+        promotion = result.promotion;
+        discountAmount = result.discountAmount;
+      } catch (couponError) {
+        return res.status(400).json({ error: couponError.message });
+      }
+    }
+
     // Avoid storing "products total only" as payment amount when order has shipping (common mistake).
     // Payment amount should be 0, null, or full/partial order total, not just products subtotal.
     let effectivePaymentAmount = paymentAmount != null && paymentAmount !== '' ? parseFloat(paymentAmount) : null;
@@ -225,6 +363,7 @@ router.post('/submit', [
         const price = parsedPrices[p.id] ?? parsedPrices[`${p.id}_${p.variantId || p.productVariantId}`] ?? p.price ?? p.currentRetailPrice ?? 0;
         productsTotalOnly += (Number(qty) || 0) * (Number(price) || 0);
       });
+      productsTotalOnly -= discountAmount;
       const hasShipping = shippingCharges != null && Number(shippingCharges) > 0;
       if (hasShipping && Math.abs(effectivePaymentAmount - productsTotalOnly) < 0.01) {
         effectivePaymentAmount = null;
@@ -236,6 +375,48 @@ router.post('/submit', [
 
     // Create order with OrderItems in a transaction
     const order = await prisma.$transaction(async (tx) => {
+      if (promotion) {
+        // Lock the promotion and count its uses again, so two orders racing for the last use cannot both get it
+        await tx.promotion.update({ where: { id: promotion.id }, data: { updatedAt: new Date() } });
+        try {
+          await promotionService.calculateDiscount({
+            tenantId: form.tenant.id,
+            code: promotion.code,
+            lines: getOrderLines(parsedProducts, parsedQuantities, parsedPrices),
+            customerId: customer ? customer.id : null,
+            client: tx
+          });
+        } catch (couponError) {
+          couponError.code = 'COUPON_REJECTED';
+          throw couponError;
+        }
+      }
+
+      if (selectedProducts && productQuantities) {
+        // Lock the ordered lines and check stock again, so two orders racing for the last units cannot both reserve them
+        const productIds = [...new Set(parsedProducts.map(product => product.id).filter(Boolean))].sort();
+        const variantIds = [...new Set(parsedProducts.map(product => product.variantId || product.productVariantId).filter(Boolean))].sort();
+        for (const productId of productIds) {
+          await tx.product.updateMany({ where: { id: productId, tenantId: form.tenant.id }, data: { updatedAt: new Date() } });
+        }
+        for (const variantId of variantIds) {
+          await tx.productVariant.updateMany({ where: { id: variantId }, data: { updatedAt: new Date() } });
+        }
+        const lockedValidation = await stockValidationService.validateStockAvailability(
+          form.tenant.id,
+          selectedProducts,
+          productQuantities,
+          null,
+          tx
+        );
+        if (!lockedValidation.isValid) {
+          const stockError = new Error(lockedValidation.errors.map(err => err.message).join('; '));
+          stockError.code = 'STOCK_UNAVAILABLE';
+          stockError.details = lockedValidation.errors;
+          throw stockError;
+        }
+      }
+
       const newOrder = await tx.order.create({
         data: {
           orderNumber: orderNumber,
@@ -253,6 +434,12 @@ router.post('/submit', [
           selectedProducts: selectedProducts || null,
           productQuantities: productQuantities || null,
           productPrices: productPrices || null,
+          promotionId: promotion ? promotion.id : null,
+          promotionCode: promotion ? promotion.code : null,
+          discountAmount,
+          riskScore: risk.score,
+          riskAction: risk.action,
+          riskReasons: risk.reasons.length > 0 ? JSON.stringify(risk.reasons) : null,
           status: 'PENDING'
         }
       });
@@ -280,6 +467,14 @@ router.post('/submit', [
         await tx.orderItem.createMany({
           data: orderItemsData
         });
+
+        // Hold the stock until the order is confirmed, cancelled or the window lapses
+        await reservationService.reserveOrderItems(tx, {
+          tenantId: form.tenant.id,
+          orderId: newOrder.id,
+          items: orderItemsData,
+          expiresAt: reservationService.getExpiryDate(form.tenant.stockReservationHours)
+        });
       }
 
       return newOrder;
@@ -361,6 +556,16 @@ router.post('/submit', [
       businessOwnerPhone: businessOwnerPhone
     });
   } catch (error) {
+    if (error.code === 'COUPON_REJECTED') {
+      return res.status(400).json({ error: error.message });
+    }
+    if (error.code === 'STOCK_UNAVAILABLE') {
+      return res.status(400).json({
+        error: 'Insufficient stock available',
+        details: error.details,
+        message: error.message
+      });
+    }
     console.error('Submit order error:', error);
     console.error('Error stack:', error.stack);
     console.error('Error message:', error.message);
@@ -372,9 +577,9 @@ router.post('/submit', [
 });
 
 // Get orders (Admin, Business Owner, Stock Keeper)
-router.get('/', authenticateToken, async (req, res) => {
+router.get('/', authenticateToken, requireRole(['ADMIN', 'STOCK_KEEPER', 'BUSINESS_OWNER'], 'orders:view'), async (req, res) => {
   try {
-    const { status, page = 1, limit = 10, tenantId } = req.query;
+    const { status, page = 1, limit = 10, tenantId, locationId } = req.query;
     const pageNum = Math.max(1, parseInt(page) || 1);
     const limitNum = Math.max(1, Math.min(100, parseInt(limit) || 10));
     const skipNum = (pageNum - 1) * limitNum;
@@ -383,14 +588,14 @@ router.get('/', authenticateToken, async (req, res) => {
 
     // Filter based on user role
     // Optimize: Use tenant from authenticated user (already loaded in middleware)
-    if (req.user.role === 'BUSINESS_OWNER') {
+    if (isTenantUser(req.user)) {
       if (!req.user.tenant?.id) {
         return res.status(404).json({ error: 'No tenant found for this user' });
       }
       whereClause.tenantId = req.user.tenant.id;
     } else if (req.user.role === 'STOCK_KEEPER') {
-      // Stock keeper sees only confirmed orders
-      whereClause.status = { in: ['CONFIRMED', 'DISPATCHED'] };
+      // Stock keeper sees only confirmed orders and parcels still with the courier
+      whereClause.status = { in: ['CONFIRMED', 'DISPATCHED', 'IN_TRANSIT', 'FAILED_DELIVERY', 'RETURNED_TO_ORIGIN'] };
     } else if (req.user.role === 'ADMIN' && tenantId) {
       // Admin can filter by specific tenant
       whereClause.tenantId = tenantId;
@@ -401,6 +606,18 @@ router.get('/', authenticateToken, async (req, res) => {
       whereClause.status = status.toUpperCase();
     }
 
+    // Filter by location: its business's orders awaiting dispatch plus those shipped from it
+    if (locationId) {
+      const location = await prisma.stockLocation.findFirst({
+        where: { id: locationId, ...(whereClause.tenantId && { tenantId: whereClause.tenantId }) }
+      });
+      if (!location) {
+        return res.status(404).json({ error: 'Location not found' });
+      }
+      whereClause.tenantId = location.tenantId;
+      whereClause.OR = [{ status: 'CONFIRMED' }, { dispatchLocationId: location.id }];
+    }
+
 
     const [orders, total] = await Promise.all([
       prisma.order.findMany({
@@ -419,6 +636,12 @@ router.get('/', authenticateToken, async (req, res) => {
               businessName: true,
               businessType: true
             }
+          },
+          dispatchLocation: {
+            select: {
+              id: true,
+              name: true
+            }
           }
         },
         orderBy: {
@@ -489,6 +712,12 @@ router.get('/receipt/:id', async (req, res) => {
             businessType: true,
             whatsappNumber: true
           }
+        },
+        logisticsCompany: {
+          select: {
+            name: true,
+            trackingUrlTemplate: true
+          }
         }
       }
     });
@@ -497,15 +726,43 @@ router.get('/receipt/:id', async (req, res) => {
       return res.status(404).json({ error: 'Order not found' });
     }
 
-    res.json({ order });
+    res.json({
+      order: {
+        ...order,
+        trackingUrl: courierService.getTrackingUrl(order.logisticsCompany, order.trackingNumber)
+      }
+    });
   } catch (error) {
     console.error('Get order error:', error);
     res.status(500).json({ error: 'Failed to fetch order details' });
   }
 });
 
+// Active stock locations orders can be dispatched from
+router.get('/dispatch-locations', authenticateToken, requireRole(['ADMIN', 'STOCK_KEEPER', 'BUSINESS_OWNER'], 'orders:view'), async (req, res) => {
+  try {
+    const where = { isActive: true };
+    if (isTenantUser(req.user)) {
+      if (!req.user.tenant?.id) {
+        return res.status(404).json({ error: 'No tenant found for this user' });
+      }
+      where.tenantId = req.user.tenant.id;
+    }
+
+    const locations = await prisma.stockLocation.findMany({
+      where,
+      include: { tenant: { select: { businessName: true } } },
+      orderBy: [{ tenantId: 'asc' }, { isDefault: 'desc' }, { name: 'asc' }]
+    });
+    res.json({ locations });
+  } catch (error) {
+    console.error('Get dispatch locations error:', error);
+    res.status(500).json({ error: 'Failed to fetch dispatch locations' });
+  }
+});
+
 // Get single order
-router.get('/:id', authenticateToken, async (req, res) => {
+router.get('/:id', authenticateToken, requireRole(['ADMIN', 'STOCK_KEEPER', 'BUSINESS_OWNER'], 'orders:view'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -534,7 +791,15 @@ router.get('/:id', authenticateToken, async (req, res) => {
           select: {
             id: true,
             name: true,
-            codFeeCalculationType: true
+            codFeeCalculationType: true,
+            courierService: true,
+            trackingUrlTemplate: true
+          }
+        },
+        dispatchLocation: {
+          select: {
+            id: true,
+            name: true
           }
         },
         orderItems: {
@@ -571,7 +836,7 @@ router.get('/:id', authenticateToken, async (req, res) => {
     }
 
     // Check permissions
-    if (req.user.role === 'BUSINESS_OWNER' && req.user.id !== order.tenant.ownerId) {
+    if (isTenantUser(req.user) && req.user.tenant?.id !== order.tenantId) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
@@ -579,12 +844,13 @@ router.get('/:id', authenticateToken, async (req, res) => {
     const parsedOrder = {
       ...order,
       formData: JSON.parse(order.formData),
-      images: order.images ? JSON.parse(order.images) : null
+      images: order.images ? JSON.parse(order.images) : null,
+      trackingUrl: courierService.getTrackingUrl(order.logisticsCompany, order.trackingNumber)
     };
 
     // Calculate profit if order is confirmed, dispatched, or completed
     let profitData = null;
-    if (['CONFIRMED', 'DISPATCHED', 'COMPLETED'].includes(order.status)) {
+    if (CONFIRMED_ORDER_STATUSES.includes(order.status)) {
       try {
         profitData = await profitService.calculateOrderProfit(order);
       } catch (error) {
@@ -604,7 +870,7 @@ router.get('/:id', authenticateToken, async (req, res) => {
 });
 
 // Confirm order (Business Owner only)
-router.post('/:id/confirm', authenticateToken, requireRole(['BUSINESS_OWNER']), async (req, res) => {
+router.post('/:id/confirm', authenticateToken, requirePermission('orders:confirm'), async (req, res) => {
   try {
     const { id } = req.params;
     const { paymentAccountId, codFeePaidBy, logisticsCompanyId } = req.body; // Payment account and COD fee preference
@@ -627,7 +893,7 @@ router.post('/:id/confirm', authenticateToken, requireRole(['BUSINESS_OWNER']),
     }
 
     // Check permissions
-    if (req.user.id !== order.tenant.ownerId) {
+    if (req.user.tenant?.id !== order.tenantId) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
@@ -635,6 +901,14 @@ router.post('/:id/confirm', authenticateToken, requireRole(['BUSINESS_OWNER']),
       return res.status(400).json({ error: 'Order can only be confirmed from pending status' });
     }
 
+    if (order.riskAction && !order.riskReviewedAt) {
+      return res.status(400).json({
+        error: order.riskAction === 'REQUIRE_PREPAYMENT'
+          ? 'This order needs advance payment. Check the payment and mark the order as reviewed before confirming.'
+          : 'This order is flagged for review. Mark it as reviewed before confirming.'
+      });
+    }
+
     // Calculate order total for accounting
     let productsTotal = 0;
     let selectedProductsList = [];
@@ -664,7 +938,8 @@ router.post('/:id/confirm', authenticateToken, requireRole(['BUSINESS_OWNER']),
     }
 
     const shippingCharges = order.shippingCharges || 0;
-    const baseOrderTotal = productsTotal + shippingCharges;
+    const discountAmount = order.discountAmount || 0;
+    const baseOrderTotal = productsTotal - discountAmount + shippingCharges;
     const paymentAmount = order.paymentAmount || 0;
     const codAmount = baseOrderTotal - paymentAmount;
 
@@ -716,6 +991,9 @@ router.post('/:id/confirm', authenticateToken, requireRole(['BUSINESS_OWNER']),
         data: updateData
       });
 
+      // Stock is deducted on confirmation, so the pending hold is no longer needed
+      await reservationService.releaseOrderReservations(id, 'CONFIRMED', tx);
+
       // Create accounting transaction for AR
       try {
         // Get or create accounts
@@ -766,6 +1044,24 @@ router.post('/:id/confirm', authenticateToken, requireRole(['BUSINESS_OWNER']),
           }
         ];
 
+        // Coupon discount: sales stay at list price, the discount goes to the contra-revenue account
+        if (discountAmount > 0) {
+          const salesDiscountsAccount = await accountingService.getAccountByCode('4110', order.tenantId) ||
+            await accountingService.getOrCreateAccount({
+              code: '4110',
+              name: 'Sales Discounts',
+              type: 'INCOME',
+              tenantId: order.tenantId,
+              balance: 0
+            });
+
+          transactionLines.push({
+            accountId: salesDiscountsAccount.id,
+            debitAmount: discountAmount,
+            creditAmount: 0
+          });
+        }
+
         // If customer pays COD fee, add it as revenue
         if (codFeePaymentPreference === 'CUSTOMER' && codFee && codFee > 0) {
           const codFeeRevenueAccount = await accountingService.getAccountByCode('4400', order.tenantId) ||
@@ -923,11 +1219,160 @@ router.post('/:id/confirm', authenticateToken, requireRole(['BUSINESS_OWNER']),
   }
 });
 
+// Orders staff may print paperwork for: their own business's, or for stock keepers, parcels in their hands
+function documentScope(user) {
+  if (isTenantUser(user)) {
+    return { tenantId: user.tenant?.id };
+  }
+  return { status: { in: ['CONFIRMED', 'DISPATCHED', 'IN_TRANSIT', 'FAILED_DELIVERY', 'RETURNED_TO_ORIGIN'] } };
+}
+
+async function sendShippingDocuments(res, type, orderIds, user) {
+  if (!shippingDocumentService.getDocumentTypes()[type]) {
+    return res.status(400).json({ error: 'Unknown document type' });
+  }
+  try {
+    const orders = await shippingDocumentService.getOrders(orderIds, documentScope(user));
+    const pdf = await shippingDocumentService.buildPdf(type, orders);
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="${shippingDocumentService.getFilename(type, orders)}"`);
+    res.send(pdf);
+  } catch (error) {
+    if (error.message.includes('not found')) {
+      return res.status(404).json({ error: error.message });
+    }
+    if (error.message.includes('Select at least') || error.message.includes('at a time')) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Shipping documents error:', error);
+    res.status(500).json({ error: 'Failed to create documents' });
+  }
+}
+
+// Packing slips / shipping labels for a batch of orders (PDF, one page or label per order)
+router.post('/documents/:type', authenticateToken, requireRole(['BUSINESS_OWNER', 'STOCK_KEEPER'], 'orders:view'), [
+  body('orderIds').isArray({ min: 1 }).withMessage('Select at least one order'),
+  body('orderIds.*').isString().withMessage('Order IDs must be strings')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  await sendShippingDocuments(res, req.params.type, req.body.orderIds, req.user);
+});
+
+// Packing slip / shipping label for one order
+router.get('/:id/documents/:type', authenticateToken, requireRole(['BUSINESS_OWNER', 'STOCK_KEEPER'], 'orders:view'), async (req, res) => {
+  await sendShippingDocuments(res, req.params.type, [req.params.id], req.user);
+});
+
+// Sales invoice for one order (PDF); the invoice number is issued on the first download
+router.get('/:id/invoice', authenticateToken, requirePermission('orders:view'), async (req, res) => {
+  try {
+    const { invoice, order } = await salesInvoiceService.getInvoice(req.params.id, req.user.tenant.id, req.user);
+    const pdf = await salesInvoiceService.buildPdf(salesInvoiceService.buildInvoiceData(invoice, order));
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="invoice-${invoice.invoiceNumber}.pdf"`);
+    res.send(pdf);
+  } catch (error) {
+    if (error.message === 'Order not found') {
+      return res.status(404).json({ error: error.message });
+    }
+    if (error.message.includes('confirmed orders')) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Sales invoice error:', error);
+    res.status(500).json({ error: 'Failed to create invoice' });
+  }
+});
+
+// Lines of an order with the label codes each accepts (scan-to-pack)
+router.get('/:id/pack-list', authenticateToken, requireRole(['BUSINESS_OWNER', 'STOCK_KEEPER'], 'orders:dispatch'), async (req, res) => {
+  try {
+    const packList = await packingService.getPackList(req.params.id);
+    if (isTenantUser(req.user) && req.user.tenant?.id !== packList.tenantId) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+    res.json({ packList });
+  } catch (error) {
+    if (error.message === 'Order not found') {
+      return res.status(404).json({ error: error.message });
+    }
+    console.error('Get pack list error:', error);
+    res.status(500).json({ error: 'Failed to get pack list' });
+  }
+});
+
+// Check scanned labels against the order lines; marks the order verified when all units are scanned
+router.post('/:id/pack-scan', authenticateToken, requireRole(['BUSINESS_OWNER', 'STOCK_KEEPER'], 'orders:dispatch'), [
+  body('codes').isArray({ max: 1000 }).withMessage('Codes must be a list of scanned labels'),
+  body('codes.*').isString().withMessage('Each scanned code must be a string')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const order = await prisma.order.findUnique({ where: { id: req.params.id }, select: { tenantId: true } });
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    if (isTenantUser(req.user) && req.user.tenant?.id !== order.tenantId) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const result = await packingService.verifyPack(req.params.id, req.body.codes, req.user);
+    res.json({ result });
+  } catch (error) {
+    if (error.message.includes('confirmed') || error.message.includes('no item lines')) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Pack scan error:', error);
+    res.status(500).json({ error: 'Failed to check scanned items' });
+  }
+});
+
+// Clear a submit-time risk flag once the order (and any advance payment) has been checked
+router.post('/:id/risk-review', authenticateToken, requirePermission('orders:confirm'), async (req, res) => {
+  try {
+    const order = await prisma.order.findUnique({
+      where: { id: req.params.id },
+      select: { tenantId: true, riskAction: true, riskReviewedAt: true }
+    });
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    if (req.user.tenant?.id !== order.tenantId) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+    if (!order.riskAction) {
+      return res.status(400).json({ error: 'This order is not flagged' });
+    }
+    if (order.riskReviewedAt) {
+      return res.status(400).json({ error: 'This order has already been reviewed' });
+    }
+
+    const updated = await prisma.order.update({
+      where: { id: req.params.id },
+      data: { riskReviewedAt: new Date(), riskReviewedBy: req.user.id },
+      select: { id: true, riskAction: true, riskReviewedAt: true, riskReviewedBy: true }
+    });
+    res.json({ message: 'Order marked as reviewed', order: updated });
+  } catch (error) {
+    console.error('Risk review error:', error);
+    res.status(500).json({ error: 'Failed to mark order as reviewed' });
+  }
+});
+
 // Dispatch order (Business Owner or Stock Keeper)
-router.post('/:id/dispatch', authenticateToken, requireRole(['BUSINESS_OWNER', 'STOCK_KEEPER']), [
+router.post('/:id/dispatch', authenticateToken, requireRole(['BUSINESS_OWNER', 'STOCK_KEEPER'], 'orders:dispatch'), [
   body('actualShippingCost').optional().isFloat({ min: 0 }).withMessage('Actual shipping cost must be a number >= 0'),
   body('logisticsCompanyId').optional().isString().withMessage('Logistics company ID must be a string'),
-  body('codFee').optional().isFloat({ min: 0 }).withMessage('COD fee must be a number >= 0')
+  body('codFee').optional().isFloat({ min: 0 }).withMessage('COD fee must be a number >= 0'),
+  body('trackingNumber').optional({ nullable: true }).isString().withMessage('Tracking number must be a string'),
+  body('consignmentNumber').optional({ nullable: true }).isString().withMessage('Consignment number must be a string'),
+  body('locationId').optional({ nullable: true }).isString().withMessage('Location ID must be a string')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -936,7 +1381,7 @@ router.post('/:id/dispatch', authenticateToken, requireRole(['BUSINESS_OWNER', '
     }
 
     const { id } = req.params;
-    const { actualShippingCost, logisticsCompanyId, codFee: manualCodFee } = req.body;
+    const { actualShippingCost, logisticsCompanyId, codFee: manualCodFee, trackingNumber, consignmentNumber, locationId } = req.body;
 
     const order = await prisma.order.findUnique({
       where: { id },
@@ -944,7 +1389,16 @@ router.post('/:id/dispatch', authenticateToken, requireRole(['BUSINESS_OWNER', '
         tenant: {
           select: {
             ownerId: true,
-            defaultCodFeePaidBy: true
+            defaultCodFeePaidBy: true,
+            requirePackScan: true
+          }
+        },
+        orderItems: {
+          select: {
+            productId: true,
+            productVariantId: true,
+            productName: true,
+            quantity: true
           }
         }
       }
@@ -955,7 +1409,7 @@ router.post('/:id/dispatch', authenticateToken, requireRole(['BUSINESS_OWNER', '
     }
 
     // Check permissions for Business Owner
-    if (req.user.role === 'BUSINESS_OWNER' && req.user.id !== order.tenant.ownerId) {
+    if (isTenantUser(req.user) && req.user.tenant?.id !== order.tenantId) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
@@ -963,6 +1417,32 @@ router.post('/:id/dispatch', authenticateToken, requireRole(['BUSINESS_OWNER', '
       return res.status(400).json({ error: 'Order can only be dispatched from confirmed status' });
     }
 
+    const packBlock = packingService.getDispatchBlock(
+      order,
+      order.tenant,
+      order.orderItems.filter(item => item.productId).length
+    );
+    if (packBlock) {
+      return res.status(400).json({ error: packBlock, packScanRequired: true });
+    }
+
+    // Location the parcel ships from (the tenant's default location when not given)
+    const dispatchLocation = locationId
+      ? await prisma.stockLocation.findFirst({ where: { id: locationId, tenantId: order.tenantId, isActive: true } })
+      : await prisma.stockLocation.findFirst({ where: { tenantId: order.tenantId, isDefault: true } });
+    if (locationId && !dispatchLocation) {
+      return res.status(400).json({ error: 'Dispatch location not found' });
+    }
+    if (dispatchLocation) {
+      const shortfalls = await locationService.getDispatchShortfalls(dispatchLocation, order.orderItems);
+      if (shortfalls.length > 0) {
+        return res.status(400).json({
+          error: `Not enough stock at ${dispatchLocation.name}: ${shortfalls.join('; ')}`,
+          shortfalls
+        });
+      }
+    }
+
     // Calculate shipping variance
     const shippingCharges = order.shippingCharges || 0;
     const actualCost = actualShippingCost !== undefined && actualShippingCost !== null 
@@ -974,7 +1454,8 @@ router.post('/:id/dispatch', authenticateToken, requireRole(['BUSINESS_OWNER', '
       status: 'DISPATCHED',
       actualShippingCost: actualCost,
       shippingVariance: variance !== 0 ? variance : null,
-      shippingVarianceDate: variance !== 0 ? new Date() : null
+      shippingVarianceDate: variance !== 0 ? new Date() : null,
+      dispatchLocationId: dispatchLocation ? dispatchLocation.id : null
     };
 
     // Handle manual COD fee override if provided
@@ -1009,7 +1490,7 @@ router.post('/:id/dispatch', authenticateToken, requireRole(['BUSINESS_OWNER', '
       }
       
       // Calculate COD amount
-      const baseOrderTotal = productsTotal + shippingCharges;
+      const baseOrderTotal = productsTotal - (order.discountAmount || 0) + shippingCharges;
       const paymentAmount = order.paymentAmount || 0;
       const codAmount = baseOrderTotal - paymentAmount;
       
@@ -1060,7 +1541,7 @@ router.post('/:id/dispatch', authenticateToken, requireRole(['BUSINESS_OWNER', '
         }
         
         // Calculate COD amount
-        const baseOrderTotal = productsTotal + shippingCharges;
+        const baseOrderTotal = productsTotal - (order.discountAmount || 0) + shippingCharges;
         const paymentAmount = order.paymentAmount || 0;
         const codAmount = baseOrderTotal - paymentAmount;
         
@@ -1095,12 +1576,53 @@ router.post('/:id/dispatch', authenticateToken, requireRole(['BUSINESS_OWNER', '
       }
     }
 
+    // Book the parcel with the courier (or record the tracking number typed in by staff)
+    const dispatchCompanyId = updateData.logisticsCompanyId || order.logisticsCompanyId;
+    const dispatchCompany = dispatchCompanyId
+      ? await prisma.logisticsCompany.findFirst({ where: { id: dispatchCompanyId, tenantId: order.tenantId } })
+      : null;
+
+    // Claim the order before booking, so two dispatch requests cannot both book a parcel and take the stock
+    const claim = await prisma.order.updateMany({
+      where: { id, status: 'CONFIRMED' },
+      data: { status: 'DISPATCHED' }
+    });
+    if (claim.count === 0) {
+      return res.status(400).json({ error: 'Order can only be dispatched from confirmed status' });
+    }
+    const releaseClaim = () => prisma.order.updateMany({
+      where: { id, status: 'DISPATCHED' },
+      data: { status: 'CONFIRMED' }
+    });
+
+    try {
+      const booking = await courierService.bookShipment(
+        { ...order, ...updateData },
+        dispatchCompany || { courierService: 'MANUAL' },
+        { trackingNumber, consignmentNumber }
+      );
+      if (booking) {
+        Object.assign(updateData, booking);
+      }
+    } catch (bookingError) {
+      console.error('Courier booking error:', bookingError);
+      await releaseClaim();
+      return res.status(502).json({
+        error: `Courier booking failed: ${bookingError.message}. Enter the tracking number manually or try again.`
+      });
+    }
+
+    let dispatchError = null;
     const updatedOrder = await prisma.$transaction(async (tx) => {
       const updated = await tx.order.update({
       where: { id },
         data: updateData
       });
 
+      if (dispatchLocation) {
+        await locationService.dispatchFromLocation(tx, dispatchLocation, order.orderItems);
+      }
+
       // Create accounting entries for shipping variance if exists
       if (variance !== 0) {
         try {
@@ -1522,14 +2044,51 @@ router.post('/:id/dispatch', authenticateToken, requireRole(['BUSINESS_OWNER', '
       }
 
       return updated;
+    }).catch(async (error) => {
+      console.error('Dispatch transaction error:', error);
+      dispatchError = error;
+      await releaseClaim();
+      return null;
     });
 
-    // TODO: Send notification to business owner and customer
+    if (!updatedOrder) {
+      // A courier booking was already made: dispatching again with its tracking number avoids a second parcel
+      const bookedTrackingNumber = !trackingNumber && !consignmentNumber ? updateData.trackingNumber : null;
+      // Stock at the location ran out while the courier was being booked
+      const stockShort = dispatchError?.code === 'STOCK_UNAVAILABLE';
+      const reason = stockShort ? dispatchError.message : 'Failed to dispatch order';
+      return res.status(stockShort ? 400 : 500).json({
+        error: bookedTrackingNumber
+          ? `${reason}. Courier booking ${bookedTrackingNumber} was made; dispatch again with this tracking number.`
+          : reason,
+        ...(stockShort && { shortfalls: dispatchError.details }),
+        trackingNumber: bookedTrackingNumber || null
+      });
+    }
+
     console.log(`✅ Order ${id} dispatched by ${req.user.role}!`);
 
+    // Share tracking details with the customer on WhatsApp
+    let whatsappUrl = null;
+    let customerPhone = null;
+    if (updatedOrder.trackingNumber) {
+      try {
+        const whatsappService = require('../utils/whatsappService');
+        customerPhone = whatsappService.getCustomerPhone(order.formData);
+        if (customerPhone) {
+          const trackingUrl = courierService.getTrackingUrl(dispatchCompany, updatedOrder.trackingNumber);
+          const message = whatsappService.generateOrderDispatchMessage(updatedOrder, dispatchCompany, trackingUrl);
+          whatsappUrl = whatsappService.generateWhatsAppUrl(customerPhone, message);
+        }
+      } catch (whatsappError) {
+        console.error('⚠️  Error generating WhatsApp dispatch notification (order still dispatched):', whatsappError);
+      }
+    }
+
     res.json({
       message: 'Order dispatched successfully',
-      order: updatedOrder
+      order: updatedOrder,
+      ...(whatsappUrl && { whatsappUrl, customerPhone })
     });
   } catch (error) {
     console.error('Dispatch order error:', error);
@@ -1537,8 +2096,83 @@ router.post('/:id/dispatch', authenticateToken, requireRole(['BUSINESS_OWNER', '
   }
 });
 
+// Book shipment / record tracking number for an already dispatched order (Business Owner or Stock Keeper)
+router.post('/:id/book-shipment', authenticateToken, requireRole(['BUSINESS_OWNER', 'STOCK_KEEPER'], 'orders:dispatch'), [
+  body('trackingNumber').optional({ nullable: true }).isString().withMessage('Tracking number must be a string'),
+  body('consignmentNumber').optional({ nullable: true }).isString().withMessage('Consignment number must be a string')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+    const { trackingNumber, consignmentNumber } = req.body;
+
+    const order = await prisma.order.findUnique({
+      where: { id },
+      include: {
+        tenant: {
+          select: {
+            ownerId: true
+          }
+        },
+        logisticsCompany: true,
+        orderItems: {
+          select: {
+            quantity: true
+          }
+        }
+      }
+    });
+
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    if (isTenantUser(req.user) && req.user.tenant?.id !== order.tenantId) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    if (order.status !== 'DISPATCHED') {
+      return res.status(400).json({ error: 'Shipments can only be booked for dispatched orders' });
+    }
+
+    let booking;
+    try {
+      booking = await courierService.bookShipment(
+        order,
+        order.logisticsCompany || { courierService: 'MANUAL' },
+        { trackingNumber, consignmentNumber }
+      );
+    } catch (bookingError) {
+      console.error('Courier booking error:', bookingError);
+      return res.status(502).json({ error: `Courier booking failed: ${bookingError.message}` });
+    }
+
+    if (!booking) {
+      return res.status(400).json({ error: 'Tracking number or consignment number is required' });
+    }
+
+    const updatedOrder = await prisma.order.update({
+      where: { id },
+      data: booking
+    });
+
+    res.json({
+      message: 'Shipment booked successfully',
+      order: updatedOrder,
+      trackingUrl: courierService.getTrackingUrl(order.logisticsCompany, updatedOrder.trackingNumber)
+    });
+  } catch (error) {
+    console.error('Book shipment error:', error);
+    res.status(500).json({ error: 'Failed to book shipment' });
+  }
+});
+
 // Adjust shipping cost for dispatched/completed orders (Business Owner or Stock Keeper)
-router.post('/:id/adjust-shipping-cost', authenticateToken, requireRole(['BUSINESS_OWNER', 'STOCK_KEEPER']), [
+router.post('/:id/adjust-shipping-cost', authenticateToken, requireRole(['BUSINESS_OWNER', 'STOCK_KEEPER'], 'orders:dispatch'), [
   body('actualShippingCost').isFloat({ min: 0 }).withMessage('Actual shipping cost must be a number >= 0')
 ], async (req, res) => {
   try {
@@ -1566,14 +2200,14 @@ router.post('/:id/adjust-shipping-cost', authenticateToken, requireRole(['BUSINE
     }
 
     // Check permissions for Business Owner
-    if (req.user.role === 'BUSINESS_OWNER' && req.user.id !== order.tenant.ownerId) {
+    if (isTenantUser(req.user) && req.user.tenant?.id !== order.tenantId) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
-    // Only allow adjustment for DISPATCHED or COMPLETED orders
-    if (order.status !== 'DISPATCHED' && order.status !== 'COMPLETED') {
+    // Only allow adjustment once the order has been handed over to the courier
+    if (!SHIPPED_ORDER_STATUSES.includes(order.status)) {
       return res.status(400).json({ 
-        error: 'Shipping cost can only be adjusted for DISPATCHED or COMPLETED orders' 
+        error: 'Shipping cost can only be adjusted for orders handed over to a courier' 
       });
     }
 
@@ -1851,7 +2485,7 @@ router.post('/:id/adjust-shipping-cost', authenticateToken, requireRole(['BUSINE
 });
 
 // Verify payment for an order
-router.post('/:id/verify-payment', authenticateToken, requireRole(['BUSINESS_OWNER']), [
+router.post('/:id/verify-payment', authenticateToken, requirePermission('orders:edit'), [
   body('verifiedAmount').isFloat({ min: 0 }).withMessage('Verified amount must be >= 0'),
   body('paymentAccountId').notEmpty().withMessage('Payment account is required')
 ], async (req, res) => {
@@ -1878,12 +2512,12 @@ router.post('/:id/verify-payment', authenticateToken, requireRole(['BUSINESS_OWN
     }
 
     // Check permissions
-    if (req.user.id !== order.tenant.ownerId) {
+    if (req.user.tenant?.id !== order.tenantId) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
-    // Only allow verification for CONFIRMED, DISPATCHED, or COMPLETED orders
-    if (!['CONFIRMED', 'DISPATCHED', 'COMPLETED'].includes(order.status)) {
+    // Only allow verification for confirmed orders (including those still with the courier)
+    if (!CONFIRMED_ORDER_STATUSES.includes(order.status)) {
       return res.status(400).json({ 
         error: 'Payment can only be verified for confirmed orders' 
       });
@@ -2001,7 +2635,7 @@ router.post('/:id/verify-payment', authenticateToken, requireRole(['BUSINESS_OWN
 });
 
 // Update verified payment for an order
-router.patch('/:id/update-verified-payment', authenticateToken, requireRole(['BUSINESS_OWNER']), [
+router.patch('/:id/update-verified-payment', authenticateToken, requirePermission('orders:edit'), [
   body('verifiedAmount').isFloat({ min: 0 }).withMessage('Verified amount must be >= 0'),
   body('paymentAccountId').notEmpty().withMessage('Payment account is required')
 ], async (req, res) => {
@@ -2028,7 +2662,7 @@ router.patch('/:id/update-verified-payment', authenticateToken, requireRole(['BU
     }
 
     // Check permissions
-    if (req.user.id !== order.tenant.ownerId) {
+    if (req.user.tenant?.id !== order.tenantId) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
@@ -2039,8 +2673,8 @@ router.patch('/:id/update-verified-payment', authenticateToken, requireRole(['BU
       });
     }
 
-    // Only allow update for CONFIRMED, DISPATCHED, or COMPLETED orders
-    if (!['CONFIRMED', 'DISPATCHED', 'COMPLETED'].includes(order.status)) {
+    // Only allow update for confirmed orders (including those still with the courier)
+    if (!CONFIRMED_ORDER_STATUSES.includes(order.status)) {
       return res.status(400).json({ 
         error: 'Payment can only be updated for confirmed orders' 
       });
@@ -2182,6 +2816,19 @@ router.patch('/:id/update-verified-payment', authenticateToken, requireRole(['BU
       return { order: updatedOrder, payment: updatedPayment };
     });
 
+    await auditLogService.logChanges({
+      tenantId: order.tenantId,
+      user: req.user,
+      entityType: 'ORDER',
+      entityId: order.id,
+      entityLabel: order.orderNumber,
+      action: 'PAYMENT_VERIFICATION_UPDATE',
+      before: order,
+      after: result.order,
+      fields: ['verifiedPaymentAmount', 'paymentAccountId'],
+      metadata: { paymentId: result.payment.id }
+    });
+
     res.json({
       success: true,
       message: `Verified payment updated from Rs. ${oldVerifiedAmount.toFixed(2)} to Rs. ${newVerifiedAmount.toFixed(2)}`,
@@ -2194,7 +2841,7 @@ router.patch('/:id/update-verified-payment', authenticateToken, requireRole(['BU
   }
 });
 
-router.put('/:id', authenticateToken, requireRole(['BUSINESS_OWNER']), [
+router.put('/:id', authenticateToken, requirePermission('orders:edit'), [
   body('formData').optional().custom((value) => {
     if (typeof value === 'string') {
       try {
@@ -2284,11 +2931,7 @@ router.put('/:id', authenticateToken, requireRole(['BUSINESS_OWNER']), [
     const existingOrder = await prisma.order.findFirst({
       where: {
         id,
-        form: {
-          tenant: {
-            ownerId: req.user.id
-          }
-        }
+        tenantId: req.user.tenant.id
       }
     });
 
@@ -2297,7 +2940,7 @@ router.put('/:id', authenticateToken, requireRole(['BUSINESS_OWNER']), [
     }
 
     // Store old data for inventory adjustment if order was already confirmed/dispatched/completed
-    const needsInventoryUpdate = ['CONFIRMED', 'DISPATCHED', 'COMPLETED'].includes(existingOrder.status) &&
+    const needsInventoryUpdate = CONFIRMED_ORDER_STATUSES.includes(existingOrder.status) &&
       (productQuantities !== undefined || selectedProducts !== undefined);
     
     const oldSelectedProducts = existingOrder.selectedProducts;
@@ -2308,15 +2951,12 @@ router.put('/:id', authenticateToken, requireRole(['BUSINESS_OWNER']), [
       const newSelectedProducts = selectedProducts !== undefined ? selectedProducts : existingOrder.selectedProducts;
       const newProductQuantities = productQuantities !== undefined ? productQuantities : existingOrder.productQuantities;
 
-      // Exclude current order from stock calculation if it's confirmed/dispatched/completed
-      // (for pending orders, we still want to validate against all confirmed orders)
-      const excludeOrderId = ['CONFIRMED', 'DISPATCHED', 'COMPLETED'].includes(existingOrder.status) ? id : null;
-
+      // Exclude the order's own holds (pending) or deducted stock (confirmed and later)
       const stockValidation = await stockValidationService.validateStockAvailability(
         existingOrder.tenantId,
         newSelectedProducts,
         newProductQuantities,
-        excludeOrderId
+        id
       );
 
       if (!stockValidation.isValid) {
@@ -2329,8 +2969,50 @@ router.put('/:id', authenticateToken, requireRole(['BUSINESS_OWNER']), [
       }
     }
 
+    // Work the coupon discount out again for the edited lines, so it never outgrows the products it was given on
+    let discountAmount = existingOrder.discountAmount || 0;
+    const linesChanged = selectedProducts !== undefined || productQuantities !== undefined || productPrices !== undefined;
+    if (linesChanged && (existingOrder.promotionId || discountAmount > 0)) {
+      const parse = (value, fallback) => {
+        const parsed = typeof value === 'string' ? JSON.parse(value) : value;
+        return parsed && typeof parsed === 'object' ? parsed : fallback;
+      };
+      const editedProducts = parse(selectedProducts !== undefined ? selectedProducts : existingOrder.selectedProducts, []);
+      const editedLines = getOrderLines(
+        Array.isArray(editedProducts) ? editedProducts : [],
+        parse(productQuantities !== undefined ? productQuantities : existingOrder.productQuantities, {}),
+        parse(productPrices !== undefined ? productPrices : existingOrder.productPrices, {})
+      );
+      const editedProductsTotal = editedLines.reduce((sum, line) => sum + line.price * line.quantity, 0);
+
+      const promotion = existingOrder.promotionId
+        ? await prisma.promotion.findUnique({ where: { id: existingOrder.promotionId } })
+        : null;
+      if (promotion) {
+        try {
+          // Judge the code as it stood when the order was placed; this order's own use does not count against it
+          const result = await promotionService.calculateDiscount({
+            tenantId: existingOrder.tenantId,
+            code: promotion.code,
+            lines: editedLines,
+            customerId: existingOrder.customerId,
+            at: existingOrder.createdAt,
+            excludeOrderId: id
+          });
+          discountAmount = result.discountAmount;
+        } catch (couponError) {
+          // The code no longer qualifies (e.g. deactivated); keep the agreed discount but not beyond the products
+          console.warn(`Could not recalculate discount ${promotion.code} for order ${existingOrder.orderNumber}: ${couponError.message}`);
+        }
+      }
+      discountAmount = Math.round(Math.max(0, Math.min(discountAmount, editedProductsTotal)) * 100) / 100;
+    }
+
     // Prepare update data
     const updateData = {};
+    if (discountAmount !== (existingOrder.discountAmount || 0)) {
+      updateData.discountAmount = discountAmount;
+    }
 
     if (formData !== undefined) {
       updateData.formData = typeof formData === 'string' ? formData : JSON.stringify(formData);
@@ -2515,7 +3197,7 @@ router.put('/:id', authenticateToken, requireRole(['BUSINESS_OWNER']), [
         ? (req.body.paymentAmount || 0)
         : (existingOrder.paymentAmount || 0);
       
-      const newBaseOrderTotal = newProductsTotal + newShippingCharges;
+      const newBaseOrderTotal = newProductsTotal - discountAmount + newShippingCharges;
       const newCodAmount = newBaseOrderTotal - newPaymentAmount;
       
       const logisticsCompanyId = req.body.logisticsCompanyId !== undefined
@@ -2578,7 +3260,7 @@ router.put('/:id', authenticateToken, requireRole(['BUSINESS_OWNER']), [
           ? (req.body.paymentAmount || 0)
           : (existingOrder.paymentAmount || 0);
         
-        const newBaseOrderTotal = newProductsTotal + newShippingCharges;
+        const newBaseOrderTotal = newProductsTotal - discountAmount + newShippingCharges;
         const newCodAmount = newBaseOrderTotal - newPaymentAmount;
         updateData.codAmount = newCodAmount > 0 ? newCodAmount : null;
       }
@@ -2642,6 +3324,11 @@ router.put('/:id', authenticateToken, requireRole(['BUSINESS_OWNER']), [
           where: { orderId: id }
         });
 
+        // Changed lines need scanning again before dispatch
+        if (existingOrder.packVerifiedAt) {
+          await tx.order.update({ where: { id }, data: { packVerifiedAt: null, packVerifiedBy: null } });
+        }
+
         // Create new OrderItem records (composite key for variant lines)
         if (parsedProducts.length > 0) {
           const orderItemsData = parsedProducts.map(product => {
@@ -2666,11 +3353,20 @@ router.put('/:id', authenticateToken, requireRole(['BUSINESS_OWNER']), [
             data: orderItemsData
           });
         }
+
+        // Re-hold stock for the edited lines of a pending order
+        if (updatedOrder.status === 'PENDING') {
+          await reservationService.replaceOrderReservations(tx, {
+            tenantId: existingOrder.tenantId,
+            orderId: id,
+            items: await tx.orderItem.findMany({ where: { orderId: id } })
+          });
+        }
       }
 
       // Handle COD fee accounting entries if order is confirmed/dispatched/completed
       const orderStatus = updatedOrder.status;
-      if (['CONFIRMED', 'DISPATCHED', 'COMPLETED'].includes(orderStatus)) {
+      if (CONFIRMED_ORDER_STATUSES.includes(orderStatus)) {
         try {
           // Check if COD fee accounting entries exist
           const existingCodTransactions = await tx.transaction.findMany({
@@ -3014,6 +3710,29 @@ router.put('/:id', authenticateToken, requireRole(['BUSINESS_OWNER']), [
       }
     }
 
+    // Attachments are stored inline; record that they changed rather than their contents
+    const attachmentChanges = ['images', 'paymentReceipt']
+      .filter(field => order[field] !== existingOrder[field])
+      .map(field => ({
+        field,
+        oldValue: existingOrder[field] ? 'attached' : null,
+        newValue: order[field] ? 'attached' : null
+      }));
+
+    await auditLogService.logChanges({
+      tenantId: existingOrder.tenantId,
+      user: req.user,
+      entityType: 'ORDER',
+      entityId: order.id,
+      entityLabel: order.orderNumber,
+      action: 'UPDATE',
+      before: existingOrder,
+      after: order,
+      fields: ORDER_AUDIT_FIELDS,
+      jsonFields: ['formData', 'productQuantities', 'productPrices'],
+      extraChanges: attachmentChanges
+    });
+
     res.json({ order });
   } catch (error) {
     console.error('Error updating order:', error);
@@ -3021,9 +3740,12 @@ router.put('/:id', authenticateToken, requireRole(['BUSINESS_OWNER']), [
   }
 });
 
-// Update order status (Admin only)
-router.put('/:id/status', authenticateToken, requireRole(['ADMIN']), [
-  body('status').isIn(['PENDING', 'CONFIRMED', 'DISPATCHED', 'COMPLETED', 'CANCELLED'])
+// Update order status
+// Moves an order through the delivery lifecycle (see utils/orderStatus.js). Confirmation and
+// dispatch have their own endpoints because they post accounting entries and deduct stock.
+router.put('/:id/status', authenticateToken, requireRole(['ADMIN', 'BUSINESS_OWNER', 'STOCK_KEEPER'], 'orders:dispatch'), [
+  body('status').isIn(ORDER_STATUSES).withMessage('Invalid order status'),
+  body('reason').optional({ nullable: true }).isString().withMessage('Reason must be a string')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -3032,39 +3754,129 @@ router.put('/:id/status', authenticateToken, requireRole(['ADMIN']), [
     }
 
     const { id } = req.params;
-    const { status } = req.body;
+    const { status, reason } = req.body;
 
     const order = await prisma.order.findUnique({
-      where: { id }
+      where: { id },
+      include: {
+        tenant: {
+          select: {
+            ownerId: true
+          }
+        }
+      }
     });
 
     if (!order) {
       return res.status(404).json({ error: 'Order not found' });
     }
 
-    const updatedOrder = await prisma.order.update({
-      where: { id },
-      data: { status }
+    // Check permissions for Business Owner
+    if (isTenantUser(req.user) && req.user.tenant?.id !== order.tenantId) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    if (status === 'CONFIRMED' || status === 'DISPATCHED') {
+      return res.status(400).json({
+        error: `Use the ${status === 'CONFIRMED' ? 'confirm' : 'dispatch'} action to move an order to ${status}`
+      });
+    }
+
+    if (!canTransition(order.status, status)) {
+      return res.status(400).json({
+        error: `Order cannot move from ${order.status} to ${status}`,
+        allowedStatuses: getAllowedTransitions(order.status)
+      });
+    }
+
+    const updateData = { status };
+    if (status === 'DELIVERED') {
+      updateData.deliveredAt = new Date();
+    } else if (status === 'FAILED_DELIVERY') {
+      updateData.deliveryFailedAt = new Date();
+      updateData.deliveryFailureReason = reason || null;
+    } else if (status === 'RETURNED_TO_ORIGIN') {
+      updateData.returnedToOriginAt = new Date();
+    }
+
+    const InventoryService = require('../services/inventoryService');
+    // Stock was taken off and revenue booked when the order was confirmed
+    const isConfirmedCancellation = status === 'CANCELLED' && order.status === 'CONFIRMED';
+
+    const result = await prisma.$transaction(async (tx) => {
+      // Claim the transition: if another request moved the order first, nothing here runs twice
+      const claimed = await tx.order.updateMany({
+        where: { id, status: order.status },
+        data: updateData
+      });
+      if (claimed.count === 0) {
+        const error = new Error(`Order is no longer ${order.status}. Refresh and try again.`);
+        error.code = 'STATUS_CHANGED';
+        throw error;
+      }
+
+      if (status === 'CANCELLED') {
+        await reservationService.releaseOrderReservations(id, 'CANCELLED', tx);
+      }
+
+      // Parcel came back undelivered, or a confirmed order was cancelled: put the items back
+      // on the shelf and take the sale off the books. Either failing rolls the status back.
+      let inventory;
+      let reversal;
+      if (status === 'RETURNED_TO_ORIGIN') {
+        inventory = await InventoryService.restockOrderItems(order.tenantId, order.id, order.orderNumber, { tx });
+        reversal = await accountingService.reverseOrderRevenue(order, { tx });
+      } else if (isConfirmedCancellation) {
+        // Confirmation only takes stock off for orders with selected products (see the confirm route)
+        if (order.selectedProducts && order.productQuantities) {
+          inventory = await InventoryService.restockOrderItems(order.tenantId, order.id, order.orderNumber, {
+            tx,
+            reason: 'Order cancelled',
+            note: 'confirmed order cancelled'
+          });
+        }
+        reversal = await accountingService.reverseOrderRevenue(order, { tx, label: 'Cancelled' });
+      }
+
+      const updated = await tx.order.findUnique({ where: { id } });
+      return { updated, inventory, reversal };
+    }, {
+      timeout: 30000
     });
 
-    res.json({
+    const response = {
       message: 'Order status updated successfully',
-      order: updatedOrder
-    });
+      order: result.updated
+    };
+    if (result.inventory) {
+      response.inventory = result.inventory;
+      console.log(`✅ Inventory restocked for ${status === 'CANCELLED' ? 'cancelled' : 'returned'} order ${order.orderNumber}`);
+    }
+    if (result.reversal) {
+      response.reversal = {
+        revenueTransactionId: result.reversal.revenueTransaction?.id || null,
+        codFeeTransactionId: result.reversal.codFeeTransaction?.id || null
+      };
+    }
+
+    res.json(response);
   } catch (error) {
+    if (error.code === 'STATUS_CHANGED') {
+      return res.status(400).json({ error: error.message });
+    }
     console.error('Update order status error:', error);
     res.status(500).json({ error: 'Failed to update order status' });
   }
 });
 
 // Get order statistics
-router.get('/stats/dashboard', authenticateToken, async (req, res) => {
+router.get('/stats/dashboard', authenticateToken, requireRole(['ADMIN', 'STOCK_KEEPER', 'BUSINESS_OWNER'], 'orders:view'), async (req, res) => {
   try {
     let whereClause = {};
 
     // Filter based on user role
     // Optimize: Use tenant from authenticated user (already loaded in middleware)
-    if (req.user.role === 'BUSINESS_OWNER') {
+    if (isTenantUser(req.user)) {
       if (!req.user.tenant?.id) {
         return res.status(404).json({ error: 'No tenant found for this user' });
       }
@@ -3084,6 +3896,10 @@ router.get('/stats/dashboard', authenticateToken, async (req, res) => {
       pendingOrders,
       confirmedOrders,
       dispatchedOrders,
+      inTransitOrders,
+      deliveredOrders,
+      failedDeliveryOrders,
+      returnedToOriginOrders,
       completedOrders,
       ordersToday,
       ordersThisWeek,
@@ -3095,6 +3911,10 @@ router.get('/stats/dashboard', authenticateToken, async (req, res) => {
       prisma.order.count({ where: { ...whereClause, status: 'PENDING' } }),
       prisma.order.count({ where: { ...whereClause, status: 'CONFIRMED' } }),
       prisma.order.count({ where: { ...whereClause, status: 'DISPATCHED' } }),
+      prisma.order.count({ where: { ...whereClause, status: 'IN_TRANSIT' } }),
+      prisma.order.count({ where: { ...whereClause, status: 'DELIVERED' } }),
+      prisma.order.count({ where: { ...whereClause, status: 'FAILED_DELIVERY' } }),
+      prisma.order.count({ where: { ...whereClause, status: 'RETURNED_TO_ORIGIN' } }),
       prisma.order.count({ where: { ...whereClause, status: 'COMPLETED' } }),
       prisma.order.count({
         where: {
@@ -3146,7 +3966,7 @@ router.get('/stats/dashboard', authenticateToken, async (req, res) => {
       prisma.order.findMany({
         where: {
           ...whereClause,
-          status: { in: ['CONFIRMED', 'DISPATCHED', 'COMPLETED'] } // Include confirmed, dispatched, and completed orders for revenue calculation
+          status: { in: CONFIRMED_ORDER_STATUSES } // Include every order whose revenue is still on the books
         },
         select: {
           selectedProducts: true,
@@ -3217,6 +4037,10 @@ router.get('/stats/dashboard', authenticateToken, async (req, res) => {
         pendingOrders,
         confirmedOrders,
         dispatchedOrders,
+        inTransitOrders,
+        deliveredOrders,
+        failedDeliveryOrders,
+        returnedToOriginOrders,
         completedOrders,
         totalRevenue,
         averageOrderValue,
@@ -3237,11 +4061,11 @@ router.get('/stats/dashboard', authenticateToken, async (req, res) => {
 });
 
 // Get profit statistics
-router.get('/stats/profit', authenticateToken, requireRole(['BUSINESS_OWNER']), async (req, res) => {
+router.get('/stats/profit', authenticateToken, requirePermission('accounting:view'), async (req, res) => {
   try {
     // Get tenant for the business owner
     const tenant = await prisma.tenant.findUnique({
-      where: { ownerId: req.user.id }
+      where: { id: req.user.tenant.id }
     });
 
     if (!tenant) {
@@ -1,12 +1,46 @@
 const express = require('express');
+const multer = require('multer');
 const { body, validationResult } = require('express-validator');
 const prisma = require('../lib/db');
-const { authenticateToken, requireRole } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const reorderService = require('../services/reorderService');
+const reservationService = require('../services/reservationService');
+const productImportService = require('../services/productImportService');
 
 const router = express.Router();
 
+// Catalogue sheets are parsed straight from memory
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 10 * 1024 * 1024 // 10MB limit
+  }
+});
+
+const receiveImportFile = (req, res, next) => {
+  importUpload.single('file')(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({
+        error: error.code === 'LIMIT_FILE_SIZE' ? 'Import file must be 10 MB or smaller' : error.message
+      });
+    }
+    if (!req.file) {
+      return res.status(400).json({ error: 'Import file is required' });
+    }
+    next();
+  });
+};
+
+// Sheet problems are the user's to fix; database errors are not
+const sendImportError = (res, error, fallbackMessage) => {
+  if (error.name && error.name.startsWith('Prisma')) {
+    return res.status(500).json({ error: fallbackMessage });
+  }
+  res.status(400).json({ error: error.message || fallbackMessage });
+};
+
 // Get all products for a tenant (Business Owner only)
-router.get('/', authenticateToken, requireRole(['BUSINESS_OWNER']), async (req, res) => {
+router.get('/', authenticateToken, requirePermission('products:view'), async (req, res) => {
   try {
     // Optimize: Use tenant from authenticated user
     if (!req.user.tenant?.id) {
@@ -163,7 +197,7 @@ router.get('/', authenticateToken, requireRole(['BUSINESS_OWNER']), async (req,
     });
 
     res.json({ 
-      products: productsWithVariants,
+      products: await reservationService.withAvailability(req.user.tenant.id, productsWithVariants),
       pagination: {
         page: pageNum,
         limit: limitNum,
@@ -177,8 +211,49 @@ router.get('/', authenticateToken, requireRole(['BUSINESS_OWNER']), async (req,
   }
 });
 
+// Low-stock items with reorder suggestions grouped by last supplier
+router.get('/reorder-suggestions', authenticateToken, requirePermission('products:view'), async (req, res) => {
+  try {
+    if (!req.user.tenant?.id) {
+      return res.status(404).json({ error: 'Tenant not found' });
+    }
+
+    const suggestions = await reorderService.getReorderSuggestions({
+      tenantId: req.user.tenant.id,
+      lookbackDays: req.query.lookbackDays,
+      coverDays: req.query.coverDays
+    });
+
+    res.json(suggestions);
+  } catch (error) {
+    console.error('Get reorder suggestions error:', error);
+    res.status(500).json({ error: 'Failed to get reorder suggestions' });
+  }
+});
+
+// Export the catalogue as CSV or XLSX, one row per variant
+router.get('/export', authenticateToken, requirePermission('products:view'), async (req, res) => {
+  try {
+    if (!req.user.tenant?.id) {
+      return res.status(404).json({ error: 'Tenant not found' });
+    }
+
+    const { content, contentType, filename } = await productImportService.exportProducts(
+      req.user.tenant.id,
+      (req.query.format || 'csv').toString().toLowerCase()
+    );
+
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(content);
+  } catch (error) {
+    console.error('Export products error:', error);
+    sendImportError(res, error, 'Failed to export products');
+  }
+});
+
 // Get single product (Business Owner only)
-router.get('/:id', authenticateToken, requireRole(['BUSINESS_OWNER']), async (req, res) => {
+router.get('/:id', authenticateToken, requirePermission('products:view'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -227,9 +302,11 @@ router.get('/:id', authenticateToken, requireRole(['BUSINESS_OWNER']), async (re
       totalVariantStock = product.variants.reduce((sum, variant) => sum + variant.currentQuantity, 0);
     }
 
+    const [productWithAvailability] = await reservationService.withAvailability(req.user.tenant.id, [product]);
+
     res.json({ 
       product: {
-        ...product,
+        ...productWithAvailability,
         totalVariantStock: product.hasVariants ? totalVariantStock : null
       }
     });
@@ -240,7 +317,7 @@ router.get('/:id', authenticateToken, requireRole(['BUSINESS_OWNER']), async (re
 });
 
 // Create new product (Business Owner only)
-router.post('/', authenticateToken, requireRole(['BUSINESS_OWNER']), [
+router.post('/', authenticateToken, requirePermission('products:edit'), [
   body('name').trim().isLength({ min: 1 }),
   body('purchasePrice').optional().isFloat({ min: 0 }),
   body('sellingPrice').optional().isFloat({ min: 0 }),
@@ -263,7 +340,7 @@ router.post('/', authenticateToken, requireRole(['BUSINESS_OWNER']), [
 
     // Get tenant for the business owner
     const tenant = await prisma.tenant.findUnique({
-      where: { ownerId: req.user.id }
+      where: { id: req.user.tenant.id }
     });
 
     if (!tenant) {
@@ -390,7 +467,7 @@ router.post('/', authenticateToken, requireRole(['BUSINESS_OWNER']), [
 });
 
 // Update product (Business Owner only) - Enhanced with logging
-router.put('/:id', authenticateToken, requireRole(['BUSINESS_OWNER']), [
+router.put('/:id', authenticateToken, requirePermission('products:edit'), [
   body('name').optional().trim().isLength({ min: 1 }),
   body('description').optional().trim(),
   body('category').optional().trim(),
@@ -455,7 +532,7 @@ router.put('/:id', authenticateToken, requireRole(['BUSINESS_OWNER']), [
 
     // Get tenant for the business owner
     const tenant = await prisma.tenant.findUnique({
-      where: { ownerId: req.user.id }
+      where: { id: req.user.tenant.id }
     });
 
     if (!tenant) {
@@ -625,13 +702,13 @@ router.put('/:id', authenticateToken, requireRole(['BUSINESS_OWNER']), [
 });
 
 // Get product history (Business Owner only)
-router.get('/:id/history', authenticateToken, requireRole(['BUSINESS_OWNER']), async (req, res) => {
+router.get('/:id/history', authenticateToken, requirePermission('products:view'), async (req, res) => {
   try {
     const { id } = req.params;
 
     // Get tenant for the business owner
     const tenant = await prisma.tenant.findUnique({
-      where: { ownerId: req.user.id }
+      where: { id: req.user.tenant.id }
     });
 
     if (!tenant) {
@@ -690,13 +767,13 @@ router.get('/:id/history', authenticateToken, requireRole(['BUSINESS_OWNER']), a
 });
 
 // Delete product (Business Owner only)
-router.delete('/:id', authenticateToken, requireRole(['BUSINESS_OWNER']), async (req, res) => {
+router.delete('/:id', authenticateToken, requirePermission('products:edit'), async (req, res) => {
   try {
     const { id } = req.params;
 
     // Get tenant for the business owner
     const tenant = await prisma.tenant.findUnique({
-      where: { ownerId: req.user.id }
+      where: { id: req.user.tenant.id }
     });
 
     if (!tenant) {
@@ -727,7 +804,7 @@ router.delete('/:id', authenticateToken, requireRole(['BUSINESS_OWNER']), async
 });
 
 // Bulk create products from invoice data (Business Owner only)
-router.post('/bulk', authenticateToken, requireRole(['BUSINESS_OWNER']), [
+router.post('/bulk', authenticateToken, requirePermission('products:edit'), [
   body('products').isArray({ min: 1 }),
   body('products.*.name').trim().isLength({ min: 1 }),
   body('products.*.purchasePrice').isFloat({ min: 0 }),
@@ -747,7 +824,7 @@ router.post('/bulk', authenticateToken, requireRole(['BUSINESS_OWNER']), [
 
     // Get tenant for the business owner
     const tenant = await prisma.tenant.findUnique({
-      where: { ownerId: req.user.id }
+      where: { id: req.user.tenant.id }
     });
 
     if (!tenant) {
@@ -787,10 +864,55 @@ router.post('/bulk', authenticateToken, requireRole(['BUSINESS_OWNER']), [
   }
 });
 
+// Read an import sheet's columns and suggest which field each one feeds
+router.post('/import/preview', authenticateToken, requirePermission('products:edit'), receiveImportFile, async (req, res) => {
+  try {
+    const preview = await productImportService.previewFile(req.file.buffer, req.file.originalname);
+    res.json(preview);
+  } catch (error) {
+    console.error('Preview product import error:', error);
+    sendImportError(res, error, 'Failed to read import file');
+  }
+});
+
+// Import products and variants from CSV/XLSX (upsert by SKU). dryRun=true only validates.
+router.post('/import', authenticateToken, requirePermission('products:edit'), receiveImportFile, async (req, res) => {
+  try {
+    if (!req.user.tenant?.id) {
+      return res.status(404).json({ error: 'Tenant not found' });
+    }
+
+    const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+    const result = await productImportService.importProducts(req.user.tenant.id, req.file, {
+      mapping: req.body.mapping,
+      dryRun
+    });
+
+    // A dry run always returns its report; a real import with errors is refused
+    if (!dryRun && !result.imported) {
+      return res.status(400).json({
+        error: `The file has ${result.report.errors.length} error(s); fix them and try again`,
+        report: result.report
+      });
+    }
+
+    const { summary } = result.report;
+    res.status(result.imported ? 201 : 200).json({
+      message: result.imported
+        ? `${summary.productsToCreate} product(s) created, ${summary.productsToUpdate} updated`
+        : result.report.valid ? 'File is valid and ready to import' : 'The file has errors to fix before importing',
+      ...result
+    });
+  } catch (error) {
+    console.error('Import products error:', error);
+    sendImportError(res, error, 'Failed to import products');
+  }
+});
+
 // ==================== PRODUCT VARIANT ENDPOINTS ====================
 
 // Get all variants for a product
-router.get('/:id/variants', authenticateToken, requireRole(['BUSINESS_OWNER']), async (req, res) => {
+router.get('/:id/variants', authenticateToken, requirePermission('products:view'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -828,7 +950,9 @@ router.get('/:id/variants', authenticateToken, requireRole(['BUSINESS_OWNER']),
       ]
     });
 
-    res.json({ variants });
+    const reserved = await reservationService.getReservedQuantities(req.user.tenant.id, { productIds: [id] });
+
+    res.json({ variants: reservationService.withVariantAvailability(variants, reserved) });
   } catch (error) {
     console.error('Get variants error:', error);
     res.status(500).json({ error: 'Failed to get variants' });
@@ -836,7 +960,7 @@ router.get('/:id/variants', authenticateToken, requireRole(['BUSINESS_OWNER']),
 });
 
 // Create variant for a product
-router.post('/:id/variants', authenticateToken, requireRole(['BUSINESS_OWNER']), [
+router.post('/:id/variants', authenticateToken, requirePermission('products:edit'), [
   body('color').trim().isLength({ min: 1 }).withMessage('Color is required'),
   body('size').optional().trim(),
   body('sku').optional().trim(),
@@ -958,7 +1082,7 @@ router.post('/:id/variants', authenticateToken, requireRole(['BUSINESS_OWNER']),
 });
 
 // Update variant
-router.put('/:id/variants/:variantId', authenticateToken, requireRole(['BUSINESS_OWNER']), [
+router.put('/:id/variants/:variantId', authenticateToken, requirePermission('products:edit'), [
   body('color').optional().trim().isLength({ min: 1 }),
   body('size').optional().trim(),
   body('sku').optional().trim(),
@@ -1103,7 +1227,7 @@ router.put('/:id/variants/:variantId', authenticateToken, requireRole(['BUSINESS
 });
 
 // Delete variant
-router.delete('/:id/variants/:variantId', authenticateToken, requireRole(['BUSINESS_OWNER']), async (req, res) => {
+router.delete('/:id/variants/:variantId', authenticateToken, requirePermission('products:edit'), async (req, res) => {
   try {
     const { id, variantId } = req.params;
 
@@ -1160,7 +1284,7 @@ router.delete('/:id/variants/:variantId', authenticateToken, requireRole(['BUSIN
 });
 
 // Upload variant image
-router.post('/:id/variants/:variantId/images', authenticateToken, requireRole(['BUSINESS_OWNER']), [
+router.post('/:id/variants/:variantId/images', authenticateToken, requirePermission('products:edit'), [
   body('imageData').notEmpty().withMessage('Image data is required'),
   body('mimeType').notEmpty().withMessage('MIME type is required'),
   body('isPrimary').optional().isBoolean(),
@@ -1246,7 +1370,7 @@ router.post('/:id/variants/:variantId/images', authenticateToken, requireRole(['
 });
 
 // Update variant image (set primary, update sort order)
-router.put('/:id/variants/:variantId/images/:imageId', authenticateToken, requireRole(['BUSINESS_OWNER']), [
+router.put('/:id/variants/:variantId/images/:imageId', authenticateToken, requirePermission('products:edit'), [
   body('isPrimary').optional().isBoolean(),
   body('sortOrder').optional().isInt({ min: 0 })
 ], async (req, res) => {
@@ -1342,7 +1466,7 @@ router.put('/:id/variants/:variantId/images/:imageId', authenticateToken, requir
 });
 
 // List product media (photos/videos)
-router.get('/:id/media', authenticateToken, requireRole(['BUSINESS_OWNER']), async (req, res) => {
+router.get('/:id/media', authenticateToken, requirePermission('products:view'), async (req, res) => {
   try {
     const { id } = req.params;
     if (!req.user.tenant?.id) return res.status(404).json({ error: 'Tenant not found' });
@@ -1364,7 +1488,7 @@ router.get('/:id/media', authenticateToken, requireRole(['BUSINESS_OWNER']), asy
 });
 
 // Set product media as primary
-router.put('/:id/media/:imageId/primary', authenticateToken, requireRole(['BUSINESS_OWNER']), async (req, res) => {
+router.put('/:id/media/:imageId/primary', authenticateToken, requirePermission('products:edit'), async (req, res) => {
   try {
     const { id, imageId } = req.params;
     if (!req.user.tenant?.id) return res.status(404).json({ error: 'Tenant not found' });
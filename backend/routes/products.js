@@ -1,17 +1,19 @@
 const express = require('express');
 const prisma = require('../lib/db');
-const { authenticateToken, requireRole } = require('../middleware/auth');
+const { authenticateToken, requireRole, requirePermission } = require('../middleware/auth');
+const { isTenantUser } = require('../utils/permissions');
+const reservationService = require('../services/reservationService');
 
 const router = express.Router();
 
 // Search products by name (Business Owner only)
-router.get('/search/:query', authenticateToken, requireRole(['BUSINESS_OWNER']), async (req, res) => {
+router.get('/search/:query', authenticateToken, requirePermission('products:view'), async (req, res) => {
   try {
     const { query } = req.params;
 
     // Get tenant for the business owner
     const tenant = await prisma.tenant.findUnique({
-      where: { ownerId: req.user.id }
+      where: { id: req.user.tenant.id }
     });
 
     if (!tenant) {
@@ -147,13 +149,13 @@ router.get('/search/:query', authenticateToken, requireRole(['BUSINESS_OWNER']),
 });
 
 // Get recent products for a tenant (for form creation)
-router.get('/recent/:tenantId', authenticateToken, requireRole(['ADMIN', 'BUSINESS_OWNER']), async (req, res) => {
+router.get('/recent/:tenantId', authenticateToken, requireRole(['ADMIN', 'BUSINESS_OWNER'], 'products:view'), async (req, res) => {
   try {
     const { tenantId } = req.params;
     const { limit = 20 } = req.query;
 
     // Verify tenant access
-    if (req.user.role === 'BUSINESS_OWNER') {
+    if (isTenantUser(req.user)) {
       if (!req.user.tenant?.id || req.user.tenant.id !== tenantId) {
         return res.status(403).json({ error: 'Access denied to this tenant' });
       }
@@ -242,13 +244,13 @@ router.get('/recent/:tenantId', authenticateToken, requireRole(['ADMIN', 'BUSINE
 });
 
 // Get all products for a tenant (with pagination)
-router.get('/tenant/:tenantId', authenticateToken, requireRole(['ADMIN', 'BUSINESS_OWNER']), async (req, res) => {
+router.get('/tenant/:tenantId', authenticateToken, requireRole(['ADMIN', 'BUSINESS_OWNER'], 'products:view'), async (req, res) => {
   try {
     const { tenantId } = req.params;
     const { page = 1, limit = 50, search = '' } = req.query;
 
     // Verify tenant access
-    if (req.user.role === 'BUSINESS_OWNER') {
+    if (isTenantUser(req.user)) {
       if (!req.user.tenant?.id || req.user.tenant.id !== tenantId) {
         return res.status(403).json({ error: 'Access denied to this tenant' });
       }
@@ -750,7 +752,7 @@ router.post('/by-ids', async (req, res) => {
 
       return res.json({ 
         success: true, 
-        products: formattedProducts 
+        products: await reservationService.withAvailability(tenantId, formattedProducts)
       });
     }
 
@@ -931,7 +933,7 @@ router.post('/by-ids', async (req, res) => {
 
     res.json({ 
       success: true, 
-      products: formattedProducts 
+      products: await reservationService.withAvailability(tenantId, formattedProducts)
     });
 
   } catch (error) {
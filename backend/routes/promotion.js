@@ -0,0 +1,56 @@
+const express = require('express');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const promotionService = require('../services/promotionService');
+
+const router = express.Router();
+
+const sendError = (res, error, fallbackMessage) => {
+  const notFound = error.message && error.message.toLowerCase().includes('not found');
+  res.status(notFound ? 404 : 400).json({ error: error.message || fallbackMessage });
+};
+
+// Get discount codes with usage
+router.get('/', authenticateToken, requirePermission('promotions:edit'), async (req, res) => {
+  try {
+    const promotions = await promotionService.getPromotions(req.user.tenant.id);
+    res.json({ promotions });
+  } catch (error) {
+    console.error('Error fetching promotions:', error);
+    res.status(500).json({ error: 'Failed to fetch promotions' });
+  }
+});
+
+// Create a discount code
+router.post('/', authenticateToken, requirePermission('promotions:edit'), async (req, res) => {
+  try {
+    const promotion = await promotionService.createPromotion(req.user.tenant.id, req.body);
+    res.status(201).json({ promotion });
+  } catch (error) {
+    console.error('Error creating promotion:', error);
+    sendError(res, error, 'Failed to create promotion');
+  }
+});
+
+// Update a discount code (also used to activate/deactivate)
+router.put('/:id', authenticateToken, requirePermission('promotions:edit'), async (req, res) => {
+  try {
+    const promotion = await promotionService.updatePromotion(req.params.id, req.user.tenant.id, req.body);
+    res.json({ promotion });
+  } catch (error) {
+    console.error('Error updating promotion:', error);
+    sendError(res, error, 'Failed to update promotion');
+  }
+});
+
+// Delete an unused discount code
+router.delete('/:id', authenticateToken, requirePermission('promotions:edit'), async (req, res) => {
+  try {
+    await promotionService.deletePromotion(req.params.id, req.user.tenant.id);
+    res.json({ message: 'Promotion deleted' });
+  } catch (error) {
+    console.error('Error deleting promotion:', error);
+    sendError(res, error, 'Failed to delete promotion');
+  }
+});
+
+module.exports = router;
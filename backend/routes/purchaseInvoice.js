@@ -1,11 +1,13 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const prisma = require('../lib/db');
-const { authenticateToken, requireRole } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
 const InventoryService = require('../services/inventoryService');
 const profitService = require('../services/profitService');
 const accountingService = require('../services/accountingService');
 const balanceService = require('../services/balanceService');
+const auditLogService = require('../services/auditLogService');
+const locationService = require('../services/locationService');
 const { generateInvoiceNumber, generateReturnNumber } = require('../utils/invoiceNumberGenerator');
 
 const router = express.Router();
@@ -35,7 +37,7 @@ async function getPaymentMethodFromAccount(accountId, tenantId) {
 }
 
 // Test endpoint to check authentication
-router.get('/test-auth', authenticateToken, requireRole(['BUSINESS_OWNER']), (req, res) => {
+router.get('/test-auth', authenticateToken, requirePermission('purchases:view'), (req, res) => {
   res.json({ 
     message: 'Authentication working', 
     user: req.user,
@@ -44,7 +46,7 @@ router.get('/test-auth', authenticateToken, requireRole(['BUSINESS_OWNER']), (re
 });
 
 // Create purchase invoice with products (Business Owner only)
-router.post('/with-products', authenticateToken, requireRole(['BUSINESS_OWNER']), [
+router.post('/with-products', authenticateToken, requirePermission('purchases:edit'), [
   body('invoiceNumber').optional().trim(),
   body('invoiceDate').isISO8601(),
   body('totalAmount').isFloat(), // Allow negative for return-only invoices (netAmount is recalculated anyway)
@@ -60,7 +62,8 @@ router.post('/with-products', authenticateToken, requireRole(['BUSINESS_OWNER'])
   body('returnHandlingMethod').optional().isIn(['REDUCE_AP', 'REFUND']),
   body('returnRefundAccountId').optional().trim(),
   body('supplierName').optional().trim(),
-  body('notes').optional().trim()
+  body('notes').optional().trim(),
+  body('locationId').optional({ nullable: true }).isString().withMessage('Location ID must be a string')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -70,14 +73,25 @@ router.post('/with-products', authenticateToken, requireRole(['BUSINESS_OWNER'])
 
     // Get tenant for the business owner
     const tenant = await prisma.tenant.findUnique({
-      where: { ownerId: req.user.id }
+      where: { id: req.user.tenant.id }
     });
 
     if (!tenant) {
       return res.status(404).json({ error: 'Tenant not found' });
     }
 
-    let { invoiceNumber, invoiceDate, totalAmount, products, returnItems, returnHandlingMethod, returnRefundAccountId, supplierName, supplierId, paymentAmount, paymentAccountId, notes, useAdvanceBalance, advanceAmountUsed } = req.body;
+    let { invoiceNumber, invoiceDate, totalAmount, products, returnItems, returnHandlingMethod, returnRefundAccountId, supplierName, supplierId, paymentAmount, paymentAccountId, notes, useAdvanceBalance, advanceAmountUsed, locationId } = req.body;
+
+    // Location the goods are received at (defaults to the tenant's default location)
+    let receivingLocation = null;
+    if (locationId) {
+      receivingLocation = await prisma.stockLocation.findFirst({
+        where: { id: locationId, tenantId: tenant.id, isActive: true }
+      });
+      if (!receivingLocation) {
+        return res.status(400).json({ error: 'Receiving location not found' });
+      }
+    }
     
     // Normalize returnItems - handle both 'name' and 'productName' fields
     const normalizedReturnItems = (returnItems || []).map(item => ({
@@ -255,6 +269,7 @@ router.post('/with-products', authenticateToken, requireRole(['BUSINESS_OWNER'])
           paymentAmount: paidAmount > 0 ? paidAmount : null,
           paymentMethod: paidAmount > 0 ? (paymentAccountId ? await getPaymentMethodFromAccount(paymentAccountId, tenant.id) : null) : null,
           notes: notes || null,
+          locationId: receivingLocation ? receivingLocation.id : null,
           tenantId: tenant.id
         }
       });
@@ -688,7 +703,8 @@ router.post('/with-products', authenticateToken, requireRole(['BUSINESS_OWNER'])
         tenant.id,
         result.purchaseItems,
         result.purchaseInvoice.id,
-        invoiceNumber
+        invoiceNumber,
+        { location: receivingLocation }
       );
     }
 
@@ -700,6 +716,11 @@ router.post('/with-products', authenticateToken, requireRole(['BUSINESS_OWNER'])
         result.purchaseInvoice.id,
         invoiceNumber
       );
+      await locationService.adjustPurchaseLocationStock(
+        prisma,
+        result.purchaseInvoice,
+        result.returnItems.map(item => ({ ...item, quantity: -item.quantity }))
+      );
     }
 
     res.status(201).json({
@@ -720,7 +741,7 @@ router.post('/with-products', authenticateToken, requireRole(['BUSINESS_OWNER'])
 });
 
 // Search purchase invoices by product name (for return creation)
-router.get('/search', authenticateToken, requireRole(['BUSINESS_OWNER']), async (req, res) => {
+router.get('/search', authenticateToken, requirePermission('purchases:view'), async (req, res) => {
   try {
     if (!req.user.tenant?.id) {
       return res.status(404).json({ error: 'Tenant not found' });
@@ -866,7 +887,7 @@ router.get('/search', authenticateToken, requireRole(['BUSINESS_OWNER']), async
 });
 
 // Get all purchase invoices for a tenant (Business Owner only)
-router.get('/', authenticateToken, requireRole(['BUSINESS_OWNER']), async (req, res) => {
+router.get('/', authenticateToken, requirePermission('purchases:view'), async (req, res) => {
   try {
     // Optimize: Use tenant from authenticated user
     if (!req.user.tenant?.id) {
@@ -968,13 +989,13 @@ router.get('/', authenticateToken, requireRole(['BUSINESS_OWNER']), async (req,
 });
 
 // Get single purchase invoice by ID (Business Owner only)
-router.get('/:id', authenticateToken, requireRole(['BUSINESS_OWNER']), async (req, res) => {
+router.get('/:id', authenticateToken, requirePermission('purchases:view'), async (req, res) => {
   try {
     const { id } = req.params;
 
     // Get tenant for the business owner
     const tenant = await prisma.tenant.findUnique({
-      where: { ownerId: req.user.id }
+      where: { id: req.user.tenant.id }
     });
 
     if (!tenant) {
@@ -987,6 +1008,9 @@ router.get('/:id', authenticateToken, requireRole(['BUSINESS_OWNER']), async (re
         tenantId: tenant.id
       },
       include: {
+        location: {
+          select: { id: true, name: true }
+        },
         purchaseItems: {
           where: { isDeleted: false },
           orderBy: { id: 'asc' },
@@ -1195,11 +1219,11 @@ router.get('/:id', authenticateToken, requireRole(['BUSINESS_OWNER']), async (re
 });
 
 // Get profit statistics for purchase invoices
-router.get('/profit/stats', authenticateToken, requireRole(['BUSINESS_OWNER']), async (req, res) => {
+router.get('/profit/stats', authenticateToken, requirePermission('accounting:view'), async (req, res) => {
   try {
     // Get tenant for the business owner
     const tenant = await prisma.tenant.findUnique({
-      where: { ownerId: req.user.id }
+      where: { id: req.user.tenant.id }
     });
 
     if (!tenant) {
@@ -1224,7 +1248,7 @@ router.get('/profit/stats', authenticateToken, requireRole(['BUSINESS_OWNER']),
 });
 
 // Create new purchase invoice (Business Owner only)
-router.post('/', authenticateToken, requireRole(['BUSINESS_OWNER']), [
+router.post('/', authenticateToken, requirePermission('purchases:edit'), [
   body('invoiceNumber').trim().isLength({ min: 1 }),
   body('invoiceDate').isISO8601(),
   body('totalAmount').isFloat({ min: 0 }),
@@ -1262,7 +1286,7 @@ router.post('/', authenticateToken, requireRole(['BUSINESS_OWNER']), [
 
     // Get tenant for the business owner
     const tenant = await prisma.tenant.findUnique({
-      where: { ownerId: req.user.id }
+      where: { id: req.user.tenant.id }
     });
 
     if (!tenant) {
@@ -1544,7 +1568,7 @@ router.post('/', authenticateToken, requireRole(['BUSINESS_OWNER']), [
 });
 
 // Update purchase invoice (Business Owner only)
-router.put('/:id', authenticateToken, requireRole(['BUSINESS_OWNER']), [
+router.put('/:id', authenticateToken, requirePermission('purchases:edit'), [
   body('invoiceNumber').optional().trim().isLength({ min: 1 }),
   body('invoiceDate').optional().isISO8601(),
   body('totalAmount').optional().isFloat({ min: 0 }),
@@ -1565,7 +1589,7 @@ router.put('/:id', authenticateToken, requireRole(['BUSINESS_OWNER']), [
 
     // Get tenant for the business owner
     const tenant = await prisma.tenant.findUnique({
-      where: { ownerId: req.user.id }
+      where: { id: req.user.tenant.id }
     });
 
     if (!tenant) {
@@ -1609,7 +1633,7 @@ router.put('/:id', authenticateToken, requireRole(['BUSINESS_OWNER']), [
 });
 
 // Update purchase invoice with products (Business Owner only)
-router.put('/:id/with-products', authenticateToken, requireRole(['BUSINESS_OWNER']), [
+router.put('/:id/with-products', authenticateToken, requirePermission('purchases:edit'), [
   body('invoiceNumber').optional().trim(),
   body('invoiceDate').optional().isISO8601(),
   body('totalAmount').optional().isFloat({ min: 0 }),
@@ -1693,7 +1717,7 @@ router.put('/:id/with-products', authenticateToken, requireRole(['BUSINESS_OWNER
 
     // Get tenant for the business owner
     const tenant = await prisma.tenant.findUnique({
-      where: { ownerId: req.user.id }
+      where: { id: req.user.tenant.id }
     });
 
     if (!tenant) {
@@ -2500,6 +2524,15 @@ router.put('/:id/with-products', authenticateToken, requireRole(['BUSINESS_OWNER
           id,
           result.purchaseInvoice.invoiceNumber || existingInvoice.invoiceNumber
         );
+
+        // Re-read the lines so ones the edit linked to products are matched by ID
+        const receivedItems = await prisma.purchaseItem.findMany({
+          where: { purchaseInvoiceId: id, isDeleted: false }
+        });
+        await locationService.adjustPurchaseLocationStock(prisma, existingInvoice, [
+          ...receivedItems,
+          ...oldPurchaseItems.map(item => ({ ...item, quantity: -item.quantity }))
+        ]);
         
         console.log('✅ Inventory update result:', inventoryResult);
       } catch (inventoryError) {
@@ -2527,6 +2560,10 @@ router.put('/:id/with-products', authenticateToken, requireRole(['BUSINESS_OWNER
           id,
           result.purchaseInvoice.invoiceNumber || existingInvoice.invoiceNumber
         );
+        await locationService.adjustPurchaseLocationStock(prisma, existingInvoice, [
+          ...oldReturnItems,
+          ...result.returnItems.map(item => ({ ...item, quantity: -item.quantity }))
+        ]);
         
         console.log('✅ Return inventory update result:', inventoryResult);
       } catch (inventoryError) {
@@ -2540,6 +2577,23 @@ router.put('/:id/with-products', authenticateToken, requireRole(['BUSINESS_OWNER
       }
     }
 
+    await auditLogService.logChanges({
+      tenantId: tenant.id,
+      user: req.user,
+      entityType: 'PURCHASE_INVOICE',
+      entityId: id,
+      entityLabel: result.purchaseInvoice.invoiceNumber,
+      action: 'UPDATE',
+      before: existingInvoice,
+      after: result.purchaseInvoice,
+      fields: ['invoiceNumber', 'invoiceDate', 'supplierName', 'supplierId', 'totalAmount', 'notes'],
+      extraChanges: auditLogService.diffItems(oldPurchaseItems, result.purchaseItems, {
+        name: 'items',
+        fields: ['name', 'quantity', 'purchasePrice', 'sku'],
+        label: item => item.sku || item.name
+      })
+    });
+
     res.json({
       success: true,
       message: 'Purchase invoice updated successfully',
@@ -2555,14 +2609,14 @@ router.put('/:id/with-products', authenticateToken, requireRole(['BUSINESS_OWNER
 });
 
 // Soft delete purchase invoice (Business Owner only)
-router.delete('/:id', authenticateToken, requireRole(['BUSINESS_OWNER']), async (req, res) => {
+router.delete('/:id', authenticateToken, requirePermission('purchases:edit'), async (req, res) => {
   try {
     const { id } = req.params;
     const { reason } = req.body;
 
     // Get tenant for the business owner
     const tenant = await prisma.tenant.findUnique({
-      where: { ownerId: req.user.id }
+      where: { id: req.user.tenant.id }
     });
 
     if (!tenant) {
@@ -2619,13 +2673,13 @@ router.delete('/:id', authenticateToken, requireRole(['BUSINESS_OWNER']), async
 });
 
 // Restore soft deleted purchase invoice (Business Owner only)
-router.post('/:id/restore', authenticateToken, requireRole(['BUSINESS_OWNER']), async (req, res) => {
+router.post('/:id/restore', authenticateToken, requirePermission('purchases:edit'), async (req, res) => {
   try {
     const { id } = req.params;
 
     // Get tenant for the business owner
     const tenant = await prisma.tenant.findUnique({
-      where: { ownerId: req.user.id }
+      where: { id: req.user.tenant.id }
     });
 
     if (!tenant) {
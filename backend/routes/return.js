@@ -1,10 +1,11 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const prisma = require('../lib/db');
-const { authenticateToken, requireRole } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
 const { generateReturnNumber } = require('../utils/invoiceNumberGenerator');
 const accountingService = require('../services/accountingService');
 const InventoryService = require('../services/inventoryService');
+const locationService = require('../services/locationService');
 
 const router = express.Router();
 
@@ -12,10 +13,10 @@ const router = express.Router();
 
 // Get all returns for a tenant (Business Owner only)
 // Supports filtering by returnType: SUPPLIER, CUSTOMER_FULL, CUSTOMER_PARTIAL
-router.get('/', authenticateToken, requireRole(['BUSINESS_OWNER']), async (req, res) => {
+router.get('/', authenticateToken, requirePermission('purchases:view'), async (req, res) => {
   try {
     const tenant = await prisma.tenant.findUnique({
-      where: { ownerId: req.user.id }
+      where: { id: req.user.tenant.id }
     });
 
     if (!tenant) {
@@ -71,10 +72,10 @@ router.get('/', authenticateToken, requireRole(['BUSINESS_OWNER']), async (req,
 });
 
 // Get a specific return by ID
-router.get('/:id', authenticateToken, requireRole(['BUSINESS_OWNER']), async (req, res) => {
+router.get('/:id', authenticateToken, requirePermission('purchases:view'), async (req, res) => {
   try {
     const tenant = await prisma.tenant.findUnique({
-      where: { ownerId: req.user.id }
+      where: { id: req.user.tenant.id }
     });
 
     if (!tenant) {
@@ -111,7 +112,7 @@ router.get('/:id', authenticateToken, requireRole(['BUSINESS_OWNER']), async (re
 });
 
 // Create a new return
-router.post('/', authenticateToken, requireRole(['BUSINESS_OWNER']), [
+router.post('/', authenticateToken, requirePermission('returns:edit'), [
   body('reason').optional().trim(),
   body('returnDate').isISO8601(),
   body('totalAmount').isFloat({ min: 0 }),
@@ -133,7 +134,7 @@ router.post('/', authenticateToken, requireRole(['BUSINESS_OWNER']), [
     }
 
     const tenant = await prisma.tenant.findUnique({
-      where: { ownerId: req.user.id }
+      where: { id: req.user.tenant.id }
     });
 
     if (!tenant) {
@@ -430,6 +431,11 @@ router.post('/', authenticateToken, requireRole(['BUSINESS_OWNER']), [
             purchaseInvoiceId,
             invoice.invoiceNumber || 'N/A'
           );
+          await locationService.adjustPurchaseLocationStock(
+            prisma,
+            invoice,
+            result.returnItems.map(item => ({ ...item, quantity: -item.quantity }))
+          );
           // Reduce invoice totalAmount so supplier balance reflects the return
           const newInvoiceTotal = Math.max(0, (invoice.totalAmount || 0) - totalAmount);
           await prisma.purchaseInvoice.update({
@@ -477,7 +483,7 @@ router.post('/', authenticateToken, requireRole(['BUSINESS_OWNER']), [
 });
 
 // Create return from invoice processing (with negative quantities)
-router.post('/from-invoice', authenticateToken, requireRole(['BUSINESS_OWNER']), [
+router.post('/from-invoice', authenticateToken, requirePermission('returns:edit'), [
   body('invoiceNumber').trim().isLength({ min: 1 }),
   body('invoiceDate').isISO8601(),
   body('totalAmount').isFloat({ min: 0 }),
@@ -501,7 +507,7 @@ router.post('/from-invoice', authenticateToken, requireRole(['BUSINESS_OWNER']),
     }
 
     const tenant = await prisma.tenant.findUnique({
-      where: { ownerId: req.user.id }
+      where: { id: req.user.tenant.id }
     });
 
     if (!tenant) {
@@ -588,7 +594,7 @@ router.post('/from-invoice', authenticateToken, requireRole(['BUSINESS_OWNER']),
 });
 
 // Update return status
-router.put('/:id/status', authenticateToken, requireRole(['BUSINESS_OWNER']), [
+router.put('/:id/status', authenticateToken, requirePermission('returns:edit'), [
   body('status').isIn(['PENDING', 'APPROVED', 'REJECTED', 'PROCESSED'])
 ], async (req, res) => {
   try {
@@ -598,7 +604,7 @@ router.put('/:id/status', authenticateToken, requireRole(['BUSINESS_OWNER']), [
     }
 
     const tenant = await prisma.tenant.findUnique({
-      where: { ownerId: req.user.id }
+      where: { id: req.user.tenant.id }
     });
 
     if (!tenant) {
@@ -627,7 +633,7 @@ router.put('/:id/status', authenticateToken, requireRole(['BUSINESS_OWNER']), [
 });
 
 // Update return
-router.put('/:id', authenticateToken, requireRole(['BUSINESS_OWNER']), [
+router.put('/:id', authenticateToken, requirePermission('returns:edit'), [
   body('reason').optional().trim(),
   body('returnDate').optional().isISO8601(),
   body('totalAmount').optional().isFloat({ min: 0 }),
@@ -647,7 +653,7 @@ router.put('/:id', authenticateToken, requireRole(['BUSINESS_OWNER']), [
     }
 
     const tenant = await prisma.tenant.findUnique({
-      where: { ownerId: req.user.id }
+      where: { id: req.user.tenant.id }
     });
 
     if (!tenant) {
@@ -950,7 +956,14 @@ router.put('/:id', authenticateToken, requireRole(['BUSINESS_OWNER']), [
             }
           });
 
-          if (oldTransaction) {
+          if (oldTransaction && await accountingService.findClosedPeriod(tenant.id, oldTransaction.date)) {
+            // Closed periods keep their entries; the reversal above offsets it as an adjustment
+            await prisma.transaction.update({
+              where: { id: oldTransaction.id },
+              data: { orderReturnId: null }
+            });
+            console.log(`🔒 Kept transaction ${oldTransaction.transactionNumber} in closed period for return ${existingReturn.returnNumber}`);
+          } else if (oldTransaction) {
             // Delete transaction lines first (cascade should handle this, but being explicit)
             await prisma.transactionLine.deleteMany({
               where: { transactionId: oldTransaction.id }
@@ -1027,6 +1040,10 @@ router.put('/:id', authenticateToken, requireRole(['BUSINESS_OWNER']), [
               existingReturn.purchaseInvoiceId,
               invoice.invoiceNumber || 'N/A'
             );
+            await locationService.adjustPurchaseLocationStock(prisma, invoice, [
+              ...(returnItems && Array.isArray(returnItems) ? existingReturn.returnItems : []),
+              ...itemsForStockUpdate.map(item => ({ ...item, quantity: -item.quantity }))
+            ]);
           }
         }
       }
@@ -1101,10 +1118,10 @@ router.put('/:id', authenticateToken, requireRole(['BUSINESS_OWNER']), [
 });
 
 // Delete return
-router.delete('/:id', authenticateToken, requireRole(['BUSINESS_OWNER']), async (req, res) => {
+router.delete('/:id', authenticateToken, requirePermission('returns:edit'), async (req, res) => {
   try {
     const tenant = await prisma.tenant.findUnique({
-      where: { ownerId: req.user.id }
+      where: { id: req.user.tenant.id }
     });
 
     if (!tenant) {
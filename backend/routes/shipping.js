@@ -1,7 +1,7 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const prisma = require('../lib/db');
-const { authenticateToken, requireRole } = require('../middleware/auth');
+const { authenticateToken, requireRole, requirePermission } = require('../middleware/auth');
 const ShippingChargesService = require('../services/shippingChargesService');
 
 const router = express.Router();
@@ -53,10 +53,10 @@ router.post('/calculate', [
 });
 
 // Get shipping configuration (Business Owner only)
-router.get('/config', authenticateToken, requireRole(['BUSINESS_OWNER']), async (req, res) => {
+router.get('/config', authenticateToken, requirePermission('orders:view'), async (req, res) => {
   try {
     const tenant = await prisma.tenant.findUnique({
-      where: { ownerId: req.user.id },
+      where: { id: req.user.tenant.id },
       select: {
         shippingCityCharges: true,
         shippingQuantityRules: true
@@ -123,7 +123,7 @@ router.put('/config', authenticateToken, requireRole(['BUSINESS_OWNER']), [
 
     // Find tenant
     const existingTenant = await prisma.tenant.findUnique({
-      where: { ownerId: req.user.id }
+      where: { id: req.user.tenant.id }
     });
 
     if (!existingTenant) {
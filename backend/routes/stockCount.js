@@ -0,0 +1,102 @@
+const express = require('express');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const stockCountService = require('../services/stockCountService');
+
+const router = express.Router();
+
+const sendError = (res, error, fallbackMessage) => {
+  const notFound = error.message && error.message.toLowerCase().includes('not found');
+  res.status(notFound ? 404 : 400).json({ error: error.message || fallbackMessage });
+};
+
+const canCount = requirePermission(['stock:count', 'stock:approve']);
+
+// Get stock counts
+router.get('/', authenticateToken, canCount, async (req, res) => {
+  try {
+    const counts = await stockCountService.getCounts(req.user.tenant.id, { status: req.query.status });
+    res.json({ counts, reasons: stockCountService.getReasons() });
+  } catch (error) {
+    console.error('Error fetching stock counts:', error);
+    res.status(500).json({ error: 'Failed to fetch stock counts' });
+  }
+});
+
+// Start a stock count
+router.post('/', authenticateToken, canCount, async (req, res) => {
+  try {
+    const count = await stockCountService.createCount(req.user.tenant.id, req.body, req.user);
+    res.status(201).json({ count });
+  } catch (error) {
+    console.error('Error starting stock count:', error);
+    sendError(res, error, 'Failed to start stock count');
+  }
+});
+
+// Get a stock count with live variances
+router.get('/:id', authenticateToken, canCount, async (req, res) => {
+  try {
+    const count = await stockCountService.getCount(req.params.id, req.user.tenant.id);
+    res.json({ count, reasons: stockCountService.getReasons() });
+  } catch (error) {
+    console.error('Error fetching stock count:', error);
+    sendError(res, error, 'Failed to fetch stock count');
+  }
+});
+
+// Save counted quantities
+router.put('/:id/items', authenticateToken, canCount, async (req, res) => {
+  try {
+    const count = await stockCountService.recordCounts(req.params.id, req.user.tenant.id, req.body.items);
+    res.json({ count });
+  } catch (error) {
+    console.error('Error saving stock count:', error);
+    sendError(res, error, 'Failed to save counted quantities');
+  }
+});
+
+// Submit a count for approval
+router.post('/:id/submit', authenticateToken, canCount, async (req, res) => {
+  try {
+    const count = await stockCountService.submitCount(req.params.id, req.user.tenant.id, req.user);
+    res.json({ count });
+  } catch (error) {
+    console.error('Error submitting stock count:', error);
+    sendError(res, error, 'Failed to submit stock count');
+  }
+});
+
+// Send a submitted count back for recounting
+router.post('/:id/reopen', authenticateToken, requirePermission('stock:approve'), async (req, res) => {
+  try {
+    const count = await stockCountService.reopenCount(req.params.id, req.user.tenant.id);
+    res.json({ count });
+  } catch (error) {
+    console.error('Error reopening stock count:', error);
+    sendError(res, error, 'Failed to reopen stock count');
+  }
+});
+
+// Approve a count: adjust stock and post variances to the ledger
+router.post('/:id/approve', authenticateToken, requirePermission('stock:approve'), async (req, res) => {
+  try {
+    const count = await stockCountService.approveCount(req.params.id, req.user.tenant.id, req.user);
+    res.json({ count });
+  } catch (error) {
+    console.error('Error approving stock count:', error);
+    sendError(res, error, 'Failed to approve stock count');
+  }
+});
+
+// Cancel a count that has not been approved
+router.post('/:id/cancel', authenticateToken, requirePermission('stock:approve'), async (req, res) => {
+  try {
+    await stockCountService.cancelCount(req.params.id, req.user.tenant.id);
+    res.json({ message: 'Stock count cancelled' });
+  } catch (error) {
+    console.error('Error cancelling stock count:', error);
+    sendError(res, error, 'Failed to cancel stock count');
+  }
+});
+
+module.exports = router;
@@ -2,9 +2,12 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const bcrypt = require('bcryptjs');
 const crypto = require('crypto');
+const multer = require('multer');
 const prisma = require('../lib/db');
 const { authenticateToken, requireRole } = require('../middleware/auth');
+const { PERMISSIONS, PERMISSION_PRESETS, sanitizePermissions } = require('../utils/permissions');
 const accountingService = require('../services/accountingService');
+const backupService = require('../services/backupService');
 
 const router = express.Router();
 
@@ -67,6 +70,17 @@ router.delete('/:tenantId/clear-all-data', authenticateToken, requireRole(['ADMI
         where: { tenantId }
       });
 
+      // Closed periods (with their balance snapshots), COD settlements and bank statements reference transactions and accounts
+      await tx.accountingPeriod.deleteMany({
+        where: { tenantId }
+      });
+      await tx.codRemittance.deleteMany({
+        where: { tenantId }
+      });
+      await tx.bankStatement.deleteMany({
+        where: { tenantId }
+      });
+
       // Accounting Module - Delete transactions first (they reference Orders and Returns)
       // 2. Delete TransactionLines (references Transaction and Account - must be deleted before Transaction)
       // First get all transactions for this tenant, then delete their lines
@@ -106,6 +120,11 @@ router.delete('/:tenantId/clear-all-data', authenticateToken, requireRole(['ADMI
         where: { tenantId }
       });
 
+      // Discount codes only matter for the orders that used them
+      await tx.promotion.deleteMany({
+        where: { tenantId }
+      });
+
       // 6. Delete ReturnItems (references returns)
       // First get all returns for this tenant, then delete their items
       const tenantReturns = await tx.return.findMany({
@@ -632,11 +651,11 @@ router.put('/:id', authenticateToken, [
   }
 });
 
-// Get tenant by owner (for business owner dashboard)
-router.get('/owner/me', authenticateToken, requireRole(['BUSINESS_OWNER']), async (req, res) => {
+// Get tenant by owner (for business owner dashboard; staff get the tenant they work for)
+router.get('/owner/me', authenticateToken, requireRole(['BUSINESS_OWNER', 'STAFF']), async (req, res) => {
   try {
     const tenant = await prisma.tenant.findUnique({
-      where: { ownerId: req.user.id },
+      where: { id: req.user.tenant.id },
       include: {
         forms: {
           select: {
@@ -656,6 +675,12 @@ router.get('/owner/me', authenticateToken, requireRole(['BUSINESS_OWNER']), asyn
           select: {
             orders: true
           }
+        },
+        // Whether an invoice logo is set; the image itself is served by GET /owner/logo
+        logo: {
+          select: {
+            updatedAt: true
+          }
         }
       }
     });
@@ -677,7 +702,13 @@ router.put('/owner/me', authenticateToken, requireRole(['BUSINESS_OWNER']), [
   body('contactPerson').optional().trim().isLength({ min: 2 }),
   body('whatsappNumber').optional().matches(/^\+92[0-9]{10}$/),
   body('businessAddress').optional().trim(),
-  body('businessType').optional().isIn(['DRESS_SHOP', 'RESTAURANT', 'BAKERY', 'ELECTRONICS', 'GROCERY', 'OTHER'])
+  body('businessType').optional().isIn(['DRESS_SHOP', 'RESTAURANT', 'BAKERY', 'ELECTRONICS', 'GROCERY', 'OTHER']),
+  body('stockReservationHours').optional().isInt({ min: 1, max: 720 }).withMessage('Reservation window must be between 1 and 720 hours').toInt(),
+  body('requirePackScan').optional().isBoolean().withMessage('Require pack scan must be true or false').toBoolean(),
+  body('riskReviewScore').optional().isInt({ min: 1, max: 100 }).withMessage('Review score must be between 1 and 100').toInt(),
+  body('riskPrepaymentScore').optional().isInt({ min: 1, max: 100 }).withMessage('Prepayment score must be between 1 and 100').toInt(),
+  body('riskRejectScore').optional({ nullable: true }).isInt({ min: 1, max: 100 }).withMessage('Reject score must be between 1 and 100').toInt(),
+  body('blocklistAction').optional().isIn(['REJECT', 'REQUIRE_PREPAYMENT', 'REVIEW']).withMessage('Blocklist action must be REJECT, REQUIRE_PREPAYMENT or REVIEW')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -697,7 +728,10 @@ router.put('/owner/me', authenticateToken, requireRole(['BUSINESS_OWNER']), [
     const updateData = req.body;
     
     // Only include fields that are provided and valid
-    const allowedFields = ['businessName', 'contactPerson', 'whatsappNumber', 'businessAddress', 'businessType', 'defaultCodFeePaidBy'];
+    const allowedFields = [
+      'businessName', 'contactPerson', 'whatsappNumber', 'businessAddress', 'businessType', 'defaultCodFeePaidBy',
+      'stockReservationHours', 'requirePackScan', 'riskReviewScore', 'riskPrepaymentScore', 'riskRejectScore', 'blocklistAction'
+    ];
     const filteredData = {};
     for (const field of allowedFields) {
       if (updateData[field] !== undefined) {
@@ -879,4 +913,300 @@ router.delete('/owner/prepaid-bank-details/:id', authenticateToken, requireRole(
   }
 });
 
+// ----- Logo printed on sales invoices -----
+
+const LOGO_TYPES = ['image/png', 'image/jpeg'];
+const MAX_LOGO_BYTES = 1024 * 1024;
+
+// Current logo image (404 when none is set)
+router.get('/owner/logo', authenticateToken, requireRole(['BUSINESS_OWNER', 'STAFF']), async (req, res) => {
+  try {
+    const logo = await prisma.tenantLogo.findUnique({
+      where: { tenantId: req.user.tenant.id }
+    });
+    if (!logo) {
+      return res.status(404).json({ error: 'No logo uploaded' });
+    }
+    res.setHeader('Content-Type', logo.imageType);
+    res.setHeader('Cache-Control', 'private, no-cache');
+    res.send(logo.imageData);
+  } catch (error) {
+    console.error('Get logo error:', error);
+    res.status(500).json({ error: 'Failed to load logo' });
+  }
+});
+
+// Upload or replace the logo (base64 PNG or JPEG)
+router.put('/owner/logo', authenticateToken, requireRole(['BUSINESS_OWNER']), [
+  body('imageData').isString().notEmpty().withMessage('Image data is required'),
+  body('mimeType').isIn(LOGO_TYPES).withMessage('Logo must be a PNG or JPEG image')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    const tenant = await getTenantByOwnerId(req.user.id);
+    if (!tenant) {
+      return res.status(404).json({ error: 'No tenant found for this business owner' });
+    }
+
+    // Accept a data URL as well as bare base64
+    const imageBuffer = Buffer.from(req.body.imageData.replace(/^data:[^;]+;base64,/, ''), 'base64');
+    if (imageBuffer.length === 0) {
+      return res.status(400).json({ error: 'Image data is empty' });
+    }
+    if (imageBuffer.length > MAX_LOGO_BYTES) {
+      return res.status(400).json({ error: 'Logo must be 1 MB or smaller' });
+    }
+
+    await prisma.tenantLogo.upsert({
+      where: { tenantId: tenant.id },
+      create: { tenantId: tenant.id, imageData: imageBuffer, imageType: req.body.mimeType },
+      update: { imageData: imageBuffer, imageType: req.body.mimeType }
+    });
+    res.json({ message: 'Logo updated successfully' });
+  } catch (error) {
+    console.error('Upload logo error:', error);
+    res.status(500).json({ error: 'Failed to upload logo' });
+  }
+});
+
+// Remove the logo
+router.delete('/owner/logo', authenticateToken, requireRole(['BUSINESS_OWNER']), async (req, res) => {
+  try {
+    const tenant = await getTenantByOwnerId(req.user.id);
+    if (!tenant) {
+      return res.status(404).json({ error: 'No tenant found for this business owner' });
+    }
+    await prisma.tenantLogo.deleteMany({ where: { tenantId: tenant.id } });
+    res.json({ message: 'Logo removed successfully' });
+  } catch (error) {
+    console.error('Delete logo error:', error);
+    res.status(500).json({ error: 'Failed to remove logo' });
+  }
+});
+
+// ----- Backup and restore (zip archive of all the business's data, see backupService) -----
+
+// Archives include product and receipt images, so allow large uploads
+const backupUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 200 * 1024 * 1024 // 200MB limit
+  }
+});
+
+// Download a backup of the owner's business
+router.get('/owner/backup', authenticateToken, requireRole(['BUSINESS_OWNER']), async (req, res) => {
+  try {
+    const tenant = await getTenantByOwnerId(req.user.id);
+    if (!tenant) {
+      return res.status(404).json({ error: 'No tenant found for this business owner' });
+    }
+
+    const { buffer, filename } = await backupService.exportTenant(tenant.id);
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(buffer);
+  } catch (error) {
+    console.error('Export backup error:', error);
+    res.status(500).json({ error: 'Failed to create backup' });
+  }
+});
+
+// Restore a backup into the owner's business; only allowed while it has no data of its own
+router.post('/owner/restore', authenticateToken, requireRole(['BUSINESS_OWNER']), (req, res, next) => {
+  backupUpload.single('file')(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({
+        error: error.code === 'LIMIT_FILE_SIZE' ? 'Backup file must be 200 MB or smaller' : error.message
+      });
+    }
+    next();
+  });
+}, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'Backup file is required' });
+    }
+    const tenant = await getTenantByOwnerId(req.user.id);
+    if (!tenant) {
+      return res.status(404).json({ error: 'No tenant found for this business owner' });
+    }
+
+    const result = await backupService.importTenant(tenant.id, req.file.buffer);
+    res.json({
+      message: 'Backup restored successfully',
+      ...result
+    });
+  } catch (error) {
+    console.error('Restore backup error:', error);
+    // Database errors are not the user's to fix; archive and tenant checks are
+    if (error.name && error.name.startsWith('Prisma')) {
+      return res.status(500).json({ error: 'Failed to restore backup' });
+    }
+    res.status(error.message.includes('not found') ? 404 : 400).json({ error: error.message });
+  }
+});
+
+// ----- Staff members (users working inside the owner's tenant with granted permissions) -----
+
+const staffMemberSelect = {
+  id: true,
+  permissions: true,
+  isActive: true,
+  createdAt: true,
+  user: {
+    select: {
+      id: true,
+      name: true,
+      email: true
+    }
+  }
+};
+
+// List staff members with the available permissions and presets
+router.get('/owner/staff', authenticateToken, requireRole(['BUSINESS_OWNER']), async (req, res) => {
+  try {
+    const tenant = await getTenantByOwnerId(req.user.id);
+    if (!tenant) {
+      return res.status(404).json({ error: 'No tenant found for this business owner' });
+    }
+    const members = await prisma.tenantMember.findMany({
+      where: { tenantId: tenant.id },
+      select: staffMemberSelect,
+      orderBy: { createdAt: 'asc' }
+    });
+    res.json({
+      data: members,
+      permissions: PERMISSIONS,
+      presets: PERMISSION_PRESETS
+    });
+  } catch (error) {
+    console.error('List staff error:', error);
+    res.status(500).json({ error: 'Failed to load staff members' });
+  }
+});
+
+// Add a staff member (creates their login)
+router.post('/owner/staff', authenticateToken, requireRole(['BUSINESS_OWNER']), [
+  body('name').trim().isLength({ min: 2 }).withMessage('Name is required'),
+  body('email').isEmail().normalizeEmail().withMessage('Valid email is required'),
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
+  body('permissions').isArray().withMessage('Permissions must be a list')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    const tenant = await getTenantByOwnerId(req.user.id);
+    if (!tenant) {
+      return res.status(404).json({ error: 'No tenant found for this business owner' });
+    }
+
+    const { name, email, password, permissions } = req.body;
+
+    const existingUser = await prisma.user.findUnique({
+      where: { email }
+    });
+    if (existingUser) {
+      return res.status(400).json({ error: 'User already exists with this email' });
+    }
+
+    const hashedPassword = await bcrypt.hash(password, 12);
+
+    const member = await prisma.tenantMember.create({
+      data: {
+        permissions: sanitizePermissions(permissions),
+        tenant: { connect: { id: tenant.id } },
+        user: {
+          create: {
+            email,
+            password: hashedPassword,
+            name,
+            role: 'STAFF'
+          }
+        }
+      },
+      select: staffMemberSelect
+    });
+
+    res.status(201).json({ data: member });
+  } catch (error) {
+    console.error('Create staff error:', error);
+    res.status(500).json({ error: 'Failed to add staff member' });
+  }
+});
+
+// Update a staff member's permissions, access or password
+router.put('/owner/staff/:id', authenticateToken, requireRole(['BUSINESS_OWNER']), [
+  body('name').optional().trim().isLength({ min: 2 }),
+  body('permissions').optional().isArray(),
+  body('isActive').optional().isBoolean(),
+  body('password').optional().isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    const tenant = await getTenantByOwnerId(req.user.id);
+    if (!tenant) {
+      return res.status(404).json({ error: 'No tenant found for this business owner' });
+    }
+    const existing = await prisma.tenantMember.findFirst({
+      where: { id: req.params.id, tenantId: tenant.id }
+    });
+    if (!existing) {
+      return res.status(404).json({ error: 'Staff member not found' });
+    }
+
+    const { name, permissions, isActive, password } = req.body;
+    const userData = {};
+    if (name) userData.name = name;
+    if (password) userData.password = await bcrypt.hash(password, 12);
+
+    const member = await prisma.tenantMember.update({
+      where: { id: existing.id },
+      data: {
+        ...(permissions !== undefined && { permissions: sanitizePermissions(permissions) }),
+        ...(isActive !== undefined && { isActive }),
+        ...(Object.keys(userData).length > 0 && { user: { update: userData } })
+      },
+      select: staffMemberSelect
+    });
+
+    res.json({ data: member });
+  } catch (error) {
+    console.error('Update staff error:', error);
+    res.status(500).json({ error: 'Failed to update staff member' });
+  }
+});
+
+// Remove a staff member and their login
+router.delete('/owner/staff/:id', authenticateToken, requireRole(['BUSINESS_OWNER']), async (req, res) => {
+  try {
+    const tenant = await getTenantByOwnerId(req.user.id);
+    if (!tenant) {
+      return res.status(404).json({ error: 'No tenant found for this business owner' });
+    }
+    const existing = await prisma.tenantMember.findFirst({
+      where: { id: req.params.id, tenantId: tenant.id }
+    });
+    if (!existing) {
+      return res.status(404).json({ error: 'Staff member not found' });
+    }
+    // Deleting the user cascades to the membership
+    await prisma.user.delete({
+      where: { id: existing.userId }
+    });
+    res.json({ message: 'Staff member removed successfully' });
+  } catch (error) {
+    console.error('Delete staff error:', error);
+    res.status(500).json({ error: 'Failed to remove staff member' });
+  }
+});
+
 module.exports = router;
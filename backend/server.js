@@ -19,6 +19,10 @@ const imageRoutes = require('./routes/images');
 const customerRoutes = require('./routes/customer');
 const shippingRoutes = require('./routes/shipping');
 const accountingRoutes = require('./routes/accounting');
+const auditLogRoutes = require('./routes/auditLog');
+const promotionRoutes = require('./routes/promotion');
+const locationRoutes = require('./routes/location');
+const stockCountRoutes = require('./routes/stockCount');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -65,6 +69,10 @@ app.use('/api/images', imageRoutes);
 app.use('/api/customer', customerRoutes);
 app.use('/api/shipping', shippingRoutes);
 app.use('/api/accounting', accountingRoutes);
+app.use('/api/audit-logs', auditLogRoutes);
+app.use('/api/promotions', promotionRoutes);
+app.use('/api/locations', locationRoutes);
+app.use('/api/stock-counts', stockCountRoutes);
 
 // Health check
 app.get('/api/health', (req, res) => {
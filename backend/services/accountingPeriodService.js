@@ -0,0 +1,321 @@
+const prisma = require('../lib/db');
+const accountingService = require('./accountingService');
+const financialReportService = require('./financialReportService');
+const auditLogService = require('./auditLogService');
+
+const RETAINED_EARNINGS_CODE = '3200';
+
+const round = (value) => Math.round((value || 0) * 100) / 100;
+
+class AccountingPeriodService {
+  /**
+   * First and last moment of a calendar month
+   * @param {number} year - e.g. 2026
+   * @param {number} month - 1-12
+   * @returns {Object} { periodStart, periodEnd }
+   */
+  getMonthBounds(year, month) {
+    return {
+      periodStart: new Date(year, month - 1, 1),
+      periodEnd: new Date(year, month, 0, 23, 59, 59, 999)
+    };
+  }
+
+  /**
+   * Human label for a period ("May 2026")
+   * @param {Date} periodStart - Period start
+   * @returns {string}
+   */
+  getLabel(periodStart) {
+    return new Date(periodStart).toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+  }
+
+  /**
+   * Get a tenant's closed and reopened periods, newest first
+   * @param {string} tenantId - Tenant ID
+   * @returns {Array<Object>}
+   */
+  async getPeriods(tenantId) {
+    const periods = await prisma.accountingPeriod.findMany({
+      where: { tenantId },
+      include: {
+        closingTransaction: {
+          select: { id: true, transactionNumber: true }
+        }
+      },
+      orderBy: { periodStart: 'desc' }
+    });
+
+    return periods.map(period => ({ ...period, label: this.getLabel(period.periodStart) }));
+  }
+
+  /**
+   * Get a period with its balance snapshot
+   * @param {string} periodId - Period ID
+   * @param {string} tenantId - Tenant ID
+   * @returns {Object}
+   */
+  async getPeriodById(periodId, tenantId) {
+    const period = await prisma.accountingPeriod.findFirst({
+      where: { id: periodId, tenantId },
+      include: {
+        closingTransaction: {
+          include: {
+            transactionLines: {
+              include: { account: true }
+            }
+          }
+        },
+        snapshots: {
+          include: {
+            account: {
+              select: { id: true, code: true, name: true, type: true }
+            }
+          }
+        }
+      }
+    });
+
+    if (!period) {
+      throw new Error('Accounting period not found');
+    }
+
+    period.snapshots.sort((a, b) => a.account.code.localeCompare(b.account.code));
+    return { ...period, label: this.getLabel(period.periodStart) };
+  }
+
+  /**
+   * Build closing entry lines that zero the period's income and expense accounts into Retained Earnings
+   * @param {Array<Object>} accounts - Chart of accounts
+   * @param {Map} totals - Period totals per account (closing entries excluded)
+   * @param {Object} retainedEarnings - Account 3200
+   * @returns {Object} { lines, netProfit }
+   */
+  buildClosingLines(accounts, totals, retainedEarnings) {
+    const lines = [];
+    let netProfit = 0;
+
+    for (const account of accounts) {
+      if (account.type !== 'INCOME' && account.type !== 'EXPENSE') continue;
+
+      const sums = totals.get(account.id);
+      if (!sums) continue;
+
+      const net = round(sums.debit - sums.credit);
+      if (net === 0) continue;
+
+      // Post the opposite side so the account ends the period at zero
+      lines.push({
+        accountId: account.id,
+        debitAmount: net < 0 ? -net : 0,
+        creditAmount: net > 0 ? net : 0
+      });
+      netProfit -= net;
+    }
+
+    netProfit = round(netProfit);
+    if (netProfit !== 0) {
+      lines.push({
+        accountId: retainedEarnings.id,
+        debitAmount: netProfit < 0 ? -netProfit : 0,
+        creditAmount: netProfit > 0 ? netProfit : 0
+      });
+    }
+
+    return { lines, netProfit };
+  }
+
+  /**
+   * Close a month: transfer its profit to Retained Earnings, snapshot every account balance
+   * and lock the month against new or rewritten entries
+   * @param {Object} data - { tenantId, year, month, user }
+   * @returns {Object} Closed AccountingPeriod
+   */
+  async closePeriod(data) {
+    const { tenantId, user } = data;
+    const year = parseInt(data.year);
+    const month = parseInt(data.month);
+
+    if (!year || !month || month < 1 || month > 12) {
+      throw new Error('A valid year and month are required');
+    }
+
+    const { periodStart, periodEnd } = this.getMonthBounds(year, month);
+    const label = this.getLabel(periodStart);
+
+    if (periodEnd >= new Date()) {
+      throw new Error(`${label} has not ended yet`);
+    }
+
+    const existing = await prisma.accountingPeriod.findUnique({
+      where: { tenantId_periodStart: { tenantId, periodStart } }
+    });
+
+    if (existing && existing.status === 'CLOSED') {
+      throw new Error(`${label} is already closed`);
+    }
+
+    const retainedEarnings = await accountingService.getAccountByCode(RETAINED_EARNINGS_CODE, tenantId) ||
+      await accountingService.getOrCreateAccount({
+        code: RETAINED_EARNINGS_CODE,
+        name: 'Retained Earnings',
+        type: 'EQUITY',
+        tenantId,
+        balance: 0
+      });
+
+    const [accounts, periodTotals, cumulativeTotals] = await Promise.all([
+      financialReportService.getAccounts(tenantId),
+      financialReportService.getAccountTotals(tenantId, { fromDate: periodStart, toDate: periodEnd }, { excludeEntryTypes: ['CLOSING'] }),
+      financialReportService.getAccountTotals(tenantId, { toDate: periodEnd })
+    ]);
+
+    const { lines, netProfit } = this.buildClosingLines(accounts, periodTotals, retainedEarnings);
+
+    // Snapshot = balances through the period end plus the closing entry about to be posted
+    for (const line of lines) {
+      const sums = cumulativeTotals.get(line.accountId) || { debit: 0, credit: 0 };
+      cumulativeTotals.set(line.accountId, {
+        debit: sums.debit + line.debitAmount,
+        credit: sums.credit + line.creditAmount
+      });
+    }
+
+    const snapshots = accounts
+      .filter(account => cumulativeTotals.has(account.id))
+      .map(account => {
+        const sums = cumulativeTotals.get(account.id);
+        return {
+          accountId: account.id,
+          debitTotal: round(sums.debit),
+          creditTotal: round(sums.credit),
+          balance: round(financialReportService.normalBalance(account.type, sums.debit, sums.credit))
+        };
+      });
+
+    const closedBy = user?.name || user?.email || null;
+
+    const period = await prisma.$transaction(async (tx) => {
+      let closingTransaction = null;
+      if (lines.length > 0) {
+        closingTransaction = await accountingService.postTransaction(
+          tx,
+          {
+            transactionNumber: `CLOSE-${year}-${String(month).padStart(2, '0')}-${Date.now()}`,
+            date: periodEnd,
+            description: `Period close ${label}: net ${netProfit >= 0 ? 'profit' : 'loss'} transferred to Retained Earnings`,
+            tenantId,
+            entryType: 'CLOSING'
+          },
+          lines
+        );
+      }
+
+      const periodData = {
+        periodEnd,
+        status: 'CLOSED',
+        netProfit,
+        closedAt: new Date(),
+        closedBy,
+        reopenedAt: null,
+        reopenedBy: null,
+        reopenReason: null,
+        closingTransactionId: closingTransaction ? closingTransaction.id : null
+      };
+
+      const saved = existing
+        ? await tx.accountingPeriod.update({ where: { id: existing.id }, data: periodData })
+        : await tx.accountingPeriod.create({ data: { ...periodData, tenantId, periodStart } });
+
+      await tx.accountBalanceSnapshot.createMany({
+        data: snapshots.map(snapshot => ({ ...snapshot, periodId: saved.id }))
+      });
+
+      return saved;
+    }, {
+      timeout: 30000
+    });
+
+    await auditLogService.log({
+      tenantId,
+      user,
+      entityType: 'ACCOUNTING_PERIOD',
+      entityId: period.id,
+      entityLabel: label,
+      action: 'CLOSE',
+      description: `Closed ${label}. Net ${netProfit >= 0 ? 'profit' : 'loss'} of Rs. ${Math.abs(netProfit).toFixed(2)} transferred to Retained Earnings.`
+    });
+
+    return { ...period, label };
+  }
+
+  /**
+   * Reopen a closed month: remove its closing entry and snapshot so entries can be posted again
+   * @param {Object} data - { tenantId, periodId, user, reason }
+   * @returns {Object} Reopened AccountingPeriod
+   */
+  async reopenPeriod(data) {
+    const { tenantId, periodId, user, reason } = data;
+
+    const period = await prisma.accountingPeriod.findFirst({
+      where: { id: periodId, tenantId }
+    });
+
+    if (!period) {
+      throw new Error('Accounting period not found');
+    }
+
+    const label = this.getLabel(period.periodStart);
+
+    if (period.status !== 'CLOSED') {
+      throw new Error(`${label} is not closed`);
+    }
+
+    // Later snapshots include this month's balances, so periods are reopened newest first
+    const laterClosed = await prisma.accountingPeriod.findFirst({
+      where: { tenantId, status: 'CLOSED', periodStart: { gt: period.periodStart } },
+      orderBy: { periodStart: 'desc' }
+    });
+
+    if (laterClosed) {
+      throw new Error(`Reopen ${this.getLabel(laterClosed.periodStart)} first`);
+    }
+
+    const reopened = await prisma.$transaction(async (tx) => {
+      const updated = await tx.accountingPeriod.update({
+        where: { id: period.id },
+        data: {
+          status: 'REOPENED',
+          reopenedAt: new Date(),
+          reopenedBy: user?.name || user?.email || null,
+          reopenReason: reason || null,
+          closingTransactionId: null
+        }
+      });
+
+      await tx.accountBalanceSnapshot.deleteMany({ where: { periodId: period.id } });
+
+      if (period.closingTransactionId) {
+        await accountingService.removeTransaction(tx, period.closingTransactionId);
+      }
+
+      return updated;
+    }, {
+      timeout: 30000
+    });
+
+    await auditLogService.log({
+      tenantId,
+      user,
+      entityType: 'ACCOUNTING_PERIOD',
+      entityId: period.id,
+      entityLabel: label,
+      action: 'REOPEN',
+      description: `Reopened ${label}${reason ? `: ${reason}` : ''}`
+    });
+
+    return { ...reopened, label };
+  }
+}
+
+module.exports = new AccountingPeriodService();
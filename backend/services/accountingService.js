@@ -5,9 +5,12 @@ class AccountingService {
    * Create a double-entry transaction
    * @param {Object} transactionData - Transaction data
    * @param {Array} transactionLines - Array of {accountId, debitAmount, creditAmount}
+   * @param {Object} options - { closedPeriod: 'ADJUST' (default) re-dates entries that fall in a closed
+   *   period into the next open one, 'REJECT' throws a PERIOD_CLOSED error instead;
+   *   tx: post inside this open database transaction instead of a new one }
    * @returns {Object} Created transaction
    */
-  async createTransaction(transactionData, transactionLines) {
+  async createTransaction(transactionData, transactionLines, options = {}) {
     // Validate that debits equal credits
     const totalDebits = transactionLines.reduce((sum, line) => sum + (line.debitAmount || 0), 0);
     const totalCredits = transactionLines.reduce((sum, line) => sum + (line.creditAmount || 0), 0);
@@ -16,67 +19,345 @@ class AccountingService {
       throw new Error(`Transaction is not balanced. Debits: ${totalDebits}, Credits: ${totalCredits}`);
     }
 
+    const data = await this.applyPeriodLock(transactionData, options);
+
+    if (options.tx) {
+      return await this.postTransaction(options.tx, data, transactionLines);
+    }
+
     return await prisma.$transaction(async (tx) => {
-      // Create transaction
-      const transaction = await tx.transaction.create({
-        data: {
-          ...transactionData,
-          transactionLines: {
-            create: transactionLines.map(line => ({
-              accountId: line.accountId,
-              debitAmount: line.debitAmount || 0,
-              creditAmount: line.creditAmount || 0
-            }))
-          }
-        },
-        include: {
-          transactionLines: {
-            include: {
-              account: true
-            }
+      return await this.postTransaction(tx, data, transactionLines);
+    });
+  }
+
+  /**
+   * Write a transaction and its lines and update account balances inside an open database transaction
+   * @param {Object} tx - Prisma transaction client
+   * @param {Object} transactionData - Transaction data
+   * @param {Array} transactionLines - Array of {accountId, debitAmount, creditAmount}
+   * @returns {Object} Created transaction
+   */
+  async postTransaction(tx, transactionData, transactionLines) {
+    // Create transaction
+    const transaction = await tx.transaction.create({
+      data: {
+        ...transactionData,
+        transactionLines: {
+          create: transactionLines.map(line => ({
+            accountId: line.accountId,
+            debitAmount: line.debitAmount || 0,
+            creditAmount: line.creditAmount || 0
+          }))
+        }
+      },
+      include: {
+        transactionLines: {
+          include: {
+            account: true
           }
         }
+      }
+    });
+
+    await this.updateAccountBalances(tx, transactionLines);
+
+    return transaction;
+  }
+
+  /**
+   * Apply (or with direction -1, undo) the balance effect of transaction lines
+   * @param {Object} tx - Prisma transaction client
+   * @param {Array} transactionLines - Array of {accountId, debitAmount, creditAmount}
+   * @param {number} direction - 1 to apply, -1 to undo
+   */
+  async updateAccountBalances(tx, transactionLines, direction = 1) {
+    for (const line of transactionLines) {
+      const account = await tx.account.findUnique({
+        where: { id: line.accountId }
       });
 
-      // Update account balances
-      for (const line of transactionLines) {
-        const account = await tx.account.findUnique({
-          where: { id: line.accountId }
-        });
+      if (account) {
+        // Calculate balance change based on account type
+        // For ASSET and EXPENSE: Debit increases, Credit decreases
+        // For LIABILITY, EQUITY, INCOME: Credit increases, Debit decreases
+        // NOTE: In this system, EQUITY accounts store negative balances (credits make balance negative)
+        const isDebitIncrease = account.type === 'ASSET' || account.type === 'EXPENSE';
+        let balanceChange;
 
-        if (account) {
-          // Calculate balance change based on account type
-          // For ASSET and EXPENSE: Debit increases, Credit decreases
-          // For LIABILITY, EQUITY, INCOME: Credit increases, Debit decreases
-          // NOTE: In this system, EQUITY accounts store negative balances (credits make balance negative)
-          const isDebitIncrease = account.type === 'ASSET' || account.type === 'EXPENSE';
-          let balanceChange;
-          
-          if (isDebitIncrease) {
-            // Asset/Expense: Debit increases, Credit decreases
-            balanceChange = (line.debitAmount || 0) - (line.creditAmount || 0);
-          } else if (account.type === 'EQUITY') {
-            // EQUITY: In this system, credits make balance negative (opposite of standard)
-            // Credit decreases balance (makes it more negative), Debit increases balance (makes it less negative)
-            balanceChange = (line.debitAmount || 0) - (line.creditAmount || 0);
-          } else {
-            // Liability/Income: Credit increases, Debit decreases (standard)
-            balanceChange = (line.creditAmount || 0) - (line.debitAmount || 0);
+        if (isDebitIncrease) {
+          // Asset/Expense: Debit increases, Credit decreases
+          balanceChange = (line.debitAmount || 0) - (line.creditAmount || 0);
+        } else if (account.type === 'EQUITY') {
+          // EQUITY: In this system, credits make balance negative (opposite of standard)
+          // Credit decreases balance (makes it more negative), Debit increases balance (makes it less negative)
+          balanceChange = (line.debitAmount || 0) - (line.creditAmount || 0);
+        } else {
+          // Liability/Income: Credit increases, Debit decreases (standard)
+          balanceChange = (line.creditAmount || 0) - (line.debitAmount || 0);
+        }
+
+        await tx.account.update({
+          where: { id: line.accountId },
+          data: {
+            balance: account.balance + balanceChange * direction
           }
-          
-          await tx.account.update({
-            where: { id: line.accountId },
-            data: {
-              balance: account.balance + balanceChange
-            }
-          });
+        });
+      }
+    }
+  }
+
+  /**
+   * Delete a transaction and undo its effect on account balances
+   * @param {Object} tx - Prisma transaction client
+   * @param {string} transactionId - Transaction ID
+   */
+  async removeTransaction(tx, transactionId) {
+    const lines = await tx.transactionLine.findMany({
+      where: { transactionId }
+    });
+
+    await this.updateAccountBalances(tx, lines, -1);
+    await tx.transactionLine.deleteMany({ where: { transactionId } });
+    await tx.transaction.delete({ where: { id: transactionId } });
+  }
+
+  /**
+   * Post a manual journal entry. Every line must carry either a debit or a credit and the
+   * entry must balance; entries dated in a closed period are rejected rather than re-dated
+   * @param {Object} data - { tenantId, date, description, lines: [{accountId, debitAmount, creditAmount}] }
+   * @returns {Object} Created transaction
+   */
+  async createJournalEntry(data) {
+    const { tenantId, description } = data;
+    const lines = (data.lines || []).map(line => ({
+      accountId: line.accountId,
+      debitAmount: Math.round((parseFloat(line.debitAmount) || 0) * 100) / 100,
+      creditAmount: Math.round((parseFloat(line.creditAmount) || 0) * 100) / 100
+    }));
+
+    if (lines.length < 2) {
+      throw new Error('At least 2 transaction lines are required');
+    }
+
+    for (const [index, line] of lines.entries()) {
+      if (!line.accountId) {
+        throw new Error(`Line ${index + 1}: account is required`);
+      }
+      if (line.debitAmount < 0 || line.creditAmount < 0) {
+        throw new Error(`Line ${index + 1}: amounts cannot be negative`);
+      }
+      if ((line.debitAmount > 0) === (line.creditAmount > 0)) {
+        throw new Error(`Line ${index + 1}: enter either a debit or a credit amount`);
+      }
+    }
+
+    const accountIds = [...new Set(lines.map(line => line.accountId))];
+    const accountCount = await prisma.account.count({
+      where: { id: { in: accountIds }, tenantId }
+    });
+    if (accountCount !== accountIds.length) {
+      throw new Error('Account not found');
+    }
+
+    return await this.createTransaction(
+      {
+        transactionNumber: `TXN-${new Date().getFullYear()}-${Date.now()}`,
+        date: data.date ? new Date(data.date) : new Date(),
+        description: description || 'Manual journal entry',
+        tenantId,
+        entryType: 'MANUAL'
+      },
+      lines,
+      { closedPeriod: 'REJECT' }
+    );
+  }
+
+  /**
+   * Load a transaction that is about to be reversed or voided and check it still can be
+   * @param {string} transactionId - Transaction ID
+   * @param {string} tenantId - Tenant ID
+   * @returns {Object} Transaction with lines and reversal links
+   */
+  async getCorrectableTransaction(transactionId, tenantId) {
+    const transaction = await prisma.transaction.findFirst({
+      where: { id: transactionId, tenantId },
+      include: {
+        transactionLines: true,
+        reversal: { select: { id: true, transactionNumber: true, status: true } }
+      }
+    });
+
+    if (!transaction) {
+      throw new Error('Transaction not found');
+    }
+    if (transaction.status === 'VOID') {
+      throw new Error(`Transaction ${transaction.transactionNumber} is already void`);
+    }
+    if (transaction.entryType === 'CLOSING') {
+      throw new Error('Period closing entries are removed by reopening the period');
+    }
+    if (transaction.reversal && transaction.reversal.status === 'POSTED') {
+      throw new Error(`Transaction ${transaction.transactionNumber} was reversed by ${transaction.reversal.transactionNumber}`);
+    }
+
+    return transaction;
+  }
+
+  /**
+   * Post a mirror entry (debits and credits swapped) that cancels a transaction, linked to it
+   * @param {Object} data - { tenantId, transactionId, date, description }
+   * @returns {Object} Reversal transaction (with reversalOf)
+   */
+  async reverseTransaction(data) {
+    const { tenantId, transactionId } = data;
+    const original = await this.getCorrectableTransaction(transactionId, tenantId);
+
+    if (original.reversalOfId) {
+      throw new Error('A reversal cannot be reversed again; void it instead');
+    }
+    const reversalData = await this.applyPeriodLock(
+      {
+        transactionNumber: `TXN-${new Date().getFullYear()}-${Date.now()}`,
+        date: data.date ? new Date(data.date) : new Date(),
+        description: data.description || `Reversal of ${original.transactionNumber}${original.description ? `: ${original.description}` : ''}`,
+        tenantId,
+        entryType: 'REVERSAL',
+        reversalOfId: original.id
+      },
+      { closedPeriod: 'REJECT' }
+    );
+
+    const lines = original.transactionLines.map(line => ({
+      accountId: line.accountId,
+      debitAmount: line.creditAmount,
+      creditAmount: line.debitAmount
+    }));
+
+    const reversal = await prisma.$transaction(async (tx) => {
+      if (original.reversal) {
+        // A voided earlier reversal still holds the link
+        await tx.transaction.update({
+          where: { id: original.reversal.id },
+          data: { reversalOfId: null }
+        });
+      }
+
+      return await this.postTransaction(tx, reversalData, lines);
+    });
+
+    return {
+      ...reversal,
+      reversalOf: { id: original.id, transactionNumber: original.transactionNumber }
+    };
+  }
+
+  /**
+   * Void a transaction: its balance effect is undone but the entry stays visible, marked VOID
+   * @param {Object} data - { tenantId, transactionId, reason, user }
+   * @returns {Object} Voided transaction
+   */
+  async voidTransaction(data) {
+    const { tenantId, transactionId, reason, user } = data;
+    const transaction = await this.getCorrectableTransaction(transactionId, tenantId);
+
+    const period = await this.findClosedPeriod(tenantId, transaction.date);
+    if (period) {
+      const closedLabel = period.periodStart.toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+      const error = new Error(`The accounting period ${closedLabel} is closed. Post a reversal in an open period instead.`);
+      error.code = 'PERIOD_CLOSED';
+      throw error;
+    }
+
+    return await prisma.$transaction(async (tx) => {
+      // Guard against a concurrent void undoing the balances twice
+      const { count } = await tx.transaction.updateMany({
+        where: { id: transaction.id, status: 'POSTED' },
+        data: {
+          status: 'VOID',
+          voidedAt: new Date(),
+          voidedBy: user?.name || user?.email || null,
+          voidReason: reason || null
         }
+      });
+
+      if (count === 0) {
+        throw new Error(`Transaction ${transaction.transactionNumber} is already void`);
       }
 
-      return transaction;
+      await this.updateAccountBalances(tx, transaction.transactionLines, -1);
+
+      // A void entry can no longer clear a bank statement line
+      await tx.bankStatementLine.updateMany({
+        where: { transactionLineId: { in: transaction.transactionLines.map(line => line.id) } },
+        data: { transactionLineId: null, matchType: null, matchedAt: null }
+      });
+
+      return await tx.transaction.findUnique({
+        where: { id: transaction.id },
+        include: {
+          transactionLines: {
+            include: { account: true }
+          }
+        }
+      });
+    });
+  }
+
+  /**
+   * Find the closed accounting period containing a date
+   * @param {string} tenantId - Tenant ID
+   * @param {Date|string} date - Transaction date
+   * @returns {Object|null} AccountingPeriod
+   */
+  async findClosedPeriod(tenantId, date) {
+    if (!tenantId || !date) return null;
+    const when = new Date(date);
+
+    return await prisma.accountingPeriod.findFirst({
+      where: {
+        tenantId,
+        status: 'CLOSED',
+        periodStart: { lte: when },
+        periodEnd: { gte: when }
+      }
     });
   }
 
+  /**
+   * Keep closed periods unchanged: entries dated inside one are rejected or moved to the
+   * first open date after it and marked as adjustments
+   * @param {Object} transactionData - Transaction data (tenantId, date, description)
+   * @param {Object} options - { closedPeriod: 'ADJUST' | 'REJECT' }
+   * @returns {Object} Transaction data to write
+   */
+  async applyPeriodLock(transactionData, options = {}) {
+    let period = await this.findClosedPeriod(transactionData.tenantId, transactionData.date);
+    if (!period) {
+      return transactionData;
+    }
+
+    const closedLabel = period.periodStart.toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+
+    if (options.closedPeriod === 'REJECT') {
+      const error = new Error(`The accounting period ${closedLabel} is closed. Reopen it or post the entry in an open period.`);
+      error.code = 'PERIOD_CLOSED';
+      throw error;
+    }
+
+    // Consecutive closed months are skipped together
+    let postingDate = new Date(period.periodEnd.getTime() + 1);
+    while ((period = await this.findClosedPeriod(transactionData.tenantId, postingDate))) {
+      postingDate = new Date(period.periodEnd.getTime() + 1);
+    }
+
+    return {
+      ...transactionData,
+      date: postingDate,
+      entryType: 'ADJUSTMENT',
+      description: `Adjustment for closed period ${closedLabel}: ${transactionData.description || ''}`.trim()
+    };
+  }
+
   /**
    * Get account by code and tenant
    * @param {string} code - Account code
@@ -159,9 +440,11 @@ class AccountingService {
       // Income
       { code: '4000', name: 'Sales Revenue', type: 'INCOME', balance: 0 },
       { code: '4100', name: 'Sales Returns', type: 'INCOME', balance: 0 },
+      { code: '4110', name: 'Sales Discounts', type: 'INCOME', balance: 0 },
       { code: '4200', name: 'Shipping Revenue', type: 'INCOME', balance: 0 },
       { code: '4300', name: 'Shipping Variance Income', type: 'INCOME', balance: 0 },
       { code: '4400', name: 'Other Income', type: 'INCOME', balance: 0 },
+      { code: '4500', name: 'Inventory Gain', type: 'INCOME', balance: 0 },
       
       // Expenses
       { code: '5000', name: 'Cost of Goods Sold', type: 'EXPENSE', balance: 0 },
@@ -174,6 +457,7 @@ class AccountingService {
       { code: '5600', name: 'Phone Expense', type: 'EXPENSE', balance: 0 },
       { code: '5700', name: 'Rent Expense', type: 'EXPENSE', balance: 0 },
       { code: '5800', name: 'Other Expenses', type: 'EXPENSE', balance: 0 },
+      { code: '5900', name: 'Inventory Shrinkage', type: 'EXPENSE', balance: 0 },
       
       // Equity
       { code: '3000', name: 'Owner Capital', type: 'EQUITY', balance: 0 },
@@ -210,7 +494,8 @@ class AccountingService {
       fromDate,
       toDate,
       orderId,
-      accountId
+      accountId,
+      status
     } = filters;
 
     const skip = (page - 1) * limit;
@@ -219,6 +504,8 @@ class AccountingService {
       tenantId
     };
 
+    if (status) where.status = status;
+
     if (fromDate || toDate) {
       where.date = {};
       if (fromDate) where.date.gte = new Date(fromDate);
@@ -242,6 +529,12 @@ class AccountingService {
             include: {
               account: true
             }
+          },
+          reversalOf: {
+            select: { id: true, transactionNumber: true }
+          },
+          reversal: {
+            select: { id: true, transactionNumber: true, status: true }
           }
         },
         orderBy: [
@@ -268,6 +561,118 @@ class AccountingService {
       }
     };
   }
+
+  /**
+   * Reverse the revenue and COD fee entries of an order that will not be paid for: a parcel
+   * returned to origin (RTO) or a confirmed order cancelled before dispatch.
+   * Nets every line already posted against the order (confirmation, COD fee adjustments on
+   * dispatch/edit) so only what is still on the books is reversed. Shipping expense is kept,
+   * the courier still charges for the failed delivery.
+   * @param {Object} order - Order (id, tenantId, orderNumber)
+   * @param {Object} options - { tx: open database transaction, label: description prefix
+   *   ('Returned to Origin' by default) }
+   * @returns {Object} { revenueTransaction, codFeeTransaction } (null when nothing to reverse)
+   */
+  async reverseOrderRevenue(order, { tx = null, label = 'Returned to Origin' } = {}) {
+    const lines = await (tx || prisma).transactionLine.findMany({
+      where: {
+        transaction: {
+          orderId: order.id,
+          tenantId: order.tenantId,
+          status: 'POSTED'
+        }
+      },
+      include: {
+        account: {
+          select: { code: true }
+        }
+      }
+    });
+
+    // Net credit per account code (credit - debit)
+    const netCredit = {};
+    for (const line of lines) {
+      const code = line.account.code;
+      netCredit[code] = (netCredit[code] || 0) + (line.creditAmount || 0) - (line.debitAmount || 0);
+    }
+
+    const result = { revenueTransaction: null, codFeeTransaction: null };
+
+    // Sales, shipping and COD fee revenue booked against the customer's receivable
+    const revenueLines = [];
+    let totalRevenue = 0;
+    for (const code of ['4000', '4200', '4400']) {
+      const amount = netCredit[code] || 0;
+      if (amount > 0.01) {
+        const account = await this.getAccountByCode(code, order.tenantId);
+        if (account) {
+          revenueLines.push({ accountId: account.id, debitAmount: amount, creditAmount: 0 });
+          totalRevenue += amount;
+        }
+      }
+    }
+
+    // Coupon discount booked as a debit to Sales Discounts comes back off the receivable too
+    const discountBooked = -(netCredit['4110'] || 0);
+    if (revenueLines.length > 0 && discountBooked > 0.01) {
+      const discountAccount = await this.getAccountByCode('4110', order.tenantId);
+      if (discountAccount) {
+        revenueLines.push({ accountId: discountAccount.id, debitAmount: 0, creditAmount: discountBooked });
+        totalRevenue -= discountBooked;
+      }
+    }
+
+    if (revenueLines.length > 0) {
+      const arAccount = await this.getOrCreateAccount({
+        code: '1200',
+        name: 'Accounts Receivable',
+        type: 'ASSET',
+        tenantId: order.tenantId,
+        balance: 0
+      });
+
+      result.revenueTransaction = await this.createTransaction(
+        {
+          transactionNumber: `TXN-${new Date().getFullYear()}-${Date.now()}`,
+          date: new Date(),
+          description: `${label} - Revenue Reversed: ${order.orderNumber}`,
+          tenantId: order.tenantId,
+          orderId: order.id
+        },
+        [
+          ...revenueLines,
+          { accountId: arAccount.id, debitAmount: 0, creditAmount: totalRevenue }
+        ],
+        { tx }
+      );
+    }
+
+    // COD fee accrued for the logistics company is not charged when nothing was collected
+    const codFeeAccrued = -(netCredit['5200'] || 0);
+    if (codFeeAccrued > 0.01) {
+      const codFeeExpenseAccount = await this.getAccountByCode('5200', order.tenantId);
+      const codFeePayableAccount = await this.getAccountByCode('2200', order.tenantId);
+
+      if (codFeeExpenseAccount && codFeePayableAccount) {
+        result.codFeeTransaction = await this.createTransaction(
+          {
+            transactionNumber: `TXN-${new Date().getFullYear()}-${Date.now() + 1}`,
+            date: new Date(),
+            description: `${label} - COD Fee Reversed: ${order.orderNumber}`,
+            tenantId: order.tenantId,
+            orderId: order.id
+          },
+          [
+            { accountId: codFeePayableAccount.id, debitAmount: codFeeAccrued, creditAmount: 0 },
+            { accountId: codFeeExpenseAccount.id, debitAmount: 0, creditAmount: codFeeAccrued }
+          ],
+          { tx }
+        );
+      }
+    }
+
+    return result;
+  }
 }
 
 module.exports = new AccountingService();
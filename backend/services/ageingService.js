@@ -0,0 +1,292 @@
+const ledgerService = require('./ledgerService');
+const { toCsv } = require('../utils/csv');
+
+// Receivable/payable ageing built from the same ledger as statements, so each party's
+// outstanding total less any advance equals its ledger balance. Payments and returns linked to
+// an order or purchase invoice settle that document first; anything else settles the oldest
+// open documents. Age is counted from the document date, less any credit terms.
+
+const AGEING_BUCKETS = [
+  { key: 'current', label: 'Current', maxDays: 0 },
+  { key: 'days1to30', label: '1-30 days', maxDays: 30 },
+  { key: 'days31to60', label: '31-60 days', maxDays: 60 },
+  { key: 'days61to90', label: '61-90 days', maxDays: 90 },
+  { key: 'over90', label: 'Over 90 days', maxDays: Infinity }
+];
+
+// Ledger entries that are documents in their own right, and the field that links them
+const DOCUMENT_TYPES = {
+  ORDER: 'orderId',
+  PURCHASE_INVOICE: 'invoiceId'
+};
+
+const SORT_FIELDS = ['name', 'total', 'advance', 'oldestDate', ...AGEING_BUCKETS.map(bucket => bucket.key)];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round = (value) => Math.round((value || 0) * 100) / 100;
+
+class AgeingService {
+  /**
+   * Ageing bucket definitions
+   * @returns {Array} [{ key, label, maxDays }]
+   */
+  getBuckets() {
+    return AGEING_BUCKETS;
+  }
+
+  /**
+   * Parse the report options
+   * @param {Object} query - { asOf, terms, search, bucket, sortBy, sortOrder }
+   * @returns {Object} Normalised options with `asOf` at the end of its day
+   */
+  getOptions(query = {}) {
+    const asOf = query.asOf ? new Date(query.asOf) : new Date();
+    if (isNaN(asOf.getTime())) {
+      throw new Error('Invalid ageing date');
+    }
+    asOf.setUTCHours(23, 59, 59, 999);
+
+    const terms = query.terms ? parseInt(query.terms, 10) : 0;
+    if (isNaN(terms) || terms < 0) {
+      throw new Error('Credit terms must be zero or more days');
+    }
+
+    const bucket = query.bucket || '';
+    if (bucket && bucket !== 'overdue' && !AGEING_BUCKETS.some(item => item.key === bucket)) {
+      throw new Error('Unknown ageing bucket');
+    }
+
+    return {
+      asOf,
+      terms,
+      search: (query.search || '').trim().toLowerCase(),
+      bucket,
+      sortBy: SORT_FIELDS.includes(query.sortBy) ? query.sortBy : 'total',
+      sortOrder: query.sortOrder === 'asc' ? 'asc' : 'desc'
+    };
+  }
+
+  /**
+   * Bucket for a number of days past due
+   * @param {number} days - Days past due (zero or less is current)
+   * @returns {string} Bucket key
+   */
+  getBucketKey(days) {
+    return AGEING_BUCKETS.find(bucket => days <= bucket.maxDays).key;
+  }
+
+  /**
+   * Open documents of one customer or supplier
+   * @param {string} partyType - 'customer' or 'supplier'
+   * @param {string} tenantId - Tenant ID
+   * @param {string} partyId - Customer or supplier ID
+   * @param {Object} options - From getOptions
+   * @returns {Object} { party, documents, buckets, total, advance, oldestDate }
+   */
+  async getPartyAgeing(partyType, tenantId, partyId, options) {
+    const { party, startingBalance, entries } = await ledgerService.getLedger(partyType, tenantId, partyId);
+    return { party, ...this.ageLedger(startingBalance, entries, options) };
+  }
+
+  /**
+   * Open documents of a ledger (shared with the statement of account's ageing summary)
+   * @param {number} startingBalance - Balance before the first entry
+   * @param {Array} entries - Ledger entries
+   * @param {Object} options - { asOf, terms }
+   * @returns {Object} { documents, buckets, total, advance, oldestDate }
+   */
+  ageLedger(startingBalance, entries, options) {
+    const { asOf, terms = 0 } = options;
+
+    const sorted = entries
+      .filter(entry => new Date(entry.date) <= asOf)
+      .sort((a, b) => new Date(a.date) - new Date(b.date));
+
+    const documents = [];
+    const linkedCredits = [];
+    let unallocated = 0;
+
+    if (startingBalance > 0) {
+      documents.push({
+        type: 'OPENING_BALANCE',
+        reference: null,
+        description: 'Opening balance',
+        date: sorted.length > 0 ? new Date(sorted[0].date) : asOf,
+        amount: startingBalance
+      });
+    } else {
+      unallocated -= startingBalance;
+    }
+
+    sorted.forEach(entry => {
+      if (entry.debit > 0) {
+        const linkField = DOCUMENT_TYPES[entry.type];
+        documents.push({
+          type: entry.type,
+          reference: entry.reference || null,
+          description: entry.description,
+          date: new Date(entry.date),
+          amount: entry.debit,
+          orderId: entry.type === 'ORDER' ? entry.orderId : null,
+          invoiceId: entry.type === 'PURCHASE_INVOICE' ? entry.invoiceId : null,
+          linkId: linkField ? entry[linkField] : null
+        });
+      }
+      if (entry.credit > 0) {
+        const linkId = entry.orderId || entry.invoiceId;
+        if (linkId) {
+          linkedCredits.push({ linkId, amount: entry.credit });
+        } else {
+          unallocated += entry.credit;
+        }
+      }
+    });
+
+    documents.forEach(document => { document.settled = 0; });
+
+    // Payments and returns against a document settle it first; any excess joins the pool
+    linkedCredits.forEach(credit => {
+      const document = documents.find(item => item.linkId && item.linkId === credit.linkId);
+      if (!document) {
+        unallocated += credit.amount;
+        return;
+      }
+      const applied = Math.min(credit.amount, document.amount - document.settled);
+      document.settled += applied;
+      unallocated += credit.amount - applied;
+    });
+
+    // Unlinked credits settle the oldest documents first
+    documents.forEach(document => {
+      const applied = Math.min(unallocated, document.amount - document.settled);
+      document.settled += applied;
+      unallocated -= applied;
+    });
+
+    const buckets = Object.fromEntries(AGEING_BUCKETS.map(bucket => [bucket.key, 0]));
+    const open = documents
+      .map(document => {
+        const outstanding = round(document.amount - document.settled);
+        const age = Math.max(0, Math.floor((asOf - document.date) / DAY_MS));
+        const daysOverdue = Math.max(0, age - terms);
+        return {
+          type: document.type,
+          reference: document.reference,
+          description: document.description,
+          date: document.date,
+          orderId: document.orderId || null,
+          invoiceId: document.invoiceId || null,
+          amount: round(document.amount),
+          settled: round(document.settled),
+          outstanding,
+          age,
+          daysOverdue,
+          bucket: this.getBucketKey(age - terms)
+        };
+      })
+      .filter(document => document.outstanding >= 0.01);
+
+    open.forEach(document => { buckets[document.bucket] += document.outstanding; });
+    Object.keys(buckets).forEach(key => { buckets[key] = round(buckets[key]); });
+
+    return {
+      documents: open,
+      buckets,
+      total: round(open.reduce((sum, document) => sum + document.outstanding, 0)),
+      advance: round(unallocated),
+      oldestDate: open.length > 0 ? open[0].date : null
+    };
+  }
+
+  /**
+   * Ageing of every customer or supplier with something outstanding or an advance
+   * @param {string} partyType - 'customer' or 'supplier'
+   * @param {string} tenantId - Tenant ID
+   * @param {Object} options - From getOptions
+   * @returns {Object} { asOf, terms, buckets, rows, totals }
+   */
+  async getAgeingReport(partyType, tenantId, options) {
+    const parties = await ledgerService.getPartiesWithActivity(partyType, tenantId);
+
+    let rows = [];
+    for (const { id } of parties) {
+      const ageing = await this.getPartyAgeing(partyType, tenantId, id, options);
+      if (ageing.total < 0.01 && ageing.advance < 0.01) continue;
+      rows.push({
+        partyId: id,
+        name: ageing.party.name,
+        phone: ageing.party.phone || '',
+        ...ageing.buckets,
+        total: ageing.total,
+        advance: ageing.advance,
+        oldestDate: ageing.oldestDate,
+        documentCount: ageing.documents.length
+      });
+    }
+
+    if (options.search) {
+      rows = rows.filter(row =>
+        (row.name || '').toLowerCase().includes(options.search) ||
+        (row.phone || '').toLowerCase().includes(options.search));
+    }
+    if (options.bucket === 'overdue') {
+      rows = rows.filter(row => row.total - row.current >= 0.01);
+    } else if (options.bucket) {
+      rows = rows.filter(row => row[options.bucket] >= 0.01);
+    }
+
+    const direction = options.sortOrder === 'asc' ? 1 : -1;
+    rows.sort((a, b) => {
+      const left = a[options.sortBy];
+      const right = b[options.sortBy];
+      if (options.sortBy === 'name') {
+        return direction * String(left || '').localeCompare(String(right || ''));
+      }
+      if (options.sortBy === 'oldestDate') {
+        // Parties with nothing outstanding have no oldest date; keep them last
+        if (!left || !right) return (left ? 0 : 1) - (right ? 0 : 1);
+        return direction * (new Date(left) - new Date(right));
+      }
+      return direction * ((left || 0) - (right || 0));
+    });
+
+    const totals = Object.fromEntries(
+      [...AGEING_BUCKETS.map(bucket => bucket.key), 'total', 'advance'].map(key =>
+        [key, round(rows.reduce((sum, row) => sum + (row[key] || 0), 0))])
+    );
+
+    return {
+      asOf: options.asOf,
+      terms: options.terms,
+      buckets: AGEING_BUCKETS.map(({ key, label }) => ({ key, label })),
+      rows,
+      totals
+    };
+  }
+
+  /**
+   * CSV of an ageing report with a totals row
+   * @param {string} partyType - 'customer' or 'supplier'
+   * @param {Object} report - From getAgeingReport
+   * @returns {string}
+   */
+  toCsv(partyType, report) {
+    const columns = [
+      { key: 'name', label: ledgerService.getPartyTypes()[partyType].label },
+      { key: 'phone', label: 'Phone' },
+      ...AGEING_BUCKETS.map(({ key, label }) => ({ key, label })),
+      { key: 'total', label: 'Total Outstanding' },
+      { key: 'advance', label: partyType === 'customer' ? 'Advance Held' : 'Advance Paid' },
+      { key: 'oldestDate', label: 'Oldest Document' }
+    ];
+    const rows = report.rows.map(row => ({
+      ...row,
+      oldestDate: row.oldestDate ? new Date(row.oldestDate).toISOString().slice(0, 10) : ''
+    }));
+    rows.push({ name: 'TOTAL', phone: '', ...report.totals, oldestDate: '' });
+    return toCsv(rows, columns);
+  }
+}
+
+module.exports = new AgeingService();
@@ -0,0 +1,241 @@
+const prisma = require('../lib/db');
+
+class AuditLogService {
+  /**
+   * Normalise a value for comparison and storage (dates → ISO, objects → JSON)
+   * @param {*} value - Raw field value
+   * @returns {string|number|boolean|null}
+   */
+  normalizeValue(value) {
+    if (value === undefined || value === null || value === '') return null;
+    if (value instanceof Date) return value.toISOString();
+    if (typeof value === 'object') return JSON.stringify(value);
+    return value;
+  }
+
+  /**
+   * Parse a JSON column that may already be an object
+   * @param {*} value - String or object
+   * @returns {Object|null}
+   */
+  parseJson(value) {
+    if (value === undefined || value === null || value === '') return null;
+    if (typeof value !== 'string') return value;
+    try {
+      return JSON.parse(value);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Compare two records field by field
+   * @param {Object} before - Record before the change
+   * @param {Object} after - Record after the change
+   * @param {Array<string>} fields - Fields to compare
+   * @param {Object} options - { jsonFields: fields whose JSON object keys are diffed one by one }
+   * @returns {Array<{field: string, oldValue: *, newValue: *}>}
+   */
+  diffRecords(before, after, fields, options = {}) {
+    const { jsonFields = [] } = options;
+    const changes = [];
+
+    for (const field of fields) {
+      if (!after || after[field] === undefined) continue;
+
+      if (jsonFields.includes(field)) {
+        const oldObject = this.parseJson(before?.[field]) || {};
+        const newObject = this.parseJson(after[field]) || {};
+        if (typeof oldObject === 'object' && typeof newObject === 'object' &&
+            !Array.isArray(oldObject) && !Array.isArray(newObject)) {
+          const keys = new Set([...Object.keys(oldObject), ...Object.keys(newObject)]);
+          for (const key of keys) {
+            const oldValue = this.normalizeValue(oldObject[key]);
+            const newValue = this.normalizeValue(newObject[key]);
+            if (oldValue !== newValue) {
+              changes.push({ field: `${field}.${key}`, oldValue, newValue });
+            }
+          }
+          continue;
+        }
+      }
+
+      const oldValue = this.normalizeValue(before?.[field]);
+      const newValue = this.normalizeValue(after[field]);
+      if (oldValue !== newValue) {
+        changes.push({ field, oldValue, newValue });
+      }
+    }
+
+    return changes;
+  }
+
+  /**
+   * Compare two lists of line items matched by id (added, removed and changed lines)
+   * @param {Array<Object>} beforeItems - Items before the change
+   * @param {Array<Object>} afterItems - Items after the change
+   * @param {Object} options - { name: collection name, fields, label: item => string }
+   * @returns {Array<{field: string, oldValue: *, newValue: *}>}
+   */
+  diffItems(beforeItems = [], afterItems = [], options) {
+    const { name, fields, label } = options;
+    const describe = (item) => fields.map(field => `${field}: ${this.normalizeValue(item[field])}`).join(', ');
+    const beforeMap = new Map(beforeItems.map(item => [item.id, item]));
+    const afterMap = new Map(afterItems.map(item => [item.id, item]));
+    const changes = [];
+
+    for (const item of afterItems) {
+      const previous = beforeMap.get(item.id);
+      if (!previous) {
+        changes.push({ field: `${name}[${label(item)}]`, oldValue: null, newValue: describe(item) });
+        continue;
+      }
+      for (const change of this.diffRecords(previous, item, fields)) {
+        changes.push({ ...change, field: `${name}[${label(item)}].${change.field}` });
+      }
+    }
+
+    for (const item of beforeItems) {
+      if (!afterMap.has(item.id)) {
+        changes.push({ field: `${name}[${label(item)}]`, oldValue: describe(item), newValue: null });
+      }
+    }
+
+    return changes;
+  }
+
+  /**
+   * Record an audited mutation. Never throws: a failed audit write must not fail the edit.
+   * @param {Object} entry - { tenantId, user, entityType, entityId, entityLabel, action, changes, description, metadata }
+   * @returns {Object|null} Created audit log or null when nothing changed / the write failed
+   */
+  async log(entry) {
+    const { tenantId, user, entityType, entityId, entityLabel, action, changes = [], description, metadata } = entry;
+
+    if (!changes.length && !description) {
+      return null;
+    }
+
+    try {
+      return await prisma.auditLog.create({
+        data: {
+          tenantId,
+          userId: user?.id || null,
+          userName: user?.name || user?.email || null,
+          entityType,
+          entityId,
+          entityLabel: entityLabel || null,
+          action,
+          changes: changes.length ? JSON.stringify(changes) : null,
+          description: description || null,
+          metadata: metadata ? JSON.stringify(metadata) : null
+        }
+      });
+    } catch (error) {
+      console.error('Error writing audit log:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Diff two records and record the changes
+   * @param {Object} entry - log() entry plus { before, after, fields, jsonFields, extraChanges }
+   * @returns {Object|null}
+   */
+  async logChanges(entry) {
+    const { before, after, fields, jsonFields, extraChanges = [], ...rest } = entry;
+    const changes = [...this.diffRecords(before, after, fields, { jsonFields }), ...extraChanges];
+    return await this.log({ ...rest, changes });
+  }
+
+  /**
+   * Shape a stored row for API responses
+   * @param {Object} log - AuditLog row
+   * @returns {Object}
+   */
+  formatLog(log) {
+    return {
+      ...log,
+      changes: this.parseJson(log.changes) || [],
+      metadata: this.parseJson(log.metadata)
+    };
+  }
+
+  /**
+   * Get audit logs with filters
+   * @param {Object} filters - { tenantId, entityType, entityId, userId, action, search, startDate, endDate, page, limit }
+   * @returns {Object} { logs, pagination }
+   */
+  async getLogs(filters) {
+    const { tenantId, entityType, entityId, userId, action, search, startDate, endDate } = filters;
+    const page = Math.max(1, parseInt(filters.page) || 1);
+    const limit = Math.max(1, Math.min(100, parseInt(filters.limit) || 25));
+
+    const where = { tenantId };
+    if (entityType) where.entityType = entityType;
+    if (entityId) where.entityId = entityId;
+    if (userId) where.userId = userId;
+    if (action) where.action = action;
+    if (search) where.entityLabel = { contains: search, mode: 'insensitive' };
+    if (startDate || endDate) {
+      where.createdAt = {};
+      if (startDate) where.createdAt.gte = new Date(startDate);
+      if (endDate) {
+        const end = new Date(endDate);
+        end.setHours(23, 59, 59, 999);
+        where.createdAt.lte = end;
+      }
+    }
+
+    const [logs, total] = await Promise.all([
+      prisma.auditLog.findMany({
+        where,
+        orderBy: { createdAt: 'desc' },
+        skip: (page - 1) * limit,
+        take: limit
+      }),
+      prisma.auditLog.count({ where })
+    ]);
+
+    return {
+      logs: logs.map(log => this.formatLog(log)),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Get the full history of one entity, newest first
+   * @param {string} tenantId - Tenant ID
+   * @param {string} entityType - ORDER, PAYMENT or PURCHASE_INVOICE
+   * @param {string} entityId - Entity ID
+   * @returns {Array<Object>}
+   */
+  async getEntityHistory(tenantId, entityType, entityId) {
+    const logs = await prisma.auditLog.findMany({
+      where: { tenantId, entityType, entityId },
+      orderBy: { createdAt: 'desc' }
+    });
+    return logs.map(log => this.formatLog(log));
+  }
+
+  /**
+   * Users who appear in the tenant's audit log (for the viewer's filter)
+   * @param {string} tenantId - Tenant ID
+   * @returns {Array<{userId: string, userName: string}>}
+   */
+  async getActors(tenantId) {
+    return await prisma.auditLog.findMany({
+      where: { tenantId, userId: { not: null } },
+      distinct: ['userId'],
+      select: { userId: true, userName: true },
+      orderBy: { userId: 'asc' }
+    });
+  }
+}
+
+module.exports = new AuditLogService();
@@ -0,0 +1,452 @@
+const crypto = require('crypto');
+const AdmZip = require('adm-zip');
+const prisma = require('../lib/db');
+
+// Tenant backups are zip archives: manifest.json, tenant.json (settings), one data/<model>.json
+// per model below and the binary images under media/. Restoring assigns every row a new ID
+// and rewrites all references, so an archive can be loaded into any empty tenant, on this
+// deployment or another one. Users, staff and audit logs belong to the deployment and are
+// not included.
+
+const ARCHIVE_FORMAT = 'tenant-backup';
+const ARCHIVE_VERSION = 1;
+
+// Settings copied onto the target tenant; its name, code and owner stay as they are
+const TENANT_SETTINGS = [
+  'shippingCityCharges',
+  'shippingQuantityRules',
+  'defaultCodFeePaidBy',
+  'stockReservationHours',
+  'requirePackScan',
+  'riskReviewScore',
+  'riskPrepaymentScore',
+  'riskRejectScore',
+  'blocklistAction',
+  'totalInvestedCapital',
+  'totalProfitDistributed',
+  'ownerWithdrawals'
+];
+
+// In restore order: every model only references models above it (or itself, in `selfRefs`).
+// `refs` maps a foreign key to the model it points at, `text` lists fields that carry product
+// IDs inside JSON text or arrays, `media` lists binary fields and `where` scopes models without
+// a tenantId column.
+const MODELS = [
+  { name: 'account', refs: { parentId: 'account' }, selfRefs: ['parentId'], mergeBy: 'code' },
+  { name: 'stockLocation' },
+  { name: 'logisticsCompany' },
+  { name: 'supplier' },
+  { name: 'customer' },
+  { name: 'customerSegment' },
+  { name: 'blockedContact' },
+  { name: 'investor' },
+  { name: 'promotion', text: ['productIds'] },
+  { name: 'form' },
+  { name: 'formField', refs: { formId: 'form' }, text: ['selectedProducts'], where: (tenantId) => ({ form: { tenantId } }) },
+  { name: 'tenantBankDetail' },
+  { name: 'tenantLogo', media: ['imageData'] },
+  { name: 'product', media: ['imageData'] },
+  { name: 'productImage', refs: { productId: 'product' }, media: ['mediaData'], where: (tenantId) => ({ product: { tenantId } }) },
+  { name: 'productVariant', refs: { productId: 'product' }, where: (tenantId) => ({ product: { tenantId } }) },
+  {
+    name: 'productVariantImage',
+    refs: { productVariantId: 'productVariant' },
+    media: ['imageData'],
+    where: (tenantId) => ({ productVariant: { product: { tenantId } } })
+  },
+  { name: 'customerLog', refs: { customerId: 'customer' }, where: (tenantId) => ({ customer: { tenantId } }) },
+  { name: 'purchaseInvoice', refs: { supplierId: 'supplier', locationId: 'stockLocation' }, media: ['imageData'] },
+  {
+    name: 'purchaseItem',
+    refs: { productId: 'product', productVariantId: 'productVariant', purchaseInvoiceId: 'purchaseInvoice' },
+    media: ['imageData']
+  },
+  {
+    name: 'order',
+    refs: {
+      customerId: 'customer',
+      formId: 'form',
+      logisticsCompanyId: 'logisticsCompany',
+      paymentAccountId: 'account',
+      promotionId: 'promotion',
+      dispatchLocationId: 'stockLocation'
+    },
+    text: ['selectedProducts', 'productQuantities', 'productPrices'],
+    media: ['imagesData', 'paymentReceiptData']
+  },
+  {
+    name: 'orderItem',
+    refs: { orderId: 'order', productId: 'product', productVariantId: 'productVariant' },
+    where: (tenantId) => ({ order: { tenantId } })
+  },
+  { name: 'salesInvoice', refs: { orderId: 'order' } },
+  { name: 'stockReservation', refs: { orderId: 'order', productId: 'product', productVariantId: 'productVariant' } },
+  { name: 'return', refs: { orderId: 'order', purchaseInvoiceId: 'purchaseInvoice' }, media: ['imageData'] },
+  {
+    name: 'returnItem',
+    refs: { returnId: 'return', productVariantId: 'productVariant' },
+    where: (tenantId) => ({ return: { tenantId } })
+  },
+  {
+    name: 'transaction',
+    refs: { orderId: 'order', orderReturnId: 'return', purchaseInvoiceId: 'purchaseInvoice', reversalOfId: 'transaction' },
+    selfRefs: ['reversalOfId']
+  },
+  {
+    name: 'transactionLine',
+    refs: { transactionId: 'transaction', accountId: 'account' },
+    where: (tenantId) => ({ transaction: { tenantId } })
+  },
+  {
+    name: 'payment',
+    refs: {
+      customerId: 'customer',
+      supplierId: 'supplier',
+      orderId: 'order',
+      orderReturnId: 'return',
+      purchaseInvoiceId: 'purchaseInvoice',
+      transactionId: 'transaction',
+      accountId: 'account'
+    }
+  },
+  { name: 'expense', refs: { accountId: 'account', transactionId: 'transaction' }, media: ['receiptData'] },
+  {
+    name: 'codRemittance',
+    refs: { logisticsCompanyId: 'logisticsCompany', paymentAccountId: 'account', transactionId: 'transaction' }
+  },
+  {
+    name: 'codRemittanceLine',
+    refs: { remittanceId: 'codRemittance', orderId: 'order' },
+    where: (tenantId) => ({ remittance: { tenantId } })
+  },
+  { name: 'bankStatement', refs: { accountId: 'account' } },
+  {
+    name: 'bankStatementLine',
+    refs: { statementId: 'bankStatement', transactionLineId: 'transactionLine' },
+    where: (tenantId) => ({ statement: { tenantId } })
+  },
+  { name: 'investment', refs: { investorId: 'investor', transactionId: 'transaction' } },
+  { name: 'profitDistribution', refs: { transactionId: 'transaction' } },
+  {
+    name: 'profitDistributionItem',
+    refs: { profitDistributionId: 'profitDistribution', investorId: 'investor', transactionId: 'transaction' },
+    where: (tenantId) => ({ profitDistribution: { tenantId } })
+  },
+  {
+    name: 'withdrawal',
+    refs: { investorId: 'investor', profitDistributionId: 'profitDistribution', transactionId: 'transaction' }
+  },
+  { name: 'accountingPeriod', refs: { closingTransactionId: 'transaction' } },
+  {
+    name: 'accountBalanceSnapshot',
+    refs: { periodId: 'accountingPeriod', accountId: 'account' },
+    where: (tenantId) => ({ period: { tenantId } })
+  },
+  { name: 'stockCount', refs: { locationId: 'stockLocation', transactionId: 'transaction' } },
+  {
+    name: 'stockCountItem',
+    refs: { stockCountId: 'stockCount', productId: 'product', productVariantId: 'productVariant' },
+    where: (tenantId) => ({ stockCount: { tenantId } })
+  },
+  {
+    name: 'locationStock',
+    refs: { locationId: 'stockLocation', productId: 'product', productVariantId: 'productVariant' },
+    where: (tenantId) => ({ location: { tenantId } })
+  },
+  {
+    name: 'productLog',
+    refs: {
+      productId: 'product',
+      productVariantId: 'productVariant',
+      purchaseItemId: 'purchaseItem',
+      locationId: 'stockLocation',
+      toLocationId: 'stockLocation'
+    }
+  }
+];
+
+// A tenant is only restored into when none of these exist (seeded accounts and forms are fine)
+const EMPTY_CHECKS = [
+  { name: 'order', label: 'orders' },
+  { name: 'product', label: 'products' },
+  { name: 'customer', label: 'customers' },
+  { name: 'supplier', label: 'suppliers' },
+  { name: 'purchaseInvoice', label: 'purchase invoices' },
+  { name: 'transaction', label: 'transactions' },
+  { name: 'payment', label: 'payments' },
+  { name: 'stockLocation', label: 'stock locations' }
+];
+
+const INSERT_BATCH_SIZE = 200;
+
+// Row IDs are cuids; new ones keep the same shape so IDs embedded in JSON text are easy to find
+const ID_PATTERN = /[A-Za-z0-9]{20,}/g;
+const newId = () => `c${crypto.randomBytes(12).toString('hex')}`;
+
+const mediaPath = (model, id, field) => `media/${model}/${id}-${field}.bin`;
+
+class BackupService {
+  /**
+   * Models included in a backup, in restore order
+   * @returns {Array<string>}
+   */
+  getModelNames() {
+    return MODELS.map(model => model.name);
+  }
+
+  /**
+   * Build a backup archive of everything a tenant owns
+   * @param {string} tenantId - Tenant ID
+   * @returns {Object} { buffer, filename, counts }
+   */
+  async exportTenant(tenantId) {
+    const tenant = await prisma.tenant.findUnique({ where: { id: tenantId } });
+    if (!tenant) {
+      throw new Error('Tenant not found');
+    }
+
+    const zip = new AdmZip();
+    const counts = {};
+
+    for (const model of MODELS) {
+      const where = model.where ? model.where(tenantId) : { tenantId };
+      const rows = await prisma[model.name].findMany({ where });
+
+      // Binary fields are stored as files next to the JSON and referenced by path
+      const data = rows.map(row => {
+        const record = { ...row };
+        (model.media || []).forEach(field => {
+          if (record[field]) {
+            const path = mediaPath(model.name, row.id, field);
+            zip.addFile(path, Buffer.from(record[field]));
+            record[field] = { $media: path };
+          }
+        });
+        return record;
+      });
+
+      zip.addFile(`data/${model.name}.json`, Buffer.from(JSON.stringify(data)));
+      counts[model.name] = data.length;
+    }
+
+    const settings = Object.fromEntries(TENANT_SETTINGS.map(field => [field, tenant[field]]));
+    zip.addFile('tenant.json', Buffer.from(JSON.stringify(settings, null, 2)));
+
+    const exportedAt = new Date();
+    zip.addFile('manifest.json', Buffer.from(JSON.stringify({
+      format: ARCHIVE_FORMAT,
+      version: ARCHIVE_VERSION,
+      exportedAt,
+      source: {
+        tenantId: tenant.id,
+        businessName: tenant.businessName,
+        businessCode: tenant.businessCode
+      },
+      models: MODELS.map(model => model.name),
+      counts
+    }, null, 2)));
+
+    return {
+      buffer: zip.toBuffer(),
+      filename: `${tenant.businessCode}-backup-${exportedAt.toISOString().slice(0, 10)}.zip`,
+      counts
+    };
+  }
+
+  /**
+   * Read and check an uploaded archive
+   * @param {Buffer} buffer - Zip file contents
+   * @returns {Object} { manifest, settings, data, media }
+   */
+  readArchive(buffer) {
+    let zip;
+    try {
+      zip = new AdmZip(buffer);
+    } catch (error) {
+      throw new Error('The file is not a valid backup archive');
+    }
+
+    const readJson = (path) => {
+      const entry = zip.getEntry(path);
+      if (!entry) return null;
+      try {
+        return JSON.parse(entry.getData().toString('utf8'));
+      } catch (error) {
+        throw new Error(`The backup archive is damaged (${path})`);
+      }
+    };
+
+    const manifest = readJson('manifest.json');
+    if (!manifest || manifest.format !== ARCHIVE_FORMAT) {
+      throw new Error('The file is not a valid backup archive');
+    }
+    if (!Number.isInteger(manifest.version) || manifest.version > ARCHIVE_VERSION) {
+      throw new Error(`Backup version ${manifest.version} is not supported by this server`);
+    }
+
+    // Models missing from older archives restore as empty
+    const data = Object.fromEntries(MODELS.map(model => [model.name, readJson(`data/${model.name}.json`) || []]));
+
+    const media = (path) => {
+      const entry = zip.getEntry(path);
+      if (!entry) {
+        throw new Error(`The backup archive is damaged (${path})`);
+      }
+      return entry.getData();
+    };
+
+    return { manifest, settings: readJson('tenant.json') || {}, data, media };
+  }
+
+  /**
+   * Make sure the target tenant has no business data of its own
+   * @param {string} tenantId - Tenant ID
+   */
+  async assertTenantEmpty(tenantId) {
+    const found = [];
+    for (const check of EMPTY_CHECKS) {
+      const count = await prisma[check.name].count({ where: { tenantId } });
+      if (count > 0) found.push(check.label);
+    }
+    if (found.length > 0) {
+      throw new Error(`Backups can only be restored into an empty business. This one already has ${found.join(', ')}`);
+    }
+  }
+
+  /**
+   * Restore a backup archive into an empty tenant
+   * @param {string} tenantId - Target tenant ID
+   * @param {Buffer} buffer - Zip file contents
+   * @returns {Object} { source, counts }
+   */
+  async importTenant(tenantId, buffer) {
+    const tenant = await prisma.tenant.findUnique({ where: { id: tenantId } });
+    if (!tenant) {
+      throw new Error('Tenant not found');
+    }
+
+    const { manifest, settings, data, media } = this.readArchive(buffer);
+    await this.assertTenantEmpty(tenantId);
+
+    // New IDs for every row up front, so references can be rewritten in any order
+    const idMap = new Map();
+    const existingAccounts = await prisma.account.findMany({ where: { tenantId }, select: { id: true, code: true } });
+    const accountsByCode = new Map(existingAccounts.map(account => [account.code, account.id]));
+    const mergedIds = new Set();
+
+    MODELS.forEach(model => {
+      data[model.name].forEach(row => {
+        const existingId = model.mergeBy === 'code' ? accountsByCode.get(row.code) : null;
+        idMap.set(row.id, existingId || newId());
+        if (existingId) mergedIds.add(row.id);
+      });
+    });
+
+    await this.checkConflicts(data);
+
+    const remapText = (value) => {
+      if (Array.isArray(value)) return value.map(item => idMap.get(item) || item);
+      if (typeof value !== 'string') return value;
+      return value.replace(ID_PATTERN, token => idMap.get(token) || token);
+    };
+
+    const prepare = (model, row) => {
+      const record = { ...row, id: idMap.get(row.id) };
+      if ('tenantId' in record) record.tenantId = tenantId;
+      if ('businessOwnerId' in record) record.businessOwnerId = tenant.ownerId;
+      Object.keys(model.refs || {}).forEach(field => {
+        if (record[field]) record[field] = idMap.get(record[field]) || null;
+      });
+      (model.selfRefs || []).forEach(field => { record[field] = null; });
+      (model.text || []).forEach(field => { record[field] = remapText(record[field]); });
+      (model.media || []).forEach(field => {
+        if (record[field] && record[field].$media) record[field] = media(record[field].$media);
+      });
+      return record;
+    };
+
+    const counts = {};
+    await prisma.$transaction(async (tx) => {
+      for (const model of MODELS) {
+        const rows = data[model.name];
+        counts[model.name] = rows.length;
+        if (rows.length === 0) continue;
+
+        if (model.name === 'tenantLogo') {
+          await tx.tenantLogo.deleteMany({ where: { tenantId } });
+        }
+
+        const creates = [];
+        for (const row of rows) {
+          const record = prepare(model, row);
+          if (mergedIds.has(row.id)) {
+            // Seeded account with the same code: take the archived details and balance
+            const { id, ...fields } = record;
+            await tx[model.name].update({ where: { id }, data: fields });
+          } else {
+            creates.push(record);
+          }
+        }
+        for (let i = 0; i < creates.length; i += INSERT_BATCH_SIZE) {
+          await tx[model.name].createMany({ data: creates.slice(i, i + INSERT_BATCH_SIZE) });
+        }
+
+        // Self references are set once every row of the model exists
+        for (const field of model.selfRefs || []) {
+          for (const row of rows.filter(item => item[field] && idMap.has(item[field]))) {
+            await tx[model.name].update({
+              where: { id: idMap.get(row.id) },
+              data: { [field]: idMap.get(row[field]) }
+            });
+          }
+        }
+      }
+
+      const tenantData = {};
+      TENANT_SETTINGS.forEach(field => {
+        if (settings[field] !== undefined) tenantData[field] = settings[field];
+      });
+      if (Object.keys(tenantData).length > 0) {
+        await tx.tenant.update({ where: { id: tenantId }, data: tenantData });
+      }
+    }, {
+      timeout: 10 * 60 * 1000
+    });
+
+    return { source: manifest.source, exportedAt: manifest.exportedAt, counts };
+  }
+
+  /**
+   * Values that are unique across the whole deployment. Form links are regenerated; order
+   * numbers and variant SKUs are business data, so a clash stops the restore.
+   * @param {Object} data - Archive data by model
+   */
+  async checkConflicts(data) {
+    const formLinks = data.form.map(form => form.formLink);
+    if (formLinks.length > 0) {
+      const taken = await prisma.form.findMany({ where: { formLink: { in: formLinks } }, select: { formLink: true } });
+      const takenLinks = new Set(taken.map(form => form.formLink));
+      data.form.forEach(form => {
+        if (takenLinks.has(form.formLink)) form.formLink = crypto.randomBytes(16).toString('hex');
+      });
+    }
+
+    const orderNumbers = data.order.map(order => order.orderNumber);
+    const takenOrders = orderNumbers.length > 0
+      ? await prisma.order.count({ where: { orderNumber: { in: orderNumbers } } })
+      : 0;
+    if (takenOrders > 0) {
+      throw new Error(`${takenOrders} order number(s) in the backup already exist on this server`);
+    }
+
+    const skus = data.productVariant.map(variant => variant.sku).filter(Boolean);
+    const takenSkus = skus.length > 0
+      ? await prisma.productVariant.count({ where: { sku: { in: skus } } })
+      : 0;
+    if (takenSkus > 0) {
+      throw new Error(`${takenSkus} variant SKU(s) in the backup already exist on this server`);
+    }
+  }
+}
+
+module.exports = new BackupService();
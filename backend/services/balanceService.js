@@ -1,4 +1,5 @@
 const prisma = require('../lib/db');
+const { CONFIRMED_ORDER_STATUSES } = require('../utils/orderStatus');
 
 class BalanceService {
   /**
@@ -12,7 +13,7 @@ class BalanceService {
       include: {
         orders: {
           where: {
-            status: { in: ['CONFIRMED', 'DISPATCHED', 'COMPLETED'] }
+            status: { in: CONFIRMED_ORDER_STATUSES }
           },
           select: {
             id: true,
@@ -24,6 +25,7 @@ class BalanceService {
             verifiedPaymentAmount: true,
             paymentVerified: true,
             shippingCharges: true,
+            discountAmount: true,
             refundAmount: true,
             codFee: true,
             codFeePaidBy: true,
@@ -160,6 +162,7 @@ class BalanceService {
 
       const shippingCharges = order.shippingCharges || 0;
       orderTotal += shippingCharges;
+      orderTotal -= order.discountAmount || 0;
 
       if (order.codFeePaidBy === 'CUSTOMER' && order.codFee && order.codFee > 0) {
         orderTotal += order.codFee;
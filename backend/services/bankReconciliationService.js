@@ -0,0 +1,511 @@
+const prisma = require('../lib/db');
+const { parseCsv, pickField, parseAmount, parseDateCell } = require('../utils/csv');
+
+// Header aliases seen on bank statement exports (normalised, see utils/csv.normalizeHeader)
+const DATE_HEADERS = ['date', 'transactiondate', 'txndate', 'postingdate', 'valuedate', 'bookingdate'];
+const DESCRIPTION_HEADERS = ['description', 'narration', 'particulars', 'details', 'transactiondetails', 'remarks', 'memo'];
+const REFERENCE_HEADERS = ['reference', 'ref', 'refno', 'chequeno', 'chqno', 'instrumentno'];
+const AMOUNT_HEADERS = ['amount', 'amountrs', 'transactionamount'];
+const CREDIT_HEADERS = ['credit', 'credits', 'deposit', 'deposits', 'moneyin', 'paidin'];
+const DEBIT_HEADERS = ['debit', 'debits', 'withdrawal', 'withdrawals', 'moneyout', 'paidout'];
+
+const DEFAULT_DATE_WINDOW_DAYS = 3;
+const AMOUNT_TOLERANCE = 0.01;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round = (value) => Math.round((value || 0) * 100) / 100;
+
+// Signed movement of a ledger line on a Cash/Bank account: debits are money in
+const ledgerAmount = (line) => round((line.debitAmount || 0) - (line.creditAmount || 0));
+
+class BankReconciliationService {
+  /**
+   * Parse a bank statement CSV
+   * Expects a date column and either a signed amount column or separate debit/credit columns
+   * @param {string} csvText - CSV content
+   * @returns {Object} { lines: [{date, description, reference, amount}], errors: [{line, error}] }
+   */
+  parseStatementCsv(csvText) {
+    const { headers, rows } = parseCsv(csvText);
+    const lines = [];
+    const errors = [];
+
+    if (!headers.some(header => DATE_HEADERS.includes(header))) {
+      throw new Error('Statement must have a date column');
+    }
+    const hasAmount = headers.some(header => AMOUNT_HEADERS.includes(header));
+    const hasDebitCredit = headers.some(header => CREDIT_HEADERS.includes(header) || DEBIT_HEADERS.includes(header));
+    if (!hasAmount && !hasDebitCredit) {
+      throw new Error('Statement must have an amount column or debit/credit columns');
+    }
+
+    for (const row of rows) {
+      const date = parseDateCell(pickField(row, DATE_HEADERS));
+      if (!date) {
+        errors.push({ line: row._line, error: 'Invalid or missing date' });
+        continue;
+      }
+
+      let amount = parseAmount(pickField(row, AMOUNT_HEADERS));
+      if (amount === null) {
+        const credit = parseAmount(pickField(row, CREDIT_HEADERS));
+        const debit = parseAmount(pickField(row, DEBIT_HEADERS));
+        amount = credit === null && debit === null ? null : Math.abs(credit || 0) - Math.abs(debit || 0);
+      }
+      if (amount === null || round(amount) === 0) {
+        errors.push({ line: row._line, error: 'Invalid or missing amount' });
+        continue;
+      }
+
+      lines.push({
+        date,
+        description: pickField(row, DESCRIPTION_HEADERS) || null,
+        reference: pickField(row, REFERENCE_HEADERS) || null,
+        amount: round(amount)
+      });
+    }
+
+    return { lines, errors };
+  }
+
+  /**
+   * Load a Cash or Bank payment account of the tenant
+   * @param {string} accountId - Account ID
+   * @param {string} tenantId - Tenant ID
+   * @returns {Object} Account
+   */
+  async getPaymentAccount(accountId, tenantId) {
+    const account = await prisma.account.findFirst({
+      where: { id: accountId, tenantId, type: 'ASSET', accountSubType: { not: null } }
+    });
+    if (!account) {
+      throw new Error('Cash or bank account not found');
+    }
+    return account;
+  }
+
+  /**
+   * Next statement number for the current year (STMT-YYYY-NNNN), following the highest issued
+   * @param {string} tenantId - Tenant ID
+   * @returns {string}
+   */
+  async generateStatementNumber(tenantId) {
+    const year = new Date().getFullYear();
+    const prefix = `STMT-${year}-`;
+    const last = await prisma.bankStatement.findFirst({
+      where: { tenantId, statementNumber: { startsWith: prefix } },
+      orderBy: { statementNumber: 'desc' },
+      select: { statementNumber: true }
+    });
+    const next = last ? parseInt(last.statementNumber.slice(prefix.length), 10) + 1 : 1;
+    return `${prefix}${String(next).padStart(4, '0')}`;
+  }
+
+  /**
+   * Import a statement for a payment account and auto-match its lines
+   * @param {Object} data - { tenantId, accountId, csvText, fileName, closingBalance, dateWindowDays }
+   * @returns {Object} { statement, errors, matchedCount }
+   */
+  async importStatement(data) {
+    const { tenantId, accountId, csvText, fileName } = data;
+    await this.getPaymentAccount(accountId, tenantId);
+
+    const { lines, errors } = this.parseStatementCsv(csvText);
+    if (lines.length === 0) {
+      throw new Error('No statement lines found in file');
+    }
+
+    const dates = lines.map(line => line.date.getTime());
+    const closingBalance = parseAmount(data.closingBalance);
+
+    // Two imports at once can pick the same number; the unique index rejects the second
+    let statement = null;
+    for (let attempt = 0; attempt < 3 && !statement; attempt++) {
+      const statementNumber = await this.generateStatementNumber(tenantId);
+      try {
+        statement = await prisma.bankStatement.create({
+          data: {
+            statementNumber,
+            fromDate: new Date(Math.min(...dates)),
+            toDate: new Date(Math.max(...dates)),
+            closingBalance,
+            fileName: fileName || null,
+            tenantId,
+            accountId,
+            lines: {
+              create: lines
+            }
+          }
+        });
+      } catch (error) {
+        if (error.code !== 'P2002') {
+          throw error;
+        }
+      }
+    }
+    if (!statement) {
+      throw new Error('Could not issue a statement number, please try again');
+    }
+
+    const { matchedCount } = await this.autoMatch(statement.id, tenantId, data.dateWindowDays);
+
+    return {
+      statement: await this.getStatementById(statement.id, tenantId),
+      errors,
+      matchedCount
+    };
+  }
+
+  /**
+   * Match unmatched statement lines to uncleared ledger lines of the same amount whose
+   * transaction date is within the window, closest date first
+   * @param {string} statementId - Statement ID
+   * @param {string} tenantId - Tenant ID
+   * @param {number} dateWindowDays - Days either side of the statement date (default 3)
+   * @returns {Object} { matchedCount }
+   */
+  async autoMatch(statementId, tenantId, dateWindowDays) {
+    const statement = await this.getStatementById(statementId, tenantId);
+    const windowDays = dateWindowDays !== undefined && dateWindowDays !== null && dateWindowDays !== ''
+      ? Math.max(0, parseInt(dateWindowDays) || 0)
+      : DEFAULT_DATE_WINDOW_DAYS;
+    const windowMs = windowDays * DAY_MS;
+
+    const unmatched = statement.lines.filter(line => !line.transactionLineId);
+    if (unmatched.length === 0) {
+      return { matchedCount: 0 };
+    }
+
+    const dates = unmatched.map(line => new Date(line.date).getTime());
+    const candidates = await this.getUnclearedLedgerLines({
+      tenantId,
+      accountId: statement.accountId,
+      fromDate: new Date(Math.min(...dates) - windowMs),
+      toDate: new Date(Math.max(...dates) + windowMs + DAY_MS - 1)
+    });
+
+    const used = new Set();
+    const matches = [];
+
+    for (const line of unmatched) {
+      const lineTime = new Date(line.date).getTime();
+      let best = null;
+      let bestDistance = Infinity;
+
+      for (const candidate of candidates) {
+        if (used.has(candidate.id)) continue;
+        if (Math.abs(ledgerAmount(candidate) - line.amount) > AMOUNT_TOLERANCE) continue;
+
+        const transactionDate = new Date(candidate.transaction.date);
+        const transactionDay = new Date(transactionDate.getFullYear(), transactionDate.getMonth(), transactionDate.getDate()).getTime();
+        const distance = Math.abs(transactionDay - lineTime);
+        if (distance > windowMs) continue;
+
+        if (distance < bestDistance) {
+          best = candidate;
+          bestDistance = distance;
+        }
+      }
+
+      if (best) {
+        used.add(best.id);
+        matches.push({ statementLineId: line.id, transactionLineId: best.id });
+      }
+    }
+
+    const matchedAt = new Date();
+    await prisma.$transaction(matches.map(match => prisma.bankStatementLine.update({
+      where: { id: match.statementLineId },
+      data: { transactionLineId: match.transactionLineId, matchType: 'AUTO', matchedAt }
+    })));
+
+    return { matchedCount: matches.length };
+  }
+
+  /**
+   * Ledger lines of a payment account not yet matched to any statement line (void entries excluded)
+   * @param {Object} filters - { tenantId, accountId, fromDate, toDate, amount }
+   * @returns {Array} TransactionLines with their transaction
+   */
+  async getUnclearedLedgerLines(filters) {
+    const { tenantId, accountId, fromDate, toDate, amount } = filters;
+
+    const transactionWhere = { tenantId, status: 'POSTED' };
+    if (fromDate || toDate) {
+      transactionWhere.date = {};
+      if (fromDate) transactionWhere.date.gte = new Date(fromDate);
+      if (toDate) transactionWhere.date.lte = new Date(toDate);
+    }
+
+    const lines = await prisma.transactionLine.findMany({
+      where: {
+        accountId,
+        statementLine: { is: null },
+        transaction: transactionWhere
+      },
+      include: {
+        transaction: {
+          select: { id: true, transactionNumber: true, date: true, description: true }
+        }
+      },
+      orderBy: { transaction: { date: 'asc' } }
+    });
+
+    const wanted = parseAmount(amount);
+    return wanted === null
+      ? lines
+      : lines.filter(line => Math.abs(ledgerAmount(line) - wanted) <= AMOUNT_TOLERANCE);
+  }
+
+  /**
+   * Get statement with lines and the ledger lines they are matched to
+   * @param {string} id - Statement ID
+   * @param {string} tenantId - Tenant ID
+   * @returns {Object} Statement
+   */
+  async getStatementById(id, tenantId) {
+    const statement = await prisma.bankStatement.findFirst({
+      where: { id, tenantId },
+      include: {
+        account: {
+          select: { id: true, code: true, name: true, accountSubType: true }
+        },
+        lines: {
+          include: {
+            transactionLine: {
+              include: {
+                transaction: {
+                  select: { id: true, transactionNumber: true, date: true, description: true }
+                }
+              }
+            }
+          },
+          orderBy: [{ date: 'asc' }, { createdAt: 'asc' }]
+        }
+      }
+    });
+
+    if (!statement) {
+      throw new Error('Statement not found');
+    }
+
+    return statement;
+  }
+
+  /**
+   * List statements with matched/unmatched counts
+   * @param {Object} filters - { tenantId, accountId }
+   * @returns {Array} Statements
+   */
+  async getStatements(filters = {}) {
+    const { tenantId, accountId } = filters;
+
+    const where = { tenantId };
+    if (accountId) where.accountId = accountId;
+
+    const statements = await prisma.bankStatement.findMany({
+      where,
+      include: {
+        account: {
+          select: { id: true, code: true, name: true }
+        },
+        lines: {
+          select: { amount: true, transactionLineId: true }
+        }
+      },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    return statements.map(({ lines, ...statement }) => ({
+      ...statement,
+      lineCount: lines.length,
+      matchedCount: lines.filter(line => line.transactionLineId).length,
+      totalIn: round(lines.filter(line => line.amount > 0).reduce((sum, line) => sum + line.amount, 0)),
+      totalOut: round(lines.filter(line => line.amount < 0).reduce((sum, line) => sum - line.amount, 0))
+    }));
+  }
+
+  /**
+   * Manually match a statement line to a ledger line of the same account and amount
+   * @param {string} statementId - Statement ID
+   * @param {string} lineId - Statement line ID
+   * @param {string} transactionLineId - Ledger line ID
+   * @param {string} tenantId - Tenant ID
+   * @returns {Object} Updated statement
+   */
+  async matchLine(statementId, lineId, transactionLineId, tenantId) {
+    const statement = await this.getStatementById(statementId, tenantId);
+
+    const line = statement.lines.find(l => l.id === lineId);
+    if (!line) {
+      throw new Error('Statement line not found');
+    }
+    if (line.transactionLineId) {
+      throw new Error('Statement line is already matched. Unmatch it first.');
+    }
+
+    const ledgerLine = await prisma.transactionLine.findFirst({
+      where: {
+        id: transactionLineId,
+        accountId: statement.accountId,
+        transaction: { tenantId }
+      },
+      include: {
+        transaction: { select: { status: true, transactionNumber: true } },
+        statementLine: { select: { id: true } }
+      }
+    });
+
+    if (!ledgerLine) {
+      throw new Error(`Ledger line not found on ${statement.account.name}`);
+    }
+    if (ledgerLine.transaction.status !== 'POSTED') {
+      throw new Error(`Transaction ${ledgerLine.transaction.transactionNumber} is void`);
+    }
+    if (ledgerLine.statementLine) {
+      throw new Error(`Transaction ${ledgerLine.transaction.transactionNumber} is already matched to a statement line`);
+    }
+    if (Math.abs(ledgerAmount(ledgerLine) - line.amount) > AMOUNT_TOLERANCE) {
+      throw new Error(`Amount differs: statement ${line.amount}, ledger ${ledgerAmount(ledgerLine)}`);
+    }
+
+    await prisma.bankStatementLine.update({
+      where: { id: lineId },
+      data: { transactionLineId, matchType: 'MANUAL', matchedAt: new Date() }
+    });
+
+    return this.getStatementById(statementId, tenantId);
+  }
+
+  /**
+   * Clear the match of a statement line
+   * @param {string} statementId - Statement ID
+   * @param {string} lineId - Statement line ID
+   * @param {string} tenantId - Tenant ID
+   * @returns {Object} Updated statement
+   */
+  async unmatchLine(statementId, lineId, tenantId) {
+    const statement = await this.getStatementById(statementId, tenantId);
+
+    if (!statement.lines.some(l => l.id === lineId)) {
+      throw new Error('Statement line not found');
+    }
+
+    await prisma.bankStatementLine.update({
+      where: { id: lineId },
+      data: { transactionLineId: null, matchType: null, matchedAt: null }
+    });
+
+    return this.getStatementById(statementId, tenantId);
+  }
+
+  /**
+   * Delete a statement; its ledger lines become uncleared again
+   * @param {string} statementId - Statement ID
+   * @param {string} tenantId - Tenant ID
+   */
+  async deleteStatement(statementId, tenantId) {
+    await this.getStatementById(statementId, tenantId);
+    await prisma.bankStatement.delete({ where: { id: statementId } });
+  }
+
+  /**
+   * Reconciliation per Cash/Bank account as of a date: book balance from posted ledger lines,
+   * cleared balance from the lines matched to a statement, and what is still outstanding
+   * @param {Object} options - { tenantId, accountId (optional), asOfDate (optional) }
+   * @returns {Object} { asOfDate, accounts: [...] } (outstanding items listed when accountId is given)
+   */
+  async getReconciliationReport(options) {
+    const { tenantId, accountId } = options;
+    const asOfDate = options.asOfDate ? new Date(options.asOfDate) : new Date();
+    if (options.asOfDate && /^\d{4}-\d{2}-\d{2}$/.test(options.asOfDate)) {
+      asOfDate.setHours(23, 59, 59, 999);
+    }
+
+    const where = { tenantId, type: 'ASSET', accountSubType: { not: null } };
+    if (accountId) where.id = accountId;
+    const accounts = await prisma.account.findMany({
+      where,
+      orderBy: [{ accountSubType: 'asc' }, { code: 'asc' }]
+    });
+
+    if (accountId && accounts.length === 0) {
+      throw new Error('Cash or bank account not found');
+    }
+
+    const report = [];
+    for (const account of accounts) {
+      const [ledgerLines, unmatchedStatementLines, latestStatement] = await Promise.all([
+        prisma.transactionLine.findMany({
+          where: {
+            accountId: account.id,
+            transaction: { tenantId, status: 'POSTED', date: { lte: asOfDate } }
+          },
+          include: {
+            transaction: {
+              select: { id: true, transactionNumber: true, date: true, description: true }
+            },
+            statementLine: {
+              select: { id: true, date: true }
+            }
+          },
+          orderBy: { transaction: { date: 'asc' } }
+        }),
+        prisma.bankStatementLine.findMany({
+          where: {
+            transactionLineId: null,
+            date: { lte: asOfDate },
+            statement: { tenantId, accountId: account.id }
+          },
+          include: {
+            statement: { select: { id: true, statementNumber: true } }
+          },
+          orderBy: { date: 'asc' }
+        }),
+        prisma.bankStatement.findFirst({
+          where: { tenantId, accountId: account.id, toDate: { lte: asOfDate } },
+          orderBy: { toDate: 'desc' },
+          select: { id: true, statementNumber: true, toDate: true, closingBalance: true }
+        })
+      ]);
+
+      // A ledger line is cleared once matched to a statement line dated on or before the report date
+      const isCleared = (line) => line.statementLine && new Date(line.statementLine.date) <= asOfDate;
+      const cleared = ledgerLines.filter(isCleared);
+      const uncleared = ledgerLines.filter(line => !isCleared(line));
+
+      const bookBalance = round(ledgerLines.reduce((sum, line) => sum + ledgerAmount(line), 0));
+      const clearedBalance = round(cleared.reduce((sum, line) => sum + ledgerAmount(line), 0));
+      const unclearedDeposits = round(uncleared.filter(line => ledgerAmount(line) > 0).reduce((sum, line) => sum + ledgerAmount(line), 0));
+      const unclearedPayments = round(uncleared.filter(line => ledgerAmount(line) < 0).reduce((sum, line) => sum - ledgerAmount(line), 0));
+      const unmatchedStatementAmount = round(unmatchedStatementLines.reduce((sum, line) => sum + line.amount, 0));
+
+      const entry = {
+        accountId: account.id,
+        code: account.code,
+        name: account.name,
+        accountSubType: account.accountSubType,
+        bookBalance,
+        clearedBalance,
+        difference: round(bookBalance - clearedBalance),
+        unclearedDeposits,
+        unclearedPayments,
+        unclearedCount: uncleared.length,
+        unmatchedStatementAmount,
+        unmatchedStatementCount: unmatchedStatementLines.length,
+        latestStatement
+      };
+
+      if (accountId) {
+        entry.unclearedLines = uncleared.map(({ statementLine, ...line }) => ({ ...line, amount: ledgerAmount(line) }));
+        entry.unmatchedStatementLines = unmatchedStatementLines;
+      }
+
+      report.push(entry);
+    }
+
+    return { asOfDate, accounts: report };
+  }
+}
+
+module.exports = new BankReconciliationService();
@@ -0,0 +1,639 @@
+const prisma = require('../lib/db');
+const accountingService = require('./accountingService');
+const { parseCsv, pickField, parseAmount } = require('../utils/csv');
+
+// Header aliases seen on courier settlement sheets (normalised, see utils/csv.normalizeHeader)
+const CN_HEADERS = ['cn', 'cnno', 'cnnumber', 'consignmentnumber', 'consignmentno', 'consignment', 'trackingnumber', 'trackingno', 'tracking'];
+const COD_HEADERS = ['codamount', 'codcollected', 'collectedamount', 'collected', 'amountcollected', 'cod'];
+const COD_FEE_HEADERS = ['codfee', 'codcharges', 'codcharge', 'collectioncharges', 'codservicecharges'];
+const SHIPPING_HEADERS = ['shipping', 'shippingcharges', 'shippingcharge', 'deliverycharges', 'deliverycharge', 'freight'];
+
+// Orders still expected to be settled by the courier
+const REMITTABLE_STATUSES = ['DISPATCHED', 'IN_TRANSIT', 'DELIVERED', 'FAILED_DELIVERY', 'COMPLETED'];
+
+const VARIANCE_TOLERANCE = 0.01;
+
+class CodRemittanceService {
+  /**
+   * Parse a courier settlement CSV
+   * Expects a CN column plus COD collected, COD fee and shipping deducted columns
+   * @param {string} csvText - CSV content
+   * @returns {Object} { lines: [{consignmentNumber, codCollected, codFee, shippingCharge}], errors: [{line, error}] }
+   */
+  parseSettlementCsv(csvText) {
+    const { headers, rows } = parseCsv(csvText);
+    const lines = [];
+    const errors = [];
+
+    if (!headers.some(header => CN_HEADERS.includes(header))) {
+      throw new Error('Settlement sheet must have a CN / consignment number column');
+    }
+    if (!headers.some(header => COD_HEADERS.includes(header))) {
+      throw new Error('Settlement sheet must have a COD amount column');
+    }
+
+    for (const row of rows) {
+      const consignmentNumber = pickField(row, CN_HEADERS);
+      if (!consignmentNumber) {
+        errors.push({ line: row._line, error: 'Missing CN' });
+        continue;
+      }
+
+      const codCollected = parseAmount(pickField(row, COD_HEADERS));
+      if (codCollected === null) {
+        errors.push({ line: row._line, consignmentNumber, error: 'Invalid COD amount' });
+        continue;
+      }
+
+      lines.push({
+        consignmentNumber,
+        codCollected,
+        codFee: Math.abs(parseAmount(pickField(row, COD_FEE_HEADERS)) || 0),
+        shippingCharge: Math.abs(parseAmount(pickField(row, SHIPPING_HEADERS)) || 0)
+      });
+    }
+
+    return { lines, errors };
+  }
+
+  /**
+   * Amount the courier should collect for an order (COD fee is added when the customer pays it)
+   * @param {Object} order - Order
+   * @returns {number}
+   */
+  getExpectedCollection(order) {
+    const codFee = order.codFeePaidBy === 'CUSTOMER' ? (order.codFee || 0) : 0;
+    return (order.codAmount || 0) + codFee;
+  }
+
+  /**
+   * Compare a settlement line with its order
+   * @param {Object} line - {codCollected, codFee}
+   * @param {Object} order - Matched order
+   * @returns {Object} Line fields describing the match
+   */
+  compareWithOrder(line, order) {
+    const expectedCodAmount = this.getExpectedCollection(order);
+    const expectedCodFee = order.codFee || 0;
+    const codVariance = Math.round((line.codCollected - expectedCodAmount) * 100) / 100;
+    const codFeeVariance = Math.round((line.codFee - expectedCodFee) * 100) / 100;
+    const hasVariance = Math.abs(codVariance) > VARIANCE_TOLERANCE || Math.abs(codFeeVariance) > VARIANCE_TOLERANCE;
+
+    return {
+      orderId: order.id,
+      expectedCodAmount,
+      expectedCodFee,
+      codVariance,
+      codFeeVariance,
+      matchStatus: hasVariance ? 'VARIANCE' : 'MATCHED'
+    };
+  }
+
+  /**
+   * Find orders already settled in a posted remittance
+   * @param {Array<string>} orderIds - Order IDs
+   * @returns {Set<string>}
+   */
+  async getRemittedOrderIds(orderIds) {
+    if (orderIds.length === 0) {
+      return new Set();
+    }
+    const remittedLines = await prisma.codRemittanceLine.findMany({
+      where: {
+        orderId: { in: orderIds },
+        remittance: { status: 'POSTED' }
+      },
+      select: { orderId: true }
+    });
+    return new Set(remittedLines.map(line => line.orderId));
+  }
+
+  /**
+   * Next remittance number for this year, following the highest one issued (deleted drafts leave gaps)
+   * @param {string} tenantId - Tenant ID
+   * @returns {string}
+   */
+  async generateRemittanceNumber(tenantId) {
+    const prefix = `REM-${new Date().getFullYear()}-`;
+    const last = await prisma.codRemittance.findFirst({
+      where: { tenantId, remittanceNumber: { startsWith: prefix } },
+      orderBy: { remittanceNumber: 'desc' },
+      select: { remittanceNumber: true }
+    });
+    const next = last ? parseInt(last.remittanceNumber.slice(prefix.length), 10) + 1 : 1;
+    return `${prefix}${String(next).padStart(4, '0')}`;
+  }
+
+  /**
+   * Import a settlement sheet as a DRAFT remittance, matching each line to an order by CN
+   * @param {Object} data - {tenantId, logisticsCompanyId, settlementDate, reference, notes, csvText}
+   * @returns {Object} { remittance, errors }
+   */
+  async importSettlement(data) {
+    const { tenantId, logisticsCompanyId, settlementDate, reference, notes, csvText } = data;
+
+    const company = await prisma.logisticsCompany.findFirst({
+      where: { id: logisticsCompanyId, tenantId }
+    });
+    if (!company) {
+      throw new Error('Logistics company not found');
+    }
+
+    const { lines, errors } = this.parseSettlementCsv(csvText);
+    if (lines.length === 0) {
+      throw new Error('No settlement lines found in file');
+    }
+
+    const consignmentNumbers = [...new Set(lines.map(line => line.consignmentNumber))];
+    const orders = await prisma.order.findMany({
+      where: {
+        tenantId,
+        logisticsCompanyId,
+        // Only parcels whose sale is booked can be settled; pending, cancelled or returned orders stay unmatched
+        status: { in: REMITTABLE_STATUSES },
+        OR: [
+          { consignmentNumber: { in: consignmentNumbers } },
+          { trackingNumber: { in: consignmentNumbers } }
+        ]
+      }
+    });
+
+    const ordersByCn = {};
+    for (const order of orders) {
+      if (order.consignmentNumber) ordersByCn[order.consignmentNumber] = order;
+      if (order.trackingNumber && !ordersByCn[order.trackingNumber]) ordersByCn[order.trackingNumber] = order;
+    }
+
+    const remittedOrderIds = await this.getRemittedOrderIds(orders.map(order => order.id));
+    const seenOrderIds = new Set();
+
+    const remittanceLines = lines.map(line => {
+      const order = ordersByCn[line.consignmentNumber];
+      if (!order) {
+        return { ...line, matchStatus: 'UNMATCHED' };
+      }
+      if (remittedOrderIds.has(order.id) || seenOrderIds.has(order.id)) {
+        return { ...line, orderId: order.id, matchStatus: 'DUPLICATE' };
+      }
+      seenOrderIds.add(order.id);
+      return { ...line, ...this.compareWithOrder(line, order) };
+    });
+
+    // Two imports at once can pick the same number; the unique index rejects the second
+    let remittance = null;
+    for (let attempt = 0; attempt < 3 && !remittance; attempt++) {
+      try {
+        remittance = await prisma.codRemittance.create({
+          data: {
+            remittanceNumber: await this.generateRemittanceNumber(tenantId),
+            settlementDate: settlementDate ? new Date(settlementDate) : new Date(),
+            reference: reference || null,
+            notes: notes || null,
+            tenantId,
+            logisticsCompanyId,
+            ...this.calculateTotals(remittanceLines),
+            lines: {
+              create: remittanceLines
+            }
+          }
+        });
+      } catch (error) {
+        if (error.code !== 'P2002') {
+          throw error;
+        }
+      }
+    }
+    if (!remittance) {
+      throw new Error('Could not issue a remittance number, please try again');
+    }
+
+    return {
+      remittance: await this.getRemittanceById(remittance.id, tenantId),
+      errors
+    };
+  }
+
+  /**
+   * Sum settlement lines
+   * @param {Array} lines - Remittance lines
+   * @returns {Object} {totalCodCollected, totalCodFee, totalShippingCharges, netAmount}
+   */
+  calculateTotals(lines) {
+    const round = (value) => Math.round(value * 100) / 100;
+    const totalCodCollected = round(lines.reduce((sum, line) => sum + (line.codCollected || 0), 0));
+    const totalCodFee = round(lines.reduce((sum, line) => sum + (line.codFee || 0), 0));
+    const totalShippingCharges = round(lines.reduce((sum, line) => sum + (line.shippingCharge || 0), 0));
+
+    return {
+      totalCodCollected,
+      totalCodFee,
+      totalShippingCharges,
+      netAmount: round(totalCodCollected - totalCodFee - totalShippingCharges)
+    };
+  }
+
+  /**
+   * Get remittance with lines and matched orders
+   * @param {string} id - Remittance ID
+   * @param {string} tenantId - Tenant ID
+   * @returns {Object} Remittance
+   */
+  async getRemittanceById(id, tenantId) {
+    const remittance = await prisma.codRemittance.findFirst({
+      where: { id, tenantId },
+      include: {
+        logisticsCompany: {
+          select: { id: true, name: true }
+        },
+        paymentAccount: {
+          select: { id: true, code: true, name: true }
+        },
+        lines: {
+          include: {
+            order: {
+              select: {
+                id: true,
+                orderNumber: true,
+                status: true,
+                codAmount: true,
+                codFee: true,
+                codFeePaidBy: true
+              }
+            }
+          },
+          orderBy: { createdAt: 'asc' }
+        }
+      }
+    });
+
+    if (!remittance) {
+      throw new Error('Remittance not found');
+    }
+
+    return remittance;
+  }
+
+  /**
+   * List remittances
+   * @param {Object} filters - {tenantId, logisticsCompanyId, status}
+   * @returns {Array} Remittances with line counts by match status
+   */
+  async getRemittances(filters = {}) {
+    const { tenantId, logisticsCompanyId, status } = filters;
+
+    const where = { tenantId };
+    if (logisticsCompanyId) where.logisticsCompanyId = logisticsCompanyId;
+    if (status) where.status = status;
+
+    const remittances = await prisma.codRemittance.findMany({
+      where,
+      include: {
+        logisticsCompany: {
+          select: { id: true, name: true }
+        },
+        lines: {
+          select: { matchStatus: true }
+        }
+      },
+      orderBy: { settlementDate: 'desc' }
+    });
+
+    return remittances.map(({ lines, ...remittance }) => ({
+      ...remittance,
+      lineCount: lines.length,
+      varianceCount: lines.filter(line => line.matchStatus === 'VARIANCE').length,
+      unmatchedCount: lines.filter(line => line.matchStatus === 'UNMATCHED' || line.matchStatus === 'DUPLICATE').length
+    }));
+  }
+
+  /**
+   * Manually match a settlement line to an order (e.g. CN typed differently by the courier)
+   * @param {string} remittanceId - Remittance ID
+   * @param {string} lineId - Line ID
+   * @param {string} orderId - Order ID
+   * @param {string} tenantId - Tenant ID
+   * @returns {Object} Updated remittance
+   */
+  async matchLine(remittanceId, lineId, orderId, tenantId) {
+    const remittance = await this.getDraftRemittance(remittanceId, tenantId);
+
+    const line = remittance.lines.find(l => l.id === lineId);
+    if (!line) {
+      throw new Error('Remittance line not found');
+    }
+
+    const order = await prisma.order.findFirst({
+      where: { id: orderId, tenantId, logisticsCompanyId: remittance.logisticsCompanyId }
+    });
+    if (!order) {
+      throw new Error('Order not found for this logistics company');
+    }
+
+    const remitted = await this.getRemittedOrderIds([order.id]);
+    const usedInThisRemittance = remittance.lines.some(l => l.id !== lineId && l.orderId === order.id);
+    if (remitted.has(order.id) || usedInThisRemittance) {
+      throw new Error(`Order ${order.orderNumber} is already settled`);
+    }
+
+    await prisma.codRemittanceLine.update({
+      where: { id: lineId },
+      data: this.compareWithOrder(line, order)
+    });
+
+    return this.getRemittanceById(remittanceId, tenantId);
+  }
+
+  /**
+   * Remove a line from a draft remittance
+   * @param {string} remittanceId - Remittance ID
+   * @param {string} lineId - Line ID
+   * @param {string} tenantId - Tenant ID
+   * @returns {Object} Updated remittance
+   */
+  async removeLine(remittanceId, lineId, tenantId) {
+    const remittance = await this.getDraftRemittance(remittanceId, tenantId);
+
+    if (!remittance.lines.some(l => l.id === lineId)) {
+      throw new Error('Remittance line not found');
+    }
+
+    await prisma.codRemittanceLine.delete({ where: { id: lineId } });
+
+    const remainingLines = remittance.lines.filter(l => l.id !== lineId);
+    await prisma.codRemittance.update({
+      where: { id: remittanceId },
+      data: this.calculateTotals(remainingLines)
+    });
+
+    return this.getRemittanceById(remittanceId, tenantId);
+  }
+
+  /**
+   * Load a remittance and make sure it can still be changed
+   * @param {string} remittanceId - Remittance ID
+   * @param {string} tenantId - Tenant ID
+   * @returns {Object} Remittance with lines
+   */
+  async getDraftRemittance(remittanceId, tenantId) {
+    const remittance = await this.getRemittanceById(remittanceId, tenantId);
+    if (remittance.status !== 'DRAFT') {
+      throw new Error('Only draft remittances can be changed');
+    }
+    return remittance;
+  }
+
+  /**
+   * Post a draft remittance to the ledger
+   * Dr Cash/Bank (net received), Dr COD Fee Payable (accrued fee), Dr/Cr COD Fee Expense (fee
+   * difference), Dr Shipping Expense (shipping deducted), Cr Accounts Receivable (COD collected).
+   * A CUSTOMER_PAYMENT is recorded per order so customer balances reflect the collection.
+   * @param {string} remittanceId - Remittance ID
+   * @param {string} tenantId - Tenant ID
+   * @param {string} paymentAccountId - Cash or Bank account the courier paid into
+   * @returns {Object} Posted remittance
+   */
+  async postRemittance(remittanceId, tenantId, paymentAccountId) {
+    const remittance = await this.getDraftRemittance(remittanceId, tenantId);
+
+    const unresolved = remittance.lines.filter(line => !line.orderId || line.matchStatus === 'DUPLICATE');
+    if (unresolved.length > 0) {
+      throw new Error(`${unresolved.length} settlement line(s) are not matched to an order. Match or remove them before posting.`);
+    }
+    if (remittance.lines.length === 0) {
+      throw new Error('Remittance has no lines');
+    }
+
+    const paymentAccount = await prisma.account.findFirst({
+      where: {
+        id: paymentAccountId,
+        tenantId,
+        type: 'ASSET',
+        accountSubType: { in: ['CASH', 'BANK'] }
+      }
+    });
+    if (!paymentAccount) {
+      throw new Error('Invalid payment account. Must be a Cash or Bank account.');
+    }
+
+    const totals = this.calculateTotals(remittance.lines);
+    const expectedCodFee = Math.round(remittance.lines.reduce((sum, line) => sum + (line.expectedCodFee || 0), 0) * 100) / 100;
+    const codFeeDifference = Math.round((totals.totalCodFee - expectedCodFee) * 100) / 100;
+
+    const arAccount = await accountingService.getOrCreateAccount({
+      code: '1200',
+      name: 'Accounts Receivable',
+      type: 'ASSET',
+      tenantId,
+      balance: 0
+    });
+    const codFeePayableAccount = await accountingService.getOrCreateAccount({
+      code: '2200',
+      name: 'COD Fee Payable',
+      type: 'LIABILITY',
+      tenantId,
+      balance: 0
+    });
+    const codFeeExpenseAccount = await accountingService.getOrCreateAccount({
+      code: '5200',
+      name: 'COD Fee Expense',
+      type: 'EXPENSE',
+      tenantId,
+      balance: 0
+    });
+    const shippingExpenseAccount = await accountingService.getOrCreateAccount({
+      code: '5100',
+      name: 'Shipping Expense',
+      type: 'EXPENSE',
+      tenantId,
+      balance: 0
+    });
+
+    const lines = [];
+    if (totals.netAmount > 0) {
+      lines.push({ accountId: paymentAccount.id, debitAmount: totals.netAmount, creditAmount: 0 });
+    } else if (totals.netAmount < 0) {
+      lines.push({ accountId: paymentAccount.id, debitAmount: 0, creditAmount: Math.abs(totals.netAmount) });
+    }
+    if (expectedCodFee > 0) {
+      lines.push({ accountId: codFeePayableAccount.id, debitAmount: expectedCodFee, creditAmount: 0 });
+    }
+    if (codFeeDifference > 0) {
+      lines.push({ accountId: codFeeExpenseAccount.id, debitAmount: codFeeDifference, creditAmount: 0 });
+    } else if (codFeeDifference < 0) {
+      lines.push({ accountId: codFeeExpenseAccount.id, debitAmount: 0, creditAmount: Math.abs(codFeeDifference) });
+    }
+    if (totals.totalShippingCharges > 0) {
+      lines.push({ accountId: shippingExpenseAccount.id, debitAmount: totals.totalShippingCharges, creditAmount: 0 });
+    }
+    if (totals.totalCodCollected > 0) {
+      lines.push({ accountId: arAccount.id, debitAmount: 0, creditAmount: totals.totalCodCollected });
+    }
+
+    const paymentMethod = paymentAccount.accountSubType === 'BANK' ? 'Bank Transfer' : 'Cash';
+
+    // Ledger entry, payments and status change commit together; claiming the draft first means
+    // two posts of the same remittance cannot both reach the ledger
+    await prisma.$transaction(async (tx) => {
+      const claim = await tx.codRemittance.updateMany({
+        where: { id: remittanceId, tenantId, status: 'DRAFT' },
+        data: {
+          ...totals,
+          status: 'POSTED',
+          postedAt: new Date(),
+          paymentAccountId: paymentAccount.id
+        }
+      });
+      if (claim.count === 0) {
+        throw new Error('Only draft remittances can be changed');
+      }
+
+      // The same order can sit in two drafts; lock its rows so a concurrent post waits, then
+      // reject if another remittance already settled it
+      const orderIds = [...new Set(remittance.lines.map(line => line.orderId))].sort();
+      for (const orderId of orderIds) {
+        await tx.order.update({ where: { id: orderId }, data: { updatedAt: new Date() } });
+      }
+      const alreadyRemitted = await tx.codRemittanceLine.findMany({
+        where: {
+          orderId: { in: orderIds },
+          remittanceId: { not: remittanceId },
+          remittance: { status: 'POSTED' }
+        },
+        select: { order: { select: { orderNumber: true } }, remittance: { select: { remittanceNumber: true } } }
+      });
+      if (alreadyRemitted.length > 0) {
+        const settled = alreadyRemitted.map(line => `${line.order.orderNumber} (${line.remittance.remittanceNumber})`);
+        throw new Error(`Order(s) already settled in a posted remittance: ${settled.join(', ')}`);
+      }
+
+      // An order cancelled or returned since the import no longer has a receivable to settle
+      const notRemittable = await tx.order.findMany({
+        where: { id: { in: orderIds }, status: { notIn: REMITTABLE_STATUSES } },
+        select: { orderNumber: true, status: true }
+      });
+      if (notRemittable.length > 0) {
+        const orders = notRemittable.map(order => `${order.orderNumber} (${order.status})`);
+        throw new Error(`Order(s) can no longer be settled: ${orders.join(', ')}`);
+      }
+
+      const transaction = await accountingService.createTransaction(
+        {
+          transactionNumber: `TXN-${new Date().getFullYear()}-${Date.now()}`,
+          date: remittance.settlementDate,
+          description: `COD Remittance ${remittance.remittanceNumber}: ${remittance.logisticsCompany.name}${remittance.reference ? ` (${remittance.reference})` : ''}`,
+          tenantId
+        },
+        lines,
+        { tx }
+      );
+
+      let paymentCount = await tx.payment.count({ where: { tenantId } });
+
+      for (const line of remittance.lines) {
+        if (!line.codCollected || line.codCollected <= 0) continue;
+
+        const order = await tx.order.findUnique({
+          where: { id: line.orderId },
+          select: { id: true, customerId: true }
+        });
+
+        paymentCount++;
+        await tx.payment.create({
+          data: {
+            paymentNumber: `PAY-${new Date().getFullYear()}-${String(paymentCount).padStart(4, '0')}`,
+            date: remittance.settlementDate,
+            type: 'CUSTOMER_PAYMENT',
+            amount: line.codCollected,
+            paymentMethod,
+            accountId: paymentAccount.id,
+            tenantId,
+            customerId: order?.customerId || null,
+            orderId: line.orderId
+          }
+        });
+      }
+
+      await tx.codRemittance.update({
+        where: { id: remittanceId },
+        data: { transactionId: transaction.id }
+      });
+    }, { timeout: 30000 });
+
+    return this.getRemittanceById(remittanceId, tenantId);
+  }
+
+  /**
+   * Delete a draft remittance
+   * @param {string} remittanceId - Remittance ID
+   * @param {string} tenantId - Tenant ID
+   */
+  async deleteRemittance(remittanceId, tenantId) {
+    await this.getDraftRemittance(remittanceId, tenantId);
+    await prisma.codRemittance.delete({ where: { id: remittanceId } });
+  }
+
+  /**
+   * COD orders handed to a courier that no posted remittance has settled yet
+   * @param {Object} filters - {tenantId, logisticsCompanyId}
+   * @returns {Object} { orders, summary }
+   */
+  async getUnreconciledOrders(filters = {}) {
+    const { tenantId, logisticsCompanyId } = filters;
+
+    const where = {
+      tenantId,
+      status: { in: REMITTABLE_STATUSES },
+      codAmount: { gt: 0 },
+      logisticsCompanyId: logisticsCompanyId || { not: null },
+      codRemittanceLines: {
+        none: {
+          remittance: { status: 'POSTED' }
+        }
+      }
+    };
+
+    const orders = await prisma.order.findMany({
+      where,
+      select: {
+        id: true,
+        orderNumber: true,
+        status: true,
+        codAmount: true,
+        codFee: true,
+        codFeePaidBy: true,
+        trackingNumber: true,
+        consignmentNumber: true,
+        courierBookedAt: true,
+        createdAt: true,
+        logisticsCompany: {
+          select: { id: true, name: true }
+        }
+      },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    const summary = {
+      count: orders.length,
+      totalExpected: 0,
+      byCompany: {}
+    };
+
+    const result = orders.map(order => {
+      const expectedCodAmount = this.getExpectedCollection(order);
+      summary.totalExpected += expectedCodAmount;
+
+      const companyName = order.logisticsCompany.name;
+      if (!summary.byCompany[companyName]) {
+        summary.byCompany[companyName] = { count: 0, totalExpected: 0 };
+      }
+      summary.byCompany[companyName].count++;
+      summary.byCompany[companyName].totalExpected += expectedCodAmount;
+
+      return { ...order, expectedCodAmount };
+    });
+
+    return { orders: result, summary };
+  }
+}
+
+module.exports = new CodRemittanceService();
@@ -0,0 +1,136 @@
+const customerService = require('./customerService');
+const whatsappService = require('../utils/whatsappService');
+const manualCourierAdapter = require('./couriers/manualCourierAdapter');
+const mockCourierAdapter = require('./couriers/mockCourierAdapter');
+
+class CourierService {
+  constructor() {
+    this.adapters = {};
+    this.registerAdapter(manualCourierAdapter);
+    this.registerAdapter(mockCourierAdapter);
+  }
+
+  /**
+   * Register a courier adapter
+   * Adapters must expose `code`, `name` and `bookShipment(shipment, company, manualDetails)`
+   * @param {Object} adapter - Courier adapter
+   */
+  registerAdapter(adapter) {
+    if (!adapter || !adapter.code || typeof adapter.bookShipment !== 'function') {
+      throw new Error('Invalid courier adapter');
+    }
+    this.adapters[adapter.code] = adapter;
+  }
+
+  /**
+   * Get adapter for a courier service code (falls back to MANUAL)
+   * @param {string} code - Courier service code stored on LogisticsCompany
+   * @returns {Object} Courier adapter
+   */
+  getAdapter(code) {
+    return this.adapters[code] || this.adapters.MANUAL;
+  }
+
+  /**
+   * Check whether a courier service code is registered
+   * @param {string} code - Courier service code
+   * @returns {boolean}
+   */
+  isSupported(code) {
+    return Boolean(this.adapters[code]);
+  }
+
+  /**
+   * List registered courier services (for the logistics company settings form)
+   * @returns {Array} [{code, name, requiresCredentials}]
+   */
+  listAdapters() {
+    return Object.values(this.adapters).map(adapter => ({
+      code: adapter.code,
+      name: adapter.name,
+      requiresCredentials: Boolean(adapter.requiresCredentials)
+    }));
+  }
+
+  /**
+   * Build the courier-agnostic shipment payload from an order
+   * @param {Object} order - Order (formData may be string or object; orderItems optional)
+   * @returns {Object} Shipment details
+   */
+  buildShipment(order) {
+    let formData = {};
+    try {
+      formData = typeof order.formData === 'string' ? JSON.parse(order.formData) : (order.formData || {});
+    } catch (e) {
+      formData = {};
+    }
+
+    const customerInfo = customerService.extractCustomerInfoFromFormData(formData);
+
+    let pieces = 0;
+    if (Array.isArray(order.orderItems) && order.orderItems.length > 0) {
+      pieces = order.orderItems.reduce((sum, item) => sum + (item.quantity || 0), 0);
+    } else {
+      try {
+        const quantities = typeof order.productQuantities === 'string'
+          ? JSON.parse(order.productQuantities)
+          : (order.productQuantities || {});
+        pieces = Object.values(quantities).reduce((sum, qty) => sum + (parseInt(qty) || 0), 0);
+      } catch (e) {
+        pieces = 0;
+      }
+    }
+
+    return {
+      orderNumber: order.orderNumber,
+      consigneeName: customerInfo.name || 'Customer',
+      consigneePhone: whatsappService.getCustomerPhone(formData),
+      consigneeAddress: customerInfo.shippingAddress || customerInfo.address || '',
+      consigneeCity: customerInfo.city || '',
+      codAmount: order.codAmount || 0,
+      pieces: pieces || 1
+    };
+  }
+
+  /**
+   * Book a shipment with the order's courier
+   * @param {Object} order - Order being dispatched
+   * @param {Object} company - LogisticsCompany the parcel is handed to
+   * @param {Object} manualDetails - Optional { trackingNumber, consignmentNumber } typed in by staff
+   * @returns {Object|null} Order fields to persist, or null if nothing was booked
+   */
+  async bookShipment(order, company, manualDetails = {}) {
+    // Numbers typed in by staff always win over an automatic booking
+    const hasManualNumbers = Boolean(manualDetails.trackingNumber || manualDetails.consignmentNumber);
+    const adapter = hasManualNumbers ? this.adapters.MANUAL : this.getAdapter(company.courierService);
+
+    const shipment = this.buildShipment(order);
+    const booking = await adapter.bookShipment(shipment, company, manualDetails);
+
+    if (!booking) {
+      return null;
+    }
+
+    return {
+      trackingNumber: booking.trackingNumber || null,
+      consignmentNumber: booking.consignmentNumber || null,
+      courierLabelUrl: booking.labelUrl || null,
+      courierBookedAt: booking.bookedAt || new Date()
+    };
+  }
+
+  /**
+   * Build the public tracking URL for a parcel
+   * @param {Object} company - LogisticsCompany (needs trackingUrlTemplate)
+   * @param {string} trackingNumber - Tracking number
+   * @returns {string|null}
+   */
+  getTrackingUrl(company, trackingNumber) {
+    if (!company || !company.trackingUrlTemplate || !trackingNumber) {
+      return null;
+    }
+    return company.trackingUrlTemplate.replace('{trackingNumber}', encodeURIComponent(trackingNumber));
+  }
+}
+
+module.exports = new CourierService();
@@ -0,0 +1,37 @@
+/**
+ * Manual courier adapter
+ * Used when the courier has no API integration: staff book the parcel on the
+ * courier's own portal and type the tracking number / CN in at dispatch.
+ */
+class ManualCourierAdapter {
+  constructor() {
+    this.code = 'MANUAL';
+    this.name = 'Manual entry';
+    this.requiresCredentials = false;
+  }
+
+  /**
+   * "Book" a shipment by echoing back the numbers entered by staff
+   * @param {Object} shipment - Shipment details built by courierService
+   * @param {Object} company - LogisticsCompany record
+   * @param {Object} manualDetails - { trackingNumber, consignmentNumber }
+   * @returns {Object|null} Booking result, or null when nothing was entered
+   */
+  async bookShipment(shipment, company, manualDetails = {}) {
+    const trackingNumber = manualDetails.trackingNumber ? String(manualDetails.trackingNumber).trim() : '';
+    const consignmentNumber = manualDetails.consignmentNumber ? String(manualDetails.consignmentNumber).trim() : '';
+
+    if (!trackingNumber && !consignmentNumber) {
+      return null;
+    }
+
+    return {
+      trackingNumber: trackingNumber || consignmentNumber,
+      consignmentNumber: consignmentNumber || trackingNumber,
+      labelUrl: null,
+      bookedAt: new Date()
+    };
+  }
+}
+
+module.exports = new ManualCourierAdapter();
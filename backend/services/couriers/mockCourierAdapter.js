@@ -0,0 +1,40 @@
+/**
+ * Mock courier adapter
+ * Books shipments locally without calling any courier API. Used by tests and
+ * for trying out the booking flow before real courier credentials are set up.
+ */
+class MockCourierAdapter {
+  constructor() {
+    this.code = 'MOCK';
+    this.name = 'Mock courier (testing)';
+    this.requiresCredentials = false;
+    this.sequence = 0;
+  }
+
+  /**
+   * Book a shipment and return generated tracking / CN numbers
+   * @param {Object} shipment - Shipment details built by courierService
+   * @param {Object} company - LogisticsCompany record
+   * @returns {Object} Booking result
+   */
+  async bookShipment(shipment, company) {
+    if (!shipment.consigneePhone) {
+      throw new Error('Consignee phone number is required to book a shipment');
+    }
+    if (!shipment.consigneeCity) {
+      throw new Error('Consignee city is required to book a shipment');
+    }
+
+    this.sequence += 1;
+    const serial = `${Date.now().toString().slice(-8)}${String(this.sequence).padStart(3, '0')}`;
+
+    return {
+      trackingNumber: `MOCK${serial}`,
+      consignmentNumber: `CN-${serial}`,
+      labelUrl: null,
+      bookedAt: new Date()
+    };
+  }
+}
+
+module.exports = new MockCourierAdapter();
@@ -0,0 +1,274 @@
+const prisma = require('../lib/db');
+const customerService = require('./customerService');
+const { normalizePhoneNumber } = require('../utils/whatsappService');
+
+// Minimum similarity (0-1) for two records without a shared number to be offered as duplicates.
+// Both must pass: a shared name alone is common, a shared address is often a family or an office.
+const NAME_MATCH = 0.8;
+const ADDRESS_MATCH = 0.7;
+
+// Profile fields a merge copies from a duplicate when the kept customer has them blank
+const FILLABLE_FIELDS = ['name', 'email', 'address', 'shippingAddress', 'city', 'state', 'country', 'postalCode'];
+
+const CUSTOMER_SUMMARY = {
+  id: true,
+  name: true,
+  phoneNumber: true,
+  alternatePhones: true,
+  email: true,
+  address: true,
+  shippingAddress: true,
+  city: true,
+  isActive: true,
+  totalOrders: true,
+  totalSpent: true,
+  advanceBalance: true,
+  lastOrderDate: true,
+  createdAt: true
+};
+
+/**
+ * Lower case letters and digits separated by single spaces
+ * @param {string} text - Name or address as typed
+ * @returns {string}
+ */
+function normalizeText(text) {
+  return (text || '').toString().toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Character pairs of a string, ignoring spaces, for the Dice similarity below
+ * @param {string} text - Normalized text
+ * @returns {Set<string>}
+ */
+function bigrams(text) {
+  const compact = text.replace(/ /g, '');
+  const pairs = new Set();
+  for (let i = 0; i < compact.length - 1; i++) {
+    pairs.add(compact.slice(i, i + 2));
+  }
+  return pairs;
+}
+
+/**
+ * Dice coefficient of two bigram sets: 1 for identical text, tolerant of typos and word order
+ * @returns {number} 0-1
+ */
+function similarity(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  for (const pair of a) {
+    if (b.has(pair)) shared++;
+  }
+  return (2 * shared) / (a.size + b.size);
+}
+
+class CustomerMergeService {
+  /**
+   * Groups of customer records that look like the same buyer: the same phone number in another
+   * format (0300..., +92300...), or a similar name at a similar address (a second number).
+   * @param {string} tenantId - Tenant ID
+   * @param {Object} options - { customerId } to only return the group containing that customer
+   * @returns {Array<Object>} { customers, matches, confidence, suggestedPrimaryId }, phone matches first
+   */
+  async findDuplicates(tenantId, { customerId = null } = {}) {
+    const customers = await prisma.customer.findMany({
+      where: { tenantId },
+      select: CUSTOMER_SUMMARY,
+      orderBy: { createdAt: 'asc' }
+    });
+
+    const entries = customers.map(customer => {
+      const name = normalizeText(customer.name);
+      const address = normalizeText(customer.address || customer.shippingAddress);
+      return {
+        customer,
+        phones: [customer.phoneNumber, ...(customer.alternatePhones || [])]
+          .map(phone => normalizePhoneNumber(phone))
+          .filter(Boolean),
+        name,
+        nameBigrams: bigrams(name),
+        addressBigrams: bigrams(address)
+      };
+    });
+
+    const matches = new Map(); // "idA|idB" -> { customerIds, reasons, nameSimilarity, addressSimilarity }
+    const addMatch = (a, b, reason) => {
+      const key = [a.customer.id, b.customer.id].sort().join('|');
+      if (!matches.has(key)) {
+        matches.set(key, {
+          customerIds: [a.customer.id, b.customer.id],
+          reasons: [],
+          nameSimilarity: Math.round(similarity(a.nameBigrams, b.nameBigrams) * 100),
+          addressSimilarity: Math.round(similarity(a.addressBigrams, b.addressBigrams) * 100)
+        });
+      }
+      const match = matches.get(key);
+      if (!match.reasons.includes(reason)) match.reasons.push(reason);
+    };
+
+    const byPhone = new Map();
+    for (const entry of entries) {
+      for (const phone of new Set(entry.phones)) {
+        if (!byPhone.has(phone)) byPhone.set(phone, []);
+        byPhone.get(phone).push(entry);
+      }
+    }
+    for (const group of byPhone.values()) {
+      for (let i = 1; i < group.length; i++) {
+        addMatch(group[0], group[i], 'Same phone number');
+      }
+    }
+
+    // Only names sharing the start of a word are compared, so the scan stays well short of every pair
+    const byNameWord = new Map();
+    for (const entry of entries) {
+      if (entry.nameBigrams.size === 0 || entry.addressBigrams.size === 0) continue;
+      for (const word of new Set(entry.name.split(' ').map(part => part.slice(0, 3)))) {
+        if (!byNameWord.has(word)) byNameWord.set(word, []);
+        byNameWord.get(word).push(entry);
+      }
+    }
+    const compared = new Set();
+    for (const group of byNameWord.values()) {
+      for (let i = 0; i < group.length; i++) {
+        for (let j = i + 1; j < group.length; j++) {
+          const key = `${group[i].customer.id}|${group[j].customer.id}`;
+          if (compared.has(key)) continue;
+          compared.add(key);
+          if (similarity(group[i].nameBigrams, group[j].nameBigrams) < NAME_MATCH) continue;
+          if (similarity(group[i].addressBigrams, group[j].addressBigrams) < ADDRESS_MATCH) continue;
+          addMatch(group[i], group[j], 'Similar name and address');
+        }
+      }
+    }
+
+    // Join overlapping pairs into groups (A~B and B~C are one buyer)
+    const parent = new Map();
+    const find = (id) => {
+      while (parent.get(id) !== id) {
+        parent.set(id, parent.get(parent.get(id)));
+        id = parent.get(id);
+      }
+      return id;
+    };
+    for (const match of matches.values()) {
+      for (const id of match.customerIds) {
+        if (!parent.has(id)) parent.set(id, id);
+      }
+      parent.set(find(match.customerIds[0]), find(match.customerIds[1]));
+    }
+
+    const customersById = new Map(customers.map(customer => [customer.id, customer]));
+    const groups = new Map();
+    for (const match of matches.values()) {
+      const root = find(match.customerIds[0]);
+      if (!groups.has(root)) groups.set(root, { ids: new Set(), matches: [] });
+      const group = groups.get(root);
+      match.customerIds.forEach(id => group.ids.add(id));
+      group.matches.push(match);
+    }
+
+    return [...groups.values()]
+      .map(group => {
+        const members = [...group.ids].map(id => customersById.get(id));
+        // Keep the record with the most orders, then the oldest
+        const primary = [...members].sort((a, b) => (b.totalOrders - a.totalOrders) || (a.createdAt - b.createdAt))[0];
+        return {
+          customers: members,
+          matches: group.matches,
+          confidence: group.matches.some(match => match.reasons.includes('Same phone number')) ? 'HIGH' : 'MEDIUM',
+          suggestedPrimaryId: primary.id
+        };
+      })
+      .filter(group => !customerId || group.customers.some(customer => customer.id === customerId))
+      .sort((a, b) => (a.confidence === b.confidence ? 0 : a.confidence === 'HIGH' ? -1 : 1) ||
+        b.customers.length - a.customers.length);
+  }
+
+  /**
+   * Merge duplicate records into one customer: orders, payments and logs move across, advance
+   * balances are added together, blank profile fields are filled in and the duplicates' numbers
+   * are kept as alternate phones so future orders from them find the merged customer.
+   * @param {string} tenantId - Tenant ID
+   * @param {string} primaryId - Customer to keep
+   * @param {Array<string>} duplicateIds - Customers to merge into it (deleted afterwards)
+   * @param {string} userId - User performing the merge
+   * @returns {Object} Merged customer with recalculated stats
+   */
+  async mergeCustomers(tenantId, primaryId, duplicateIds, userId = null) {
+    const ids = [...new Set(Array.isArray(duplicateIds) ? duplicateIds : [])];
+    if (ids.length === 0) {
+      throw new Error('Choose at least one customer to merge');
+    }
+    if (ids.includes(primaryId)) {
+      throw new Error('A customer cannot be merged into itself');
+    }
+
+    // Rows are read inside the transaction so a payment or edit landing mid-merge is not overwritten
+    await prisma.$transaction(async (tx) => {
+      const primary = await tx.customer.findFirst({ where: { id: primaryId, tenantId } });
+      const duplicates = await tx.customer.findMany({ where: { id: { in: ids }, tenantId }, orderBy: { createdAt: 'asc' } });
+      if (!primary || duplicates.length !== ids.length) {
+        throw new Error('Customer not found');
+      }
+
+      const addedBalance = duplicates.reduce((sum, customer) => sum + (customer.advanceBalance || 0), 0);
+      const data = {
+        advanceBalance: { increment: addedBalance },
+        alternatePhones: [...new Set([
+          ...(primary.alternatePhones || []),
+          ...duplicates.flatMap(customer => [customer.phoneNumber, ...(customer.alternatePhones || [])])
+        ])].filter(phone => phone !== primary.phoneNumber),
+        isActive: primary.isActive || duplicates.some(customer => customer.isActive)
+      };
+      for (const field of FILLABLE_FIELDS) {
+        if (!primary[field]) {
+          const source = duplicates.find(customer => customer[field]);
+          if (source) data[field] = source[field];
+        }
+      }
+      const notes = [primary.notes, ...duplicates.map(customer => customer.notes)].filter(Boolean);
+      if (notes.length > 1) {
+        data.notes = [...new Set(notes)].join('\n');
+      }
+
+      const where = { customerId: { in: ids } };
+      const orders = (await tx.order.updateMany({ where, data: { customerId: primaryId } })).count;
+      const payments = (await tx.payment.updateMany({ where, data: { customerId: primaryId } })).count;
+      const logs = (await tx.customerLog.updateMany({ where, data: { customerId: primaryId } })).count;
+      await tx.customer.deleteMany({ where: { id: { in: ids }, tenantId } });
+      const merged = await tx.customer.update({ where: { id: primaryId }, data });
+
+      const labels = duplicates.map(customer => `${customer.name || 'Unnamed'} (${customer.phoneNumber})`);
+      await tx.customerLog.create({
+        data: {
+          customerId: primaryId,
+          action: 'MERGED',
+          fieldName: 'advanceBalance',
+          oldValue: String(primary.advanceBalance || 0),
+          newValue: String(merged.advanceBalance),
+          description: `Merged ${labels.join(', ')} into this customer: ${orders} order(s), ${payments} payment(s) moved`,
+          metadata: JSON.stringify({
+            mergedBy: userId,
+            orders,
+            payments,
+            logs,
+            mergedCustomers: duplicates.map(customer => ({
+              id: customer.id,
+              name: customer.name,
+              phoneNumber: customer.phoneNumber,
+              advanceBalance: customer.advanceBalance || 0,
+              totalOrders: customer.totalOrders,
+              totalSpent: customer.totalSpent
+            }))
+          })
+        }
+      });
+    }, { timeout: 30000 });
+
+    return customerService.recalculateCustomerStats(primaryId);
+  }
+}
+
+module.exports = new CustomerMergeService();
@@ -0,0 +1,269 @@
+const prisma = require('../lib/db');
+const customerSegmentService = require('./customerSegmentService');
+const customerService = require('./customerService');
+const { normalizePhoneNumber } = require('../utils/whatsappService');
+
+// Points per past outcome, capped at 100. Refused deliveries cost shipping both ways, so they
+// weigh most; every order the customer did take earns a little trust back.
+const RISK_WEIGHTS = [
+  { key: 'refusedOrders', points: 35, labels: ['refused delivery', 'refused deliveries'] },
+  { key: 'cancelledOrders', points: 15, labels: ['cancelled order', 'cancelled orders'] },
+  { key: 'returnCount', points: 10, labels: ['return', 'returns'] }
+];
+const TRUST_PER_ORDER = 5;
+const MAX_SCORE = 100;
+
+const BLOCK_TYPES = ['PHONE', 'ADDRESS'];
+const RISK_ACTIONS = ['REVIEW', 'REQUIRE_PREPAYMENT', 'REJECT']; // Least to most severe
+
+/**
+ * Address as compared against the blocklist: lower case, punctuation and repeated spaces removed
+ * @param {string} address - Address as typed
+ * @returns {string}
+ */
+function normalizeAddress(address) {
+  return (address || '').toString().toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Phone as compared against the blocklist (+92 format when it can be read as a Pakistani number)
+ * @param {string} phone - Phone as typed
+ * @returns {string}
+ */
+function normalizePhone(phone) {
+  const digits = (phone || '').toString().replace(/[^\d+]/g, '');
+  return normalizePhoneNumber(phone) || digits;
+}
+
+class CustomerRiskService {
+  /**
+   * Risk score from a customer's history (see getOrderHistory in customerSegmentService)
+   * @param {Object} history - { refusedOrders, cancelledOrders, returnCount, frequency }
+   * @returns {Object} { score, reasons }
+   */
+  scoreHistory(history) {
+    let score = 0;
+    const reasons = [];
+    for (const weight of RISK_WEIGHTS) {
+      const count = history[weight.key] || 0;
+      if (count > 0) {
+        score += count * weight.points;
+        reasons.push(`${count} ${weight.labels[count === 1 ? 0 : 1]}`);
+      }
+    }
+    score -= (history.frequency || 0) * TRUST_PER_ORDER;
+    return { score: Math.max(0, Math.min(MAX_SCORE, score)), reasons };
+  }
+
+  /**
+   * LOW, MEDIUM (review) or HIGH (prepayment) against the tenant's thresholds
+   * @param {number} score - Risk score
+   * @param {Object} tenant - Tenant risk settings
+   * @returns {string}
+   */
+  getLevel(score, tenant) {
+    if (score >= tenant.riskPrepaymentScore) return 'HIGH';
+    if (score >= tenant.riskReviewScore) return 'MEDIUM';
+    return 'LOW';
+  }
+
+  /**
+   * The stricter of two submit-time actions
+   */
+  stricterAction(current, next) {
+    if (!next) return current;
+    return RISK_ACTIONS.indexOf(next) > RISK_ACTIONS.indexOf(current) ? next : current;
+  }
+
+  /**
+   * Customers stored under any common spelling of a phone number (0300..., +92300..., 92300...)
+   * @param {string} tenantId - Tenant ID
+   * @param {string} phoneNumber - Phone as typed
+   * @returns {Array<string>} Customer IDs
+   */
+  async findCustomerIdsByPhone(tenantId, phoneNumber) {
+    const raw = (phoneNumber || '').toString().trim();
+    if (!raw) return [];
+    const variants = new Set([raw]);
+    const normalized = normalizePhoneNumber(raw);
+    if (normalized && normalized.startsWith('+92')) {
+      variants.add(normalized);
+      variants.add(normalized.slice(1));
+      variants.add(`0${normalized.slice(3)}`);
+    }
+    const customers = await prisma.customer.findMany({
+      where: {
+        tenantId,
+        OR: [
+          { phoneNumber: { in: [...variants] } },
+          { alternatePhones: { hasSome: [...variants] } }
+        ]
+      },
+      select: { id: true }
+    });
+    return customers.map(customer => customer.id);
+  }
+
+  /**
+   * Blocklist entries matching a phone number or any of the addresses
+   * @param {string} tenantId - Tenant ID
+   * @param {Object} contact - { phoneNumber, addresses }
+   * @returns {Array<Object>} Matching BlockedContact records
+   */
+  async findBlockedMatches(tenantId, { phoneNumber = null, addresses = [] }) {
+    const entries = await prisma.blockedContact.findMany({ where: { tenantId } });
+    const phone = phoneNumber ? normalizePhone(phoneNumber) : null;
+    const normalizedAddresses = addresses.map(normalizeAddress).filter(Boolean);
+    return entries.filter(entry => {
+      if (entry.type === 'PHONE') return phone && entry.value === phone;
+      // A blocked address matches any delivery address that contains it
+      return normalizedAddresses.some(address => address.includes(entry.value));
+    });
+  }
+
+  /**
+   * A customer's risk score, reasons and blocklist matches
+   * @param {string} tenantId - Tenant ID
+   * @param {string} customerId - Customer ID
+   * @returns {Object} { score, level, reasons, history, blocked }
+   */
+  async getCustomerRisk(tenantId, customerId) {
+    const [tenant, customer] = await Promise.all([
+      prisma.tenant.findUnique({ where: { id: tenantId } }),
+      prisma.customer.findFirst({ where: { id: customerId, tenantId } })
+    ]);
+    if (!customer) {
+      throw new Error('Customer not found');
+    }
+    const [history] = await customerSegmentService.getOrderHistory(tenantId, { customerIds: [customerId] });
+    const { score, reasons } = this.scoreHistory(history);
+    const blocked = await this.findBlockedMatches(tenantId, {
+      phoneNumber: customer.phoneNumber,
+      addresses: [customer.address, customer.shippingAddress].filter(Boolean)
+    });
+    return {
+      score,
+      level: this.getLevel(score, tenant),
+      reasons,
+      history: {
+        frequency: history.frequency,
+        refusedOrders: history.refusedOrders,
+        cancelledOrders: history.cancelledOrders,
+        returnCount: history.returnCount
+      },
+      blocked
+    };
+  }
+
+  /**
+   * Submit-time rules for a new order: the blocklist and the customer's risk score against the
+   * tenant's thresholds. History is gathered across every customer record with the same number.
+   * @param {Object} tenant - Tenant with id and risk settings
+   * @param {Object} submission - { phoneNumber, formData }
+   * @returns {Object} { action: null | REVIEW | REQUIRE_PREPAYMENT | REJECT, score, reasons }
+   */
+  async assessSubmission(tenant, { phoneNumber, formData }) {
+    const info = customerService.extractCustomerInfoFromFormData(formData || {});
+    const addresses = [info.address, info.shippingAddress].filter(Boolean);
+    const reasons = [];
+    let action = null;
+
+    const blocked = await this.findBlockedMatches(tenant.id, { phoneNumber, addresses });
+    if (blocked.length > 0) {
+      action = tenant.blocklistAction;
+      blocked.forEach(entry => {
+        reasons.push(`${entry.type === 'PHONE' ? 'Phone number' : 'Address'} is on the blocklist${entry.reason ? ` (${entry.reason})` : ''}`);
+      });
+    }
+
+    let score = 0;
+    const customerIds = phoneNumber ? await this.findCustomerIdsByPhone(tenant.id, phoneNumber) : [];
+    if (customerIds.length > 0) {
+      const rows = await customerSegmentService.getOrderHistory(tenant.id, { customerIds });
+      const history = rows.reduce((sum, row) => ({
+        frequency: sum.frequency + row.frequency,
+        refusedOrders: sum.refusedOrders + row.refusedOrders,
+        cancelledOrders: sum.cancelledOrders + row.cancelledOrders,
+        returnCount: sum.returnCount + row.returnCount
+      }), { frequency: 0, refusedOrders: 0, cancelledOrders: 0, returnCount: 0 });
+      const result = this.scoreHistory(history);
+      score = result.score;
+
+      let scoreAction = null;
+      if (tenant.riskRejectScore !== null && tenant.riskRejectScore !== undefined && score >= tenant.riskRejectScore) {
+        scoreAction = 'REJECT';
+      } else if (score >= tenant.riskPrepaymentScore) {
+        scoreAction = 'REQUIRE_PREPAYMENT';
+      } else if (score >= tenant.riskReviewScore) {
+        scoreAction = 'REVIEW';
+      }
+      if (scoreAction) {
+        action = this.stricterAction(action, scoreAction);
+        reasons.push(`Risk score ${score}: ${result.reasons.join(', ')}`);
+      }
+    }
+
+    return { action, score, reasons };
+  }
+
+  /**
+   * Blocklist of a tenant, newest first
+   * @param {string} tenantId - Tenant ID
+   * @returns {Array<Object>}
+   */
+  async getBlocklist(tenantId) {
+    return prisma.blockedContact.findMany({
+      where: { tenantId },
+      orderBy: { createdAt: 'desc' }
+    });
+  }
+
+  /**
+   * Add a phone number or address to the blocklist
+   * @param {string} tenantId - Tenant ID
+   * @param {Object} data - { type, value, reason }
+   * @param {string} userId - User adding the entry
+   * @returns {Object} BlockedContact
+   */
+  async addBlockedContact(tenantId, data, userId = null) {
+    const type = (data.type || '').toString().toUpperCase();
+    if (!BLOCK_TYPES.includes(type)) {
+      throw new Error('Type must be PHONE or ADDRESS');
+    }
+    const label = (data.value || '').toString().trim();
+    const value = type === 'PHONE' ? normalizePhone(label) : normalizeAddress(label);
+    if (type === 'PHONE' && value.replace(/\D/g, '').length < 10) {
+      throw new Error('Enter a valid phone number');
+    }
+    if (type === 'ADDRESS' && value.length < 5) {
+      throw new Error('Enter at least 5 characters of the address');
+    }
+
+    const existing = await prisma.blockedContact.findUnique({
+      where: { tenantId_type_value: { tenantId, type, value } }
+    });
+    if (existing) {
+      throw new Error(`This ${type === 'PHONE' ? 'phone number' : 'address'} is already blocked`);
+    }
+
+    const reason = (data.reason || '').toString().trim();
+    return prisma.blockedContact.create({
+      data: { tenantId, type, value, label, reason: reason || null, createdBy: userId }
+    });
+  }
+
+  /**
+   * Remove a blocklist entry
+   * @param {string} id - BlockedContact ID
+   * @param {string} tenantId - Tenant ID
+   */
+  async removeBlockedContact(id, tenantId) {
+    const entry = await prisma.blockedContact.findFirst({ where: { id, tenantId } });
+    if (!entry) {
+      throw new Error('Blocked contact not found');
+    }
+    await prisma.blockedContact.delete({ where: { id } });
+  }
+}
+
+module.exports = new CustomerRiskService();
@@ -0,0 +1,508 @@
+const prisma = require('../lib/db');
+const { CONFIRMED_ORDER_STATUSES } = require('../utils/orderStatus');
+const { normalizePhoneNumber } = require('../utils/whatsappService');
+const { toCsv } = require('../utils/csv');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CUSTOMER_RETURN_TYPES = ['CUSTOMER_FULL', 'CUSTOMER_PARTIAL'];
+
+// RFM groups, checked in order (first match wins). Scores run 1-5, 5 being best.
+const RFM_GROUPS = [
+  { name: 'Champions', test: ({ r, f, m }) => r >= 4 && f >= 4 && m >= 4 },
+  { name: 'Loyal', test: ({ r, f }) => r >= 3 && f >= 4 },
+  { name: 'New', test: ({ r, f }) => r >= 4 && f <= 1 },
+  { name: 'Promising', test: ({ r }) => r >= 4 },
+  { name: 'At Risk', test: ({ r, f }) => r <= 2 && f >= 3 },
+  { name: 'Hibernating', test: ({ r }) => r <= 2 },
+  { name: 'Needs Attention', test: () => true }
+];
+const NO_PURCHASES = 'No Purchases';
+
+// Metrics a segment rule can test. Numbers compare with gte/lte/eq, text with eq/contains.
+const SEGMENT_FIELDS = [
+  { key: 'recencyDays', label: 'Days since last order', type: 'number' },
+  { key: 'frequency', label: 'Orders bought', type: 'number' },
+  { key: 'monetary', label: 'Net spent (Rs.)', type: 'number' },
+  { key: 'totalOrders', label: 'Orders placed (any status)', type: 'number' },
+  { key: 'cancelledOrders', label: 'Cancelled orders', type: 'number' },
+  { key: 'refusedOrders', label: 'Refused deliveries', type: 'number' },
+  { key: 'codRefusals', label: 'Refused COD deliveries', type: 'number' },
+  { key: 'returnCount', label: 'Returns', type: 'number' },
+  { key: 'returnRate', label: 'Return rate (%)', type: 'number' },
+  { key: 'rScore', label: 'Recency score (1-5)', type: 'number' },
+  { key: 'fScore', label: 'Frequency score (1-5)', type: 'number' },
+  { key: 'mScore', label: 'Monetary score (1-5)', type: 'number' },
+  { key: 'rfmGroup', label: 'RFM group', type: 'text', options: [...RFM_GROUPS.map(group => group.name), NO_PURCHASES] },
+  { key: 'city', label: 'City', type: 'text' }
+];
+const OPERATORS = {
+  number: ['gte', 'lte', 'eq'],
+  text: ['eq', 'contains']
+};
+
+// Offered as one-click starting points when creating a segment
+const SEGMENT_TEMPLATES = [
+  {
+    name: 'Bought twice, nothing in 90 days',
+    description: 'Repeat buyers who have gone quiet',
+    rules: [
+      { field: 'frequency', operator: 'gte', value: 2 },
+      { field: 'recencyDays', operator: 'gte', value: 90 }
+    ]
+  },
+  {
+    name: 'High return rate',
+    description: 'Returned a third or more of the orders they bought',
+    rules: [
+      { field: 'frequency', operator: 'gte', value: 2 },
+      { field: 'returnRate', operator: 'gte', value: 33 }
+    ]
+  },
+  {
+    name: 'COD refusers',
+    description: 'Refused at least one cash-on-delivery parcel',
+    rules: [{ field: 'codRefusals', operator: 'gte', value: 1 }]
+  },
+  {
+    name: 'Champions',
+    description: 'Bought recently, often and spent the most',
+    rules: [{ field: 'rfmGroup', operator: 'eq', value: 'Champions' }]
+  }
+];
+
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+/**
+ * Order value as the ledger books it: items (or legacy selectedProducts) + shipping - discount,
+ * plus the COD fee when the customer pays it
+ */
+function getOrderValue(order) {
+  let total = 0;
+  if (order.orderItems.length > 0) {
+    total = order.orderItems.reduce((sum, item) => sum + (item.quantity || 0) * (item.price || 0), 0);
+  } else {
+    try {
+      const selectedProducts = JSON.parse(order.selectedProducts || '[]');
+      const quantities = JSON.parse(order.productQuantities || '{}');
+      const prices = JSON.parse(order.productPrices || '{}');
+      if (Array.isArray(selectedProducts)) {
+        for (const product of selectedProducts) {
+          const quantity = quantities[product.id] || product.quantity || 1;
+          const price = prices[product.id] || product.price || product.currentRetailPrice || 0;
+          total += price * quantity;
+        }
+      }
+    } catch (error) {
+      total = 0;
+    }
+  }
+  total += (order.shippingCharges || 0) - (order.discountAmount || 0);
+  if (order.codFeePaidBy === 'CUSTOMER' && order.codFee > 0) {
+    total += order.codFee;
+  }
+  return total;
+}
+
+/**
+ * Score values 1-5 by how many customers did strictly worse, so ties share a score
+ * (a crowd of one-time buyers all score 1 for frequency)
+ * @param {Array<number>} values - One value per customer
+ * @param {boolean} lowerIsBetter - True for recency (fewer days is better)
+ * @returns {Array<number>} Scores in the same order
+ */
+function scoreByRank(values, lowerIsBetter = false) {
+  const sorted = [...values].sort((a, b) => lowerIsBetter ? b - a : a - b);
+  const worseCount = new Map();
+  sorted.forEach((value, index) => {
+    if (!worseCount.has(value)) worseCount.set(value, index);
+  });
+  return values.map(value => Math.min(5, 1 + Math.floor((worseCount.get(value) / values.length) * 5)));
+}
+
+class CustomerSegmentService {
+  /**
+   * Rule fields, operators and starter templates for the segment builder
+   * @returns {Object} { fields, operators, templates }
+   */
+  getBuilderOptions() {
+    return { fields: SEGMENT_FIELDS, operators: OPERATORS, templates: SEGMENT_TEMPLATES };
+  }
+
+  /**
+   * Order and return history per customer: purchases, spend net of returns, cancellations and
+   * refused deliveries
+   * @param {string} tenantId - Tenant ID
+   * @param {Object} options - { customerIds: limit to these customers, asOf: date recency is measured from }
+   * @returns {Array<Object>} One row per customer
+   */
+  async getOrderHistory(tenantId, { customerIds = null, asOf = new Date() } = {}) {
+    const customerFilter = customerIds ? { in: customerIds } : { not: null };
+    const [customers, orders, returns] = await Promise.all([
+      prisma.customer.findMany({
+        where: { tenantId, ...(customerIds && { id: { in: customerIds } }) },
+        select: { id: true, name: true, phoneNumber: true, city: true, isActive: true }
+      }),
+      prisma.order.findMany({
+        where: { tenantId, customerId: customerFilter },
+        select: {
+          id: true,
+          customerId: true,
+          status: true,
+          createdAt: true,
+          codAmount: true,
+          shippingCharges: true,
+          discountAmount: true,
+          codFee: true,
+          codFeePaidBy: true,
+          selectedProducts: true,
+          productQuantities: true,
+          productPrices: true,
+          orderItems: { select: { quantity: true, price: true } }
+        }
+      }),
+      prisma.return.findMany({
+        where: { tenantId, returnType: { in: CUSTOMER_RETURN_TYPES }, order: { customerId: customerFilter } },
+        select: { orderId: true, totalAmount: true, order: { select: { customerId: true } } }
+      })
+    ]);
+
+    const rows = new Map(customers.map(customer => [customer.id, {
+      customerId: customer.id,
+      name: customer.name,
+      phoneNumber: customer.phoneNumber,
+      city: customer.city,
+      isActive: customer.isActive,
+      totalOrders: 0,
+      frequency: 0,
+      monetary: 0,
+      firstOrderDate: null,
+      lastOrderDate: null,
+      recencyDays: null,
+      cancelledOrders: 0,
+      refusedOrders: 0,
+      codRefusals: 0,
+      returnCount: 0,
+      returnedAmount: 0,
+      returnRate: 0,
+      returnedOrderIds: new Set()
+    }]));
+
+    for (const order of orders) {
+      const row = rows.get(order.customerId);
+      if (!row) continue;
+      row.totalOrders++;
+      if (order.status === 'CANCELLED') {
+        row.cancelledOrders++;
+      } else if (order.status === 'RETURNED_TO_ORIGIN') {
+        row.refusedOrders++;
+        if (order.codAmount > 0) row.codRefusals++;
+      }
+      if (!CONFIRMED_ORDER_STATUSES.includes(order.status)) continue;
+
+      row.frequency++;
+      row.monetary += getOrderValue(order);
+      if (!row.lastOrderDate || order.createdAt > row.lastOrderDate) row.lastOrderDate = order.createdAt;
+      if (!row.firstOrderDate || order.createdAt < row.firstOrderDate) row.firstOrderDate = order.createdAt;
+    }
+
+    for (const item of returns) {
+      const row = rows.get(item.order.customerId);
+      if (!row) continue;
+      row.returnCount++;
+      row.returnedAmount += item.totalAmount || 0;
+      row.monetary -= item.totalAmount || 0;
+      row.returnedOrderIds.add(item.orderId);
+    }
+
+    return [...rows.values()].map(({ returnedOrderIds, ...row }) => ({
+      ...row,
+      monetary: round(row.monetary),
+      returnedAmount: round(row.returnedAmount),
+      returnRate: row.frequency > 0 ? round((returnedOrderIds.size / row.frequency) * 100, 1) : 0,
+      recencyDays: row.lastOrderDate ? Math.max(0, Math.floor((asOf - row.lastOrderDate) / DAY_MS)) : null
+    }));
+  }
+
+  /**
+   * Recency/frequency/monetary scores and order/return history for every customer of a tenant.
+   * Scores are relative to the tenant's buyers, so they are always computed over all customers.
+   * @param {string} tenantId - Tenant ID
+   * @param {Date} asOf - Date recency is measured from
+   * @returns {Array<Object>} One row per customer
+   */
+  async getCustomerMetrics(tenantId, asOf = new Date()) {
+    const all = await this.getOrderHistory(tenantId, { asOf });
+    const buyers = all.filter(row => row.frequency > 0);
+    const rScores = scoreByRank(buyers.map(row => row.recencyDays), true);
+    const fScores = scoreByRank(buyers.map(row => row.frequency));
+    const mScores = scoreByRank(buyers.map(row => row.monetary));
+    const scores = new Map(buyers.map((row, index) => [row.customerId, { r: rScores[index], f: fScores[index], m: mScores[index] }]));
+
+    return all.map(row => {
+      const score = scores.get(row.customerId);
+      return {
+        ...row,
+        rScore: score ? score.r : 0,
+        fScore: score ? score.f : 0,
+        mScore: score ? score.m : 0,
+        rfmScore: score ? `${score.r}${score.f}${score.m}` : null,
+        rfmGroup: score ? RFM_GROUPS.find(group => group.test(score)).name : NO_PURCHASES
+      };
+    });
+  }
+
+  /**
+   * Customer count per RFM group
+   * @param {Array<Object>} metrics - Rows from getCustomerMetrics
+   * @returns {Array<{group: string, count: number}>}
+   */
+  summarizeGroups(metrics) {
+    return [...RFM_GROUPS.map(group => group.name), NO_PURCHASES].map(group => ({
+      group,
+      count: metrics.filter(row => row.rfmGroup === group).length
+    }));
+  }
+
+  /**
+   * Validate segment rules
+   * @param {Array|string} rules - [{ field, operator, value }] (or its JSON)
+   * @returns {Array} Normalised rules
+   */
+  parseRules(rules) {
+    let list = rules;
+    if (typeof list === 'string') {
+      try {
+        list = JSON.parse(list);
+      } catch (error) {
+        throw new Error('Segment rules are not valid JSON');
+      }
+    }
+    if (!Array.isArray(list) || list.length === 0) {
+      throw new Error('Add at least one rule to the segment');
+    }
+
+    return list.map(rule => {
+      const field = SEGMENT_FIELDS.find(item => item.key === rule.field);
+      if (!field) {
+        throw new Error(`Unknown segment field "${rule.field}"`);
+      }
+      if (!OPERATORS[field.type].includes(rule.operator)) {
+        throw new Error(`${field.label} cannot use the "${rule.operator}" comparison`);
+      }
+      if (field.type === 'number') {
+        const value = Number(rule.value);
+        if (rule.value === '' || rule.value === null || !Number.isFinite(value)) {
+          throw new Error(`${field.label} needs a number`);
+        }
+        return { field: field.key, operator: rule.operator, value };
+      }
+      const value = (rule.value || '').toString().trim();
+      if (!value) {
+        throw new Error(`${field.label} needs a value`);
+      }
+      return { field: field.key, operator: rule.operator, value };
+    });
+  }
+
+  /**
+   * Whether a customer's metrics satisfy every rule
+   * @param {Object} row - Row from getCustomerMetrics
+   * @param {Array} rules - Parsed rules
+   * @returns {boolean}
+   */
+  matchesRules(row, rules) {
+    return rules.every(({ field, operator, value }) => {
+      const actual = row[field];
+      if (actual === null || actual === undefined) return false;
+      if (typeof value === 'number') {
+        if (operator === 'gte') return actual >= value;
+        if (operator === 'lte') return actual <= value;
+        return actual === value;
+      }
+      const text = actual.toString().toLowerCase();
+      return operator === 'contains' ? text.includes(value.toLowerCase()) : text === value.toLowerCase();
+    });
+  }
+
+  /**
+   * Validate and normalise segment input
+   * @param {Object} data - Request body
+   * @returns {Object} Prisma data
+   */
+  buildSegmentData(data) {
+    const name = (data.name || '').toString().trim();
+    if (!name) {
+      throw new Error('Segment name is required');
+    }
+    if (name.length > 100) {
+      throw new Error('Segment name must be 100 characters or fewer');
+    }
+    const description = (data.description || '').toString().trim();
+    return {
+      name,
+      description: description || null,
+      rules: JSON.stringify(this.parseRules(data.rules))
+    };
+  }
+
+  /**
+   * Segment record with its rules parsed
+   * @param {Object} segment - CustomerSegment
+   * @returns {Object}
+   */
+  serialize(segment) {
+    return { ...segment, rules: JSON.parse(segment.rules) };
+  }
+
+  /**
+   * Get a tenant's segment
+   * @param {string} id - Segment ID
+   * @param {string} tenantId - Tenant ID
+   * @returns {Object} Segment with parsed rules
+   */
+  async getSegment(id, tenantId) {
+    const segment = await prisma.customerSegment.findFirst({ where: { id, tenantId } });
+    if (!segment) {
+      throw new Error('Segment not found');
+    }
+    return this.serialize(segment);
+  }
+
+  /**
+   * All segments of a tenant with their current member counts
+   * @param {string} tenantId - Tenant ID
+   * @returns {Array<Object>}
+   */
+  async getSegments(tenantId) {
+    const [segments, metrics] = await Promise.all([
+      prisma.customerSegment.findMany({ where: { tenantId }, orderBy: { name: 'asc' } }),
+      this.getCustomerMetrics(tenantId)
+    ]);
+    return segments.map(segment => {
+      const parsed = this.serialize(segment);
+      return { ...parsed, memberCount: metrics.filter(row => this.matchesRules(row, parsed.rules)).length };
+    });
+  }
+
+  /**
+   * Throw when another segment of the tenant already uses the name
+   */
+  async assertNameFree(tenantId, name, excludeId = null) {
+    const existing = await prisma.customerSegment.findFirst({
+      where: { tenantId, name: { equals: name, mode: 'insensitive' }, ...(excludeId && { id: { not: excludeId } }) }
+    });
+    if (existing) {
+      throw new Error(`A segment named "${name}" already exists`);
+    }
+  }
+
+  /**
+   * Create a saved segment
+   * @param {string} tenantId - Tenant ID
+   * @param {Object} data - { name, description, rules }
+   * @returns {Object} Segment
+   */
+  async createSegment(tenantId, data) {
+    const segmentData = this.buildSegmentData(data);
+    await this.assertNameFree(tenantId, segmentData.name);
+    const segment = await prisma.customerSegment.create({ data: { ...segmentData, tenantId } });
+    return this.serialize(segment);
+  }
+
+  /**
+   * Update a saved segment
+   * @param {string} id - Segment ID
+   * @param {string} tenantId - Tenant ID
+   * @param {Object} data - { name, description, rules }
+   * @returns {Object} Segment
+   */
+  async updateSegment(id, tenantId, data) {
+    await this.getSegment(id, tenantId);
+    const segmentData = this.buildSegmentData(data);
+    await this.assertNameFree(tenantId, segmentData.name, id);
+    const segment = await prisma.customerSegment.update({ where: { id }, data: segmentData });
+    return this.serialize(segment);
+  }
+
+  /**
+   * Delete a saved segment (customers are not touched)
+   * @param {string} id - Segment ID
+   * @param {string} tenantId - Tenant ID
+   */
+  async deleteSegment(id, tenantId) {
+    await this.getSegment(id, tenantId);
+    await prisma.customerSegment.delete({ where: { id } });
+  }
+
+  /**
+   * Customers currently in a segment, best customers first
+   * @param {string} id - Segment ID
+   * @param {string} tenantId - Tenant ID
+   * @returns {Object} { segment, customers }
+   */
+  async getSegmentMembers(id, tenantId) {
+    const segment = await this.getSegment(id, tenantId);
+    const metrics = await this.getCustomerMetrics(tenantId);
+    const customers = metrics
+      .filter(row => this.matchesRules(row, segment.rules))
+      .sort((a, b) => b.monetary - a.monetary);
+    return { segment, customers };
+  }
+
+  /**
+   * A customer's RFM scores, history metrics and the segments they belong to
+   * @param {string} tenantId - Tenant ID
+   * @param {string} customerId - Customer ID
+   * @returns {Object} { metrics, segments: [{ id, name }] }
+   */
+  async getCustomerSegments(tenantId, customerId) {
+    const [metrics, segments] = await Promise.all([
+      this.getCustomerMetrics(tenantId),
+      prisma.customerSegment.findMany({ where: { tenantId }, orderBy: { name: 'asc' } })
+    ]);
+    const row = metrics.find(item => item.customerId === customerId);
+    if (!row) {
+      throw new Error('Customer not found');
+    }
+    return {
+      metrics: row,
+      segments: segments
+        .filter(segment => this.matchesRules(row, JSON.parse(segment.rules)))
+        .map(segment => ({ id: segment.id, name: segment.name }))
+    };
+  }
+
+  /**
+   * Segment members as a CSV contact list for WhatsApp broadcasts (numbers in +92 format)
+   * @param {string} id - Segment ID
+   * @param {string} tenantId - Tenant ID
+   * @returns {Object} { content, filename }
+   */
+  async exportSegment(id, tenantId) {
+    const { segment, customers } = await this.getSegmentMembers(id, tenantId);
+    const rows = customers
+      .filter(customer => customer.isActive)
+      .map(customer => ({
+        name: customer.name || '',
+        phone: normalizePhoneNumber(customer.phoneNumber) || customer.phoneNumber,
+        city: customer.city || '',
+        orders: customer.frequency,
+        spent: customer.monetary,
+        lastOrder: customer.lastOrderDate ? customer.lastOrderDate.toISOString().slice(0, 10) : '',
+        group: customer.rfmGroup
+      }));
+    const columns = [
+      { key: 'name', label: 'Name' },
+      { key: 'phone', label: 'Phone' },
+      { key: 'city', label: 'City' },
+      { key: 'orders', label: 'Orders' },
+      { key: 'spent', label: 'Net Spent' },
+      { key: 'lastOrder', label: 'Last Order' },
+      { key: 'group', label: 'RFM Group' }
+    ];
+    const slug = segment.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'segment';
+    return { content: toCsv(rows, columns), filename: `${slug}-contacts.csv` };
+  }
+}
+
+module.exports = new CustomerSegmentService();
@@ -1,5 +1,6 @@
 const prisma = require('../lib/db');
 const balanceService = require('./balanceService');
+const { CONFIRMED_ORDER_STATUSES } = require('../utils/orderStatus');
 
 class CustomerService {
   /**
@@ -13,11 +14,14 @@ class CustomerService {
     try {
       console.log(`Looking for customer with phone: ${phoneNumber} in tenant: ${tenantId}`);
       
-      // First, try to find existing customer
+      // First, try to find existing customer (including numbers kept from merged duplicates)
       let customer = await prisma.customer.findFirst({
         where: {
-          phoneNumber: phoneNumber,
-          tenantId: tenantId
+          tenantId: tenantId,
+          OR: [
+            { phoneNumber: phoneNumber },
+            { alternatePhones: { has: phoneNumber } }
+          ]
         }
       });
 
@@ -286,7 +290,7 @@ class CustomerService {
 
   /**
    * Calculate pending payment for a customer.
-   * Matches balanceService / customer detail: CONFIRMED, DISPATCHED, COMPLETED orders;
+   * Matches balanceService / customer detail: CONFIRMED_ORDER_STATUSES orders;
    * paid amount = sum of Payment records (CUSTOMER_PAYMENT) per order, not order.verifiedPaymentAmount.
    * @param {string} customerId - Customer ID
    * @returns {number} Total pending payment amount
@@ -296,7 +300,7 @@ class CustomerService {
       const orders = await prisma.order.findMany({
         where: {
           customerId: customerId,
-          status: { in: ['CONFIRMED', 'DISPATCHED', 'COMPLETED'] }
+          status: { in: CONFIRMED_ORDER_STATUSES }
         },
         select: {
           id: true,
@@ -393,10 +397,12 @@ class CustomerService {
    */
   async getCustomersByTenant(tenantId, options = {}) {
     try {
-      const { page = 1, limit = 20, search = '', sortBy = 'lastOrderDate', sortOrder = 'desc', hasPendingPayment = false } = options;
+      const { page = 1, limit = 20, search = '', sortBy = 'lastOrderDate', sortOrder = 'desc', hasPendingPayment = false, ids = null } = options;
       
       const where = {
         tenantId: tenantId,
+        // Restrict to a precomputed set, e.g. the members of a saved segment
+        ...(ids && { id: { in: ids } }),
         ...(search && {
           OR: [
             { name: { contains: search, mode: 'insensitive' } },
@@ -569,7 +575,7 @@ class CustomerService {
       const orders = await prisma.order.findMany({
         where: {
           tenantId: tenantId,
-          status: { in: ['CONFIRMED', 'DISPATCHED', 'COMPLETED'] }
+          status: { in: CONFIRMED_ORDER_STATUSES }
         },
         select: {
           selectedProducts: true,
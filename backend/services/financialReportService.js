@@ -0,0 +1,398 @@
+const prisma = require('../lib/db');
+
+// Account types whose balance grows with debits; the rest grow with credits
+const DEBIT_NORMAL_TYPES = ['ASSET', 'EXPENSE'];
+const COST_OF_SALES_CODES = ['5000'];
+// Closing entries zero income and expense accounts into Retained Earnings; the P&L ignores them
+const PROFIT_AND_LOSS_OPTIONS = { excludeEntryTypes: ['CLOSING'] };
+
+const round = (value) => Math.round((value || 0) * 100) / 100;
+
+class FinancialReportService {
+  /**
+   * Parse a report date; end dates cover the whole day
+   * @param {string|Date} value - Date input
+   * @param {boolean} endOfDay - Move to 23:59:59.999
+   * @returns {Date|null}
+   */
+  parseDate(value, endOfDay = false) {
+    if (!value) return null;
+    const date = new Date(value);
+    if (isNaN(date.getTime())) return null;
+    if (endOfDay) {
+      date.setHours(23, 59, 59, 999);
+    } else {
+      date.setHours(0, 0, 0, 0);
+    }
+    return date;
+  }
+
+  /**
+   * Resolve the comparison period for a range
+   * @param {Date} fromDate - Period start
+   * @param {Date} toDate - Period end
+   * @param {string} compareTo - PREVIOUS_PERIOD (same length immediately before) or PREVIOUS_YEAR
+   * @returns {Object|null} { fromDate, toDate }
+   */
+  getComparisonPeriod(fromDate, toDate, compareTo) {
+    if (!compareTo || !toDate) return null;
+
+    if (compareTo === 'PREVIOUS_YEAR') {
+      const shift = (date) => {
+        if (!date) return null;
+        const shifted = new Date(date);
+        shifted.setFullYear(shifted.getFullYear() - 1);
+        return shifted;
+      };
+      return { fromDate: shift(fromDate), toDate: shift(toDate) };
+    }
+
+    if (compareTo === 'PREVIOUS_PERIOD') {
+      if (!fromDate) return null;
+
+      // Whole calendar months compare with the same number of months before (June → May)
+      const isMonthEnd = new Date(toDate.getFullYear(), toDate.getMonth(), toDate.getDate() + 1).getDate() === 1;
+      if (fromDate.getDate() === 1 && isMonthEnd) {
+        const months = (toDate.getFullYear() - fromDate.getFullYear()) * 12 + toDate.getMonth() - fromDate.getMonth() + 1;
+        return {
+          fromDate: new Date(fromDate.getFullYear(), fromDate.getMonth() - months, 1),
+          toDate: new Date(fromDate.getFullYear(), fromDate.getMonth(), 0, 23, 59, 59, 999)
+        };
+      }
+
+      const previousTo = new Date(fromDate.getTime() - 1);
+      const previousFrom = new Date(previousTo.getTime() - (toDate.getTime() - fromDate.getTime()));
+      previousFrom.setHours(0, 0, 0, 0);
+      return { fromDate: previousFrom, toDate: previousTo };
+    }
+
+    return null;
+  }
+
+  /**
+   * Signed balance of an account in its normal direction
+   * @param {string} type - Account type
+   * @param {number} debit - Total debits
+   * @param {number} credit - Total credits
+   * @returns {number}
+   */
+  normalBalance(type, debit, credit) {
+    return DEBIT_NORMAL_TYPES.includes(type) ? debit - credit : credit - debit;
+  }
+
+  /**
+   * Sum TransactionLine debits and credits per account for transactions dated in a range
+   * @param {string} tenantId - Tenant ID
+   * @param {Object} range - { fromDate, toDate } (either may be null for open-ended)
+   * @param {Object} options - { excludeEntryTypes: e.g. ['CLOSING'] so closed months still show their P&L }
+   * @returns {Map<string, {debit: number, credit: number}>} Keyed by account ID
+   */
+  async getAccountTotals(tenantId, range = {}, options = {}) {
+    // Voided entries stay on the journal but never count towards balances
+    const transactionWhere = { tenantId, status: 'POSTED' };
+    if (options.excludeEntryTypes?.length) {
+      transactionWhere.entryType = { notIn: options.excludeEntryTypes };
+    }
+    if (range.fromDate || range.toDate) {
+      transactionWhere.date = {};
+      if (range.fromDate) transactionWhere.date.gte = range.fromDate;
+      if (range.toDate) transactionWhere.date.lte = range.toDate;
+    }
+
+    const sums = await prisma.transactionLine.groupBy({
+      by: ['accountId'],
+      where: { transaction: transactionWhere },
+      _sum: { debitAmount: true, creditAmount: true }
+    });
+
+    return new Map(sums.map(sum => [sum.accountId, {
+      debit: sum._sum.debitAmount || 0,
+      credit: sum._sum.creditAmount || 0
+    }]));
+  }
+
+  /**
+   * Build account rows for one or two periods, skipping accounts with no activity in either
+   * @param {Array<Object>} accounts - Accounts to include
+   * @param {Map} current - Totals for the reporting period
+   * @param {Map|null} previous - Totals for the comparison period
+   * @returns {Array<Object>} Rows with amount and previousAmount in the account's normal direction
+   */
+  buildRows(accounts, current, previous) {
+    const rows = [];
+
+    for (const account of accounts) {
+      const now = current.get(account.id) || { debit: 0, credit: 0 };
+      const before = previous ? (previous.get(account.id) || { debit: 0, credit: 0 }) : null;
+      const amount = round(this.normalBalance(account.type, now.debit, now.credit));
+      const previousAmount = before ? round(this.normalBalance(account.type, before.debit, before.credit)) : null;
+
+      if (amount === 0 && !previousAmount) continue;
+
+      rows.push({
+        accountId: account.id,
+        code: account.code,
+        name: account.name,
+        type: account.type,
+        amount,
+        previousAmount
+      });
+    }
+
+    return rows;
+  }
+
+  /**
+   * Total a list of rows
+   * @param {Array<Object>} rows - Report rows
+   * @param {boolean} hasComparison - Whether previous totals are wanted
+   * @returns {Object} { total, previousTotal }
+   */
+  sumRows(rows, hasComparison) {
+    return {
+      total: round(rows.reduce((sum, row) => sum + row.amount, 0)),
+      previousTotal: hasComparison ? round(rows.reduce((sum, row) => sum + (row.previousAmount || 0), 0)) : null
+    };
+  }
+
+  /**
+   * Get the tenant's chart of accounts in code order
+   * @param {string} tenantId - Tenant ID
+   * @returns {Array<Object>}
+   */
+  async getAccounts(tenantId) {
+    return await prisma.account.findMany({
+      where: { tenantId },
+      select: { id: true, code: true, name: true, type: true },
+      orderBy: { code: 'asc' }
+    });
+  }
+
+  /**
+   * Trial balance: every account's net debit or credit balance as at a date.
+   * With compareTo the comparison column is the balance at the end of the prior period.
+   * @param {Object} options - { tenantId, fromDate, toDate, compareTo }
+   * @returns {Object} { asOfDate, comparisonDate, rows, totals, isBalanced }
+   */
+  async getTrialBalance({ tenantId, fromDate, toDate, compareTo }) {
+    const asOfDate = this.parseDate(toDate, true) || this.parseDate(new Date(), true);
+    const comparison = this.getComparisonPeriod(this.parseDate(fromDate), asOfDate, compareTo);
+
+    const [accounts, current, previous] = await Promise.all([
+      this.getAccounts(tenantId),
+      this.getAccountTotals(tenantId, { toDate: asOfDate }),
+      comparison ? this.getAccountTotals(tenantId, { toDate: comparison.toDate }) : null
+    ]);
+
+    const split = (totals) => {
+      if (!totals) return { debit: null, credit: null };
+      const net = round(totals.debit - totals.credit);
+      return { debit: net > 0 ? net : 0, credit: net < 0 ? -net : 0 };
+    };
+
+    const rows = [];
+    for (const account of accounts) {
+      const now = split(current.get(account.id) || { debit: 0, credit: 0 });
+      const before = previous ? split(previous.get(account.id) || { debit: 0, credit: 0 }) : split(null);
+
+      if (!now.debit && !now.credit && !before.debit && !before.credit) continue;
+
+      rows.push({
+        accountId: account.id,
+        code: account.code,
+        name: account.name,
+        type: account.type,
+        debit: now.debit,
+        credit: now.credit,
+        previousDebit: before.debit,
+        previousCredit: before.credit
+      });
+    }
+
+    const totals = {
+      debit: round(rows.reduce((sum, row) => sum + row.debit, 0)),
+      credit: round(rows.reduce((sum, row) => sum + row.credit, 0)),
+      previousDebit: previous ? round(rows.reduce((sum, row) => sum + row.previousDebit, 0)) : null,
+      previousCredit: previous ? round(rows.reduce((sum, row) => sum + row.previousCredit, 0)) : null
+    };
+
+    return {
+      asOfDate,
+      comparisonDate: comparison ? comparison.toDate : null,
+      rows,
+      totals,
+      isBalanced: Math.abs(totals.debit - totals.credit) < 0.01
+    };
+  }
+
+  /**
+   * Profit & loss from INCOME and EXPENSE account movements in a period
+   * @param {Object} options - { tenantId, fromDate, toDate, compareTo }
+   * @returns {Object} { period, comparisonPeriod, income, costOfSales, expenses, grossProfit, netProfit }
+   */
+  async getProfitAndLoss({ tenantId, fromDate, toDate, compareTo }) {
+    const period = {
+      fromDate: this.parseDate(fromDate),
+      toDate: this.parseDate(toDate, true) || this.parseDate(new Date(), true)
+    };
+    const comparisonPeriod = this.getComparisonPeriod(period.fromDate, period.toDate, compareTo);
+
+    const [accounts, current, previous] = await Promise.all([
+      this.getAccounts(tenantId),
+      this.getAccountTotals(tenantId, period, PROFIT_AND_LOSS_OPTIONS),
+      comparisonPeriod ? this.getAccountTotals(tenantId, comparisonPeriod, PROFIT_AND_LOSS_OPTIONS) : null
+    ]);
+
+    const hasComparison = !!comparisonPeriod;
+    const section = (filter) => {
+      const rows = this.buildRows(accounts.filter(filter), current, previous);
+      return { rows, ...this.sumRows(rows, hasComparison) };
+    };
+
+    const income = section(account => account.type === 'INCOME');
+    const costOfSales = section(account => account.type === 'EXPENSE' && COST_OF_SALES_CODES.includes(account.code));
+    const expenses = section(account => account.type === 'EXPENSE' && !COST_OF_SALES_CODES.includes(account.code));
+
+    const grossProfit = {
+      total: round(income.total - costOfSales.total),
+      previousTotal: hasComparison ? round(income.previousTotal - costOfSales.previousTotal) : null
+    };
+    const netProfit = {
+      total: round(grossProfit.total - expenses.total),
+      previousTotal: hasComparison ? round(grossProfit.previousTotal - expenses.previousTotal) : null
+    };
+
+    return { period, comparisonPeriod, income, costOfSales, expenses, grossProfit, netProfit };
+  }
+
+  /**
+   * Balance sheet as at a date. Income not yet closed to Retained Earnings is shown
+   * as a separate equity line so that assets = liabilities + equity.
+   * @param {Object} options - { tenantId, fromDate, toDate, compareTo }
+   * @returns {Object} { asOfDate, comparisonDate, assets, liabilities, equity, totalLiabilitiesAndEquity, isBalanced }
+   */
+  async getBalanceSheet({ tenantId, fromDate, toDate, compareTo }) {
+    const asOfDate = this.parseDate(toDate, true) || this.parseDate(new Date(), true);
+    const comparison = this.getComparisonPeriod(this.parseDate(fromDate), asOfDate, compareTo);
+
+    const [accounts, current, previous] = await Promise.all([
+      this.getAccounts(tenantId),
+      this.getAccountTotals(tenantId, { toDate: asOfDate }),
+      comparison ? this.getAccountTotals(tenantId, { toDate: comparison.toDate }) : null
+    ]);
+
+    const hasComparison = !!comparison;
+    const section = (type) => {
+      const rows = this.buildRows(accounts.filter(account => account.type === type), current, previous);
+      return { rows, ...this.sumRows(rows, hasComparison) };
+    };
+
+    const earnings = (totals) => {
+      if (!totals) return null;
+      let amount = 0;
+      for (const account of accounts) {
+        const sums = totals.get(account.id);
+        if (!sums) continue;
+        if (account.type === 'INCOME') amount += sums.credit - sums.debit;
+        if (account.type === 'EXPENSE') amount -= sums.debit - sums.credit;
+      }
+      return round(amount);
+    };
+
+    const assets = section('ASSET');
+    const liabilities = section('LIABILITY');
+    const equity = section('EQUITY');
+
+    const currentEarnings = earnings(current);
+    const previousEarnings = earnings(previous);
+    if (currentEarnings || previousEarnings) {
+      equity.rows.push({
+        accountId: null,
+        code: null,
+        name: 'Current earnings (not yet closed)',
+        type: 'EQUITY',
+        amount: currentEarnings,
+        previousAmount: previousEarnings
+      });
+      equity.total = round(equity.total + currentEarnings);
+      if (hasComparison) equity.previousTotal = round(equity.previousTotal + previousEarnings);
+    }
+
+    const totalLiabilitiesAndEquity = {
+      total: round(liabilities.total + equity.total),
+      previousTotal: hasComparison ? round(liabilities.previousTotal + equity.previousTotal) : null
+    };
+
+    return {
+      asOfDate,
+      comparisonDate: comparison ? comparison.toDate : null,
+      assets,
+      liabilities,
+      equity,
+      totalLiabilitiesAndEquity,
+      isBalanced: Math.abs(assets.total - totalLiabilitiesAndEquity.total) < 0.01
+    };
+  }
+
+  /**
+   * Flatten a report into CSV rows
+   * @param {string} report - trial-balance, profit-loss or balance-sheet
+   * @param {Object} data - Report returned by the matching getter
+   * @returns {Object} { rows, columns } for utils/csv.toCsv
+   */
+  toCsvRows(report, data) {
+    if (report === 'trial-balance') {
+      const columns = [
+        { key: 'code', label: 'Code' },
+        { key: 'name', label: 'Account' },
+        { key: 'type', label: 'Type' },
+        { key: 'debit', label: 'Debit' },
+        { key: 'credit', label: 'Credit' }
+      ];
+      if (data.comparisonDate) {
+        columns.push({ key: 'previousDebit', label: 'Previous Debit' }, { key: 'previousCredit', label: 'Previous Credit' });
+      }
+      return {
+        columns,
+        rows: [...data.rows, { name: 'Total', ...data.totals }]
+      };
+    }
+
+    const hasComparison = report === 'profit-loss' ? !!data.comparisonPeriod : !!data.comparisonDate;
+    const columns = [
+      { key: 'section', label: 'Section' },
+      { key: 'code', label: 'Code' },
+      { key: 'name', label: 'Account' },
+      { key: 'amount', label: 'Amount' }
+    ];
+    if (hasComparison) {
+      columns.push({ key: 'previousAmount', label: 'Previous Amount' });
+    }
+
+    const rows = [];
+    const addSection = (label, section) => {
+      section.rows.forEach(row => rows.push({ section: label, ...row }));
+      rows.push({ section: label, name: `Total ${label}`, amount: section.total, previousAmount: section.previousTotal });
+    };
+    const addTotal = (label, totals) => {
+      rows.push({ section: '', name: label, amount: totals.total, previousAmount: totals.previousTotal });
+    };
+
+    if (report === 'profit-loss') {
+      addSection('Income', data.income);
+      addSection('Cost of Sales', data.costOfSales);
+      addTotal('Gross Profit', data.grossProfit);
+      addSection('Expenses', data.expenses);
+      addTotal('Net Profit', data.netProfit);
+    } else {
+      addSection('Assets', data.assets);
+      addSection('Liabilities', data.liabilities);
+      addSection('Equity', data.equity);
+      addTotal('Total Liabilities and Equity', data.totalLiabilitiesAndEquity);
+    }
+
+    return { columns, rows };
+  }
+}
+
+module.exports = new FinancialReportService();
@@ -1,4 +1,5 @@
 const { PrismaClient } = require('@prisma/client');
+const locationService = require('./locationService');
 
 const prisma = new PrismaClient();
 
@@ -9,8 +10,9 @@ class InventoryService {
    * @param {Array} purchaseItems - Array of purchase items
    * @param {string} purchaseInvoiceId - Purchase invoice ID
    * @param {string} invoiceNumber - Invoice number for reference
+   * @param {Object} options - { location } receiving location, when not the default one
    */
-  static async updateInventoryFromPurchase(tenantId, purchaseItems, purchaseInvoiceId, invoiceNumber) {
+  static async updateInventoryFromPurchase(tenantId, purchaseItems, purchaseInvoiceId, invoiceNumber, options = {}) {
     console.log(`🔄 Updating inventory for ${purchaseItems.length} items from invoice ${invoiceNumber}`);
     
     const results = {
@@ -23,246 +25,274 @@ class InventoryService {
     try {
       for (const item of purchaseItems) {
         try {
-          // Check if this purchase item has a variant
-          if (item.productVariantId) {
-            // Handle variant-level stock update
-            const variant = await prisma.productVariant.findFirst({
-              where: {
-                id: item.productVariantId,
-                product: {
-                  tenantId: tenantId
-                }
-              },
-              include: {
-                product: true
-              }
-            });
-
-            if (variant) {
-              const oldQuantity = variant.currentQuantity;
-              const newQuantity = oldQuantity + item.quantity;
-              const oldPrice = variant.product.lastPurchasePrice;
-              const newPrice = item.purchasePrice;
+          // Stock, the receiving location's row and the log for each line commit together
+          const outcome = await prisma.$transaction(
+            (tx) => this.receivePurchaseItem(tx, tenantId, item, purchaseInvoiceId, invoiceNumber, options.location),
+            { timeout: 15000 }
+          );
+          if (outcome === 'CREATED') {
+            results.productsCreated++;
+          } else {
+            results.productsUpdated++;
+          }
+          results.logsCreated++;
+        } catch (itemError) {
+          console.error(`   ❌ Error processing item ${item.name}:`, itemError);
+          results.errors.push({
+            item: item.name,
+            error: itemError.message
+          });
+        }
+      }
 
-              // Update variant stock
-              await prisma.productVariant.update({
-                where: { id: variant.id },
-                data: {
-                  currentQuantity: newQuantity,
-                  updatedAt: new Date()
-                }
-              });
+      console.log(`✅ Inventory update completed: ${results.productsUpdated} updated, ${results.productsCreated} created, ${results.logsCreated} logs`);
+      return results;
 
-              // Update product's last purchase price
-              await prisma.product.update({
-                where: { id: variant.productId },
-                data: {
-                  lastPurchasePrice: newPrice,
-                  lastUpdated: new Date()
-                }
-              });
+    } catch (error) {
+      console.error('❌ Inventory update failed:', error);
+      throw error;
+    }
+  }
 
-              // Find the purchase item to link
-              const purchaseItem = await prisma.purchaseItem.findFirst({
-                where: {
-                  tenantId: tenantId,
-                  purchaseInvoiceId: purchaseInvoiceId,
-                  name: item.name,
-                  purchasePrice: item.purchasePrice,
-                  quantity: item.quantity
-                }
-              });
+  /**
+   * Add one purchase line to stock (variant, existing product by name, or a new product)
+   * @param {Object} tx - Prisma transaction client
+   * @param {string} tenantId - Tenant ID
+   * @param {Object} item - Purchase item
+   * @param {string} purchaseInvoiceId - Purchase invoice ID
+   * @param {string} invoiceNumber - Invoice number for reference
+   * @param {Object|null} location - Receiving location
+   * @returns {string} 'UPDATED' or 'CREATED'
+   */
+  static async receivePurchaseItem(tx, tenantId, item, purchaseInvoiceId, invoiceNumber, location = null) {
+    // Check if this purchase item has a variant
+    if (item.productVariantId) {
+      // Handle variant-level stock update
+      const variant = await tx.productVariant.findFirst({
+        where: {
+          id: item.productVariantId,
+          product: {
+            tenantId: tenantId
+          }
+        },
+        include: {
+          product: true
+        }
+      });
 
-              // Link the purchase item to product and variant
-              if (purchaseItem) {
-                await prisma.purchaseItem.update({
-                  where: { id: purchaseItem.id },
-                  data: { 
-                    productId: variant.productId,
-                    productVariantId: variant.id
-                  }
-                });
-              }
+      if (variant) {
+        const oldQuantity = variant.currentQuantity;
+        const newQuantity = oldQuantity + item.quantity;
+        const oldPrice = variant.product.lastPurchasePrice;
+        const newPrice = item.purchasePrice;
 
-              // Create variant-level product log
-              await prisma.productLog.create({
-                data: {
-                  action: 'INCREASE',
-                  quantity: item.quantity,
-                  oldQuantity: oldQuantity,
-                  newQuantity: newQuantity,
-                  oldPrice: oldPrice,
-                  newPrice: newPrice,
-                  reason: 'Purchase invoice received',
-                  reference: `Invoice: ${invoiceNumber}`,
-                  notes: `Variant (${variant.color}${variant.size ? `, ${variant.size}` : ''}) quantity increased by ${item.quantity} from purchase`,
-                  tenantId: tenantId,
-                  productId: variant.productId,
-                  productVariantId: variant.id,
-                  purchaseItemId: purchaseItem?.id
-                }
-              });
+        // Update variant stock
+        await tx.productVariant.update({
+          where: { id: variant.id },
+          data: {
+            currentQuantity: newQuantity,
+            updatedAt: new Date()
+          }
+        });
 
-              results.productsUpdated++;
-              results.logsCreated++;
+        // Update product's last purchase price
+        await tx.product.update({
+          where: { id: variant.productId },
+          data: {
+            lastPurchasePrice: newPrice,
+            lastUpdated: new Date()
+          }
+        });
 
-              console.log(`   ✅ Updated variant: ${variant.product.name} - ${variant.color}${variant.size ? `, ${variant.size}` : ''} (${oldQuantity} → ${newQuantity})`);
-              continue; // Skip to next item
-            } else {
-              console.log(`   ⚠️  Variant not found: ${item.productVariantId}, falling back to product-level update`);
-            }
+        // Find the purchase item to link
+        const purchaseItem = await tx.purchaseItem.findFirst({
+          where: {
+            tenantId: tenantId,
+            purchaseInvoiceId: purchaseInvoiceId,
+            name: item.name,
+            purchasePrice: item.purchasePrice,
+            quantity: item.quantity
           }
+        });
 
-          // Fallback to product-level update (backward compatible or variant not found)
-          // Search for existing product by name (case-insensitive exact match)
-          const existingProduct = await prisma.product.findFirst({
-            where: {
-              tenantId: tenantId,
-              name: {
-                equals: item.name,
-                mode: 'insensitive'
-              }
+        // Link the purchase item to product and variant
+        if (purchaseItem) {
+          await tx.purchaseItem.update({
+            where: { id: purchaseItem.id },
+            data: { 
+              productId: variant.productId,
+              productVariantId: variant.id
             }
           });
+        }
 
-          if (existingProduct) {
-            // Update existing product
-            const oldQuantity = existingProduct.currentQuantity;
-            const newQuantity = oldQuantity + item.quantity;
-            const oldPrice = existingProduct.lastPurchasePrice;
-            const newPrice = item.purchasePrice;
-
-            await prisma.product.update({
-              where: { id: existingProduct.id },
-              data: {
-                currentQuantity: newQuantity,
-                lastPurchasePrice: newPrice,
-                lastUpdated: new Date()
-              }
-            });
+        // Create variant-level product log
+        await tx.productLog.create({
+          data: {
+            action: 'INCREASE',
+            quantity: item.quantity,
+            oldQuantity: oldQuantity,
+            newQuantity: newQuantity,
+            oldPrice: oldPrice,
+            newPrice: newPrice,
+            reason: 'Purchase invoice received',
+            reference: `Invoice: ${invoiceNumber}`,
+            notes: `Variant (${variant.color}${variant.size ? `, ${variant.size}` : ''}) quantity increased by ${item.quantity} from purchase`,
+            tenantId: tenantId,
+            productId: variant.productId,
+            productVariantId: variant.id,
+            purchaseItemId: purchaseItem?.id,
+            locationId: location ? location.id : null
+          }
+        });
+        if (location) {
+          await locationService.adjustLocationStock(tx, location, variant.productId, variant.id, item.quantity);
+        }
 
-            // Find the purchase item to link to the product
-            const purchaseItem = await prisma.purchaseItem.findFirst({
-              where: {
-                tenantId: tenantId,
-                purchaseInvoiceId: purchaseInvoiceId,
-                name: item.name,
-                purchasePrice: item.purchasePrice,
-                quantity: item.quantity
-              }
-            });
+        console.log(`   ✅ Updated variant: ${variant.product.name} - ${variant.color}${variant.size ? `, ${variant.size}` : ''} (${oldQuantity} → ${newQuantity})`);
+        return 'UPDATED';
+      } else {
+        console.log(`   ⚠️  Variant not found: ${item.productVariantId}, falling back to product-level update`);
+      }
+    }
 
-            // Link the purchase item to the product
-            if (purchaseItem) {
-              await prisma.purchaseItem.update({
-                where: { id: purchaseItem.id },
-                data: { productId: existingProduct.id }
-              });
-            }
+    // Fallback to product-level update (backward compatible or variant not found)
+    // Search for existing product by name (case-insensitive exact match)
+    const existingProduct = await tx.product.findFirst({
+      where: {
+        tenantId: tenantId,
+        name: {
+          equals: item.name,
+          mode: 'insensitive'
+        }
+      }
+    });
 
-            // Create product log for quantity increase
-            await prisma.productLog.create({
-              data: {
-                action: 'INCREASE',
-                quantity: item.quantity,
-                oldQuantity: oldQuantity,
-                newQuantity: newQuantity,
-                oldPrice: oldPrice,
-                newPrice: newPrice,
-                reason: 'Purchase invoice received',
-                reference: `Invoice: ${invoiceNumber}`,
-                notes: `Quantity increased by ${item.quantity} from purchase`,
-                tenantId: tenantId,
-                productId: existingProduct.id,
-                purchaseItemId: purchaseItem?.id
-              }
-            });
+    if (existingProduct) {
+      // Update existing product
+      const oldQuantity = existingProduct.currentQuantity;
+      const newQuantity = oldQuantity + item.quantity;
+      const oldPrice = existingProduct.lastPurchasePrice;
+      const newPrice = item.purchasePrice;
 
-            results.productsUpdated++;
-            results.logsCreated++;
+      await tx.product.update({
+        where: { id: existingProduct.id },
+        data: {
+          currentQuantity: newQuantity,
+          lastPurchasePrice: newPrice,
+          lastUpdated: new Date()
+        }
+      });
 
-            console.log(`   ✅ Updated product: ${item.name} (${oldQuantity} → ${newQuantity})`);
+      // Find the purchase item to link to the product
+      const purchaseItem = await tx.purchaseItem.findFirst({
+        where: {
+          tenantId: tenantId,
+          purchaseInvoiceId: purchaseInvoiceId,
+          name: item.name,
+          purchasePrice: item.purchasePrice,
+          quantity: item.quantity
+        }
+      });
 
-          } else {
-            // Create new product
-            const defaultRetail = item.purchasePrice * 1.5; // Default 50% markup
-            const newProduct = await prisma.product.create({
-              data: {
-                name: item.name,
-                description: item.description,
-                category: item.category,
-                sku: item.sku,
-                currentQuantity: item.quantity,
-                lastPurchasePrice: item.purchasePrice,
-                currentRetailPrice: defaultRetail,
-                lastSalePrice: defaultRetail,
-                minStockLevel: 0,
-                maxStockLevel: item.quantity * 2, // Default max is 2x current
-                image: item.image,
-                imageData: item.imageData,
-                imageType: item.imageType,
-                isActive: true,
-                lastUpdated: new Date(),
-                tenantId: tenantId
-              }
-            });
+      // Link the purchase item to the product
+      if (purchaseItem) {
+        await tx.purchaseItem.update({
+          where: { id: purchaseItem.id },
+          data: { productId: existingProduct.id }
+        });
+      }
 
-            // Find the purchase item to link to the product
-            const purchaseItem = await prisma.purchaseItem.findFirst({
-              where: {
-                tenantId: tenantId,
-                purchaseInvoiceId: purchaseInvoiceId,
-                name: item.name,
-                purchasePrice: item.purchasePrice,
-                quantity: item.quantity
-              }
-            });
+      // Create product log for quantity increase
+      await tx.productLog.create({
+        data: {
+          action: 'INCREASE',
+          quantity: item.quantity,
+          oldQuantity: oldQuantity,
+          newQuantity: newQuantity,
+          oldPrice: oldPrice,
+          newPrice: newPrice,
+          reason: 'Purchase invoice received',
+          reference: `Invoice: ${invoiceNumber}`,
+          notes: `Quantity increased by ${item.quantity} from purchase`,
+          tenantId: tenantId,
+          productId: existingProduct.id,
+          purchaseItemId: purchaseItem?.id,
+          locationId: location ? location.id : null
+        }
+      });
+      if (location) {
+        await locationService.adjustLocationStock(tx, location, existingProduct.id, null, item.quantity);
+      }
 
-            // Link the purchase item to the product
-            if (purchaseItem) {
-              await prisma.purchaseItem.update({
-                where: { id: purchaseItem.id },
-                data: { productId: newProduct.id }
-              });
-            }
+      console.log(`   ✅ Updated product: ${item.name} (${oldQuantity} → ${newQuantity})`);
+      return 'UPDATED';
 
-            // Create product log for new product
-            await prisma.productLog.create({
-              data: {
-                action: 'CREATE',
-                quantity: item.quantity,
-                newQuantity: item.quantity,
-                newPrice: item.purchasePrice,
-                reason: 'New product from purchase invoice',
-                reference: `Invoice: ${invoiceNumber}`,
-                notes: `New product created with initial quantity of ${item.quantity}`,
-                tenantId: tenantId,
-                productId: newProduct.id,
-                purchaseItemId: purchaseItem?.id
-              }
-            });
+    } else {
+      // Create new product
+      const defaultRetail = item.purchasePrice * 1.5; // Default 50% markup
+      const newProduct = await tx.product.create({
+        data: {
+          name: item.name,
+          description: item.description,
+          category: item.category,
+          sku: item.sku,
+          currentQuantity: item.quantity,
+          lastPurchasePrice: item.purchasePrice,
+          currentRetailPrice: defaultRetail,
+          lastSalePrice: defaultRetail,
+          minStockLevel: 0,
+          maxStockLevel: item.quantity * 2, // Default max is 2x current
+          image: item.image,
+          imageData: item.imageData,
+          imageType: item.imageType,
+          isActive: true,
+          lastUpdated: new Date(),
+          tenantId: tenantId
+        }
+      });
 
-            results.productsCreated++;
-            results.logsCreated++;
+      // Find the purchase item to link to the product
+      const purchaseItem = await tx.purchaseItem.findFirst({
+        where: {
+          tenantId: tenantId,
+          purchaseInvoiceId: purchaseInvoiceId,
+          name: item.name,
+          purchasePrice: item.purchasePrice,
+          quantity: item.quantity
+        }
+      });
 
-            console.log(`   🆕 Created new product: ${item.name} (Qty: ${item.quantity})`);
-          }
+      // Link the purchase item to the product
+      if (purchaseItem) {
+        await tx.purchaseItem.update({
+          where: { id: purchaseItem.id },
+          data: { productId: newProduct.id }
+        });
+      }
 
-        } catch (itemError) {
-          console.error(`   ❌ Error processing item ${item.name}:`, itemError);
-          results.errors.push({
-            item: item.name,
-            error: itemError.message
-          });
+      // Create product log for new product
+      await tx.productLog.create({
+        data: {
+          action: 'CREATE',
+          quantity: item.quantity,
+          newQuantity: item.quantity,
+          newPrice: item.purchasePrice,
+          reason: 'New product from purchase invoice',
+          reference: `Invoice: ${invoiceNumber}`,
+          notes: `New product created with initial quantity of ${item.quantity}`,
+          tenantId: tenantId,
+          productId: newProduct.id,
+          purchaseItemId: purchaseItem?.id,
+          locationId: location ? location.id : null
         }
+      });
+      if (location) {
+        await locationService.adjustLocationStock(tx, location, newProduct.id, null, item.quantity);
       }
 
-      console.log(`✅ Inventory update completed: ${results.productsUpdated} updated, ${results.productsCreated} created, ${results.logsCreated} logs`);
-      return results;
-
-    } catch (error) {
-      console.error('❌ Inventory update failed:', error);
-      throw error;
+      console.log(`   🆕 Created new product: ${item.name} (Qty: ${item.quantity})`);
+      return 'CREATED';
     }
   }
 
@@ -859,6 +889,142 @@ class InventoryService {
     }
   }
 
+  /**
+   * Put an order's items back on the shelf: a dispatched parcel returned to origin (RTO) by the
+   * courier, or a confirmed order cancelled before dispatch.
+   * Reads orderItems from DB; falls back to selectedProducts/productQuantities for old orders.
+   * Database errors are not caught, so a restock run inside a transaction fails as a whole.
+   * @param {string} tenantId - Tenant ID
+   * @param {string} orderId - Order ID
+   * @param {string} orderNumber - Order number for reference
+   * @param {Object} options - { tx: open database transaction, reason: product log reason,
+   *   note: why the quantity went up, shown in the product log notes }
+   * @returns {Object} { productsUpdated, logsCreated, errors } (errors: items whose product no longer exists)
+   */
+  static async restockOrderItems(tenantId, orderId, orderNumber, options = {}) {
+    const { tx = null, reason = 'Returned to origin', note = 'parcel returned to origin' } = options;
+    const db = tx || prisma;
+    const results = { productsUpdated: 0, logsCreated: 0, errors: [] };
+
+    const order = await db.order.findUnique({
+      where: { id: orderId },
+      include: { orderItems: true }
+    });
+    if (!order) {
+      throw new Error('Order not found');
+    }
+
+    let items = [];
+    if (order.orderItems && order.orderItems.length > 0) {
+      items = order.orderItems.map(item => ({
+        productId: item.productId,
+        productVariantId: item.productVariantId,
+        productName: item.productName,
+        quantity: item.quantity
+      }));
+    } else {
+      try {
+        let products = typeof order.selectedProducts === 'string' ? JSON.parse(order.selectedProducts) : order.selectedProducts;
+        const quantities = (typeof order.productQuantities === 'string' ? JSON.parse(order.productQuantities) : order.productQuantities) || {};
+        if (!Array.isArray(products)) {
+          products = typeof products === 'object' && products !== null ? Object.values(products) : [];
+        }
+        items = products.map(p => {
+          const variantId = p.variantId || p.productVariantId;
+          const key = variantId ? `${p.id}_${variantId}` : p.id;
+          return {
+            productId: p.id,
+            productVariantId: variantId,
+            productName: p.name,
+            quantity: parseInt(quantities[key] ?? quantities[p.id] ?? p.quantity ?? 1) || 0
+          };
+        });
+      } catch (e) {
+        console.error('Error parsing order products for restock:', e);
+        throw new Error('Invalid selectedProducts format');
+      }
+    }
+
+    console.log(`🔄 Restocking inventory for order ${orderNumber} (${reason.toLowerCase()}, ${items.length} items)`);
+
+    for (const item of items) {
+      const quantity = item.quantity || 0;
+      if (quantity <= 0) continue;
+
+      if (item.productVariantId) {
+        const variant = await db.productVariant.findFirst({
+          where: { id: item.productVariantId, product: { tenantId } },
+          include: { product: true }
+        });
+        if (variant) {
+          // Increment in the database so concurrent stock movements are not overwritten
+          const updated = await db.productVariant.update({
+            where: { id: variant.id },
+            data: { currentQuantity: { increment: quantity }, updatedAt: new Date() }
+          });
+          await db.productLog.create({
+            data: {
+              action: 'INCREASE',
+              quantity,
+              oldQuantity: updated.currentQuantity - quantity,
+              newQuantity: updated.currentQuantity,
+              reason,
+              reference: `Order: ${orderNumber}`,
+              notes: `Variant (${variant.color}${variant.size ? `, ${variant.size}` : ''}) quantity increased by ${quantity} (${note})`,
+              tenantId,
+              productId: variant.productId,
+              productVariantId: variant.id
+            }
+          });
+          results.productsUpdated++;
+          results.logsCreated++;
+          continue;
+        }
+      }
+
+      let product = null;
+      if (item.productId) {
+        product = await db.product.findFirst({
+          where: { id: item.productId, tenantId }
+        });
+      }
+      if (!product) {
+        product = await db.product.findFirst({
+          where: {
+            tenantId,
+            name: { equals: item.productName || '', mode: 'insensitive' }
+          }
+        });
+      }
+      if (product) {
+        const updated = await db.product.update({
+          where: { id: product.id },
+          data: { currentQuantity: { increment: quantity }, lastUpdated: new Date() }
+        });
+        await db.productLog.create({
+          data: {
+            action: 'INCREASE',
+            quantity,
+            oldQuantity: updated.currentQuantity - quantity,
+            newQuantity: updated.currentQuantity,
+            reason,
+            reference: `Order: ${orderNumber}`,
+            notes: `Quantity increased by ${quantity} (${note})`,
+            tenantId,
+            productId: product.id
+          }
+        });
+        results.productsUpdated++;
+        results.logsCreated++;
+      } else {
+        results.errors.push({ item: item.productName, error: 'Product not found' });
+      }
+    }
+
+    console.log(`✅ Restock completed: ${results.productsUpdated} updated, ${results.logsCreated} logs`);
+    return results;
+  }
+
   /**
    * Update inventory when an order is updated (quantities changed)
    * @param {string} tenantId - Tenant ID
@@ -0,0 +1,642 @@
+const prisma = require('../lib/db');
+const balanceService = require('./balanceService');
+const { CONFIRMED_ORDER_STATUSES } = require('../utils/orderStatus');
+
+// Running-balance ledgers shown on the customer and supplier ledger pages and printed on
+// statements. A positive balance means the customer owes us / we owe the supplier.
+
+const PARTY_TYPES = {
+  customer: { label: 'Customer', balanceLabel: 'Amount due', creditLabel: 'Advance held' },
+  supplier: { label: 'Supplier', balanceLabel: 'Amount payable', creditLabel: 'Advance paid' }
+};
+
+class LedgerService {
+  /**
+   * Customer ledger: orders (debit), payments and returns (credit), refunds (debit)
+   * @param {string} tenantId - Tenant ID
+   * @param {string} customerId - Customer ID
+   * @param {Object} options - { fromDate, toDate } limit the entries listed
+   * @returns {Object} { customer, ledger, summary }
+   */
+  async getCustomerLedger(tenantId, customerId, { fromDate, toDate } = {}) {
+    // Verify customer belongs to tenant
+    const customer = await prisma.customer.findFirst({
+      where: { id: customerId, tenantId }
+    });
+
+    if (!customer) {
+      throw new Error('Customer not found');
+    }
+
+    // Build date filter
+    const dateFilter = {};
+    if (fromDate) dateFilter.gte = new Date(fromDate);
+    if (toDate) dateFilter.lte = new Date(toDate);
+
+    // Get all confirmed orders (orders with potential outstanding balance)
+    const orders = await prisma.order.findMany({
+      where: {
+        customerId,
+        status: { in: CONFIRMED_ORDER_STATUSES },
+        ...(Object.keys(dateFilter).length > 0 && {
+          createdAt: dateFilter
+        })
+      },
+      select: {
+        id: true,
+        orderNumber: true,
+        createdAt: true,
+        selectedProducts: true,
+        productQuantities: true,
+        productPrices: true,
+        shippingCharges: true,
+        discountAmount: true,
+        codFee: true,
+        codFeePaidBy: true,
+        verifiedPaymentAmount: true,
+        paymentVerified: true,
+        orderItems: { select: { quantity: true, price: true } }
+      },
+      orderBy: {
+        createdAt: 'asc'
+      }
+    });
+
+    // Fetch all payments (including those not linked to orders)
+    const allPayments = await prisma.payment.findMany({
+      where: {
+        customerId,
+        type: 'CUSTOMER_PAYMENT',
+        ...(Object.keys(dateFilter).length > 0 && {
+          date: dateFilter
+        })
+      },
+      select: {
+        id: true,
+        paymentNumber: true,
+        date: true,
+        amount: true,
+        orderId: true,
+        account: {
+          select: {
+            id: true,
+            name: true
+          }
+        }
+      },
+      orderBy: {
+        date: 'asc'
+      }
+    });
+
+    // Fetch all returns
+    const allReturns = await prisma.return.findMany({
+      where: {
+        order: {
+          customerId
+        },
+        returnType: {
+          in: ['CUSTOMER_FULL', 'CUSTOMER_PARTIAL']
+        },
+        ...(Object.keys(dateFilter).length > 0 && {
+          returnDate: dateFilter
+        })
+      },
+      select: {
+        id: true,
+        returnNumber: true,
+        returnDate: true,
+        totalAmount: true,
+        refundAmount: true,
+        status: true,
+        orderId: true,
+        order: {
+          select: {
+            orderNumber: true
+          }
+        }
+      },
+      orderBy: {
+        returnDate: 'asc'
+      }
+    });
+
+    // Find opening balance transaction - only show Opening Balance row when we have an explicit transaction.
+    // When advance comes from customer.advanceBalance (no transaction), it's from direct payments we show as separate rows - don't double-count.
+    const openingBalanceTransaction = await prisma.transaction.findFirst({
+      where: {
+        tenantId,
+        description: {
+          contains: `Customer Opening Balance - ${customer.name || customer.phoneNumber}`,
+          mode: 'insensitive'
+        }
+      },
+      orderBy: { date: 'asc' },
+      select: { date: true }
+    });
+
+    let openingBalanceDate = customer.createdAt;
+    if (openingBalanceTransaction) {
+      openingBalanceDate = openingBalanceTransaction.date;
+    }
+
+    // Build ledger entries
+    const ledgerEntries = [];
+    const customerBalance = await balanceService.calculateCustomerBalance(customerId);
+
+    // Only show Opening Balance row when we have an explicit "Customer Opening Balance" transaction.
+    // Otherwise openingAdvanceBalance from customer.advanceBalance = sum of direct payments, which we show as separate rows.
+    if (openingBalanceTransaction && (customerBalance.openingARBalance !== 0 || customerBalance.openingAdvanceBalance !== 0)) {
+      ledgerEntries.push({
+        date: openingBalanceDate,
+        type: 'OPENING_BALANCE',
+        description: 'Opening Balance',
+        reference: null,
+        debit: customerBalance.openingARBalance > 0 ? customerBalance.openingARBalance : 0,
+        credit: customerBalance.openingAdvanceBalance > 0 ? customerBalance.openingAdvanceBalance : 0,
+        isOpeningBalance: true
+      });
+    }
+
+    // Add order entries (AR created)
+    for (const order of orders) {
+      // Calculate order total: prefer orderItems (variant flow), else legacy selectedProducts
+      let orderTotal = 0;
+      if (order.orderItems && order.orderItems.length > 0) {
+        orderTotal = order.orderItems.reduce((sum, item) =>
+          sum + (item.quantity || 0) * (item.price || 0), 0);
+      } else {
+        try {
+          const selectedProducts = typeof order.selectedProducts === 'string'
+            ? JSON.parse(order.selectedProducts)
+            : (order.selectedProducts || []);
+          const productQuantities = typeof order.productQuantities === 'string'
+            ? JSON.parse(order.productQuantities)
+            : (order.productQuantities || {});
+          const productPrices = typeof order.productPrices === 'string'
+            ? JSON.parse(order.productPrices)
+            : (order.productPrices || {});
+
+          if (Array.isArray(selectedProducts)) {
+            selectedProducts.forEach(product => {
+              const quantity = productQuantities[product.id] || product.quantity || 1;
+              const price = productPrices[product.id] || product.price || product.currentRetailPrice || 0;
+              orderTotal += price * quantity;
+            });
+          }
+        } catch (e) {
+          console.error('Error parsing order data for ledger:', e);
+        }
+      }
+
+      orderTotal += (order.shippingCharges || 0);
+      orderTotal -= order.discountAmount || 0;
+      if (order.codFeePaidBy === 'CUSTOMER' && order.codFee && order.codFee > 0) {
+        orderTotal += order.codFee;
+      }
+
+      if (orderTotal > 0) {
+        ledgerEntries.push({
+          date: order.createdAt,
+          type: 'ORDER',
+          description: `Order: ${order.orderNumber}`,
+          reference: order.orderNumber,
+          debit: orderTotal,
+          credit: 0,
+          orderId: order.id
+        });
+      }
+    }
+
+    // Add payment entries (distinguish direct payments vs order-linked)
+    for (const payment of allPayments) {
+      const isDirectPayment = !payment.orderId;
+      const paymentLabel = isDirectPayment ? 'Payment (without order)' : 'Payment';
+      const accountSuffix = payment.account ? ` (${payment.account.name})` : '';
+      ledgerEntries.push({
+        date: payment.date,
+        type: 'PAYMENT',
+        description: `${paymentLabel}: ${payment.paymentNumber}${accountSuffix}`,
+        reference: payment.paymentNumber,
+        debit: 0,
+        credit: payment.amount,
+        paymentId: payment.id,
+        orderId: payment.orderId,
+        isDirectPayment
+      });
+    }
+
+    // Add return entries
+    for (const returnRecord of allReturns) {
+      if (returnRecord.totalAmount > 0) {
+        ledgerEntries.push({
+          date: returnRecord.returnDate,
+          type: 'RETURN',
+          description: `Return: ${returnRecord.returnNumber}${returnRecord.order ? ` (Order: ${returnRecord.order.orderNumber})` : ''}`,
+          reference: returnRecord.returnNumber,
+          debit: 0,
+          credit: returnRecord.totalAmount,
+          returnId: returnRecord.id,
+          orderId: returnRecord.orderId
+        });
+      }
+
+      // Add refund entry if refunded
+      if (returnRecord.status === 'REFUNDED' && returnRecord.refundAmount > 0) {
+        ledgerEntries.push({
+          date: returnRecord.returnDate,
+          type: 'REFUND',
+          description: `Refund: ${returnRecord.returnNumber}`,
+          reference: returnRecord.returnNumber,
+          debit: returnRecord.refundAmount,
+          credit: 0,
+          returnId: returnRecord.id
+        });
+      }
+    }
+
+    // Sort by date
+    ledgerEntries.sort((a, b) => new Date(a.date) - new Date(b.date));
+
+    // Calculate running balance.
+    // When no explicit opening transaction, openingAdvanceBalance = customer.advanceBalance (= sum of direct payments).
+    // Those direct payments are shown as separate rows, so we must NOT include them in the starting balance or we double-count.
+    const hasExplicitOpening = !!openingBalanceTransaction;
+    let runningBalance = hasExplicitOpening
+      ? customerBalance.openingARBalance - customerBalance.openingAdvanceBalance
+      : 0;
+    const ledgerWithBalance = ledgerEntries.map(entry => {
+      runningBalance = runningBalance + entry.debit - entry.credit;
+      return {
+        ...entry,
+        balance: runningBalance
+      };
+    });
+
+    return {
+      customer: {
+        id: customer.id,
+        name: customer.name,
+        phoneNumber: customer.phoneNumber
+      },
+      ledger: ledgerWithBalance,
+      summary: {
+        openingARBalance: hasExplicitOpening ? customerBalance.openingARBalance : 0,
+        openingAdvanceBalance: hasExplicitOpening ? customerBalance.openingAdvanceBalance : 0,
+        totalOrders: orders.length,
+        totalPayments: allPayments.length,
+        totalReturns: allReturns.length,
+        currentBalance: runningBalance
+      }
+    };
+  }
+
+  /**
+   * Supplier ledger: purchase invoices (debit), returns and payments (credit)
+   * @param {string} tenantId - Tenant ID
+   * @param {string} supplierId - Supplier ID
+   * @param {Object} options - { fromDate, toDate } limit the entries listed
+   * @returns {Object} { supplier, ledgerEntries, summary }
+   */
+  async getSupplierLedger(tenantId, supplierId, { fromDate, toDate } = {}) {
+    // Verify supplier belongs to tenant
+    const supplier = await prisma.supplier.findFirst({
+      where: { id: supplierId, tenantId }
+    });
+
+    if (!supplier) {
+      throw new Error('Supplier not found');
+    }
+
+    // Build date filter
+    const dateFilter = {};
+    if (fromDate) {
+      dateFilter.gte = new Date(fromDate);
+    }
+    if (toDate) {
+      dateFilter.lte = new Date(toDate);
+    }
+
+    // Fetch all purchase invoices
+    const purchaseInvoices = await prisma.purchaseInvoice.findMany({
+      where: {
+        supplierId,
+        tenantId,
+        isDeleted: false,
+        ...(Object.keys(dateFilter).length > 0 && {
+          invoiceDate: dateFilter
+        })
+      },
+      include: {
+        purchaseItems: {
+          select: {
+            id: true,
+            name: true,
+            quantity: true,
+            purchasePrice: true
+          }
+        },
+        returns: {
+          include: {
+            returnItems: {
+              select: {
+                id: true,
+                productName: true,
+                quantity: true,
+                purchasePrice: true
+              }
+            }
+          }
+        },
+        payments: {
+          where: {
+            type: 'SUPPLIER_PAYMENT'
+          },
+          select: {
+            id: true,
+            paymentNumber: true,
+            date: true,
+            amount: true,
+            account: {
+              select: {
+                id: true,
+                name: true
+              }
+            }
+          },
+          orderBy: {
+            date: 'asc'
+          }
+        }
+      },
+      orderBy: {
+        invoiceDate: 'asc'
+      }
+    });
+
+    // Fetch all payments (including those not linked to invoices)
+    const allPayments = await prisma.payment.findMany({
+      where: {
+        supplierId,
+        type: 'SUPPLIER_PAYMENT',
+        ...(Object.keys(dateFilter).length > 0 && {
+          date: dateFilter
+        })
+      },
+      select: {
+        id: true,
+        paymentNumber: true,
+        date: true,
+        amount: true,
+        purchaseInvoiceId: true,
+        account: {
+          select: {
+            id: true,
+            name: true
+          }
+        }
+      },
+      orderBy: {
+        date: 'asc'
+      }
+    });
+
+    // Find opening balance transaction date from accounting transactions
+    let openingBalanceDate = supplier.createdAt; // Default to supplier creation date
+    if (supplier.balance !== 0) {
+      try {
+        // Find the opening balance transaction for this supplier
+        const openingBalanceTransaction = await prisma.transaction.findFirst({
+          where: {
+            tenantId,
+            description: {
+              contains: `Supplier Opening Balance - ${supplier.name}`,
+              mode: 'insensitive'
+            }
+          },
+          orderBy: {
+            date: 'asc'
+          },
+          select: {
+            date: true
+          }
+        });
+
+        if (openingBalanceTransaction) {
+          openingBalanceDate = openingBalanceTransaction.date;
+        }
+      } catch (error) {
+        console.error('Error fetching opening balance transaction date:', error);
+        // Use supplier.createdAt as fallback
+      }
+    }
+
+    // Build ledger entries
+    const ledgerEntries = [];
+
+    // Add opening balance entry FIRST (before all other transactions)
+    if (supplier.balance !== 0) {
+      ledgerEntries.push({
+        date: openingBalanceDate,
+        type: 'OPENING_BALANCE',
+        description: 'Opening Balance',
+        reference: null,
+        debit: supplier.balance > 0 ? supplier.balance : 0,
+        credit: supplier.balance < 0 ? Math.abs(supplier.balance) : 0,
+        isOpeningBalance: true
+      });
+    }
+
+    // Add purchase invoice entries
+    purchaseInvoices.forEach(invoice => {
+      const purchaseTotal = invoice.purchaseItems.reduce((sum, item) => 
+        sum + (item.quantity * item.purchasePrice), 0);
+      const returnTotal = invoice.returns.reduce((sum, ret) => 
+        sum + ret.returnItems.reduce((retSum, item) => 
+          retSum + (item.quantity * item.purchasePrice), 0), 0);
+      const netAmount = purchaseTotal - returnTotal;
+
+      if (netAmount > 0) {
+        // Purchase invoice (increases what we owe)
+        ledgerEntries.push({
+          date: invoice.invoiceDate,
+          type: 'PURCHASE_INVOICE',
+          description: `Purchase Invoice: ${invoice.invoiceNumber}`,
+          reference: invoice.invoiceNumber,
+          invoiceId: invoice.id,
+          debit: netAmount,
+          credit: 0,
+          purchaseTotal,
+          returnTotal
+        });
+      } else if (netAmount < 0) {
+        // Return-only invoice (decreases what we owe)
+        ledgerEntries.push({
+          date: invoice.invoiceDate,
+          type: 'RETURN',
+          description: `Return: ${invoice.invoiceNumber}`,
+          reference: invoice.invoiceNumber,
+          invoiceId: invoice.id,
+          debit: 0,
+          credit: Math.abs(netAmount),
+          purchaseTotal: 0,
+          returnTotal: Math.abs(netAmount)
+        });
+      }
+    });
+
+    // Add payment entries
+    allPayments.forEach(payment => {
+      ledgerEntries.push({
+        date: payment.date,
+        type: 'PAYMENT',
+        description: `Payment: ${payment.paymentNumber}${payment.account ? ` (${payment.account.name})` : ''}`,
+        reference: payment.paymentNumber,
+        paymentId: payment.id,
+        invoiceId: payment.purchaseInvoiceId,
+        debit: 0,
+        credit: payment.amount,
+        accountName: payment.account?.name || null
+      });
+    });
+
+    // Sort by date (chronological order)
+    // Opening balance should always appear first, even if its date is later
+    ledgerEntries.sort((a, b) => {
+      // Opening balance always comes first
+      if (a.type === 'OPENING_BALANCE' && b.type !== 'OPENING_BALANCE') {
+        return -1;
+      }
+      if (a.type !== 'OPENING_BALANCE' && b.type === 'OPENING_BALANCE') {
+        return 1;
+      }
+
+      // For non-opening balance entries, sort by date
+      const dateA = new Date(a.date);
+      const dateB = new Date(b.date);
+      if (dateA.getTime() !== dateB.getTime()) {
+        return dateA - dateB;
+      }
+      // If same date, sort by type: invoices, then payments
+      const typeOrder = { PURCHASE_INVOICE: 1, RETURN: 1, PAYMENT: 2 };
+      return (typeOrder[a.type] || 99) - (typeOrder[b.type] || 99);
+    });
+
+    // Calculate running balance
+    // Start from 0, then apply opening balance, then apply other transactions chronologically
+    let runningBalance = 0;
+    ledgerEntries.forEach(entry => {
+      // For supplier ledger: debit increases what we owe, credit decreases
+      // Opening balance: positive balance (we owe) = debit, negative balance (they owe) = credit
+      // Purchase invoice: increases what we owe = debit
+      // Payment: decreases what we owe = credit
+      runningBalance = runningBalance + entry.debit - entry.credit;
+      entry.balance = runningBalance;
+    });
+
+    // Calculate summary
+    const summary = {
+      openingBalance: supplier.balance || 0,
+      totalPurchases: purchaseInvoices.reduce((sum, inv) => {
+        const purchaseTotal = inv.purchaseItems.reduce((s, item) => s + (item.quantity * item.purchasePrice), 0);
+        const returnTotal = inv.returns.reduce((s, ret) => 
+          s + ret.returnItems.reduce((rs, item) => rs + (item.quantity * item.purchasePrice), 0), 0);
+        const netAmount = purchaseTotal - returnTotal;
+        return sum + (netAmount > 0 ? netAmount : 0);
+      }, 0),
+      totalReturns: purchaseInvoices.reduce((sum, inv) => {
+        const purchaseTotal = inv.purchaseItems.reduce((s, item) => s + (item.quantity * item.purchasePrice), 0);
+        const returnTotal = inv.returns.reduce((s, ret) => 
+          s + ret.returnItems.reduce((rs, item) => rs + (item.quantity * item.purchasePrice), 0), 0);
+        const netAmount = purchaseTotal - returnTotal;
+        return sum + (netAmount < 0 ? Math.abs(netAmount) : 0);
+      }, 0),
+      totalPayments: allPayments.reduce((sum, p) => sum + p.amount, 0),
+      closingBalance: runningBalance
+    };
+
+    return {
+      supplier: {
+        id: supplier.id,
+        name: supplier.name
+      },
+      ledgerEntries,
+      summary
+    };
+  }
+
+  /**
+   * Supported party types for getLedger, with the labels statements and reports print
+   * @returns {Object}
+   */
+  getPartyTypes() {
+    return PARTY_TYPES;
+  }
+
+  /**
+   * Full ledger of one customer or supplier in a common shape
+   * @param {string} partyType - 'customer' or 'supplier'
+   * @param {string} tenantId - Tenant ID
+   * @param {string} partyId - Customer or supplier ID
+   * @returns {Object} { party, startingBalance, entries }
+   */
+  async getLedger(partyType, tenantId, partyId) {
+    if (partyType === 'customer') {
+      const { customer, ledger, summary } = await this.getCustomerLedger(tenantId, partyId);
+      // The customer ledger can start from a non-zero balance (explicit opening transaction)
+      const first = ledger[0];
+      const startingBalance = first ? first.balance - first.debit + first.credit : summary.currentBalance;
+      return {
+        party: { id: customer.id, name: customer.name || customer.phoneNumber, phone: customer.phoneNumber },
+        startingBalance,
+        entries: ledger
+      };
+    }
+
+    const { supplier, ledgerEntries } = await this.getSupplierLedger(tenantId, partyId);
+    const details = await prisma.supplier.findUnique({ where: { id: supplier.id }, select: { phone: true } });
+    return {
+      party: { id: supplier.id, name: supplier.name, phone: details?.phone || '' },
+      startingBalance: 0,
+      entries: ledgerEntries
+    };
+  }
+
+  /**
+   * Customers or suppliers with any activity; only these can carry a balance
+   * @param {string} partyType - 'customer' or 'supplier'
+   * @param {string} tenantId - Tenant ID
+   * @returns {Array} [{ id }], by name
+   */
+  async getPartiesWithActivity(partyType, tenantId) {
+    if (partyType === 'customer') {
+      return prisma.customer.findMany({
+        where: {
+          tenantId,
+          OR: [
+            { orders: { some: { status: { in: CONFIRMED_ORDER_STATUSES } } } },
+            { payments: { some: { type: 'CUSTOMER_PAYMENT' } } },
+            { advanceBalance: { not: 0 } }
+          ]
+        },
+        select: { id: true },
+        orderBy: [{ name: 'asc' }, { phoneNumber: 'asc' }]
+      });
+    }
+
+    return prisma.supplier.findMany({
+      where: {
+        tenantId,
+        OR: [
+          { purchaseInvoices: { some: { isDeleted: false } } },
+          { payments: { some: { type: 'SUPPLIER_PAYMENT' } } },
+          { balance: { not: 0 } }
+        ]
+      },
+      select: { id: true },
+      orderBy: { name: 'asc' }
+    });
+  }
+}
+
+module.exports = new LedgerService();
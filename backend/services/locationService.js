@@ -0,0 +1,551 @@
+const prisma = require('../lib/db');
+
+// Product/variant currentQuantity stays the total across all locations. Non-default
+// locations keep explicit LocationStock rows; the default location holds the remainder,
+// so purchases, returns and confirmations that only touch currentQuantity land there.
+
+const stockKey = (productId, productVariantId) =>
+  productVariantId ? `${productId}_${productVariantId}` : productId;
+
+const describeLine = (product, variant) =>
+  variant ? `${product.name} (${variant.color}${variant.size ? `, ${variant.size}` : ''})` : product.name;
+
+class LocationService {
+  /**
+   * Validate and normalise location input
+   * @param {Object} data - Request body
+   * @returns {Object} Prisma data
+   */
+  buildLocationData(data) {
+    const name = (data.name || '').toString().trim();
+    if (!name) {
+      throw new Error('Location name is required');
+    }
+    if (name.length > 100) {
+      throw new Error('Location name must be 100 characters or fewer');
+    }
+    const address = (data.address || '').toString().trim();
+    return { name, address: address || null };
+  }
+
+  /**
+   * Get a tenant's location
+   * @param {string} id - Location ID
+   * @param {string} tenantId - Tenant ID
+   * @param {Object} client - Prisma client or transaction
+   * @returns {Object} Location
+   */
+  async getLocation(id, tenantId, client = prisma) {
+    const location = await client.stockLocation.findFirst({ where: { id, tenantId } });
+    if (!location) {
+      throw new Error('Location not found');
+    }
+    return location;
+  }
+
+  /**
+   * Get locations with the units held at each
+   * @param {string} tenantId - Tenant ID
+   * @returns {Array}
+   */
+  async getLocations(tenantId) {
+    const locations = await prisma.stockLocation.findMany({
+      where: { tenantId },
+      orderBy: [{ isDefault: 'desc' }, { name: 'asc' }]
+    });
+    if (locations.length === 0) return [];
+
+    const levels = await this.getStockLevels(tenantId);
+    const totals = {};
+    levels.forEach(level => {
+      Object.entries(level.quantities).forEach(([locationId, quantity]) => {
+        totals[locationId] = (totals[locationId] || 0) + quantity;
+      });
+    });
+
+    return locations.map(location => ({ ...location, totalUnits: totals[location.id] || 0 }));
+  }
+
+  /**
+   * Create a location. The tenant's first location becomes the default and takes over
+   * all existing stock.
+   * @param {string} tenantId - Tenant ID
+   * @param {Object} data - { name, address }
+   * @returns {Object} Location
+   */
+  async createLocation(tenantId, data) {
+    const fields = this.buildLocationData(data);
+    const existingCount = await prisma.stockLocation.count({ where: { tenantId } });
+
+    try {
+      return await prisma.stockLocation.create({
+        data: { ...fields, isDefault: existingCount === 0, tenantId }
+      });
+    } catch (error) {
+      if (error.code === 'P2002') {
+        throw new Error('A location with this name already exists');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Rename or activate/deactivate a location
+   * @param {string} id - Location ID
+   * @param {string} tenantId - Tenant ID
+   * @param {Object} data - { name, address, isActive }
+   * @returns {Object} Location
+   */
+  async updateLocation(id, tenantId, data) {
+    const location = await this.getLocation(id, tenantId);
+    const updateData = this.buildLocationData({
+      name: data.name !== undefined ? data.name : location.name,
+      address: data.address !== undefined ? data.address : location.address
+    });
+
+    if (data.isActive !== undefined && !data.isActive && location.isActive) {
+      if (location.isDefault) {
+        throw new Error('The default location cannot be deactivated');
+      }
+      if (await this.getUnitsHeld(location.id) !== 0) {
+        throw new Error('Move the stock out of this location before deactivating it');
+      }
+    }
+    if (data.isActive !== undefined) {
+      updateData.isActive = !!data.isActive;
+    }
+
+    try {
+      return await prisma.stockLocation.update({ where: { id }, data: updateData });
+    } catch (error) {
+      if (error.code === 'P2002') {
+        throw new Error('A location with this name already exists');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Make a location the default. The old default's remainder is written out as explicit
+   * rows and the new default's rows are folded into the remainder.
+   * @param {string} id - Location ID
+   * @param {string} tenantId - Tenant ID
+   * @returns {Object} Location
+   */
+  async setDefaultLocation(id, tenantId) {
+    const location = await this.getLocation(id, tenantId);
+    if (location.isDefault) return location;
+    if (!location.isActive) {
+      throw new Error('Activate the location before making it the default');
+    }
+
+    return prisma.$transaction(async (tx) => {
+      const levels = await this.getStockLevels(tenantId, tx);
+      const oldDefault = await tx.stockLocation.findFirst({ where: { tenantId, isDefault: true } });
+
+      if (oldDefault) {
+        const rows = levels
+          .filter(level => (level.quantities[oldDefault.id] || 0) !== 0)
+          .map(level => ({
+            locationId: oldDefault.id,
+            productId: level.productId,
+            productVariantId: level.productVariantId,
+            quantity: level.quantities[oldDefault.id]
+          }));
+        if (rows.length > 0) {
+          await tx.locationStock.createMany({ data: rows });
+        }
+        await tx.stockLocation.update({ where: { id: oldDefault.id }, data: { isDefault: false } });
+      }
+
+      await tx.locationStock.deleteMany({ where: { locationId: id } });
+      return tx.stockLocation.update({ where: { id }, data: { isDefault: true } });
+    });
+  }
+
+  /**
+   * Delete an empty, non-default location
+   * @param {string} id - Location ID
+   * @param {string} tenantId - Tenant ID
+   */
+  async deleteLocation(id, tenantId) {
+    const location = await this.getLocation(id, tenantId);
+    if (location.isDefault) {
+      throw new Error('The default location cannot be deleted');
+    }
+    if (await this.getUnitsHeld(location.id) !== 0) {
+      throw new Error('Move the stock out of this location before deleting it');
+    }
+    await prisma.stockLocation.delete({ where: { id } });
+  }
+
+  /**
+   * Units recorded at a non-default location
+   * @param {string} locationId - Location ID
+   * @returns {number}
+   */
+  async getUnitsHeld(locationId) {
+    const result = await prisma.locationStock.aggregate({
+      where: { locationId },
+      _sum: { quantity: true }
+    });
+    return result._sum.quantity || 0;
+  }
+
+  /**
+   * Per-location quantities for every stocked line (product, or variant of a variant product)
+   * @param {string} tenantId - Tenant ID
+   * @param {Object} client - Prisma client or transaction
+   * @returns {Array} [{ productId, productVariantId, productName, total, quantities: { locationId: qty } }]
+   */
+  async getStockLevels(tenantId, client = prisma) {
+    const defaultLocation = await client.stockLocation.findFirst({ where: { tenantId, isDefault: true } });
+    if (!defaultLocation) return [];
+
+    const [products, rows] = await Promise.all([
+      client.product.findMany({
+        where: { tenantId },
+        select: {
+          id: true,
+          name: true,
+          hasVariants: true,
+          currentQuantity: true,
+          variants: { select: { id: true, color: true, size: true, currentQuantity: true } }
+        },
+        orderBy: { name: 'asc' }
+      }),
+      client.locationStock.findMany({ where: { location: { tenantId } } })
+    ]);
+
+    const rowsByKey = {};
+    rows.forEach(row => {
+      const key = stockKey(row.productId, row.productVariantId);
+      (rowsByKey[key] = rowsByKey[key] || []).push(row);
+    });
+
+    const levels = [];
+    const addLevel = (product, variant, total) => {
+      const quantities = {};
+      let elsewhere = 0;
+      (rowsByKey[stockKey(product.id, variant?.id)] || []).forEach(row => {
+        quantities[row.locationId] = (quantities[row.locationId] || 0) + row.quantity;
+        elsewhere += row.quantity;
+      });
+      quantities[defaultLocation.id] = total - elsewhere;
+      levels.push({
+        productId: product.id,
+        productVariantId: variant?.id || null,
+        productName: describeLine(product, variant),
+        total,
+        quantities
+      });
+    };
+
+    products.forEach(product => {
+      if (product.hasVariants && product.variants.length > 0) {
+        product.variants.forEach(variant => addLevel(product, variant, variant.currentQuantity || 0));
+      } else {
+        addLevel(product, null, product.currentQuantity || 0);
+      }
+    });
+
+    return levels;
+  }
+
+  /**
+   * Quantities held at one location
+   * @param {string} tenantId - Tenant ID
+   * @param {string} locationId - Location ID
+   * @returns {Object} { location, items: [{ productId, productVariantId, productName, quantity }] }
+   */
+  async getLocationStock(tenantId, locationId) {
+    const location = await this.getLocation(locationId, tenantId);
+    const levels = await this.getStockLevels(tenantId);
+    const items = levels
+      .map(level => ({
+        productId: level.productId,
+        productVariantId: level.productVariantId,
+        productName: level.productName,
+        quantity: level.quantities[location.id] || 0
+      }))
+      .filter(item => item.quantity !== 0);
+    return { location, items };
+  }
+
+  /**
+   * Quantity of one line at a location
+   * @param {Object} client - Prisma client or transaction
+   * @param {Object} location - Location record
+   * @param {string} productId - Product ID
+   * @param {string|null} productVariantId - Variant ID
+   * @returns {number}
+   */
+  async getQuantityAt(client, location, productId, productVariantId = null) {
+    if (!location.isDefault) {
+      const result = await client.locationStock.aggregate({
+        where: { locationId: location.id, productId, productVariantId },
+        _sum: { quantity: true }
+      });
+      return result._sum.quantity || 0;
+    }
+
+    const line = productVariantId
+      ? await client.productVariant.findUnique({ where: { id: productVariantId }, select: { currentQuantity: true } })
+      : await client.product.findUnique({ where: { id: productId }, select: { currentQuantity: true } });
+    const elsewhere = await client.locationStock.aggregate({
+      where: { productId, productVariantId, location: { tenantId: location.tenantId } },
+      _sum: { quantity: true }
+    });
+    return (line?.currentQuantity || 0) - (elsewhere._sum.quantity || 0);
+  }
+
+  /**
+   * Lock the rows a location's quantity of a line is read from, so a concurrent transfer or
+   * dispatch waits for this transaction before it checks the same stock
+   * @param {Object} tx - Prisma transaction client
+   * @param {Object} location - Location record
+   * @param {string} productId - Product ID
+   * @param {string|null} productVariantId - Variant ID
+   */
+  async lockStockLine(tx, location, productId, productVariantId = null) {
+    const touch = { updatedAt: new Date() };
+    if (!location.isDefault) {
+      await tx.locationStock.updateMany({ where: { locationId: location.id, productId, productVariantId }, data: touch });
+    } else if (productVariantId) {
+      await tx.productVariant.updateMany({ where: { id: productVariantId }, data: touch });
+    } else {
+      await tx.product.updateMany({ where: { id: productId }, data: touch });
+    }
+  }
+
+  /**
+   * Add to (or take from) a non-default location's row
+   * @param {Object} client - Prisma client or transaction
+   * @param {Object} location - Location record
+   * @param {string} productId - Product ID
+   * @param {string|null} productVariantId - Variant ID
+   * @param {number} delta - Units to add (negative to remove)
+   */
+  async adjustLocationStock(client, location, productId, productVariantId, delta) {
+    if (location.isDefault || !delta) return;
+
+    const row = await client.locationStock.findFirst({
+      where: { locationId: location.id, productId, productVariantId: productVariantId || null }
+    });
+    if (row) {
+      await client.locationStock.update({
+        where: { id: row.id },
+        data: { quantity: { increment: delta } }
+      });
+    } else {
+      await client.locationStock.create({
+        data: { locationId: location.id, productId, productVariantId: productVariantId || null, quantity: delta }
+      });
+    }
+  }
+
+  /**
+   * Move stock between two locations and log each line as a TRANSFER in ProductLog
+   * @param {string} tenantId - Tenant ID
+   * @param {Object} data - { fromLocationId, toLocationId, items: [{ productId, productVariantId, quantity }], notes }
+   * @returns {Object} { transferred, logs }
+   */
+  async transferStock(tenantId, { fromLocationId, toLocationId, items, notes }) {
+    if (!fromLocationId || !toLocationId) {
+      throw new Error('Choose the locations to transfer from and to');
+    }
+    if (fromLocationId === toLocationId) {
+      throw new Error('Choose two different locations');
+    }
+    if (!Array.isArray(items) || items.length === 0) {
+      throw new Error('Add at least one item to transfer');
+    }
+
+    const from = await this.getLocation(fromLocationId, tenantId);
+    const to = await this.getLocation(toLocationId, tenantId);
+    if (!to.isActive) {
+      throw new Error(`${to.name} is inactive`);
+    }
+
+    return prisma.$transaction(async (tx) => {
+      const logs = [];
+      for (const item of items) {
+        const quantity = parseInt(item.quantity, 10);
+        if (!Number.isInteger(quantity) || quantity <= 0) {
+          throw new Error('Transfer quantities must be whole numbers greater than zero');
+        }
+
+        const product = await tx.product.findFirst({ where: { id: item.productId, tenantId } });
+        if (!product) {
+          throw new Error('Product not found');
+        }
+        let variant = null;
+        if (item.productVariantId) {
+          variant = await tx.productVariant.findFirst({ where: { id: item.productVariantId, productId: product.id } });
+          if (!variant) {
+            throw new Error(`Variant not found for "${product.name}"`);
+          }
+        } else if (product.hasVariants) {
+          throw new Error(`Choose a variant of "${product.name}" to transfer`);
+        }
+
+        await this.lockStockLine(tx, from, product.id, variant?.id || null);
+        const available = await this.getQuantityAt(tx, from, product.id, variant?.id || null);
+        if (quantity > available) {
+          throw new Error(`Only ${Math.max(0, available)} of ${describeLine(product, variant)} at ${from.name}`);
+        }
+
+        await this.adjustLocationStock(tx, from, product.id, variant?.id || null, -quantity);
+        await this.adjustLocationStock(tx, to, product.id, variant?.id || null, quantity);
+
+        logs.push(await tx.productLog.create({
+          data: {
+            action: 'TRANSFER',
+            quantity,
+            oldQuantity: available,
+            newQuantity: available - quantity,
+            reason: 'Stock transfer',
+            reference: `Transfer: ${from.name} → ${to.name}`,
+            notes: notes ? notes.toString().trim() : `${describeLine(product, variant)} moved from ${from.name} to ${to.name}`,
+            tenantId,
+            productId: product.id,
+            productVariantId: variant?.id || null,
+            locationId: from.id,
+            toLocationId: to.id
+          }
+        }));
+      }
+
+      return { transferred: logs.length, logs };
+    });
+  }
+
+  /**
+   * Recent stock transfers
+   * @param {string} tenantId - Tenant ID
+   * @param {number} limit - Max rows
+   * @returns {Array}
+   */
+  async getTransfers(tenantId, limit = 50) {
+    return prisma.productLog.findMany({
+      where: { tenantId, action: 'TRANSFER' },
+      include: {
+        product: { select: { name: true } },
+        productVariant: { select: { color: true, size: true } },
+        location: { select: { name: true } },
+        toLocation: { select: { name: true } }
+      },
+      orderBy: { createdAt: 'desc' },
+      take: Math.min(200, Math.max(1, parseInt(limit, 10) || 50))
+    });
+  }
+
+  /**
+   * Move a purchase invoice's receiving location by later changes to its lines (edits and
+   * supplier returns). InventoryService changes the totals; without this the location keeps
+   * units that have gone and the default location's remainder goes negative.
+   * Removals never take a location below zero; anything beyond that comes off the remainder.
+   * @param {Object} client - Prisma client or transaction
+   * @param {Object} invoice - Purchase invoice ({ tenantId, locationId })
+   * @param {Array} lines - [{ productId, productVariantId, productName, quantity }], quantity signed
+   */
+  async adjustPurchaseLocationStock(client, invoice, lines) {
+    if (!invoice.locationId) return;
+    const location = await client.stockLocation.findFirst({ where: { id: invoice.locationId, tenantId: invoice.tenantId } });
+    if (!location || location.isDefault) return;
+
+    // Supplier return lines carry a variant or just a product name
+    const deltas = {};
+    for (const line of lines) {
+      if (!line.quantity) continue;
+      let productId = line.productId || null;
+      if (!productId && line.productVariantId) {
+        const variant = await client.productVariant.findUnique({ where: { id: line.productVariantId }, select: { productId: true } });
+        productId = variant?.productId || null;
+      }
+      if (!productId && (line.productName || line.name)) {
+        const product = await client.product.findFirst({
+          where: { tenantId: invoice.tenantId, name: { equals: line.productName || line.name, mode: 'insensitive' } },
+          select: { id: true }
+        });
+        productId = product?.id || null;
+      }
+      if (!productId) continue;
+
+      const key = stockKey(productId, line.productVariantId);
+      deltas[key] = deltas[key] || { productId, productVariantId: line.productVariantId || null, quantity: 0 };
+      deltas[key].quantity += line.quantity;
+    }
+
+    for (const delta of Object.values(deltas)) {
+      let quantity = delta.quantity;
+      if (quantity < 0) {
+        const held = await this.getQuantityAt(client, location, delta.productId, delta.productVariantId);
+        quantity = -Math.min(-quantity, Math.max(0, held));
+      }
+      await this.adjustLocationStock(client, location, delta.productId, delta.productVariantId, quantity);
+    }
+  }
+
+  /**
+   * Check a location can ship an order's lines
+   * @param {Object} location - Location record
+   * @param {Array} orderItems - [{ productId, productVariantId, productName, quantity }]
+   * @param {Object} client - Prisma client or transaction
+   * @returns {Array<string>} Shortfall messages (empty when everything is there)
+   */
+  async getDispatchShortfalls(location, orderItems, client = prisma) {
+    // Confirmation already took the order off the default location's remainder
+    if (location.isDefault) return [];
+
+    const needed = {};
+    orderItems.filter(item => item.productId).forEach(item => {
+      const key = stockKey(item.productId, item.productVariantId);
+      needed[key] = needed[key] || { ...item, quantity: 0 };
+      needed[key].quantity += item.quantity;
+    });
+
+    const shortfalls = [];
+    for (const line of Object.values(needed)) {
+      const available = await this.getQuantityAt(client, location, line.productId, line.productVariantId || null);
+      if (line.quantity > available) {
+        shortfalls.push(`${line.productName}: ${Math.max(0, available)} at ${location.name}, ${line.quantity} needed`);
+      }
+    }
+    return shortfalls;
+  }
+
+  /**
+   * Take a dispatched order's lines out of the location they shipped from
+   * @param {Object} tx - Prisma transaction client
+   * @param {Object} location - Location record
+   * @param {Array} orderItems - [{ productId, productVariantId, productName, quantity }]
+   */
+  async dispatchFromLocation(tx, location, orderItems) {
+    if (location.isDefault) return;
+
+    // The check before the courier booking ran outside this transaction; lock the rows and check
+    // again so two dispatches (or a dispatch and a transfer) cannot both take the last units
+    const lines = orderItems.filter(item => item.productId)
+      .sort((a, b) => stockKey(a.productId, a.productVariantId).localeCompare(stockKey(b.productId, b.productVariantId)));
+    for (const item of lines) {
+      await this.lockStockLine(tx, location, item.productId, item.productVariantId || null);
+    }
+    const shortfalls = await this.getDispatchShortfalls(location, orderItems, tx);
+    if (shortfalls.length > 0) {
+      const stockError = new Error(`Not enough stock at ${location.name}: ${shortfalls.join('; ')}`);
+      stockError.code = 'STOCK_UNAVAILABLE';
+      stockError.details = shortfalls;
+      throw stockError;
+    }
+
+    for (const item of orderItems) {
+      if (!item.productId) continue;
+      // The units left the totals at confirmation (from the default remainder); moving them
+      // off this location's row hands them back to the remainder
+      await this.adjustLocationStock(tx, location, item.productId, item.productVariantId, -item.quantity);
+    }
+  }
+}
+
+module.exports = new LocationService();
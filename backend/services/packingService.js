@@ -0,0 +1,192 @@
+const prisma = require('../lib/db');
+
+// Labels carry the SKU when there is one and the record ID otherwise, so every product
+// and variant can be labelled without filling in SKUs first. Variant lines only accept
+// their own variant's label: scanning the right product in the wrong colour/size fails.
+
+const normalizeCode = (code) => (code || '').toString().trim().toUpperCase();
+
+const describeLine = (name, color, size) =>
+  color || size ? `${name} (${[color, size].filter(Boolean).join(', ')})` : name;
+
+class PackingService {
+  /**
+   * Code printed on a product or variant label
+   * @param {Object} record - Product or variant with id and sku
+   * @returns {string}
+   */
+  getLabelCode(record) {
+    return (record.sku || '').trim() || record.id;
+  }
+
+  /**
+   * Find the product/variant a scanned label belongs to
+   * @param {string} tenantId - Tenant ID
+   * @param {string} code - Scanned code
+   * @returns {Object|null} { label, productId, productVariantId }
+   */
+  async findByCode(tenantId, code) {
+    const value = (code || '').toString().trim();
+    if (!value) return null;
+
+    const variant = await prisma.productVariant.findFirst({
+      where: {
+        product: { tenantId },
+        OR: [{ id: value }, { sku: { equals: value, mode: 'insensitive' } }]
+      },
+      include: { product: { select: { name: true } } }
+    });
+    if (variant) {
+      return {
+        label: describeLine(variant.product.name, variant.color, variant.size),
+        productId: variant.productId,
+        productVariantId: variant.id
+      };
+    }
+
+    const product = await prisma.product.findFirst({
+      where: {
+        tenantId,
+        OR: [{ id: value }, { sku: { equals: value, mode: 'insensitive' } }]
+      },
+      select: { id: true, name: true }
+    });
+    return product ? { label: product.name, productId: product.id, productVariantId: null } : null;
+  }
+
+  /**
+   * Load an order with the codes each of its lines accepts
+   * @param {string} orderId - Order ID
+   * @returns {Object} Order with packLines
+   */
+  async getPackList(orderId) {
+    const order = await prisma.order.findUnique({
+      where: { id: orderId },
+      select: {
+        id: true,
+        orderNumber: true,
+        status: true,
+        tenantId: true,
+        packVerifiedAt: true,
+        packVerifiedBy: true,
+        tenant: { select: { businessName: true, requirePackScan: true } },
+        orderItems: {
+          orderBy: { createdAt: 'asc' },
+          include: {
+            product: { select: { id: true, sku: true } },
+            productVariant: { select: { id: true, sku: true, color: true, size: true } }
+          }
+        }
+      }
+    });
+    if (!order) {
+      throw new Error('Order not found');
+    }
+
+    // Lines without a catalogue product have no label to scan
+    const packLines = order.orderItems.filter(item => item.productId).map(item => {
+      const source = item.productVariant || item.product;
+      const codes = [source.id, source.sku].filter(Boolean);
+      return {
+        orderItemId: item.id,
+        productName: describeLine(
+          item.productName,
+          item.productVariant ? item.productVariant.color : item.color,
+          item.productVariant ? item.productVariant.size : item.size
+        ),
+        quantity: item.quantity,
+        labelCode: this.getLabelCode(source),
+        codes: codes.map(normalizeCode)
+      };
+    });
+
+    delete order.orderItems;
+    return { ...order, packLines };
+  }
+
+  /**
+   * Match scanned codes against an order's lines
+   * @param {Object} packList - Result of getPackList
+   * @param {Array<string>} codes - One entry per scanned unit
+   * @returns {Object} { lines, unexpected, complete }
+   */
+  async matchScans(packList, codes) {
+    const lines = packList.packLines.map(line => ({ ...line, scanned: 0 }));
+    const unexpected = [];
+
+    for (const code of codes || []) {
+      const value = normalizeCode(code);
+      if (!value) continue;
+      const matching = lines.filter(line => line.codes.includes(value));
+      const open = matching.find(line => line.scanned < line.quantity);
+      if (open) {
+        open.scanned += 1;
+      } else if (matching.length > 0) {
+        unexpected.push({ code, label: matching[0].productName, reason: 'Already scanned the ordered quantity' });
+      } else {
+        const found = await this.findByCode(packList.tenantId, code);
+        unexpected.push({
+          code,
+          label: found ? found.label : null,
+          reason: found ? 'Not in this order' : 'Unknown label'
+        });
+      }
+    }
+
+    return {
+      lines,
+      unexpected,
+      complete: lines.every(line => line.scanned >= line.quantity)
+    };
+  }
+
+  /**
+   * Check a packer's scans and mark the order as verified when every unit was scanned
+   * @param {string} orderId - Order ID
+   * @param {Array<string>} codes - One entry per scanned unit
+   * @param {Object} user - User doing the packing
+   * @returns {Object} { lines, unexpected, complete, packVerifiedAt }
+   */
+  async verifyPack(orderId, codes, user) {
+    const packList = await this.getPackList(orderId);
+    if (packList.status !== 'CONFIRMED') {
+      throw new Error('Only confirmed orders can be packed');
+    }
+    if (packList.packLines.length === 0) {
+      throw new Error('This order has no item lines to scan');
+    }
+
+    const result = await this.matchScans(packList, codes);
+    if (!result.complete) {
+      const missing = result.lines
+        .filter(line => line.scanned < line.quantity)
+        .map(line => `${line.productName} (${line.scanned}/${line.quantity})`);
+      // Undoing scans after a complete pack withdraws the verification
+      if (packList.packVerifiedAt) {
+        await prisma.order.update({ where: { id: orderId }, data: { packVerifiedAt: null, packVerifiedBy: null } });
+      }
+      return { ...result, missing, packVerifiedAt: null };
+    }
+
+    const order = await prisma.order.update({
+      where: { id: orderId },
+      data: { packVerifiedAt: new Date(), packVerifiedBy: user?.name || user?.email || null },
+      select: { packVerifiedAt: true, packVerifiedBy: true }
+    });
+    return { ...result, missing: [], ...order };
+  }
+
+  /**
+   * Reason an order cannot be dispatched yet, if its business requires scanning
+   * @param {Object} order - Order with packVerifiedAt
+   * @param {Object} tenant - Tenant with requirePackScan
+   * @param {number} lineCount - Number of scannable (catalogue) order lines
+   * @returns {string|null}
+   */
+  getDispatchBlock(order, tenant, lineCount) {
+    if (!tenant?.requirePackScan || lineCount === 0 || order.packVerifiedAt) return null;
+    return 'Scan every item in this order before dispatching it';
+  }
+}
+
+module.exports = new PackingService();
@@ -0,0 +1,760 @@
+const ExcelJS = require('exceljs');
+const prisma = require('../lib/db');
+const { parseCsvRows, normalizeHeader, parseAmount, toCsv } = require('../utils/csv');
+
+// Columns a sheet can be mapped onto. Aliases are normalised headers (see utils/csv.normalizeHeader);
+// exports use the labels, so an exported sheet maps itself when it is imported again.
+// One row per variant: rows sharing a Product SKU (or name, when there is no SKU) are one product.
+const IMPORT_FIELDS = [
+  { key: 'name', label: 'Product Name', required: true, aliases: ['productname', 'name', 'product', 'title', 'itemname'] },
+  { key: 'sku', label: 'Product SKU', aliases: ['productsku', 'sku', 'productcode', 'itemcode', 'code'] },
+  { key: 'category', label: 'Category', aliases: ['category', 'categoryname'] },
+  { key: 'description', label: 'Description', aliases: ['description', 'details'] },
+  { key: 'isStitched', label: 'Stitched', aliases: ['stitched', 'isstitched'] },
+  { key: 'purchasePrice', label: 'Purchase Price', aliases: ['purchaseprice', 'lastpurchaseprice', 'costprice', 'cost'] },
+  { key: 'retailPrice', label: 'Retail Price', aliases: ['retailprice', 'currentretailprice', 'sellingprice', 'saleprice', 'price'] },
+  { key: 'color', label: 'Color', aliases: ['color', 'colour', 'variantcolor', 'variantcolour'] },
+  { key: 'size', label: 'Size', aliases: ['size', 'variantsize'] },
+  { key: 'variantSku', label: 'Variant SKU', aliases: ['variantsku', 'variantcode'] },
+  { key: 'quantity', label: 'Quantity', aliases: ['quantity', 'openingstock', 'stock', 'qty', 'currentquantity'] },
+  { key: 'minStockLevel', label: 'Min Stock', aliases: ['minstock', 'minstocklevel', 'reorderlevel'] },
+  { key: 'maxStockLevel', label: 'Max Stock', aliases: ['maxstock', 'maxstocklevel'] }
+];
+
+const SUPPORTED_EXTENSIONS = ['csv', 'xlsx'];
+const MAX_ROWS = 5000;
+const SAMPLE_ROWS = 5;
+const DEFAULT_MARKUP = 1.5; // Same 50% markup the product form applies when only a purchase price is given
+
+const TRUE_VALUES = ['yes', 'y', 'true', '1', 'stitched'];
+const FALSE_VALUES = ['no', 'n', 'false', '0', 'unstitched'];
+
+const lower = (value) => (value || '').toLowerCase();
+const variantKey = (color, size) => `${lower(color)}|${lower(size)}`;
+const describeVariant = (color, size) => `${color}${size ? ` / ${size}` : ''}`;
+
+class ProductImportService {
+  /**
+   * Fields a sheet column can be mapped to
+   * @returns {Array<{key: string, label: string, required: boolean}>}
+   */
+  getFields() {
+    return IMPORT_FIELDS.map(({ key, label, required }) => ({ key, label, required: !!required }));
+  }
+
+  /**
+   * Read a CSV or XLSX upload into a header row and data rows
+   * @param {Buffer} buffer - File content
+   * @param {string} filename - Original file name (used for the format)
+   * @returns {Object} { headers: [string], rows: [{line, cells: [string]}] }
+   */
+  async readSheet(buffer, filename) {
+    const extension = lower(filename).split('.').pop();
+    if (!SUPPORTED_EXTENSIONS.includes(extension)) {
+      throw new Error('Only .csv and .xlsx files can be imported');
+    }
+
+    let table = [];
+    if (extension === 'csv') {
+      table = parseCsvRows(buffer.toString('utf8')).map((cells, index) => ({ line: index + 1, cells }));
+    } else {
+      const workbook = new ExcelJS.Workbook();
+      try {
+        await workbook.xlsx.load(buffer);
+      } catch (error) {
+        throw new Error('The spreadsheet could not be read. Save it as .xlsx or .csv and try again');
+      }
+      const sheet = workbook.worksheets[0];
+      if (sheet) {
+        sheet.eachRow({ includeEmpty: false }, (row) => {
+          const cells = [];
+          for (let col = 1; col <= sheet.columnCount; col++) {
+            cells.push(row.getCell(col).text || '');
+          }
+          if (cells.some(cell => cell.trim() !== '')) {
+            table.push({ line: row.number, cells });
+          }
+        });
+      }
+    }
+
+    const [headerRow, ...rows] = table;
+    if (!headerRow || rows.length === 0) {
+      throw new Error('The file has no product rows under its header row');
+    }
+    if (rows.length > MAX_ROWS) {
+      throw new Error(`Import up to ${MAX_ROWS} rows at a time (this file has ${rows.length})`);
+    }
+
+    return {
+      headers: headerRow.cells.map(header => header.trim()),
+      rows: rows.map(row => ({ line: row.line, cells: row.cells.map(cell => String(cell).trim()) }))
+    };
+  }
+
+  /**
+   * Guess which column feeds each field from the header names
+   * @param {Array<string>} headers - Sheet headers
+   * @returns {Object} { [fieldKey]: columnIndex|null }
+   */
+  suggestMapping(headers) {
+    const normalized = headers.map(normalizeHeader);
+    const used = new Set();
+    const mapping = {};
+
+    for (const field of IMPORT_FIELDS) {
+      const index = field.aliases
+        .map(alias => normalized.findIndex((header, col) => header === alias && !used.has(col)))
+        .find(col => col >= 0);
+      mapping[field.key] = index === undefined ? null : index;
+      if (index !== undefined) used.add(index);
+    }
+
+    return mapping;
+  }
+
+  /**
+   * Check a client-supplied mapping against the sheet's columns
+   * @param {Object|string} mapping - { [fieldKey]: columnIndex } (JSON string from multipart forms)
+   * @param {Array<string>} headers - Sheet headers
+   * @returns {Object} Mapping with every field present
+   */
+  parseMapping(mapping, headers) {
+    let input = mapping;
+    if (typeof input === 'string') {
+      try {
+        input = JSON.parse(input);
+      } catch (error) {
+        throw new Error('Column mapping is not valid JSON');
+      }
+    }
+    if (!input) {
+      return this.suggestMapping(headers);
+    }
+
+    const result = {};
+    for (const field of IMPORT_FIELDS) {
+      const value = input[field.key];
+      if (value === undefined || value === null || value === '') {
+        result[field.key] = null;
+        continue;
+      }
+      const index = Number(value);
+      if (!Number.isInteger(index) || index < 0 || index >= headers.length) {
+        throw new Error(`${field.label} is mapped to a column that is not in the file`);
+      }
+      result[field.key] = index;
+    }
+
+    if (result.name === null) {
+      throw new Error('Map a column to Product Name');
+    }
+    return result;
+  }
+
+  /**
+   * Headers, sample rows and a suggested mapping for the column-mapping step
+   * @param {Buffer} buffer - File content
+   * @param {string} filename - Original file name
+   * @returns {Object} { headers, sampleRows, totalRows, mapping, fields }
+   */
+  async previewFile(buffer, filename) {
+    const { headers, rows } = await this.readSheet(buffer, filename);
+    return {
+      headers,
+      sampleRows: rows.slice(0, SAMPLE_ROWS).map(row => row.cells),
+      totalRows: rows.length,
+      mapping: this.suggestMapping(headers),
+      fields: this.getFields()
+    };
+  }
+
+  /**
+   * Parse one mapped row's numbers and flags, recording problems in the report
+   * @param {Object} raw - { line, [fieldKey]: string }
+   * @param {Object} report - Report being built
+   * @returns {Object} Parsed row
+   */
+  parseRow(raw, report) {
+    const error = (message) => report.errors.push({ line: raw.line, message });
+    const row = {
+      line: raw.line,
+      name: raw.name,
+      sku: raw.sku || null,
+      category: raw.category || null,
+      description: raw.description || null,
+      color: raw.color || null,
+      size: raw.size || null,
+      variantSku: raw.variantSku || null
+    };
+
+    for (const key of ['purchasePrice', 'retailPrice']) {
+      const label = IMPORT_FIELDS.find(field => field.key === key).label;
+      row[key] = raw[key] ? parseAmount(raw[key]) : null;
+      if (raw[key] && (row[key] === null || row[key] < 0)) {
+        error(`${label} "${raw[key]}" is not a valid amount`);
+        row[key] = null;
+      }
+    }
+
+    for (const key of ['quantity', 'minStockLevel', 'maxStockLevel']) {
+      const label = IMPORT_FIELDS.find(field => field.key === key).label;
+      const value = raw[key] ? Number(raw[key].replace(/,/g, '')) : null;
+      row[key] = value;
+      if (raw[key] && (!Number.isInteger(value) || value < 0)) {
+        error(`${label} "${raw[key]}" must be a whole number of 0 or more`);
+        row[key] = null;
+      }
+    }
+
+    row.isStitched = null;
+    if (raw.isStitched) {
+      if (TRUE_VALUES.includes(lower(raw.isStitched))) row.isStitched = true;
+      else if (FALSE_VALUES.includes(lower(raw.isStitched))) row.isStitched = false;
+      else error(`Stitched "${raw.isStitched}" should be yes or no`);
+    }
+
+    if (!row.name) {
+      error('Product name is required');
+    }
+    if (!row.color && (row.size || row.variantSku)) {
+      error('Color is required when a size or variant SKU is given');
+    }
+
+    return row;
+  }
+
+  /**
+   * Validate mapped rows against the catalogue and work out what an import would do.
+   * Products are matched by SKU (or by name when the row has no SKU), variants by variant SKU
+   * and then by colour/size. Quantities only seed opening stock for new products and variants;
+   * a different quantity on an existing one is reported rather than applied.
+   * @param {string} tenantId - Tenant ID
+   * @param {Array<Object>} rawRows - Mapped rows ({ line, [fieldKey]: string })
+   * @returns {Object} { report, plan }
+   */
+  async buildPlan(tenantId, rawRows) {
+    const report = { totalRows: rawRows.length, errors: [], warnings: [], newCategories: [] };
+    const rows = rawRows.map(raw => this.parseRow(raw, report));
+
+    const products = await prisma.product.findMany({
+      where: { tenantId },
+      select: {
+        id: true, name: true, sku: true, category: true, description: true, isStitched: true,
+        currentRetailPrice: true, lastPurchasePrice: true, currentQuantity: true, minStockLevel: true, maxStockLevel: true,
+        variants: {
+          select: { id: true, color: true, size: true, sku: true, currentQuantity: true, minStockLevel: true, maxStockLevel: true }
+        }
+      }
+    });
+    const productsBySku = {};
+    const productsByName = {};
+    const categories = {};
+    for (const product of products) {
+      if (product.sku) (productsBySku[lower(product.sku)] = productsBySku[lower(product.sku)] || []).push(product);
+      (productsByName[lower(product.name)] = productsByName[lower(product.name)] || []).push(product);
+      if (product.category) categories[lower(product.category)] = product.category;
+    }
+
+    // Group rows into products
+    const groups = new Map();
+    for (const row of rows) {
+      if (!row.name) continue;
+      const key = row.sku ? `sku:${lower(row.sku)}` : `name:${lower(row.name)}`;
+      if (!groups.has(key)) {
+        const matches = row.sku ? (productsBySku[lower(row.sku)] || []) : (productsByName[lower(row.name)] || []);
+        if (matches.length > 1) {
+          report.errors.push({
+            line: row.line,
+            message: `${row.sku ? `SKU "${row.sku}"` : `"${row.name}"`} matches ${matches.length} existing products; give each a unique SKU first`
+          });
+        }
+        groups.set(key, { key, existing: matches[0] || null, rows: [], productRow: null, variants: [] });
+      }
+      const group = groups.get(key);
+      if (row.sku && group.rows.length > 0 && lower(group.rows[0].name) !== lower(row.name)) {
+        report.errors.push({ line: row.line, message: `SKU "${row.sku}" is already used for "${group.rows[0].name}" in this file` });
+        continue;
+      }
+      group.rows.push(row);
+    }
+
+    // Variant SKUs must be unique across the whole server
+    const fileSkus = {};
+    const requestedSkus = [];
+    for (const group of groups.values()) {
+      const productSku = group.rows.find(row => row.sku)?.sku || group.existing?.sku;
+      for (const row of group.rows) {
+        if (!row.color) continue;
+        if (!row.variantSku && productSku) {
+          // Same pattern as the variant form's generated SKUs
+          row.variantSku = (row.size ? `${productSku}-${row.color}-${row.size}` : `${productSku}-${row.color}`).toUpperCase();
+          row.skuGenerated = true;
+        }
+        if (row.variantSku) requestedSkus.push(row.variantSku);
+      }
+    }
+    const takenVariants = requestedSkus.length > 0
+      ? await prisma.productVariant.findMany({
+        where: { sku: { in: requestedSkus } },
+        select: { id: true, sku: true, productId: true }
+      })
+      : [];
+    const takenBySku = Object.fromEntries(takenVariants.map(variant => [variant.sku, variant]));
+
+    const plan = [];
+    for (const group of groups.values()) {
+      const { existing } = group;
+      const first = (key) => group.rows.map(row => row[key]).find(value => value !== null && value !== undefined);
+      const fields = {
+        name: group.rows[0].name,
+        sku: first('sku'),
+        category: first('category'),
+        description: first('description'),
+        isStitched: first('isStitched'),
+        purchasePrice: first('purchasePrice'),
+        retailPrice: first('retailPrice')
+      };
+      const isStitched = fields.isStitched ?? existing?.isStitched ?? false;
+
+      if (fields.category) {
+        const known = categories[lower(fields.category)];
+        if (known) {
+          fields.category = known;
+        } else {
+          categories[lower(fields.category)] = fields.category;
+          report.newCategories.push(fields.category);
+          report.warnings.push({ line: group.rows[0].line, message: `"${fields.category}" is a new category` });
+        }
+      }
+
+      if (!existing && fields.retailPrice == null) {
+        if (fields.purchasePrice == null) {
+          report.errors.push({ line: group.rows[0].line, message: `"${fields.name}" needs a retail or purchase price` });
+        } else {
+          report.warnings.push({
+            line: group.rows[0].line,
+            message: `"${fields.name}" has no retail price; it will be set to ${Math.round(fields.purchasePrice * DEFAULT_MARKUP * 100) / 100}`
+          });
+        }
+      }
+
+      const entry = { existing, fields, line: group.rows[0].line, quantity: null, minStockLevel: null, maxStockLevel: null, variants: [] };
+      const existingVariants = existing ? existing.variants : [];
+      const seenVariants = new Set();
+
+      for (const row of group.rows) {
+        if (!row.color) {
+          if (group.productRow) {
+            report.errors.push({ line: row.line, message: `Duplicate ${row.sku ? `SKU "${row.sku}"` : `product "${row.name}"`} (also on line ${group.productRow.line})` });
+            continue;
+          }
+          group.productRow = row;
+          entry.quantity = row.quantity;
+          entry.minStockLevel = row.minStockLevel;
+          entry.maxStockLevel = row.maxStockLevel;
+          if (existing && row.quantity !== null && row.quantity !== existing.currentQuantity) {
+            report.warnings.push({ line: row.line, message: `Stock for existing product "${row.name}" is not changed by imports; use a stock count` });
+          }
+          continue;
+        }
+
+        const label = `"${row.name}" ${describeVariant(row.color, row.size)}`;
+        if (isStitched && !row.size) {
+          report.errors.push({ line: row.line, message: `Size is required for stitched product ${label}` });
+          continue;
+        }
+        const key = variantKey(row.color, row.size);
+        if (seenVariants.has(key)) {
+          report.errors.push({ line: row.line, message: `Duplicate variant ${label}` });
+          continue;
+        }
+        seenVariants.add(key);
+
+        if (row.variantSku) {
+          const skuKey = lower(row.variantSku);
+          if (fileSkus[skuKey]) {
+            report.errors.push({ line: row.line, message: `Duplicate variant SKU "${row.variantSku}" (also on line ${fileSkus[skuKey]})` });
+            continue;
+          }
+          fileSkus[skuKey] = row.line;
+        }
+
+        let variant = null;
+        const taken = row.variantSku ? takenBySku[row.variantSku] : null;
+        if (row.skuGenerated) {
+          // Generated SKUs never replace a variant's own SKU or clash with another product's
+          variant = existingVariants.find(item => variantKey(item.color, item.size) === key) || null;
+          if (variant || taken) {
+            row.variantSku = null;
+          }
+        } else if (taken) {
+          variant = existingVariants.find(item => item.id === taken.id);
+          if (!variant) {
+            report.errors.push({ line: row.line, message: `Variant SKU "${row.variantSku}" already belongs to another product` });
+            continue;
+          }
+          if (variantKey(variant.color, variant.size) !== key && existingVariants.some(item => item.id !== variant.id && variantKey(item.color, item.size) === key)) {
+            report.errors.push({ line: row.line, message: `Variant SKU "${row.variantSku}" would duplicate ${label}` });
+            continue;
+          }
+        } else {
+          variant = existingVariants.find(item => variantKey(item.color, item.size) === key) || null;
+        }
+
+        if (variant && row.quantity !== null && row.quantity !== variant.currentQuantity) {
+          report.warnings.push({ line: row.line, message: `Stock for existing variant ${label} is not changed by imports; use a stock count` });
+        }
+        entry.variants.push({
+          existing: variant,
+          line: row.line,
+          color: row.color,
+          size: row.size,
+          sku: row.variantSku,
+          quantity: row.quantity,
+          minStockLevel: row.minStockLevel,
+          maxStockLevel: row.maxStockLevel
+        });
+      }
+
+      plan.push(entry);
+    }
+
+    report.errors.sort((a, b) => a.line - b.line);
+    report.warnings.sort((a, b) => a.line - b.line);
+    report.summary = {
+      productsToCreate: plan.filter(entry => !entry.existing).length,
+      productsToUpdate: plan.filter(entry => entry.existing).length,
+      variantsToCreate: plan.reduce((sum, entry) => sum + entry.variants.filter(variant => !variant.existing).length, 0),
+      variantsToUpdate: plan.reduce((sum, entry) => sum + entry.variants.filter(variant => variant.existing).length, 0),
+      openingStock: plan.reduce((sum, entry) => sum
+        + (entry.existing ? 0 : entry.quantity || 0)
+        + entry.variants.filter(variant => !variant.existing).reduce((units, variant) => units + (variant.quantity || 0), 0), 0)
+    };
+    report.valid = report.errors.length === 0;
+
+    return { report, plan };
+  }
+
+  /**
+   * Create or update one planned product and its variants, logging every change to ProductLog
+   * @param {Object} tx - Prisma transaction
+   * @param {string} tenantId - Tenant ID
+   * @param {Object} entry - Plan entry from buildPlan
+   * @param {string} reference - Log reference ("Import: products.csv")
+   */
+  async applyEntry(tx, tenantId, entry, reference) {
+    const { existing, fields } = entry;
+    const logs = [];
+    let product;
+
+    if (!existing) {
+      const markup = fields.purchasePrice != null && fields.purchasePrice > 0 ? fields.purchasePrice * DEFAULT_MARKUP : null;
+      product = await tx.product.create({
+        data: {
+          name: fields.name,
+          sku: fields.sku || null,
+          category: fields.category || null,
+          description: fields.description || null,
+          isStitched: fields.isStitched || false,
+          hasVariants: entry.variants.length > 0,
+          currentRetailPrice: fields.retailPrice ?? markup,
+          lastPurchasePrice: fields.purchasePrice ?? null,
+          lastSalePrice: markup,
+          currentQuantity: entry.quantity || 0,
+          minStockLevel: entry.minStockLevel || 0,
+          maxStockLevel: entry.maxStockLevel,
+          tenantId
+        }
+      });
+      if (product.currentRetailPrice != null) {
+        logs.push({
+          action: 'PRICE_UPDATE',
+          oldPrice: null,
+          newPrice: product.currentRetailPrice,
+          reason: 'Initial retail price set',
+          reference,
+          notes: `Retail price set to ${product.currentRetailPrice} on import`,
+          tenantId,
+          productId: product.id
+        });
+      }
+      if (fields.purchasePrice != null) {
+        logs.push({
+          action: 'PURCHASE_PRICE_UPDATE',
+          oldPrice: null,
+          newPrice: fields.purchasePrice,
+          reason: 'Initial purchase price set',
+          reference,
+          notes: `Purchase price set to ${fields.purchasePrice} on import`,
+          tenantId,
+          productId: product.id
+        });
+      }
+      if (entry.quantity) {
+        logs.push({
+          action: 'QUANTITY_ADJUSTMENT',
+          oldQuantity: 0,
+          newQuantity: entry.quantity,
+          quantity: entry.quantity,
+          reason: 'Opening stock',
+          reference,
+          notes: `Opening stock of ${entry.quantity} imported`,
+          tenantId,
+          productId: product.id
+        });
+      }
+    } else {
+      const data = {};
+      const infoChanges = [];
+      if (fields.name !== existing.name) {
+        data.name = fields.name;
+        infoChanges.push(`Name: "${existing.name}" → "${fields.name}"`);
+      }
+      for (const [key, label] of [['category', 'Category'], ['description', 'Description']]) {
+        if (fields[key] && fields[key] !== existing[key]) {
+          data[key] = fields[key];
+          infoChanges.push(`${label}: "${existing[key] || 'N/A'}" → "${fields[key]}"`);
+        }
+      }
+      if (fields.isStitched !== undefined && fields.isStitched !== null && fields.isStitched !== existing.isStitched) {
+        data.isStitched = fields.isStitched;
+        infoChanges.push(`Stitched: ${existing.isStitched ? 'Yes' : 'No'} → ${fields.isStitched ? 'Yes' : 'No'}`);
+      }
+      if (fields.retailPrice != null && fields.retailPrice !== existing.currentRetailPrice) {
+        data.currentRetailPrice = fields.retailPrice;
+        logs.push({
+          action: 'PRICE_UPDATE',
+          oldPrice: existing.currentRetailPrice,
+          newPrice: fields.retailPrice,
+          reason: 'Price updated by import',
+          reference,
+          notes: `Retail price changed from ${existing.currentRetailPrice || 'N/A'} to ${fields.retailPrice}`,
+          tenantId,
+          productId: existing.id
+        });
+      }
+      if (fields.purchasePrice != null && fields.purchasePrice !== existing.lastPurchasePrice) {
+        data.lastPurchasePrice = fields.purchasePrice;
+        logs.push({
+          action: 'PURCHASE_PRICE_UPDATE',
+          oldPrice: existing.lastPurchasePrice,
+          newPrice: fields.purchasePrice,
+          reason: 'Purchase price updated by import',
+          reference,
+          notes: `Purchase price changed from ${existing.lastPurchasePrice || 'N/A'} to ${fields.purchasePrice}`,
+          tenantId,
+          productId: existing.id
+        });
+      }
+      if (entry.minStockLevel !== null && entry.minStockLevel !== existing.minStockLevel) {
+        data.minStockLevel = entry.minStockLevel;
+        infoChanges.push(`Min stock: ${existing.minStockLevel} → ${entry.minStockLevel}`);
+      }
+      if (entry.maxStockLevel !== null && entry.maxStockLevel !== existing.maxStockLevel) {
+        data.maxStockLevel = entry.maxStockLevel;
+        infoChanges.push(`Max stock: ${existing.maxStockLevel || 'N/A'} → ${entry.maxStockLevel}`);
+      }
+      if (entry.variants.length > 0) {
+        data.hasVariants = true;
+      }
+      if (infoChanges.length > 0) {
+        logs.push({
+          action: 'INFO_UPDATE',
+          reason: 'Product information updated by import',
+          reference,
+          notes: infoChanges.join(', '),
+          tenantId,
+          productId: existing.id
+        });
+      }
+      product = Object.keys(data).length > 0
+        ? await tx.product.update({ where: { id: existing.id }, data: { ...data, lastUpdated: new Date() } })
+        : existing;
+    }
+
+    for (const planned of entry.variants) {
+      const label = describeVariant(planned.color, planned.size);
+      if (!planned.existing) {
+        const variant = await tx.productVariant.create({
+          data: {
+            productId: product.id,
+            color: planned.color,
+            size: planned.size,
+            sku: planned.sku,
+            currentQuantity: planned.quantity || 0,
+            minStockLevel: planned.minStockLevel || 0,
+            maxStockLevel: planned.maxStockLevel
+          }
+        });
+        logs.push({
+          action: 'VARIANT_CREATED',
+          reason: 'Variant created by import',
+          reference,
+          notes: `Variant created: Color: ${planned.color}, Size: ${planned.size || 'N/A'}, SKU: ${planned.sku || 'N/A'}`,
+          tenantId,
+          productId: product.id,
+          productVariantId: variant.id
+        });
+        if (planned.quantity) {
+          logs.push({
+            action: 'QUANTITY_ADJUSTMENT',
+            oldQuantity: 0,
+            newQuantity: planned.quantity,
+            quantity: planned.quantity,
+            reason: 'Opening stock',
+            reference,
+            notes: `Opening stock of ${planned.quantity} imported for ${label}`,
+            tenantId,
+            productId: product.id,
+            productVariantId: variant.id
+          });
+        }
+        continue;
+      }
+
+      const current = planned.existing;
+      const data = {};
+      const changes = [];
+      if (planned.sku && planned.sku !== current.sku) {
+        data.sku = planned.sku;
+        changes.push(`SKU: ${current.sku || 'N/A'} → ${planned.sku}`);
+      }
+      if (planned.color !== current.color || (planned.size || null) !== current.size) {
+        data.color = planned.color;
+        data.size = planned.size;
+        changes.push(`${describeVariant(current.color, current.size)} → ${label}`);
+      }
+      if (planned.minStockLevel !== null && planned.minStockLevel !== current.minStockLevel) {
+        data.minStockLevel = planned.minStockLevel;
+        changes.push(`Min stock: ${current.minStockLevel} → ${planned.minStockLevel}`);
+      }
+      if (planned.maxStockLevel !== null && planned.maxStockLevel !== current.maxStockLevel) {
+        data.maxStockLevel = planned.maxStockLevel;
+        changes.push(`Max stock: ${current.maxStockLevel || 'N/A'} → ${planned.maxStockLevel}`);
+      }
+      if (changes.length > 0) {
+        await tx.productVariant.update({ where: { id: current.id }, data });
+        logs.push({
+          action: 'VARIANT_UPDATED',
+          reason: 'Variant updated by import',
+          reference,
+          notes: `Variant updated: ${changes.join(', ')}`,
+          tenantId,
+          productId: product.id,
+          productVariantId: current.id
+        });
+      }
+    }
+
+    if (logs.length > 0) {
+      await tx.productLog.createMany({ data: logs });
+    }
+  }
+
+  /**
+   * Validate an upload and, unless it is a dry run or has errors, apply it in one transaction
+   * @param {string} tenantId - Tenant ID
+   * @param {Object} file - { buffer, originalname }
+   * @param {Object} options - { mapping, dryRun }
+   * @returns {Object} { imported, report }
+   */
+  async importProducts(tenantId, file, { mapping, dryRun } = {}) {
+    const { headers, rows } = await this.readSheet(file.buffer, file.originalname);
+    const columns = this.parseMapping(mapping, headers);
+
+    const rawRows = rows.map(row => {
+      const raw = { line: row.line };
+      for (const field of IMPORT_FIELDS) {
+        raw[field.key] = columns[field.key] === null ? '' : (row.cells[columns[field.key]] || '');
+      }
+      return raw;
+    });
+
+    const { report, plan } = await this.buildPlan(tenantId, rawRows);
+    if (dryRun || !report.valid) {
+      return { imported: false, report };
+    }
+
+    const reference = `Import: ${file.originalname}`;
+    await prisma.$transaction(async (tx) => {
+      for (const entry of plan) {
+        await this.applyEntry(tx, tenantId, entry, reference);
+      }
+    }, { timeout: 120000 });
+
+    return { imported: true, report };
+  }
+
+  /**
+   * Export the catalogue with one row per variant (or per product without variants)
+   * @param {string} tenantId - Tenant ID
+   * @param {string} format - 'csv' or 'xlsx'
+   * @returns {Object} { content, contentType, filename }
+   */
+  async exportProducts(tenantId, format = 'csv') {
+    if (!SUPPORTED_EXTENSIONS.includes(format)) {
+      throw new Error('Export format must be csv or xlsx');
+    }
+
+    const products = await prisma.product.findMany({
+      where: { tenantId },
+      include: { variants: { orderBy: [{ color: 'asc' }, { size: 'asc' }] } },
+      orderBy: { name: 'asc' }
+    });
+
+    const rows = [];
+    for (const product of products) {
+      const base = {
+        name: product.name,
+        sku: product.sku || '',
+        category: product.category || '',
+        description: product.description || '',
+        isStitched: product.isStitched ? 'Yes' : 'No',
+        purchasePrice: product.lastPurchasePrice ?? '',
+        retailPrice: product.currentRetailPrice ?? ''
+      };
+      if (product.variants.length === 0) {
+        rows.push({
+          ...base,
+          quantity: product.currentQuantity,
+          minStockLevel: product.minStockLevel,
+          maxStockLevel: product.maxStockLevel ?? ''
+        });
+        continue;
+      }
+      for (const variant of product.variants) {
+        rows.push({
+          ...base,
+          color: variant.color,
+          size: variant.size || '',
+          variantSku: variant.sku || '',
+          quantity: variant.currentQuantity,
+          minStockLevel: variant.minStockLevel,
+          maxStockLevel: variant.maxStockLevel ?? ''
+        });
+      }
+    }
+
+    const columns = IMPORT_FIELDS.map(({ key, label }) => ({ key, label }));
+    const filename = `products-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+    if (format === 'csv') {
+      return { content: toCsv(rows, columns), contentType: 'text/csv; charset=utf-8', filename };
+    }
+
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet('Products');
+    sheet.columns = columns.map(column => ({ header: column.label, key: column.key, width: column.key === 'description' ? 40 : 16 }));
+    sheet.getRow(1).font = { bold: true };
+    sheet.addRows(rows);
+
+    return {
+      content: Buffer.from(await workbook.xlsx.writeBuffer()),
+      contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      filename
+    };
+  }
+}
+
+module.exports = new ProductImportService();
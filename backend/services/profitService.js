@@ -1,5 +1,6 @@
 const prisma = require('../lib/db');
 const accountingService = require('./accountingService');
+const { CONFIRMED_ORDER_STATUSES } = require('../utils/orderStatus');
 
 class ProfitService {
   /**
@@ -29,6 +30,7 @@ class ProfitService {
         productQuantities: true,
         productPrices: true,
         shippingCharges: true,
+        discountAmount: true,
         refundAmount: true,
         orderItems: { select: { quantity: true, price: true } }
       }
@@ -61,6 +63,7 @@ class ProfitService {
           });
         }
       }
+      totalRevenue -= order.discountAmount || 0;
       totalShippingRevenue += order.shippingCharges || 0;
     }
 
@@ -478,7 +481,7 @@ class ProfitService {
     // Build where clause
     const whereClause = {
       tenantId,
-      status: { in: ['CONFIRMED', 'DISPATCHED', 'COMPLETED'] }
+      status: { in: CONFIRMED_ORDER_STATUSES }
     };
 
     if (status) {
@@ -504,6 +507,7 @@ class ProfitService {
         productQuantities: true,
         productPrices: true,
         shippingCharges: true,
+        discountAmount: true,
         shippingVariance: true,
         actualShippingCost: true,
         codFee: true,
@@ -576,6 +580,7 @@ class ProfitService {
         }
 
         orderRevenue += (order.shippingCharges || 0);
+        orderRevenue -= order.discountAmount || 0;
         if (order.codFeePaidBy === 'CUSTOMER' && order.codFee && order.codFee > 0) {
           orderRevenue += order.codFee;
         }
@@ -711,6 +716,7 @@ class ProfitService {
       }
 
       orderRevenue += (order.shippingCharges || 0);
+      orderRevenue -= order.discountAmount || 0;
       if (order.codFeePaidBy === 'CUSTOMER' && order.codFee && order.codFee > 0) {
         orderRevenue += order.codFee;
       }
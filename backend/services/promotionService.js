@@ -0,0 +1,312 @@
+const prisma = require('../lib/db');
+
+const DISCOUNT_TYPES = ['PERCENTAGE', 'FIXED'];
+const SCOPES = ['ORDER', 'PRODUCTS', 'CATEGORIES'];
+
+// Orders that never went ahead don't use up a coupon
+const NON_COUNTING_ORDER_STATUSES = ['CANCELLED'];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const normalizeCode = (code) => (code || '').toString().trim().toUpperCase();
+
+const parseOptionalNumber = (value, label, { integer = false } = {}) => {
+  if (value === undefined || value === null || value === '') return null;
+  const number = integer ? parseInt(value, 10) : parseFloat(value);
+  if (isNaN(number) || number < 0) {
+    throw new Error(`${label} must be a positive number`);
+  }
+  return number;
+};
+
+const parseOptionalDate = (value, label) => {
+  if (!value) return null;
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new Error(`${label} is not a valid date`);
+  }
+  return date;
+};
+
+class PromotionService {
+  /**
+   * Validate and normalise promotion input
+   * @param {Object} data - Request body
+   * @returns {Object} Prisma data
+   */
+  buildPromotionData(data) {
+    const code = normalizeCode(data.code);
+    if (!code || !/^[A-Z0-9_-]{3,30}$/.test(code)) {
+      throw new Error('Code must be 3-30 letters, numbers, dashes or underscores');
+    }
+
+    const name = (data.name || '').toString().trim();
+    if (!name) {
+      throw new Error('Name is required');
+    }
+
+    const discountType = data.discountType;
+    if (!DISCOUNT_TYPES.includes(discountType)) {
+      throw new Error('Discount type must be PERCENTAGE or FIXED');
+    }
+
+    const discountValue = parseFloat(data.discountValue);
+    if (isNaN(discountValue) || discountValue <= 0) {
+      throw new Error('Discount value must be greater than zero');
+    }
+    if (discountType === 'PERCENTAGE' && discountValue > 100) {
+      throw new Error('Percentage discount cannot exceed 100');
+    }
+
+    const scope = data.scope || 'ORDER';
+    if (!SCOPES.includes(scope)) {
+      throw new Error('Scope must be ORDER, PRODUCTS or CATEGORIES');
+    }
+
+    const productIds = scope === 'PRODUCTS' ? [...new Set((data.productIds || []).filter(Boolean))] : [];
+    const categories = scope === 'CATEGORIES'
+      ? [...new Set((data.categories || []).map(category => category.toString().trim()).filter(Boolean))]
+      : [];
+    if (scope === 'PRODUCTS' && productIds.length === 0) {
+      throw new Error('Select at least one product');
+    }
+    if (scope === 'CATEGORIES' && categories.length === 0) {
+      throw new Error('Select at least one category');
+    }
+
+    const startsAt = parseOptionalDate(data.startsAt, 'Start date');
+    const endsAt = parseOptionalDate(data.endsAt, 'End date');
+    if (startsAt && endsAt && endsAt < startsAt) {
+      throw new Error('End date must be after start date');
+    }
+
+    return {
+      code,
+      name,
+      description: data.description ? data.description.toString().trim() : null,
+      discountType,
+      discountValue,
+      maxDiscountAmount: discountType === 'PERCENTAGE'
+        ? parseOptionalNumber(data.maxDiscountAmount, 'Maximum discount')
+        : null,
+      scope,
+      productIds,
+      categories,
+      minOrderValue: parseOptionalNumber(data.minOrderValue, 'Minimum order value'),
+      usageLimit: parseOptionalNumber(data.usageLimit, 'Usage limit', { integer: true }),
+      perCustomerLimit: parseOptionalNumber(data.perCustomerLimit, 'Per-customer limit', { integer: true }),
+      startsAt,
+      endsAt,
+      isActive: data.isActive !== undefined ? !!data.isActive : true
+    };
+  }
+
+  /**
+   * Make sure scoped product IDs belong to the tenant
+   * @param {string} tenantId - Tenant ID
+   * @param {Array<string>} productIds - Product IDs
+   */
+  async assertTenantProducts(tenantId, productIds) {
+    if (productIds.length === 0) return;
+    const count = await prisma.product.count({ where: { tenantId, id: { in: productIds } } });
+    if (count !== productIds.length) {
+      throw new Error('One or more products not found');
+    }
+  }
+
+  /**
+   * Get promotions with how often each has been used
+   * @param {string} tenantId - Tenant ID
+   * @returns {Array} Promotions with usageCount and totalDiscount
+   */
+  async getPromotions(tenantId) {
+    const [promotions, usage] = await Promise.all([
+      prisma.promotion.findMany({
+        where: { tenantId },
+        orderBy: { createdAt: 'desc' }
+      }),
+      prisma.order.groupBy({
+        by: ['promotionId'],
+        where: {
+          tenantId,
+          promotionId: { not: null },
+          status: { notIn: NON_COUNTING_ORDER_STATUSES }
+        },
+        _count: { _all: true },
+        _sum: { discountAmount: true }
+      })
+    ]);
+
+    const usageByPromotion = new Map(usage.map(row => [row.promotionId, row]));
+
+    return promotions.map(promotion => {
+      const row = usageByPromotion.get(promotion.id);
+      return {
+        ...promotion,
+        usageCount: row ? row._count._all : 0,
+        totalDiscount: row ? round(row._sum.discountAmount || 0) : 0
+      };
+    });
+  }
+
+  /**
+   * Create a promotion
+   * @param {string} tenantId - Tenant ID
+   * @param {Object} data - Promotion fields
+   * @returns {Object} Promotion
+   */
+  async createPromotion(tenantId, data) {
+    const promotionData = this.buildPromotionData(data);
+    await this.assertTenantProducts(tenantId, promotionData.productIds);
+
+    const existing = await prisma.promotion.findUnique({
+      where: { code_tenantId: { code: promotionData.code, tenantId } }
+    });
+    if (existing) {
+      throw new Error(`Code ${promotionData.code} is already in use`);
+    }
+
+    return await prisma.promotion.create({
+      data: { ...promotionData, tenantId }
+    });
+  }
+
+  /**
+   * Update a promotion
+   * @param {string} id - Promotion ID
+   * @param {string} tenantId - Tenant ID
+   * @param {Object} data - Promotion fields
+   * @returns {Object} Promotion
+   */
+  async updatePromotion(id, tenantId, data) {
+    const promotion = await prisma.promotion.findFirst({ where: { id, tenantId } });
+    if (!promotion) {
+      throw new Error('Promotion not found');
+    }
+
+    const promotionData = this.buildPromotionData({ ...promotion, ...data });
+    await this.assertTenantProducts(tenantId, promotionData.productIds);
+
+    if (promotionData.code !== promotion.code) {
+      const existing = await prisma.promotion.findUnique({
+        where: { code_tenantId: { code: promotionData.code, tenantId } }
+      });
+      if (existing) {
+        throw new Error(`Code ${promotionData.code} is already in use`);
+      }
+    }
+
+    return await prisma.promotion.update({
+      where: { id },
+      data: promotionData
+    });
+  }
+
+  /**
+   * Delete a promotion that no order has used yet
+   * @param {string} id - Promotion ID
+   * @param {string} tenantId - Tenant ID
+   */
+  async deletePromotion(id, tenantId) {
+    const promotion = await prisma.promotion.findFirst({
+      where: { id, tenantId },
+      include: { _count: { select: { orders: true } } }
+    });
+    if (!promotion) {
+      throw new Error('Promotion not found');
+    }
+    if (promotion._count.orders > 0) {
+      throw new Error('This code has been used on orders; deactivate it instead');
+    }
+
+    await prisma.promotion.delete({ where: { id } });
+  }
+
+  /**
+   * Validate a coupon against an order and work out the discount
+   * @param {Object} params - { tenantId, code, lines: [{productId, quantity, price}], customerId, at, excludeOrderId, client }
+   * @returns {Object} { promotion, discountAmount, eligibleSubtotal, subtotal }
+   */
+  async calculateDiscount({ tenantId, code, lines, customerId = null, at = new Date(), excludeOrderId = null, client = prisma }) {
+    const normalizedCode = normalizeCode(code);
+    const promotion = normalizedCode
+      ? await client.promotion.findUnique({
+        where: { code_tenantId: { code: normalizedCode, tenantId } }
+      })
+      : null;
+
+    if (!promotion || !promotion.isActive) {
+      throw new Error('Invalid discount code');
+    }
+    if (promotion.startsAt && at < promotion.startsAt) {
+      throw new Error('This discount code is not active yet');
+    }
+    if (promotion.endsAt && at > promotion.endsAt) {
+      throw new Error('This discount code has expired');
+    }
+
+    const subtotal = lines.reduce((sum, line) => sum + line.price * line.quantity, 0);
+    if (promotion.minOrderValue && subtotal < promotion.minOrderValue) {
+      throw new Error(`This code needs a minimum order of Rs. ${promotion.minOrderValue}`);
+    }
+
+    if (promotion.usageLimit !== null || (promotion.perCustomerLimit !== null && customerId)) {
+      const usageWhere = {
+        promotionId: promotion.id,
+        status: { notIn: NON_COUNTING_ORDER_STATUSES }
+      };
+      if (excludeOrderId) {
+        // An order being edited already holds one of the uses
+        usageWhere.id = { not: excludeOrderId };
+      }
+      if (promotion.usageLimit !== null) {
+        const used = await client.order.count({ where: usageWhere });
+        if (used >= promotion.usageLimit) {
+          throw new Error('This discount code has reached its usage limit');
+        }
+      }
+      if (promotion.perCustomerLimit !== null && customerId) {
+        const usedByCustomer = await client.order.count({ where: { ...usageWhere, customerId } });
+        if (usedByCustomer >= promotion.perCustomerLimit) {
+          throw new Error('You have already used this discount code');
+        }
+      }
+    }
+
+    let eligibleLines = lines;
+    if (promotion.scope === 'PRODUCTS') {
+      eligibleLines = lines.filter(line => promotion.productIds.includes(line.productId));
+    } else if (promotion.scope === 'CATEGORIES') {
+      const products = await client.product.findMany({
+        where: { tenantId, id: { in: lines.map(line => line.productId).filter(Boolean) } },
+        select: { id: true, category: true }
+      });
+      const eligibleIds = new Set(
+        products.filter(product => promotion.categories.includes(product.category)).map(product => product.id)
+      );
+      eligibleLines = lines.filter(line => eligibleIds.has(line.productId));
+    }
+
+    const eligibleSubtotal = eligibleLines.reduce((sum, line) => sum + line.price * line.quantity, 0);
+    if (eligibleSubtotal <= 0) {
+      throw new Error('This discount code does not apply to the items in your order');
+    }
+
+    let discountAmount = promotion.discountType === 'PERCENTAGE'
+      ? eligibleSubtotal * promotion.discountValue / 100
+      : promotion.discountValue;
+    if (promotion.maxDiscountAmount) {
+      discountAmount = Math.min(discountAmount, promotion.maxDiscountAmount);
+    }
+    discountAmount = round(Math.min(discountAmount, eligibleSubtotal));
+
+    return {
+      promotion,
+      discountAmount,
+      eligibleSubtotal: round(eligibleSubtotal),
+      subtotal: round(subtotal)
+    };
+  }
+}
+
+module.exports = new PromotionService();
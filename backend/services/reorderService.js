@@ -0,0 +1,291 @@
+const prisma = require('../lib/db');
+
+// Orders that never turned into a sale don't count towards velocity
+const EXCLUDED_ORDER_STATUSES = ['CANCELLED', 'RETURNED_TO_ORIGIN'];
+
+// ProductLog reason written by inventoryService when an order is confirmed
+const SALE_LOG_REASON = 'Order confirmed';
+
+const DEFAULT_LOOKBACK_DAYS = 30;
+const DEFAULT_COVER_DAYS = 30;
+
+const stockKey = (productId, productVariantId) => `${productId}:${productVariantId || ''}`;
+
+class ReorderService {
+  /**
+   * Units sold per product/variant since a date
+   * Uses OrderItem rows; items with no order items in the window fall back to
+   * "Order confirmed" DECREASE logs (orders that only stored products in formData)
+   * @param {string} tenantId - Tenant ID
+   * @param {Date} since - Start of the window
+   * @returns {Map} stockKey -> units sold
+   */
+  async getUnitsSold(tenantId, since) {
+    const [orderItems, saleLogs] = await Promise.all([
+      prisma.orderItem.findMany({
+        where: {
+          productId: { not: null },
+          order: {
+            tenantId,
+            createdAt: { gte: since },
+            status: { notIn: EXCLUDED_ORDER_STATUSES }
+          }
+        },
+        select: { productId: true, productVariantId: true, quantity: true }
+      }),
+      prisma.productLog.findMany({
+        where: {
+          tenantId,
+          action: 'DECREASE',
+          reason: SALE_LOG_REASON,
+          productId: { not: null },
+          createdAt: { gte: since }
+        },
+        select: { productId: true, productVariantId: true, quantity: true }
+      })
+    ]);
+
+    const fromOrders = new Map();
+    for (const item of orderItems) {
+      const key = stockKey(item.productId, item.productVariantId);
+      fromOrders.set(key, (fromOrders.get(key) || 0) + item.quantity);
+    }
+
+    const fromLogs = new Map();
+    for (const log of saleLogs) {
+      const key = stockKey(log.productId, log.productVariantId);
+      fromLogs.set(key, (fromLogs.get(key) || 0) + Math.abs(log.quantity || 0));
+    }
+
+    const unitsSold = new Map(fromOrders);
+    for (const [key, units] of fromLogs) {
+      if (!unitsSold.has(key)) {
+        unitsSold.set(key, units);
+      }
+    }
+
+    return unitsSold;
+  }
+
+  /**
+   * Most recent purchase (supplier and price) per product/variant
+   * @param {string} tenantId - Tenant ID
+   * @param {Array<string>} productIds - Products to look up
+   * @returns {Map} stockKey -> { supplierId, supplierName, purchasePrice, invoiceNumber, invoiceDate }
+   */
+  async getLastPurchases(tenantId, productIds) {
+    if (productIds.length === 0) {
+      return new Map();
+    }
+
+    const purchaseItems = await prisma.purchaseItem.findMany({
+      where: {
+        tenantId,
+        productId: { in: productIds },
+        isDeleted: false,
+        purchaseInvoice: { isDeleted: false }
+      },
+      select: {
+        productId: true,
+        productVariantId: true,
+        purchasePrice: true,
+        purchaseInvoice: {
+          select: {
+            invoiceNumber: true,
+            invoiceDate: true,
+            supplierId: true,
+            supplierName: true,
+            supplier: { select: { name: true } }
+          }
+        }
+      },
+      orderBy: [
+        { purchaseInvoice: { invoiceDate: 'desc' } },
+        { createdAt: 'desc' }
+      ]
+    });
+
+    const lastPurchases = new Map();
+    for (const item of purchaseItems) {
+      const invoice = item.purchaseInvoice;
+      const purchase = {
+        supplierId: invoice.supplierId,
+        supplierName: invoice.supplier?.name || invoice.supplierName || null,
+        purchasePrice: item.purchasePrice,
+        invoiceNumber: invoice.invoiceNumber,
+        invoiceDate: invoice.invoiceDate
+      };
+
+      // Rows are newest first, so the first hit per key wins; a variant purchase
+      // also counts as the product's last purchase
+      const keys = [stockKey(item.productId, item.productVariantId)];
+      if (item.productVariantId) {
+        keys.push(stockKey(item.productId, null));
+      }
+      for (const key of keys) {
+        if (!lastPurchases.has(key)) {
+          lastPurchases.set(key, purchase);
+        }
+      }
+    }
+
+    return lastPurchases;
+  }
+
+  /**
+   * Reorder quantity needed to bring stock back up
+   * Fills to maxStockLevel when set, otherwise to whichever is larger of
+   * minStockLevel and the expected sales over the cover period
+   * @param {Object} item - { currentQuantity, minStockLevel, maxStockLevel, dailyVelocity }
+   * @param {number} coverDays - Days of sales the reorder should cover
+   * @returns {number} Suggested quantity (0 when nothing is needed)
+   */
+  calculateReorderQuantity({ currentQuantity, minStockLevel, maxStockLevel, dailyVelocity }, coverDays) {
+    const target = maxStockLevel !== null && maxStockLevel !== undefined
+      ? maxStockLevel
+      : Math.max(minStockLevel || 0, Math.ceil(dailyVelocity * coverDays));
+
+    return Math.max(0, target - currentQuantity);
+  }
+
+  /**
+   * Low-stock items with suggested reorder quantities, grouped by last supplier
+   * An item is flagged when it is at or below its minimum stock level, or out of
+   * stock while still selling. Variant products are evaluated per active variant.
+   * @param {Object} options - { tenantId, lookbackDays, coverDays }
+   * @returns {Object} { lookbackDays, coverDays, totalItems, totalQuantity, estimatedCost, groups }
+   */
+  async getReorderSuggestions({ tenantId, lookbackDays, coverDays }) {
+    const lookback = Math.max(1, parseInt(lookbackDays, 10) || DEFAULT_LOOKBACK_DAYS);
+    const cover = Math.max(1, parseInt(coverDays, 10) || DEFAULT_COVER_DAYS);
+
+    const since = new Date();
+    since.setDate(since.getDate() - lookback);
+
+    const [products, unitsSold] = await Promise.all([
+      prisma.product.findMany({
+        where: { tenantId, isActive: true },
+        select: {
+          id: true,
+          name: true,
+          sku: true,
+          category: true,
+          hasVariants: true,
+          currentQuantity: true,
+          minStockLevel: true,
+          maxStockLevel: true,
+          lastPurchasePrice: true,
+          variants: {
+            where: { isActive: true },
+            select: {
+              id: true,
+              color: true,
+              size: true,
+              sku: true,
+              currentQuantity: true,
+              minStockLevel: true,
+              maxStockLevel: true
+            }
+          }
+        },
+        orderBy: { name: 'asc' }
+      }),
+      this.getUnitsSold(tenantId, since)
+    ]);
+
+    const candidates = [];
+    for (const product of products) {
+      const stockItems = product.hasVariants && product.variants.length > 0
+        ? product.variants.map(variant => ({ ...variant, productVariantId: variant.id }))
+        : [{ ...product, productVariantId: null, color: null, size: null }];
+
+      for (const stock of stockItems) {
+        const sold = unitsSold.get(stockKey(product.id, stock.productVariantId)) || 0;
+        const dailyVelocity = sold / lookback;
+        const belowMinimum = stock.minStockLevel > 0 && stock.currentQuantity <= stock.minStockLevel;
+        const outOfStockAndSelling = stock.currentQuantity <= 0 && sold > 0;
+
+        if (!belowMinimum && !outOfStockAndSelling) {
+          continue;
+        }
+
+        const suggestedQuantity = this.calculateReorderQuantity({ ...stock, dailyVelocity }, cover);
+        if (suggestedQuantity <= 0) {
+          continue;
+        }
+
+        candidates.push({
+          productId: product.id,
+          productVariantId: stock.productVariantId,
+          name: product.name,
+          category: product.category,
+          sku: stock.sku || product.sku,
+          color: stock.color,
+          size: stock.size,
+          currentQuantity: stock.currentQuantity,
+          minStockLevel: stock.minStockLevel,
+          maxStockLevel: stock.maxStockLevel,
+          unitsSold: sold,
+          dailyVelocity: Math.round(dailyVelocity * 100) / 100,
+          daysOfStock: dailyVelocity > 0 ? Math.max(0, Math.floor(stock.currentQuantity / dailyVelocity)) : null,
+          suggestedQuantity,
+          lastPurchasePrice: product.lastPurchasePrice
+        });
+      }
+    }
+
+    const lastPurchases = await this.getLastPurchases(
+      tenantId,
+      [...new Set(candidates.map(item => item.productId))]
+    );
+
+    const groups = new Map();
+    for (const item of candidates) {
+      const lastPurchase = lastPurchases.get(stockKey(item.productId, item.productVariantId))
+        || lastPurchases.get(stockKey(item.productId, null))
+        || null;
+      const unitCost = lastPurchase?.purchasePrice ?? item.lastPurchasePrice ?? 0;
+
+      const groupKey = lastPurchase?.supplierId || lastPurchase?.supplierName || '';
+      if (!groups.has(groupKey)) {
+        groups.set(groupKey, {
+          supplierId: lastPurchase?.supplierId || null,
+          supplierName: lastPurchase?.supplierName || null,
+          items: [],
+          totalQuantity: 0,
+          estimatedCost: 0
+        });
+      }
+
+      const group = groups.get(groupKey);
+      group.items.push({
+        ...item,
+        lastPurchasePrice: unitCost,
+        lastInvoiceNumber: lastPurchase?.invoiceNumber || null,
+        lastPurchaseDate: lastPurchase?.invoiceDate || null,
+        estimatedCost: unitCost * item.suggestedQuantity
+      });
+      group.totalQuantity += item.suggestedQuantity;
+      group.estimatedCost += unitCost * item.suggestedQuantity;
+    }
+
+    // Known suppliers first (largest spend first), items with no purchase history last
+    const sortedGroups = [...groups.values()].sort((a, b) => {
+      if (!a.supplierName !== !b.supplierName) {
+        return a.supplierName ? -1 : 1;
+      }
+      return b.estimatedCost - a.estimatedCost;
+    });
+
+    return {
+      lookbackDays: lookback,
+      coverDays: cover,
+      totalItems: candidates.length,
+      totalQuantity: sortedGroups.reduce((sum, group) => sum + group.totalQuantity, 0),
+      estimatedCost: sortedGroups.reduce((sum, group) => sum + group.estimatedCost, 0),
+      groups: sortedGroups
+    };
+  }
+}
+
+module.exports = new ReorderService();
@@ -0,0 +1,172 @@
+const prisma = require('../lib/db');
+
+const DEFAULT_RESERVATION_HOURS = 24;
+
+class ReservationService {
+  /**
+   * When holds placed now should expire
+   * @param {number} hours - Tenant's reservation window
+   * @returns {Date}
+   */
+  getExpiryDate(hours) {
+    const window = Number.isFinite(hours) && hours > 0 ? hours : DEFAULT_RESERVATION_HOURS;
+    return new Date(Date.now() + window * 60 * 60 * 1000);
+  }
+
+  /**
+   * Hold stock for a PENDING order's lines
+   * @param {Object} tx - Prisma transaction client
+   * @param {Object} options - { tenantId, orderId, items: [{ productId, productVariantId, quantity }], expiresAt }
+   * @returns {number} Number of holds created
+   */
+  async reserveOrderItems(tx, { tenantId, orderId, items, expiresAt }) {
+    const data = items
+      .filter(item => item.productId && Number(item.quantity) > 0)
+      .map(item => ({
+        tenantId,
+        orderId,
+        productId: item.productId,
+        productVariantId: item.productVariantId || null,
+        quantity: parseInt(item.quantity, 10),
+        expiresAt
+      }));
+
+    if (data.length === 0) return 0;
+    const result = await tx.stockReservation.createMany({ data });
+    return result.count;
+  }
+
+  /**
+   * Release an order's active holds
+   * @param {string} orderId - Order ID
+   * @param {string} reason - CONFIRMED, CANCELLED or UPDATED
+   * @param {Object} client - Prisma client or transaction
+   * @returns {number} Number of holds released
+   */
+  async releaseOrderReservations(orderId, reason, client = prisma) {
+    const result = await client.stockReservation.updateMany({
+      where: { orderId, releasedAt: null },
+      data: { releasedAt: new Date(), releaseReason: reason }
+    });
+    return result.count;
+  }
+
+  /**
+   * Swap an edited PENDING order's holds for its new lines. The original expiry is kept so
+   * editing an order does not extend its hold; orders whose hold already lapsed get none.
+   * @param {Object} tx - Prisma transaction client
+   * @param {Object} options - { tenantId, orderId, items }
+   * @returns {number} Number of holds created
+   */
+  async replaceOrderReservations(tx, { tenantId, orderId, items }) {
+    const active = await tx.stockReservation.findFirst({
+      where: { orderId, releasedAt: null, expiresAt: { gt: new Date() } },
+      orderBy: { expiresAt: 'asc' },
+      select: { expiresAt: true }
+    });
+
+    await this.releaseOrderReservations(orderId, 'UPDATED', tx);
+    if (!active) return 0;
+
+    return this.reserveOrderItems(tx, { tenantId, orderId, items, expiresAt: active.expiresAt });
+  }
+
+  /**
+   * Stamp lapsed holds as EXPIRED so they stop counting against stock
+   * @param {string} tenantId - Tenant ID
+   * @param {Object} client - Prisma client or transaction
+   * @returns {number} Number of holds expired
+   */
+  async releaseExpiredReservations(tenantId, client = prisma) {
+    const now = new Date();
+    const result = await client.stockReservation.updateMany({
+      where: { tenantId, releasedAt: null, expiresAt: { lte: now } },
+      data: { releasedAt: now, releaseReason: 'EXPIRED' }
+    });
+    return result.count;
+  }
+
+  /**
+   * Quantities held by active reservations
+   * @param {string} tenantId - Tenant ID
+   * @param {Object} options - { excludeOrderId, productIds, client }
+   * @returns {Object} { products, productLines, variants } - `products` totals every hold per product,
+   * `productLines` only holds without a variant, `variants` holds per variant ID
+   */
+  async getReservedQuantities(tenantId, { excludeOrderId = null, productIds = null, client = prisma } = {}) {
+    await this.releaseExpiredReservations(tenantId, client);
+
+    const holds = await client.stockReservation.groupBy({
+      by: ['productId', 'productVariantId'],
+      where: {
+        tenantId,
+        releasedAt: null,
+        ...(excludeOrderId && { orderId: { not: excludeOrderId } }),
+        ...(productIds && { productId: { in: productIds } })
+      },
+      _sum: { quantity: true }
+    });
+
+    const reserved = { products: {}, productLines: {}, variants: {} };
+    for (const hold of holds) {
+      const quantity = hold._sum.quantity || 0;
+      reserved.products[hold.productId] = (reserved.products[hold.productId] || 0) + quantity;
+      if (hold.productVariantId) {
+        reserved.variants[hold.productVariantId] = (reserved.variants[hold.productVariantId] || 0) + quantity;
+      } else {
+        reserved.productLines[hold.productId] = (reserved.productLines[hold.productId] || 0) + quantity;
+      }
+    }
+    return reserved;
+  }
+
+  /**
+   * Add reservedQuantity/availableQuantity to products and their variants
+   * @param {string} tenantId - Tenant ID
+   * @param {Array} products - Products with currentQuantity and optional variants
+   * @returns {Array} Products with availability fields
+   */
+  async withAvailability(tenantId, products) {
+    if (!products || products.length === 0) return products;
+
+    const reserved = await this.getReservedQuantities(tenantId, {
+      productIds: products.map(product => product.id)
+    });
+
+    return products.map(product => {
+      const variants = Array.isArray(product.variants)
+        ? this.withVariantAvailability(product.variants, reserved)
+        : product.variants;
+      const reservedQuantity = reserved.products[product.id] || 0;
+      const stock = product.hasVariants && Array.isArray(variants) && variants.length > 0
+        ? variants.reduce((sum, variant) => sum + (variant.currentQuantity || 0), 0)
+        : (product.currentQuantity || 0);
+
+      return {
+        ...product,
+        ...(variants !== undefined && { variants }),
+        reservedQuantity,
+        availableQuantity: Math.max(0, stock - reservedQuantity)
+      };
+    });
+  }
+
+  /**
+   * Add reservedQuantity/availableQuantity to variants
+   * @param {Array} variants - Variants with currentQuantity
+   * @param {Object} reserved - Result of getReservedQuantities
+   * @returns {Array}
+   */
+  withVariantAvailability(variants, reserved) {
+    return variants.map(variant => {
+      const reservedQuantity = reserved.variants[variant.id] || 0;
+      return {
+        ...variant,
+        reservedQuantity,
+        availableQuantity: Math.max(0, (variant.currentQuantity || 0) - reservedQuantity)
+      };
+    });
+  }
+}
+
+module.exports = new ReservationService();
@@ -71,7 +71,7 @@ class ReturnService {
       totalOrderValue += price * quantity;
     });
     const shippingCharges = order.shippingCharges || 0;
-    const totalOrderAmount = totalOrderValue + shippingCharges;
+    const totalOrderAmount = totalOrderValue - (order.discountAmount || 0) + shippingCharges;
 
     // Calculate total already returned
     const totalReturnedAmount = existingReturns.reduce((sum, ret) => sum + (ret.totalAmount || 0), 0);
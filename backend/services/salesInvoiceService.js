@@ -0,0 +1,313 @@
+const PDFDocument = require('pdfkit');
+const prisma = require('../lib/db');
+const shippingDocumentService = require('./shippingDocumentService');
+const { CONFIRMED_ORDER_STATUSES } = require('../utils/orderStatus');
+
+// A sales invoice is numbered the first time it is downloaded and keeps that number; the
+// amounts are read from the order each time so later payments show up on a re-print.
+
+const PDF_IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/jpg'];
+const DELIVERED_STATUSES = ['DELIVERED', 'COMPLETED'];
+
+const formatAmount = (value) =>
+  `${value < 0 ? '- ' : ''}Rs. ${(Math.round(Math.abs(value || 0) * 100) / 100).toLocaleString('en-PK')}`;
+
+const formatDate = (value) => new Date(value).toLocaleDateString('en-GB');
+
+class SalesInvoiceService {
+  /**
+   * Next invoice number for the tenant in the current year (INV-YYYY-NNNN)
+   * @param {string} tenantId - Tenant ID
+   * @returns {string}
+   */
+  async generateInvoiceNumber(tenantId) {
+    const year = new Date().getFullYear();
+    const prefix = `INV-${year}-`;
+    const last = await prisma.salesInvoice.findFirst({
+      where: { tenantId, invoiceNumber: { startsWith: prefix } },
+      orderBy: { invoiceNumber: 'desc' },
+      select: { invoiceNumber: true }
+    });
+    const next = last ? parseInt(last.invoiceNumber.slice(prefix.length), 10) + 1 : 1;
+    return `${prefix}${String(next).padStart(4, '0')}`;
+  }
+
+  /**
+   * Load an order with everything printed on its invoice, issuing the invoice number on first use
+   * @param {string} orderId - Order ID
+   * @param {string} tenantId - Tenant ID
+   * @param {Object} user - Current user (recorded as the issuer)
+   * @returns {Object} { invoice, order }
+   */
+  async getInvoice(orderId, tenantId, user) {
+    const order = await prisma.order.findFirst({
+      where: { id: orderId, tenantId },
+      include: {
+        orderItems: { orderBy: { createdAt: 'asc' } },
+        payments: {
+          where: { type: 'CUSTOMER_PAYMENT' },
+          orderBy: { date: 'asc' }
+        },
+        salesInvoice: true,
+        logisticsCompany: { select: { name: true } },
+        tenant: {
+          select: {
+            businessName: true,
+            whatsappNumber: true,
+            businessAddress: true,
+            logo: { select: { imageData: true, imageType: true } },
+            bankDetails: {
+              where: { isActive: true },
+              orderBy: [{ sortOrder: 'asc' }, { createdAt: 'asc' }]
+            }
+          }
+        }
+      }
+    });
+    if (!order) {
+      throw new Error('Order not found');
+    }
+    if (order.salesInvoice) {
+      return { invoice: order.salesInvoice, order };
+    }
+    if (!CONFIRMED_ORDER_STATUSES.includes(order.status)) {
+      throw new Error('Invoices can only be issued for confirmed orders');
+    }
+
+    // Two downloads at once can pick the same number; the unique index rejects the second
+    for (let attempt = 0; attempt < 3; attempt++) {
+      const invoiceNumber = await this.generateInvoiceNumber(tenantId);
+      try {
+        const invoice = await prisma.salesInvoice.create({
+          data: {
+            invoiceNumber,
+            issuedBy: user?.name || user?.email || null,
+            tenantId,
+            orderId: order.id
+          }
+        });
+        return { invoice, order };
+      } catch (error) {
+        if (error.code !== 'P2002') {
+          throw error;
+        }
+        const existing = await prisma.salesInvoice.findUnique({ where: { orderId: order.id } });
+        if (existing) {
+          return { invoice: existing, order };
+        }
+      }
+    }
+    throw new Error('Could not issue an invoice number, please try again');
+  }
+
+  /**
+   * Everything printed on the invoice
+   * @param {Object} invoice - SalesInvoice record
+   * @param {Object} order - Order from getInvoice
+   * @returns {Object}
+   */
+  buildInvoiceData(invoice, order) {
+    const base = shippingDocumentService.buildDocumentData(order);
+    const { subtotal, discount, shipping } = base.totals;
+    const codFee = order.codFeePaidBy === 'CUSTOMER' && order.codFee > 0 ? order.codFee : 0;
+    const total = subtotal - discount + shipping + codFee;
+
+    // Payment records are the source of truth; older orders only carry the advance claimed on the form
+    let payments = order.payments.map(payment => ({
+      date: payment.date,
+      reference: payment.paymentNumber,
+      method: payment.paymentMethod,
+      amount: payment.amount || 0
+    }));
+    if (payments.length === 0 && order.paymentAmount > 0) {
+      payments = [{ date: order.createdAt, reference: null, method: 'Advance with order', amount: order.paymentAmount }];
+    }
+    const paid = payments.reduce((sum, payment) => sum + payment.amount, 0);
+    const balance = Math.max(0, total - paid);
+
+    return {
+      invoiceNumber: invoice.invoiceNumber,
+      invoiceDate: invoice.createdAt,
+      orderNumber: order.orderNumber,
+      orderDate: order.createdAt,
+      seller: base.sender,
+      customer: base.recipient,
+      items: base.items,
+      totals: { subtotal, discount, shipping, codFee, total, paid, balance },
+      payments,
+      status: balance <= 0 ? 'PAID' : paid > 0 ? 'PARTLY PAID' : 'UNPAID',
+      // Until the parcel is delivered the balance is collected by the courier
+      balanceLabel: DELIVERED_STATUSES.includes(order.status) ? 'Balance due' : 'Balance due on delivery (COD)',
+      bankDetails: order.tenant.bankDetails,
+      logo: order.tenant.logo && PDF_IMAGE_TYPES.includes(order.tenant.logo.imageType)
+        ? order.tenant.logo.imageData
+        : null
+    };
+  }
+
+  /**
+   * Render the invoice as an A4 PDF
+   * @param {Object} data - From buildInvoiceData
+   * @returns {Promise<Buffer>}
+   */
+  buildPdf(data) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ size: 'A4', margin: 40, info: { Title: `Invoice ${data.invoiceNumber}` } });
+      const chunks = [];
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      try {
+        this.drawInvoice(doc, data);
+        doc.end();
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }
+
+  /**
+   * Draw the invoice onto an open document (continues onto further pages for long orders)
+   * @param {PDFDocument} doc - Open document
+   * @param {Object} data - From buildInvoiceData
+   */
+  drawInvoice(doc, data) {
+    const left = doc.page.margins.left;
+    const width = doc.page.width - left - doc.page.margins.right;
+    const bottom = doc.page.height - doc.page.margins.bottom;
+    const newPage = () => {
+      doc.addPage({ size: 'A4', margin: 40 });
+      return 40;
+    };
+
+    // Seller, with the logo to the left when there is one
+    let textLeft = left;
+    if (data.logo) {
+      try {
+        doc.image(data.logo, left, 40, { fit: [70, 70] });
+        textLeft = left + 82;
+      } catch (error) {
+        // An unreadable logo should not stop the invoice
+        textLeft = left;
+      }
+    }
+    const sellerWidth = width * 0.6 - (textLeft - left);
+    doc.fillColor('#111827').font('Helvetica-Bold').fontSize(18).text(data.seller.name, textLeft, 40, { width: sellerWidth });
+    doc.font('Helvetica').fontSize(10).fillColor('#4b5563');
+    if (data.seller.address) doc.text(data.seller.address, { width: sellerWidth });
+    doc.text(`WhatsApp: ${data.seller.phone}`, { width: sellerWidth });
+    const sellerBottom = Math.max(doc.y, data.logo && textLeft > left ? 110 : 0);
+
+    doc.fillColor('#111827').font('Helvetica-Bold').fontSize(20)
+      .text('SALES INVOICE', left, 40, { width, align: 'right' });
+    doc.font('Helvetica').fontSize(10)
+      .text(`Invoice # ${data.invoiceNumber}`, { width, align: 'right' })
+      .text(`Invoice date: ${formatDate(data.invoiceDate)}`, { width, align: 'right' })
+      .text(`Order #${data.orderNumber} · ${formatDate(data.orderDate)}`, { width, align: 'right' });
+    doc.font('Helvetica-Bold').fillColor(data.status === 'PAID' ? '#047857' : '#b91c1c')
+      .text(data.status, { width, align: 'right' });
+
+    // Bill to
+    let y = Math.max(doc.y, sellerBottom) + 15;
+    doc.roundedRect(left, y, width, 72, 4).strokeColor('#d1d5db').stroke();
+    doc.font('Helvetica-Bold').fontSize(9).fillColor('#6b7280').text('BILL TO', left + 10, y + 8);
+    doc.fillColor('#111827').fontSize(12).text(data.customer.name, left + 10, y + 22, { width: width - 20 });
+    doc.font('Helvetica').fontSize(10)
+      .text(data.customer.phone, { width: width - 20 })
+      .text([data.customer.address, data.customer.city].filter(Boolean).join(', '), { width: width - 20, height: 14, ellipsis: true });
+    y += 87;
+
+    // Line items
+    const columns = [
+      { label: 'Item', x: left, width: width - 230 },
+      { label: 'Qty', x: left + width - 230, width: 50, align: 'right' },
+      { label: 'Price', x: left + width - 170, width: 80, align: 'right' },
+      { label: 'Amount', x: left + width - 90, width: 90, align: 'right' }
+    ];
+    const drawHeader = () => {
+      doc.rect(left, y, width, 20).fill('#f3f4f6');
+      doc.fillColor('#374151').font('Helvetica-Bold').fontSize(9);
+      columns.forEach(column => doc.text(column.label.toUpperCase(), column.x + 4, y + 6, { width: column.width - 8, align: column.align || 'left' }));
+      y += 24;
+      doc.font('Helvetica').fontSize(10).fillColor('#111827');
+    };
+    drawHeader();
+
+    data.items.forEach(item => {
+      const label = item.variant ? `${item.name} (${item.variant})` : item.name;
+      const rowHeight = Math.max(16, doc.heightOfString(label, { width: columns[0].width - 8 }) + 4);
+      if (y + rowHeight > bottom - 40) {
+        y = newPage();
+        drawHeader();
+      }
+      doc.text(label, columns[0].x + 4, y, { width: columns[0].width - 8 });
+      doc.text(String(item.quantity), columns[1].x + 4, y, { width: columns[1].width - 8, align: 'right' });
+      doc.text(formatAmount(item.price), columns[2].x + 4, y, { width: columns[2].width - 8, align: 'right' });
+      doc.text(formatAmount(item.price * item.quantity), columns[3].x + 4, y, { width: columns[3].width - 8, align: 'right' });
+      y += rowHeight;
+      doc.moveTo(left, y - 2).lineTo(left + width, y - 2).strokeColor('#e5e7eb').stroke();
+    });
+
+    // Totals and payments received against the order
+    const totalRows = [
+      ['Subtotal', data.totals.subtotal],
+      data.totals.discount > 0 && ['Discount', -data.totals.discount],
+      ['Shipping', data.totals.shipping],
+      data.totals.codFee > 0 && ['COD charges', data.totals.codFee],
+      ['Invoice total', data.totals.total, true],
+      ...data.payments.map(payment => [
+        `${payment.method}${payment.reference ? ` ${payment.reference}` : ''} (${formatDate(payment.date)})`,
+        -payment.amount
+      ])
+    ].filter(Boolean);
+    if (y + 8 + totalRows.length * 16 + 40 > bottom) {
+      y = newPage();
+    }
+    y += 8;
+    const firstPaymentRow = totalRows.length - data.payments.length;
+    totalRows.forEach(([label, amount, bold], index) => {
+      if (index === firstPaymentRow) {
+        doc.font('Helvetica-Bold').fontSize(9).fillColor('#6b7280').text('PAYMENTS RECEIVED', left, y + 1, { width: 150 });
+      }
+      doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(10).fillColor(bold ? '#111827' : '#374151')
+        .text(label, left + width - 330, y, { width: 230, align: 'right' })
+        .text(formatAmount(amount), left + width - 100, y, { width: 96, align: 'right' });
+      y += 16;
+    });
+    doc.rect(left + width - 330, y + 2, 330, 26).fill('#111827');
+    doc.fillColor('#ffffff').font('Helvetica-Bold').fontSize(12)
+      .text(data.balanceLabel.toUpperCase(), left + width - 324, y + 9, { width: 220 })
+      .text(formatAmount(data.totals.balance), left + width - 100, y + 9, { width: 94, align: 'right' });
+    y += 44;
+
+    // Where to pay
+    if (data.bankDetails.length > 0) {
+      const blockHeight = (detail) => 46 + (detail.iban ? 12 : 0) + (detail.instructions ? 12 : 0);
+      if (y + 20 + blockHeight(data.bankDetails[0]) > bottom) {
+        y = newPage();
+      }
+      doc.fillColor('#6b7280').font('Helvetica-Bold').fontSize(9).text('PAYMENT DETAILS', left, y);
+      y += 16;
+      data.bankDetails.forEach(detail => {
+        if (y + blockHeight(detail) > bottom) {
+          y = newPage();
+        }
+        doc.fillColor('#111827').font('Helvetica-Bold').fontSize(10)
+          .text(detail.bankName ? `${detail.providerName} (${detail.bankName})` : detail.providerName, left, y, { width });
+        doc.font('Helvetica').fontSize(9).fillColor('#374151')
+          .text(`Account title: ${detail.accountTitle}`, { width })
+          .text(`Account number: ${detail.accountNumber}`, { width });
+        if (detail.iban) doc.text(`IBAN: ${detail.iban}`, { width });
+        if (detail.instructions) doc.text(detail.instructions, { width, height: 12, ellipsis: true });
+        y = doc.y + 8;
+      });
+    }
+
+    doc.fillColor('#6b7280').font('Helvetica').fontSize(9)
+      .text(`Thank you for shopping with ${data.seller.name}`, left, bottom - 20, { width, align: 'center', lineBreak: false });
+    doc.fillColor('#111827');
+  }
+}
+
+module.exports = new SalesInvoiceService();
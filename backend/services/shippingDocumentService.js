@@ -0,0 +1,313 @@
+const PDFDocument = require('pdfkit');
+const prisma = require('../lib/db');
+const courierService = require('./courierService');
+const codRemittanceService = require('./codRemittanceService');
+
+// Packing slips go inside the parcel (A4, one order per page); shipping labels go on the
+// outside (4 x 6 inch thermal label, one per order). Standard PDF fonts only cover Latin
+// text, which matches what couriers accept on address labels.
+
+const DOCUMENT_TYPES = {
+  'packing-slip': { title: 'Packing Slips', filename: 'packing-slips' },
+  'shipping-label': { title: 'Shipping Labels', filename: 'shipping-labels' }
+};
+
+const MAX_BATCH_SIZE = 100;
+const LABEL_SIZE = [288, 432];
+
+const formatAmount = (value) =>
+  `${value < 0 ? '- ' : ''}Rs. ${(Math.round(Math.abs(value || 0) * 100) / 100).toLocaleString('en-PK')}`;
+
+const parseJSON = (value, fallback) => {
+  if (!value) return fallback;
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return fallback;
+  }
+};
+
+class ShippingDocumentService {
+  /**
+   * Supported document types
+   * @returns {Object}
+   */
+  getDocumentTypes() {
+    return DOCUMENT_TYPES;
+  }
+
+  /**
+   * Load the orders to print, in the order they were requested
+   * @param {Array<string>} orderIds - Order IDs
+   * @param {Object} where - Extra filter limiting what the user may see
+   * @returns {Array} Orders with items, tenant and courier
+   */
+  async getOrders(orderIds, where = {}) {
+    const ids = [...new Set((orderIds || []).filter(Boolean))];
+    if (ids.length === 0) {
+      throw new Error('Select at least one order');
+    }
+    if (ids.length > MAX_BATCH_SIZE) {
+      throw new Error(`Print at most ${MAX_BATCH_SIZE} orders at a time`);
+    }
+
+    const orders = await prisma.order.findMany({
+      where: { ...where, id: { in: ids } },
+      include: {
+        orderItems: { orderBy: { createdAt: 'asc' } },
+        tenant: { select: { businessName: true, whatsappNumber: true, businessAddress: true } },
+        logisticsCompany: { select: { name: true } }
+      }
+    });
+    if (orders.length !== ids.length) {
+      throw new Error(ids.length === 1 ? 'Order not found' : 'Some of the selected orders were not found');
+    }
+
+    const byId = new Map(orders.map(order => [order.id, order]));
+    return ids.map(id => byId.get(id));
+  }
+
+  /**
+   * Everything printed for one order
+   * @param {Object} order - Order from getOrders
+   * @returns {Object} { sender, recipient, items, totals, ... }
+   */
+  buildDocumentData(order) {
+    const shipment = courierService.buildShipment(order);
+
+    let items = order.orderItems.map(item => ({
+      name: item.productName,
+      variant: [item.color, item.size].filter(Boolean).join(' / '),
+      quantity: item.quantity,
+      price: item.price || 0
+    }));
+    // Orders created before item lines were stored only have the JSON snapshot
+    if (items.length === 0) {
+      const products = parseJSON(order.selectedProducts, []);
+      const quantities = parseJSON(order.productQuantities, {});
+      const prices = parseJSON(order.productPrices, {});
+      items = (Array.isArray(products) ? products : []).map(product => ({
+        name: product.name || 'Item',
+        variant: [product.color, product.size].filter(Boolean).join(' / '),
+        quantity: parseInt(quantities[product.id] || product.quantity || 1, 10),
+        price: prices[product.id] || product.price || 0
+      }));
+    }
+
+    const subtotal = items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+    const discount = order.discountAmount || 0;
+    const shipping = order.shippingCharges || 0;
+    const paid = order.paymentAmount || 0;
+    // Confirmed orders carry the courier amount; earlier ones are worked out the same way
+    const codAmount = order.codAmount !== null && order.codAmount !== undefined
+      ? codRemittanceService.getExpectedCollection(order)
+      : Math.max(0, subtotal - discount + shipping - paid);
+
+    return {
+      orderNumber: order.orderNumber,
+      date: order.createdAt,
+      sender: {
+        name: order.tenant.businessName,
+        phone: order.tenant.whatsappNumber,
+        address: order.tenant.businessAddress || ''
+      },
+      recipient: {
+        name: shipment.consigneeName,
+        phone: shipment.consigneePhone || '',
+        address: shipment.consigneeAddress,
+        city: shipment.consigneeCity
+      },
+      items,
+      pieces: items.reduce((sum, item) => sum + item.quantity, 0),
+      totals: { subtotal, discount, shipping, paid, codAmount },
+      courier: order.logisticsCompany ? order.logisticsCompany.name : null,
+      trackingNumber: order.trackingNumber || order.consignmentNumber || null
+    };
+  }
+
+  /**
+   * Render one order's packing slip (continues onto further pages for long orders)
+   * @param {PDFDocument} doc - Open document
+   * @param {Object} data - From buildDocumentData
+   */
+  drawPackingSlip(doc, data) {
+    doc.addPage({ size: 'A4', margin: 40 });
+    const left = doc.page.margins.left;
+    const width = doc.page.width - left - doc.page.margins.right;
+    const bottom = doc.page.height - doc.page.margins.bottom;
+
+    // Sender
+    doc.font('Helvetica-Bold').fontSize(18).text(data.sender.name, left, 40, { width: width * 0.6 });
+    doc.font('Helvetica').fontSize(10).fillColor('#4b5563');
+    doc.text(`WhatsApp: ${data.sender.phone}`, { width: width * 0.6 });
+    if (data.sender.address) doc.text(data.sender.address, { width: width * 0.6 });
+
+    doc.fillColor('#111827').font('Helvetica-Bold').fontSize(16)
+      .text('PACKING SLIP', left, 40, { width, align: 'right' });
+    doc.font('Helvetica').fontSize(10)
+      .text(`Order #${data.orderNumber}`, { width, align: 'right' })
+      .text(new Date(data.date).toLocaleDateString('en-GB'), { width, align: 'right' });
+    if (data.trackingNumber) {
+      doc.text(`${data.courier ? `${data.courier}: ` : ''}${data.trackingNumber}`, { width, align: 'right' });
+    }
+
+    // Recipient
+    let y = Math.max(doc.y, 110) + 15;
+    doc.roundedRect(left, y, width, 80, 4).strokeColor('#d1d5db').stroke();
+    doc.font('Helvetica-Bold').fontSize(9).fillColor('#6b7280').text('SHIP TO', left + 10, y + 8);
+    doc.fillColor('#111827').fontSize(12).text(data.recipient.name, left + 10, y + 22, { width: width - 20 });
+    doc.font('Helvetica').fontSize(10)
+      .text(data.recipient.phone, { width: width - 20 })
+      .text([data.recipient.address, data.recipient.city].filter(Boolean).join(', '), { width: width - 20, height: 28, ellipsis: true });
+    y += 95;
+
+    // Items
+    const columns = [
+      { label: 'Item', x: left, width: width - 230 },
+      { label: 'Qty', x: left + width - 230, width: 50, align: 'right' },
+      { label: 'Price', x: left + width - 170, width: 80, align: 'right' },
+      { label: 'Amount', x: left + width - 90, width: 90, align: 'right' }
+    ];
+    const drawHeader = () => {
+      doc.rect(left, y, width, 20).fill('#f3f4f6');
+      doc.fillColor('#374151').font('Helvetica-Bold').fontSize(9);
+      columns.forEach(column => doc.text(column.label.toUpperCase(), column.x + 4, y + 6, { width: column.width - 8, align: column.align || 'left' }));
+      y += 24;
+    };
+    drawHeader();
+
+    doc.font('Helvetica').fontSize(10).fillColor('#111827');
+    data.items.forEach(item => {
+      const label = item.variant ? `${item.name} (${item.variant})` : item.name;
+      const rowHeight = Math.max(16, doc.heightOfString(label, { width: columns[0].width - 8 }) + 4);
+      if (y + rowHeight > bottom - 120) {
+        doc.addPage({ size: 'A4', margin: 40 });
+        y = 40;
+        drawHeader();
+        doc.font('Helvetica').fontSize(10).fillColor('#111827');
+      }
+      doc.text(label, columns[0].x + 4, y, { width: columns[0].width - 8 });
+      doc.text(String(item.quantity), columns[1].x + 4, y, { width: columns[1].width - 8, align: 'right' });
+      doc.text(formatAmount(item.price), columns[2].x + 4, y, { width: columns[2].width - 8, align: 'right' });
+      doc.text(formatAmount(item.price * item.quantity), columns[3].x + 4, y, { width: columns[3].width - 8, align: 'right' });
+      y += rowHeight;
+      doc.moveTo(left, y - 2).lineTo(left + width, y - 2).strokeColor('#e5e7eb').stroke();
+    });
+
+    // Totals
+    y += 8;
+    const totalRows = [
+      ['Subtotal', data.totals.subtotal],
+      data.totals.discount > 0 && ['Discount', -data.totals.discount],
+      ['Shipping', data.totals.shipping],
+      data.totals.paid > 0 && ['Paid in advance', -data.totals.paid]
+    ].filter(Boolean);
+    totalRows.forEach(([label, amount]) => {
+      doc.font('Helvetica').fontSize(10).fillColor('#374151')
+        .text(label, left + width - 250, y, { width: 150, align: 'right' })
+        .text(formatAmount(amount), left + width - 100, y, { width: 96, align: 'right' });
+      y += 16;
+    });
+    doc.rect(left + width - 250, y + 2, 250, 26).fill('#111827');
+    doc.fillColor('#ffffff').font('Helvetica-Bold').fontSize(12)
+      .text('COD AMOUNT', left + width - 244, y + 9, { width: 140 })
+      .text(formatAmount(data.totals.codAmount), left + width - 100, y + 9, { width: 94, align: 'right' });
+
+    doc.fillColor('#6b7280').font('Helvetica').fontSize(9)
+      .text(`${data.pieces} item${data.pieces === 1 ? '' : 's'} · Thank you for shopping with ${data.sender.name}`, left, bottom - 20, { width, align: 'center' });
+    doc.fillColor('#111827');
+  }
+
+  /**
+   * Render one 4 x 6 inch shipping label
+   * @param {PDFDocument} doc - Open document
+   * @param {Object} data - From buildDocumentData
+   */
+  drawShippingLabel(doc, data) {
+    doc.addPage({ size: LABEL_SIZE, margin: 14 });
+    const left = 14;
+    const width = LABEL_SIZE[0] - 28;
+
+    doc.font('Helvetica').fontSize(7).fillColor('#111827').text('FROM', left, 14);
+    doc.font('Helvetica-Bold').fontSize(10).text(data.sender.name, { width });
+    doc.font('Helvetica').fontSize(9).text(data.sender.phone, { width });
+    doc.moveTo(left, doc.y + 6).lineTo(left + width, doc.y + 6).lineWidth(1.5).stroke();
+
+    let y = doc.y + 14;
+    doc.font('Helvetica').fontSize(7).text('TO', left, y);
+    doc.font('Helvetica-Bold').fontSize(15).text(data.recipient.name, { width, height: 38, ellipsis: true });
+    doc.fontSize(13).text(data.recipient.phone, { width });
+    doc.font('Helvetica').fontSize(10).text(data.recipient.address, { width, height: 52, ellipsis: true });
+    doc.font('Helvetica-Bold').fontSize(18).text((data.recipient.city || '').toUpperCase(), { width });
+
+    y = doc.y + 8;
+    doc.lineWidth(1.5).rect(left, y, width, 40).stroke();
+    doc.font('Helvetica-Bold').fontSize(data.totals.codAmount > 0 ? 18 : 16)
+      .text(data.totals.codAmount > 0 ? `COD ${formatAmount(data.totals.codAmount)}` : 'PREPAID - NO COD', left, y + 12, { width, align: 'center' });
+
+    y += 50;
+    doc.font('Helvetica-Bold').fontSize(11).text(`Order #${data.orderNumber}`, left, y, { width: width / 2 });
+    doc.font('Helvetica').fontSize(9).text(`${data.pieces} pc${data.pieces === 1 ? '' : 's'}`, left + width / 2, y + 1, { width: width / 2, align: 'right' });
+    if (data.trackingNumber) {
+      doc.fontSize(9).text(`${data.courier ? `${data.courier} ` : ''}${data.trackingNumber}`, left, y + 15, { width });
+    }
+
+    // Short item list so the courier can describe the contents
+    y = doc.y + 8;
+    doc.moveTo(left, y).lineTo(left + width, y).lineWidth(0.5).stroke();
+    doc.font('Helvetica').fontSize(8);
+    const listHeight = LABEL_SIZE[1] - 14 - (y + 4);
+    const contents = data.items
+      .map(item => `${item.quantity} x ${item.name}${item.variant ? ` (${item.variant})` : ''}`)
+      .join('\n');
+    doc.text(contents, left, y + 4, { width, height: listHeight, ellipsis: true });
+  }
+
+  /**
+   * Render the documents for a set of orders into one PDF
+   * @param {string} type - 'packing-slip' or 'shipping-label'
+   * @param {Array} orders - Orders from getOrders
+   * @returns {Promise<Buffer>}
+   */
+  buildPdf(type, orders) {
+    if (!DOCUMENT_TYPES[type]) {
+      throw new Error('Unknown document type');
+    }
+
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ autoFirstPage: false, info: { Title: DOCUMENT_TYPES[type].title } });
+      const chunks = [];
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      try {
+        orders.forEach(order => {
+          const data = this.buildDocumentData(order);
+          if (type === 'packing-slip') {
+            this.drawPackingSlip(doc, data);
+          } else {
+            this.drawShippingLabel(doc, data);
+          }
+        });
+        doc.end();
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }
+
+  /**
+   * Suggested download name for a print run
+   * @param {string} type - Document type
+   * @param {Array} orders - Printed orders
+   * @returns {string}
+   */
+  getFilename(type, orders) {
+    const suffix = orders.length === 1 ? orders[0].orderNumber : `${orders.length}-orders`;
+    return `${DOCUMENT_TYPES[type].filename}-${suffix}.pdf`;
+  }
+}
+
+module.exports = new ShippingDocumentService();
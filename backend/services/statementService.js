@@ -0,0 +1,403 @@
+const PDFDocument = require('pdfkit');
+const prisma = require('../lib/db');
+const ledgerService = require('./ledgerService');
+const ageingService = require('./ageingService');
+const { toCsv } = require('../utils/csv');
+
+// Statements of account are a window onto the same ledger shown on the ledger pages:
+// everything before the period is rolled into the opening balance, and the ageing splits the
+// closing balance with the same allocation and buckets as the ageing report (ageingService).
+
+const PARTY_TYPES = ledgerService.getPartyTypes();
+
+const PDF_IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/jpg'];
+
+const round = (value) => Math.round((value || 0) * 100) / 100;
+
+const formatAmount = (value) =>
+  `${value < 0 ? '- ' : ''}Rs. ${(Math.round(Math.abs(value || 0) * 100) / 100).toLocaleString('en-PK')}`;
+
+const formatDate = (value) => new Date(value).toLocaleDateString('en-GB');
+
+const toDateKey = (value) => new Date(value).toISOString().slice(0, 10);
+
+class StatementService {
+  /**
+   * Supported party types
+   * @returns {Object}
+   */
+  getPartyTypes() {
+    return PARTY_TYPES;
+  }
+
+  /**
+   * Statement period; defaults to the current month up to today
+   * @param {string} fromDate - YYYY-MM-DD
+   * @param {string} toDate - YYYY-MM-DD
+   * @returns {Object} { from, to } with `to` at the end of its day
+   */
+  getPeriod(fromDate, toDate) {
+    const now = new Date();
+    const from = fromDate ? new Date(fromDate) : new Date(Date.UTC(now.getFullYear(), now.getMonth(), 1));
+    const to = toDate ? new Date(toDate) : new Date(Date.UTC(now.getFullYear(), now.getMonth(), now.getDate()));
+    if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+      throw new Error('Invalid statement period');
+    }
+    to.setUTCHours(23, 59, 59, 999);
+    if (from > to) {
+      throw new Error('The start date must be before the end date');
+    }
+    return { from, to };
+  }
+
+  /**
+   * Split an outstanding balance by age, as the ageing report does
+   * @param {number} startingBalance - Balance before the first entry
+   * @param {Array} entries - Ledger entries up to the ageing date
+   * @param {Date} asOf - Ageing date
+   * @returns {Object} { buckets: [{ key, label, amount }], total, advance }
+   */
+  getAgeing(startingBalance, entries, asOf) {
+    const ageing = ageingService.ageLedger(startingBalance, entries, { asOf, terms: 0 });
+    return {
+      buckets: ageingService.getBuckets().map(bucket => ({ key: bucket.key, label: bucket.label, amount: ageing.buckets[bucket.key] })),
+      total: ageing.total,
+      advance: ageing.advance
+    };
+  }
+
+  /**
+   * Statement of account for one customer or supplier
+   * @param {string} partyType - 'customer' or 'supplier'
+   * @param {string} tenantId - Tenant ID
+   * @param {string} partyId - Customer or supplier ID
+   * @param {Object} period - From getPeriod
+   * @returns {Object} { party, period, openingBalance, entries, totals, closingBalance, ageing }
+   */
+  async buildStatement(partyType, tenantId, partyId, period) {
+    if (!PARTY_TYPES[partyType]) {
+      throw new Error('Unknown statement type');
+    }
+    const { party, startingBalance, entries } = await ledgerService.getLedger(partyType, tenantId, partyId);
+    const { from, to } = period;
+
+    let openingBalance = startingBalance;
+    const periodEntries = [];
+    const upToEnd = [];
+    entries.forEach(entry => {
+      const date = new Date(entry.date);
+      if (date > to) return;
+      upToEnd.push(entry);
+      if (date < from) {
+        openingBalance += entry.debit - entry.credit;
+      } else {
+        periodEntries.push(entry);
+      }
+    });
+
+    // Balances are worked out again from the opening balance so the statement adds up on its own
+    let balance = openingBalance;
+    const lines = periodEntries.map(entry => {
+      balance += entry.debit - entry.credit;
+      return {
+        date: entry.date,
+        type: entry.type,
+        description: entry.description,
+        reference: entry.reference || '',
+        debit: round(entry.debit),
+        credit: round(entry.credit),
+        balance: round(balance)
+      };
+    });
+
+    return {
+      partyType,
+      party,
+      period: { from, to },
+      openingBalance: round(openingBalance),
+      entries: lines,
+      totals: {
+        debit: round(lines.reduce((sum, line) => sum + line.debit, 0)),
+        credit: round(lines.reduce((sum, line) => sum + line.credit, 0))
+      },
+      closingBalance: round(balance),
+      ageing: this.getAgeing(startingBalance, upToEnd, to)
+    };
+  }
+
+  /**
+   * Statements for every customer or supplier whose closing balance is not zero
+   * @param {string} partyType - 'customer' or 'supplier'
+   * @param {string} tenantId - Tenant ID
+   * @param {Object} period - From getPeriod
+   * @returns {Array} Statements, by name
+   */
+  async buildBulkStatements(partyType, tenantId, period) {
+    if (!PARTY_TYPES[partyType]) {
+      throw new Error('Unknown statement type');
+    }
+
+    const candidates = await ledgerService.getPartiesWithActivity(partyType, tenantId);
+    const statements = [];
+    for (const candidate of candidates) {
+      const statement = await this.buildStatement(partyType, tenantId, candidate.id, period);
+      if (Math.abs(statement.closingBalance) >= 0.01) {
+        statements.push(statement);
+      }
+    }
+    return statements;
+  }
+
+  /**
+   * Flatten statements into CSV rows (one block per party)
+   * @param {Array} statements - From buildStatement / buildBulkStatements
+   * @returns {Object} { rows, columns } for utils/csv.toCsv
+   */
+  toCsvRows(statements) {
+    const columns = [
+      { key: 'party', label: 'Party' },
+      { key: 'phone', label: 'Phone' },
+      { key: 'date', label: 'Date' },
+      { key: 'type', label: 'Type' },
+      { key: 'reference', label: 'Reference' },
+      { key: 'description', label: 'Description' },
+      { key: 'debit', label: 'Debit' },
+      { key: 'credit', label: 'Credit' },
+      { key: 'balance', label: 'Balance' }
+    ];
+
+    const rows = [];
+    statements.forEach(statement => {
+      const party = { party: statement.party.name, phone: statement.party.phone };
+      rows.push({ ...party, date: toDateKey(statement.period.from), type: 'OPENING_BALANCE', description: 'Opening balance', balance: statement.openingBalance });
+      statement.entries.forEach(entry => {
+        rows.push({ ...party, ...entry, date: toDateKey(entry.date) });
+      });
+      rows.push({
+        ...party,
+        date: toDateKey(statement.period.to),
+        type: 'CLOSING_BALANCE',
+        description: 'Closing balance',
+        debit: statement.totals.debit,
+        credit: statement.totals.credit,
+        balance: statement.closingBalance
+      });
+      statement.ageing.buckets.forEach(bucket => {
+        rows.push({ ...party, date: toDateKey(statement.period.to), type: 'AGEING', description: bucket.label, balance: bucket.amount });
+      });
+    });
+    return { rows, columns };
+  }
+
+  /**
+   * Render statements into one PDF, each starting on a new page
+   * @param {Array} statements - From buildStatement / buildBulkStatements
+   * @param {Object} tenant - { businessName, whatsappNumber, businessAddress, logo }
+   * @returns {Promise<Buffer>}
+   */
+  buildPdf(statements, tenant) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ autoFirstPage: false, info: { Title: 'Statement of Account' } });
+      const chunks = [];
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      try {
+        const logo = tenant.logo && PDF_IMAGE_TYPES.includes(tenant.logo.imageType) ? tenant.logo.imageData : null;
+        statements.forEach(statement => this.drawStatement(doc, statement, tenant, logo));
+        doc.end();
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }
+
+  /**
+   * Draw one statement (continues onto further pages for long periods)
+   * @param {PDFDocument} doc - Open document
+   * @param {Object} statement - From buildStatement
+   * @param {Object} tenant - Business details
+   * @param {Buffer|null} logo - PNG/JPEG logo
+   */
+  drawStatement(doc, statement, tenant, logo) {
+    doc.addPage({ size: 'A4', margin: 40 });
+    const left = doc.page.margins.left;
+    const width = doc.page.width - left - doc.page.margins.right;
+    const bottom = doc.page.height - doc.page.margins.bottom;
+    const partyType = PARTY_TYPES[statement.partyType];
+    const balanceText = (value) => (value < 0 ? `${formatAmount(-value)} CR` : formatAmount(value));
+
+    // Business, with the logo to the left when there is one
+    let textLeft = left;
+    if (logo) {
+      try {
+        doc.image(logo, left, 40, { fit: [60, 60] });
+        textLeft = left + 72;
+      } catch (error) {
+        // An unreadable logo should not stop the statement
+        textLeft = left;
+      }
+    }
+    const headerWidth = width * 0.55 - (textLeft - left);
+    doc.fillColor('#111827').font('Helvetica-Bold').fontSize(16).text(tenant.businessName, textLeft, 40, { width: headerWidth });
+    doc.font('Helvetica').fontSize(9).fillColor('#4b5563');
+    if (tenant.businessAddress) doc.text(tenant.businessAddress, { width: headerWidth });
+    doc.text(`WhatsApp: ${tenant.whatsappNumber}`, { width: headerWidth });
+    const headerBottom = Math.max(doc.y, textLeft > left ? 100 : 0);
+
+    doc.fillColor('#111827').font('Helvetica-Bold').fontSize(16)
+      .text('STATEMENT OF ACCOUNT', left, 40, { width, align: 'right' });
+    doc.font('Helvetica').fontSize(9)
+      .text(`${formatDate(statement.period.from)} to ${formatDate(statement.period.to)}`, { width, align: 'right' })
+      .text(`Issued ${formatDate(new Date())}`, { width, align: 'right' });
+
+    // Party and balance summary
+    let y = Math.max(doc.y, headerBottom) + 15;
+    doc.roundedRect(left, y, width, 56, 4).strokeColor('#d1d5db').stroke();
+    doc.font('Helvetica-Bold').fontSize(8).fillColor('#6b7280').text(partyType.label.toUpperCase(), left + 10, y + 8);
+    doc.fillColor('#111827').fontSize(12).text(statement.party.name, left + 10, y + 20, { width: width / 2 - 20 });
+    doc.font('Helvetica').fontSize(9).text(statement.party.phone || '', { width: width / 2 - 20 });
+
+    const summary = [
+      ['Opening balance', statement.openingBalance],
+      ['Closing balance', statement.closingBalance]
+    ];
+    summary.forEach(([label, value], index) => {
+      const x = left + width / 2 + index * (width / 4);
+      doc.font('Helvetica-Bold').fontSize(8).fillColor('#6b7280').text(label.toUpperCase(), x, y + 12, { width: width / 4 - 10, align: 'right' });
+      doc.fontSize(12).fillColor('#111827').text(balanceText(value), x, y + 26, { width: width / 4 - 10, align: 'right' });
+    });
+    y += 70;
+
+    // Transactions
+    const columns = [
+      { label: 'Date', x: left, width: 62 },
+      { label: 'Description', x: left + 62, width: width - 62 - 225 },
+      { label: 'Debit', x: left + width - 225, width: 75, align: 'right' },
+      { label: 'Credit', x: left + width - 150, width: 75, align: 'right' },
+      { label: 'Balance', x: left + width - 75, width: 75, align: 'right' }
+    ];
+    const drawHeader = () => {
+      doc.rect(left, y, width, 18).fill('#f3f4f6');
+      doc.fillColor('#374151').font('Helvetica-Bold').fontSize(8);
+      columns.forEach(column => doc.text(column.label.toUpperCase(), column.x + 4, y + 5, { width: column.width - 8, align: column.align || 'left' }));
+      y += 22;
+      doc.font('Helvetica').fontSize(9).fillColor('#111827');
+    };
+    const drawRow = (cells, bold) => {
+      doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9).fillColor('#111827');
+      const rowHeight = Math.max(14, doc.heightOfString(cells[1], { width: columns[1].width - 8 }) + 4);
+      if (y + rowHeight > bottom - 20) {
+        doc.addPage({ size: 'A4', margin: 40 });
+        y = 40;
+        drawHeader();
+        doc.font(bold ? 'Helvetica-Bold' : 'Helvetica');
+      }
+      cells.forEach((cell, index) => {
+        doc.text(cell, columns[index].x + 4, y, { width: columns[index].width - 8, align: columns[index].align || 'left' });
+      });
+      y += rowHeight;
+      doc.moveTo(left, y - 2).lineTo(left + width, y - 2).strokeColor('#e5e7eb').stroke();
+    };
+
+    drawHeader();
+    drawRow([formatDate(statement.period.from), 'Opening balance', '', '', balanceText(statement.openingBalance)], true);
+    statement.entries.forEach(entry => {
+      drawRow([
+        formatDate(entry.date),
+        entry.description,
+        entry.debit > 0 ? formatAmount(entry.debit) : '',
+        entry.credit > 0 ? formatAmount(entry.credit) : '',
+        balanceText(entry.balance)
+      ]);
+    });
+    if (statement.entries.length === 0) {
+      drawRow(['', 'No transactions in this period', '', '', '']);
+    }
+    drawRow([
+      formatDate(statement.period.to),
+      'Closing balance',
+      formatAmount(statement.totals.debit),
+      formatAmount(statement.totals.credit),
+      balanceText(statement.closingBalance)
+    ], true);
+
+    // Ageing of the closing balance
+    if (y + 90 > bottom) {
+      doc.addPage({ size: 'A4', margin: 40 });
+      y = 40;
+    }
+    y += 14;
+    doc.font('Helvetica-Bold').fontSize(9).fillColor('#6b7280').text('AGEING', left, y);
+    y += 14;
+    const cellWidth = width / (statement.ageing.buckets.length + 1);
+    const ageingCells = [
+      ...statement.ageing.buckets.map(bucket => [bucket.label, bucket.amount]),
+      [statement.closingBalance < 0 ? partyType.creditLabel : partyType.balanceLabel, statement.closingBalance < 0 ? -statement.closingBalance : statement.ageing.total]
+    ];
+    ageingCells.forEach(([label, amount], index) => {
+      const x = left + index * cellWidth;
+      const isTotal = index === ageingCells.length - 1;
+      doc.rect(x, y, cellWidth - 4, 40).fill(isTotal ? '#111827' : '#f9fafb');
+      doc.font('Helvetica').fontSize(8).fillColor(isTotal ? '#d1d5db' : '#6b7280').text(label, x + 6, y + 7, { width: cellWidth - 16 });
+      doc.font('Helvetica-Bold').fontSize(11).fillColor(isTotal ? '#ffffff' : '#111827').text(formatAmount(amount), x + 6, y + 21, { width: cellWidth - 16 });
+    });
+
+    doc.fillColor('#6b7280').font('Helvetica').fontSize(8)
+      .text(`CR = ${partyType.creditLabel.toLowerCase()}. Please contact us if anything on this statement does not match your records.`, left, bottom - 14, { width, align: 'center', lineBreak: false });
+    doc.fillColor('#111827');
+  }
+
+  /**
+   * Statement file ready to send
+   * @param {string} partyType - 'customer' or 'supplier'
+   * @param {string} tenantId - Tenant ID
+   * @param {Array} statements - Statements in the file
+   * @param {Object} period - From getPeriod
+   * @param {string} format - 'pdf' or 'csv'
+   * @returns {Object} { body, contentType, filename }
+   */
+  async exportStatements(partyType, tenantId, statements, period, format) {
+    if (format === 'csv') {
+      const { rows, columns } = this.toCsvRows(statements);
+      return {
+        body: toCsv(rows, columns),
+        contentType: 'text/csv; charset=utf-8',
+        filename: this.getFilename(partyType, statements, period, 'csv')
+      };
+    }
+
+    const tenant = await prisma.tenant.findUnique({
+      where: { id: tenantId },
+      select: {
+        businessName: true,
+        whatsappNumber: true,
+        businessAddress: true,
+        logo: { select: { imageData: true, imageType: true } }
+      }
+    });
+    return {
+      body: await this.buildPdf(statements, tenant),
+      contentType: 'application/pdf',
+      filename: this.getFilename(partyType, statements, period, 'pdf')
+    };
+  }
+
+  /**
+   * Suggested download name
+   * @param {string} partyType - 'customer' or 'supplier'
+   * @param {Array} statements - Statements in the file
+   * @param {Object} period - From getPeriod
+   * @param {string} extension - 'pdf' or 'csv'
+   * @returns {string}
+   */
+  getFilename(partyType, statements, period, extension) {
+    const who = statements.length === 1
+      ? (statements[0].party.name || partyType).replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '').toLowerCase()
+      : `${partyType}s`;
+    return `statement-${who}-${toDateKey(period.from)}-to-${toDateKey(period.to)}.${extension}`;
+  }
+}
+
+module.exports = new StatementService();
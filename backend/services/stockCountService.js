@@ -0,0 +1,490 @@
+const prisma = require('../lib/db');
+const accountingService = require('./accountingService');
+const auditLogService = require('./auditLogService');
+const locationService = require('./locationService');
+const reorderService = require('./reorderService');
+
+// Why a counted quantity differs from the books
+const VARIANCE_REASONS = {
+  DAMAGED: 'Damaged',
+  THEFT: 'Theft / missing',
+  EXPIRED: 'Expired / unsellable',
+  COUNTING_ERROR: 'Earlier counting error',
+  FOUND: 'Found stock',
+  OTHER: 'Other'
+};
+
+const stockKey = (productId, productVariantId) =>
+  productVariantId ? `${productId}_${productVariantId}` : productId;
+
+const describeLine = (product, variant) =>
+  variant ? `${product.name} (${variant.color}${variant.size ? `, ${variant.size}` : ''})` : product.name;
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+class StockCountService {
+  /**
+   * Variance reasons offered when counting
+   * @returns {Array} [{ value, label }]
+   */
+  getReasons() {
+    return Object.entries(VARIANCE_REASONS).map(([value, label]) => ({ value, label }));
+  }
+
+  /**
+   * Next count number for a tenant, e.g. SC-2026-0007
+   * @param {string} tenantId - Tenant ID
+   * @returns {string}
+   */
+  async generateCountNumber(tenantId) {
+    const year = new Date().getFullYear();
+    const prefix = `SC-${year}-`;
+    const last = await prisma.stockCount.findFirst({
+      where: { tenantId, countNumber: { startsWith: prefix } },
+      orderBy: { countNumber: 'desc' },
+      select: { countNumber: true }
+    });
+    const next = last ? parseInt(last.countNumber.slice(prefix.length), 10) + 1 : 1;
+    return `${prefix}${String(next).padStart(4, '0')}`;
+  }
+
+  /**
+   * Book quantity of every line in a set of products, at a location when given
+   * @param {Object} client - Prisma client or transaction
+   * @param {string} tenantId - Tenant ID
+   * @param {Object|null} location - Location record
+   * @returns {Object} stockKey -> quantity
+   */
+  async getBookQuantities(client, tenantId, location) {
+    const quantities = {};
+    if (location) {
+      const levels = await locationService.getStockLevels(tenantId, client);
+      levels.forEach(level => {
+        quantities[stockKey(level.productId, level.productVariantId)] = level.quantities[location.id] || 0;
+      });
+      return quantities;
+    }
+
+    const products = await client.product.findMany({
+      where: { tenantId },
+      select: {
+        id: true,
+        hasVariants: true,
+        currentQuantity: true,
+        variants: { select: { id: true, currentQuantity: true } }
+      }
+    });
+    products.forEach(product => {
+      if (product.hasVariants && product.variants.length > 0) {
+        product.variants.forEach(variant => {
+          quantities[stockKey(product.id, variant.id)] = variant.currentQuantity || 0;
+        });
+      } else {
+        quantities[product.id] = product.currentQuantity || 0;
+      }
+    });
+    return quantities;
+  }
+
+  /**
+   * Start a count session with one line per active product/variant
+   * @param {string} tenantId - Tenant ID
+   * @param {Object} data - { locationId, category, notes }
+   * @param {Object} user - Authenticated user
+   * @returns {Object} StockCount with items
+   */
+  async createCount(tenantId, data, user) {
+    const location = data.locationId ? await locationService.getLocation(data.locationId, tenantId) : null;
+    if (location && !location.isActive) {
+      throw new Error(`${location.name} is inactive`);
+    }
+
+    const products = await prisma.product.findMany({
+      where: {
+        tenantId,
+        isActive: true,
+        ...(data.category && { category: data.category })
+      },
+      select: {
+        id: true,
+        name: true,
+        hasVariants: true,
+        lastPurchasePrice: true,
+        variants: {
+          where: { isActive: true },
+          select: { id: true, color: true, size: true },
+          orderBy: [{ color: 'asc' }, { size: 'asc' }]
+        }
+      },
+      orderBy: { name: 'asc' }
+    });
+    if (products.length === 0) {
+      throw new Error('No active products to count');
+    }
+
+    const [bookQuantities, lastPurchases] = await Promise.all([
+      this.getBookQuantities(prisma, tenantId, location),
+      reorderService.getLastPurchases(tenantId, products.map(product => product.id))
+    ]);
+
+    const items = [];
+    const addItem = (product, variant) => {
+      const key = stockKey(product.id, variant?.id);
+      const unitCost = lastPurchases.get(key)?.purchasePrice ?? product.lastPurchasePrice ?? 0;
+      items.push({
+        productId: product.id,
+        productVariantId: variant?.id || null,
+        productName: describeLine(product, variant),
+        bookQuantity: bookQuantities[key] || 0,
+        unitCost
+      });
+    };
+    products.forEach(product => {
+      if (product.hasVariants && product.variants.length > 0) {
+        product.variants.forEach(variant => addItem(product, variant));
+      } else {
+        addItem(product, null);
+      }
+    });
+
+    const countNumber = await this.generateCountNumber(tenantId);
+    const count = await prisma.stockCount.create({
+      data: {
+        countNumber,
+        notes: data.notes ? data.notes.toString().trim() || null : null,
+        startedBy: user?.name || user?.email || null,
+        tenantId,
+        locationId: location ? location.id : null,
+        items: { create: items }
+      }
+    });
+
+    return this.getCount(count.id, tenantId);
+  }
+
+  /**
+   * List count sessions with line and variance totals
+   * @param {string} tenantId - Tenant ID
+   * @param {Object} filters - { status }
+   * @returns {Array}
+   */
+  async getCounts(tenantId, filters = {}) {
+    const counts = await prisma.stockCount.findMany({
+      where: {
+        tenantId,
+        ...(filters.status && { status: filters.status })
+      },
+      include: {
+        location: { select: { id: true, name: true } },
+        items: { select: { countedQuantity: true } }
+      },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    return counts.map(({ items, ...count }) => ({
+      ...count,
+      lineCount: items.length,
+      countedLines: items.filter(item => item.countedQuantity !== null).length
+    }));
+  }
+
+  /**
+   * Get a count with its lines. Until approval, uncounted lines show the live book quantity;
+   * counted lines keep the book quantity from when they were counted.
+   * @param {string} id - StockCount ID
+   * @param {string} tenantId - Tenant ID
+   * @returns {Object} StockCount with items (variance, varianceValue) and summary
+   */
+  async getCount(id, tenantId) {
+    const count = await prisma.stockCount.findFirst({
+      where: { id, tenantId },
+      include: {
+        location: { select: { id: true, name: true } },
+        items: { orderBy: { productName: 'asc' } }
+      }
+    });
+    if (!count) {
+      throw new Error('Stock count not found');
+    }
+
+    let items = count.items;
+    if (['IN_PROGRESS', 'SUBMITTED'].includes(count.status)) {
+      const location = count.locationId ? await locationService.getLocation(count.locationId, tenantId) : null;
+      const bookQuantities = await this.getBookQuantities(prisma, tenantId, location);
+      items = items.map(item => (item.countedQuantity !== null ? item : {
+        ...item,
+        bookQuantity: bookQuantities[stockKey(item.productId, item.productVariantId)] || 0
+      }));
+    }
+
+    const summary = { lineCount: items.length, countedLines: 0, varianceLines: 0, shrinkageValue: 0, gainValue: 0 };
+    items = items.map(item => {
+      const variance = item.countedQuantity === null ? null : item.countedQuantity - item.bookQuantity;
+      const varianceValue = variance === null ? null : roundAmount(variance * item.unitCost);
+      if (variance !== null) {
+        summary.countedLines++;
+        if (variance !== 0) summary.varianceLines++;
+        if (variance < 0) summary.shrinkageValue += -varianceValue;
+        if (variance > 0) summary.gainValue += varianceValue;
+      }
+      return { ...item, variance, varianceValue };
+    });
+    summary.shrinkageValue = roundAmount(summary.shrinkageValue);
+    summary.gainValue = roundAmount(summary.gainValue);
+
+    return { ...count, items, summary };
+  }
+
+  /**
+   * Save counted quantities (and reasons) for some lines of an open count. The book quantity is
+   * recorded with each count, so stock moved afterwards is not mistaken for a variance.
+   * @param {string} id - StockCount ID
+   * @param {string} tenantId - Tenant ID
+   * @param {Array} entries - [{ itemId, countedQuantity, reason, notes }]; countedQuantity null clears a line
+   * @returns {Object} Updated count
+   */
+  async recordCounts(id, tenantId, entries) {
+    const count = await prisma.stockCount.findFirst({
+      where: { id, tenantId },
+      select: { id: true, status: true, locationId: true, items: { select: { id: true, productId: true, productVariantId: true } } }
+    });
+    if (!count) {
+      throw new Error('Stock count not found');
+    }
+    if (count.status !== 'IN_PROGRESS') {
+      throw new Error('Only counts in progress can be updated');
+    }
+    if (!Array.isArray(entries) || entries.length === 0) {
+      throw new Error('No counted lines were sent');
+    }
+
+    const location = count.locationId ? await locationService.getLocation(count.locationId, tenantId) : null;
+    const bookQuantities = await this.getBookQuantities(prisma, tenantId, location);
+    const itemsById = new Map(count.items.map(item => [item.id, item]));
+
+    const updates = entries.map(entry => {
+      const cleared = entry.countedQuantity === null || entry.countedQuantity === '';
+      const countedQuantity = cleared ? null : Number(entry.countedQuantity);
+      if (!cleared && (!Number.isInteger(countedQuantity) || countedQuantity < 0)) {
+        throw new Error('Counted quantities must be whole numbers of zero or more');
+      }
+      if (entry.reason && !VARIANCE_REASONS[entry.reason]) {
+        throw new Error(`Unknown variance reason: ${entry.reason}`);
+      }
+      const item = itemsById.get(entry.itemId);
+      return {
+        where: { id: entry.itemId, stockCountId: id },
+        data: {
+          countedQuantity,
+          countedAt: cleared ? null : new Date(),
+          ...(!cleared && item && { bookQuantity: bookQuantities[stockKey(item.productId, item.productVariantId)] || 0 }),
+          ...(entry.reason !== undefined && { reason: entry.reason || null }),
+          ...(entry.notes !== undefined && { notes: entry.notes ? entry.notes.toString().trim() || null : null })
+        }
+      };
+    });
+
+    await prisma.$transaction(updates.map(update => prisma.stockCountItem.updateMany(update)));
+    return this.getCount(id, tenantId);
+  }
+
+  /**
+   * Hand a count over for approval. Every line with a variance needs a reason.
+   * @param {string} id - StockCount ID
+   * @param {string} tenantId - Tenant ID
+   * @param {Object} user - Authenticated user
+   * @returns {Object} Updated count
+   */
+  async submitCount(id, tenantId, user) {
+    const count = await this.getCount(id, tenantId);
+    if (count.status !== 'IN_PROGRESS') {
+      throw new Error('Only counts in progress can be submitted');
+    }
+    if (count.summary.countedLines === 0) {
+      throw new Error('Count at least one line before submitting');
+    }
+    const missingReasons = count.items.filter(item => item.variance && !item.reason);
+    if (missingReasons.length > 0) {
+      throw new Error(`Choose a reason for: ${missingReasons.map(item => item.productName).join(', ')}`);
+    }
+
+    await prisma.stockCount.update({
+      where: { id },
+      data: { status: 'SUBMITTED', submittedAt: new Date(), submittedBy: user?.name || user?.email || null }
+    });
+    return this.getCount(id, tenantId);
+  }
+
+  /**
+   * Send a submitted count back for recounting
+   * @param {string} id - StockCount ID
+   * @param {string} tenantId - Tenant ID
+   * @returns {Object} Updated count
+   */
+  async reopenCount(id, tenantId) {
+    const count = await prisma.stockCount.findFirst({ where: { id, tenantId }, select: { status: true } });
+    if (!count) {
+      throw new Error('Stock count not found');
+    }
+    if (count.status !== 'SUBMITTED') {
+      throw new Error('Only submitted counts can be sent back for recounting');
+    }
+    await prisma.stockCount.update({
+      where: { id },
+      data: { status: 'IN_PROGRESS', submittedAt: null, submittedBy: null }
+    });
+    return this.getCount(id, tenantId);
+  }
+
+  /**
+   * Cancel a count that has not been approved
+   * @param {string} id - StockCount ID
+   * @param {string} tenantId - Tenant ID
+   */
+  async cancelCount(id, tenantId) {
+    const count = await prisma.stockCount.findFirst({ where: { id, tenantId }, select: { status: true } });
+    if (!count) {
+      throw new Error('Stock count not found');
+    }
+    if (!['IN_PROGRESS', 'SUBMITTED'].includes(count.status)) {
+      throw new Error('Approved or cancelled counts cannot be cancelled');
+    }
+    await prisma.stockCount.update({ where: { id }, data: { status: 'CANCELLED' } });
+  }
+
+  /**
+   * Approve a submitted count: move stock by each line's variance against the book quantity
+   * recorded when it was counted, log each change in ProductLog and post shrinkage
+   * (Dr 5900 / Cr 1300) and gains (Dr 1300 / Cr 4500) at cost. Lines left uncounted are not changed.
+   * @param {string} id - StockCount ID
+   * @param {string} tenantId - Tenant ID
+   * @param {Object} user - Authenticated user
+   * @returns {Object} Approved count
+   */
+  async approveCount(id, tenantId, user) {
+    const count = await prisma.stockCount.findFirst({
+      where: { id, tenantId },
+      include: { items: { where: { countedQuantity: { not: null } } } }
+    });
+    if (!count) {
+      throw new Error('Stock count not found');
+    }
+    if (count.status !== 'SUBMITTED') {
+      throw new Error('Only submitted counts can be approved');
+    }
+
+    const location = count.locationId ? await locationService.getLocation(count.locationId, tenantId) : null;
+    const reference = `Stock count: ${count.countNumber}`;
+    const transactionData = await accountingService.applyPeriodLock({
+      transactionNumber: `TXN-${new Date().getFullYear()}-${Date.now()}`,
+      date: new Date(),
+      description: `${reference}${location ? ` at ${location.name}` : ''} variances`,
+      tenantId
+    });
+
+    const inventoryAccount = await accountingService.getOrCreateAccount({
+      code: '1300', name: 'Inventory', type: 'ASSET', tenantId, balance: 0
+    });
+    const shrinkageAccount = await accountingService.getOrCreateAccount({
+      code: '5900', name: 'Inventory Shrinkage', type: 'EXPENSE', tenantId, balance: 0
+    });
+    const gainAccount = await accountingService.getOrCreateAccount({
+      code: '4500', name: 'Inventory Gain', type: 'INCOME', tenantId, balance: 0
+    });
+
+    const approvedBy = user?.name || user?.email || null;
+    const approved = await prisma.$transaction(async (tx) => {
+      // Claim the count first so two approvals at once cannot both move stock and post to the ledger
+      const claim = await tx.stockCount.updateMany({
+        where: { id, tenantId, status: 'SUBMITTED' },
+        data: { status: 'APPROVED', approvedAt: new Date(), approvedBy }
+      });
+      if (claim.count === 0) {
+        throw new Error('Only submitted counts can be approved');
+      }
+
+      let shrinkageValue = 0;
+      let gainValue = 0;
+
+      for (const item of count.items) {
+        const bookQuantity = item.bookQuantity;
+        const variance = item.countedQuantity - bookQuantity;
+        if (variance === 0) continue;
+
+        // currentQuantity is the total across locations, so it moves by the variance
+        const line = item.productVariantId
+          ? await tx.productVariant.update({
+            where: { id: item.productVariantId },
+            data: { currentQuantity: { increment: variance } }
+          })
+          : await tx.product.update({
+            where: { id: item.productId },
+            data: { currentQuantity: { increment: variance }, lastUpdated: new Date() }
+          });
+        if (location) {
+          await locationService.adjustLocationStock(tx, location, item.productId, item.productVariantId, variance);
+        }
+
+        await tx.productLog.create({
+          data: {
+            action: variance > 0 ? 'INCREASE' : 'DECREASE',
+            quantity: variance,
+            oldQuantity: line.currentQuantity - variance,
+            newQuantity: line.currentQuantity,
+            reason: `Stock count: ${VARIANCE_REASONS[item.reason] || 'No reason given'}`,
+            reference,
+            notes: item.notes || `${item.productName} counted at ${item.countedQuantity}, books showed ${bookQuantity}`,
+            tenantId,
+            productId: item.productId,
+            productVariantId: item.productVariantId,
+            locationId: location ? location.id : null
+          }
+        });
+
+        if (variance < 0) shrinkageValue += -variance * item.unitCost;
+        else gainValue += variance * item.unitCost;
+      }
+
+      shrinkageValue = roundAmount(shrinkageValue);
+      gainValue = roundAmount(gainValue);
+
+      const lines = [];
+      if (shrinkageValue > 0) {
+        lines.push({ accountId: shrinkageAccount.id, debitAmount: shrinkageValue, creditAmount: 0 });
+        lines.push({ accountId: inventoryAccount.id, debitAmount: 0, creditAmount: shrinkageValue });
+      }
+      if (gainValue > 0) {
+        lines.push({ accountId: inventoryAccount.id, debitAmount: gainValue, creditAmount: 0 });
+        lines.push({ accountId: gainAccount.id, debitAmount: 0, creditAmount: gainValue });
+      }
+      const transaction = lines.length > 0
+        ? await accountingService.postTransaction(tx, transactionData, lines)
+        : null;
+
+      return tx.stockCount.update({
+        where: { id },
+        data: {
+          shrinkageValue,
+          gainValue,
+          transactionId: transaction ? transaction.id : null
+        }
+      });
+    }, {
+      timeout: 30000
+    });
+
+    await auditLogService.log({
+      tenantId,
+      user,
+      entityType: 'STOCK_COUNT',
+      entityId: count.id,
+      entityLabel: count.countNumber,
+      action: 'APPROVE',
+      description: `Approved ${count.countNumber}: shrinkage Rs. ${approved.shrinkageValue.toFixed(2)}, gain Rs. ${approved.gainValue.toFixed(2)}`
+    });
+
+    return this.getCount(id, tenantId);
+  }
+}
+
+module.exports = new StockCountService();
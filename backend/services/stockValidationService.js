@@ -1,4 +1,6 @@
 const prisma = require('../lib/db');
+const reservationService = require('./reservationService');
+const { CONFIRMED_ORDER_STATUSES } = require('../utils/orderStatus');
 
 class StockValidationService {
   /**
@@ -24,9 +26,10 @@ class StockValidationService {
    * @param {Array|string} selectedProducts - Selected products
    * @param {Object|string} productQuantities - Product quantities
    * @param {string} excludeOrderId - Order ID to exclude from stock calculation (for updates)
+   * @param {Object} client - Prisma client or transaction
    * @returns {Object} Validation result with isValid flag and errors array
    */
-  async validateStockAvailability(tenantId, selectedProducts, productQuantities, excludeOrderId = null) {
+  async validateStockAvailability(tenantId, selectedProducts, productQuantities, excludeOrderId = null, client = prisma) {
     const result = {
       isValid: true,
       errors: []
@@ -55,69 +58,15 @@ class StockValidationService {
         quantities = {};
       }
 
-      // Get all confirmed/dispatched/completed orders (these have already allocated stock)
-      const confirmedOrders = await prisma.order.findMany({
-        where: {
-          tenantId: tenantId,
-          status: { in: ['CONFIRMED', 'DISPATCHED', 'COMPLETED'] },
-          ...(excludeOrderId && { id: { not: excludeOrderId } })
-        },
-        select: {
-          id: true,
-          selectedProducts: true,
-          productQuantities: true,
-          orderItems: {
-            select: {
-              productId: true,
-              productVariantId: true,
-              quantity: true
-            }
-          }
-        }
-      });
-
-      // Calculate allocated stock per product and per variant
-      const allocatedStock = {}; // productId -> quantity
-      const allocatedVariantStock = {}; // variantId -> quantity
-      
-      for (const order of confirmedOrders) {
-        // First, try to use normalized orderItems (if available)
-        if (order.orderItems && order.orderItems.length > 0) {
-          for (const orderItem of order.orderItems) {
-            if (orderItem.productVariantId) {
-              // Variant-level allocation
-              allocatedVariantStock[orderItem.productVariantId] = 
-                (allocatedVariantStock[orderItem.productVariantId] || 0) + orderItem.quantity;
-            } else if (orderItem.productId) {
-              // Product-level allocation
-              allocatedStock[orderItem.productId] = 
-                (allocatedStock[orderItem.productId] || 0) + orderItem.quantity;
-            }
-          }
-        } else {
-          // Fallback to legacy selectedProducts JSON
-          const orderProducts = this.parseJSON(order.selectedProducts) || [];
-          const orderQuantities = this.parseJSON(order.productQuantities) || {};
-
-          for (const product of orderProducts) {
-            const productId = product.id || product;
-            const variantId = product.variantId || product.productVariantId;
-            const quantity = orderQuantities[productId] || product.quantity || 1;
-            
-            if (variantId) {
-              // Variant-level allocation
-              allocatedVariantStock[variantId] = (allocatedVariantStock[variantId] || 0) + quantity;
-            } else {
-              // Product-level allocation
-              allocatedStock[productId] = (allocatedStock[productId] || 0) + quantity;
-            }
-          }
-        }
-      }
+      // Confirmed orders have already been deducted from currentQuantity; what is left is
+      // held by PENDING orders' active reservations (other than the order being edited)
+      const reserved = await reservationService.getReservedQuantities(tenantId, { excludeOrderId, client });
+      const allocatedStock = { ...reserved.productLines }; // productId -> quantity
+      const allocatedVariantStock = { ...reserved.variants }; // variantId -> quantity
 
-      // If updating an order, get its current quantities to subtract
+      // A confirmed order being edited gives its own deducted quantities back
       if (excludeOrderId) {
-        const currentOrder = await prisma.order.findUnique({
+        const currentOrder = await client.order.findUnique({
           where: { id: excludeOrderId },
           select: {
             selectedProducts: true,
@@ -133,7 +82,7 @@ class StockValidationService {
           }
         });
 
-        if (currentOrder && ['CONFIRMED', 'DISPATCHED', 'COMPLETED'].includes(currentOrder.status)) {
+        if (currentOrder && CONFIRMED_ORDER_STATUSES.includes(currentOrder.status)) {
           // Use normalized orderItems if available
           if (currentOrder.orderItems && currentOrder.orderItems.length > 0) {
             for (const orderItem of currentOrder.orderItems) {
@@ -170,11 +119,12 @@ class StockValidationService {
         const productId = product.id || product;
         const productName = product.name || 'Unknown Product';
         const variantId = product.variantId || product.productVariantId;
-        const requestedQuantity = quantities[productId] || product.quantity || 1;
+        const quantityKey = variantId ? `${productId}_${variantId}` : productId;
+        const requestedQuantity = quantities[quantityKey] ?? quantities[productId] ?? product.quantity ?? 1;
 
         // If variant ID is provided, validate variant stock
         if (variantId) {
-          const variant = await prisma.productVariant.findFirst({
+          const variant = await client.productVariant.findFirst({
             where: {
               id: variantId,
               isActive: true,
@@ -226,7 +176,7 @@ class StockValidationService {
         // Find the product
         let foundProduct = null;
         if (productId && typeof productId === 'string' && productId.length > 0) {
-          foundProduct = await prisma.product.findFirst({
+          foundProduct = await client.product.findFirst({
             where: {
               id: productId,
               tenantId: tenantId,
@@ -237,7 +187,7 @@ class StockValidationService {
 
         // If not found by ID, try by name
         if (!foundProduct && productName) {
-          foundProduct = await prisma.product.findFirst({
+          foundProduct = await client.product.findFirst({
             where: {
               tenantId: tenantId,
               name: {
@@ -0,0 +1,140 @@
+/**
+ * Period closing tests: closing a month transfers its profit to Retained Earnings,
+ * snapshots balances and locks the month; reopening removes the closing entry.
+ *
+ * Run with: npm test -- accounting-periods.test.js
+ */
+const { describe, test, expect, beforeAll, afterAll } = require('@jest/globals');
+const request = require('supertest');
+const prisma = require('../lib/db');
+const accountingService = require('../services/accountingService');
+const financialReportService = require('../services/financialReportService');
+const {
+  createTestTenant,
+  setTestAuth,
+  cleanupTestData,
+  createTestApp,
+  getAccountByCode
+} = require('./helpers/testHelpers');
+
+const app = createTestApp();
+
+let testTenant;
+let mayPeriod;
+
+async function post(date, description, lines, options) {
+  const accounts = {};
+  for (const line of lines) {
+    accounts[line.code] = accounts[line.code] || await getAccountByCode(line.code, testTenant.id);
+  }
+  return await accountingService.createTransaction(
+    {
+      transactionNumber: `TXN-TEST-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      date: new Date(date),
+      description,
+      tenantId: testTenant.id
+    },
+    lines.map(line => ({
+      accountId: accounts[line.code].id,
+      debitAmount: line.debit || 0,
+      creditAmount: line.credit || 0
+    })),
+    options
+  );
+}
+
+describe('Accounting period closing', () => {
+  beforeAll(async () => {
+    const { user, tenant } = await createTestTenant();
+    testTenant = tenant;
+    setTestAuth(user, tenant);
+
+    await post('2026-05-01', 'Owner capital', [{ code: '1100', debit: 50000 }, { code: '3000', credit: 50000 }]);
+    await post('2026-05-10', 'Sale', [{ code: '1000', debit: 3000 }, { code: '4000', credit: 3000 }]);
+    await post('2026-05-10', 'Cost of sale', [{ code: '5000', debit: 1800 }, { code: '1300', credit: 1800 }]);
+    await post('2026-05-20', 'Rent', [{ code: '5700', debit: 500 }, { code: '1100', credit: 500 }]);
+  });
+
+  afterAll(async () => {
+    if (testTenant) {
+      await cleanupTestData(testTenant.id);
+    }
+  });
+
+  test('1. Closing a month moves net profit to Retained Earnings and snapshots balances', async () => {
+    const response = await request(app)
+      .post('/accounting/periods/close')
+      .send({ year: 2026, month: 5 });
+
+    expect(response.status).toBe(201);
+    expect(response.body.success).toBe(true);
+    mayPeriod = response.body.data;
+    expect(mayPeriod.status).toBe('CLOSED');
+    expect(mayPeriod.netProfit).toBe(700);
+
+    const period = await prisma.accountingPeriod.findUnique({
+      where: { id: mayPeriod.id },
+      include: {
+        closingTransaction: { include: { transactionLines: { include: { account: true } } } },
+        snapshots: { include: { account: true } }
+      }
+    });
+
+    expect(period.closingTransaction.entryType).toBe('CLOSING');
+    const retainedLine = period.closingTransaction.transactionLines.find(line => line.account.code === '3200');
+    expect(retainedLine.creditAmount).toBe(700);
+
+    const snapshotByCode = Object.fromEntries(period.snapshots.map(snapshot => [snapshot.account.code, snapshot]));
+    expect(snapshotByCode['4000'].balance).toBe(0);
+    expect(snapshotByCode['1100'].balance).toBe(49500);
+    expect(snapshotByCode['3200'].balance).toBe(700);
+
+    // The closing entry does not hide the month's results
+    const profitAndLoss = await financialReportService.getProfitAndLoss({
+      tenantId: testTenant.id,
+      fromDate: '2026-05-01',
+      toDate: '2026-05-31'
+    });
+    expect(profitAndLoss.netProfit.total).toBe(700);
+
+    const duplicate = await request(app)
+      .post('/accounting/periods/close')
+      .send({ year: 2026, month: 5 });
+    expect(duplicate.status).toBe(400);
+  });
+
+  test('2. Entries dated in a closed month are posted as adjustments in the next open month', async () => {
+    const adjusted = await post('2026-05-15', 'Late sale', [{ code: '1000', debit: 400 }, { code: '4000', credit: 400 }]);
+
+    expect(adjusted.entryType).toBe('ADJUSTMENT');
+    expect(new Date(adjusted.date) > new Date(mayPeriod.periodEnd)).toBe(true);
+    expect(adjusted.description).toContain('Adjustment for closed period May 2026');
+
+    await expect(
+      post('2026-05-15', 'Manual entry', [{ code: '5700', debit: 100 }, { code: '1100', credit: 100 }], { closedPeriod: 'REJECT' })
+    ).rejects.toMatchObject({ code: 'PERIOD_CLOSED' });
+  });
+
+  test('3. Reopening a month removes its closing entry and snapshot', async () => {
+    const response = await request(app)
+      .post(`/accounting/periods/${mayPeriod.id}/reopen`)
+      .send({ reason: 'Missed supplier invoice' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.status).toBe('REOPENED');
+
+    const closingTransaction = await prisma.transaction.findUnique({
+      where: { id: mayPeriod.closingTransactionId }
+    });
+    expect(closingTransaction).toBeNull();
+
+    const snapshots = await prisma.accountBalanceSnapshot.count({ where: { periodId: mayPeriod.id } });
+    expect(snapshots).toBe(0);
+
+    const retainedEarnings = await getAccountByCode('3200', testTenant.id);
+    expect(retainedEarnings.balance).toBe(0);
+
+    const open = await post('2026-05-25', 'Supplier invoice', [{ code: '5700', debit: 100 }, { code: '1100', credit: 100 }]);
+    expect(open.entryType).toBe('STANDARD');
+  });
+});
@@ -0,0 +1,187 @@
+/**
+ * AR/AP ageing tests: outstanding balances split into current, 1-30, 31-60, 61-90 and 90+ day
+ * buckets, with payments linked to an order or purchase invoice settling that document first
+ * and unlinked payments settling the oldest. Covers credit terms, filters, drill-down and CSV.
+ *
+ * Run with: npm test -- ageing.test.js
+ */
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret-key';
+
+const { describe, test, expect, beforeAll, afterAll } = require('@jest/globals');
+const express = require('express');
+const request = require('supertest');
+const prisma = require('../lib/db');
+const statementService = require('../services/statementService');
+const {
+  createTestTenant,
+  generateTestToken,
+  cleanupTestData
+} = require('./helpers/testHelpers');
+
+const app = express();
+app.use(express.json());
+app.use('/api/accounting', require('../routes/accounting'));
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let testTenant;
+let otherTenant;
+let token;
+let customer;
+let otherCustomer;
+let supplier;
+let oldOrder;
+
+function daysAgo(days) {
+  return new Date(Date.now() - days * DAY_MS);
+}
+
+async function createOrder(form, orderCustomer, suffix, amount, createdAt) {
+  return prisma.order.create({
+    data: {
+      orderNumber: `AGE-${suffix}-${Date.now()}`,
+      formId: form.id,
+      tenantId: orderCustomer.tenantId,
+      customerId: orderCustomer.id,
+      formData: JSON.stringify({ 'Customer Name': orderCustomer.name }),
+      status: 'CONFIRMED',
+      createdAt,
+      orderItems: { create: [{ productName: 'Ageing Kurta', quantity: 1, price: amount }] }
+    }
+  });
+}
+
+async function createPayment(data) {
+  return prisma.payment.create({
+    data: {
+      paymentNumber: `PAY-AGE-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`,
+      tenantId: testTenant.id,
+      ...data
+    }
+  });
+}
+
+describe('AR/AP ageing', () => {
+  beforeAll(async () => {
+    const created = await createTestTenant();
+    testTenant = created.tenant;
+    token = generateTestToken(created.user, created.tenant);
+
+    const form = await prisma.form.create({
+      data: {
+        name: 'Ageing Form',
+        formCategory: 'SHOPPING_CART',
+        tenantId: testTenant.id,
+        formLink: `ageing-form-${Date.now()}`,
+        isPublished: true
+      }
+    });
+
+    customer = await prisma.customer.create({
+      data: { name: 'Hina Ageing', phoneNumber: `0300${Date.now().toString().slice(-7)}`, tenantId: testTenant.id }
+    });
+    oldOrder = await createOrder(form, customer, 'OLD', 3000, daysAgo(100));
+    await createOrder(form, customer, 'MID', 2000, daysAgo(45));
+    // Linked payment settles its own order; the unlinked one settles the oldest remaining
+    await createPayment({ type: 'CUSTOMER_PAYMENT', amount: 1000, date: daysAgo(90), customerId: customer.id, orderId: oldOrder.id });
+    await createPayment({ type: 'CUSTOMER_PAYMENT', amount: 500, date: daysAgo(5), customerId: customer.id });
+
+    supplier = await prisma.supplier.create({
+      data: { name: 'Ageing Textiles', tenantId: testTenant.id }
+    });
+    const invoice = await prisma.purchaseInvoice.create({
+      data: {
+        invoiceNumber: `PI-AGE-${Date.now()}`,
+        invoiceDate: daysAgo(20),
+        totalAmount: 4000,
+        supplierId: supplier.id,
+        supplierName: supplier.name,
+        tenantId: testTenant.id,
+        purchaseItems: {
+          create: [{ name: 'Lawn Fabric', purchasePrice: 400, quantity: 10, tenantId: testTenant.id }]
+        }
+      }
+    });
+    await createPayment({ type: 'SUPPLIER_PAYMENT', amount: 1000, date: daysAgo(10), supplierId: supplier.id, purchaseInvoiceId: invoice.id });
+
+    ({ tenant: otherTenant } = await createTestTenant());
+    otherCustomer = await prisma.customer.create({
+      data: { name: 'Other Ageing', phoneNumber: `0311${Date.now().toString().slice(-7)}`, tenantId: otherTenant.id }
+    });
+  });
+
+  afterAll(async () => {
+    if (testTenant) {
+      await cleanupTestData(testTenant.id);
+    }
+    if (otherTenant) {
+      await cleanupTestData(otherTenant.id);
+    }
+  });
+
+  test('1. Customer balances are aged with linked payments settling their own order', async () => {
+    const response = await request(app)
+      .get('/api/accounting/balances/customers/ageing')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(response.status).toBe(200);
+    const row = response.body.data.rows.find(item => item.partyId === customer.id);
+    expect(row).toMatchObject({ current: 0, days1to30: 0, days31to60: 2000, days61to90: 0, over90: 1500, total: 3500, advance: 0 });
+
+    const detail = await request(app)
+      .get(`/api/accounting/balances/customers/${customer.id}/ageing`)
+      .set('Authorization', `Bearer ${token}`);
+    expect(detail.status).toBe(200);
+    const old = detail.body.data.documents.find(document => document.orderId === oldOrder.id);
+    expect(old).toMatchObject({ amount: 3000, settled: 1500, outstanding: 1500, bucket: 'over90' });
+  });
+
+  test('2. Credit terms, bucket filters and other tenants are respected', async () => {
+    const withTerms = await request(app)
+      .get('/api/accounting/balances/customers/ageing')
+      .query({ terms: 30 })
+      .set('Authorization', `Bearer ${token}`);
+    const row = withTerms.body.data.rows.find(item => item.partyId === customer.id);
+    expect(row).toMatchObject({ days1to30: 2000, days61to90: 1500, over90: 0 });
+
+    const suppliersOver90 = await request(app)
+      .get('/api/accounting/balances/suppliers/ageing')
+      .query({ bucket: 'over90' })
+      .set('Authorization', `Bearer ${token}`);
+    expect(suppliersOver90.body.data.rows).toHaveLength(0);
+
+    const invalid = await request(app)
+      .get('/api/accounting/balances/customers/ageing')
+      .query({ bucket: 'someday' })
+      .set('Authorization', `Bearer ${token}`);
+    expect(invalid.status).toBe(400);
+
+    const foreign = await request(app)
+      .get(`/api/accounting/balances/customers/${otherCustomer.id}/ageing`)
+      .set('Authorization', `Bearer ${token}`);
+    expect(foreign.status).toBe(404);
+  });
+
+  test('3. Supplier ageing exports to CSV with a totals row', async () => {
+    const response = await request(app)
+      .get('/api/accounting/balances/suppliers/ageing')
+      .query({ format: 'csv' })
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toContain('text/csv');
+    const lines = response.text.trim().split(/\r?\n/);
+    expect(lines[0]).toContain('Supplier,Phone,Current,1-30 days');
+    expect(lines.find(line => line.startsWith('Ageing Textiles'))).toContain('3000');
+    expect(lines[lines.length - 1]).toMatch(/^TOTAL,/);
+  });
+
+  test('4. The statement of account ages the customer the same way as the report', async () => {
+    const period = statementService.getPeriod(daysAgo(120).toISOString().slice(0, 10), new Date().toISOString().slice(0, 10));
+    const statement = await statementService.buildStatement('customer', testTenant.id, customer.id, period);
+
+    const ageing = Object.fromEntries(statement.ageing.buckets.map(bucket => [bucket.key, bucket.amount]));
+    expect(ageing).toEqual({ current: 0, days1to30: 0, days31to60: 2000, days61to90: 0, over90: 1500 });
+    expect(statement.ageing.total).toBe(3500);
+  });
+});
@@ -0,0 +1,133 @@
+/**
+ * Audit log tests: editing an order records who changed which fields (old → new),
+ * and the entity history endpoint returns those entries.
+ *
+ * Run with: npm test -- audit-log.test.js
+ */
+const { describe, test, expect, beforeAll, afterAll } = require('@jest/globals');
+const request = require('supertest');
+const prisma = require('../lib/db');
+const auditLogService = require('../services/auditLogService');
+const {
+  createTestTenant,
+  setTestAuth,
+  cleanupTestData,
+  createTestAppWithOrderAndReturns
+} = require('./helpers/testHelpers');
+
+const app = createTestAppWithOrderAndReturns();
+
+let testTenant;
+let testUser;
+let testOrder;
+
+describe('Audit log', () => {
+  beforeAll(async () => {
+    const { user, tenant } = await createTestTenant();
+    testTenant = tenant;
+    testUser = user;
+    setTestAuth(user, tenant);
+
+    const form = await prisma.form.create({
+      data: {
+        name: 'Audit Test Form',
+        formCategory: 'SIMPLE_CART',
+        tenantId: tenant.id,
+        formLink: `audit-form-${Date.now()}`,
+        isPublished: true
+      }
+    });
+
+    testOrder = await prisma.order.create({
+      data: {
+        orderNumber: `AUDIT-${Date.now()}`,
+        formId: form.id,
+        tenantId: tenant.id,
+        formData: JSON.stringify({ 'Customer Name': 'Ali Raza', 'Address': 'House 1, Lahore' }),
+        shippingCharges: 200,
+        status: 'PENDING'
+      }
+    });
+  });
+
+  afterAll(async () => {
+    if (testTenant) {
+      await cleanupTestData(testTenant.id);
+    }
+  });
+
+  test('1. diffItems reports added, removed and changed lines', () => {
+    const changes = auditLogService.diffItems(
+      [
+        { id: 'a', name: 'Shirt', quantity: 2, purchasePrice: 500 },
+        { id: 'b', name: 'Cap', quantity: 1, purchasePrice: 200 }
+      ],
+      [
+        { id: 'a', name: 'Shirt', quantity: 3, purchasePrice: 500 },
+        { id: 'c', name: 'Belt', quantity: 1, purchasePrice: 300 }
+      ],
+      { name: 'items', fields: ['name', 'quantity', 'purchasePrice'], label: item => item.name }
+    );
+
+    expect(changes).toEqual([
+      { field: 'items[Shirt].quantity', oldValue: 2, newValue: 3 },
+      { field: 'items[Belt]', oldValue: null, newValue: 'name: Belt, quantity: 1, purchasePrice: 300' },
+      { field: 'items[Cap]', oldValue: 'name: Cap, quantity: 1, purchasePrice: 200', newValue: null }
+    ]);
+  });
+
+  test('2. Editing an order records the user and changed fields', async () => {
+    const response = await request(app)
+      .put(`/api/order/${testOrder.id}`)
+      .send({
+        formData: { 'Customer Name': 'Ali Raza', 'Address': 'House 5, Lahore' },
+        shippingCharges: 250
+      });
+
+    expect(response.status).toBe(200);
+
+    const logs = await prisma.auditLog.findMany({
+      where: { tenantId: testTenant.id, entityType: 'ORDER', entityId: testOrder.id }
+    });
+
+    expect(logs).toHaveLength(1);
+    expect(logs[0].userId).toBe(testUser.id);
+    expect(logs[0].entityLabel).toBe(testOrder.orderNumber);
+
+    const changes = JSON.parse(logs[0].changes);
+    expect(changes).toEqual(expect.arrayContaining([
+      { field: 'formData.Address', oldValue: 'House 1, Lahore', newValue: 'House 5, Lahore' },
+      { field: 'shippingCharges', oldValue: 200, newValue: 250 }
+    ]));
+    expect(changes.find(change => change.field === 'formData.Customer Name')).toBeUndefined();
+  });
+
+  test('3. Saving without changes does not add an entry', async () => {
+    const response = await request(app)
+      .put(`/api/order/${testOrder.id}`)
+      .send({ shippingCharges: 250 });
+
+    expect(response.status).toBe(200);
+
+    const count = await prisma.auditLog.count({
+      where: { tenantId: testTenant.id, entityId: testOrder.id }
+    });
+    expect(count).toBe(1);
+  });
+
+  test('4. History endpoint and filtered list return the entry', async () => {
+    const history = await request(app).get(`/api/audit-logs/ORDER/${testOrder.id}`);
+    expect(history.status).toBe(200);
+    expect(history.body.logs).toHaveLength(1);
+    expect(history.body.logs[0].changes.length).toBeGreaterThanOrEqual(2);
+
+    const list = await request(app)
+      .get('/api/audit-logs')
+      .query({ entityType: 'ORDER', userId: testUser.id });
+    expect(list.status).toBe(200);
+    expect(list.body.pagination.total).toBe(1);
+
+    const unknown = await request(app).get(`/api/audit-logs/CUSTOMER/${testOrder.id}`);
+    expect(unknown.status).toBe(400);
+  });
+});
@@ -0,0 +1,163 @@
+/**
+ * Bank reconciliation tests: statement CSV import, auto-matching to bank ledger lines by
+ * amount and date window, manual match/unmatch, and cleared vs book balance.
+ *
+ * Run with: npm test -- bank-reconciliation.test.js
+ */
+const { describe, test, expect, beforeAll, afterAll } = require('@jest/globals');
+const request = require('supertest');
+const accountingService = require('../services/accountingService');
+const {
+  createTestTenant,
+  setTestAuth,
+  cleanupTestData,
+  createTestApp,
+  getAccountByCode
+} = require('./helpers/testHelpers');
+
+const app = createTestApp();
+
+let testTenant;
+let bankAccount;
+let statement;
+const entries = {};
+
+async function post(key, date, lines) {
+  const accounts = {};
+  for (const line of lines) {
+    accounts[line.code] = accounts[line.code] || await getAccountByCode(line.code, testTenant.id);
+  }
+  const transaction = await accountingService.createTransaction(
+    {
+      transactionNumber: `TXN-TEST-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      date: new Date(date),
+      description: key,
+      tenantId: testTenant.id
+    },
+    lines.map(line => ({
+      accountId: accounts[line.code].id,
+      debitAmount: line.debit || 0,
+      creditAmount: line.credit || 0
+    }))
+  );
+  entries[key] = transaction.transactionLines.find(line => line.accountId === bankAccount.id);
+  return transaction;
+}
+
+describe('Bank reconciliation', () => {
+  beforeAll(async () => {
+    const { user, tenant } = await createTestTenant();
+    testTenant = tenant;
+    setTestAuth(user, tenant);
+    bankAccount = await getAccountByCode('1100', tenant.id);
+
+    await post('Capital', '2026-09-01T10:00:00', [{ code: '1100', debit: 10000 }, { code: '3000', credit: 10000 }]);
+    await post('Rent', '2026-09-05T10:00:00', [{ code: '5700', debit: 1500 }, { code: '1100', credit: 1500 }]);
+    await post('Utilities', '2026-09-12T10:00:00', [{ code: '5700', debit: 800 }, { code: '1100', credit: 800 }]);
+    await post('Late rent', '2026-09-20T10:00:00', [{ code: '5700', debit: 1500 }, { code: '1100', credit: 1500 }]);
+  });
+
+  afterAll(async () => {
+    if (testTenant) {
+      await cleanupTestData(testTenant.id);
+    }
+  });
+
+  test('1. Import auto-matches lines by amount within the date window', async () => {
+    const csvText = [
+      'Date,Narration,Withdrawal,Deposit',
+      '02/09/2026,Cash deposit,,"10,000.00"',
+      '06/09/2026,Rent cheque,1500,',
+      '30/09/2026,Bank charges,150,'
+    ].join('\n');
+
+    const response = await request(app)
+      .post('/accounting/bank-reconciliation/statements/import')
+      .send({ accountId: bankAccount.id, csvText, closingBalance: '8350' });
+
+    expect(response.status).toBe(201);
+    expect(response.body.matchedCount).toBe(2);
+
+    statement = response.body.data;
+    expect(statement.closingBalance).toBe(8350);
+    const byDescription = Object.fromEntries(statement.lines.map(line => [line.description, line]));
+    expect(byDescription['Cash deposit'].transactionLineId).toBe(entries.Capital.id);
+    // The 5 Sep rent is one day away; the 20 Sep rent is outside the window
+    expect(byDescription['Rent cheque'].transactionLineId).toBe(entries.Rent.id);
+    expect(byDescription['Rent cheque'].matchType).toBe('AUTO');
+    expect(byDescription['Bank charges'].transactionLineId).toBeNull();
+  });
+
+  test('2. Report shows cleared vs book balance and outstanding items', async () => {
+    const response = await request(app)
+      .get('/accounting/bank-reconciliation/report')
+      .query({ accountId: bankAccount.id, asOfDate: '2026-09-30' });
+
+    expect(response.status).toBe(200);
+    const [account] = response.body.data.accounts;
+    expect(account.bookBalance).toBe(6200);
+    expect(account.clearedBalance).toBe(8500);
+    expect(account.unclearedPayments).toBe(2300);
+    expect(account.unclearedCount).toBe(2);
+    expect(account.unmatchedStatementAmount).toBe(-150);
+    expect(account.unclearedLines.map(line => line.id)).toEqual(
+      expect.arrayContaining([entries.Utilities.id, entries['Late rent'].id])
+    );
+  });
+
+  test('3. Manual match requires the same amount and can be undone', async () => {
+    const chargesLine = statement.lines.find(line => line.description === 'Bank charges');
+
+    const wrongAmount = await request(app)
+      .put(`/accounting/bank-reconciliation/statements/${statement.id}/lines/${chargesLine.id}`)
+      .send({ transactionLineId: entries.Utilities.id });
+    expect(wrongAmount.status).toBe(400);
+
+    await post('Bank charges', '2026-09-30T10:00:00', [{ code: '5700', debit: 150 }, { code: '1100', credit: 150 }]);
+
+    const matched = await request(app)
+      .put(`/accounting/bank-reconciliation/statements/${statement.id}/lines/${chargesLine.id}`)
+      .send({ transactionLineId: entries['Bank charges'].id });
+    expect(matched.status).toBe(200);
+    const matchedLine = matched.body.data.lines.find(line => line.id === chargesLine.id);
+    expect(matchedLine.matchType).toBe('MANUAL');
+    expect(matchedLine.transactionLine.transaction.description).toBe('Bank charges');
+
+    const unmatched = await request(app)
+      .delete(`/accounting/bank-reconciliation/statements/${statement.id}/lines/${chargesLine.id}/match`);
+    expect(unmatched.status).toBe(200);
+    expect(unmatched.body.data.lines.find(line => line.id === chargesLine.id).transactionLineId).toBeNull();
+  });
+
+  test('4. Voiding a matched entry clears its statement match', async () => {
+    const rentLine = statement.lines.find(line => line.description === 'Rent cheque');
+
+    await accountingService.voidTransaction({
+      tenantId: testTenant.id,
+      transactionId: entries.Rent.transactionId,
+      reason: 'Posted twice'
+    });
+
+    const response = await request(app).get(`/accounting/bank-reconciliation/statements/${statement.id}`);
+    expect(response.body.data.lines.find(line => line.id === rentLine.id).transactionLineId).toBeNull();
+  });
+
+  test('5. Statement numbers follow the highest issued after a deletion', async () => {
+    const importOne = (narration) => request(app)
+      .post('/accounting/bank-reconciliation/statements/import')
+      .send({ accountId: bankAccount.id, csvText: `Date,Narration,Amount\n01/10/2026,${narration},100` });
+
+    const second = await importOne('Second');
+    const third = await importOne('Third');
+    expect(second.status).toBe(201);
+    expect(third.status).toBe(201);
+
+    const deleted = await request(app).delete(`/accounting/bank-reconciliation/statements/${second.body.data.id}`);
+    expect(deleted.status).toBe(200);
+
+    const fourth = await importOne('Fourth');
+    expect(fourth.status).toBe(201);
+    const sequence = (number) => parseInt(number.split('-').pop(), 10);
+    expect(sequence(fourth.body.data.statementNumber)).toBe(sequence(third.body.data.statementNumber) + 1);
+  });
+});
@@ -0,0 +1,264 @@
+/**
+ * COD remittance tests: a courier settlement sheet is imported per logistics company,
+ * matched to orders by CN, variances are flagged and posting books the net receipt.
+ *
+ * Run with: npm test -- cod-remittance.test.js
+ */
+const { describe, test, expect, beforeAll, afterAll } = require('@jest/globals');
+const request = require('supertest');
+const prisma = require('../lib/db');
+const codRemittanceService = require('../services/codRemittanceService');
+const {
+  createTestTenant,
+  setTestAuth,
+  cleanupTestData,
+  createTestAppWithOrderAndReturns,
+  getAccountByCode,
+  getPaymentAccount
+} = require('./helpers/testHelpers');
+
+const app = createTestAppWithOrderAndReturns();
+
+let testTenant;
+let testForm;
+let courier;
+let bankAccount;
+
+async function createCodOrder(cn, codAmount, codFee) {
+  return await prisma.order.create({
+    data: {
+      orderNumber: `REMIT-${cn}-${Date.now()}`,
+      formId: testForm.id,
+      tenantId: testTenant.id,
+      formData: JSON.stringify({ 'Customer Name': 'Sana Malik' }),
+      status: 'DELIVERED',
+      codAmount,
+      codFee,
+      codFeePaidBy: 'BUSINESS_OWNER',
+      logisticsCompanyId: courier.id,
+      consignmentNumber: cn,
+      trackingNumber: cn
+    }
+  });
+}
+
+describe('COD remittance reconciliation', () => {
+  beforeAll(async () => {
+    const { user, tenant } = await createTestTenant();
+    testTenant = tenant;
+    setTestAuth(user, tenant);
+
+    testForm = await prisma.form.create({
+      data: {
+        name: 'Remittance Test Form',
+        formCategory: 'SHOPPING_CART',
+        tenantId: tenant.id,
+        formLink: `remit-form-${Date.now()}`,
+        isPublished: true
+      }
+    });
+
+    courier = await prisma.logisticsCompany.create({
+      data: {
+        name: 'Settlement Courier',
+        tenantId: tenant.id,
+        codFeeCalculationType: 'FIXED',
+        fixedCodFee: 50,
+        status: 'ACTIVE'
+      }
+    });
+
+    bankAccount = await getPaymentAccount('BANK', tenant.id);
+  });
+
+  afterAll(async () => {
+    if (testTenant) {
+      await cleanupTestData(testTenant.id);
+    }
+  });
+
+  test('1. Settlement CSV parser understands common courier headers', () => {
+    const { lines, errors } = codRemittanceService.parseSettlementCsv(
+      'CN No.,COD Collected,COD Charges,Delivery Charges\n' +
+      'CN-1,"Rs. 2,500",50,150\n' +
+      ',100,0,0\n'
+    );
+
+    expect(lines).toEqual([{ consignmentNumber: 'CN-1', codCollected: 2500, codFee: 50, shippingCharge: 150 }]);
+    expect(errors).toHaveLength(1);
+    expect(errors[0].line).toBe(3);
+  });
+
+  test('2. Import matches lines by CN and flags variances and unknown CNs', async () => {
+    const stamp = Date.now();
+    await createCodOrder(`A${stamp}`, 2000, 50);
+    await createCodOrder(`B${stamp}`, 1500, 50);
+
+    const csv = [
+      'CN,COD Amount,COD Fee,Shipping',
+      `A${stamp},2000,50,200`,
+      `B${stamp},1400,50,200`,
+      `X${stamp},999,0,0`
+    ].join('\n');
+
+    const res = await request(app)
+      .post('/api/accounting/cod-remittances/import')
+      .field('logisticsCompanyId', courier.id)
+      .field('reference', 'SETTLE-001')
+      .attach('file', Buffer.from(csv), 'settlement.csv');
+
+    expect(res.status).toBe(201);
+    const byCn = Object.fromEntries(res.body.data.lines.map(line => [line.consignmentNumber, line]));
+    expect(byCn[`A${stamp}`].matchStatus).toBe('MATCHED');
+    expect(byCn[`B${stamp}`].matchStatus).toBe('VARIANCE');
+    expect(byCn[`B${stamp}`].codVariance).toBe(-100);
+    expect(byCn[`X${stamp}`].matchStatus).toBe('UNMATCHED');
+    expect(res.body.data.status).toBe('DRAFT');
+
+    // Unmatched lines block posting
+    const blocked = await request(app)
+      .post(`/api/accounting/cod-remittances/${res.body.data.id}/post`)
+      .send({ paymentAccountId: bankAccount.id });
+    expect(blocked.status).toBe(400);
+  });
+
+  test('3. Posting books net receipt, settles AR and COD fee payable, and clears unreconciled list', async () => {
+    const stamp = Date.now();
+    const order = await createCodOrder(`P${stamp}`, 3000, 60);
+
+    const before = await request(app)
+      .get('/api/accounting/cod-remittances/unreconciled-orders')
+      .query({ logisticsCompanyId: courier.id });
+    expect(before.body.orders.map(o => o.id)).toContain(order.id);
+
+    const imported = await request(app)
+      .post('/api/accounting/cod-remittances/import')
+      .send({
+        logisticsCompanyId: courier.id,
+        csvText: `CN,COD Amount,COD Fee,Shipping\nP${stamp},3000,60,250\nZ${stamp},10,0,0\n`
+      });
+    expect(imported.status).toBe(201);
+
+    const unmatched = imported.body.data.lines.find(line => line.matchStatus === 'UNMATCHED');
+    const afterRemove = await request(app)
+      .delete(`/api/accounting/cod-remittances/${imported.body.data.id}/lines/${unmatched.id}`);
+    expect(afterRemove.status).toBe(200);
+    expect(afterRemove.body.data.netAmount).toBe(2690);
+
+    const bankBefore = (await prisma.account.findUnique({ where: { id: bankAccount.id } })).balance;
+    const arBefore = (await getAccountByCode('1200', testTenant.id)).balance;
+    const codPayableBefore = (await getAccountByCode('2200', testTenant.id)).balance;
+
+    const posted = await request(app)
+      .post(`/api/accounting/cod-remittances/${imported.body.data.id}/post`)
+      .send({ paymentAccountId: bankAccount.id });
+
+    expect(posted.status).toBe(200);
+    expect(posted.body.data.status).toBe('POSTED');
+    expect(posted.body.data.transactionId).toBeTruthy();
+
+    expect((await prisma.account.findUnique({ where: { id: bankAccount.id } })).balance).toBeCloseTo(bankBefore + 2690, 2);
+    expect((await getAccountByCode('1200', testTenant.id)).balance).toBeCloseTo(arBefore - 3000, 2);
+    expect((await getAccountByCode('2200', testTenant.id)).balance).toBeCloseTo(codPayableBefore - 60, 2);
+
+    const payment = await prisma.payment.findFirst({ where: { orderId: order.id, type: 'CUSTOMER_PAYMENT' } });
+    expect(payment.amount).toBe(3000);
+
+    const after = await request(app)
+      .get('/api/accounting/cod-remittances/unreconciled-orders')
+      .query({ logisticsCompanyId: courier.id });
+    expect(after.body.orders.map(o => o.id)).not.toContain(order.id);
+
+    // The same CN on a later sheet is a duplicate
+    const again = await request(app)
+      .post('/api/accounting/cod-remittances/import')
+      .send({ logisticsCompanyId: courier.id, csvText: `CN,COD Amount\nP${stamp},3000\n` });
+    expect(again.body.data.lines[0].matchStatus).toBe('DUPLICATE');
+  });
+
+  test('4. Numbers survive a deleted draft and a remittance posted twice at once is booked once', async () => {
+    const stamp = Date.now();
+    await createCodOrder(`Q${stamp}`, 1000, 40);
+    const importSheet = () => request(app)
+      .post('/api/accounting/cod-remittances/import')
+      .send({ logisticsCompanyId: courier.id, csvText: `CN,COD Amount,COD Fee,Shipping\nQ${stamp},1000,40,100\n` });
+
+    const first = await importSheet();
+    const second = await importSheet();
+    expect((await request(app).delete(`/api/accounting/cod-remittances/${first.body.data.id}`)).status).toBe(200);
+
+    const third = await importSheet();
+    expect(third.status).toBe(201);
+    expect(third.body.data.remittanceNumber).not.toBe(second.body.data.remittanceNumber);
+
+    const postThird = () => request(app)
+      .post(`/api/accounting/cod-remittances/${third.body.data.id}/post`)
+      .send({ paymentAccountId: bankAccount.id });
+    const results = await Promise.all([postThird(), postThird()]);
+    expect(results.map(res => res.status).sort()).toEqual([200, 400]);
+
+    const booked = await prisma.transaction.count({
+      where: { tenantId: testTenant.id, description: { startsWith: `COD Remittance ${third.body.data.remittanceNumber}:` } }
+    });
+    expect(booked).toBe(1);
+  });
+
+  test('5. An order drafted in two remittances is settled by the first one posted only', async () => {
+    const stamp = Date.now();
+    const order = await createCodOrder(`D${stamp}`, 1500, 40);
+    const importSheet = () => request(app)
+      .post('/api/accounting/cod-remittances/import')
+      .send({ logisticsCompanyId: courier.id, csvText: `CN,COD Amount,COD Fee,Shipping\nD${stamp},1500,40,100\n` });
+
+    const first = await importSheet();
+    const second = await importSheet();
+    expect(second.body.data.lines[0].matchStatus).toBe('MATCHED');
+
+    const postFirst = await request(app)
+      .post(`/api/accounting/cod-remittances/${first.body.data.id}/post`)
+      .send({ paymentAccountId: bankAccount.id });
+    expect(postFirst.status).toBe(200);
+
+    const postSecond = await request(app)
+      .post(`/api/accounting/cod-remittances/${second.body.data.id}/post`)
+      .send({ paymentAccountId: bankAccount.id });
+    expect(postSecond.status).toBe(400);
+
+    const payments = await prisma.payment.count({ where: { orderId: order.id, type: 'CUSTOMER_PAYMENT' } });
+    expect(payments).toBe(1);
+    const draft = await prisma.codRemittance.findUnique({ where: { id: second.body.data.id } });
+    expect(draft.status).toBe('DRAFT');
+  });
+
+  test('6. A settlement line for a returned order is not matched and cannot be posted', async () => {
+    const stamp = Date.now();
+    const returned = await createCodOrder(`R${stamp}`, 1200, 40);
+    await prisma.order.update({ where: { id: returned.id }, data: { status: 'RETURNED_TO_ORIGIN' } });
+
+    const imported = await request(app)
+      .post('/api/accounting/cod-remittances/import')
+      .send({ logisticsCompanyId: courier.id, csvText: `CN,COD Amount,COD Fee,Shipping\nR${stamp},1200,40,100\n` });
+    expect(imported.status).toBe(201);
+    expect(imported.body.data.lines[0].matchStatus).toBe('UNMATCHED');
+
+    const blocked = await request(app)
+      .post(`/api/accounting/cod-remittances/${imported.body.data.id}/post`)
+      .send({ paymentAccountId: bankAccount.id });
+    expect(blocked.status).toBe(400);
+
+    // Returned after the sheet was imported
+    const later = await createCodOrder(`L${stamp}`, 900, 40);
+    const draft = await request(app)
+      .post('/api/accounting/cod-remittances/import')
+      .send({ logisticsCompanyId: courier.id, csvText: `CN,COD Amount,COD Fee,Shipping\nL${stamp},900,40,100\n` });
+    expect(draft.body.data.lines[0].matchStatus).toBe('MATCHED');
+    await prisma.order.update({ where: { id: later.id }, data: { status: 'RETURNED_TO_ORIGIN' } });
+
+    const refused = await request(app)
+      .post(`/api/accounting/cod-remittances/${draft.body.data.id}/post`)
+      .send({ paymentAccountId: bankAccount.id });
+    expect(refused.status).toBe(400);
+    expect(refused.body.error.message).toMatch(/can no longer be settled/);
+    expect(await prisma.payment.count({ where: { orderId: { in: [returned.id, later.id] } } })).toBe(0);
+  });
+});
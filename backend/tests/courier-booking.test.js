@@ -0,0 +1,167 @@
+/**
+ * Courier booking tests: dispatching an order books the parcel through the
+ * logistics company's courier adapter (mock adapter here) or records the
+ * tracking number typed in by staff, and the receipt exposes it publicly.
+ *
+ * Run with: npm test -- courier-booking.test.js
+ */
+const { describe, test, expect, beforeAll, afterAll } = require('@jest/globals');
+const request = require('supertest');
+const prisma = require('../lib/db');
+const courierService = require('../services/courierService');
+const {
+  createTestTenant,
+  setTestAuth,
+  cleanupTestData,
+  createTestAppWithOrderAndReturns
+} = require('./helpers/testHelpers');
+
+const app = createTestAppWithOrderAndReturns();
+
+let testTenant;
+let testForm;
+let mockCourier;
+let manualCourier;
+
+async function createConfirmedOrder(suffix) {
+  return await prisma.order.create({
+    data: {
+      orderNumber: `COURIER-${suffix}-${Date.now()}`,
+      formId: testForm.id,
+      tenantId: testTenant.id,
+      formData: JSON.stringify({
+        'Customer Name': 'Ayesha Khan',
+        'Phone Number': '03001234567',
+        'Address': 'House 12, Street 4',
+        'City': 'Lahore'
+      }),
+      selectedProducts: JSON.stringify([{ id: 'p1', name: 'Lawn Suit', price: 2500 }]),
+      productQuantities: JSON.stringify({ p1: 2 }),
+      productPrices: JSON.stringify({ p1: 2500 }),
+      shippingCharges: 200,
+      codAmount: 5200,
+      status: 'CONFIRMED'
+    }
+  });
+}
+
+describe('Courier booking on dispatch', () => {
+  beforeAll(async () => {
+    const { user, tenant } = await createTestTenant();
+    testTenant = tenant;
+    setTestAuth(user, tenant);
+
+    testForm = await prisma.form.create({
+      data: {
+        name: 'Courier Test Form',
+        formCategory: 'SHOPPING_CART',
+        tenantId: tenant.id,
+        formLink: `courier-form-${Date.now()}`,
+        isPublished: true
+      }
+    });
+
+    mockCourier = await prisma.logisticsCompany.create({
+      data: {
+        name: 'Mock Express',
+        tenantId: tenant.id,
+        codFeeCalculationType: 'FIXED',
+        fixedCodFee: 50,
+        courierService: 'MOCK',
+        trackingUrlTemplate: 'https://track.example/{trackingNumber}',
+        status: 'ACTIVE'
+      }
+    });
+
+    manualCourier = await prisma.logisticsCompany.create({
+      data: {
+        name: 'Walk-in Courier',
+        tenantId: tenant.id,
+        codFeeCalculationType: 'FIXED',
+        fixedCodFee: 50,
+        courierService: 'MANUAL',
+        status: 'ACTIVE'
+      }
+    });
+  });
+
+  afterAll(async () => {
+    if (testTenant) {
+      await cleanupTestData(testTenant.id);
+    }
+  });
+
+  test('1. buildShipment extracts consignee details from form data', async () => {
+    const order = await createConfirmedOrder('SHIP');
+    const shipment = courierService.buildShipment(order);
+
+    expect(shipment.consigneeName).toBe('Ayesha Khan');
+    expect(shipment.consigneePhone).toBe('+923001234567');
+    expect(shipment.consigneeCity).toBe('Lahore');
+    expect(shipment.codAmount).toBe(5200);
+    expect(shipment.pieces).toBe(2);
+  });
+
+  test('2. Dispatch with a MOCK courier books the shipment automatically', async () => {
+    const order = await createConfirmedOrder('MOCK');
+
+    const res = await request(app)
+      .post(`/api/order/${order.id}/dispatch`)
+      .send({ logisticsCompanyId: mockCourier.id, actualShippingCost: 200 });
+
+    expect(res.status).toBe(200);
+    expect(res.body.order.trackingNumber).toMatch(/^MOCK/);
+    expect(res.body.order.consignmentNumber).toMatch(/^CN-/);
+    expect(res.body.order.courierBookedAt).toBeTruthy();
+    expect(res.body.whatsappUrl).toContain('wa.me/923001234567');
+
+    const receipt = await request(app).get(`/api/order/receipt/${order.id}`);
+    expect(receipt.status).toBe(200);
+    expect(receipt.body.order.trackingNumber).toBe(res.body.order.trackingNumber);
+    expect(receipt.body.order.trackingUrl).toBe(`https://track.example/${res.body.order.trackingNumber}`);
+  });
+
+  test('3. Tracking number typed in by staff overrides automatic booking', async () => {
+    const order = await createConfirmedOrder('TYPED');
+
+    const res = await request(app)
+      .post(`/api/order/${order.id}/dispatch`)
+      .send({ logisticsCompanyId: mockCourier.id, actualShippingCost: 200, trackingNumber: 'LHR-99887766' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.order.trackingNumber).toBe('LHR-99887766');
+    expect(res.body.order.consignmentNumber).toBe('LHR-99887766');
+  });
+
+  test('4. MANUAL courier without tracking number dispatches without booking', async () => {
+    const order = await createConfirmedOrder('MANUAL');
+
+    const res = await request(app)
+      .post(`/api/order/${order.id}/dispatch`)
+      .send({ logisticsCompanyId: manualCourier.id, actualShippingCost: 200 });
+
+    expect(res.status).toBe(200);
+    expect(res.body.order.status).toBe('DISPATCHED');
+    expect(res.body.order.trackingNumber).toBeNull();
+    expect(res.body.whatsappUrl).toBeUndefined();
+
+    // Tracking number can be recorded after dispatch
+    const booked = await request(app)
+      .post(`/api/order/${order.id}/book-shipment`)
+      .send({ trackingNumber: 'WALKIN-123', consignmentNumber: 'CN-555' });
+
+    expect(booked.status).toBe(200);
+    expect(booked.body.order.trackingNumber).toBe('WALKIN-123');
+    expect(booked.body.order.consignmentNumber).toBe('CN-555');
+  });
+
+  test('5. Book shipment is rejected for orders that are not dispatched', async () => {
+    const order = await createConfirmedOrder('NOTDISPATCHED');
+
+    const res = await request(app)
+      .post(`/api/order/${order.id}/book-shipment`)
+      .send({ trackingNumber: 'X-1' });
+
+    expect(res.status).toBe(400);
+  });
+});
@@ -0,0 +1,197 @@
+/**
+ * Duplicate customer tests: records of the same buyer found by phone number in another format
+ * or by similar name and address, and merging them into one customer (orders, payments and
+ * logs moved, advance balances combined, stats recalculated, numbers kept for future orders).
+ *
+ * Run with: npm test -- customer-merge.test.js
+ */
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret-key';
+
+const { describe, test, expect, beforeAll, afterAll } = require('@jest/globals');
+const express = require('express');
+const request = require('supertest');
+const prisma = require('../lib/db');
+const customerService = require('../services/customerService');
+const {
+  createTestTenant,
+  generateTestToken,
+  cleanupTestData
+} = require('./helpers/testHelpers');
+
+const app = express();
+app.use(express.json());
+app.use('/api/customer', require('../routes/customer'));
+
+const suffix = Date.now().toString().slice(-6);
+
+let testTenant;
+let token;
+let form;
+let primary;
+let samePhone;
+let secondNumber;
+let unrelated;
+let orderCount = 0;
+
+const createCustomer = (data) => prisma.customer.create({
+  data: { tenantId: testTenant.id, city: 'Lahore', ...data }
+});
+
+const createOrder = (customer) => prisma.order.create({
+  data: {
+    orderNumber: `MRG-${suffix}-${++orderCount}`,
+    formId: form.id,
+    tenantId: testTenant.id,
+    customerId: customer.id,
+    status: 'DELIVERED',
+    paymentAmount: 1000,
+    formData: JSON.stringify({ 'Customer Name': customer.name })
+  }
+});
+
+const merge = (body) => request(app)
+  .post('/api/customer/merge')
+  .set('Authorization', `Bearer ${token}`)
+  .send(body);
+
+describe('Duplicate customers', () => {
+  beforeAll(async () => {
+    const created = await createTestTenant();
+    testTenant = created.tenant;
+    token = generateTestToken(created.user, created.tenant);
+
+    form = await prisma.form.create({
+      data: { name: 'Merge Form', tenantId: testTenant.id, formLink: `merge-form-${suffix}`, isPublished: true }
+    });
+
+    primary = await createCustomer({
+      name: 'Sana Malik',
+      phoneNumber: `0300${suffix}1`,
+      address: 'House 5, Block C, Gulberg',
+      advanceBalance: 500,
+      totalOrders: 2
+    });
+    await createOrder(primary);
+    await createOrder(primary);
+
+    // Same number written with the country code
+    samePhone = await createCustomer({
+      name: 'Sana Malik',
+      phoneNumber: `+92300${suffix}1`,
+      email: 'sana@example.com',
+      advanceBalance: 300,
+      totalOrders: 1
+    });
+    await createOrder(samePhone);
+    await prisma.payment.create({
+      data: {
+        paymentNumber: `MRG-PAY-${suffix}`,
+        date: new Date(),
+        type: 'CUSTOMER_PAYMENT',
+        amount: 300,
+        paymentMethod: 'Cash',
+        tenantId: testTenant.id,
+        customerId: samePhone.id
+      }
+    });
+    await customerService.logCustomerAction(samePhone.id, 'CREATED', null, null, null, 'New customer created from order');
+
+    // Second number, same buyer
+    secondNumber = await createCustomer({
+      name: 'Sana  Malik',
+      phoneNumber: `0333${suffix}2`,
+      address: 'house 5 block C gulberg lahore'
+    });
+
+    // Same address, different person
+    unrelated = await createCustomer({
+      name: 'Bilal Ahmed',
+      phoneNumber: `0321${suffix}3`,
+      address: 'House 5, Block C, Gulberg'
+    });
+  });
+
+  afterAll(async () => {
+    if (testTenant) {
+      await cleanupTestData(testTenant.id);
+    }
+  });
+
+  test('1. Duplicates are found by phone number and by similar name and address', async () => {
+    const response = await request(app)
+      .get('/api/customer/duplicates')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.groups).toHaveLength(1);
+    const [group] = response.body.groups;
+    expect(group.customers.map(customer => customer.id).sort())
+      .toEqual([primary.id, samePhone.id, secondNumber.id].sort());
+    expect(group.confidence).toBe('HIGH');
+    expect(group.suggestedPrimaryId).toBe(primary.id);
+
+    const reasons = group.matches.flatMap(match => match.reasons);
+    expect(reasons).toEqual(expect.arrayContaining(['Same phone number', 'Similar name and address']));
+    expect(group.customers.map(customer => customer.id)).not.toContain(unrelated.id);
+
+    const filtered = await request(app)
+      .get('/api/customer/duplicates')
+      .query({ customerId: unrelated.id })
+      .set('Authorization', `Bearer ${token}`);
+    expect(filtered.body.groups).toHaveLength(0);
+  });
+
+  test('2. Merge rejects an empty, self or unknown selection', async () => {
+    const empty = await merge({ primaryId: primary.id, duplicateIds: [] });
+    expect(empty.status).toBe(400);
+
+    const self = await merge({ primaryId: primary.id, duplicateIds: [primary.id] });
+    expect(self.status).toBe(400);
+    expect(self.body.error).toContain('itself');
+
+    const unknown = await merge({ primaryId: primary.id, duplicateIds: ['missing-customer'] });
+    expect(unknown.status).toBe(404);
+  });
+
+  test('3. Merging moves orders, payments and logs and combines advance balances', async () => {
+    const response = await merge({ primaryId: primary.id, duplicateIds: [samePhone.id, secondNumber.id] });
+
+    expect(response.status).toBe(200);
+    expect(response.body.customer).toMatchObject({
+      id: primary.id,
+      totalOrders: 3,
+      totalSpent: 3000,
+      advanceBalance: 800,
+      email: 'sana@example.com'
+    });
+    expect(response.body.customer.alternatePhones.sort()).toEqual([`+92300${suffix}1`, `0333${suffix}2`].sort());
+
+    expect(await prisma.customer.count({ where: { id: { in: [samePhone.id, secondNumber.id] } } })).toBe(0);
+    expect(await prisma.order.count({ where: { customerId: primary.id } })).toBe(3);
+    expect(await prisma.payment.count({ where: { customerId: primary.id } })).toBe(1);
+
+    const logs = await prisma.customerLog.findMany({ where: { customerId: primary.id } });
+    expect(logs.map(log => log.action)).toEqual(expect.arrayContaining(['CREATED', 'MERGED']));
+    const mergeLog = logs.find(log => log.action === 'MERGED');
+    expect(mergeLog).toMatchObject({ oldValue: '500', newValue: '800' });
+    expect(JSON.parse(mergeLog.metadata).mergedCustomers).toHaveLength(2);
+  });
+
+  test('4. Orders from a merged number find the kept customer', async () => {
+    const customer = await customerService.findOrCreateCustomer(`0333${suffix}2`, testTenant.id, {
+      formData: { 'Customer Name': 'Sana Malik' }
+    });
+    expect(customer.id).toBe(primary.id);
+
+    const duplicate = await request(app)
+      .post('/api/customer')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ name: 'Sana Malik', phoneNumber: `+92300${suffix}1` });
+    expect(duplicate.status).toBe(400);
+
+    const response = await request(app)
+      .get('/api/customer/duplicates')
+      .set('Authorization', `Bearer ${token}`);
+    expect(response.body.groups).toHaveLength(0);
+  });
+});
@@ -0,0 +1,236 @@
+/**
+ * Customer segmentation tests: RFM scores and order/return history per customer, saved segments
+ * built from rules (and the starter templates), live membership used to filter the customer
+ * list, and a WhatsApp-ready CSV of a segment's contacts.
+ *
+ * Run with: npm test -- customer-segments.test.js
+ */
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret-key';
+
+const { describe, test, expect, beforeAll, afterAll } = require('@jest/globals');
+const express = require('express');
+const request = require('supertest');
+const prisma = require('../lib/db');
+const {
+  createTestTenant,
+  generateTestToken,
+  cleanupTestData
+} = require('./helpers/testHelpers');
+
+const app = express();
+app.use(express.json());
+app.use('/api/customer', require('../routes/customer'));
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const suffix = Date.now().toString().slice(-6);
+
+let testTenant;
+let token;
+let form;
+let lapsed;
+let returner;
+let refuser;
+let fresh;
+let templates;
+let orderCount = 0;
+
+const daysAgo = (days) => new Date(Date.now() - days * DAY_MS);
+
+const createCustomer = (name, index) => prisma.customer.create({
+  data: { name, phoneNumber: `0300${suffix}${index}`, city: 'Lahore', tenantId: testTenant.id }
+});
+
+const createOrder = (customer, status, days, price, extra = {}) => prisma.order.create({
+  data: {
+    orderNumber: `SEG-${suffix}-${++orderCount}`,
+    formId: form.id,
+    tenantId: testTenant.id,
+    customerId: customer.id,
+    status,
+    createdAt: daysAgo(days),
+    formData: JSON.stringify({ 'Customer Name': customer.name }),
+    orderItems: { create: [{ productName: 'Segment Kurta', quantity: 1, price }] },
+    ...extra
+  }
+});
+
+const createSegment = (body) => request(app)
+  .post('/api/customer/segments')
+  .set('Authorization', `Bearer ${token}`)
+  .send(body);
+
+describe('Customer segments', () => {
+  beforeAll(async () => {
+    const created = await createTestTenant();
+    testTenant = created.tenant;
+    token = generateTestToken(created.user, created.tenant);
+
+    form = await prisma.form.create({
+      data: { name: 'Segment Form', tenantId: testTenant.id, formLink: `segment-form-${suffix}`, isPublished: true }
+    });
+
+    // Two old purchases, nothing since
+    lapsed = await createCustomer('Lapsed Buyer', 1);
+    await createOrder(lapsed, 'DELIVERED', 150, 3000);
+    await createOrder(lapsed, 'COMPLETED', 120, 2000);
+
+    // Two recent purchases, one of them returned
+    returner = await createCustomer('Returning Buyer', 2);
+    const returnedOrder = await createOrder(returner, 'DELIVERED', 10, 4000);
+    await createOrder(returner, 'CONFIRMED', 3, 1500);
+    await prisma.return.create({
+      data: {
+        returnNumber: `SEG-RET-${suffix}`,
+        returnDate: daysAgo(5),
+        totalAmount: 4000,
+        returnType: 'CUSTOMER_FULL',
+        orderId: returnedOrder.id,
+        tenantId: testTenant.id
+      }
+    });
+
+    // Refused a cash-on-delivery parcel and cancelled another
+    refuser = await createCustomer('COD Refuser', 3);
+    await createOrder(refuser, 'RETURNED_TO_ORIGIN', 20, 2500, { codAmount: 2500 });
+    await createOrder(refuser, 'CANCELLED', 15, 1000);
+
+    fresh = await createCustomer('Fresh Buyer', 4);
+    await createOrder(fresh, 'CONFIRMED', 1, 9000);
+  });
+
+  afterAll(async () => {
+    if (testTenant) {
+      await cleanupTestData(testTenant.id);
+    }
+  });
+
+  test('1. Customers get RFM scores and order/return history metrics', async () => {
+    const response = await request(app)
+      .get(`/api/customer/${returner.id}/segments`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.metrics).toMatchObject({
+      frequency: 2,
+      monetary: 1500,
+      returnCount: 1,
+      returnRate: 50,
+      recencyDays: 3
+    });
+    expect(response.body.metrics.rfmScore).toMatch(/^[1-5]{3}$/);
+
+    const refused = await request(app)
+      .get(`/api/customer/${refuser.id}/segments`)
+      .set('Authorization', `Bearer ${token}`);
+    expect(refused.body.metrics).toMatchObject({
+      frequency: 0,
+      refusedOrders: 1,
+      codRefusals: 1,
+      cancelledOrders: 1,
+      rfmGroup: 'No Purchases'
+    });
+
+    const rfm = await request(app)
+      .get('/api/customer/analytics/rfm')
+      .set('Authorization', `Bearer ${token}`);
+    expect(rfm.status).toBe(200);
+    expect(rfm.body.groups.reduce((sum, group) => sum + group.count, 0)).toBe(4);
+    expect(rfm.body.groups.find(group => group.group === 'No Purchases').count).toBe(1);
+  });
+
+  test('2. Segments are created from templates and validate their rules', async () => {
+    const options = await request(app)
+      .get('/api/customer/segments')
+      .set('Authorization', `Bearer ${token}`);
+    expect(options.status).toBe(200);
+    templates = options.body.templates;
+    expect(templates.map(template => template.name)).toEqual(
+      expect.arrayContaining(['Bought twice, nothing in 90 days', 'High return rate', 'COD refusers'])
+    );
+
+    for (const name of ['Bought twice, nothing in 90 days', 'High return rate', 'COD refusers']) {
+      const response = await createSegment(templates.find(template => template.name === name));
+      expect(response.status).toBe(201);
+    }
+
+    const duplicate = await createSegment(templates.find(template => template.name === 'COD refusers'));
+    expect(duplicate.status).toBe(400);
+    expect(duplicate.body.error).toContain('already exists');
+
+    const badRule = await createSegment({ name: 'Bad', rules: [{ field: 'city', operator: 'gte', value: 'Lahore' }] });
+    expect(badRule.status).toBe(400);
+
+    const noRules = await createSegment({ name: 'Empty', rules: [] });
+    expect(noRules.status).toBe(400);
+  });
+
+  test('3. Membership follows the rules and filters the customer list', async () => {
+    const list = await request(app)
+      .get('/api/customer/segments')
+      .set('Authorization', `Bearer ${token}`);
+    const byName = Object.fromEntries(list.body.segments.map(segment => [segment.name, segment]));
+    expect(byName['Bought twice, nothing in 90 days'].memberCount).toBe(1);
+    expect(byName['High return rate'].memberCount).toBe(1);
+    expect(byName['COD refusers'].memberCount).toBe(1);
+
+    const members = await request(app)
+      .get(`/api/customer/segments/${byName['Bought twice, nothing in 90 days'].id}/customers`)
+      .set('Authorization', `Bearer ${token}`);
+    expect(members.status).toBe(200);
+    expect(members.body.customers.map(customer => customer.customerId)).toEqual([lapsed.id]);
+
+    const customers = await request(app)
+      .get('/api/customer')
+      .query({ segmentId: byName['High return rate'].id })
+      .set('Authorization', `Bearer ${token}`);
+    expect(customers.status).toBe(200);
+    expect(customers.body.customers.map(customer => customer.id)).toEqual([returner.id]);
+    expect(customers.body.pagination.total).toBe(1);
+
+    // A new purchase moves the lapsed customer out of the segment without any refresh
+    await createOrder(lapsed, 'CONFIRMED', 0, 1000);
+    const after = await request(app)
+      .get(`/api/customer/segments/${byName['Bought twice, nothing in 90 days'].id}/customers`)
+      .set('Authorization', `Bearer ${token}`);
+    expect(after.body.customers).toHaveLength(0);
+
+    const memberships = await request(app)
+      .get(`/api/customer/${refuser.id}/segments`)
+      .set('Authorization', `Bearer ${token}`);
+    expect(memberships.body.segments.map(segment => segment.name)).toEqual(['COD refusers']);
+  });
+
+  test('4. Segments export as a contact list and can be edited or deleted', async () => {
+    const list = await request(app)
+      .get('/api/customer/segments')
+      .set('Authorization', `Bearer ${token}`);
+    const segment = list.body.segments.find(item => item.name === 'COD refusers');
+
+    const csv = await request(app)
+      .get(`/api/customer/segments/${segment.id}/export`)
+      .set('Authorization', `Bearer ${token}`);
+    expect(csv.status).toBe(200);
+    expect(csv.headers['content-type']).toContain('text/csv');
+    const lines = csv.text.trim().split(/\r?\n/);
+    expect(lines[0]).toBe('Name,Phone,City,Orders,Net Spent,Last Order,RFM Group');
+    expect(lines[1]).toContain(`+92300${suffix}3`);
+
+    const updated = await request(app)
+      .put(`/api/customer/segments/${segment.id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ name: 'Refused or cancelled', rules: [{ field: 'cancelledOrders', operator: 'gte', value: 1 }] });
+    expect(updated.status).toBe(200);
+    expect(updated.body.segment.rules).toEqual([{ field: 'cancelledOrders', operator: 'gte', value: 1 }]);
+
+    const deleted = await request(app)
+      .delete(`/api/customer/segments/${segment.id}`)
+      .set('Authorization', `Bearer ${token}`);
+    expect(deleted.status).toBe(200);
+
+    const missing = await request(app)
+      .get(`/api/customer/segments/${segment.id}/customers`)
+      .set('Authorization', `Bearer ${token}`);
+    expect(missing.status).toBe(404);
+    expect(await prisma.customer.count({ where: { tenantId: testTenant.id } })).toBe(4);
+  });
+});
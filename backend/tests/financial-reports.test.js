@@ -0,0 +1,134 @@
+/**
+ * Financial statement tests: trial balance, profit & loss and balance sheet are built
+ * from TransactionLine sums, with an optional prior period column and CSV export.
+ *
+ * Run with: npm test -- financial-reports.test.js
+ */
+const { describe, test, expect, beforeAll, afterAll } = require('@jest/globals');
+const request = require('supertest');
+const accountingService = require('../services/accountingService');
+const financialReportService = require('../services/financialReportService');
+const {
+  createTestTenant,
+  setTestAuth,
+  cleanupTestData,
+  createTestApp,
+  getAccountByCode
+} = require('./helpers/testHelpers');
+
+const app = createTestApp();
+
+let testTenant;
+
+async function post(date, description, lines) {
+  const accounts = {};
+  for (const line of lines) {
+    accounts[line.code] = accounts[line.code] || await getAccountByCode(line.code, testTenant.id);
+  }
+  return await accountingService.createTransaction(
+    {
+      transactionNumber: `TXN-TEST-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      date: new Date(date),
+      description,
+      tenantId: testTenant.id
+    },
+    lines.map(line => ({
+      accountId: accounts[line.code].id,
+      debitAmount: line.debit || 0,
+      creditAmount: line.credit || 0
+    }))
+  );
+}
+
+describe('Financial statements', () => {
+  beforeAll(async () => {
+    const { user, tenant } = await createTestTenant();
+    testTenant = tenant;
+    setTestAuth(user, tenant);
+
+    // May: owner invests, sells and pays rent
+    await post('2026-05-01', 'Owner capital', [{ code: '1100', debit: 50000 }, { code: '3000', credit: 50000 }]);
+    await post('2026-05-10', 'Sale', [{ code: '1000', debit: 3000 }, { code: '4000', credit: 3000 }]);
+    await post('2026-05-10', 'Cost of sale', [{ code: '5000', debit: 1800 }, { code: '1300', credit: 1800 }]);
+    await post('2026-05-20', 'Rent', [{ code: '5700', debit: 500 }, { code: '1100', credit: 500 }]);
+
+    // June: another sale and a return
+    await post('2026-06-05', 'Sale', [{ code: '1200', debit: 5000 }, { code: '4000', credit: 5000 }]);
+    await post('2026-06-08', 'Return', [{ code: '4100', debit: 1000 }, { code: '1200', credit: 1000 }]);
+  });
+
+  afterAll(async () => {
+    if (testTenant) {
+      await cleanupTestData(testTenant.id);
+    }
+  });
+
+  test('1. Profit & loss sums income and expense lines in the period', async () => {
+    const report = await financialReportService.getProfitAndLoss({
+      tenantId: testTenant.id,
+      fromDate: '2026-05-01',
+      toDate: '2026-05-31'
+    });
+
+    expect(report.income.total).toBe(3000);
+    expect(report.costOfSales.total).toBe(1800);
+    expect(report.grossProfit.total).toBe(1200);
+    expect(report.expenses.total).toBe(500);
+    expect(report.netProfit.total).toBe(700);
+    expect(report.comparisonPeriod).toBeNull();
+  });
+
+  test('2. Previous period comparison uses the preceding range', async () => {
+    const report = await financialReportService.getProfitAndLoss({
+      tenantId: testTenant.id,
+      fromDate: '2026-06-01',
+      toDate: '2026-06-30',
+      compareTo: 'PREVIOUS_PERIOD'
+    });
+
+    // Sales returns are a debit on an income account and reduce income
+    expect(report.income.total).toBe(4000);
+    expect(report.netProfit.total).toBe(4000);
+    expect(report.netProfit.previousTotal).toBe(700);
+    expect(report.income.rows.find(row => row.code === '4000').previousAmount).toBe(3000);
+  });
+
+  test('3. Trial balance and balance sheet agree as at a date', async () => {
+    const trialBalance = await financialReportService.getTrialBalance({
+      tenantId: testTenant.id,
+      toDate: '2026-06-30'
+    });
+    expect(trialBalance.isBalanced).toBe(true);
+    expect(trialBalance.totals.debit).toBe(trialBalance.totals.credit);
+
+    const balanceSheet = await financialReportService.getBalanceSheet({
+      tenantId: testTenant.id,
+      fromDate: '2026-06-01',
+      toDate: '2026-06-30',
+      compareTo: 'PREVIOUS_PERIOD'
+    });
+    expect(balanceSheet.isBalanced).toBe(true);
+    expect(balanceSheet.equity.rows.find(row => row.accountId === null).amount).toBe(4700);
+    expect(balanceSheet.equity.rows.find(row => row.accountId === null).previousAmount).toBe(700);
+  });
+
+  test('4. Reports are served as JSON and CSV', async () => {
+    const json = await request(app)
+      .get('/accounting/reports/profit-loss')
+      .query({ fromDate: '2026-05-01', toDate: '2026-06-30' });
+    expect(json.status).toBe(200);
+    expect(json.body.data.netProfit.total).toBe(4700);
+
+    const csv = await request(app)
+      .get('/accounting/reports/trial-balance')
+      .query({ toDate: '2026-06-30', format: 'csv' });
+    expect(csv.status).toBe(200);
+    expect(csv.headers['content-type']).toMatch(/text\/csv/);
+    expect(csv.text.split('\r\n')[0]).toBe('Code,Account,Type,Debit,Credit');
+
+    const invalid = await request(app)
+      .get('/accounting/reports/balance-sheet')
+      .query({ compareTo: 'LAST_DECADE' });
+    expect(invalid.status).toBe(400);
+  });
+});
@@ -0,0 +1,130 @@
+/**
+ * Form field rule tests: show/hide conditions, NUMBER/DATE/RADIO/CITY answers and min/max/regex
+ * validation are enforced by the public order submission, and answers to hidden questions
+ * are neither required nor stored.
+ *
+ * Run with: npm test -- form-field-rules.test.js
+ */
+const { describe, test, expect, beforeAll, afterAll } = require('@jest/globals');
+const request = require('supertest');
+const prisma = require('../lib/db');
+const { buildFieldRules } = require('../utils/formFieldRules');
+const {
+  createTestTenant,
+  setTestAuth,
+  cleanupTestData,
+  createTestAppWithOrderAndReturns
+} = require('./helpers/testHelpers');
+
+const app = createTestAppWithOrderAndReturns();
+
+let testTenant;
+let testForm;
+
+const builderFields = [
+  { label: 'Customer Name', fieldType: 'TEXT', isRequired: true, validation: { min: 3 } },
+  { label: 'Phone Number', fieldType: 'PHONE', isRequired: true, validation: { pattern: '^03\\d{9}$', message: 'Enter an 11-digit mobile number starting with 03' } },
+  { label: 'Payment Method', fieldType: 'RADIO', isRequired: true, options: ['Cash on Delivery', 'Bank Transfer'] },
+  { label: 'Transaction ID', fieldType: 'TEXT', isRequired: true, showIf: { field: 'Payment Method', operator: 'EQUALS', value: 'Bank Transfer' } },
+  { label: 'Pieces', fieldType: 'NUMBER', isRequired: false, validation: { min: 1, max: 5 } },
+  { label: 'Event Date', fieldType: 'DATE', isRequired: false, validation: { min: '2026-01-01' } },
+  { label: 'City', fieldType: 'CITY', isRequired: false }
+];
+
+function submit(formData) {
+  return request(app)
+    .post('/api/order/submit')
+    .send({ formLink: testForm.formLink, formData });
+}
+
+const validAnswers = {
+  'Customer Name': 'Ayesha Khan',
+  'Phone Number': '03001234567',
+  'Payment Method': 'Cash on Delivery'
+};
+
+describe('Form field rules', () => {
+  beforeAll(async () => {
+    const { user, tenant } = await createTestTenant();
+    testTenant = tenant;
+    setTestAuth(user, tenant);
+
+    testForm = await prisma.form.create({
+      data: {
+        name: 'Rules Test Form',
+        formCategory: 'SIMPLE_CART',
+        tenantId: tenant.id,
+        formLink: `rules-form-${Date.now()}`,
+        isPublished: true
+      }
+    });
+    await prisma.formField.createMany({
+      data: builderFields.map((field, index) => ({
+        formId: testForm.id,
+        label: field.label,
+        fieldType: field.fieldType,
+        isRequired: field.isRequired,
+        options: field.options ? JSON.stringify(field.options) : null,
+        ...buildFieldRules(field, builderFields),
+        order: index
+      }))
+    });
+  });
+
+  afterAll(async () => {
+    if (testTenant) {
+      await cleanupTestData(testTenant.id);
+    }
+  });
+
+  test('1. Builder rules are checked before saving', () => {
+    expect(() => buildFieldRules({ label: 'Pieces', fieldType: 'NUMBER', validation: { min: 5, max: 1 } }, builderFields))
+      .toThrow('min cannot be greater than max');
+    expect(() => buildFieldRules({ label: 'Code', fieldType: 'TEXT', validation: { pattern: '([a-z' } }, builderFields))
+      .toThrow('not a valid regular expression');
+    expect(() => buildFieldRules({ label: 'Receipt', fieldType: 'FILE_UPLOAD', showIf: { field: 'Missing', operator: 'IS_FILLED' } }, builderFields))
+      .toThrow('unknown field');
+  });
+
+  test('2. Hidden questions are not required and their answers are dropped', async () => {
+    const res = await submit({ ...validAnswers, 'Transaction ID': 'stale answer' });
+    expect(res.status).toBe(201);
+
+    const order = await prisma.order.findUnique({ where: { id: res.body.order.id } });
+    const formData = JSON.parse(order.formData);
+    expect(formData['Transaction ID']).toBeUndefined();
+
+    const bankTransfer = await submit({ ...validAnswers, 'Payment Method': 'Bank Transfer' });
+    expect(bankTransfer.status).toBe(400);
+    expect(bankTransfer.body.missingFields).toEqual(['Transaction ID']);
+  });
+
+  test('3. Type, min/max and regex rules are enforced server-side', async () => {
+    const res = await submit({
+      ...validAnswers,
+      'Phone Number': '+92 300 1234567',
+      'Payment Method': 'Cheque',
+      Pieces: '9',
+      'Event Date': '2025-12-31'
+    });
+    expect(res.status).toBe(400);
+
+    const messages = Object.fromEntries(res.body.invalidFields.map(entry => [entry.field, entry.message]));
+    expect(messages['Phone Number']).toBe('Enter an 11-digit mobile number starting with 03');
+    expect(messages['Payment Method']).toMatch(/invalid choice/);
+    expect(messages.Pieces).toMatch(/at most 5/);
+    expect(messages['Event Date']).toMatch(/on or after 2026-01-01/);
+
+    const valid = await submit({ ...validAnswers, Pieces: '2', 'Event Date': '2026-03-15' });
+    expect(valid.status).toBe(201);
+  });
+
+  test('4. City answers must come from the Pakistan city list', async () => {
+    const unknown = await submit({ ...validAnswers, City: 'Atlantis' });
+    expect(unknown.status).toBe(400);
+    expect(unknown.body.invalidFields).toEqual([{ field: 'City', message: 'City must be a city from the list' }]);
+
+    const listed = await submit({ ...validAnswers, City: ' rahim yar khan ' });
+    expect(listed.status).toBe(201);
+  });
+});
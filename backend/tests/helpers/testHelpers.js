@@ -149,6 +149,10 @@ function createTestApp() {
   const customerRoutes = require('../../routes/customer');
   const returnRoutes = require('../../routes/accounting/returns');
   const standaloneReturnRoutes = require('../../routes/return');
+  const reportRoutes = require('../../routes/accounting/reports');
+  const periodRoutes = require('../../routes/accounting/periods');
+  const transactionRoutes = require('../../routes/accounting/transactions');
+  const bankReconciliationRoutes = require('../../routes/accounting/bankReconciliation');
 
   // Restore original middleware
   authModule.authenticateToken = originalAuth;
@@ -161,12 +165,16 @@ function createTestApp() {
   app.use('/customer', mockAuth, mockRequireRole(['BUSINESS_OWNER']), customerRoutes);
   app.use('/accounting/returns', mockAuth, returnRoutes);
   app.use('/return', mockAuth, mockRequireRole(['BUSINESS_OWNER']), standaloneReturnRoutes);
+  app.use('/accounting/reports', mockAuth, reportRoutes);
+  app.use('/accounting/periods', mockAuth, periodRoutes);
+  app.use('/accounting/transactions', mockAuth, transactionRoutes);
+  app.use('/accounting/bank-reconciliation', mockAuth, bankReconciliationRoutes);
 
   return app;
 }
 
 /**
- * Create a test app that includes order and accounting/returns routes (for product variant impact tests).
+ * Create a test app that includes order, accounting/returns and COD remittance routes.
  * Uses same mock auth (globalTestUser, globalTestTenant). Call setTestAuth() before requests that need auth.
  */
 function createTestAppWithOrderAndReturns() {
@@ -203,12 +211,16 @@ function createTestAppWithOrderAndReturns() {
 
   const orderRoutes = require('../../routes/order');
   const returnRoutes = require('../../routes/accounting/returns');
+  const codRemittanceRoutes = require('../../routes/accounting/codRemittances');
+  const auditLogRoutes = require('../../routes/auditLog');
 
   authModule.authenticateToken = originalAuth;
   authModule.requireRole = originalRole;
 
   app.use('/api/order', orderRoutes);
   app.use('/api/accounting/order-returns', mockAuth, returnRoutes);
+  app.use('/api/accounting/cod-remittances', mockAuth, codRemittanceRoutes);
+  app.use('/api/audit-logs', auditLogRoutes);
 
   return app;
 }
@@ -219,11 +231,16 @@ function createTestAppWithOrderAndReturns() {
 async function cleanupTestData(tenantId) {
   try {
     // Delete in order to respect foreign key constraints
+    await prisma.auditLog.deleteMany({ where: { tenantId } });
+    await prisma.codRemittance.deleteMany({ where: { tenantId } });
+    await prisma.accountingPeriod.deleteMany({ where: { tenantId } });
+    await prisma.bankStatement.deleteMany({ where: { tenantId } });
     await prisma.transactionLine.deleteMany({ where: { transaction: { tenantId } } });
     await prisma.transaction.deleteMany({ where: { tenantId } });
     await prisma.payment.deleteMany({ where: { tenantId } });
     await prisma.returnItem.deleteMany({ where: { return: { tenantId } } });
     await prisma.return.deleteMany({ where: { tenantId } });
+    await prisma.stockReservation.deleteMany({ where: { tenantId } });
     await prisma.order.deleteMany({ where: { tenantId } });
     await prisma.formField.deleteMany({ where: { form: { tenantId } } });
     await prisma.form.deleteMany({ where: { tenantId } });
@@ -239,6 +256,7 @@ async function cleanupTestData(tenantId) {
     // Delete user after tenant (tenant references user)
     const tenant = await prisma.tenant.findUnique({ where: { id: tenantId } });
     if (tenant) {
+      await prisma.user.deleteMany({ where: { staffMembership: { tenantId } } });
       await prisma.tenant.delete({ where: { id: tenantId } });
       await prisma.user.delete({ where: { id: tenant.ownerId } }).catch(() => {});
     }
@@ -0,0 +1,138 @@
+/**
+ * Manual journal entry tests: balanced entry validation, reversal with a linked mirror
+ * transaction, and void status that keeps the entry but removes it from balances.
+ *
+ * Run with: npm test -- journal-entries.test.js
+ */
+const { describe, test, expect, beforeAll, afterAll } = require('@jest/globals');
+const request = require('supertest');
+const financialReportService = require('../services/financialReportService');
+const accountingPeriodService = require('../services/accountingPeriodService');
+const {
+  createTestTenant,
+  setTestAuth,
+  cleanupTestData,
+  createTestApp,
+  getAccountByCode
+} = require('./helpers/testHelpers');
+
+const app = createTestApp();
+
+let testTenant;
+let testUser;
+let cashAccount;
+let rentAccount;
+
+function rentEntry(amount, date = '2026-09-15') {
+  return {
+    date,
+    description: 'Rent paid from petty cash',
+    transactionLines: [
+      { accountId: rentAccount.id, debitAmount: amount, creditAmount: 0 },
+      { accountId: cashAccount.id, debitAmount: 0, creditAmount: amount }
+    ]
+  };
+}
+
+async function balanceOf(account) {
+  return (await getAccountByCode(account.code, testTenant.id)).balance;
+}
+
+describe('Manual journal entries', () => {
+  beforeAll(async () => {
+    const { user, tenant } = await createTestTenant();
+    testTenant = tenant;
+    testUser = user;
+    setTestAuth(user, tenant);
+
+    cashAccount = await getAccountByCode('1000', tenant.id);
+    rentAccount = await getAccountByCode('5700', tenant.id);
+  });
+
+  afterAll(async () => {
+    if (testTenant) {
+      await cleanupTestData(testTenant.id);
+    }
+  });
+
+  test('1. Rejects unbalanced entries and posts balanced ones as MANUAL', async () => {
+    const unbalanced = rentEntry(500);
+    unbalanced.transactionLines[1].creditAmount = 400;
+
+    const rejected = await request(app).post('/accounting/transactions').send(unbalanced);
+    expect(rejected.status).toBe(400);
+    expect(rejected.body.error.message).toContain('not balanced');
+
+    const bothSides = rentEntry(500);
+    bothSides.transactionLines[0].creditAmount = 500;
+    bothSides.transactionLines.push({ accountId: cashAccount.id, debitAmount: 0, creditAmount: 500 });
+    const bothSidesResponse = await request(app).post('/accounting/transactions').send(bothSides);
+    expect(bothSidesResponse.status).toBe(400);
+
+    const response = await request(app).post('/accounting/transactions').send(rentEntry(500));
+    expect(response.status).toBe(201);
+    expect(response.body.data.entryType).toBe('MANUAL');
+    expect(response.body.data.status).toBe('POSTED');
+    expect(await balanceOf(rentAccount)).toBe(500);
+  });
+
+  test('2. Reversing posts a linked mirror entry once', async () => {
+    const original = (await request(app).post('/accounting/transactions').send(rentEntry(300))).body.data;
+    const rentBefore = await balanceOf(rentAccount);
+
+    const response = await request(app).post(`/accounting/transactions/${original.id}/reverse`).send({});
+    expect(response.status).toBe(201);
+
+    const reversal = response.body.data;
+    expect(reversal.entryType).toBe('REVERSAL');
+    expect(reversal.reversalOfId).toBe(original.id);
+    const rentLine = reversal.transactionLines.find(line => line.accountId === rentAccount.id);
+    expect(rentLine.creditAmount).toBe(300);
+    expect(await balanceOf(rentAccount)).toBe(rentBefore - 300);
+
+    const again = await request(app).post(`/accounting/transactions/${original.id}/reverse`).send({});
+    expect(again.status).toBe(400);
+
+    const detail = await request(app).get(`/accounting/transactions/${original.id}`);
+    expect(detail.body.data.reversal.transactionNumber).toBe(reversal.transactionNumber);
+  });
+
+  test('3. Voided entries stay listed but are excluded from balances and reports', async () => {
+    const entry = (await request(app).post('/accounting/transactions').send(rentEntry(200, '2026-09-20'))).body.data;
+    const rentBefore = await balanceOf(rentAccount);
+
+    const missingReason = await request(app).post(`/accounting/transactions/${entry.id}/void`).send({});
+    expect(missingReason.status).toBe(400);
+
+    const response = await request(app)
+      .post(`/accounting/transactions/${entry.id}/void`)
+      .send({ reason: 'Duplicate entry' });
+    expect(response.status).toBe(200);
+    expect(response.body.data.status).toBe('VOID');
+    expect(response.body.data.voidReason).toBe('Duplicate entry');
+    expect(await balanceOf(rentAccount)).toBe(rentBefore - 200);
+
+    const list = await request(app).get('/accounting/transactions').query({ limit: 50 });
+    expect(list.body.data.some(transaction => transaction.id === entry.id && transaction.status === 'VOID')).toBe(true);
+
+    const profitAndLoss = await financialReportService.getProfitAndLoss({
+      tenantId: testTenant.id,
+      fromDate: '2026-09-20',
+      toDate: '2026-09-20'
+    });
+    expect(profitAndLoss.expenses.total).toBe(0);
+
+    const twice = await request(app)
+      .post(`/accounting/transactions/${entry.id}/void`)
+      .send({ reason: 'Again' });
+    expect(twice.status).toBe(400);
+  });
+
+  test('4. Manual entries dated in a closed period are rejected', async () => {
+    await accountingPeriodService.closePeriod({ tenantId: testTenant.id, year: 2026, month: 8, user: testUser });
+
+    const response = await request(app).post('/accounting/transactions').send(rentEntry(100, '2026-08-10'));
+    expect(response.status).toBe(400);
+    expect(response.body.error.code).toBe('PERIOD_CLOSED');
+  });
+});
@@ -0,0 +1,257 @@
+/**
+ * Delivery lifecycle tests: dispatched orders move through IN_TRANSIT, DELIVERED and
+ * FAILED_DELIVERY under the allowed-transition rules, and RETURNED_TO_ORIGIN restocks the
+ * items and reverses the sale / COD fee entries booked on confirmation. Cancelling a confirmed
+ * order does the same, and a transition claimed by a concurrent request is not applied twice.
+ *
+ * Run with: npm test -- order-delivery-lifecycle.test.js
+ */
+const { describe, test, expect, beforeAll, afterAll } = require('@jest/globals');
+const request = require('supertest');
+const prisma = require('../lib/db');
+const {
+  createTestTenant,
+  setTestAuth,
+  cleanupTestData,
+  createTestAppWithOrderAndReturns,
+  getAccountByCode
+} = require('./helpers/testHelpers');
+
+const app = createTestAppWithOrderAndReturns();
+
+let testTenant;
+let testForm;
+let testProduct;
+let logisticsCompany;
+
+async function createConfirmedOrder(suffix) {
+  const selectedProducts = [{ id: testProduct.id, name: testProduct.name, price: 1000 }];
+  const order = await prisma.order.create({
+    data: {
+      orderNumber: `DELIVERY-${suffix}-${Date.now()}`,
+      formId: testForm.id,
+      tenantId: testTenant.id,
+      formData: JSON.stringify({ 'Customer Name': 'Bilal Ahmed', 'Phone Number': '03211234567', City: 'Karachi' }),
+      selectedProducts: JSON.stringify(selectedProducts),
+      productQuantities: JSON.stringify({ [testProduct.id]: 2 }),
+      productPrices: JSON.stringify({ [testProduct.id]: 1000 }),
+      shippingCharges: 200,
+      status: 'PENDING',
+      orderItems: {
+        create: [{
+          productId: testProduct.id,
+          productName: testProduct.name,
+          quantity: 2,
+          price: 1000
+        }]
+      }
+    }
+  });
+
+  const confirmed = await request(app)
+    .post(`/api/order/${order.id}/confirm`)
+    .send({ logisticsCompanyId: logisticsCompany.id, codFeePaidBy: 'CUSTOMER' });
+  expect(confirmed.status).toBe(200);
+
+  return order;
+}
+
+async function createDispatchedOrder(suffix) {
+  const order = await createConfirmedOrder(suffix);
+
+  const dispatched = await request(app)
+    .post(`/api/order/${order.id}/dispatch`)
+    .send({ logisticsCompanyId: logisticsCompany.id, actualShippingCost: 200, trackingNumber: `TRK-${suffix}` });
+  expect(dispatched.status).toBe(200);
+
+  return order;
+}
+
+async function accountBalance(code) {
+  const account = await getAccountByCode(code, testTenant.id);
+  return account ? account.balance : 0;
+}
+
+describe('Order delivery lifecycle', () => {
+  beforeAll(async () => {
+    const { user, tenant } = await createTestTenant();
+    testTenant = tenant;
+    setTestAuth(user, tenant);
+
+    testForm = await prisma.form.create({
+      data: {
+        name: 'Delivery Test Form',
+        formCategory: 'SHOPPING_CART',
+        tenantId: tenant.id,
+        formLink: `delivery-form-${Date.now()}`,
+        isPublished: true
+      }
+    });
+
+    testProduct = await prisma.product.create({
+      data: {
+        name: 'Delivery Test Product',
+        tenantId: tenant.id,
+        isActive: true,
+        currentRetailPrice: 1000,
+        currentQuantity: 10
+      }
+    });
+
+    logisticsCompany = await prisma.logisticsCompany.create({
+      data: {
+        name: 'Lifecycle Courier',
+        tenantId: tenant.id,
+        codFeeCalculationType: 'FIXED',
+        fixedCodFee: 50,
+        courierService: 'MANUAL',
+        status: 'ACTIVE'
+      }
+    });
+  });
+
+  afterAll(async () => {
+    if (testTenant) {
+      await cleanupTestData(testTenant.id);
+    }
+  });
+
+  test('1. Dispatched order moves to IN_TRANSIT and then DELIVERED', async () => {
+    const order = await createDispatchedOrder('DELIVERED');
+
+    const inTransit = await request(app)
+      .put(`/api/order/${order.id}/status`)
+      .send({ status: 'IN_TRANSIT' });
+    expect(inTransit.status).toBe(200);
+    expect(inTransit.body.order.status).toBe('IN_TRANSIT');
+
+    const delivered = await request(app)
+      .put(`/api/order/${order.id}/status`)
+      .send({ status: 'DELIVERED' });
+    expect(delivered.status).toBe(200);
+    expect(delivered.body.order.status).toBe('DELIVERED');
+    expect(delivered.body.order.deliveredAt).toBeTruthy();
+  });
+
+  test('2. Transitions outside the lifecycle are rejected', async () => {
+    const order = await createDispatchedOrder('INVALID');
+
+    const backwards = await request(app)
+      .put(`/api/order/${order.id}/status`)
+      .send({ status: 'PENDING' });
+    expect(backwards.status).toBe(400);
+    expect(backwards.body.allowedStatuses).toContain('IN_TRANSIT');
+
+    const dispatchViaStatus = await request(app)
+      .put(`/api/order/${order.id}/status`)
+      .send({ status: 'DISPATCHED' });
+    expect(dispatchViaStatus.status).toBe(400);
+
+    const unknown = await request(app)
+      .put(`/api/order/${order.id}/status`)
+      .send({ status: 'LOST' });
+    expect(unknown.status).toBe(400);
+  });
+
+  test('3. Failed delivery records the reason and can be re-attempted', async () => {
+    const order = await createDispatchedOrder('FAILED');
+
+    const failed = await request(app)
+      .put(`/api/order/${order.id}/status`)
+      .send({ status: 'FAILED_DELIVERY', reason: 'Customer not reachable' });
+    expect(failed.status).toBe(200);
+    expect(failed.body.order.deliveryFailedAt).toBeTruthy();
+    expect(failed.body.order.deliveryFailureReason).toBe('Customer not reachable');
+
+    const retry = await request(app)
+      .put(`/api/order/${order.id}/status`)
+      .send({ status: 'IN_TRANSIT' });
+    expect(retry.status).toBe(200);
+  });
+
+  test('4. Returned to origin restocks inventory and reverses revenue and COD fee', async () => {
+    const order = await createDispatchedOrder('RTO');
+
+    const stockBefore = (await prisma.product.findUnique({ where: { id: testProduct.id } })).currentQuantity;
+    const salesBefore = await accountBalance('4000');
+    const shippingBefore = await accountBalance('4200');
+    const codRevenueBefore = await accountBalance('4400');
+    const codPayableBefore = await accountBalance('2200');
+    const arBefore = await accountBalance('1200');
+
+    await request(app).put(`/api/order/${order.id}/status`).send({ status: 'FAILED_DELIVERY' });
+    const res = await request(app)
+      .put(`/api/order/${order.id}/status`)
+      .send({ status: 'RETURNED_TO_ORIGIN' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.order.status).toBe('RETURNED_TO_ORIGIN');
+    expect(res.body.order.returnedToOriginAt).toBeTruthy();
+    expect(res.body.reversal.revenueTransactionId).toBeTruthy();
+    expect(res.body.reversal.codFeeTransactionId).toBeTruthy();
+
+    const product = await prisma.product.findUnique({ where: { id: testProduct.id } });
+    expect(product.currentQuantity).toBe(stockBefore + 2);
+
+    const log = await prisma.productLog.findFirst({
+      where: { tenantId: testTenant.id, productId: testProduct.id, reason: 'Returned to origin' }
+    });
+    expect(log).toBeTruthy();
+    expect(log.quantity).toBe(2);
+
+    expect(await accountBalance('4000')).toBeCloseTo(salesBefore - 2000, 2);
+    expect(await accountBalance('4200')).toBeCloseTo(shippingBefore - 200, 2);
+    expect(await accountBalance('4400')).toBeCloseTo(codRevenueBefore - 50, 2);
+    expect(await accountBalance('2200')).toBeCloseTo(codPayableBefore - 50, 2);
+    expect(await accountBalance('1200')).toBeCloseTo(arBefore - 2250, 2);
+
+    // RTO is final
+    const again = await request(app)
+      .put(`/api/order/${order.id}/status`)
+      .send({ status: 'IN_TRANSIT' });
+    expect(again.status).toBe(400);
+  });
+
+  test('5. Concurrent returned-to-origin requests restock only once', async () => {
+    const order = await createDispatchedOrder('RTO-RACE');
+    const stockBefore = (await prisma.product.findUnique({ where: { id: testProduct.id } })).currentQuantity;
+
+    const responses = await Promise.all([1, 2].map(() => request(app)
+      .put(`/api/order/${order.id}/status`)
+      .send({ status: 'RETURNED_TO_ORIGIN' })));
+
+    expect(responses.map(res => res.status).sort()).toEqual([200, 400]);
+    const product = await prisma.product.findUnique({ where: { id: testProduct.id } });
+    expect(product.currentQuantity).toBe(stockBefore + 2);
+    expect(await prisma.transaction.count({
+      where: { orderId: order.id, description: { startsWith: 'Returned to Origin - Revenue Reversed' } }
+    })).toBe(1);
+  });
+
+  test('6. Cancelling a confirmed order restocks it and reverses the sale', async () => {
+    const stockBefore = (await prisma.product.findUnique({ where: { id: testProduct.id } })).currentQuantity;
+    const salesBefore = await accountBalance('4000');
+    const arBefore = await accountBalance('1200');
+
+    const order = await createConfirmedOrder('CANCEL');
+    expect((await prisma.product.findUnique({ where: { id: testProduct.id } })).currentQuantity).toBe(stockBefore - 2);
+
+    const res = await request(app)
+      .put(`/api/order/${order.id}/status`)
+      .send({ status: 'CANCELLED' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.order.status).toBe('CANCELLED');
+    expect(res.body.reversal.revenueTransactionId).toBeTruthy();
+
+    const product = await prisma.product.findUnique({ where: { id: testProduct.id } });
+    expect(product.currentQuantity).toBe(stockBefore);
+    const log = await prisma.productLog.findFirst({
+      where: { tenantId: testTenant.id, productId: testProduct.id, reason: 'Order cancelled' }
+    });
+    expect(log.quantity).toBe(2);
+
+    expect(await accountBalance('4000')).toBeCloseTo(salesBefore, 2);
+    expect(await accountBalance('1200')).toBeCloseTo(arBefore, 2);
+  });
+});
@@ -0,0 +1,201 @@
+/**
+ * Order risk tests: customer risk scores from refused deliveries, cancellations and returns,
+ * submit-time rules on POST /api/order/submit (flag for review, require advance payment,
+ * refuse) and the tenant blocklist of phone numbers and addresses. Flagged orders cannot be
+ * confirmed until they are marked as reviewed.
+ *
+ * Run with: npm test -- order-risk.test.js
+ */
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret-key';
+
+const { describe, test, expect, beforeAll, afterAll } = require('@jest/globals');
+const express = require('express');
+const request = require('supertest');
+const prisma = require('../lib/db');
+const {
+  createTestTenant,
+  generateTestToken,
+  cleanupTestData
+} = require('./helpers/testHelpers');
+
+const app = express();
+app.use(express.json());
+app.use('/api/order', require('../routes/order'));
+app.use('/api/customer', require('../routes/customer'));
+
+const suffix = Date.now().toString().slice(-6);
+const phone = (index) => `0301${suffix}${index}`;
+
+let testTenant;
+let token;
+let form;
+let refuser;
+let canceller;
+let orderCount = 0;
+
+const createHistory = (customer, status, count) => Promise.all(
+  Array.from({ length: count }, () => prisma.order.create({
+    data: {
+      orderNumber: `RISK-${suffix}-${++orderCount}`,
+      formId: form.id,
+      tenantId: testTenant.id,
+      customerId: customer.id,
+      status,
+      codAmount: 2000,
+      formData: JSON.stringify({ 'Customer Name': customer.name })
+    }
+  }))
+);
+
+const submit = (phoneNumber, extra = {}, address = 'House 1, Street 2, Lahore') => request(app)
+  .post('/api/order/submit')
+  .send({
+    formLink: form.formLink,
+    formData: { 'Customer Name': 'Risk Customer', 'Phone Number': phoneNumber, Address: address },
+    ...extra
+  });
+
+describe('Order risk rules and blocklist', () => {
+  beforeAll(async () => {
+    const created = await createTestTenant();
+    testTenant = created.tenant;
+    token = generateTestToken(created.user, created.tenant);
+
+    form = await prisma.form.create({
+      data: { name: 'Risk Form', tenantId: testTenant.id, formLink: `risk-form-${suffix}`, isPublished: true }
+    });
+    await prisma.formField.createMany({
+      data: [
+        { formId: form.id, label: 'Customer Name', fieldType: 'TEXT', isRequired: true, order: 0 },
+        { formId: form.id, label: 'Phone Number', fieldType: 'PHONE', isRequired: true, order: 1 },
+        { formId: form.id, label: 'Address', fieldType: 'ADDRESS', order: 2 }
+      ]
+    });
+
+    // Two refused deliveries: 70 points, over the default prepayment limit of 60
+    refuser = await prisma.customer.create({
+      data: { name: 'Refusing Customer', phoneNumber: phone(1), tenantId: testTenant.id }
+    });
+    await createHistory(refuser, 'RETURNED_TO_ORIGIN', 2);
+
+    // Two cancellations and one kept order: 25 points, under the default review limit of 30
+    canceller = await prisma.customer.create({
+      data: { name: 'Cancelling Customer', phoneNumber: phone(2), tenantId: testTenant.id }
+    });
+    await createHistory(canceller, 'CANCELLED', 2);
+    await createHistory(canceller, 'DELIVERED', 1);
+  });
+
+  afterAll(async () => {
+    if (testTenant) {
+      await prisma.blockedContact.deleteMany({ where: { tenantId: testTenant.id } });
+      await cleanupTestData(testTenant.id);
+    }
+  });
+
+  test('1. Customers are scored from refused deliveries, cancellations and returns', async () => {
+    const response = await request(app)
+      .get(`/api/customer/${refuser.id}/risk`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.risk).toMatchObject({ score: 70, level: 'HIGH', reasons: ['2 refused deliveries'], blocked: [] });
+
+    const canceled = await request(app)
+      .get(`/api/customer/${canceller.id}/risk`)
+      .set('Authorization', `Bearer ${token}`);
+    expect(canceled.body.risk).toMatchObject({ score: 25, level: 'LOW' });
+  });
+
+  test('2. Orders over the review limit are flagged and cannot be confirmed until reviewed', async () => {
+    const clean = await submit(phone(9));
+    expect(clean.status).toBe(201);
+    const cleanOrder = await prisma.order.findUnique({ where: { id: clean.body.order.id } });
+    expect(cleanOrder).toMatchObject({ riskScore: 0, riskAction: null });
+
+    await prisma.tenant.update({ where: { id: testTenant.id }, data: { riskReviewScore: 20 } });
+
+    // The same number in +92 format finds the customer's history
+    const flagged = await submit(`+92301${suffix}2`);
+    expect(flagged.status).toBe(201);
+    const order = await prisma.order.findUnique({ where: { id: flagged.body.order.id } });
+    expect(order).toMatchObject({ riskScore: 25, riskAction: 'REVIEW' });
+    expect(JSON.parse(order.riskReasons)[0]).toContain('2 cancelled orders');
+
+    const blocked = await request(app)
+      .post(`/api/order/${order.id}/confirm`)
+      .set('Authorization', `Bearer ${token}`);
+    expect(blocked.status).toBe(400);
+    expect(blocked.body.error).toContain('flagged for review');
+
+    const reviewed = await request(app)
+      .post(`/api/order/${order.id}/risk-review`)
+      .set('Authorization', `Bearer ${token}`);
+    expect(reviewed.status).toBe(200);
+    expect(reviewed.body.order.riskReviewedAt).toBeTruthy();
+
+    const again = await request(app)
+      .post(`/api/order/${cleanOrder.id}/risk-review`)
+      .set('Authorization', `Bearer ${token}`);
+    expect(again.status).toBe(400);
+  });
+
+  test('3. High-risk customers must pay in advance and can be refused outright', async () => {
+    const unpaid = await submit(phone(1));
+    expect(unpaid.status).toBe(400);
+    expect(unpaid.body.prepaymentRequired).toBe(true);
+
+    const paid = await submit(phone(1), { paymentAmount: 1500 });
+    expect(paid.status).toBe(201);
+    const order = await prisma.order.findUnique({ where: { id: paid.body.order.id } });
+    expect(order).toMatchObject({ riskScore: 70, riskAction: 'REQUIRE_PREPAYMENT', paymentAmount: 1500 });
+
+    await prisma.tenant.update({ where: { id: testTenant.id }, data: { riskRejectScore: 70 } });
+    const refused = await submit(phone(1), { paymentAmount: 1500 });
+    expect(refused.status).toBe(403);
+
+    // A refused submission does not create or update the customer
+    expect(await prisma.order.count({ where: { tenantId: testTenant.id, customerId: refuser.id } })).toBe(3);
+  });
+
+  test('4. Blocked phone numbers and addresses follow the blocklist action', async () => {
+    const invalid = await request(app)
+      .post('/api/customer/blocklist')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ type: 'EMAIL', value: 'someone@example.com' });
+    expect(invalid.status).toBe(400);
+
+    const added = await request(app)
+      .post('/api/customer/blocklist')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ type: 'ADDRESS', value: 'House 9, Fake Street', reason: 'Fake orders' });
+    expect(added.status).toBe(201);
+    expect(added.body.entry.value).toBe('house 9 fake street');
+
+    const duplicate = await request(app)
+      .post('/api/customer/blocklist')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ type: 'ADDRESS', value: 'house 9 - fake street' });
+    expect(duplicate.status).toBe(400);
+
+    const rejected = await submit(phone(8), {}, 'HOUSE 9,  Fake Street, Lahore');
+    expect(rejected.status).toBe(403);
+
+    await prisma.tenant.update({ where: { id: testTenant.id }, data: { blocklistAction: 'REVIEW' } });
+    const flagged = await submit(phone(8), {}, 'House 9 Fake Street Lahore');
+    expect(flagged.status).toBe(201);
+    const order = await prisma.order.findUnique({ where: { id: flagged.body.order.id } });
+    expect(order.riskAction).toBe('REVIEW');
+    expect(JSON.parse(order.riskReasons)).toEqual(['Address is on the blocklist (Fake orders)']);
+
+    const removed = await request(app)
+      .delete(`/api/customer/blocklist/${added.body.entry.id}`)
+      .set('Authorization', `Bearer ${token}`);
+    expect(removed.status).toBe(200);
+
+    const missing = await request(app)
+      .delete(`/api/customer/blocklist/${added.body.entry.id}`)
+      .set('Authorization', `Bearer ${token}`);
+    expect(missing.status).toBe(404);
+  });
+});
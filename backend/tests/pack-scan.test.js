@@ -0,0 +1,134 @@
+/**
+ * Scan-to-pack tests: scanned labels are matched against a confirmed order's lines (a variant
+ * line only accepts its own colour/size), and a business that requires scanning cannot
+ * dispatch an order until every unit has been scanned.
+ *
+ * Run with: npm test -- pack-scan.test.js
+ */
+const { describe, test, expect, beforeAll, afterAll } = require('@jest/globals');
+const request = require('supertest');
+const prisma = require('../lib/db');
+const {
+  createTestTenant,
+  setTestAuth,
+  cleanupTestData,
+  createTestAppWithOrderAndReturns
+} = require('./helpers/testHelpers');
+
+const app = createTestAppWithOrderAndReturns();
+
+let testTenant;
+let testForm;
+let kurta;
+let kurtaRed;
+let kurtaBlue;
+let dupatta;
+let order;
+
+describe('Scan to pack', () => {
+  beforeAll(async () => {
+    const { user, tenant } = await createTestTenant();
+    testTenant = await prisma.tenant.update({ where: { id: tenant.id }, data: { requirePackScan: true } });
+    setTestAuth(user, testTenant);
+
+    testForm = await prisma.form.create({
+      data: {
+        name: 'Pack Scan Form',
+        formCategory: 'SHOPPING_CART',
+        tenantId: tenant.id,
+        formLink: `pack-scan-form-${Date.now()}`,
+        isPublished: true
+      }
+    });
+
+    kurta = await prisma.product.create({
+      data: { name: 'Pack Kurta', tenantId: tenant.id, currentRetailPrice: 1500, hasVariants: true }
+    });
+    kurtaRed = await prisma.productVariant.create({
+      data: { productId: kurta.id, color: 'Red', size: 'M', sku: `PK-RED-M-${Date.now()}`, currentQuantity: 5 }
+    });
+    kurtaBlue = await prisma.productVariant.create({
+      data: { productId: kurta.id, color: 'Blue', size: 'M', sku: `PK-BLUE-M-${Date.now()}`, currentQuantity: 5 }
+    });
+    dupatta = await prisma.product.create({
+      data: { name: 'Pack Dupatta', tenantId: tenant.id, currentRetailPrice: 500, currentQuantity: 5 }
+    });
+
+    order = await prisma.order.create({
+      data: {
+        orderNumber: `PACK-${Date.now()}`,
+        formId: testForm.id,
+        tenantId: tenant.id,
+        formData: JSON.stringify({ 'Customer Name': 'Hina Aslam', 'Phone Number': '03001234567' }),
+        selectedProducts: JSON.stringify([
+          { id: kurta.id, variantId: kurtaRed.id, name: kurta.name, color: 'Red', size: 'M', price: 1500 },
+          { id: dupatta.id, name: dupatta.name, price: 500 }
+        ]),
+        productQuantities: JSON.stringify({ [`${kurta.id}_${kurtaRed.id}`]: 2, [dupatta.id]: 1 }),
+        productPrices: JSON.stringify({ [`${kurta.id}_${kurtaRed.id}`]: 1500, [dupatta.id]: 500 }),
+        status: 'PENDING',
+        orderItems: {
+          create: [
+            { productId: kurta.id, productVariantId: kurtaRed.id, productName: kurta.name, quantity: 2, price: 1500, color: 'Red', size: 'M' },
+            { productId: dupatta.id, productName: dupatta.name, quantity: 1, price: 500 }
+          ]
+        }
+      }
+    });
+
+    const confirmed = await request(app).post(`/api/order/${order.id}/confirm`).send({});
+    expect(confirmed.status).toBe(200);
+  });
+
+  afterAll(async () => {
+    if (testTenant) {
+      await cleanupTestData(testTenant.id);
+    }
+  });
+
+  test('1. The pack list gives each line the label code it accepts', async () => {
+    const response = await request(app).get(`/api/order/${order.id}/pack-list`);
+    expect(response.status).toBe(200);
+
+    const { packLines, tenant } = response.body.packList;
+    expect(tenant.requirePackScan).toBe(true);
+    expect(packLines).toHaveLength(2);
+    expect(packLines[0].productName).toBe('Pack Kurta (Red, M)');
+    expect(packLines[0].labelCode).toBe(kurtaRed.sku);
+    // Products without a SKU are labelled with their ID
+    expect(packLines[1].labelCode).toBe(dupatta.id);
+  });
+
+  test('2. Dispatch is refused until every item is scanned', async () => {
+    const refused = await request(app).post(`/api/order/${order.id}/dispatch`).send({});
+    expect(refused.status).toBe(400);
+    expect(refused.body.packScanRequired).toBe(true);
+  });
+
+  test('3. The wrong colour is rejected and a full scan verifies the order', async () => {
+    const partial = await request(app)
+      .post(`/api/order/${order.id}/pack-scan`)
+      .send({ codes: [kurtaRed.sku, kurtaBlue.sku, kurta.id] });
+    expect(partial.status).toBe(200);
+    expect(partial.body.result.complete).toBe(false);
+    expect(partial.body.result.unexpected).toEqual([
+      expect.objectContaining({ code: kurtaBlue.sku, label: 'Pack Kurta (Blue, M)', reason: 'Not in this order' }),
+      // The product label does not stand in for a specific colour/size
+      expect.objectContaining({ code: kurta.id, label: 'Pack Kurta', reason: 'Not in this order' })
+    ]);
+    expect(partial.body.result.missing).toEqual(['Pack Kurta (Red, M) (1/2)', 'Pack Dupatta (0/1)']);
+
+    const full = await request(app)
+      .post(`/api/order/${order.id}/pack-scan`)
+      .send({ codes: [kurtaRed.sku.toLowerCase(), dupatta.id, kurtaRed.sku] });
+    expect(full.status).toBe(200);
+    expect(full.body.result.complete).toBe(true);
+    expect(full.body.result.packVerifiedAt).toBeTruthy();
+
+    const dispatched = await request(app).post(`/api/order/${order.id}/dispatch`).send({});
+    expect(dispatched.status).toBe(200);
+
+    const saved = await prisma.order.findUnique({ where: { id: order.id } });
+    expect(saved.status).toBe('DISPATCHED');
+  });
+});
@@ -0,0 +1,171 @@
+/**
+ * Product import/export tests: CSV/XLSX sheets with one row per variant, column-mapping preview,
+ * dry-run reports (duplicate SKUs, missing prices, new categories), upsert by SKU with opening
+ * stock logged to ProductLog, and an export that maps itself when imported again.
+ *
+ * Run with: npm test -- product-import.test.js
+ */
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret-key';
+
+const { describe, test, expect, beforeAll, afterAll } = require('@jest/globals');
+const express = require('express');
+const request = require('supertest');
+const prisma = require('../lib/db');
+const {
+  createTestTenant,
+  generateTestToken,
+  cleanupTestData
+} = require('./helpers/testHelpers');
+
+const app = express();
+app.use(express.json());
+app.use('/api/product', require('../routes/product'));
+
+const suffix = Date.now().toString().slice(-6);
+const KURTA_SKU = `IMP-K-${suffix}`;
+const SUIT_SKU = `IMP-S-${suffix}`;
+
+let testTenant;
+let token;
+let existingSuit;
+
+const sheet = (lines) => Buffer.from(lines.join('\n'));
+
+const upload = (file, fields = {}) => {
+  const req = request(app)
+    .post('/api/product/import')
+    .set('Authorization', `Bearer ${token}`);
+  Object.entries(fields).forEach(([key, value]) => req.field(key, value));
+  return req.attach('file', file, 'products.csv');
+};
+
+describe('Product import and export', () => {
+  beforeAll(async () => {
+    const created = await createTestTenant();
+    testTenant = created.tenant;
+    token = generateTestToken(created.user, created.tenant);
+
+    existingSuit = await prisma.product.create({
+      data: {
+        name: 'Import Suit',
+        sku: SUIT_SKU,
+        category: 'Lawn',
+        currentRetailPrice: 3000,
+        currentQuantity: 0,
+        hasVariants: true,
+        tenantId: testTenant.id,
+        variants: { create: [{ color: 'Blue', size: 'M', sku: `${SUIT_SKU}-BLUE-M`, currentQuantity: 3 }] }
+      }
+    });
+  });
+
+  afterAll(async () => {
+    if (testTenant) {
+      await cleanupTestData(testTenant.id);
+    }
+  });
+
+  test('1. Preview suggests a column mapping from the headers', async () => {
+    const response = await request(app)
+      .post('/api/product/import/preview')
+      .set('Authorization', `Bearer ${token}`)
+      .attach('file', sheet(['Name,SKU,Colour,Size,Price,Opening Stock', 'Kurta,K1,Red,S,2500,4']), 'products.csv');
+
+    expect(response.status).toBe(200);
+    expect(response.body.totalRows).toBe(1);
+    expect(response.body.mapping).toMatchObject({ name: 0, sku: 1, color: 2, size: 3, retailPrice: 4, quantity: 5, category: null });
+  });
+
+  test('2. Dry run reports duplicate SKUs, missing prices and new categories without saving', async () => {
+    const response = await upload(sheet([
+      'Name,SKU,Category,Retail Price,Color,Size,Variant SKU,Quantity',
+      `Import Kurta,${KURTA_SKU},Festive,2500,Red,S,,4`,
+      `Import Kurta,${KURTA_SKU},Festive,,Red,M,${KURTA_SKU}-RED-S,6`,
+      'No Price Shawl,,,,,,,2'
+    ]), { dryRun: 'true' });
+
+    expect(response.status).toBe(200);
+    const { report } = response.body;
+    expect(report.valid).toBe(false);
+    expect(report.errors.map(error => error.message).join(' | ')).toContain('Duplicate variant SKU');
+    expect(report.errors.find(error => error.line === 4).message).toContain('needs a retail or purchase price');
+    expect(report.newCategories).toEqual(['Festive']);
+    expect(await prisma.product.count({ where: { tenantId: testTenant.id } })).toBe(1);
+
+    const refused = await upload(sheet([
+      'Name,Retail Price',
+      'No Price Shawl,'
+    ]));
+    expect(refused.status).toBe(400);
+    expect(refused.body.report.errors).toHaveLength(1);
+  });
+
+  test('3. Import creates products and variants with opening stock and updates by SKU', async () => {
+    const response = await upload(sheet([
+      'Product Name,Product SKU,Category,Purchase Price,Retail Price,Color,Size,Quantity',
+      `Import Kurta,${KURTA_SKU},lawn,1500,2500,Red,S,4`,
+      `Import Kurta,${KURTA_SKU},lawn,,,Red,M,6`,
+      `Import Suit,${SUIT_SKU},,,3200,Blue,M,3`,
+      `Import Suit,${SUIT_SKU},,,,Green,M,5`
+    ]));
+
+    expect(response.status).toBe(201);
+    expect(response.body.report.summary).toMatchObject({
+      productsToCreate: 1,
+      productsToUpdate: 1,
+      variantsToCreate: 3,
+      variantsToUpdate: 1,
+      openingStock: 15
+    });
+
+    const kurta = await prisma.product.findFirst({
+      where: { tenantId: testTenant.id, sku: KURTA_SKU },
+      include: { variants: { orderBy: { size: 'desc' } } }
+    });
+    // Category spelling follows the existing "Lawn"; variant SKUs are generated from the product SKU
+    expect(kurta).toMatchObject({ category: 'Lawn', currentRetailPrice: 2500, lastPurchasePrice: 1500, hasVariants: true });
+    expect(kurta.variants.map(variant => [variant.size, variant.sku, variant.currentQuantity])).toEqual([
+      ['S', `${KURTA_SKU}-RED-S`, 4],
+      ['M', `${KURTA_SKU}-RED-M`, 6]
+    ]);
+
+    const suit = await prisma.product.findUnique({ where: { id: existingSuit.id }, include: { variants: true } });
+    expect(suit.currentRetailPrice).toBe(3200);
+    expect(suit.variants.find(variant => variant.color === 'Blue').currentQuantity).toBe(3);
+    expect(suit.variants.find(variant => variant.color === 'Green').currentQuantity).toBe(5);
+
+    const openingLogs = await prisma.productLog.findMany({
+      where: { tenantId: testTenant.id, action: 'QUANTITY_ADJUSTMENT', reason: 'Opening stock' }
+    });
+    expect(openingLogs.reduce((sum, log) => sum + log.quantity, 0)).toBe(15);
+    expect(openingLogs.every(log => log.productVariantId && log.reference === 'Import: products.csv')).toBe(true);
+  });
+
+  test('4. Exports re-import as updates with no changes to stock', async () => {
+    const csv = await request(app)
+      .get('/api/product/export')
+      .set('Authorization', `Bearer ${token}`);
+    expect(csv.status).toBe(200);
+    expect(csv.headers['content-type']).toContain('text/csv');
+    const lines = csv.text.trim().split(/\r?\n/);
+    expect(lines[0]).toBe('Product Name,Product SKU,Category,Description,Stitched,Purchase Price,Retail Price,Color,Size,Variant SKU,Quantity,Min Stock,Max Stock');
+    expect(lines).toHaveLength(5);
+
+    const xlsx = await request(app)
+      .get('/api/product/export')
+      .query({ format: 'xlsx' })
+      .set('Authorization', `Bearer ${token}`)
+      .responseType('blob');
+    expect(xlsx.status).toBe(200);
+    expect(xlsx.headers['content-type']).toContain('spreadsheetml');
+
+    const again = await request(app)
+      .post('/api/product/import')
+      .set('Authorization', `Bearer ${token}`)
+      .field('dryRun', 'true')
+      .attach('file', xlsx.body, 'products.xlsx');
+    expect(again.status).toBe(200);
+    expect(again.body.report).toMatchObject({ valid: true, warnings: [] });
+    expect(again.body.report.summary).toMatchObject({ productsToCreate: 0, variantsToCreate: 0, openingStock: 0 });
+  });
+});
@@ -0,0 +1,179 @@
+/**
+ * Promotion tests: discount calculation (percentage cap, category scope), coupon preview and
+ * order submission with a discount code, rejection of expired or exhausted codes, and the discount
+ * being worked out again when an order's lines are edited.
+ *
+ * Run with: npm test -- promotions.test.js
+ */
+const { describe, test, expect, beforeAll, afterAll } = require('@jest/globals');
+const request = require('supertest');
+const prisma = require('../lib/db');
+const promotionService = require('../services/promotionService');
+const {
+  createTestTenant,
+  setTestAuth,
+  cleanupTestData,
+  createTestAppWithOrderAndReturns
+} = require('./helpers/testHelpers');
+
+const app = createTestAppWithOrderAndReturns();
+
+let testTenant;
+let testForm;
+let lawnSuit;
+let scarf;
+
+function orderPayload(couponCode, quantity = 2) {
+  return {
+    formLink: testForm.formLink,
+    formData: { 'Customer Name': 'Coupon Customer', 'Mobile Number': '03001234567' },
+    selectedProducts: JSON.stringify([
+      { id: lawnSuit.id, name: lawnSuit.name, quantity, price: 1000 },
+      { id: scarf.id, name: scarf.name, quantity: 1, price: 500 }
+    ]),
+    productQuantities: JSON.stringify({ [lawnSuit.id]: quantity, [scarf.id]: 1 }),
+    productPrices: JSON.stringify({ [lawnSuit.id]: 1000, [scarf.id]: 500 }),
+    couponCode
+  };
+}
+
+describe('Promotions and discount codes', () => {
+  beforeAll(async () => {
+    const { user, tenant } = await createTestTenant();
+    testTenant = tenant;
+    setTestAuth(user, tenant);
+
+    testForm = await prisma.form.create({
+      data: {
+        name: 'Promotion Test Form',
+        formCategory: 'SHOPPING_CART',
+        tenantId: tenant.id,
+        formLink: `promotion-form-${Date.now()}`,
+        isPublished: true
+      }
+    });
+
+    lawnSuit = await prisma.product.create({
+      data: { name: 'Promo Lawn Suit', category: 'Lawn', tenantId: tenant.id, currentRetailPrice: 1000, currentQuantity: 50 }
+    });
+    scarf = await prisma.product.create({
+      data: { name: 'Promo Scarf', category: 'Accessories', tenantId: tenant.id, currentRetailPrice: 500, currentQuantity: 50 }
+    });
+
+    await promotionService.createPromotion(tenant.id, {
+      code: 'lawn20', name: 'Lawn 20% off', discountType: 'PERCENTAGE', discountValue: 20,
+      maxDiscountAmount: 300, scope: 'CATEGORIES', categories: ['Lawn']
+    });
+    await promotionService.createPromotion(tenant.id, {
+      code: 'ONCE', name: 'One-time Rs. 100 off', discountType: 'FIXED', discountValue: 100, usageLimit: 1
+    });
+    await promotionService.createPromotion(tenant.id, {
+      code: 'OLDSALE', name: 'Expired sale', discountType: 'FIXED', discountValue: 100,
+      startsAt: '2025-01-01', endsAt: '2025-01-31'
+    });
+  });
+
+  afterAll(async () => {
+    if (testTenant) {
+      await prisma.promotion.deleteMany({ where: { tenantId: testTenant.id } });
+      await cleanupTestData(testTenant.id);
+    }
+  });
+
+  test('1. Percentage discount applies only to the scoped category and respects the cap', async () => {
+    const oneSuit = await promotionService.calculateDiscount({
+      tenantId: testTenant.id,
+      code: ' Lawn20 ',
+      lines: [
+        { productId: lawnSuit.id, quantity: 1, price: 1000 },
+        { productId: scarf.id, quantity: 1, price: 500 }
+      ]
+    });
+    expect(oneSuit.promotion.code).toBe('LAWN20');
+    expect(oneSuit.eligibleSubtotal).toBe(1000);
+    expect(oneSuit.subtotal).toBe(1500);
+    expect(oneSuit.discountAmount).toBe(200);
+
+    const threeSuits = await promotionService.calculateDiscount({
+      tenantId: testTenant.id,
+      code: 'LAWN20',
+      lines: [{ productId: lawnSuit.id, quantity: 3, price: 1000 }]
+    });
+    expect(threeSuits.discountAmount).toBe(300);
+
+    await expect(promotionService.calculateDiscount({
+      tenantId: testTenant.id,
+      code: 'LAWN20',
+      lines: [{ productId: scarf.id, quantity: 1, price: 500 }]
+    })).rejects.toThrow('does not apply');
+  });
+
+  test('2. Coupon preview and submit store the discount on the order', async () => {
+    const preview = await request(app)
+      .post('/api/order/apply-coupon')
+      .send(orderPayload('lawn20'));
+    expect(preview.status).toBe(200);
+    expect(preview.body.discountAmount).toBe(300);
+
+    const res = await request(app)
+      .post('/api/order/submit')
+      .send(orderPayload('lawn20'));
+    expect(res.status).toBe(201);
+
+    const order = await prisma.order.findUnique({ where: { id: res.body.order.id } });
+    expect(order.promotionCode).toBe('LAWN20');
+    expect(order.discountAmount).toBe(300);
+
+    const [promotion] = (await promotionService.getPromotions(testTenant.id)).filter(p => p.code === 'LAWN20');
+    expect(promotion.usageCount).toBe(1);
+    expect(promotion.totalDiscount).toBe(300);
+  });
+
+  test('3. Expired and exhausted codes are rejected at submission', async () => {
+    const expired = await request(app)
+      .post('/api/order/submit')
+      .send(orderPayload('OLDSALE'));
+    expect(expired.status).toBe(400);
+    expect(expired.body.error).toMatch(/expired/);
+
+    const first = await request(app)
+      .post('/api/order/submit')
+      .send(orderPayload('ONCE', 1));
+    expect(first.status).toBe(201);
+
+    const second = await request(app)
+      .post('/api/order/submit')
+      .send(orderPayload('ONCE', 1));
+    expect(second.status).toBe(400);
+    expect(second.body.error).toMatch(/usage limit/);
+  });
+
+  test('4. Used codes cannot be deleted', async () => {
+    const promotion = await prisma.promotion.findFirst({ where: { tenantId: testTenant.id, code: 'ONCE' } });
+    await expect(promotionService.deletePromotion(promotion.id, testTenant.id)).rejects.toThrow('deactivate it instead');
+  });
+
+  test('5. Editing the lines of a discounted order works the discount out again', async () => {
+    const submitted = await request(app)
+      .post('/api/order/submit')
+      .send(orderPayload('lawn20'));
+    expect(submitted.status).toBe(201);
+    const orderId = submitted.body.order.id;
+
+    const fewer = await request(app)
+      .put(`/api/order/${orderId}`)
+      .send({ productQuantities: JSON.stringify({ [lawnSuit.id]: 1, [scarf.id]: 1 }) });
+    expect(fewer.status).toBe(200);
+    expect((await prisma.order.findUnique({ where: { id: orderId } })).discountAmount).toBe(200);
+
+    // A discount the code no longer supports is still never more than the products it is taken from
+    await prisma.promotion.updateMany({ where: { tenantId: testTenant.id, code: 'LAWN20' }, data: { isActive: false } });
+    const cheaper = await request(app)
+      .put(`/api/order/${orderId}`)
+      .send({ productPrices: JSON.stringify({ [lawnSuit.id]: 100, [scarf.id]: 50 }) });
+    expect(cheaper.status).toBe(200);
+    const order = await prisma.order.findUnique({ where: { id: orderId } });
+    expect(order.discountAmount).toBe(150);
+    expect(order.promotionCode).toBe('LAWN20');
+  });
+});
@@ -0,0 +1,163 @@
+/**
+ * Reorder suggestion tests: low-stock flagging against min stock levels, sales velocity
+ * from order items, fill-to-max quantities, and grouping by the last supplier purchased from.
+ *
+ * Run with: npm test -- reorder-suggestions.test.js
+ */
+const { describe, test, expect, beforeAll, afterAll } = require('@jest/globals');
+const prisma = require('../lib/db');
+const reorderService = require('../services/reorderService');
+const {
+  createTestTenant,
+  cleanupTestData
+} = require('./helpers/testHelpers');
+
+let testTenant;
+let form;
+const products = {};
+const suppliers = {};
+
+async function createProduct(key, data) {
+  products[key] = await prisma.product.create({
+    data: {
+      name: `Reorder ${key}`,
+      sku: `REORDER-${key}-${Date.now()}`,
+      tenantId: testTenant.id,
+      currentRetailPrice: 1000,
+      lastPurchasePrice: 500,
+      ...data
+    }
+  });
+  return products[key];
+}
+
+async function recordPurchase(supplierKey, invoiceDate, items) {
+  return prisma.purchaseInvoice.create({
+    data: {
+      invoiceNumber: `PI-REORDER-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`,
+      invoiceDate: new Date(invoiceDate),
+      totalAmount: items.reduce((sum, item) => sum + item.purchasePrice * item.quantity, 0),
+      supplierId: suppliers[supplierKey].id,
+      supplierName: suppliers[supplierKey].name,
+      tenantId: testTenant.id,
+      purchaseItems: {
+        create: items.map(item => ({
+          name: products[item.product].name,
+          productId: products[item.product].id,
+          purchasePrice: item.purchasePrice,
+          quantity: item.quantity,
+          tenantId: testTenant.id
+        }))
+      }
+    }
+  });
+}
+
+async function recordSale(productKey, quantity, status = 'CONFIRMED') {
+  return prisma.order.create({
+    data: {
+      orderNumber: `TEST-REORDER-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`,
+      formData: JSON.stringify({ 'Customer Name': 'Reorder Customer' }),
+      status,
+      formId: form.id,
+      tenantId: testTenant.id,
+      orderItems: {
+        create: [{
+          productId: products[productKey].id,
+          productName: products[productKey].name,
+          quantity,
+          price: 1000
+        }]
+      }
+    }
+  });
+}
+
+function findItem(result, productKey) {
+  for (const group of result.groups) {
+    const item = group.items.find(entry => entry.productId === products[productKey].id);
+    if (item) {
+      return { group, item };
+    }
+  }
+  return {};
+}
+
+describe('Reorder suggestions', () => {
+  beforeAll(async () => {
+    const { tenant } = await createTestTenant();
+    testTenant = tenant;
+
+    form = await prisma.form.create({
+      data: {
+        name: 'Reorder Test Form',
+        formCategory: 'SHOPPING_CART',
+        tenantId: tenant.id,
+        formLink: `reorder-form-${Date.now()}`,
+        isPublished: true
+      }
+    });
+
+    suppliers.old = await prisma.supplier.create({ data: { name: 'Old Textiles', tenantId: tenant.id } });
+    suppliers.new = await prisma.supplier.create({ data: { name: 'New Textiles', tenantId: tenant.id } });
+
+    await createProduct('lawn', { currentQuantity: 4, minStockLevel: 10, maxStockLevel: 50 });
+    await createProduct('chiffon', { currentQuantity: 2, minStockLevel: 5 });
+    await createProduct('healthy', { currentQuantity: 40, minStockLevel: 10, maxStockLevel: 50 });
+    await createProduct('soldOut', { currentQuantity: 0 });
+
+    await recordPurchase('old', '2026-06-01', [{ product: 'lawn', purchasePrice: 400, quantity: 20 }]);
+    await recordPurchase('new', '2026-09-01', [
+      { product: 'lawn', purchasePrice: 450, quantity: 20 },
+      { product: 'chiffon', purchasePrice: 700, quantity: 10 }
+    ]);
+
+    await recordSale('chiffon', 30);
+    await recordSale('chiffon', 100, 'CANCELLED');
+    await recordSale('soldOut', 6);
+  });
+
+  afterAll(async () => {
+    if (testTenant) {
+      await cleanupTestData(testTenant.id);
+    }
+  });
+
+  test('1. Flags items at or below minimum and out-of-stock items that still sell', async () => {
+    const result = await reorderService.getReorderSuggestions({ tenantId: testTenant.id });
+
+    expect(findItem(result, 'lawn').item).toBeDefined();
+    expect(findItem(result, 'chiffon').item).toBeDefined();
+    expect(findItem(result, 'soldOut').item).toBeDefined();
+    expect(findItem(result, 'healthy').item).toBeUndefined();
+    expect(result.totalItems).toBe(3);
+  });
+
+  test('2. Fills to max stock level, otherwise covers sales velocity', async () => {
+    const result = await reorderService.getReorderSuggestions({ tenantId: testTenant.id, lookbackDays: 30, coverDays: 30 });
+
+    expect(findItem(result, 'lawn').item.suggestedQuantity).toBe(46);
+
+    // Cancelled orders are ignored: 30 units in 30 days -> 1/day
+    const chiffon = findItem(result, 'chiffon').item;
+    expect(chiffon.dailyVelocity).toBe(1);
+    expect(chiffon.suggestedQuantity).toBe(28);
+
+    expect(findItem(result, 'soldOut').item.suggestedQuantity).toBe(6);
+  });
+
+  test('3. Groups suggestions by the most recent supplier and prices them', async () => {
+    const result = await reorderService.getReorderSuggestions({ tenantId: testTenant.id });
+
+    const { group, item } = findItem(result, 'lawn');
+    expect(group.supplierId).toBe(suppliers.new.id);
+    expect(group.items.map(entry => entry.productId)).toContain(products.chiffon.id);
+    expect(item.lastPurchasePrice).toBe(450);
+    expect(group.estimatedCost).toBe(46 * 450 + 28 * 700);
+
+    // No purchase history: grouped without a supplier, listed last
+    const soldOut = findItem(result, 'soldOut');
+    expect(soldOut.group.supplierId).toBeNull();
+    expect(result.groups[result.groups.length - 1]).toBe(soldOut.group);
+  });
+});
@@ -0,0 +1,153 @@
+/**
+ * Sales invoice tests: confirmed orders get a per-business invoice number on their first
+ * download and keep it afterwards; the invoice lists the order lines, shipping, COD charges and
+ * payments received, with the business's active bank details.
+ *
+ * Run with: npm test -- sales-invoices.test.js
+ */
+const { describe, test, expect, beforeAll, afterAll } = require('@jest/globals');
+const request = require('supertest');
+const prisma = require('../lib/db');
+const salesInvoiceService = require('../services/salesInvoiceService');
+const {
+  createTestTenant,
+  setTestAuth,
+  cleanupTestData,
+  createTestAppWithOrderAndReturns
+} = require('./helpers/testHelpers');
+
+const app = createTestAppWithOrderAndReturns();
+
+let testTenant;
+let otherTenant;
+let testForm;
+let firstOrder;
+let secondOrder;
+let pendingOrder;
+let otherOrder;
+
+async function createForm(tenant, name) {
+  return prisma.form.create({
+    data: {
+      name,
+      formCategory: 'SHOPPING_CART',
+      tenantId: tenant.id,
+      formLink: `${name.toLowerCase().replace(/\s+/g, '-')}-${Date.now()}`,
+      isPublished: true
+    }
+  });
+}
+
+async function createOrder(tenant, form, suffix, data = {}) {
+  return prisma.order.create({
+    data: {
+      orderNumber: `INVC-${suffix}-${Date.now()}`,
+      formId: form.id,
+      tenantId: tenant.id,
+      formData: JSON.stringify({
+        'Customer Name': 'Sana Tariq',
+        'Phone Number': '03331234567',
+        'Shipping Address': 'Flat 3, Block C, Gulshan-e-Iqbal',
+        City: 'Karachi'
+      }),
+      status: 'CONFIRMED',
+      shippingCharges: 200,
+      orderItems: {
+        create: [
+          { productName: 'Invoice Kurta', quantity: 2, price: 2500, color: 'Blue', size: 'M' },
+          { productName: 'Invoice Shawl', quantity: 1, price: 1200 }
+        ]
+      },
+      ...data
+    }
+  });
+}
+
+describe('Sales invoices', () => {
+  beforeAll(async () => {
+    const { user, tenant } = await createTestTenant();
+    testTenant = tenant;
+    setTestAuth(user, tenant);
+    testForm = await createForm(tenant, 'Invoice Form');
+
+    await prisma.tenantBankDetail.createMany({
+      data: [
+        { tenantId: tenant.id, providerName: 'HBL', accountTitle: 'Test Business', accountNumber: '0012345678', sortOrder: 1 },
+        { tenantId: tenant.id, providerName: 'Old Bank', accountTitle: 'Test Business', accountNumber: '999', isActive: false }
+      ]
+    });
+
+    firstOrder = await createOrder(testTenant, testForm, 'A', { codFee: 100, codFeePaidBy: 'CUSTOMER' });
+    secondOrder = await createOrder(testTenant, testForm, 'B');
+    pendingOrder = await createOrder(testTenant, testForm, 'P', { status: 'PENDING' });
+
+    await prisma.payment.create({
+      data: {
+        paymentNumber: `PAY-INVC-${Date.now()}`,
+        date: new Date(),
+        type: 'CUSTOMER_PAYMENT',
+        amount: 1500,
+        paymentMethod: 'Bank Transfer',
+        tenantId: tenant.id,
+        orderId: firstOrder.id
+      }
+    });
+
+    ({ tenant: otherTenant } = await createTestTenant());
+    const otherForm = await createForm(otherTenant, 'Other Invoice Form');
+    otherOrder = await createOrder(otherTenant, otherForm, 'X');
+  });
+
+  afterAll(async () => {
+    if (testTenant) {
+      await cleanupTestData(testTenant.id);
+    }
+    if (otherTenant) {
+      await cleanupTestData(otherTenant.id);
+    }
+  });
+
+  test('1. Invoices are numbered in sequence and keep their number on re-download', async () => {
+    const prefix = `INV-${new Date().getFullYear()}-`;
+
+    const first = await request(app).get(`/api/order/${firstOrder.id}/invoice`).responseType('blob');
+    expect(first.status).toBe(200);
+    expect(first.headers['content-type']).toBe('application/pdf');
+    expect(first.headers['content-disposition']).toContain(`invoice-${prefix}0001.pdf`);
+    expect(first.body.subarray(0, 4).toString()).toBe('%PDF');
+
+    const second = await request(app).get(`/api/order/${secondOrder.id}/invoice`).responseType('blob');
+    expect(second.headers['content-disposition']).toContain(`invoice-${prefix}0002.pdf`);
+
+    const again = await request(app).get(`/api/order/${firstOrder.id}/invoice`).responseType('blob');
+    expect(again.headers['content-disposition']).toContain(`invoice-${prefix}0001.pdf`);
+
+    const invoices = await prisma.salesInvoice.findMany({ where: { tenantId: testTenant.id } });
+    expect(invoices).toHaveLength(2);
+  });
+
+  test('2. Invoice totals include COD charges and payments received', async () => {
+    const { invoice, order } = await salesInvoiceService.getInvoice(firstOrder.id, testTenant.id);
+    const data = salesInvoiceService.buildInvoiceData(invoice, order);
+
+    expect(data.items).toHaveLength(2);
+    // 5000 + 1200 + 200 shipping + 100 COD charges
+    expect(data.totals.total).toBe(6500);
+    expect(data.payments).toEqual([expect.objectContaining({ method: 'Bank Transfer', amount: 1500 })]);
+    expect(data.totals.balance).toBe(5000);
+    expect(data.status).toBe('PARTLY PAID');
+    // Only active bank details are printed
+    expect(data.bankDetails.map(detail => detail.providerName)).toEqual(['HBL']);
+  });
+
+  test('3. Pending and other businesses\' orders are refused', async () => {
+    const pending = await request(app).get(`/api/order/${pendingOrder.id}/invoice`);
+    expect(pending.status).toBe(400);
+
+    const other = await request(app).get(`/api/order/${otherOrder.id}/invoice`);
+    expect(other.status).toBe(404);
+
+    const issued = await prisma.salesInvoice.count({ where: { orderId: { in: [pendingOrder.id, otherOrder.id] } } });
+    expect(issued).toBe(0);
+  });
+});
@@ -0,0 +1,135 @@
+/**
+ * Shipping document tests: packing slips and courier labels are generated as PDFs for one
+ * order or a batch, carry the business as sender and the amount the courier collects, and
+ * never include another business's orders.
+ *
+ * Run with: npm test -- shipping-documents.test.js
+ */
+const { describe, test, expect, beforeAll, afterAll } = require('@jest/globals');
+const request = require('supertest');
+const prisma = require('../lib/db');
+const shippingDocumentService = require('../services/shippingDocumentService');
+const {
+  createTestTenant,
+  setTestAuth,
+  cleanupTestData,
+  createTestAppWithOrderAndReturns
+} = require('./helpers/testHelpers');
+
+const app = createTestAppWithOrderAndReturns();
+
+let testTenant;
+let otherTenant;
+let testForm;
+let firstOrder;
+let secondOrder;
+let otherOrder;
+
+async function createOrder(tenant, form, suffix, data = {}) {
+  return prisma.order.create({
+    data: {
+      orderNumber: `SLIP-${suffix}-${Date.now()}`,
+      formId: form.id,
+      tenantId: tenant.id,
+      formData: JSON.stringify({
+        'Customer Name': 'Mariam Siddiqui',
+        'Phone Number': '03211234567',
+        'Shipping Address': 'House 7, Street 2, DHA Phase 5',
+        City: 'Karachi'
+      }),
+      status: 'CONFIRMED',
+      shippingCharges: 250,
+      paymentAmount: 500,
+      orderItems: {
+        create: [
+          { productName: 'Slip Lawn Suit', quantity: 2, price: 3000, color: 'Green', size: 'L' },
+          { productName: 'Slip Dupatta', quantity: 1, price: 800 }
+        ]
+      },
+      ...data
+    },
+    include: {
+      orderItems: true,
+      tenant: { select: { businessName: true, whatsappNumber: true, businessAddress: true } },
+      logisticsCompany: { select: { name: true } }
+    }
+  });
+}
+
+async function createForm(tenant, name) {
+  return prisma.form.create({
+    data: {
+      name,
+      formCategory: 'SHOPPING_CART',
+      tenantId: tenant.id,
+      formLink: `${name.toLowerCase().replace(/\s+/g, '-')}-${Date.now()}`,
+      isPublished: true
+    }
+  });
+}
+
+describe('Packing slips and shipping labels', () => {
+  beforeAll(async () => {
+    const { user, tenant } = await createTestTenant();
+    testTenant = tenant;
+    setTestAuth(user, tenant);
+    testForm = await createForm(tenant, 'Slip Form');
+
+    firstOrder = await createOrder(testTenant, testForm, 'A');
+    secondOrder = await createOrder(testTenant, testForm, 'B', { codAmount: 6000, codFee: 100, codFeePaidBy: 'CUSTOMER' });
+
+    ({ tenant: otherTenant } = await createTestTenant());
+    const otherForm = await createForm(otherTenant, 'Other Slip Form');
+    otherOrder = await createOrder(otherTenant, otherForm, 'X');
+  });
+
+  afterAll(async () => {
+    if (testTenant) {
+      await cleanupTestData(testTenant.id);
+    }
+    if (otherTenant) {
+      await cleanupTestData(otherTenant.id);
+    }
+  });
+
+  test('1. Document data uses the business as sender and the amount to collect', () => {
+    const data = shippingDocumentService.buildDocumentData(firstOrder);
+    expect(data.sender.name).toBe(testTenant.businessName);
+    expect(data.sender.phone).toBe(testTenant.whatsappNumber);
+    expect(data.recipient.name).toBe('Mariam Siddiqui');
+    expect(data.recipient.city).toBe('Karachi');
+    expect(data.items[0]).toEqual({ name: 'Slip Lawn Suit', variant: 'Green / L', quantity: 2, price: 3000 });
+    expect(data.pieces).toBe(3);
+    // 6000 + 800 + 250 shipping - 500 paid in advance
+    expect(data.totals.codAmount).toBe(6550);
+
+    // Confirmed orders use the stored COD amount plus the fee the customer pays
+    expect(shippingDocumentService.buildDocumentData(secondOrder).totals.codAmount).toBe(6100);
+  });
+
+  test('2. A single packing slip and a batch of labels come back as PDFs', async () => {
+    const slip = await request(app)
+      .get(`/api/order/${firstOrder.id}/documents/packing-slip`)
+      .responseType('blob');
+    expect(slip.status).toBe(200);
+    expect(slip.headers['content-type']).toBe('application/pdf');
+    expect(slip.body.subarray(0, 4).toString()).toBe('%PDF');
+
+    const labels = await request(app)
+      .post('/api/order/documents/shipping-label')
+      .send({ orderIds: [firstOrder.id, secondOrder.id] })
+      .responseType('blob');
+    expect(labels.status).toBe(200);
+    expect(labels.headers['content-disposition']).toContain('shipping-labels-2-orders.pdf');
+  });
+
+  test('3. Other businesses\' orders and unknown document types are refused', async () => {
+    const other = await request(app)
+      .post('/api/order/documents/packing-slip')
+      .send({ orderIds: [firstOrder.id, otherOrder.id] });
+    expect(other.status).toBe(404);
+
+    const unknown = await request(app).get(`/api/order/${firstOrder.id}/documents/invoice`);
+    expect(unknown.status).toBe(400);
+  });
+});
@@ -0,0 +1,155 @@
+/**
+ * Staff permission tests: owners add staff members to their tenant and the real
+ * auth middleware scopes each staff request to that tenant and the granted permissions.
+ *
+ * Run with: npm test -- staff-permissions.test.js
+ */
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret-key';
+
+const { describe, test, expect, beforeAll, afterAll } = require('@jest/globals');
+const express = require('express');
+const request = require('supertest');
+const prisma = require('../lib/db');
+const {
+  createTestTenant,
+  generateTestToken,
+  cleanupTestData
+} = require('./helpers/testHelpers');
+
+const app = express();
+app.use(express.json());
+app.use('/api/tenant', require('../routes/tenant'));
+app.use('/api/order', require('../routes/order'));
+app.use('/api/accounting', require('../routes/accounting'));
+
+let owner;
+let tenant;
+let otherTenant;
+let ownerToken;
+let staffToken;
+let staffMember;
+let ownOrder;
+let foreignOrder;
+
+async function createOrder(tenantId, orderNumber) {
+  const form = await prisma.form.create({
+    data: {
+      name: 'Staff Test Form',
+      formCategory: 'SHOPPING_CART',
+      tenantId,
+      formLink: `staff-form-${orderNumber}`,
+      isPublished: true
+    }
+  });
+  return await prisma.order.create({
+    data: {
+      orderNumber,
+      formId: form.id,
+      tenantId,
+      formData: JSON.stringify({ 'Customer Name': 'Staff Test' }),
+      status: 'PENDING'
+    }
+  });
+}
+
+describe('Staff roles and permissions', () => {
+  beforeAll(async () => {
+    const created = await createTestTenant();
+    owner = created.user;
+    tenant = created.tenant;
+    ownerToken = generateTestToken(owner, tenant);
+
+    const other = await createTestTenant();
+    otherTenant = other.tenant;
+
+    ownOrder = await createOrder(tenant.id, `STAFF-OWN-${Date.now()}`);
+    foreignOrder = await createOrder(otherTenant.id, `STAFF-OTHER-${Date.now()}`);
+  });
+
+  afterAll(async () => {
+    if (tenant) await cleanupTestData(tenant.id);
+    if (otherTenant) await cleanupTestData(otherTenant.id);
+  });
+
+  test('1. Owner adds a staff member with a subset of permissions', async () => {
+    const res = await request(app)
+      .post('/api/tenant/owner/staff')
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .send({
+        name: 'Packer One',
+        email: `packer-${Date.now()}@test.com`,
+        password: 'packer123',
+        permissions: ['orders:view', 'not:a-permission']
+      });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.permissions).toEqual(['orders:view']);
+    staffMember = res.body.data;
+
+    const staffUser = await prisma.user.findUnique({ where: { id: staffMember.user.id } });
+    expect(staffUser.role).toBe('STAFF');
+    staffToken = generateTestToken(staffUser, tenant);
+  });
+
+  test('2. Staff see only their tenant and are refused ungranted actions', async () => {
+    const list = await request(app)
+      .get('/api/order')
+      .set('Authorization', `Bearer ${staffToken}`);
+    expect(list.status).toBe(200);
+    const ids = list.body.orders.map(o => o.id);
+    expect(ids).toContain(ownOrder.id);
+    expect(ids).not.toContain(foreignOrder.id);
+
+    const foreign = await request(app)
+      .get(`/api/order/${foreignOrder.id}`)
+      .set('Authorization', `Bearer ${staffToken}`);
+    expect(foreign.status).toBe(403);
+
+    const confirm = await request(app)
+      .post(`/api/order/${ownOrder.id}/confirm`)
+      .set('Authorization', `Bearer ${staffToken}`)
+      .send({});
+    expect(confirm.status).toBe(403);
+
+    const accounts = await request(app)
+      .get('/api/accounting/accounts')
+      .set('Authorization', `Bearer ${staffToken}`);
+    expect(accounts.status).toBe(403);
+
+    const staffAdmin = await request(app)
+      .get('/api/tenant/owner/staff')
+      .set('Authorization', `Bearer ${staffToken}`);
+    expect(staffAdmin.status).toBe(403);
+  });
+
+  test('3. Granting accounting:view opens accounting reads but not writes', async () => {
+    const update = await request(app)
+      .put(`/api/tenant/owner/staff/${staffMember.id}`)
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .send({ permissions: ['orders:view', 'accounting:view'] });
+    expect(update.status).toBe(200);
+
+    const accounts = await request(app)
+      .get('/api/accounting/accounts')
+      .set('Authorization', `Bearer ${staffToken}`);
+    expect(accounts.status).toBe(200);
+
+    const expense = await request(app)
+      .post('/api/accounting/expenses')
+      .set('Authorization', `Bearer ${staffToken}`)
+      .send({ amount: 100, category: 'Office' });
+    expect(expense.status).toBe(403);
+  });
+
+  test('4. Deactivated staff lose access', async () => {
+    await request(app)
+      .put(`/api/tenant/owner/staff/${staffMember.id}`)
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .send({ isActive: false });
+
+    const res = await request(app)
+      .get('/api/order')
+      .set('Authorization', `Bearer ${staffToken}`);
+    expect(res.status).toBe(403);
+  });
+});
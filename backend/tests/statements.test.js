@@ -0,0 +1,164 @@
+/**
+ * Statement of account tests: opening balance carried in from before the period, closing
+ * balance matching the ledger, ageing of what is still owed, CSV export and bulk
+ * statements for customers and suppliers with a balance.
+ *
+ * Run with: npm test -- statements.test.js
+ */
+const { describe, test, expect, beforeAll, afterAll } = require('@jest/globals');
+const request = require('supertest');
+const prisma = require('../lib/db');
+const statementService = require('../services/statementService');
+const {
+  createTestTenant,
+  setTestAuth,
+  cleanupTestData,
+  createTestApp
+} = require('./helpers/testHelpers');
+
+const app = createTestApp();
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let testTenant;
+let testForm;
+let owingCustomer;
+let settledCustomer;
+let supplier;
+
+function daysAgo(days) {
+  return new Date(Date.now() - days * DAY_MS);
+}
+
+function toDateString(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+async function createOrder(customer, suffix, amount, createdAt) {
+  return prisma.order.create({
+    data: {
+      orderNumber: `STMT-${suffix}-${Date.now()}`,
+      formId: testForm.id,
+      tenantId: testTenant.id,
+      customerId: customer.id,
+      formData: JSON.stringify({ 'Customer Name': customer.name, 'Phone Number': customer.phoneNumber }),
+      status: 'CONFIRMED',
+      createdAt,
+      orderItems: { create: [{ productName: 'Statement Kurta', quantity: 1, price: amount }] }
+    }
+  });
+}
+
+async function createPayment(customer, suffix, amount, date) {
+  return prisma.payment.create({
+    data: {
+      paymentNumber: `PAY-STMT-${suffix}-${Date.now()}`,
+      date,
+      type: 'CUSTOMER_PAYMENT',
+      amount,
+      tenantId: testTenant.id,
+      customerId: customer.id
+    }
+  });
+}
+
+describe('Statements of account', () => {
+  beforeAll(async () => {
+    const { user, tenant } = await createTestTenant();
+    testTenant = tenant;
+    setTestAuth(user, tenant);
+
+    testForm = await prisma.form.create({
+      data: {
+        name: 'Statement Form',
+        formCategory: 'SHOPPING_CART',
+        tenantId: tenant.id,
+        formLink: `statement-form-${Date.now()}`,
+        isPublished: true
+      }
+    });
+
+    owingCustomer = await prisma.customer.create({
+      data: { name: 'Ayesha Statement', phoneNumber: `0300${Date.now().toString().slice(-7)}`, tenantId: tenant.id }
+    });
+    await createOrder(owingCustomer, 'A', 3000, daysAgo(100));
+    await createPayment(owingCustomer, 'A', 1000, daysAgo(95));
+    await createOrder(owingCustomer, 'B', 2000, daysAgo(45));
+    await createOrder(owingCustomer, 'C', 1500, daysAgo(10));
+    await createPayment(owingCustomer, 'C', 500, daysAgo(5));
+
+    settledCustomer = await prisma.customer.create({
+      data: { name: 'Bilal Settled', phoneNumber: `0311${Date.now().toString().slice(-7)}`, tenantId: tenant.id }
+    });
+    await createOrder(settledCustomer, 'S', 1200, daysAgo(20));
+    await createPayment(settledCustomer, 'S', 1200, daysAgo(19));
+
+    supplier = await prisma.supplier.create({
+      data: { name: 'Statement Fabrics', phone: '0421234567', balance: 2500, tenantId: tenant.id }
+    });
+  });
+
+  afterAll(async () => {
+    if (testTenant) {
+      await cleanupTestData(testTenant.id);
+    }
+  });
+
+  test('1. Customer statement carries the opening balance and ages the closing balance', async () => {
+    const period = statementService.getPeriod(toDateString(daysAgo(60)), toDateString(new Date()));
+    const statement = await statementService.buildStatement('customer', testTenant.id, owingCustomer.id, period);
+
+    // Order A less the first payment happened before the period
+    expect(statement.openingBalance).toBe(2000);
+    expect(statement.entries).toHaveLength(3);
+    expect(statement.totals).toEqual({ debit: 3500, credit: 500 });
+    expect(statement.closingBalance).toBe(5000);
+
+    // Unlinked payments settle the oldest order first, in the ageing report's buckets
+    const ageing = Object.fromEntries(statement.ageing.buckets.map(bucket => [bucket.key, bucket.amount]));
+    expect(ageing).toEqual({ current: 0, days1to30: 1500, days31to60: 2000, days61to90: 0, over90: 1500 });
+    expect(statement.ageing.total).toBe(statement.closingBalance);
+  });
+
+  test('2. Statements download as CSV and PDF', async () => {
+    const query = { fromDate: toDateString(daysAgo(60)), toDate: toDateString(new Date()) };
+
+    const csv = await request(app)
+      .get(`/customer/${owingCustomer.id}/statement`)
+      .query({ ...query, format: 'csv' });
+    expect(csv.status).toBe(200);
+    expect(csv.headers['content-type']).toContain('text/csv');
+    expect(csv.text).toContain('OPENING_BALANCE');
+    expect(csv.text).toContain('CLOSING_BALANCE');
+
+    const pdf = await request(app)
+      .get(`/customer/${owingCustomer.id}/statement`)
+      .query(query)
+      .responseType('blob');
+    expect(pdf.status).toBe(200);
+    expect(pdf.headers['content-type']).toBe('application/pdf');
+    expect(pdf.body.subarray(0, 4).toString()).toBe('%PDF');
+
+    const invalid = await request(app)
+      .get(`/customer/${owingCustomer.id}/statement`)
+      .query({ fromDate: query.toDate, toDate: query.fromDate });
+    expect(invalid.status).toBe(400);
+  });
+
+  test('3. Bulk statements only include parties with a balance', async () => {
+    const period = statementService.getPeriod(toDateString(daysAgo(120)), toDateString(new Date()));
+
+    const customers = await statementService.buildBulkStatements('customer', testTenant.id, period);
+    expect(customers.map(statement => statement.party.id)).toEqual([owingCustomer.id]);
+
+    const suppliers = await statementService.buildBulkStatements('supplier', testTenant.id, period);
+    expect(suppliers).toHaveLength(1);
+    expect(suppliers[0].party.id).toBe(supplier.id);
+    expect(suppliers[0].closingBalance).toBe(2500);
+
+    const response = await request(app)
+      .get('/accounting/suppliers/statements')
+      .query({ fromDate: toDateString(daysAgo(120)), format: 'csv' });
+    expect(response.status).toBe(200);
+    expect(response.text).toContain('Statement Fabrics');
+  });
+});
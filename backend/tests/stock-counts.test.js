@@ -0,0 +1,145 @@
+/**
+ * Stock count tests: counted quantities are checked against book quantities, every
+ * difference needs a reason before submission, and approval sets stock to the counted
+ * quantities (ProductLog) and posts shrinkage/gain at cost against Inventory (1300).
+ *
+ * Run with: npm test -- stock-counts.test.js
+ */
+const { describe, test, expect, beforeAll, afterAll } = require('@jest/globals');
+const prisma = require('../lib/db');
+const stockCountService = require('../services/stockCountService');
+const {
+  createTestTenant,
+  setTestAuth,
+  cleanupTestData,
+  getAccountByCode
+} = require('./helpers/testHelpers');
+
+let testTenant;
+let testUser;
+let shawl;
+let kurta;
+let kurtaRed;
+let count;
+
+const lineFor = (product, variant = null) =>
+  count.items.find(item => item.productId === product.id && item.productVariantId === (variant ? variant.id : null));
+
+async function accountBalance(code) {
+  const account = await getAccountByCode(code, testTenant.id);
+  return account ? account.balance : 0;
+}
+
+describe('Stock counts', () => {
+  beforeAll(async () => {
+    const { user, tenant } = await createTestTenant();
+    testTenant = tenant;
+    testUser = user;
+    setTestAuth(user, tenant);
+
+    shawl = await prisma.product.create({
+      data: { name: 'Count Shawl', tenantId: tenant.id, currentQuantity: 10, lastPurchasePrice: 200 }
+    });
+    kurta = await prisma.product.create({
+      data: { name: 'Count Kurta', tenantId: tenant.id, hasVariants: true, lastPurchasePrice: 150 }
+    });
+    kurtaRed = await prisma.productVariant.create({
+      data: { productId: kurta.id, color: 'Red', size: 'M', currentQuantity: 4 }
+    });
+  });
+
+  afterAll(async () => {
+    if (testTenant) {
+      await cleanupTestData(testTenant.id);
+    }
+  });
+
+  test('1. A count starts with one line per product/variant at book quantity and cost', async () => {
+    count = await stockCountService.createCount(testTenant.id, { notes: 'Month end' }, testUser);
+
+    expect(count.countNumber).toMatch(/^SC-\d{4}-0001$/);
+    expect(count.status).toBe('IN_PROGRESS');
+    expect(lineFor(shawl).bookQuantity).toBe(10);
+    expect(lineFor(shawl).unitCost).toBe(200);
+    expect(lineFor(kurta, kurtaRed).bookQuantity).toBe(4);
+    expect(lineFor(kurta, kurtaRed).productName).toBe('Count Kurta (Red, M)');
+  });
+
+  test('2. Differences need a reason before the count is submitted', async () => {
+    count = await stockCountService.recordCounts(count.id, testTenant.id, [
+      { itemId: lineFor(shawl).id, countedQuantity: 8 },
+      { itemId: lineFor(kurta, kurtaRed).id, countedQuantity: 5, reason: 'FOUND' }
+    ]);
+    expect(lineFor(shawl).variance).toBe(-2);
+    expect(count.summary.shrinkageValue).toBe(400);
+    expect(count.summary.gainValue).toBe(150);
+
+    await expect(stockCountService.submitCount(count.id, testTenant.id, testUser))
+      .rejects.toThrow('Choose a reason for: Count Shawl');
+    await expect(stockCountService.recordCounts(count.id, testTenant.id, [
+      { itemId: lineFor(shawl).id, countedQuantity: -1 }
+    ])).rejects.toThrow('whole numbers');
+
+    await stockCountService.recordCounts(count.id, testTenant.id, [
+      { itemId: lineFor(shawl).id, countedQuantity: 8, reason: 'DAMAGED' }
+    ]);
+    count = await stockCountService.submitCount(count.id, testTenant.id, testUser);
+    expect(count.status).toBe('SUBMITTED');
+  });
+
+  test('3. Approval adjusts stock, logs it and posts the variances at cost', async () => {
+    const inventoryBefore = await accountBalance('1300');
+
+    count = await stockCountService.approveCount(count.id, testTenant.id, testUser);
+    expect(count.status).toBe('APPROVED');
+    expect(count.shrinkageValue).toBe(400);
+    expect(count.gainValue).toBe(150);
+    expect(count.transactionId).toBeTruthy();
+
+    const product = await prisma.product.findUnique({ where: { id: shawl.id } });
+    const variant = await prisma.productVariant.findUnique({ where: { id: kurtaRed.id } });
+    expect(product.currentQuantity).toBe(8);
+    expect(variant.currentQuantity).toBe(5);
+
+    const log = await prisma.productLog.findFirst({
+      where: { tenantId: testTenant.id, productId: shawl.id, reference: `Stock count: ${count.countNumber}` }
+    });
+    expect(log.action).toBe('DECREASE');
+    expect(log.quantity).toBe(-2);
+    expect(log.reason).toBe('Stock count: Damaged');
+
+    expect(await accountBalance('1300')).toBeCloseTo(inventoryBefore - 400 + 150, 2);
+    expect(await accountBalance('5900')).toBeCloseTo(400, 2);
+    expect(await accountBalance('4500')).toBeCloseTo(150, 2);
+
+    await expect(stockCountService.approveCount(count.id, testTenant.id, testUser))
+      .rejects.toThrow('Only submitted counts can be approved');
+  });
+
+  test('4. Stock sold after counting is not taken as a variance, and a double approval applies once', async () => {
+    count = await stockCountService.createCount(testTenant.id, {}, testUser);
+    count = await stockCountService.recordCounts(count.id, testTenant.id, [
+      { itemId: lineFor(shawl).id, countedQuantity: 8 },
+      { itemId: lineFor(kurta, kurtaRed).id, countedQuantity: 7, reason: 'FOUND' }
+    ]);
+    expect(lineFor(kurta, kurtaRed).bookQuantity).toBe(5);
+
+    // Three shawls sold between counting and approval
+    await prisma.product.update({ where: { id: shawl.id }, data: { currentQuantity: { decrement: 3 } } });
+    count = await stockCountService.getCount(count.id, testTenant.id);
+    expect(lineFor(shawl).bookQuantity).toBe(8);
+    expect(lineFor(shawl).variance).toBe(0);
+
+    await stockCountService.submitCount(count.id, testTenant.id, testUser);
+    const results = await Promise.allSettled([
+      stockCountService.approveCount(count.id, testTenant.id, testUser),
+      stockCountService.approveCount(count.id, testTenant.id, testUser)
+    ]);
+    expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+
+    const product = await prisma.product.findUnique({ where: { id: shawl.id } });
+    const variant = await prisma.productVariant.findUnique({ where: { id: kurtaRed.id } });
+    expect(product.currentQuantity).toBe(5);
+    expect(variant.currentQuantity).toBe(7);
+  });
+});
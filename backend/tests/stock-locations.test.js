@@ -0,0 +1,235 @@
+/**
+ * Stock location tests: the first location takes over existing stock as the default,
+ * transfers move quantities between locations and are logged in ProductLog, and dispatch
+ * from a location is refused when it does not hold the order's items, even when two
+ * dispatches race for the same units.
+ *
+ * Run with: npm test -- stock-locations.test.js
+ */
+const { describe, test, expect, beforeAll, afterAll } = require('@jest/globals');
+const request = require('supertest');
+const prisma = require('../lib/db');
+const locationService = require('../services/locationService');
+const InventoryService = require('../services/inventoryService');
+const {
+  createTestTenant,
+  setTestAuth,
+  cleanupTestData,
+  createTestAppWithOrderAndReturns
+} = require('./helpers/testHelpers');
+
+const app = createTestAppWithOrderAndReturns();
+
+let testTenant;
+let testForm;
+let godown;
+let shop;
+let shawl;
+let kurta;
+let kurtaRed;
+
+async function quantityAt(location, product, variant = null) {
+  return locationService.getQuantityAt(prisma, location, product.id, variant ? variant.id : null);
+}
+
+async function createConfirmedOrder(quantity) {
+  const order = await prisma.order.create({
+    data: {
+      orderNumber: `LOCATION-${Date.now()}`,
+      formId: testForm.id,
+      tenantId: testTenant.id,
+      formData: JSON.stringify({ 'Customer Name': 'Sana Tariq', 'Phone Number': '03331234567' }),
+      selectedProducts: JSON.stringify([{ id: shawl.id, name: shawl.name, price: 1000 }]),
+      productQuantities: JSON.stringify({ [shawl.id]: quantity }),
+      productPrices: JSON.stringify({ [shawl.id]: 1000 }),
+      status: 'PENDING',
+      orderItems: {
+        create: [{ productId: shawl.id, productName: shawl.name, quantity, price: 1000 }]
+      }
+    }
+  });
+
+  const confirmed = await request(app).post(`/api/order/${order.id}/confirm`).send({});
+  expect(confirmed.status).toBe(200);
+  return order;
+}
+
+describe('Stock locations', () => {
+  beforeAll(async () => {
+    const { user, tenant } = await createTestTenant();
+    testTenant = tenant;
+    setTestAuth(user, tenant);
+
+    testForm = await prisma.form.create({
+      data: {
+        name: 'Location Test Form',
+        formCategory: 'SHOPPING_CART',
+        tenantId: tenant.id,
+        formLink: `location-form-${Date.now()}`,
+        isPublished: true
+      }
+    });
+
+    shawl = await prisma.product.create({
+      data: { name: 'Location Shawl', tenantId: tenant.id, currentRetailPrice: 1000, currentQuantity: 10 }
+    });
+    kurta = await prisma.product.create({
+      data: { name: 'Location Kurta', tenantId: tenant.id, currentRetailPrice: 1500, hasVariants: true }
+    });
+    kurtaRed = await prisma.productVariant.create({
+      data: { productId: kurta.id, color: 'Red', size: 'M', currentQuantity: 4 }
+    });
+  });
+
+  afterAll(async () => {
+    if (testTenant) {
+      await cleanupTestData(testTenant.id);
+    }
+  });
+
+  test('1. The first location becomes the default and holds existing stock', async () => {
+    godown = await locationService.createLocation(testTenant.id, { name: 'Home Godown' });
+    shop = await locationService.createLocation(testTenant.id, { name: 'Shop', address: 'Liberty Market' });
+
+    expect(godown.isDefault).toBe(true);
+    expect(shop.isDefault).toBe(false);
+    expect(await quantityAt(godown, shawl)).toBe(10);
+    expect(await quantityAt(shop, shawl)).toBe(0);
+
+    await expect(locationService.createLocation(testTenant.id, { name: 'Shop' }))
+      .rejects.toThrow('already exists');
+  });
+
+  test('2. Transfers move stock between locations and are logged', async () => {
+    const result = await locationService.transferStock(testTenant.id, {
+      fromLocationId: godown.id,
+      toLocationId: shop.id,
+      items: [
+        { productId: shawl.id, quantity: 3 },
+        { productId: kurta.id, productVariantId: kurtaRed.id, quantity: 1 }
+      ]
+    });
+    expect(result.transferred).toBe(2);
+
+    expect(await quantityAt(godown, shawl)).toBe(7);
+    expect(await quantityAt(shop, shawl)).toBe(3);
+    expect(await quantityAt(shop, kurta, kurtaRed)).toBe(1);
+
+    // Totals across locations are unchanged
+    const product = await prisma.product.findUnique({ where: { id: shawl.id } });
+    expect(product.currentQuantity).toBe(10);
+
+    const logs = await prisma.productLog.findMany({
+      where: { tenantId: testTenant.id, action: 'TRANSFER', productId: shawl.id }
+    });
+    expect(logs).toHaveLength(1);
+    expect(logs[0].locationId).toBe(godown.id);
+    expect(logs[0].toLocationId).toBe(shop.id);
+    expect(logs[0].quantity).toBe(3);
+
+    await expect(locationService.transferStock(testTenant.id, {
+      fromLocationId: shop.id,
+      toLocationId: godown.id,
+      items: [{ productId: shawl.id, quantity: 5 }]
+    })).rejects.toThrow('Only 3 of Location Shawl at Shop');
+  });
+
+  test('3. Dispatch from a location checks and reduces its stock', async () => {
+    const tooMany = await createConfirmedOrder(4);
+    const refused = await request(app)
+      .post(`/api/order/${tooMany.id}/dispatch`)
+      .send({ locationId: shop.id });
+    expect(refused.status).toBe(400);
+    expect(refused.body.error).toMatch(/Not enough stock at Shop/);
+
+    const order = await createConfirmedOrder(2);
+    const dispatched = await request(app)
+      .post(`/api/order/${order.id}/dispatch`)
+      .send({ locationId: shop.id });
+    expect(dispatched.status).toBe(200);
+
+    const saved = await prisma.order.findUnique({ where: { id: order.id } });
+    expect(saved.dispatchLocationId).toBe(shop.id);
+
+    // 10 - 4 - 2 confirmed; the shop shipped its 2, the still-undispatched 4 come off the godown
+    expect(await quantityAt(shop, shawl)).toBe(1);
+    expect(await quantityAt(godown, shawl)).toBe(3);
+  });
+
+  test('4. Changing the default keeps every location\'s quantity', async () => {
+    await locationService.setDefaultLocation(shop.id, testTenant.id);
+    const [newGodown, newShop] = await Promise.all([
+      locationService.getLocation(godown.id, testTenant.id),
+      locationService.getLocation(shop.id, testTenant.id)
+    ]);
+
+    expect(newShop.isDefault).toBe(true);
+    expect(await quantityAt(newGodown, shawl)).toBe(3);
+    expect(await quantityAt(newShop, shawl)).toBe(1);
+    expect(await quantityAt(newShop, kurta, kurtaRed)).toBe(1);
+    expect(await quantityAt(newGodown, kurta, kurtaRed)).toBe(3);
+
+    await expect(locationService.updateLocation(newGodown.id, testTenant.id, { isActive: false }))
+      .rejects.toThrow('Move the stock out');
+  });
+
+  test('5. Goods received at a location leave it when the purchase is edited or returned', async () => {
+    const receivingGodown = await locationService.getLocation(godown.id, testTenant.id);
+    const invoice = await prisma.purchaseInvoice.create({
+      data: {
+        invoiceNumber: `LOC-PI-${Date.now()}`,
+        invoiceDate: new Date(),
+        totalAmount: 500,
+        tenantId: testTenant.id,
+        locationId: receivingGodown.id,
+        purchaseItems: {
+          create: [{ name: shawl.name, purchasePrice: 100, quantity: 5, tenantId: testTenant.id }]
+        }
+      },
+      include: { purchaseItems: true }
+    });
+
+    await InventoryService.updateInventoryFromPurchase(
+      testTenant.id, invoice.purchaseItems, invoice.id, invoice.invoiceNumber, { location: receivingGodown }
+    );
+    expect(await quantityAt(receivingGodown, shawl)).toBe(8);
+    const receiptLog = await prisma.productLog.findFirst({
+      where: { tenantId: testTenant.id, reference: `Invoice: ${invoice.invoiceNumber}` }
+    });
+    expect(receiptLog.locationId).toBe(receivingGodown.id);
+
+    // Invoice corrected from 5 to 2 units
+    const [oldItem] = await prisma.purchaseItem.findMany({ where: { purchaseInvoiceId: invoice.id } });
+    const newItem = await prisma.purchaseItem.update({ where: { id: oldItem.id }, data: { quantity: 2 } });
+    await InventoryService.updateInventoryFromPurchaseEdit(testTenant.id, [oldItem], [newItem], invoice.id, invoice.invoiceNumber);
+    await locationService.adjustPurchaseLocationStock(prisma, invoice, [newItem, { ...oldItem, quantity: -oldItem.quantity }]);
+    expect(await quantityAt(receivingGodown, shawl)).toBe(5);
+
+    // One unit returned to the supplier
+    await InventoryService.decreaseInventoryFromReturn(testTenant.id, [{ productName: shawl.name, quantity: 1 }], invoice.id, invoice.invoiceNumber);
+    await locationService.adjustPurchaseLocationStock(prisma, invoice, [{ productName: shawl.name, quantity: -1 }]);
+    expect(await quantityAt(receivingGodown, shawl)).toBe(4);
+
+    // The default location's remainder is untouched throughout
+    const shopNow = await locationService.getLocation(shop.id, testTenant.id);
+    expect(await quantityAt(shopNow, shawl)).toBe(1);
+  });
+
+  test('6. Two orders dispatched at once cannot take more than the location holds', async () => {
+    // Enough stock overall to confirm both; the godown holds 4 of the 6 they need
+    await prisma.product.update({ where: { id: shawl.id }, data: { currentQuantity: { increment: 10 } } });
+    const first = await createConfirmedOrder(3);
+    const second = await createConfirmedOrder(3);
+
+    const dispatch = (order) => request(app)
+      .post(`/api/order/${order.id}/dispatch`)
+      .send({ locationId: godown.id });
+    const results = await Promise.all([dispatch(first), dispatch(second)]);
+    expect(results.map(res => res.status).sort()).toEqual([200, 400]);
+
+    const godownNow = await locationService.getLocation(godown.id, testTenant.id);
+    expect(await quantityAt(godownNow, shawl)).toBe(1);
+    const statuses = (await prisma.order.findMany({ where: { id: { in: [first.id, second.id] } } })).map(order => order.status).sort();
+    expect(statuses).toEqual(['CONFIRMED', 'DISPATCHED']);
+  });
+});
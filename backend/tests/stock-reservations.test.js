@@ -0,0 +1,176 @@
+/**
+ * Stock reservation tests: PENDING orders from the public form hold their stock, holds are
+ * released on cancel and expiry, and confirmed orders (already deducted from currentQuantity)
+ * are not counted against stock a second time.
+ *
+ * Run with: npm test -- stock-reservations.test.js
+ */
+const { describe, test, expect, beforeAll, afterAll } = require('@jest/globals');
+const request = require('supertest');
+const prisma = require('../lib/db');
+const reservationService = require('../services/reservationService');
+const stockValidationService = require('../services/stockValidationService');
+const {
+  createTestTenant,
+  setTestAuth,
+  cleanupTestData,
+  createTestAppWithOrderAndReturns
+} = require('./helpers/testHelpers');
+
+const app = createTestAppWithOrderAndReturns();
+
+let testTenant;
+let testForm;
+let shawl;
+let kurta;
+let kurtaRed;
+
+function submitOrder(product, quantity, variant = null) {
+  const key = variant ? `${product.id}_${variant.id}` : product.id;
+  return request(app)
+    .post('/api/order/submit')
+    .send({
+      formLink: testForm.formLink,
+      formData: { 'Customer Name': 'Reservation Customer', 'Mobile Number': '03001234567' },
+      selectedProducts: JSON.stringify([
+        { id: product.id, name: product.name, quantity, price: 1000, ...(variant && { variantId: variant.id, color: variant.color }) }
+      ]),
+      productQuantities: JSON.stringify({ [key]: quantity }),
+      productPrices: JSON.stringify({ [key]: 1000 })
+    });
+}
+
+describe('Stock reservations', () => {
+  beforeAll(async () => {
+    const { user, tenant } = await createTestTenant();
+    testTenant = tenant;
+    setTestAuth(user, tenant);
+
+    await prisma.tenant.update({ where: { id: tenant.id }, data: { stockReservationHours: 6 } });
+
+    testForm = await prisma.form.create({
+      data: {
+        name: 'Reservation Test Form',
+        formCategory: 'SHOPPING_CART',
+        tenantId: tenant.id,
+        formLink: `reservation-form-${Date.now()}`,
+        isPublished: true
+      }
+    });
+
+    shawl = await prisma.product.create({
+      data: { name: 'Reserved Shawl', tenantId: tenant.id, currentRetailPrice: 1000, currentQuantity: 3 }
+    });
+    kurta = await prisma.product.create({
+      data: { name: 'Reserved Kurta', tenantId: tenant.id, currentRetailPrice: 1000, hasVariants: true }
+    });
+    kurtaRed = await prisma.productVariant.create({
+      data: { productId: kurta.id, color: 'Red', size: 'M', currentQuantity: 2 }
+    });
+  });
+
+  afterAll(async () => {
+    if (testTenant) {
+      await cleanupTestData(testTenant.id);
+    }
+  });
+
+  test('1. A pending order holds its stock for the tenant window', async () => {
+    const res = await submitOrder(shawl, 3);
+    expect(res.status).toBe(201);
+
+    const holds = await prisma.stockReservation.findMany({ where: { orderId: res.body.order.id } });
+    expect(holds).toHaveLength(1);
+    expect(holds[0].quantity).toBe(3);
+    const hoursHeld = (holds[0].expiresAt.getTime() - Date.now()) / (60 * 60 * 1000);
+    expect(hoursHeld).toBeGreaterThan(5.9);
+    expect(hoursHeld).toBeLessThanOrEqual(6);
+
+    const second = await submitOrder(shawl, 1);
+    expect(second.status).toBe(400);
+    expect(second.body.error).toBe('Insufficient stock available');
+    expect(second.body.details[0].availableStock).toBe(0);
+
+    const [withAvailability] = await reservationService.withAvailability(testTenant.id, [shawl]);
+    expect(withAvailability.reservedQuantity).toBe(3);
+    expect(withAvailability.availableQuantity).toBe(0);
+  });
+
+  test('2. Cancelling a pending order releases its hold', async () => {
+    const pending = await prisma.order.findFirst({
+      where: { tenantId: testTenant.id, status: 'PENDING', orderItems: { some: { productId: shawl.id } } }
+    });
+
+    const res = await request(app)
+      .put(`/api/order/${pending.id}/status`)
+      .send({ status: 'CANCELLED' });
+    expect(res.status).toBe(200);
+
+    const hold = await prisma.stockReservation.findFirst({ where: { orderId: pending.id } });
+    expect(hold.releasedAt).not.toBeNull();
+    expect(hold.releaseReason).toBe('CANCELLED');
+
+    const retry = await submitOrder(shawl, 2);
+    expect(retry.status).toBe(201);
+  });
+
+  test('3. Variant holds expire after the window', async () => {
+    const res = await submitOrder(kurta, 2, kurtaRed);
+    expect(res.status).toBe(201);
+
+    let reserved = await reservationService.getReservedQuantities(testTenant.id);
+    expect(reserved.variants[kurtaRed.id]).toBe(2);
+    expect((await submitOrder(kurta, 1, kurtaRed)).status).toBe(400);
+
+    await prisma.stockReservation.updateMany({
+      where: { orderId: res.body.order.id },
+      data: { expiresAt: new Date(Date.now() - 60 * 1000) }
+    });
+
+    reserved = await reservationService.getReservedQuantities(testTenant.id);
+    expect(reserved.variants[kurtaRed.id]).toBeUndefined();
+
+    const hold = await prisma.stockReservation.findFirst({ where: { orderId: res.body.order.id } });
+    expect(hold.releaseReason).toBe('EXPIRED');
+    expect((await submitOrder(kurta, 1, kurtaRed)).status).toBe(201);
+  });
+
+  test('4. Confirmed orders are not counted against stock twice', async () => {
+    // Confirmation already took these two units off currentQuantity
+    const scarf = await prisma.product.create({
+      data: { name: 'Confirmed Scarf', tenantId: testTenant.id, currentRetailPrice: 500, currentQuantity: 2 }
+    });
+    await prisma.order.create({
+      data: {
+        orderNumber: `RES-${Date.now()}`,
+        formId: testForm.id,
+        tenantId: testTenant.id,
+        formData: '{}',
+        status: 'CONFIRMED',
+        orderItems: { create: [{ productId: scarf.id, productName: scarf.name, quantity: 2, price: 500 }] }
+      }
+    });
+
+    const result = await stockValidationService.validateStockAvailability(
+      testTenant.id,
+      [{ id: scarf.id, name: scarf.name }],
+      { [scarf.id]: 2 }
+    );
+    expect(result.isValid).toBe(true);
+  });
+
+  test('5. Two orders racing for the last units reserve them once', async () => {
+    const scarf = await prisma.product.create({
+      data: { name: 'Last Scarf', tenantId: testTenant.id, currentRetailPrice: 1000, currentQuantity: 2 }
+    });
+
+    const results = await Promise.all([submitOrder(scarf, 2), submitOrder(scarf, 2)]);
+    expect(results.map(res => res.status).sort()).toEqual([201, 400]);
+
+    const held = await prisma.stockReservation.aggregate({
+      where: { productId: scarf.id, releasedAt: null },
+      _sum: { quantity: true }
+    });
+    expect(held._sum.quantity).toBe(2);
+  });
+});
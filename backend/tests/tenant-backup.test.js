@@ -0,0 +1,182 @@
+/**
+ * Tenant backup tests: the owner downloads a zip archive of the business and restores it into
+ * an empty business, with every row given a new ID and all references (including product IDs
+ * inside order JSON) pointing at the restored rows. Non-empty businesses and clashing order
+ * numbers are refused.
+ *
+ * Run with: npm test -- tenant-backup.test.js
+ */
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret-key';
+
+const { describe, test, expect, beforeAll, afterAll } = require('@jest/globals');
+const express = require('express');
+const request = require('supertest');
+const AdmZip = require('adm-zip');
+const prisma = require('../lib/db');
+const {
+  createTestTenant,
+  generateTestToken,
+  cleanupTestData
+} = require('./helpers/testHelpers');
+
+const app = express();
+app.use(express.json());
+app.use('/api/tenant', require('../routes/tenant'));
+
+const IMAGE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 1, 2, 3, 4]);
+
+let sourceTenant;
+let targetTenant;
+let busyTenant;
+let sourceToken;
+let targetToken;
+let busyToken;
+let archive;
+let sourceProduct;
+let sourceOrder;
+
+describe('Tenant backup and restore', () => {
+  beforeAll(async () => {
+    const source = await createTestTenant();
+    sourceTenant = source.tenant;
+    sourceToken = generateTestToken(source.user, source.tenant);
+
+    const target = await createTestTenant();
+    targetTenant = target.tenant;
+    targetToken = generateTestToken(target.user, target.tenant);
+
+    const busy = await createTestTenant();
+    busyTenant = busy.tenant;
+    busyToken = generateTestToken(busy.user, busy.tenant);
+    await prisma.customer.create({
+      data: { name: 'Existing Customer', phoneNumber: `0399${Date.now().toString().slice(-7)}`, tenantId: busyTenant.id }
+    });
+
+    sourceProduct = await prisma.product.create({
+      data: {
+        name: 'Backup Kurta',
+        tenantId: sourceTenant.id,
+        currentRetailPrice: 2500,
+        currentQuantity: 8,
+        imageData: IMAGE,
+        imageType: 'image/png',
+        variants: {
+          create: [{ color: 'Blue', size: 'M', sku: `BK-${Date.now()}`, currentQuantity: 8 }]
+        }
+      },
+      include: { variants: true }
+    });
+    const customer = await prisma.customer.create({
+      data: { name: 'Backup Customer', phoneNumber: `0300${Date.now().toString().slice(-7)}`, tenantId: sourceTenant.id }
+    });
+    const form = await prisma.form.create({
+      data: { name: 'Backup Form', tenantId: sourceTenant.id, formLink: `backup-form-${Date.now()}`, isPublished: true }
+    });
+    sourceOrder = await prisma.order.create({
+      data: {
+        orderNumber: `BACKUP-${Date.now()}`,
+        formId: form.id,
+        tenantId: sourceTenant.id,
+        customerId: customer.id,
+        status: 'CONFIRMED',
+        formData: JSON.stringify({ 'Customer Name': 'Backup Customer' }),
+        selectedProducts: JSON.stringify([{ id: sourceProduct.id, name: 'Backup Kurta' }]),
+        productQuantities: JSON.stringify({ [sourceProduct.id]: 2 }),
+        orderItems: {
+          create: [{
+            productId: sourceProduct.id,
+            productVariantId: sourceProduct.variants[0].id,
+            productName: 'Backup Kurta',
+            quantity: 2,
+            price: 2500
+          }]
+        }
+      }
+    });
+    await prisma.tenant.update({ where: { id: sourceTenant.id }, data: { stockReservationHours: 48 } });
+  });
+
+  afterAll(async () => {
+    for (const tenant of [sourceTenant, targetTenant, busyTenant]) {
+      if (tenant) {
+        await cleanupTestData(tenant.id);
+      }
+    }
+  });
+
+  test('1. Owner downloads a versioned archive with data and images', async () => {
+    const response = await request(app)
+      .get('/api/tenant/owner/backup')
+      .set('Authorization', `Bearer ${sourceToken}`)
+      .responseType('blob');
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toBe('application/zip');
+    archive = response.body;
+
+    const zip = new AdmZip(archive);
+    const manifest = JSON.parse(zip.getEntry('manifest.json').getData().toString());
+    expect(manifest).toMatchObject({ format: 'tenant-backup', version: 1 });
+    expect(manifest.counts).toMatchObject({ product: 1, productVariant: 1, order: 1, orderItem: 1, customer: 1 });
+    expect(zip.getEntry(`media/product/${sourceProduct.id}-imageData.bin`).getData()).toEqual(IMAGE);
+  });
+
+  test('2. Restores are refused into businesses with data or when order numbers clash', async () => {
+    const busy = await request(app)
+      .post('/api/tenant/owner/restore')
+      .set('Authorization', `Bearer ${busyToken}`)
+      .attach('file', archive, 'backup.zip');
+    expect(busy.status).toBe(400);
+    expect(busy.body.error).toContain('customers');
+
+    // The source business still holds the same order number on this server
+    const clash = await request(app)
+      .post('/api/tenant/owner/restore')
+      .set('Authorization', `Bearer ${targetToken}`)
+      .attach('file', archive, 'backup.zip');
+    expect(clash.status).toBe(400);
+    expect(clash.body.error).toContain('order number');
+
+    const invalid = await request(app)
+      .post('/api/tenant/owner/restore')
+      .set('Authorization', `Bearer ${targetToken}`)
+      .attach('file', Buffer.from('not a zip'), 'backup.zip');
+    expect(invalid.status).toBe(400);
+
+    expect(await prisma.product.count({ where: { tenantId: targetTenant.id } })).toBe(0);
+  });
+
+  test('3. Restoring into an empty business recreates the data with new IDs', async () => {
+    await cleanupTestData(sourceTenant.id);
+    sourceTenant = null;
+
+    const response = await request(app)
+      .post('/api/tenant/owner/restore')
+      .set('Authorization', `Bearer ${targetToken}`)
+      .attach('file', archive, 'backup.zip');
+    expect(response.status).toBe(200);
+    expect(response.body.counts).toMatchObject({ product: 1, order: 1 });
+
+    const product = await prisma.product.findFirst({
+      where: { tenantId: targetTenant.id },
+      include: { variants: true }
+    });
+    expect(product.id).not.toBe(sourceProduct.id);
+    expect(Buffer.from(product.imageData)).toEqual(IMAGE);
+    expect(product.variants).toHaveLength(1);
+
+    const order = await prisma.order.findFirst({
+      where: { tenantId: targetTenant.id, orderNumber: sourceOrder.orderNumber },
+      include: { orderItems: true, customer: true, form: true }
+    });
+    expect(order.customer.tenantId).toBe(targetTenant.id);
+    expect(order.form.tenantId).toBe(targetTenant.id);
+    expect(order.businessOwnerId).toBe(targetTenant.ownerId);
+    expect(order.orderItems[0]).toMatchObject({ productId: product.id, productVariantId: product.variants[0].id });
+    expect(JSON.parse(order.selectedProducts)[0].id).toBe(product.id);
+    expect(JSON.parse(order.productQuantities)).toEqual({ [product.id]: 2 });
+
+    const tenant = await prisma.tenant.findUnique({ where: { id: targetTenant.id } });
+    expect(tenant.stockReservationHours).toBe(48);
+  });
+});
@@ -0,0 +1,196 @@
+/**
+ * Minimal CSV helpers for settlement/statement imports and report exports.
+ * Handles quoted fields, escaped quotes ("") , CRLF line endings and a UTF-8 BOM.
+ */
+
+/**
+ * Parse CSV text into rows of cells
+ * @param {string} text - CSV content
+ * @returns {Array<Array<string>>} Rows (blank lines skipped)
+ */
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const input = String(text || '').replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (input[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+/**
+ * Normalise a header for alias lookup ("COD Amount (Rs.)" → "codamountrs")
+ * @param {string} header - Column header
+ * @returns {string}
+ */
+function normalizeHeader(header) {
+  return String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Parse CSV text into objects keyed by normalised header
+ * @param {string} text - CSV content (first row is the header)
+ * @returns {Object} { headers, rows } where rows are { [normalizedHeader]: value, _line }
+ */
+function parseCsv(text) {
+  const [headerRow, ...dataRows] = parseCsvRows(text);
+  if (!headerRow) {
+    return { headers: [], rows: [] };
+  }
+
+  const headers = headerRow.map(normalizeHeader);
+  const rows = dataRows.map((cells, index) => {
+    const row = { _line: index + 2 };
+    headers.forEach((header, col) => {
+      if (header) {
+        row[header] = (cells[col] || '').trim();
+      }
+    });
+    return row;
+  });
+
+  return { headers, rows };
+}
+
+/**
+ * Pick the first non-empty value from a row among several header aliases
+ * @param {Object} row - Row from parseCsv
+ * @param {Array<string>} aliases - Normalised header aliases
+ * @returns {string|undefined}
+ */
+function pickField(row, aliases) {
+  for (const alias of aliases) {
+    if (row[alias] !== undefined && row[alias] !== '') {
+      return row[alias];
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Parse an amount cell ("Rs. 1,250.00", "(300)") into a number
+ * @param {string} value - Cell value
+ * @returns {number|null} Parsed amount, null when empty or invalid
+ */
+function parseAmount(value) {
+  if (value === undefined || value === null || String(value).trim() === '') {
+    return null;
+  }
+  const text = String(value).trim().replace(/,/g, '');
+  const negative = /^\(.*\)$/.test(text) || /^[^\d]*-/.test(text);
+  const match = text.match(/\d+(\.\d+)?/);
+  if (!match) {
+    return null;
+  }
+  const amount = parseFloat(match[0]);
+  return negative ? -amount : amount;
+}
+
+/**
+ * Parse a date cell. Accepts ISO (2026-05-31), day-first local formats (31/05/2026, 31-05-26)
+ * and anything Date can read ("31 May 2026")
+ * @param {string} value - Cell value
+ * @returns {Date|null} Date at local midnight, null when empty or invalid
+ */
+function parseDateCell(value) {
+  const text = String(value || '').trim();
+  if (!text) {
+    return null;
+  }
+
+  let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  if (match) {
+    return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  }
+
+  match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})$/);
+  if (match) {
+    const year = match[3].length === 2 ? 2000 + Number(match[3]) : Number(match[3]);
+    const date = new Date(year, Number(match[2]) - 1, Number(match[1]));
+    return date.getMonth() === Number(match[2]) - 1 ? date : null;
+  }
+
+  const parsed = new Date(text);
+  if (isNaN(parsed.getTime())) {
+    return null;
+  }
+  return new Date(parsed.getFullYear(), parsed.getMonth(), parsed.getDate());
+}
+
+/**
+ * Escape a value for CSV output
+ * @param {*} value - Cell value
+ * @returns {string}
+ */
+function escapeCsvValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build CSV text from objects
+ * @param {Array<Object>} rows - Data rows
+ * @param {Array<{key: string, label: string}>} columns - Column definitions
+ * @returns {string}
+ */
+function toCsv(rows, columns) {
+  const lines = [columns.map(column => escapeCsvValue(column.label)).join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(column => escapeCsvValue(row[column.key])).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  parseCsvRows,
+  parseCsv,
+  normalizeHeader,
+  pickField,
+  parseAmount,
+  parseDateCell,
+  escapeCsvValue,
+  toCsv
+};
@@ -0,0 +1,275 @@
+// Form field types, show/hide conditions and answer validation.
+// Mirrored in frontend/src/utils/formFieldRules.js - keep the two in sync.
+
+const { isPakistanCity } = require('../data/pakistanCities');
+
+const FORM_FIELD_TYPES = [
+  'TEXT',
+  'EMAIL',
+  'PHONE',
+  'ADDRESS',
+  'CITY',
+  'FILE_UPLOAD',
+  'AMOUNT',
+  'NUMBER',
+  'DATE',
+  'TEXTAREA',
+  'DROPDOWN',
+  'RADIO',
+  'CHECKBOX',
+  'PRODUCT_SELECTOR'
+];
+
+const CONDITION_OPERATORS = ['EQUALS', 'NOT_EQUALS', 'CONTAINS', 'IS_FILLED', 'IS_EMPTY'];
+
+// Fields whose answers come from a fixed option list
+const OPTION_FIELD_TYPES = ['DROPDOWN', 'RADIO', 'CHECKBOX'];
+
+// min/max mean a numeric range for these types...
+const NUMERIC_FIELD_TYPES = ['NUMBER', 'AMOUNT'];
+// ...an answer length for these...
+const LENGTH_FIELD_TYPES = ['TEXT', 'TEXTAREA', 'ADDRESS'];
+// ...and a date range (YYYY-MM-DD) for DATE
+
+// Free-text answers that can be checked against a regex
+const PATTERN_FIELD_TYPES = ['TEXT', 'TEXTAREA', 'ADDRESS', 'PHONE', 'EMAIL', 'CITY'];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const parseJSON = (value) => {
+  if (!value) return null;
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return null;
+  }
+};
+
+const getOptions = (field) => {
+  const options = parseJSON(field.options);
+  return Array.isArray(options) ? options.map(option => String(option)) : [];
+};
+
+const isEmptyValue = (value) => {
+  if (value === undefined || value === null || value === false) return true;
+  if (Array.isArray(value)) return value.length === 0;
+  return String(value).trim() === '';
+};
+
+// Checkbox groups submit arrays; everything else is compared as a single answer
+const toAnswerList = (value) => {
+  if (isEmptyValue(value)) return [];
+  const values = Array.isArray(value) ? value : [value];
+  return values.map(entry => String(entry).trim().toLowerCase());
+};
+
+const isValidDate = (value) => {
+  if (!DATE_PATTERN.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+};
+
+/**
+ * Whether a field is shown for the given answers. A field whose condition points at a
+ * hidden field is hidden too.
+ * @param {Object} field - Form field (showIf may be a JSON string)
+ * @param {Object} formData - Answers keyed by field label
+ * @param {Array} fields - All fields of the form
+ * @returns {boolean}
+ */
+function isFieldShown(field, formData, fields, seen = new Set()) {
+  const condition = parseJSON(field.showIf);
+  if (!condition || !condition.field) return true;
+
+  const source = fields.find(entry => entry.label === condition.field);
+  if (!source || seen.has(source.label)) return true;
+  seen.add(field.label);
+  if (!isFieldShown(source, formData, fields, seen)) return false;
+
+  const answers = toAnswerList(formData[condition.field]);
+  const target = String(condition.value ?? '').trim().toLowerCase();
+
+  switch (condition.operator) {
+    case 'EQUALS':
+      return answers.includes(target);
+    case 'NOT_EQUALS':
+      return !answers.includes(target);
+    case 'CONTAINS':
+      return answers.some(answer => answer.includes(target));
+    case 'IS_FILLED':
+      return answers.length > 0;
+    case 'IS_EMPTY':
+      return answers.length === 0;
+    default:
+      return true;
+  }
+}
+
+/**
+ * Check a non-empty answer against the field's type and validation rules
+ * @param {Object} field - Form field (options and validation may be JSON strings)
+ * @param {*} value - Submitted answer
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateFieldValue(field, value) {
+  const rules = parseJSON(field.validation) || {};
+  const hasMin = rules.min !== undefined && rules.min !== null && rules.min !== '';
+  const hasMax = rules.max !== undefined && rules.max !== null && rules.max !== '';
+  const label = field.label;
+
+  if (NUMERIC_FIELD_TYPES.includes(field.fieldType)) {
+    const number = Number(value);
+    if (isNaN(number)) return `${label} must be a number`;
+    if (hasMin && number < Number(rules.min)) return `${label} must be at least ${rules.min}`;
+    if (hasMax && number > Number(rules.max)) return `${label} must be at most ${rules.max}`;
+  } else if (field.fieldType === 'DATE') {
+    const date = String(value);
+    if (!isValidDate(date)) return `${label} must be a valid date`;
+    if (hasMin && date < rules.min) return `${label} must be on or after ${rules.min}`;
+    if (hasMax && date > rules.max) return `${label} must be on or before ${rules.max}`;
+  } else if (LENGTH_FIELD_TYPES.includes(field.fieldType)) {
+    const length = String(value).trim().length;
+    if (hasMin && length < Number(rules.min)) return `${label} must be at least ${rules.min} characters`;
+    if (hasMax && length > Number(rules.max)) return `${label} must be at most ${rules.max} characters`;
+  }
+
+  if (field.fieldType === 'CITY' && !isPakistanCity(value)) {
+    return `${label} must be a city from the list`;
+  }
+
+  if (OPTION_FIELD_TYPES.includes(field.fieldType)) {
+    const options = getOptions(field);
+    // A checkbox without options is a single yes/no tick box
+    if (options.length > 0) {
+      const answers = Array.isArray(value) ? value : [value];
+      if (field.fieldType !== 'CHECKBOX' && answers.length > 1) return `Choose one option for ${label}`;
+      if (answers.some(answer => !options.includes(String(answer)))) return `${label} has an invalid choice`;
+    }
+  }
+
+  if (rules.pattern && PATTERN_FIELD_TYPES.includes(field.fieldType)) {
+    if (!new RegExp(rules.pattern).test(String(value).trim())) {
+      return rules.message || `${label} is not in the expected format`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Validate a public form submission
+ * @param {Array} fields - Form fields
+ * @param {Object} formData - Answers keyed by field label
+ * @param {Object} uploads - { images } uploaded with the order
+ * @returns {Object} { missingFields, invalidFields: [{ field, message }], hiddenFields }
+ */
+function validateSubmission(fields, formData, { images } = {}) {
+  const missingFields = [];
+  const invalidFields = [];
+  const hiddenFields = [];
+
+  fields.forEach(field => {
+    if (!isFieldShown(field, formData, fields)) {
+      hiddenFields.push(field.label);
+      return;
+    }
+
+    if (field.fieldType === 'FILE_UPLOAD') {
+      // Image uploads arrive in `images`; receipt uploads are optional or handled separately
+      const label = field.label.toLowerCase();
+      if (field.isRequired && (label.includes('image') || label.includes('dress')) && (!images || images.length === 0)) {
+        missingFields.push(field.label);
+      }
+      return;
+    }
+    if (field.fieldType === 'PRODUCT_SELECTOR') return;
+
+    const value = formData[field.label];
+    if (isEmptyValue(value)) {
+      if (field.isRequired) missingFields.push(field.label);
+      return;
+    }
+
+    const message = validateFieldValue(field, value);
+    if (message) invalidFields.push({ field: field.label, message });
+  });
+
+  return { missingFields, invalidFields, hiddenFields };
+}
+
+/**
+ * Validate the builder's rules for a field and serialise them for storage
+ * @param {Object} field - Field from the form builder
+ * @param {Array} fields - All fields being saved
+ * @returns {Object} { validation, showIf } as JSON strings or null
+ */
+function buildFieldRules(field, fields) {
+  let validation = null;
+  const rules = parseJSON(field.validation);
+  if (rules) {
+    const cleaned = {};
+    const isDate = field.fieldType === 'DATE';
+    ['min', 'max'].forEach(key => {
+      const raw = rules[key];
+      if (raw === undefined || raw === null || raw === '') return;
+      if (isDate) {
+        if (!isValidDate(String(raw))) throw new Error(`${field.label}: ${key} must be a date (YYYY-MM-DD)`);
+        cleaned[key] = String(raw);
+      } else {
+        const number = Number(raw);
+        if (isNaN(number)) throw new Error(`${field.label}: ${key} must be a number`);
+        cleaned[key] = number;
+      }
+    });
+    if (cleaned.min !== undefined && cleaned.max !== undefined && cleaned.min > cleaned.max) {
+      throw new Error(`${field.label}: min cannot be greater than max`);
+    }
+    if (rules.pattern) {
+      try {
+        new RegExp(rules.pattern);
+      } catch (error) {
+        throw new Error(`${field.label}: pattern is not a valid regular expression`);
+      }
+      cleaned.pattern = String(rules.pattern);
+      if (rules.message) cleaned.message = String(rules.message).trim();
+    }
+    if (Object.keys(cleaned).length > 0) validation = JSON.stringify(cleaned);
+  }
+
+  let showIf = null;
+  const condition = parseJSON(field.showIf);
+  if (condition && condition.field) {
+    if (condition.field === field.label) {
+      throw new Error(`${field.label}: a field cannot depend on itself`);
+    }
+    if (!fields.some(entry => entry.label === condition.field)) {
+      throw new Error(`${field.label}: show condition refers to unknown field "${condition.field}"`);
+    }
+    const operator = condition.operator || 'EQUALS';
+    if (!CONDITION_OPERATORS.includes(operator)) {
+      throw new Error(`${field.label}: unknown condition "${operator}"`);
+    }
+    const needsValue = ['EQUALS', 'NOT_EQUALS', 'CONTAINS'].includes(operator);
+    if (needsValue && isEmptyValue(condition.value)) {
+      throw new Error(`${field.label}: enter the value to compare against`);
+    }
+    showIf = JSON.stringify({
+      field: condition.field,
+      operator,
+      ...(needsValue && { value: String(condition.value).trim() })
+    });
+  }
+
+  return { validation, showIf };
+}
+
+module.exports = {
+  FORM_FIELD_TYPES,
+  CONDITION_OPERATORS,
+  OPTION_FIELD_TYPES,
+  isFieldShown,
+  validateFieldValue,
+  validateSubmission,
+  buildFieldRules
+};
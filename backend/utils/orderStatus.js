@@ -0,0 +1,81 @@
+/**
+ * Order status lifecycle
+ *
+ * PENDING → CONFIRMED → DISPATCHED → IN_TRANSIT → DELIVERED → COMPLETED
+ * A parcel the courier could not hand over moves to FAILED_DELIVERY, from where it is
+ * re-attempted (IN_TRANSIT / DELIVERED) or sent back to us (RETURNED_TO_ORIGIN).
+ */
+
+const ORDER_STATUSES = [
+  'PENDING',
+  'CONFIRMED',
+  'DISPATCHED',
+  'IN_TRANSIT',
+  'DELIVERED',
+  'FAILED_DELIVERY',
+  'RETURNED_TO_ORIGIN',
+  'COMPLETED',
+  'CANCELLED'
+];
+
+// Statuses reachable from each status through PUT /api/order/:id/status
+const ALLOWED_STATUS_TRANSITIONS = {
+  PENDING: ['CONFIRMED', 'CANCELLED'],
+  CONFIRMED: ['DISPATCHED', 'CANCELLED'],
+  DISPATCHED: ['IN_TRANSIT', 'DELIVERED', 'FAILED_DELIVERY', 'RETURNED_TO_ORIGIN', 'COMPLETED'],
+  IN_TRANSIT: ['DELIVERED', 'FAILED_DELIVERY', 'RETURNED_TO_ORIGIN'],
+  FAILED_DELIVERY: ['IN_TRANSIT', 'DELIVERED', 'RETURNED_TO_ORIGIN'],
+  DELIVERED: ['COMPLETED'],
+  RETURNED_TO_ORIGIN: [],
+  COMPLETED: [],
+  CANCELLED: []
+};
+
+// Orders in these statuses have had stock deducted and revenue booked on confirmation.
+// RETURNED_TO_ORIGIN is excluded because RTO restocks the items and reverses the revenue.
+const CONFIRMED_ORDER_STATUSES = [
+  'CONFIRMED',
+  'DISPATCHED',
+  'IN_TRANSIT',
+  'DELIVERED',
+  'FAILED_DELIVERY',
+  'COMPLETED'
+];
+
+// Orders that have been handed over to a logistics company
+const SHIPPED_ORDER_STATUSES = [
+  'DISPATCHED',
+  'IN_TRANSIT',
+  'DELIVERED',
+  'FAILED_DELIVERY',
+  'RETURNED_TO_ORIGIN',
+  'COMPLETED'
+];
+
+/**
+ * Get the statuses an order can move to from its current status
+ * @param {string} fromStatus - Current order status
+ * @returns {Array<string>}
+ */
+function getAllowedTransitions(fromStatus) {
+  return ALLOWED_STATUS_TRANSITIONS[fromStatus] || [];
+}
+
+/**
+ * Check whether an order may move from one status to another
+ * @param {string} fromStatus - Current order status
+ * @param {string} toStatus - Requested order status
+ * @returns {boolean}
+ */
+function canTransition(fromStatus, toStatus) {
+  return getAllowedTransitions(fromStatus).includes(toStatus);
+}
+
+module.exports = {
+  ORDER_STATUSES,
+  ALLOWED_STATUS_TRANSITIONS,
+  CONFIRMED_ORDER_STATUSES,
+  SHIPPED_ORDER_STATUSES,
+  getAllowedTransitions,
+  canTransition
+};
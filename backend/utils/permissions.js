@@ -0,0 +1,86 @@
+/**
+ * Staff permissions
+ *
+ * Business owners can do everything inside their tenant. Staff members (role STAFF)
+ * belong to one tenant through TenantMember and only get the permissions granted there.
+ */
+
+const PERMISSIONS = {
+  'orders:view': 'View orders',
+  'orders:edit': 'Edit orders and verify payments',
+  'orders:confirm': 'Confirm orders',
+  'orders:dispatch': 'Book shipments, dispatch and update delivery status',
+  'customers:view': 'View customers',
+  'customers:edit': 'Create and edit customers',
+  'products:view': 'View products',
+  'products:edit': 'Create and edit products',
+  'stock:count': 'Enter quantities in stock counts',
+  'stock:approve': 'Approve stock counts and post variances',
+  'purchases:view': 'View purchases and suppliers',
+  'purchases:edit': 'Create and edit purchases and suppliers',
+  'returns:edit': 'Create and process returns',
+  'forms:edit': 'Create and edit order forms',
+  'promotions:edit': 'Create and edit discount codes',
+  'accounting:view': 'View accounting and reports',
+  'accounting:edit': 'Record payments, expenses and journal entries',
+  'audit:view': 'View the audit log'
+};
+
+const ALL_PERMISSIONS = Object.keys(PERMISSIONS);
+
+// Starting points offered when inviting staff; the owner can adjust them per member
+const PERMISSION_PRESETS = {
+  ORDER_TAKER: ['orders:view', 'orders:edit', 'orders:confirm', 'customers:view', 'customers:edit', 'products:view'],
+  PACKER: ['orders:view', 'orders:dispatch', 'products:view', 'stock:count'],
+  ACCOUNTANT: [
+    'orders:view',
+    'customers:view',
+    'products:view',
+    'purchases:view',
+    'purchases:edit',
+    'returns:edit',
+    'accounting:view',
+    'accounting:edit'
+  ]
+};
+
+/**
+ * Whether the user works inside a single tenant (owner or staff) rather than platform-wide
+ * @param {Object} user - Authenticated user
+ * @returns {boolean}
+ */
+function isTenantUser(user) {
+  return !!user && (user.role === 'BUSINESS_OWNER' || user.role === 'STAFF');
+}
+
+/**
+ * Check whether a user holds a permission
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {string} permission - Permission key, e.g. 'orders:confirm'
+ * @returns {boolean}
+ */
+function hasPermission(user, permission) {
+  if (!user) return false;
+  if (user.role === 'BUSINESS_OWNER') return true;
+  if (user.role !== 'STAFF') return false;
+  return Array.isArray(user.permissions) && user.permissions.includes(permission);
+}
+
+/**
+ * Drop unknown and duplicate permission keys
+ * @param {Array<string>} permissions - Requested permissions
+ * @returns {Array<string>}
+ */
+function sanitizePermissions(permissions) {
+  if (!Array.isArray(permissions)) return [];
+  return [...new Set(permissions.filter(permission => ALL_PERMISSIONS.includes(permission)))];
+}
+
+module.exports = {
+  PERMISSIONS,
+  ALL_PERMISSIONS,
+  PERMISSION_PRESETS,
+  isTenantUser,
+  hasPermission,
+  sanitizePermissions
+};
@@ -195,7 +195,8 @@ function generateOrderConfirmationMessage(order, tenant) {
     }
 
     const shippingCharges = parseFloat(order.shippingCharges || 0);
-    const orderTotal = productsTotal + shippingCharges;
+    const discountAmount = parseFloat(order.discountAmount || 0);
+    const orderTotal = productsTotal - discountAmount + shippingCharges;
 
     // Build concise, to-the-point message
     let message = `✅ Order #${order.orderNumber} Confirmed\n\n`;
@@ -279,7 +280,8 @@ function generateOrderSubmissionMessage(order, tenant, baseUrl = null) {
     }
 
     const shippingCharges = parseFloat(order.shippingCharges || 0);
-    const orderTotal = productsTotal + shippingCharges;
+    const discountAmount = parseFloat(order.discountAmount || 0);
+    const orderTotal = productsTotal - discountAmount + shippingCharges;
 
     // Build concise, to-the-point message for business owner
     let message = `🆕 *New Order Received*\n\n`;
@@ -307,6 +309,9 @@ function generateOrderSubmissionMessage(order, tenant, baseUrl = null) {
     if (shippingCharges > 0) {
       message += `(Shipping: Rs. ${shippingCharges.toLocaleString()})\n`;
     }
+    if (discountAmount > 0) {
+      message += `(Discount ${order.promotionCode || ''}: -Rs. ${discountAmount.toLocaleString()})\n`;
+    }
     
     // Add order view link if baseUrl is provided
     if (baseUrl && order.id) {
@@ -324,12 +329,43 @@ function generateOrderSubmissionMessage(order, tenant, baseUrl = null) {
   }
 }
 
+/**
+ * Generate order dispatch message with courier tracking details
+ * @param {Object} order - Order object (with trackingNumber / consignmentNumber)
+ * @param {Object} logisticsCompany - Logistics company the parcel was handed to
+ * @param {String} trackingUrl - Optional public tracking URL
+ * @returns {String} - Formatted message
+ */
+function generateOrderDispatchMessage(order, logisticsCompany = null, trackingUrl = null) {
+  let message = `🚚 Order #${order.orderNumber} Dispatched\n\n`;
+
+  if (logisticsCompany?.name) {
+    message += `Courier: ${logisticsCompany.name}\n`;
+  }
+  if (order.trackingNumber) {
+    message += `Tracking No: ${order.trackingNumber}\n`;
+  }
+  if (order.consignmentNumber && order.consignmentNumber !== order.trackingNumber) {
+    message += `CN: ${order.consignmentNumber}\n`;
+  }
+  if (trackingUrl) {
+    message += `Track: ${trackingUrl}\n`;
+  }
+  if (order.codAmount && order.codAmount > 0) {
+    message += `\nPlease keep Rs. ${order.codAmount.toLocaleString()} ready for the rider.`;
+  }
+  message += `\n\nThank you!`;
+
+  return message;
+}
+
 module.exports = {
   getCustomerPhone,
   normalizePhoneNumber,
   generateWhatsAppUrl,
   generateOrderConfirmationMessage,
-  generateOrderSubmissionMessage
+  generateOrderSubmissionMessage,
+  generateOrderDispatchMessage
 };
 
 
@@ -51,8 +51,18 @@ import {
   LazyAccountingReturnsPage,
   LazyAccountingSettingsPage,
   LazyAccountLedgerPage,
+  LazyFinancialStatementsPage,
+  LazyBankReconciliationPage,
+  LazyReorderSuggestionsPage,
+  LazyPromotionsPage,
+  LazyStockLocationsPage,
+  LazyStockCountsPage,
+  LazyStockCountPage,
   LazySupplierLedgerPage,
-  LazyCustomerLedgerPage
+  LazyCustomerLedgerPage,
+  LazyCustomerSegmentsPage,
+  LazyCustomerDuplicatesPage,
+  LazyAuditLogPage
 } from './components/LazyComponents'
 
 // Synchronous components
@@ -97,7 +107,7 @@ function App() {
               } />
 
               <Route path="/business" element={
-                <ProtectedRoute allowedRoles={['BUSINESS_OWNER']}>
+                <ProtectedRoute allowedRoles={['BUSINESS_OWNER', 'STAFF']}>
                   <SuspenseWrapper>
                     <LazyModernDashboard />
                   </SuspenseWrapper>
@@ -105,7 +115,7 @@ function App() {
               } />
 
               <Route path="/business/orders" element={
-                <ProtectedRoute allowedRoles={['BUSINESS_OWNER']}>
+                <ProtectedRoute allowedRoles={['BUSINESS_OWNER', 'STAFF']} permission="orders:view">
                   <SuspenseWrapper>
                     <LazyOrdersPage />
                   </SuspenseWrapper>
@@ -113,7 +123,7 @@ function App() {
               } />
 
               <Route path="/business/orders/:orderId" element={
-                <ProtectedRoute allowedRoles={['BUSINESS_OWNER']}>
+                <ProtectedRoute allowedRoles={['BUSINESS_OWNER', 'STAFF']} permission="orders:view">
                   <SuspenseWrapper>
                     <LazyOrderDetailsPage />
                   </SuspenseWrapper>
@@ -121,7 +131,7 @@ function App() {
               } />
 
               <Route path="/business/customers" element={
-                <ProtectedRoute allowedRoles={['BUSINESS_OWNER']}>
+                <ProtectedRoute allowedRoles={['BUSINESS_OWNER', 'STAFF']} permission="customers:view">
                   <SuspenseWrapper>
                     <LazyCustomersPage />
                   </SuspenseWrapper>
@@ -129,15 +139,31 @@ function App() {
               } />
 
               <Route path="/business/customers/new" element={
-                <ProtectedRoute allowedRoles={['BUSINESS_OWNER']}>
+                <ProtectedRoute allowedRoles={['BUSINESS_OWNER', 'STAFF']} permission="customers:edit">
                   <SuspenseWrapper>
                     <LazyAddCustomerPage />
                   </SuspenseWrapper>
                 </ProtectedRoute>
               } />
 
+              <Route path="/business/customers/segments" element={
+                <ProtectedRoute allowedRoles={['BUSINESS_OWNER', 'STAFF']} permission="customers:view">
+                  <SuspenseWrapper>
+                    <LazyCustomerSegmentsPage />
+                  </SuspenseWrapper>
+                </ProtectedRoute>
+              } />
+
+              <Route path="/business/customers/duplicates" element={
+                <ProtectedRoute allowedRoles={['BUSINESS_OWNER', 'STAFF']} permission="customers:view">
+                  <SuspenseWrapper>
+                    <LazyCustomerDuplicatesPage />
+                  </SuspenseWrapper>
+                </ProtectedRoute>
+              } />
+
               <Route path="/business/customers/:customerId" element={
-                <ProtectedRoute allowedRoles={['BUSINESS_OWNER']}>
+                <ProtectedRoute allowedRoles={['BUSINESS_OWNER', 'STAFF']} permission="customers:view">
                   <SuspenseWrapper>
                     <LazyCustomerDetailsPage />
                   </SuspenseWrapper>
@@ -145,7 +171,7 @@ function App() {
               } />
 
               <Route path="/business/customers/:customerId/ledger" element={
-                <ProtectedRoute allowedRoles={['BUSINESS_OWNER']}>
+                <ProtectedRoute allowedRoles={['BUSINESS_OWNER', 'STAFF']} permission="customers:view">
                   <SuspenseWrapper>
                     <LazyCustomerLedgerPage />
                   </SuspenseWrapper>
@@ -153,7 +179,7 @@ function App() {
               } />
 
               <Route path="/business/suppliers" element={
-                <ProtectedRoute allowedRoles={['BUSINESS_OWNER']}>
+                <ProtectedRoute allowedRoles={['BUSINESS_OWNER', 'STAFF']} permission="purchases:view">
                   <SuspenseWrapper>
                     <LazySuppliersPage />
                   </SuspenseWrapper>
@@ -161,7 +187,7 @@ function App() {
               } />
 
               <Route path="/business/suppliers/new" element={
-                <ProtectedRoute allowedRoles={['BUSINESS_OWNER']}>
+                <ProtectedRoute allowedRoles={['BUSINESS_OWNER', 'STAFF']} permission="purchases:edit">
                   <SuspenseWrapper>
                     <LazyAddSupplierPage />
                   </SuspenseWrapper>
@@ -169,7 +195,7 @@ function App() {
               } />
 
               <Route path="/business/suppliers/:supplierId" element={
-                <ProtectedRoute allowedRoles={['BUSINESS_OWNER']}>
+                <ProtectedRoute allowedRoles={['BUSINESS_OWNER', 'STAFF']} permission="purchases:view">
                   <SuspenseWrapper>
                     <LazySupplierDetailsPage />
                   </SuspenseWrapper>
@@ -177,7 +203,7 @@ function App() {
               } />
 
               <Route path="/business/suppliers/:supplierId/edit" element={
-                <ProtectedRoute allowedRoles={['BUSINESS_OWNER']}>
+                <ProtectedRoute allowedRoles={['BUSINESS_OWNER', 'STAFF']} permission="purchases:edit">
                   <SuspenseWrapper>
                     <LazyEditSupplierPage />
                   </SuspenseWrapper>
@@ -185,7 +211,7 @@ function App() {
               } />
 
               <Route path="/business/suppliers/:id/ledger" element={
-                <ProtectedRoute allowedRoles={['BUSINESS_OWNER']}>
+                <ProtectedRoute allowedRoles={['BUSINESS_OWNER', 'STAFF']} permission="purchases:view">
                   <SuspenseWrapper>
                     <LazySupplierLedgerPage />
                   </SuspenseWrapper>
@@ -193,7 +219,7 @@ function App() {
               } />
 
               <Route path="/business/forms" element={
-                <ProtectedRoute allowedRoles={['BUSINESS_OWNER']}>
+                <ProtectedRoute allowedRoles={['BUSINESS_OWNER', 'STAFF']} permission="forms:edit">
                   <SuspenseWrapper>
                     <LazyFormsPage />
                   </SuspenseWrapper>
@@ -201,7 +227,7 @@ function App() {
               } />
 
               <Route path="/business/forms/new" element={
-                <ProtectedRoute allowedRoles={['BUSINESS_OWNER']}>
+                <ProtectedRoute allowedRoles={['BUSINESS_OWNER', 'STAFF']} permission="forms:edit">
                   <SuspenseWrapper>
                     <LazyCreateFormPage />
                   </SuspenseWrapper>
@@ -209,7 +235,7 @@ function App() {
               } />
 
               <Route path="/business/forms/:formId/edit" element={
-                <ProtectedRoute allowedRoles={['BUSINESS_OWNER']}>
+                <ProtectedRoute allowedRoles={['BUSINESS_OWNER', 'STAFF']} permission="forms:edit">
                   <SuspenseWrapper>
                     <LazyEditFormPage />
                   </SuspenseWrapper>
@@ -217,7 +243,7 @@ function App() {
               } />
 
               <Route path="/business/forms/:formId/products" element={
-                <ProtectedRoute allowedRoles={['BUSINESS_OWNER']}>
+                <ProtectedRoute allowedRoles={['BUSINESS_OWNER', 'STAFF']} permission="forms:edit">
                   <SuspenseWrapper>
                     <LazyProductManagementPage />
                   </SuspenseWrapper>
@@ -225,7 +251,7 @@ function App() {
               } />
 
               <Route path="/business/products" element={
-                <ProtectedRoute allowedRoles={['BUSINESS_OWNER']}>
+                <ProtectedRoute allowedRoles={['BUSINESS_OWNER', 'STAFF']} permission="products:view">
                   <SuspenseWrapper>
                     <LazyProductsPage />
                   </SuspenseWrapper>
@@ -233,7 +259,7 @@ function App() {
               } />
 
               <Route path="/business/products/new" element={
-                <ProtectedRoute allowedRoles={['BUSINESS_OWNER']}>
+                <ProtectedRoute allowedRoles={['BUSINESS_OWNER', 'STAFF']} permission="products:edit">
                   <SuspenseWrapper>
                     <LazyAddProductPage />
                   </SuspenseWrapper>
@@ -241,13 +267,53 @@ function App() {
               } />
 
               <Route path="/business/products/:productId/edit" element={
-                <ProtectedRoute allowedRoles={['BUSINESS_OWNER']}>
+                <ProtectedRoute allowedRoles={['BUSINESS_OWNER', 'STAFF']} permission="products:edit">
                   <SuspenseWrapper>
                     <LazyEditProductPage />
                   </SuspenseWrapper>
                 </ProtectedRoute>
               } />
 
+              <Route path="/business/products/reorder" element={
+                <ProtectedRoute allowedRoles={['BUSINESS_OWNER', 'STAFF']} permission="products:view">
+                  <SuspenseWrapper>
+                    <LazyReorderSuggestionsPage />
+                  </SuspenseWrapper>
+                </ProtectedRoute>
+              } />
+
+              <Route path="/business/locations" element={
+                <ProtectedRoute allowedRoles={['BUSINESS_OWNER', 'STAFF']} permission="products:view">
+                  <SuspenseWrapper>
+                    <LazyStockLocationsPage />
+                  </SuspenseWrapper>
+                </ProtectedRoute>
+              } />
+
+              <Route path="/business/stock-counts" element={
+                <ProtectedRoute allowedRoles={['BUSINESS_OWNER', 'STAFF']} permission={['stock:count', 'stock:approve']}>
+                  <SuspenseWrapper>
+                    <LazyStockCountsPage />
+                  </SuspenseWrapper>
+                </ProtectedRoute>
+              } />
+
+              <Route path="/business/stock-counts/:id" element={
+                <ProtectedRoute allowedRoles={['BUSINESS_OWNER', 'STAFF']} permission={['stock:count', 'stock:approve']}>
+                  <SuspenseWrapper>
+                    <LazyStockCountPage />
+                  </SuspenseWrapper>
+                </ProtectedRoute>
+              } />
+
+              <Route path="/business/promotions" element={
+                <ProtectedRoute allowedRoles={['BUSINESS_OWNER', 'STAFF']} permission="promotions:edit">
+                  <SuspenseWrapper>
+                    <LazyPromotionsPage />
+                  </SuspenseWrapper>
+                </ProtectedRoute>
+              } />
+
               <Route path="/business/settings" element={
                 <ProtectedRoute allowedRoles={['BUSINESS_OWNER']}>
                   <SuspenseWrapper>
@@ -256,8 +322,16 @@ function App() {
                 </ProtectedRoute>
               } />
 
+              <Route path="/business/audit-log" element={
+                <ProtectedRoute allowedRoles={['BUSINESS_OWNER', 'STAFF']} permission="audit:view">
+                  <SuspenseWrapper>
+                    <LazyAuditLogPage />
+                  </SuspenseWrapper>
+                </ProtectedRoute>
+              } />
+
               <Route path="/business/reports" element={
-                <ProtectedRoute allowedRoles={['BUSINESS_OWNER']}>
+                <ProtectedRoute allowedRoles={['BUSINESS_OWNER', 'STAFF']} permission="accounting:view">
                   <SuspenseWrapper>
                     <LazyReportsPage />
                   </SuspenseWrapper>
@@ -265,7 +339,7 @@ function App() {
               } />
 
               <Route path="/business/purchases" element={
-                <ProtectedRoute allowedRoles={['BUSINESS_OWNER']}>
+                <ProtectedRoute allowedRoles={['BUSINESS_OWNER', 'STAFF']} permission="purchases:view">
                   <SuspenseWrapper>
                     <LazyPurchasesPage />
                   </SuspenseWrapper>
@@ -273,7 +347,7 @@ function App() {
               } />
 
               <Route path="/business/purchases/add" element={
-                <ProtectedRoute allowedRoles={['BUSINESS_OWNER']}>
+                <ProtectedRoute allowedRoles={['BUSINESS_OWNER', 'STAFF']} permission="purchases:edit">
                   <SuspenseWrapper>
                     <LazyAddPurchasePage />
                   </SuspenseWrapper>
@@ -281,14 +355,14 @@ function App() {
               } />
 
               <Route path="/business/purchases/:invoiceId" element={
-                <ProtectedRoute allowedRoles={['BUSINESS_OWNER']}>
+                <ProtectedRoute allowedRoles={['BUSINESS_OWNER', 'STAFF']} permission="purchases:view">
                   <SuspenseWrapper>
                     <LazyPurchaseInvoiceDetailsPage />
                   </SuspenseWrapper>
                 </ProtectedRoute>
               } />
               <Route path="/business/purchases/:invoiceId/edit" element={
-                <ProtectedRoute allowedRoles={['BUSINESS_OWNER']}>
+                <ProtectedRoute allowedRoles={['BUSINESS_OWNER', 'STAFF']} permission="purchases:edit">
                   <SuspenseWrapper>
                     <LazyEditPurchasePage />
                   </SuspenseWrapper>
@@ -296,7 +370,7 @@ function App() {
               } />
 
               <Route path="/business/returns" element={
-                <ProtectedRoute allowedRoles={['BUSINESS_OWNER']}>
+                <ProtectedRoute allowedRoles={['BUSINESS_OWNER', 'STAFF']} permission="purchases:view">
                   <SuspenseWrapper>
                     <LazySupplierReturnsPage />
                   </SuspenseWrapper>
@@ -304,7 +378,7 @@ function App() {
               } />
 
               <Route path="/business/returns/new" element={
-                <ProtectedRoute allowedRoles={['BUSINESS_OWNER']}>
+                <ProtectedRoute allowedRoles={['BUSINESS_OWNER', 'STAFF']} permission="returns:edit">
                   <SuspenseWrapper>
                     <LazyCreateReturnPage />
                   </SuspenseWrapper>
@@ -312,7 +386,7 @@ function App() {
               } />
 
               <Route path="/business/returns/supplier/new" element={
-                <ProtectedRoute allowedRoles={['BUSINESS_OWNER']}>
+                <ProtectedRoute allowedRoles={['BUSINESS_OWNER', 'STAFF']} permission="returns:edit">
                   <SuspenseWrapper>
                     <LazyCreateSupplierReturnPage />
                   </SuspenseWrapper>
@@ -320,7 +394,7 @@ function App() {
               } />
 
               <Route path="/business/returns/standalone/new" element={
-                <ProtectedRoute allowedRoles={['BUSINESS_OWNER']}>
+                <ProtectedRoute allowedRoles={['BUSINESS_OWNER', 'STAFF']} permission="returns:edit">
                   <SuspenseWrapper>
                     <LazyCreateStandaloneSupplierReturnPage />
                   </SuspenseWrapper>
@@ -328,7 +402,7 @@ function App() {
               } />
 
               <Route path="/business/vendors" element={
-                <ProtectedRoute allowedRoles={['BUSINESS_OWNER']}>
+                <ProtectedRoute allowedRoles={['BUSINESS_OWNER', 'STAFF']} permission="purchases:view">
                   <SuspenseWrapper>
                     <LazyVendorsPage />
                   </SuspenseWrapper>
@@ -337,7 +411,7 @@ function App() {
 
               {/* Accounting routes */}
               <Route path="/business/accounting" element={
-                <ProtectedRoute allowedRoles={['BUSINESS_OWNER']}>
+                <ProtectedRoute allowedRoles={['BUSINESS_OWNER', 'STAFF']} permission="accounting:view">
                   <SuspenseWrapper>
                     <LazyAccountingDashboard />
                   </SuspenseWrapper>
@@ -345,7 +419,7 @@ function App() {
               } />
 
               <Route path="/business/accounting/expenses" element={
-                <ProtectedRoute allowedRoles={['BUSINESS_OWNER']}>
+                <ProtectedRoute allowedRoles={['BUSINESS_OWNER', 'STAFF']} permission="accounting:view">
                   <SuspenseWrapper>
                     <LazyExpensesPage />
                   </SuspenseWrapper>
@@ -353,7 +427,7 @@ function App() {
               } />
 
               <Route path="/business/accounting/balances" element={
-                <ProtectedRoute allowedRoles={['BUSINESS_OWNER']}>
+                <ProtectedRoute allowedRoles={['BUSINESS_OWNER', 'STAFF']} permission="accounting:view">
                   <SuspenseWrapper>
                     <LazyBalancesPage />
                   </SuspenseWrapper>
@@ -361,7 +435,7 @@ function App() {
               } />
 
               <Route path="/business/accounting/transactions" element={
-                <ProtectedRoute allowedRoles={['BUSINESS_OWNER']}>
+                <ProtectedRoute allowedRoles={['BUSINESS_OWNER', 'STAFF']} permission="accounting:view">
                   <SuspenseWrapper>
                     <LazyTransactionsPage />
                   </SuspenseWrapper>
@@ -369,7 +443,7 @@ function App() {
               } />
 
               <Route path="/business/accounting/payments" element={
-                <ProtectedRoute allowedRoles={['BUSINESS_OWNER']}>
+                <ProtectedRoute allowedRoles={['BUSINESS_OWNER', 'STAFF']} permission="accounting:view">
                   <SuspenseWrapper>
                     <LazyPaymentsPage />
                   </SuspenseWrapper>
@@ -377,7 +451,7 @@ function App() {
               } />
 
               <Route path="/business/accounting/returns" element={
-                <ProtectedRoute allowedRoles={['BUSINESS_OWNER']}>
+                <ProtectedRoute allowedRoles={['BUSINESS_OWNER', 'STAFF']} permission="orders:view">
                   <SuspenseWrapper>
                     <LazyAccountingReturnsPage />
                   </SuspenseWrapper>
@@ -385,15 +459,31 @@ function App() {
               } />
 
               <Route path="/business/accounting/settings" element={
-                <ProtectedRoute allowedRoles={['BUSINESS_OWNER']}>
+                <ProtectedRoute allowedRoles={['BUSINESS_OWNER', 'STAFF']} permission="accounting:edit">
                   <SuspenseWrapper>
                     <LazyAccountingSettingsPage />
                   </SuspenseWrapper>
                 </ProtectedRoute>
               } />
 
+              <Route path="/business/accounting/statements" element={
+                <ProtectedRoute allowedRoles={['BUSINESS_OWNER', 'STAFF']} permission="accounting:view">
+                  <SuspenseWrapper>
+                    <LazyFinancialStatementsPage />
+                  </SuspenseWrapper>
+                </ProtectedRoute>
+              } />
+
+              <Route path="/business/accounting/bank-reconciliation" element={
+                <ProtectedRoute allowedRoles={['BUSINESS_OWNER', 'STAFF']} permission="accounting:view">
+                  <SuspenseWrapper>
+                    <LazyBankReconciliationPage />
+                  </SuspenseWrapper>
+                </ProtectedRoute>
+              } />
+
               <Route path="/business/accounting/ledger/:accountId" element={
-                <ProtectedRoute allowedRoles={['BUSINESS_OWNER']}>
+                <ProtectedRoute allowedRoles={['BUSINESS_OWNER', 'STAFF']} permission="accounting:view">
                   <SuspenseWrapper>
                     <LazyAccountLedgerPage />
                   </SuspenseWrapper>
@@ -0,0 +1,100 @@
+import { useState, useEffect } from 'react'
+import { ClockIcon } from '@heroicons/react/24/outline'
+import api from '../services/api'
+import LoadingSpinner from './LoadingSpinner'
+
+export const ACTION_LABELS = {
+  UPDATE: 'Edited',
+  PAYMENT_VERIFICATION_UPDATE: 'Verified payment changed',
+  CLOSE: 'Closed',
+  REOPEN: 'Reopened',
+  REVERSE: 'Reversed',
+  VOID: 'Voided',
+  APPROVE: 'Approved'
+}
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—'
+  return String(value)
+}
+
+// Field-by-field old → new values of one audit entry
+export const AuditChangeList = ({ changes }) => {
+  if (!changes || changes.length === 0) {
+    return <p className="text-xs text-gray-500">No field changes recorded</p>
+  }
+
+  return (
+    <ul className="space-y-1">
+      {changes.map((change, index) => (
+        <li key={`${change.field}-${index}`} className="text-xs text-gray-700 break-words">
+          <span className="font-mono text-gray-900">{change.field}</span>
+          {': '}
+          <span className="text-red-600 line-through">{formatValue(change.oldValue)}</span>
+          {' → '}
+          <span className="text-green-700">{formatValue(change.newValue)}</span>
+        </li>
+      ))}
+    </ul>
+  )
+}
+
+const AuditHistoryPanel = ({ entityType, entityId }) => {
+  const [logs, setLogs] = useState([])
+  const [loading, setLoading] = useState(true)
+
+  useEffect(() => {
+    if (entityId) {
+      fetchHistory()
+    }
+  }, [entityType, entityId])
+
+  const fetchHistory = async () => {
+    try {
+      setLoading(true)
+      const response = await api.get(`/audit-logs/${entityType}/${entityId}`)
+      setLogs(response.data.logs || [])
+    } catch (error) {
+      console.error('Failed to load history:', error)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  return (
+    <div className="card p-6">
+      <div className="flex items-center gap-2 mb-4">
+        <ClockIcon className="h-5 w-5 text-gray-500" />
+        <h3 className="text-lg font-bold text-gray-900">History</h3>
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center py-6">
+          <LoadingSpinner />
+        </div>
+      ) : logs.length === 0 ? (
+        <p className="text-sm text-gray-500">No edits recorded yet.</p>
+      ) : (
+        <ol className="space-y-4">
+          {logs.map(log => (
+            <li key={log.id} className="border-l-2 border-gray-200 pl-4">
+              <div className="flex flex-wrap items-baseline gap-x-2 text-sm">
+                <span className="font-medium text-gray-900">{ACTION_LABELS[log.action] || log.action}</span>
+                <span className="text-gray-600">by {log.userName || 'System'}</span>
+                <span className="text-xs text-gray-500">{new Date(log.createdAt).toLocaleString()}</span>
+              </div>
+              {log.description && (
+                <p className="text-sm text-gray-600 mt-1">{log.description}</p>
+              )}
+              <div className="mt-2">
+                <AuditChangeList changes={log.changes} />
+              </div>
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  )
+}
+
+export default AuditHistoryPanel
@@ -0,0 +1,120 @@
+import { useState, useRef } from 'react'
+import { ArchiveBoxArrowDownIcon, ArrowUpTrayIcon, ExclamationTriangleIcon } from '@heroicons/react/24/outline'
+import api from '../services/api'
+import toast from 'react-hot-toast'
+import { downloadFromApi, getPdfErrorMessage } from '../utils/exportUtils'
+
+// Download a backup of the whole business, or load one into an empty business
+const BackupRestore = () => {
+  const [downloading, setDownloading] = useState(false)
+  const [restoring, setRestoring] = useState(false)
+  const [result, setResult] = useState(null)
+  const fileInputRef = useRef(null)
+
+  const handleDownload = async () => {
+    try {
+      setDownloading(true)
+      await downloadFromApi('/tenant/owner/backup', null, `backup-${new Date().toISOString().slice(0, 10)}.zip`)
+      toast.success('Backup downloaded')
+    } catch (error) {
+      toast.error(await getPdfErrorMessage(error, 'Failed to create backup'))
+    } finally {
+      setDownloading(false)
+    }
+  }
+
+  const handleFileChange = async (event) => {
+    const file = event.target.files[0]
+    event.target.value = ''
+    if (!file) return
+    if (!window.confirm(`Restore "${file.name}" into this business? This can only be done while it has no orders, products, customers or transactions.`)) {
+      return
+    }
+
+    try {
+      setRestoring(true)
+      setResult(null)
+      const data = new FormData()
+      data.append('file', file)
+      const response = await api.post('/tenant/owner/restore', data, {
+        headers: {
+          'Content-Type': 'multipart/form-data'
+        }
+      })
+      setResult(response.data)
+      toast.success('Backup restored')
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to restore backup')
+    } finally {
+      setRestoring(false)
+    }
+  }
+
+  const restoredCounts = result
+    ? [
+        ['Products', result.counts.product],
+        ['Customers', result.counts.customer],
+        ['Orders', result.counts.order],
+        ['Purchase invoices', result.counts.purchaseInvoice],
+        ['Transactions', result.counts.transaction]
+      ]
+    : []
+
+  return (
+    <div className="space-y-6">
+      <div className="card p-6">
+        <h2 className="text-lg font-semibold text-gray-900">Download Backup</h2>
+        <p className="text-sm text-gray-500 mt-1 mb-4">
+          A zip file with your forms, products, customers, orders, purchases, returns, accounts and images.
+          Keep it somewhere safe, or use it to move your business to another server.
+        </p>
+        <button onClick={handleDownload} disabled={downloading} className="btn-primary flex items-center">
+          <ArchiveBoxArrowDownIcon className="h-5 w-5 mr-2" />
+          {downloading ? 'Preparing backup...' : 'Download Backup'}
+        </button>
+      </div>
+
+      <div className="card p-6">
+        <h2 className="text-lg font-semibold text-gray-900">Restore Backup</h2>
+        <div className="flex items-start gap-2 mt-2 mb-4 p-3 bg-yellow-50 border border-yellow-200 rounded-lg">
+          <ExclamationTriangleIcon className="h-5 w-5 text-yellow-600 flex-shrink-0" />
+          <p className="text-sm text-yellow-800">
+            Restoring only works for a business with no orders, products, customers, suppliers or transactions yet.
+            Your default accounts and forms are kept; everything else comes from the backup.
+          </p>
+        </div>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".zip,application/zip"
+          onChange={handleFileChange}
+          className="hidden"
+        />
+        <button
+          onClick={() => fileInputRef.current?.click()}
+          disabled={restoring}
+          className="btn-secondary flex items-center"
+        >
+          <ArrowUpTrayIcon className="h-5 w-5 mr-2" />
+          {restoring ? 'Restoring...' : 'Choose Backup File'}
+        </button>
+
+        {result && (
+          <div className="mt-4 p-4 bg-green-50 border border-green-200 rounded-lg text-sm text-green-800">
+            <p className="font-medium">
+              Restored from {result.source?.businessName || 'backup'}
+              {result.exportedAt && ` (${new Date(result.exportedAt).toLocaleDateString()})`}
+            </p>
+            <ul className="mt-2 grid grid-cols-2 md:grid-cols-5 gap-2">
+              {restoredCounts.map(([label, count]) => (
+                <li key={label}>{label}: <span className="font-semibold">{count || 0}</span></li>
+              ))}
+            </ul>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default BackupRestore
@@ -59,6 +59,8 @@ const CustomerDetailsModal = ({ customer, isOpen, onClose }) => {
         return '🛒'
       case 'INFO_CHANGED':
         return '📝'
+      case 'MERGED':
+        return '🔗'
       default:
         return '📋'
     }
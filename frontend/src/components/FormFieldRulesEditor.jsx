@@ -0,0 +1,131 @@
+import { CONDITION_OPERATORS, PATTERN_FIELD_TYPES, getRangeKind, getFieldOptions } from '../utils/formFieldRules'
+
+const inputClass = 'input-field bg-white text-gray-900 border-2 border-gray-300 rounded-lg px-4 py-2 w-full focus:border-primary-500 focus:ring-2 focus:ring-primary-200'
+
+const RANGE_LABELS = {
+  number: { min: 'Minimum value', max: 'Maximum value' },
+  length: { min: 'Minimum characters', max: 'Maximum characters' },
+  date: { min: 'Earliest date', max: 'Latest date' }
+}
+
+// Options in the builder are typed as "a, b, c"; saved fields store a JSON array
+const toOptionList = (options) => {
+  if (Array.isArray(options)) return options
+  if (typeof options === 'string' && options.trim().startsWith('[')) return getFieldOptions({ options })
+  return (options || '').split(',').map(option => option.trim()).filter(Boolean)
+}
+
+/**
+ * Validation (min/max/regex) and show-if settings for one field in the form builder
+ */
+const FormFieldRulesEditor = ({ register, index, field, allFields }) => {
+  const rangeKind = getRangeKind(field.fieldType)
+  const supportsPattern = PATTERN_FIELD_TYPES.includes(field.fieldType)
+  const condition = field.showIf || {}
+  const otherFields = allFields.filter((other, otherIndex) =>
+    otherIndex !== index && other.label && other.isVisible !== false &&
+    !['FILE_UPLOAD', 'PRODUCT_SELECTOR'].includes(other.fieldType)
+  )
+  const sourceField = otherFields.find(other => other.label === condition.field)
+  const sourceOptions = sourceField ? toOptionList(sourceField.options) : []
+  const needsValue = ['EQUALS', 'NOT_EQUALS', 'CONTAINS'].includes(condition.operator || 'EQUALS')
+
+  return (
+    <div className="mt-3 p-3 bg-gray-50 border-2 border-gray-200 rounded-lg space-y-3">
+      {(rangeKind || supportsPattern) && (
+        <div>
+          <p className="text-sm font-bold text-gray-900 mb-2">Validation (optional)</p>
+          {rangeKind && (
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 mb-3">
+              <div>
+                <label className="block text-xs font-semibold text-gray-700 mb-1">{RANGE_LABELS[rangeKind].min}</label>
+                <input
+                  {...register(`fields.${index}.validation.min`)}
+                  type={rangeKind === 'date' ? 'date' : 'number'}
+                  className={inputClass}
+                />
+              </div>
+              <div>
+                <label className="block text-xs font-semibold text-gray-700 mb-1">{RANGE_LABELS[rangeKind].max}</label>
+                <input
+                  {...register(`fields.${index}.validation.max`)}
+                  type={rangeKind === 'date' ? 'date' : 'number'}
+                  className={inputClass}
+                />
+              </div>
+            </div>
+          )}
+          {supportsPattern && (
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+              <div>
+                <label className="block text-xs font-semibold text-gray-700 mb-1">Pattern (regular expression)</label>
+                <input
+                  {...register(`fields.${index}.validation.pattern`)}
+                  className={`${inputClass} font-mono`}
+                  placeholder="^03\d{9}$"
+                />
+              </div>
+              <div>
+                <label className="block text-xs font-semibold text-gray-700 mb-1">Message when it doesn't match</label>
+                <input
+                  {...register(`fields.${index}.validation.message`)}
+                  className={inputClass}
+                  placeholder="Enter a valid mobile number"
+                />
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+
+      <div>
+        <p className="text-sm font-bold text-gray-900 mb-2">Show this field only when (optional)</p>
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+          <select
+            {...register(`fields.${index}.showIf.field`)}
+            className={inputClass}
+            style={{ color: '#111827', backgroundColor: '#ffffff' }}
+          >
+            <option value="">Always show</option>
+            {otherFields.map(other => (
+              <option key={other.label} value={other.label}>{other.label}</option>
+            ))}
+          </select>
+          {condition.field && (
+            <select
+              {...register(`fields.${index}.showIf.operator`)}
+              className={inputClass}
+              style={{ color: '#111827', backgroundColor: '#ffffff' }}
+            >
+              {CONDITION_OPERATORS.map(operator => (
+                <option key={operator.value} value={operator.value}>{operator.label}</option>
+              ))}
+            </select>
+          )}
+          {condition.field && needsValue && (
+            sourceOptions.length > 0 ? (
+              <select
+                {...register(`fields.${index}.showIf.value`)}
+                className={inputClass}
+                style={{ color: '#111827', backgroundColor: '#ffffff' }}
+              >
+                <option value="">Select a value</option>
+                {sourceOptions.map(option => (
+                  <option key={option} value={option}>{option}</option>
+                ))}
+              </select>
+            ) : (
+              <input
+                {...register(`fields.${index}.showIf.value`)}
+                className={inputClass}
+                placeholder="Value"
+              />
+            )
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default FormFieldRulesEditor
@@ -0,0 +1,123 @@
+import { useState, useEffect, useRef } from 'react'
+import { PhotoIcon, TrashIcon, ArrowUpTrayIcon } from '@heroicons/react/24/outline'
+import api from '../services/api'
+import toast from 'react-hot-toast'
+
+const LOGO_TYPES = ['image/png', 'image/jpeg']
+const MAX_LOGO_BYTES = 1024 * 1024
+
+// Logo printed at the top of sales invoices
+const InvoiceLogoSettings = ({ hasLogo }) => {
+  const [logoUrl, setLogoUrl] = useState(null)
+  const [saving, setSaving] = useState(false)
+  const fileInputRef = useRef(null)
+
+  const fetchLogo = async () => {
+    try {
+      const response = await api.get('/tenant/owner/logo', { responseType: 'blob' })
+      setLogoUrl(window.URL.createObjectURL(response.data))
+    } catch (error) {
+      console.error('Error fetching logo:', error)
+      setLogoUrl(null)
+    }
+  }
+
+  useEffect(() => {
+    if (hasLogo) fetchLogo()
+  }, [hasLogo])
+
+  // Release the previous preview whenever it is replaced
+  useEffect(() => () => {
+    if (logoUrl) window.URL.revokeObjectURL(logoUrl)
+  }, [logoUrl])
+
+  const handleFileChange = (event) => {
+    const file = event.target.files[0]
+    event.target.value = ''
+    if (!file) return
+    if (!LOGO_TYPES.includes(file.type)) {
+      toast.error('Logo must be a PNG or JPEG image')
+      return
+    }
+    if (file.size > MAX_LOGO_BYTES) {
+      toast.error('Logo must be 1 MB or smaller')
+      return
+    }
+
+    const reader = new FileReader()
+    reader.onload = async (e) => {
+      try {
+        setSaving(true)
+        await api.put('/tenant/owner/logo', { imageData: e.target.result, mimeType: file.type })
+        toast.success('Logo updated')
+        await fetchLogo()
+      } catch (error) {
+        toast.error(error.response?.data?.error || error.response?.data?.errors?.[0]?.msg || 'Failed to upload logo')
+      } finally {
+        setSaving(false)
+      }
+    }
+    reader.readAsDataURL(file)
+  }
+
+  const handleRemove = async () => {
+    if (!window.confirm('Remove the invoice logo?')) return
+    try {
+      setSaving(true)
+      await api.delete('/tenant/owner/logo')
+      setLogoUrl(null)
+      toast.success('Logo removed')
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to remove logo')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <div className="flex items-center gap-4 pb-6 mb-6 border-b border-gray-200">
+      <div className="h-20 w-20 rounded-lg border-2 border-dashed border-gray-300 flex items-center justify-center overflow-hidden bg-gray-50">
+        {logoUrl ? (
+          <img src={logoUrl} alt="Business logo" className="max-h-full max-w-full object-contain" />
+        ) : (
+          <PhotoIcon className="h-8 w-8 text-gray-400" />
+        )}
+      </div>
+      <div>
+        <p className="text-sm font-bold text-gray-900">Invoice Logo</p>
+        <p className="text-xs text-gray-500 mb-2">PNG or JPEG up to 1 MB, printed on sales invoices</p>
+        <div className="flex gap-2">
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept={LOGO_TYPES.join(',')}
+            onChange={handleFileChange}
+            className="hidden"
+          />
+          <button
+            type="button"
+            onClick={() => fileInputRef.current?.click()}
+            disabled={saving}
+            className="px-3 py-1.5 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50 flex items-center"
+          >
+            <ArrowUpTrayIcon className="h-4 w-4 mr-1" />
+            {saving ? 'Saving...' : logoUrl ? 'Replace' : 'Upload'}
+          </button>
+          {logoUrl && (
+            <button
+              type="button"
+              onClick={handleRemove}
+              disabled={saving}
+              className="px-3 py-1.5 text-sm font-medium text-red-600 bg-white border border-red-200 rounded-lg hover:bg-red-50 disabled:opacity-50 flex items-center"
+            >
+              <TrashIcon className="h-4 w-4 mr-1" />
+              Remove
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default InvoiceLogoSettings
@@ -0,0 +1,170 @@
+import { useState, useMemo } from 'react'
+import toast from 'react-hot-toast'
+import { XMarkIcon, PrinterIcon, MagnifyingGlassIcon } from '@heroicons/react/24/outline'
+import { LABEL_FORMATS, LABEL_LAYOUTS, buildLabelRows, printLabelSheet } from '../utils/labelUtils'
+
+const LabelPrintModal = ({ products, businessName, onClose }) => {
+  const rows = useMemo(() => buildLabelRows(products), [products])
+  const [quantities, setQuantities] = useState(() => Object.fromEntries(rows.map(row => [row.key, 1])))
+  const [search, setSearch] = useState('')
+  const [format, setFormat] = useState('CODE128')
+  const [layout, setLayout] = useState('A4_24')
+  const [showPrice, setShowPrice] = useState(true)
+  const [printing, setPrinting] = useState(false)
+
+  const visibleRows = rows.filter(row => {
+    const term = search.trim().toLowerCase()
+    return !term || `${row.name} ${row.detail} ${row.code}`.toLowerCase().includes(term)
+  })
+  const totalLabels = rows.reduce((sum, row) => sum + (quantities[row.key] || 0), 0)
+
+  const setAll = (getQuantity) => {
+    setQuantities(prev => {
+      const next = { ...prev }
+      visibleRows.forEach(row => { next[row.key] = getQuantity(row) })
+      return next
+    })
+  }
+
+  const handlePrint = async () => {
+    const selected = rows
+      .filter(row => quantities[row.key] > 0)
+      .map(row => ({ ...row, quantity: quantities[row.key] }))
+    if (selected.length === 0) {
+      toast.error('Set a label quantity for at least one item')
+      return
+    }
+    try {
+      setPrinting(true)
+      const opened = await printLabelSheet(selected, { format, layout, showPrice, businessName })
+      if (!opened) {
+        toast.error('Please allow popups to print labels')
+      }
+    } catch (error) {
+      console.error('Label print error:', error)
+      toast.error('Could not create labels. Check that SKUs only use standard letters and numbers.')
+    } finally {
+      setPrinting(false)
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-2xl shadow-2xl w-full max-w-3xl max-h-[90vh] flex flex-col overflow-hidden">
+        <div className="bg-gradient-to-r from-pink-600 to-purple-600 text-white p-6">
+          <div className="flex items-center justify-between">
+            <div className="flex items-center space-x-3">
+              <PrinterIcon className="h-8 w-8" />
+              <div>
+                <h2 className="text-2xl font-bold">Print Labels</h2>
+                <p className="text-pink-100">Labels use the SKU, or a system code when no SKU is set</p>
+              </div>
+            </div>
+            <button onClick={onClose} className="p-2 hover:bg-white hover:bg-opacity-20 rounded-lg">
+              <XMarkIcon className="h-6 w-6" />
+            </button>
+          </div>
+        </div>
+
+        <div className="p-4 border-b border-gray-200 grid grid-cols-1 sm:grid-cols-3 gap-3">
+          <select value={format} onChange={(e) => setFormat(e.target.value)} className="input-field">
+            {LABEL_FORMATS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          <select value={layout} onChange={(e) => setLayout(e.target.value)} className="input-field">
+            {Object.entries(LABEL_LAYOUTS).map(([value, option]) => (
+              <option key={value} value={value}>{option.label}</option>
+            ))}
+          </select>
+          <label className="flex items-center gap-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={showPrice}
+              onChange={(e) => setShowPrice(e.target.checked)}
+              className="h-4 w-4 text-pink-600 rounded border-gray-300 focus:ring-pink-500"
+            />
+            Show retail price
+          </label>
+        </div>
+
+        <div className="p-4 flex flex-col sm:flex-row gap-3 sm:items-center">
+          <div className="flex-1 relative">
+            <MagnifyingGlassIcon className="h-5 w-5 absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400" />
+            <input
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              placeholder="Search products, colours, sizes or SKUs..."
+              className="input-field pl-10"
+            />
+          </div>
+          <div className="flex gap-2 text-sm">
+            <button onClick={() => setAll(row => Math.max(0, row.stock))} className="px-3 py-2 bg-gray-100 hover:bg-gray-200 rounded-lg">
+              Match stock
+            </button>
+            <button onClick={() => setAll(() => 1)} className="px-3 py-2 bg-gray-100 hover:bg-gray-200 rounded-lg">
+              One each
+            </button>
+            <button onClick={() => setAll(() => 0)} className="px-3 py-2 bg-gray-100 hover:bg-gray-200 rounded-lg">
+              None
+            </button>
+          </div>
+        </div>
+
+        <div className="flex-1 overflow-y-auto px-4">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Item</th>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Code</th>
+                <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">In Stock</th>
+                <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Labels</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {visibleRows.map(row => (
+                <tr key={row.key}>
+                  <td className="px-3 py-2 text-sm">
+                    <div className="font-medium text-gray-900">{row.name}</div>
+                    {row.detail && <div className="text-gray-500">{row.detail}</div>}
+                  </td>
+                  <td className="px-3 py-2 text-xs text-gray-500 font-mono break-all">{row.code}</td>
+                  <td className="px-3 py-2 text-sm text-right text-gray-900">{row.stock}</td>
+                  <td className="px-3 py-2 text-right">
+                    <input
+                      type="number"
+                      min="0"
+                      max="500"
+                      value={quantities[row.key] ?? 0}
+                      onChange={(e) => setQuantities(prev => ({
+                        ...prev,
+                        [row.key]: Math.min(500, Math.max(0, parseInt(e.target.value, 10) || 0))
+                      }))}
+                      className="w-20 px-2 py-1 border border-gray-300 rounded-lg text-right"
+                    />
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {visibleRows.length === 0 && (
+            <p className="text-center text-gray-500 py-8">No products match your search</p>
+          )}
+        </div>
+
+        <div className="p-4 border-t border-gray-200 flex items-center justify-between">
+          <span className="text-sm text-gray-600">{totalLabels} label{totalLabels === 1 ? '' : 's'}</span>
+          <div className="flex gap-2">
+            <button onClick={onClose} className="btn-secondary">Cancel</button>
+            <button onClick={handlePrint} disabled={printing || totalLabels === 0} className="btn-primary flex items-center">
+              <PrinterIcon className="h-5 w-5 mr-2" />
+              {printing ? 'Preparing...' : 'Print'}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default LabelPrintModal
@@ -50,9 +50,19 @@ export const LazyTransactionsPage = lazy(() => import('../pages/accounting/Trans
 export const LazyPaymentsPage = lazy(() => import('../pages/accounting/PaymentsPage'))
 export const LazyAccountingReturnsPage = lazy(() => import('../pages/accounting/ReturnsPage'))
 export const LazyAccountingSettingsPage = lazy(() => import('../pages/accounting/SettingsPage'))
+export const LazyFinancialStatementsPage = lazy(() => import('../pages/accounting/FinancialStatementsPage'))
+export const LazyBankReconciliationPage = lazy(() => import('../pages/accounting/BankReconciliationPage'))
+export const LazyReorderSuggestionsPage = lazy(() => import('../pages/ReorderSuggestionsPage'))
+export const LazyPromotionsPage = lazy(() => import('../pages/PromotionsPage'))
+export const LazyStockLocationsPage = lazy(() => import('../pages/StockLocationsPage'))
+export const LazyStockCountsPage = lazy(() => import('../pages/StockCountsPage'))
+export const LazyStockCountPage = lazy(() => import('../pages/StockCountPage'))
 export const LazyAccountLedgerPage = lazy(() => import('../pages/accounting/AccountLedgerPage'))
 export const LazySupplierLedgerPage = lazy(() => import('../pages/SupplierLedgerPage'))
 export const LazyCustomerLedgerPage = lazy(() => import('../pages/CustomerLedgerPage'))
+export const LazyCustomerSegmentsPage = lazy(() => import('../pages/CustomerSegmentsPage'))
+export const LazyCustomerDuplicatesPage = lazy(() => import('../pages/CustomerDuplicatesPage'))
+export const LazyAuditLogPage = lazy(() => import('../pages/AuditLogPage'))
 export const LazyEnhancedProductModal = lazy(() => import('./EnhancedProductModal'))
 export const LazyInvoiceUploadModal = lazy(() => import('./InvoiceUploadModal'))
 export const LazyProductHistoryModal = lazy(() => import('./ProductHistoryModal'))
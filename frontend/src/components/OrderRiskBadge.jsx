@@ -0,0 +1,65 @@
+import toast from 'react-hot-toast'
+import { ShieldExclamationIcon, ShieldCheckIcon } from '@heroicons/react/24/outline'
+import api from '../services/api'
+
+const RISK_BADGES = {
+  REVIEW: { label: 'Review', className: 'bg-amber-100 text-amber-800 hover:bg-amber-200' },
+  REQUIRE_PREPAYMENT: { label: 'Prepaid only', className: 'bg-red-100 text-red-800 hover:bg-red-200' }
+}
+
+const parseReasons = (order) => {
+  try {
+    return JSON.parse(order.riskReasons || '[]')
+  } catch (error) {
+    return []
+  }
+}
+
+// Submit-time risk flag on an order; clicking an open flag marks the order as reviewed
+const OrderRiskBadge = ({ order, onReviewed }) => {
+  const badge = RISK_BADGES[order.riskAction]
+  if (!badge) return null
+
+  const reasons = parseReasons(order)
+  const title = [`Risk score ${order.riskScore ?? 0}`, ...reasons].join('\n')
+
+  if (order.riskReviewedAt) {
+    return (
+      <span
+        title={`${title}\nReviewed ${new Date(order.riskReviewedAt).toLocaleString()}`}
+        className="px-2 inline-flex items-center text-xs leading-5 font-semibold rounded-full bg-gray-100 text-gray-600"
+      >
+        <ShieldCheckIcon className="h-3.5 w-3.5 mr-1" />
+        Reviewed
+      </span>
+    )
+  }
+
+  const handleReview = async () => {
+    const check = order.riskAction === 'REQUIRE_PREPAYMENT'
+      ? 'Check that the advance payment has been received.'
+      : 'Check the customer before confirming.'
+    if (!window.confirm(`${title}\n\n${check} Mark this order as reviewed?`)) return
+    try {
+      await api.post(`/order/${order.id}/risk-review`)
+      toast.success('Order marked as reviewed')
+      if (onReviewed) onReviewed()
+    } catch (error) {
+      console.error('Failed to mark order as reviewed:', error)
+    }
+  }
+
+  return (
+    <button
+      type="button"
+      onClick={handleReview}
+      title={title}
+      className={`px-2 inline-flex items-center text-xs leading-5 font-semibold rounded-full ${badge.className}`}
+    >
+      <ShieldExclamationIcon className="h-3.5 w-3.5 mr-1" />
+      {badge.label}
+    </button>
+  )
+}
+
+export default OrderRiskBadge
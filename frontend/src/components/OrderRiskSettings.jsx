@@ -0,0 +1,232 @@
+import { useState, useEffect } from 'react'
+import { TrashIcon, PlusIcon } from '@heroicons/react/24/outline'
+import api from '../services/api'
+import toast from 'react-hot-toast'
+
+const BLOCKLIST_ACTIONS = [
+  { value: 'REJECT', label: 'Refuse the order' },
+  { value: 'REQUIRE_PREPAYMENT', label: 'Accept only with advance payment' },
+  { value: 'REVIEW', label: 'Accept and flag for review' }
+]
+
+const inputClass = 'w-full px-3 py-2 bg-white text-gray-900 border-2 border-gray-300 rounded-lg focus:ring-2 focus:ring-pink-500 focus:border-pink-500'
+
+// Submit-time order risk rules: score thresholds from the customer's history, and the blocklist
+const OrderRiskSettings = ({ tenant, updateTenant }) => {
+  const [rules, setRules] = useState({
+    riskReviewScore: 30,
+    riskPrepaymentScore: 60,
+    riskRejectScore: '',
+    blocklistAction: 'REJECT'
+  })
+  const [savingRules, setSavingRules] = useState(false)
+  const [entries, setEntries] = useState([])
+  const [entryForm, setEntryForm] = useState({ type: 'PHONE', value: '', reason: '' })
+  const [addingEntry, setAddingEntry] = useState(false)
+
+  useEffect(() => {
+    if (tenant) {
+      setRules({
+        riskReviewScore: tenant.riskReviewScore ?? 30,
+        riskPrepaymentScore: tenant.riskPrepaymentScore ?? 60,
+        riskRejectScore: tenant.riskRejectScore ?? '',
+        blocklistAction: tenant.blocklistAction || 'REJECT'
+      })
+    }
+  }, [tenant])
+
+  useEffect(() => {
+    fetchBlocklist()
+  }, [])
+
+  const fetchBlocklist = async () => {
+    try {
+      const response = await api.get('/customer/blocklist')
+      setEntries(response.data.entries || [])
+    } catch (error) {
+      console.error('Failed to fetch blocklist:', error)
+    }
+  }
+
+  const handleSaveRules = async (e) => {
+    e.preventDefault()
+    try {
+      setSavingRules(true)
+      await updateTenant({
+        riskReviewScore: Number(rules.riskReviewScore),
+        riskPrepaymentScore: Number(rules.riskPrepaymentScore),
+        riskRejectScore: rules.riskRejectScore === '' ? null : Number(rules.riskRejectScore),
+        blocklistAction: rules.blocklistAction
+      })
+      toast.success('Order risk rules saved')
+    } catch (error) {
+      console.error('Failed to save risk rules:', error)
+    } finally {
+      setSavingRules(false)
+    }
+  }
+
+  const handleAddEntry = async (e) => {
+    e.preventDefault()
+    try {
+      setAddingEntry(true)
+      await api.post('/customer/blocklist', entryForm)
+      toast.success('Added to blocklist')
+      setEntryForm(prev => ({ ...prev, value: '', reason: '' }))
+      fetchBlocklist()
+    } catch (error) {
+      console.error('Failed to add to blocklist:', error)
+    } finally {
+      setAddingEntry(false)
+    }
+  }
+
+  const handleRemoveEntry = async (entry) => {
+    if (!window.confirm(`Remove ${entry.label} from the blocklist?`)) return
+    try {
+      await api.delete(`/customer/blocklist/${entry.id}`)
+      toast.success('Removed from blocklist')
+      fetchBlocklist()
+    } catch (error) {
+      console.error('Failed to remove from blocklist:', error)
+    }
+  }
+
+  return (
+    <div className="space-y-6">
+      <form onSubmit={handleSaveRules} className="card p-6 space-y-4">
+        <div>
+          <h2 className="text-lg font-semibold text-gray-900">Risk Rules</h2>
+          <p className="text-sm text-gray-500 mt-1">
+            Each customer gets a risk score from 0 to 100: 35 points per refused delivery, 15 per cancelled order and
+            10 per return, less 5 for every order they kept. New orders are checked against these limits when submitted.
+          </p>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div>
+            <label className="block text-sm font-bold text-gray-900 mb-2">Flag for review at</label>
+            <input
+              type="number"
+              min="1"
+              max="100"
+              value={rules.riskReviewScore}
+              onChange={(e) => setRules(prev => ({ ...prev, riskReviewScore: e.target.value }))}
+              className={inputClass}
+              required
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-bold text-gray-900 mb-2">Require advance payment at</label>
+            <input
+              type="number"
+              min="1"
+              max="100"
+              value={rules.riskPrepaymentScore}
+              onChange={(e) => setRules(prev => ({ ...prev, riskPrepaymentScore: e.target.value }))}
+              className={inputClass}
+              required
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-bold text-gray-900 mb-2">Refuse orders at</label>
+            <input
+              type="number"
+              min="1"
+              max="100"
+              value={rules.riskRejectScore}
+              onChange={(e) => setRules(prev => ({ ...prev, riskRejectScore: e.target.value }))}
+              className={inputClass}
+              placeholder="Never"
+            />
+          </div>
+        </div>
+
+        <div>
+          <label className="block text-sm font-bold text-gray-900 mb-2">Orders from a blocked phone number or address</label>
+          <select
+            value={rules.blocklistAction}
+            onChange={(e) => setRules(prev => ({ ...prev, blocklistAction: e.target.value }))}
+            className={`${inputClass} md:w-1/2`}
+          >
+            {BLOCKLIST_ACTIONS.map(action => (
+              <option key={action.value} value={action.value}>{action.label}</option>
+            ))}
+          </select>
+        </div>
+
+        <p className="text-xs text-gray-500">
+          Flagged orders show a badge on the orders screen and must be marked as reviewed before they can be confirmed.
+        </p>
+
+        <div className="flex justify-end">
+          <button type="submit" disabled={savingRules} className="btn-primary">
+            {savingRules ? 'Saving...' : 'Save Rules'}
+          </button>
+        </div>
+      </form>
+
+      <div className="card p-6">
+        <h2 className="text-lg font-semibold text-gray-900">Blocklist</h2>
+        <p className="text-sm text-gray-500 mt-1 mb-4">
+          Phone numbers match in any format (0300… or +92300…). An address matches any delivery address that contains it.
+        </p>
+
+        <form onSubmit={handleAddEntry} className="flex flex-col md:flex-row gap-3 mb-4">
+          <select
+            value={entryForm.type}
+            onChange={(e) => setEntryForm(prev => ({ ...prev, type: e.target.value }))}
+            className={`${inputClass} md:w-40`}
+          >
+            <option value="PHONE">Phone</option>
+            <option value="ADDRESS">Address</option>
+          </select>
+          <input
+            value={entryForm.value}
+            onChange={(e) => setEntryForm(prev => ({ ...prev, value: e.target.value }))}
+            placeholder={entryForm.type === 'PHONE' ? '03001234567' : 'House 12, Street 4, Model Town'}
+            className={`${inputClass} md:flex-1`}
+            required
+          />
+          <input
+            value={entryForm.reason}
+            onChange={(e) => setEntryForm(prev => ({ ...prev, reason: e.target.value }))}
+            placeholder="Reason (optional)"
+            className={`${inputClass} md:w-56`}
+          />
+          <button type="submit" disabled={addingEntry} className="btn-primary flex items-center justify-center">
+            <PlusIcon className="h-5 w-5 mr-1" />
+            Block
+          </button>
+        </form>
+
+        {entries.length === 0 ? (
+          <p className="text-sm text-gray-500">No blocked phone numbers or addresses.</p>
+        ) : (
+          <ul className="divide-y divide-gray-100">
+            {entries.map(entry => (
+              <li key={entry.id} className="flex items-center justify-between py-3">
+                <div>
+                  <span className="px-2 py-0.5 mr-2 rounded-full text-xs font-medium bg-gray-100 text-gray-700">
+                    {entry.type === 'PHONE' ? 'Phone' : 'Address'}
+                  </span>
+                  <span className="text-sm font-medium text-gray-900">{entry.label}</span>
+                  {entry.reason && <span className="text-sm text-gray-500"> · {entry.reason}</span>}
+                </div>
+                <button
+                  onClick={() => handleRemoveEntry(entry)}
+                  className="p-2 text-gray-500 hover:text-red-600"
+                  title="Remove"
+                >
+                  <TrashIcon className="h-5 w-5" />
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default OrderRiskSettings
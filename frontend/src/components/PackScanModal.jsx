@@ -0,0 +1,212 @@
+import { useState, useEffect, useRef } from 'react'
+import toast from 'react-hot-toast'
+import api from '../services/api'
+import LoadingSpinner from './LoadingSpinner'
+import {
+  XMarkIcon,
+  QrCodeIcon,
+  CheckCircleIcon,
+  ExclamationTriangleIcon,
+  ArrowUturnLeftIcon,
+  TruckIcon
+} from '@heroicons/react/24/outline'
+
+// Handheld scanners type the code followed by Enter into the focused input
+const PackScanModal = ({ order, onClose, onDispatch }) => {
+  const [packList, setPackList] = useState(null)
+  const [lines, setLines] = useState([])
+  const [codes, setCodes] = useState([])
+  const [input, setInput] = useState('')
+  const [lastScan, setLastScan] = useState(null) // { ok, message }
+  const [verifiedAt, setVerifiedAt] = useState(null)
+  const [checking, setChecking] = useState(false)
+  const [dispatching, setDispatching] = useState(false)
+  const [loading, setLoading] = useState(true)
+  const inputRef = useRef(null)
+
+  useEffect(() => {
+    const fetchPackList = async () => {
+      try {
+        const response = await api.get(`/order/${order.id}/pack-list`)
+        setPackList(response.data.packList)
+        setLines(response.data.packList.packLines.map(line => ({ ...line, scanned: 0 })))
+      } catch (error) {
+        toast.error(error.response?.data?.error || 'Failed to load order items')
+        onClose()
+      } finally {
+        setLoading(false)
+      }
+    }
+    fetchPackList()
+  }, [order.id])
+
+  useEffect(() => {
+    if (!loading) inputRef.current?.focus()
+  }, [loading, checking])
+
+  const complete = lines.length > 0 && lines.every(line => line.scanned >= line.quantity)
+  const scannedUnits = lines.reduce((sum, line) => sum + Math.min(line.scanned, line.quantity), 0)
+  const totalUnits = lines.reduce((sum, line) => sum + line.quantity, 0)
+  const canSkipScan = packList && !packList.tenant.requirePackScan
+  const canDispatch = packList && (complete || canSkipScan || lines.length === 0)
+
+  // The server is the judge of every scan; a rejected code is not kept
+  const checkCodes = async (nextCodes, scannedCode) => {
+    try {
+      setChecking(true)
+      const response = await api.post(`/order/${order.id}/pack-scan`, { codes: nextCodes })
+      const { result } = response.data
+      const rejected = scannedCode ? result.unexpected.find(entry => entry.code === scannedCode) : null
+
+      if (rejected) {
+        setLastScan({
+          ok: false,
+          message: rejected.label ? `${rejected.label}: ${rejected.reason}` : `${scannedCode}: ${rejected.reason}`
+        })
+        return
+      }
+
+      setCodes(nextCodes)
+      setLines(result.lines)
+      setVerifiedAt(result.packVerifiedAt || null)
+      if (scannedCode) {
+        const matched = result.lines.find(line => line.codes.includes(scannedCode.trim().toUpperCase()))
+        setLastScan({ ok: true, message: matched ? `${matched.productName} (${matched.scanned}/${matched.quantity})` : scannedCode })
+      }
+    } catch (error) {
+      setLastScan({ ok: false, message: error.response?.data?.error || 'Could not check the scan' })
+    } finally {
+      setChecking(false)
+    }
+  }
+
+  const handleScan = (e) => {
+    e.preventDefault()
+    const code = input.trim()
+    setInput('')
+    if (!code || checking) return
+    checkCodes([...codes, code], code)
+  }
+
+  const undoLastScan = () => {
+    if (codes.length === 0) return
+    setLastScan(null)
+    checkCodes(codes.slice(0, -1))
+  }
+
+  const handleDispatch = async () => {
+    setDispatching(true)
+    const dispatched = await onDispatch(order.id)
+    setDispatching(false)
+    if (dispatched) onClose()
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-2xl shadow-2xl w-full max-w-2xl max-h-[90vh] flex flex-col overflow-hidden">
+        <div className="bg-gradient-to-r from-pink-600 to-purple-600 text-white p-6">
+          <div className="flex items-center justify-between">
+            <div className="flex items-center space-x-3">
+              <QrCodeIcon className="h-8 w-8" />
+              <div>
+                <h2 className="text-2xl font-bold">Scan &amp; Pack</h2>
+                <p className="text-pink-100">Order #{order.orderNumber}{packList ? ` · ${packList.tenant.businessName}` : ''}</p>
+              </div>
+            </div>
+            <button onClick={onClose} className="p-2 hover:bg-white hover:bg-opacity-20 rounded-lg">
+              <XMarkIcon className="h-6 w-6" />
+            </button>
+          </div>
+        </div>
+
+        {loading ? (
+          <LoadingSpinner className="py-12" />
+        ) : (
+          <>
+            <div className="p-4 space-y-3 border-b border-gray-200">
+              <form onSubmit={handleScan}>
+                <input
+                  ref={inputRef}
+                  value={input}
+                  onChange={(e) => setInput(e.target.value)}
+                  placeholder="Scan an item label..."
+                  disabled={checking || lines.length === 0}
+                  autoComplete="off"
+                  className="input-field text-lg"
+                />
+              </form>
+              {lastScan && (
+                <div className={`flex items-center gap-2 p-3 rounded-lg text-sm font-medium ${
+                  lastScan.ok ? 'bg-green-50 text-green-800' : 'bg-red-50 text-red-800'
+                }`}>
+                  {lastScan.ok
+                    ? <CheckCircleIcon className="h-5 w-5 flex-shrink-0" />
+                    : <ExclamationTriangleIcon className="h-5 w-5 flex-shrink-0" />}
+                  <span>{lastScan.ok ? 'Matched: ' : 'Wrong item: '}{lastScan.message}</span>
+                </div>
+              )}
+              <div className="flex items-center justify-between text-sm text-gray-600">
+                <span>{scannedUnits} of {totalUnits} items scanned</span>
+                <button
+                  onClick={undoLastScan}
+                  disabled={codes.length === 0 || checking}
+                  className="flex items-center text-gray-600 hover:text-gray-900 disabled:opacity-40"
+                >
+                  <ArrowUturnLeftIcon className="h-4 w-4 mr-1" />
+                  Undo last scan
+                </button>
+              </div>
+            </div>
+
+            <div className="flex-1 overflow-y-auto p-4 space-y-2">
+              {lines.length === 0 && (
+                <p className="text-center text-gray-500 py-6">
+                  This order has no catalogue items to scan. Check the parcel against the order details.
+                </p>
+              )}
+              {lines.map(line => {
+                const done = line.scanned >= line.quantity
+                return (
+                  <div
+                    key={line.orderItemId}
+                    className={`flex items-center justify-between p-3 rounded-lg border ${
+                      done ? 'border-green-300 bg-green-50' : 'border-gray-200'
+                    }`}
+                  >
+                    <div className="min-w-0">
+                      <div className="font-medium text-gray-900">{line.productName}</div>
+                      <div className="text-xs text-gray-500 font-mono break-all">{line.labelCode}</div>
+                    </div>
+                    <div className={`text-lg font-bold ml-3 ${done ? 'text-green-600' : 'text-gray-900'}`}>
+                      {line.scanned}/{line.quantity}
+                    </div>
+                  </div>
+                )
+              })}
+            </div>
+
+            <div className="p-4 border-t border-gray-200 flex items-center justify-between gap-3">
+              <span className="text-sm text-gray-600">
+                {complete || verifiedAt
+                  ? 'All items verified'
+                  : canSkipScan
+                  ? 'Scanning is optional for this business'
+                  : 'Scan every item to dispatch'}
+              </span>
+              <button
+                onClick={handleDispatch}
+                disabled={!canDispatch || dispatching || checking}
+                className="bg-green-600 hover:bg-green-700 disabled:opacity-50 disabled:cursor-not-allowed text-white font-semibold py-2 px-4 rounded-lg flex items-center"
+              >
+                <TruckIcon className="h-5 w-5 mr-2" />
+                {dispatching ? 'Dispatching...' : 'Dispatch'}
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default PackScanModal
@@ -455,7 +455,11 @@ const ProductDisplay = ({
                                   </div>
                                 </div>
                                 <div className="text-xs font-medium text-gray-900 truncate">{variant.color}{variant.size ? `, ${variant.size}` : ''}</div>
-                                <div className="text-xs text-gray-500">Stock: {variant.currentQuantity}</div>
+                                {(variant.availableQuantity ?? variant.currentQuantity ?? 0) > 0 ? (
+                                  <div className="text-xs text-gray-500">Only {variant.availableQuantity ?? variant.currentQuantity} left</div>
+                                ) : (
+                                  <div className="text-xs text-red-600">Out of stock</div>
+                                )}
                               </button>
                             )
                           })}
@@ -0,0 +1,313 @@
+import { useState, useRef } from 'react'
+import toast from 'react-hot-toast'
+import {
+  XMarkIcon,
+  ArrowUpTrayIcon,
+  ArrowDownTrayIcon,
+  TableCellsIcon,
+  ExclamationTriangleIcon,
+  XCircleIcon
+} from '@heroicons/react/24/outline'
+import api from '../services/api'
+import { downloadFromApi, getPdfErrorMessage } from '../utils/exportUtils'
+
+const SUMMARY_ITEMS = [
+  { key: 'productsToCreate', label: 'New products' },
+  { key: 'productsToUpdate', label: 'Updated products' },
+  { key: 'variantsToCreate', label: 'New variants' },
+  { key: 'variantsToUpdate', label: 'Updated variants' },
+  { key: 'openingStock', label: 'Opening stock units' }
+]
+
+// Import products and variants from CSV/XLSX: pick a file, map its columns, check it, then import
+const ProductImportModal = ({ onClose, onImported }) => {
+  const [step, setStep] = useState('upload') // 'upload', 'map' or 'review'
+  const [file, setFile] = useState(null)
+  const [preview, setPreview] = useState(null)
+  const [mapping, setMapping] = useState({})
+  const [report, setReport] = useState(null)
+  const [working, setWorking] = useState(false)
+  const [exporting, setExporting] = useState('')
+  const fileInputRef = useRef(null)
+
+  const buildFormData = (extra = {}) => {
+    const data = new FormData()
+    data.append('file', file)
+    data.append('mapping', JSON.stringify(mapping))
+    Object.entries(extra).forEach(([key, value]) => data.append(key, value))
+    return data
+  }
+
+  const postForm = (url, data) => api.post(url, data, {
+    headers: {
+      'Content-Type': 'multipart/form-data'
+    }
+  })
+
+  const handleFileChange = async (event) => {
+    const selected = event.target.files[0]
+    event.target.value = ''
+    if (!selected) return
+
+    try {
+      setWorking(true)
+      const data = new FormData()
+      data.append('file', selected)
+      const response = await postForm('/product/import/preview', data)
+      setFile(selected)
+      setPreview(response.data)
+      setMapping(response.data.mapping)
+      setReport(null)
+      setStep('map')
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to read file')
+    } finally {
+      setWorking(false)
+    }
+  }
+
+  const handleCheck = async () => {
+    if (mapping.name === null || mapping.name === undefined) {
+      toast.error('Choose the column that holds the product name')
+      return
+    }
+    try {
+      setWorking(true)
+      const response = await postForm('/product/import', buildFormData({ dryRun: 'true' }))
+      setReport(response.data.report)
+      setStep('review')
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to check file')
+    } finally {
+      setWorking(false)
+    }
+  }
+
+  const handleImport = async () => {
+    try {
+      setWorking(true)
+      const response = await postForm('/product/import', buildFormData())
+      toast.success(response.data.message || 'Products imported')
+      onImported()
+    } catch (error) {
+      if (error.response?.data?.report) {
+        setReport(error.response.data.report)
+      }
+      toast.error(error.response?.data?.error || 'Failed to import products')
+    } finally {
+      setWorking(false)
+    }
+  }
+
+  const handleExport = async (format) => {
+    try {
+      setExporting(format)
+      await downloadFromApi('/product/export', { format }, `products-${new Date().toISOString().slice(0, 10)}.${format}`)
+    } catch (error) {
+      toast.error(await getPdfErrorMessage(error, 'Failed to export products'))
+    } finally {
+      setExporting('')
+    }
+  }
+
+  const setColumn = (field, value) => {
+    setMapping(prev => ({ ...prev, [field]: value === '' ? null : Number(value) }))
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-2xl shadow-2xl w-full max-w-4xl max-h-[90vh] flex flex-col overflow-hidden">
+        <div className="bg-gradient-to-r from-pink-600 to-purple-600 text-white p-6">
+          <div className="flex items-center justify-between">
+            <div className="flex items-center space-x-3">
+              <TableCellsIcon className="h-8 w-8" />
+              <div>
+                <h2 className="text-2xl font-bold">Import / Export Products</h2>
+                <p className="text-pink-100">
+                  {step === 'upload' && 'One row per variant; rows with the same product SKU become one product'}
+                  {step === 'map' && `${file?.name} · ${preview?.totalRows} rows`}
+                  {step === 'review' && 'Nothing is saved until you import'}
+                </p>
+              </div>
+            </div>
+            <button onClick={onClose} className="p-2 hover:bg-white hover:bg-opacity-20 rounded-lg">
+              <XMarkIcon className="h-6 w-6" />
+            </button>
+          </div>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-6">
+          {step === 'upload' && (
+            <div className="space-y-6">
+              <div className="border-2 border-dashed border-gray-300 rounded-xl p-8 text-center">
+                <ArrowUpTrayIcon className="h-10 w-10 mx-auto text-gray-400 mb-3" />
+                <p className="text-gray-700 mb-1">Choose a .csv or .xlsx file</p>
+                <p className="text-sm text-gray-500 mb-4">
+                  Existing products are matched by SKU (or name) and updated. Quantities set opening stock for new items only.
+                </p>
+                <input
+                  ref={fileInputRef}
+                  type="file"
+                  accept=".csv,.xlsx,text/csv,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+                  onChange={handleFileChange}
+                  className="hidden"
+                />
+                <button
+                  onClick={() => fileInputRef.current?.click()}
+                  disabled={working}
+                  className="btn-primary"
+                >
+                  {working ? 'Reading file...' : 'Choose File'}
+                </button>
+              </div>
+
+              <div className="flex flex-col sm:flex-row sm:items-center gap-3 p-4 bg-gray-50 rounded-lg">
+                <p className="flex-1 text-sm text-gray-600">
+                  Export your catalogue to edit it in a spreadsheet or use it as a template.
+                </p>
+                <button
+                  onClick={() => handleExport('xlsx')}
+                  disabled={!!exporting}
+                  className="btn-secondary flex items-center justify-center"
+                >
+                  <ArrowDownTrayIcon className="h-5 w-5 mr-2" />
+                  {exporting === 'xlsx' ? 'Exporting...' : 'Excel'}
+                </button>
+                <button
+                  onClick={() => handleExport('csv')}
+                  disabled={!!exporting}
+                  className="btn-secondary flex items-center justify-center"
+                >
+                  <ArrowDownTrayIcon className="h-5 w-5 mr-2" />
+                  {exporting === 'csv' ? 'Exporting...' : 'CSV'}
+                </button>
+              </div>
+            </div>
+          )}
+
+          {step === 'map' && preview && (
+            <div className="space-y-6">
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-x-6 gap-y-3">
+                {preview.fields.map(field => {
+                  const column = mapping[field.key]
+                  const sample = column !== null && column !== undefined ? preview.sampleRows[0]?.[column] : ''
+                  return (
+                    <div key={field.key} className="flex items-center gap-3">
+                      <label className="w-36 text-sm font-medium text-gray-700">
+                        {field.label}{field.required && <span className="text-red-500"> *</span>}
+                      </label>
+                      <div className="flex-1">
+                        <select
+                          value={column ?? ''}
+                          onChange={(e) => setColumn(field.key, e.target.value)}
+                          className="input-field"
+                        >
+                          <option value="">Not in file</option>
+                          {preview.headers.map((header, index) => (
+                            <option key={index} value={index}>{header || `Column ${index + 1}`}</option>
+                          ))}
+                        </select>
+                        {sample && <p className="text-xs text-gray-500 mt-1 truncate">e.g. {sample}</p>}
+                      </div>
+                    </div>
+                  )
+                })}
+              </div>
+
+              <div className="overflow-x-auto border border-gray-200 rounded-lg">
+                <table className="min-w-full text-xs">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      {preview.headers.map((header, index) => (
+                        <th key={index} className="px-3 py-2 text-left font-medium text-gray-500 whitespace-nowrap">{header}</th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-100">
+                    {preview.sampleRows.map((cells, rowIndex) => (
+                      <tr key={rowIndex}>
+                        {preview.headers.map((header, index) => (
+                          <td key={index} className="px-3 py-2 text-gray-700 whitespace-nowrap">{cells[index]}</td>
+                        ))}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          )}
+
+          {step === 'review' && report && (
+            <div className="space-y-6">
+              <div className="grid grid-cols-2 md:grid-cols-5 gap-3">
+                {SUMMARY_ITEMS.map(item => (
+                  <div key={item.key} className="p-3 bg-gray-50 rounded-lg text-center">
+                    <div className="text-2xl font-bold text-gray-900">{report.summary[item.key]}</div>
+                    <div className="text-xs text-gray-500">{item.label}</div>
+                  </div>
+                ))}
+              </div>
+
+              {report.errors.length > 0 && (
+                <div className="p-4 bg-red-50 border border-red-200 rounded-lg">
+                  <div className="flex items-center gap-2 mb-2 text-red-800 font-medium">
+                    <XCircleIcon className="h-5 w-5" />
+                    {report.errors.length} error(s) to fix before importing
+                  </div>
+                  <ul className="text-sm text-red-700 space-y-1 max-h-48 overflow-y-auto">
+                    {report.errors.map((item, index) => (
+                      <li key={index}>Row {item.line}: {item.message}</li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
+              {report.warnings.length > 0 && (
+                <div className="p-4 bg-yellow-50 border border-yellow-200 rounded-lg">
+                  <div className="flex items-center gap-2 mb-2 text-yellow-800 font-medium">
+                    <ExclamationTriangleIcon className="h-5 w-5" />
+                    {report.warnings.length} warning(s)
+                  </div>
+                  <ul className="text-sm text-yellow-800 space-y-1 max-h-48 overflow-y-auto">
+                    {report.warnings.map((item, index) => (
+                      <li key={index}>Row {item.line}: {item.message}</li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
+              {report.valid && (
+                <p className="text-sm text-green-700">
+                  All {report.totalRows} rows are valid and ready to import.
+                </p>
+              )}
+            </div>
+          )}
+        </div>
+
+        {step !== 'upload' && (
+          <div className="p-4 border-t border-gray-200 flex justify-between">
+            <button
+              onClick={() => setStep(step === 'review' ? 'map' : 'upload')}
+              disabled={working}
+              className="btn-secondary"
+            >
+              Back
+            </button>
+            {step === 'map' ? (
+              <button onClick={handleCheck} disabled={working} className="btn-primary">
+                {working ? 'Checking...' : 'Check File'}
+              </button>
+            ) : (
+              <button onClick={handleImport} disabled={working || !report?.valid} className="btn-primary disabled:opacity-50">
+                {working ? 'Importing...' : 'Import'}
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default ProductImportModal
@@ -2,8 +2,8 @@ import { Navigate } from 'react-router-dom'
 import { useAuth } from '../contexts/AuthContext'
 import LoadingSpinner from './LoadingSpinner'
 
-const ProtectedRoute = ({ children, allowedRoles = [] }) => {
-  const { user, loading, isAuthenticated } = useAuth()
+const ProtectedRoute = ({ children, allowedRoles = [], permission = null }) => {
+  const { user, loading, isAuthenticated, hasPermission } = useAuth()
 
   if (loading) {
     return <LoadingSpinner />
@@ -22,11 +22,18 @@ const ProtectedRoute = ({ children, allowedRoles = [] }) => {
         return <Navigate to="/business" replace />
       case 'STOCK_KEEPER':
         return <Navigate to="/stock" replace />
+      case 'STAFF':
+        return <Navigate to="/business" replace />
       default:
         return <Navigate to="/login" replace />
     }
   }
 
+  // Staff without the page's permission go back to the dashboard
+  if (permission && !hasPermission(permission)) {
+    return <Navigate to="/business" replace />
+  }
+
   return children
 }
 
@@ -23,6 +23,7 @@ import LoadingSpinner from './LoadingSpinner'
 import CartModal from './CartModal'
 import CityAutocomplete from './CityAutocomplete'
 import WhatsAppConfirmationModal from './WhatsAppConfirmationModal'
+import { isFieldShown, getValidationRules, getFieldOptions } from '../utils/formFieldRules'
 
 const ShoppingCartForm = ({ form, onSubmit }) => {
   const { formLink } = useParams()
@@ -39,6 +40,9 @@ const ShoppingCartForm = ({ form, onSubmit }) => {
   const [customerInfo, setCustomerInfo] = useState({})
   const [shippingCharges, setShippingCharges] = useState(0)
   const [loadingShipping, setLoadingShipping] = useState(false)
+  const [couponCode, setCouponCode] = useState('')
+  const [appliedCoupon, setAppliedCoupon] = useState(null) // { code, name, discountAmount }
+  const [applyingCoupon, setApplyingCoupon] = useState(false)
   const [whatsappModal, setWhatsappModal] = useState({ isOpen: false, url: null, phone: null, orderId: null })
   const [paymentMethod, setPaymentMethod] = useState('cash_on_delivery') // 'cash_on_delivery' or 'prepaid'
   const [paymentAmount, setPaymentAmount] = useState('')
@@ -242,14 +246,20 @@ const ShoppingCartForm = ({ form, onSubmit }) => {
     }
   }
 
-  // Available quantity for display: use variant total when product has variants, else product-level stock
+  // Available quantity for display: stock not held by other pending orders when the server
+  // sends it, else variant total when product has variants, else product-level stock
   const getProductAvailableQty = (product) => {
+    if (product.availableQuantity != null) {
+      return product.availableQuantity
+    }
     if (product.hasVariants && product.totalVariantStock != null) {
       return product.totalVariantStock
     }
     return product.currentQuantity ?? product.quantity ?? 0
   }
 
+  const getVariantAvailableQty = (variant) => variant.availableQuantity ?? variant.currentQuantity ?? 0
+
   // Fetch variants for a product
   const fetchProductVariants = async (productId) => {
     if (!productId || productVariants[productId]) {
@@ -277,7 +287,7 @@ const ShoppingCartForm = ({ form, onSubmit }) => {
     // If product has variants, use card-selected variant if one is chosen and in stock; otherwise show popup
     if (product.hasVariants) {
       const selectedOnCard = cardSelectedVariant[product.id]
-      if (selectedOnCard && (selectedOnCard.currentQuantity ?? 0) > 0) {
+      if (selectedOnCard && getVariantAvailableQty(selectedOnCard) > 0) {
         addProductToCart(product, selectedOnCard)
         return
       }
@@ -298,15 +308,7 @@ const ShoppingCartForm = ({ form, onSubmit }) => {
 
   const addProductToCart = (product, variant) => {
     // Check stock (variant stock or product stock)
-    let stock = 0
-    if (variant) {
-      stock = variant.currentQuantity || 0
-    } else {
-      stock = product.currentQuantity || product.quantity || 0
-      if (product.hasVariants && product.totalVariantStock !== null) {
-        stock = product.totalVariantStock || 0
-      }
-    }
+    const stock = variant ? getVariantAvailableQty(variant) : getProductAvailableQty(product)
 
     if (stock <= 0) {
       toast.error(`${product.name}${variant ? ` (${variant.color}${variant.size ? `, ${variant.size}` : ''})` : ''} is out of stock`)
@@ -320,6 +322,11 @@ const ShoppingCartForm = ({ form, onSubmit }) => {
       return itemKey === cartItemKey
     })
     
+    if (existingItem && existingItem.quantity >= stock) {
+      toast.error(`Only ${stock} left of ${product.name}`)
+      return
+    }
+
     if (existingItem) {
       setCart(cart.map(item => {
         const itemKey = item.variantId ? `${item.id}-${item.variantId}` : item.id
@@ -343,6 +350,7 @@ const ShoppingCartForm = ({ form, onSubmit }) => {
         productVariantId: variant?.id || null,
         color: variant?.color || null,
         size: variant?.size || null,
+        stockLimit: stock,
         primaryMediaType: primaryMediaType || undefined
       }
       
@@ -367,6 +375,11 @@ const ShoppingCartForm = ({ form, onSubmit }) => {
       removeFromCart(lineKey)
       return
     }
+    const line = cart.find(item => getCartLineKey(item) === lineKey)
+    if (line?.stockLimit != null && quantity > line.stockLimit) {
+      toast.error(`Only ${line.stockLimit} left of ${line.name}`)
+      return
+    }
     setCart(cart.map(item =>
       getCartLineKey(item) === lineKey ? { ...item, quantity } : item
     ))
@@ -376,8 +389,66 @@ const ShoppingCartForm = ({ form, onSubmit }) => {
     return cart.reduce((total, item) => total + (item.price * item.quantity), 0)
   }
 
+  const getDiscount = () => {
+    return appliedCoupon ? appliedCoupon.discountAmount : 0
+  }
+
   const getTotalPrice = () => {
-    return getSubtotal() + shippingCharges
+    return getSubtotal() - getDiscount() + shippingCharges
+  }
+
+  // Product lines in the shape /order/submit and /order/apply-coupon expect
+  const getCartPayload = () => ({
+    selectedProducts: cart.length > 0 ? JSON.stringify(cart.map(item => ({
+      id: item.id,
+      name: item.name,
+      price: item.price,
+      quantity: item.quantity,
+      variantId: item.variantId || item.productVariantId || null,
+      productVariantId: item.variantId || item.productVariantId || null,
+      color: item.color || null,
+      size: item.size || null
+    }))) : null,
+    productQuantities: JSON.stringify(cart.reduce((acc, item) => {
+      const vid = item.variantId || item.productVariantId
+      const key = vid ? `${item.id}_${vid}` : item.id
+      acc[key] = item.quantity
+      return acc
+    }, {})),
+    productPrices: JSON.stringify(cart.reduce((acc, item) => {
+      const vid = item.variantId || item.productVariantId
+      const key = vid ? `${item.id}_${vid}` : item.id
+      acc[key] = item.price
+      return acc
+    }, {}))
+  })
+
+  // The discount depends on the cart, so it has to be applied again after any change
+  useEffect(() => {
+    setAppliedCoupon(null)
+  }, [cart])
+
+  const applyCoupon = async () => {
+    if (!couponCode.trim() || cart.length === 0) return
+    try {
+      setApplyingCoupon(true)
+      const response = await api.post('/order/apply-coupon', {
+        formLink: formLink || form.formLink,
+        couponCode: couponCode.trim(),
+        ...getCartPayload()
+      })
+      setAppliedCoupon(response.data)
+      toast.success(`Discount code ${response.data.code} applied`)
+    } catch (error) {
+      setAppliedCoupon(null)
+    } finally {
+      setApplyingCoupon(false)
+    }
+  }
+
+  const removeCoupon = () => {
+    setAppliedCoupon(null)
+    setCouponCode('')
   }
 
   const getTotalItems = () => {
@@ -464,7 +535,10 @@ const ShoppingCartForm = ({ form, onSubmit }) => {
       const formData = {}
       if (form.fields) {
         form.fields.forEach(field => {
-          if (['TEXT', 'EMAIL', 'PHONE', 'ADDRESS', 'TEXTAREA'].includes(field.fieldType)) {
+          const isAnswerField = ['TEXT', 'EMAIL', 'PHONE', 'ADDRESS', 'TEXTAREA'].includes(field.fieldType) ||
+            EXTRA_FIELD_TYPES.includes(field.fieldType)
+          // Questions hidden by a show/hide rule are not sent
+          if (isAnswerField && isFieldShown(field, data, form.fields)) {
             const value = data[field.label]
             if (field.isRequired) {
               formData[field.label] = value || ''
@@ -498,28 +572,8 @@ const ShoppingCartForm = ({ form, onSubmit }) => {
         paymentAmount: finalPaymentAmount,
         images: [],
         paymentReceipt: paymentMethod === 'prepaid' ? (paymentReceipt?.url || null) : null,
-        selectedProducts: cart.length > 0 ? JSON.stringify(cart.map(item => ({
-          id: item.id,
-          name: item.name,
-          price: item.price,
-          quantity: item.quantity,
-          variantId: item.variantId || item.productVariantId || null,
-          productVariantId: item.variantId || item.productVariantId || null,
-          color: item.color || null,
-          size: item.size || null
-        }))) : null,
-        productQuantities: JSON.stringify(cart.reduce((acc, item) => {
-          const vid = item.variantId || item.productVariantId
-          const key = vid ? `${item.id}_${vid}` : item.id
-          acc[key] = item.quantity
-          return acc
-        }, {})),
-        productPrices: JSON.stringify(cart.reduce((acc, item) => {
-          const vid = item.variantId || item.productVariantId
-          const key = vid ? `${item.id}_${vid}` : item.id
-          acc[key] = item.price
-          return acc
-        }, {}))
+        ...getCartPayload(),
+        couponCode: appliedCoupon ? appliedCoupon.code : null
       }
 
       console.log('📤 Submitting order data:', orderData)
@@ -574,6 +628,8 @@ const ShoppingCartForm = ({ form, onSubmit }) => {
 
   // Desired order for customer info: Customer Name, Phone Number, Shipping Address, City, CNIC, Email
   const CUSTOMER_FIELD_ORDER = ['Customer Name', 'Phone Number', 'Shipping Address', 'City', 'CNIC', 'Email Address']
+  // Builder field types asked after the standard customer details
+  const EXTRA_FIELD_TYPES = ['CITY', 'NUMBER', 'DATE', 'RADIO', 'CHECKBOX']
 
   /** Pakistan CNIC: 13 digits, format XXXXX-XXXXXXX-X (5-7-1). Optional field. */
   const validateCNIC = (value) => {
@@ -593,6 +649,7 @@ const ShoppingCartForm = ({ form, onSubmit }) => {
     )
     const fieldByLabel = {}
     customerFields.forEach(f => { fieldByLabel[f.label] = f })
+    const answers = watch()
 
     const elements = []
     CUSTOMER_FIELD_ORDER.forEach((label, index) => {
@@ -659,7 +716,7 @@ const ShoppingCartForm = ({ form, onSubmit }) => {
         return
       }
       const field = fieldByLabel[label]
-      if (!field) return
+      if (!field || !isFieldShown(field, answers, form.fields)) return
 
       const Icon = getFieldIcon(field.fieldType)
       const fieldName = field.label
@@ -754,9 +811,96 @@ const ShoppingCartForm = ({ form, onSubmit }) => {
       )
     })
 
+    form.fields
+      .filter(field =>
+        EXTRA_FIELD_TYPES.includes(field.fieldType) &&
+        !CUSTOMER_FIELD_ORDER.includes(field.label) &&
+        isFieldShown(field, answers, form.fields)
+      )
+      .forEach(field => {
+        const errorMessage = errors[field.label]?.message
+        elements.push(
+          <div key={field.label} className="space-y-2">
+            <label className={`block text-sm font-medium ${errorMessage ? 'text-red-700' : 'text-gray-700'}`}>
+              {field.label} {field.isRequired && <span className="text-red-500">*</span>}
+            </label>
+            {renderExtraField(field, !!errorMessage)}
+            {errorMessage && (
+              <p className="mt-1 text-red-600 text-sm font-medium flex items-center gap-1.5">
+                <span className="text-red-500">●</span>
+                <span>{errorMessage}</span>
+              </p>
+            )}
+          </div>
+        )
+      })
+
     return elements
   }
 
+  const renderExtraField = (field, hasError) => {
+    const rules = getValidationRules(field)
+    const inputClassName = `w-full px-3 py-2 border-2 rounded-md focus:outline-none focus:ring-2 bg-white text-gray-900 transition-colors ${
+      hasError ? 'border-red-500 focus:ring-red-500 focus:border-red-500 bg-red-50' : 'border-gray-300 focus:ring-pink-500 focus:border-pink-500'
+    }`
+
+    switch (field.fieldType) {
+      case 'CITY':
+        return (
+          <>
+            <CityAutocomplete
+              name={field.label}
+              value={watch(field.label) || ''}
+              onChange={(e) => setValue(field.label, e.target.value, { shouldValidate: true })}
+              onBlur={() => trigger(field.label)}
+              required={field.isRequired}
+              placeholder={field.placeholder || 'Select or type city name'}
+            />
+            <input type="hidden" {...register(field.label, rules)} />
+          </>
+        )
+      case 'NUMBER':
+        return <input type="number" step="any" {...register(field.label, rules)} placeholder={field.placeholder || ''} className={inputClassName} />
+      case 'DATE':
+        return <input type="date" {...register(field.label, rules)} className={inputClassName} />
+      case 'RADIO':
+        return (
+          <div className="space-y-2">
+            {getFieldOptions(field).map(option => (
+              <label key={option} className="flex items-center gap-2 text-sm text-gray-900">
+                <input type="radio" value={option} {...register(field.label, rules)} className="text-pink-600 focus:ring-pink-500" />
+                {option}
+              </label>
+            ))}
+          </div>
+        )
+      case 'CHECKBOX': {
+        const options = getFieldOptions(field)
+        // Without options this is a single tick box (e.g. accepting terms)
+        if (options.length === 0) {
+          return (
+            <label className="flex items-center gap-2 text-sm text-gray-900">
+              <input type="checkbox" value="Yes" {...register(field.label, rules)} className="rounded text-pink-600 focus:ring-pink-500" />
+              {field.placeholder || field.label}
+            </label>
+          )
+        }
+        return (
+          <div className="space-y-2">
+            {options.map(option => (
+              <label key={option} className="flex items-center gap-2 text-sm text-gray-900">
+                <input type="checkbox" value={option} {...register(field.label, rules)} className="rounded text-pink-600 focus:ring-pink-500" />
+                {option}
+              </label>
+            ))}
+          </div>
+        )
+      }
+      default:
+        return null
+    }
+  }
+
   const getFieldIcon = (fieldType) => {
     switch (fieldType) {
       case 'EMAIL': return UserIcon
@@ -876,7 +1020,7 @@ const ShoppingCartForm = ({ form, onSubmit }) => {
               const mainMediaIsVideo = mainMediaIsVariant
                 ? displayVariant.images?.[0]?.imageType?.startsWith('video/')
                 : product.productImages?.[0]?.mediaType?.startsWith('video/')
-              const variantStock = displayVariant != null ? (displayVariant.currentQuantity ?? 0) : null
+              const variantStock = displayVariant != null ? getVariantAvailableQty(displayVariant) : null
               const displayQty = variantStock != null ? variantStock : availableQty
               const hasGallery = (product.productImages?.length > 1) || (product.hasVariants && product.variants?.some(v => v.images?.length))
               return (
@@ -926,7 +1070,7 @@ const ShoppingCartForm = ({ form, onSubmit }) => {
                   {/* Stock Badge */}
                   {displayQty > 0 && displayQty < 10 && (
                     <div className="absolute top-3 right-3 bg-yellow-500 text-white px-3 py-1 rounded-full text-xs font-semibold">
-                      Low Stock
+                      Only {displayQty} left
                     </div>
                   )}
 
@@ -968,7 +1112,7 @@ const ShoppingCartForm = ({ form, onSubmit }) => {
                               type="button"
                               onClick={() => setCardSelectedVariant(prev => ({ ...prev, [product.id]: v }))}
                               className={`flex-shrink-0 w-10 h-10 rounded-lg overflow-hidden border-2 bg-gray-100 transition-all focus:outline-none focus:ring-2 focus:ring-pink-500 focus:ring-offset-1 ${isSelected ? 'border-pink-500 ring-2 ring-pink-200 ring-offset-1' : 'border-gray-200 hover:border-pink-300'}`}
-                              title={`${v.color}${v.size ? `, ${v.size}` : ''}${v.currentQuantity != null ? ` · ${v.currentQuantity} in stock` : ''}`}
+                              title={`${v.color}${v.size ? `, ${v.size}` : ''}${v.currentQuantity != null ? ` · ${getVariantAvailableQty(v)} in stock` : ''}`}
                             >
                               {isVid ? (
                                 <video src={thumbUrl} className="w-full h-full object-cover" muted playsInline autoPlay loop preload="metadata" />
@@ -1229,6 +1373,37 @@ const ShoppingCartForm = ({ form, onSubmit }) => {
                       Rs.{getSubtotal().toFixed(2).replace(/\B(?=(\d{3})+(?!\d))/g, ',')} PKR
                     </span>
                   </div>
+                  {appliedCoupon ? (
+                    <div className="flex justify-between items-center text-sm">
+                      <span className="text-green-700 font-medium">
+                        Discount ({appliedCoupon.code})
+                        <button type="button" onClick={removeCoupon} className="ml-2 text-xs text-gray-500 underline">
+                          Remove
+                        </button>
+                      </span>
+                      <span className="font-semibold text-green-700">
+                        -Rs.{appliedCoupon.discountAmount.toFixed(2).replace(/\B(?=(\d{3})+(?!\d))/g, ',')} PKR
+                      </span>
+                    </div>
+                  ) : (
+                    <div className="flex gap-2">
+                      <input
+                        type="text"
+                        value={couponCode}
+                        onChange={(e) => setCouponCode(e.target.value.toUpperCase())}
+                        placeholder="Discount code"
+                        className="flex-1 min-w-0 px-3 py-2 border border-gray-300 rounded-lg text-sm min-h-[44px]"
+                      />
+                      <button
+                        type="button"
+                        onClick={applyCoupon}
+                        disabled={applyingCoupon || !couponCode.trim()}
+                        className="px-4 py-2 rounded-lg bg-gray-800 text-white text-sm font-medium min-h-[44px] disabled:opacity-50"
+                      >
+                        {applyingCoupon ? 'Applying...' : 'Apply'}
+                      </button>
+                    </div>
+                  )}
                   <div className="flex justify-between items-center text-sm">
                     <span className="text-gray-600 font-medium">
                       Shipping {loadingShipping && <span className="text-gray-400">(calculating...)</span>}
@@ -1583,6 +1758,14 @@ const ShoppingCartForm = ({ form, onSubmit }) => {
                         Rs.{getSubtotal().toFixed(2).replace(/\B(?=(\d{3})+(?!\d))/g, ',')}
                       </span>
                     </div>
+                    {appliedCoupon && (
+                      <div className="flex justify-between items-center text-sm">
+                        <span className="text-green-700 font-medium">Discount ({appliedCoupon.code})</span>
+                        <span className="font-semibold text-green-700">
+                          -Rs.{appliedCoupon.discountAmount.toFixed(2).replace(/\B(?=(\d{3})+(?!\d))/g, ',')}
+                        </span>
+                      </div>
+                    )}
                     <div className="flex justify-between items-center text-sm">
                       <span className="text-gray-600 font-medium">Shipping</span>
                       <span className="font-semibold text-gray-900">
@@ -1744,9 +1927,9 @@ const ShoppingCartForm = ({ form, onSubmit }) => {
                         </div>
                         <div className="text-right flex-shrink-0">
                           <div className={`text-sm font-semibold ${
-                            variant.currentQuantity > 0 ? 'text-green-600' : 'text-red-600'
+                            getVariantAvailableQty(variant) > 0 ? 'text-green-600' : 'text-red-600'
                           }`}>
-                            {variant.currentQuantity > 0 ? `${variant.currentQuantity} in stock` : 'Out of stock'}
+                            {getVariantAvailableQty(variant) > 0 ? `Only ${getVariantAvailableQty(variant)} left` : 'Out of stock'}
                           </div>
                         </div>
                       </div>
@@ -1770,7 +1953,7 @@ const ShoppingCartForm = ({ form, onSubmit }) => {
               <button
                 type="button"
                 onClick={() => {
-                  if (selectedVariant && selectedVariant.currentQuantity > 0) {
+                  if (selectedVariant && getVariantAvailableQty(selectedVariant) > 0) {
                     addProductToCart(variantSelectionModal.product, selectedVariant)
                   } else if (!selectedVariant && !variantSelectionModal.product.hasVariants) {
                     // Allow adding product without variant if it doesn't require variants
@@ -1779,7 +1962,7 @@ const ShoppingCartForm = ({ form, onSubmit }) => {
                     toast.error('Please select a variant with available stock')
                   }
                 }}
-                disabled={!selectedVariant || selectedVariant.currentQuantity <= 0}
+                disabled={!selectedVariant || getVariantAvailableQty(selectedVariant) <= 0}
                 className="px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-lg hover:bg-blue-700 disabled:bg-gray-300 disabled:cursor-not-allowed"
               >
                 Add to Cart
@@ -1848,14 +2031,14 @@ const ShoppingCartForm = ({ form, onSubmit }) => {
                       const isVid = v.images?.[0]?.imageType?.startsWith('video/')
                       const thumbUrl = getImageUrl('product-variant', v.id, true, v.images?.[0]?.id)
                       const isSelected = galleryModal.selectedVariant?.id === v.id
-                      const inStock = (v.currentQuantity ?? 0) > 0
+                      const inStock = getVariantAvailableQty(v) > 0
                       return (
                         <button
                           key={v.id}
                           type="button"
                           onClick={() => setGalleryModal(prev => ({ ...prev, selectedVariant: v, selectedVariantMediaIndex: 0 }))}
                           className={`flex flex-col items-center rounded-xl p-1 transition-all focus:outline-none focus:ring-2 focus:ring-pink-500 focus:ring-offset-2 ${isSelected ? 'ring-2 ring-pink-500 ring-offset-2 bg-pink-50' : 'hover:bg-gray-50'} ${!inStock ? 'opacity-60' : ''}`}
-                          title={`${v.color}${v.size ? `, ${v.size}` : ''}${inStock ? ` · ${v.currentQuantity} in stock` : ' · Out of stock'}`}
+                          title={`${v.color}${v.size ? `, ${v.size}` : ''}${inStock ? ` · ${getVariantAvailableQty(v)} in stock` : ' · Out of stock'}`}
                         >
                           <div className={`w-20 h-20 rounded-lg overflow-hidden border-2 bg-gray-100 ${isSelected ? 'border-pink-500' : 'border-gray-200'}`}>
                             {isVid ? <video src={thumbUrl} className="w-full h-full object-cover" muted playsInline autoPlay loop preload="metadata" /> : <img src={thumbUrl} alt="" className="w-full h-full object-cover" onError={e => { e.target.style.display = 'none' }} />}
@@ -1949,7 +2132,7 @@ const ShoppingCartForm = ({ form, onSubmit }) => {
                         toast.error('Please select a variant first')
                         return
                       }
-                      if (variant && (variant.currentQuantity ?? 0) <= 0) {
+                      if (variant && getVariantAvailableQty(variant) <= 0) {
                         toast.error('Selected variant is out of stock')
                         return
                       }
@@ -16,36 +16,56 @@ import {
     CogIcon,
     CalculatorIcon,
     ArrowPathIcon,
-    UserCircleIcon
+    UserCircleIcon,
+    ClipboardDocumentListIcon,
+    ReceiptPercentIcon,
+    BuildingStorefrontIcon,
+    ClipboardDocumentCheckIcon
 } from '@heroicons/react/24/outline';
 
 const Sidebar = ({ onLogout, isOpen, onClose }) => {
-    const { user } = useAuth();
+    const { user, hasPermission } = useAuth();
     // Main Menu - Core Operations (most frequently used)
     const menuItems = [
         { name: 'Dashboard', icon: Squares2X2Icon, path: '/business' },
-        { name: 'Orders', icon: ShoppingBagIcon, path: '/business/orders' },
-        { name: 'Order Returns', icon: ArrowPathIcon, path: '/business/accounting/returns' },
-        { name: 'Customers', icon: UsersIcon, path: '/business/customers' },
-        { name: 'Reports', icon: ChartBarIcon, path: '/business/reports' },
+        { name: 'Orders', icon: ShoppingBagIcon, path: '/business/orders', permission: 'orders:view' },
+        { name: 'Order Returns', icon: ArrowPathIcon, path: '/business/accounting/returns', permission: 'orders:view' },
+        { name: 'Customers', icon: UsersIcon, path: '/business/customers', permission: 'customers:view' },
+        { name: 'Reports', icon: ChartBarIcon, path: '/business/reports', permission: 'accounting:view' },
     ];
 
     // Inventory & Procurement
     const inventoryItems = [
-        { name: 'Products', icon: TagIcon, path: '/business/products' },
-        { name: 'Purchases', icon: CurrencyDollarIcon, path: '/business/purchases' },
-        { name: 'Suppliers', icon: BuildingOfficeIcon, path: '/business/suppliers' },
-        { name: 'Supplier Returns', icon: ArrowLeftOnRectangleIcon, path: '/business/returns' },
-        { name: 'Vendors', icon: TruckIcon, path: '/business/vendors' },
+        { name: 'Products', icon: TagIcon, path: '/business/products', permission: 'products:view' },
+        { name: 'Stock Locations', icon: BuildingStorefrontIcon, path: '/business/locations', permission: 'products:view' },
+        { name: 'Stock Counts', icon: ClipboardDocumentCheckIcon, path: '/business/stock-counts', permission: ['stock:count', 'stock:approve'] },
+        { name: 'Purchases', icon: CurrencyDollarIcon, path: '/business/purchases', permission: 'purchases:view' },
+        { name: 'Suppliers', icon: BuildingOfficeIcon, path: '/business/suppliers', permission: 'purchases:view' },
+        { name: 'Supplier Returns', icon: ArrowLeftOnRectangleIcon, path: '/business/returns', permission: 'purchases:view' },
+        { name: 'Vendors', icon: TruckIcon, path: '/business/vendors', permission: 'purchases:view' },
     ];
 
     // Configuration & Setup
     const configItems = [
-        { name: 'Order Forms', icon: DocumentTextIcon, path: '/business/forms' },
-        { name: 'Accounting', icon: CalculatorIcon, path: '/business/accounting' },
-        { name: 'Settings', icon: CogIcon, path: '/business/settings' },
+        { name: 'Order Forms', icon: DocumentTextIcon, path: '/business/forms', permission: 'forms:edit' },
+        { name: 'Discount Codes', icon: ReceiptPercentIcon, path: '/business/promotions', permission: 'promotions:edit' },
+        { name: 'Accounting', icon: CalculatorIcon, path: '/business/accounting', permission: 'accounting:view' },
+        { name: 'Audit Log', icon: ClipboardDocumentListIcon, path: '/business/audit-log', permission: 'audit:view' },
+        { name: 'Settings', icon: CogIcon, path: '/business/settings', ownerOnly: true },
     ];
 
+    // Staff only see the sections they were granted
+    const isVisible = (item) => {
+        if (item.ownerOnly) return user?.role === 'BUSINESS_OWNER';
+        return !item.permission || hasPermission(item.permission);
+    };
+
+    const sections = [
+        { title: 'Menu', items: menuItems.filter(isVisible) },
+        { title: 'Inventory & Procurement', items: inventoryItems.filter(isVisible) },
+        { title: 'Configuration', items: configItems.filter(isVisible) },
+    ].filter(section => section.items.length > 0);
+
     const NavItem = ({ item }) => (
         <NavLink
             to={item.path}
@@ -136,35 +156,16 @@ const Sidebar = ({ onLogout, isOpen, onClose }) => {
 
                 {/* Menu */}
                 <div className="flex-1 px-4 py-2 overflow-y-auto h-[calc(100vh-200px)]">
-                    {/* Main Menu - Core Operations */}
-                    <div className="mb-8">
-                        <p className="px-4 text-xs font-bold text-gray-400 uppercase tracking-wider mb-4">Menu</p>
-                        <div className="space-y-1">
-                            {menuItems.map((item) => (
-                                <NavItem key={item.name} item={item} />
-                            ))}
-                        </div>
-                    </div>
-
-                    {/* Inventory & Procurement */}
-                    <div className="mb-8">
-                        <p className="px-4 text-xs font-bold text-gray-400 uppercase tracking-wider mb-4">Inventory & Procurement</p>
-                        <div className="space-y-1">
-                            {inventoryItems.map((item) => (
-                                <NavItem key={item.name} item={item} />
-                            ))}
-                        </div>
-                    </div>
-
-                    {/* Configuration & Setup */}
-                    <div>
-                        <p className="px-4 text-xs font-bold text-gray-400 uppercase tracking-wider mb-4">Configuration</p>
-                        <div className="space-y-1">
-                            {configItems.map((item) => (
-                                <NavItem key={item.name} item={item} />
-                            ))}
+                    {sections.map((section, index) => (
+                        <div key={section.title} className={index < sections.length - 1 ? 'mb-8' : ''}>
+                            <p className="px-4 text-xs font-bold text-gray-400 uppercase tracking-wider mb-4">{section.title}</p>
+                            <div className="space-y-1">
+                                {section.items.map((item) => (
+                                    <NavItem key={item.name} item={item} />
+                                ))}
+                            </div>
                         </div>
-                    </div>
+                    ))}
                 </div>
             </div>
         </>
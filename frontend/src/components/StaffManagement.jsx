@@ -0,0 +1,311 @@
+import { useState, useEffect } from 'react'
+import { UsersIcon, PencilSquareIcon, TrashIcon, PlusIcon } from '@heroicons/react/24/outline'
+import api from '../services/api'
+import toast from 'react-hot-toast'
+import LoadingSpinner from './LoadingSpinner'
+
+const PRESET_LABELS = {
+  ORDER_TAKER: 'Order taker',
+  PACKER: 'Packer',
+  ACCOUNTANT: 'Accountant'
+}
+
+const emptyForm = {
+  name: '',
+  email: '',
+  password: '',
+  permissions: []
+}
+
+const StaffManagement = () => {
+  const [members, setMembers] = useState([])
+  const [permissionLabels, setPermissionLabels] = useState({})
+  const [presets, setPresets] = useState({})
+  const [loading, setLoading] = useState(true)
+  const [saving, setSaving] = useState(false)
+  const [editingMember, setEditingMember] = useState(null)
+  const [showForm, setShowForm] = useState(false)
+  const [form, setForm] = useState(emptyForm)
+
+  useEffect(() => {
+    fetchStaff()
+  }, [])
+
+  const fetchStaff = async () => {
+    try {
+      setLoading(true)
+      const response = await api.get('/tenant/owner/staff')
+      setMembers(response.data.data || [])
+      setPermissionLabels(response.data.permissions || {})
+      setPresets(response.data.presets || {})
+    } catch (error) {
+      console.error('Failed to load staff:', error)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const openCreate = () => {
+    setEditingMember(null)
+    setForm(emptyForm)
+    setShowForm(true)
+  }
+
+  const openEdit = (member) => {
+    setEditingMember(member)
+    setForm({
+      name: member.user.name,
+      email: member.user.email,
+      password: '',
+      permissions: member.permissions
+    })
+    setShowForm(true)
+  }
+
+  const togglePermission = (permission) => {
+    setForm(prev => ({
+      ...prev,
+      permissions: prev.permissions.includes(permission)
+        ? prev.permissions.filter(p => p !== permission)
+        : [...prev.permissions, permission]
+    }))
+  }
+
+  const applyPreset = (preset) => {
+    if (!preset) return
+    setForm(prev => ({ ...prev, permissions: presets[preset] || [] }))
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    try {
+      setSaving(true)
+      if (editingMember) {
+        const payload = { name: form.name, permissions: form.permissions }
+        if (form.password) payload.password = form.password
+        await api.put(`/tenant/owner/staff/${editingMember.id}`, payload)
+        toast.success('Staff member updated')
+      } else {
+        await api.post('/tenant/owner/staff', form)
+        toast.success('Staff member added')
+      }
+      setShowForm(false)
+      fetchStaff()
+    } catch (error) {
+      console.error('Failed to save staff member:', error)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleToggleActive = async (member) => {
+    try {
+      await api.put(`/tenant/owner/staff/${member.id}`, { isActive: !member.isActive })
+      toast.success(member.isActive ? 'Access suspended' : 'Access restored')
+      fetchStaff()
+    } catch (error) {
+      console.error('Failed to update staff access:', error)
+    }
+  }
+
+  const handleDelete = async (member) => {
+    if (!window.confirm(`Remove ${member.user.name}? Their login will be deleted.`)) return
+    try {
+      await api.delete(`/tenant/owner/staff/${member.id}`)
+      toast.success('Staff member removed')
+      fetchStaff()
+    } catch (error) {
+      console.error('Failed to remove staff member:', error)
+    }
+  }
+
+  return (
+    <div className="card p-6">
+      <div className="flex justify-between items-center mb-6">
+        <div>
+          <h3 className="text-lg font-bold text-gray-900">Staff</h3>
+          <p className="text-sm text-gray-600 mt-1">
+            Give order-takers, packers and your accountant their own login with only the access they need.
+          </p>
+        </div>
+        <button
+          type="button"
+          onClick={openCreate}
+          className="inline-flex items-center px-4 py-2 bg-pink-600 text-white rounded-lg hover:bg-pink-700 transition-colors text-sm font-medium"
+        >
+          <PlusIcon className="h-5 w-5 mr-2" />
+          Add staff member
+        </button>
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center py-12">
+          <LoadingSpinner />
+        </div>
+      ) : members.length === 0 ? (
+        <div className="text-center py-12 bg-gray-50 rounded-lg border-2 border-dashed border-gray-200">
+          <UsersIcon className="h-12 w-12 text-gray-400 mx-auto mb-3" />
+          <p className="text-gray-600 font-medium">No staff members yet</p>
+          <p className="text-sm text-gray-500 mt-1">Staff sign in with their own email and only see what you allow.</p>
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {members.map((member) => (
+            <div
+              key={member.id}
+              className="border border-gray-200 rounded-lg p-4 bg-white hover:border-gray-300 transition-colors"
+            >
+              <div className="flex justify-between items-start gap-4">
+                <div className="flex-1 min-w-0">
+                  <div className="flex items-center gap-2 flex-wrap">
+                    <span className="font-semibold text-gray-900">{member.user.name}</span>
+                    {!member.isActive && (
+                      <span className="px-2 py-0.5 text-xs font-medium rounded bg-gray-200 text-gray-700">Suspended</span>
+                    )}
+                  </div>
+                  <p className="text-sm text-gray-600 mt-1">{member.user.email}</p>
+                  <div className="flex flex-wrap gap-1 mt-2">
+                    {member.permissions.length === 0 ? (
+                      <span className="text-xs text-gray-500">No permissions</span>
+                    ) : (
+                      member.permissions.map(permission => (
+                        <span key={permission} className="px-2 py-0.5 text-xs rounded bg-pink-50 text-pink-700">
+                          {permission}
+                        </span>
+                      ))
+                    )}
+                  </div>
+                </div>
+                <div className="flex items-center gap-2 flex-shrink-0">
+                  <button
+                    type="button"
+                    onClick={() => handleToggleActive(member)}
+                    className="px-3 py-1.5 text-xs font-medium border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50"
+                  >
+                    {member.isActive ? 'Suspend' : 'Restore'}
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => openEdit(member)}
+                    className="p-2 text-gray-600 hover:text-pink-600 hover:bg-pink-50 rounded-lg"
+                    title="Edit"
+                  >
+                    <PencilSquareIcon className="h-5 w-5" />
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => handleDelete(member)}
+                    className="p-2 text-gray-600 hover:text-red-600 hover:bg-red-50 rounded-lg"
+                    title="Remove"
+                  >
+                    <TrashIcon className="h-5 w-5" />
+                  </button>
+                </div>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {showForm && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+          <div className="bg-white rounded-lg shadow-xl w-full max-w-lg max-h-[90vh] overflow-y-auto">
+            <form onSubmit={handleSubmit} className="p-6 space-y-4">
+              <h3 className="text-lg font-bold text-gray-900">
+                {editingMember ? 'Edit staff member' : 'Add staff member'}
+              </h3>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+                <input
+                  type="text"
+                  value={form.name}
+                  onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+                  required
+                  className="input-field"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Email</label>
+                <input
+                  type="email"
+                  value={form.email}
+                  onChange={(e) => setForm(prev => ({ ...prev, email: e.target.value }))}
+                  required
+                  disabled={!!editingMember}
+                  className="input-field disabled:bg-gray-100"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  {editingMember ? 'New password (leave blank to keep)' : 'Password'}
+                </label>
+                <input
+                  type="password"
+                  value={form.password}
+                  onChange={(e) => setForm(prev => ({ ...prev, password: e.target.value }))}
+                  required={!editingMember}
+                  minLength={6}
+                  className="input-field"
+                />
+              </div>
+
+              <div>
+                <div className="flex justify-between items-center mb-2">
+                  <label className="block text-sm font-medium text-gray-700">Permissions</label>
+                  <select
+                    defaultValue=""
+                    onChange={(e) => applyPreset(e.target.value)}
+                    className="text-sm border border-gray-300 rounded-lg px-2 py-1"
+                  >
+                    <option value="">Apply preset…</option>
+                    {Object.keys(presets).map(preset => (
+                      <option key={preset} value={preset}>{PRESET_LABELS[preset] || preset}</option>
+                    ))}
+                  </select>
+                </div>
+                <div className="space-y-2 border border-gray-200 rounded-lg p-3">
+                  {Object.entries(permissionLabels).map(([permission, label]) => (
+                    <label key={permission} className="flex items-start gap-2 text-sm">
+                      <input
+                        type="checkbox"
+                        checked={form.permissions.includes(permission)}
+                        onChange={() => togglePermission(permission)}
+                        className="mt-0.5"
+                      />
+                      <span>
+                        <span className="text-gray-900">{label}</span>
+                        <span className="block text-xs text-gray-500 font-mono">{permission}</span>
+                      </span>
+                    </label>
+                  ))}
+                </div>
+              </div>
+
+              <div className="flex gap-3 pt-2">
+                <button
+                  type="button"
+                  onClick={() => setShowForm(false)}
+                  className="flex-1 px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  disabled={saving}
+                  className="flex-1 px-4 py-2 bg-pink-600 text-white rounded-lg hover:bg-pink-700 disabled:opacity-50"
+                >
+                  {saving ? 'Saving...' : 'Save'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default StaffManagement
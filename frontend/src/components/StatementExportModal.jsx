@@ -0,0 +1,107 @@
+import { useState } from 'react'
+import toast from 'react-hot-toast'
+import { XMarkIcon, DocumentTextIcon, ArrowDownTrayIcon } from '@heroicons/react/24/outline'
+import { openPdfFromApi, downloadFromApi, getPdfErrorMessage } from '../utils/exportUtils'
+
+const toInputDate = (date) => {
+  const offset = date.getTimezoneOffset() * 60000
+  return new Date(date.getTime() - offset).toISOString().slice(0, 10)
+}
+
+// Statement of account for one customer/supplier, or for everyone with a balance (bulk)
+const StatementExportModal = ({ url, title, subtitle, filename, defaultFromDate, defaultToDate, onClose }) => {
+  const today = new Date()
+  const [fromDate, setFromDate] = useState(defaultFromDate || toInputDate(new Date(today.getFullYear(), today.getMonth(), 1)))
+  const [toDate, setToDate] = useState(defaultToDate || toInputDate(today))
+  const [format, setFormat] = useState('pdf')
+  const [generating, setGenerating] = useState(false)
+
+  const handleGenerate = async () => {
+    if (!fromDate || !toDate || fromDate > toDate) {
+      toast.error('Choose a start date on or before the end date')
+      return
+    }
+    try {
+      setGenerating(true)
+      const params = { fromDate, toDate, format }
+      const name = `${filename}-${fromDate}-to-${toDate}.${format}`
+      if (format === 'pdf') {
+        await openPdfFromApi(`${url}?${new URLSearchParams(params)}`, null, name)
+      } else {
+        await downloadFromApi(url, params, name)
+      }
+      onClose()
+    } catch (error) {
+      toast.error(await getPdfErrorMessage(error, 'Failed to create statement'))
+    } finally {
+      setGenerating(false)
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-2xl shadow-2xl w-full max-w-md overflow-hidden">
+        <div className="bg-gradient-to-r from-pink-600 to-purple-600 text-white p-6">
+          <div className="flex items-center justify-between">
+            <div className="flex items-center space-x-3">
+              <DocumentTextIcon className="h-8 w-8" />
+              <div>
+                <h2 className="text-2xl font-bold">{title}</h2>
+                {subtitle && <p className="text-pink-100">{subtitle}</p>}
+              </div>
+            </div>
+            <button onClick={onClose} className="p-2 hover:bg-white hover:bg-opacity-20 rounded-lg">
+              <XMarkIcon className="h-6 w-6" />
+            </button>
+          </div>
+        </div>
+
+        <div className="p-6 space-y-4">
+          <div className="grid grid-cols-2 gap-3">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">From</label>
+              <input type="date" value={fromDate} onChange={(e) => setFromDate(e.target.value)} className="input-field" />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">To</label>
+              <input type="date" value={toDate} onChange={(e) => setToDate(e.target.value)} className="input-field" />
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Format</label>
+            <div className="flex gap-4">
+              {[['pdf', 'PDF (to send)'], ['csv', 'CSV (spreadsheet)']].map(([value, label]) => (
+                <label key={value} className="flex items-center gap-2 text-sm text-gray-700">
+                  <input
+                    type="radio"
+                    name="statementFormat"
+                    value={value}
+                    checked={format === value}
+                    onChange={() => setFormat(value)}
+                    className="h-4 w-4 text-pink-600 border-gray-300 focus:ring-pink-500"
+                  />
+                  {label}
+                </label>
+              ))}
+            </div>
+          </div>
+
+          <p className="text-xs text-gray-500">
+            Shows the opening balance, every transaction in the period, the closing balance and how long the balance has been outstanding.
+          </p>
+        </div>
+
+        <div className="p-4 border-t border-gray-200 flex justify-end gap-2">
+          <button onClick={onClose} className="btn-secondary">Cancel</button>
+          <button onClick={handleGenerate} disabled={generating} className="btn-primary flex items-center">
+            <ArrowDownTrayIcon className="h-5 w-5 mr-2" />
+            {generating ? 'Preparing...' : 'Generate'}
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default StatementExportModal
@@ -0,0 +1,620 @@
+import { useState, useEffect } from 'react'
+import { Link } from 'react-router-dom'
+import api from '../../services/api'
+import { toast } from 'react-hot-toast'
+import PaymentAccountSelector from './PaymentAccountSelector'
+
+const MATCH_STATUS_STYLES = {
+  MATCHED: 'bg-green-100 text-green-800',
+  VARIANCE: 'bg-yellow-100 text-yellow-800',
+  UNMATCHED: 'bg-red-100 text-red-800',
+  DUPLICATE: 'bg-gray-200 text-gray-800'
+}
+
+const formatAmount = (amount) => `Rs. ${Number(amount || 0).toFixed(2)}`
+
+function CodReconciliationSection({ companies }) {
+  const [companyFilter, setCompanyFilter] = useState('')
+  const [unreconciled, setUnreconciled] = useState({ orders: [], summary: null })
+  const [remittances, setRemittances] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [showImport, setShowImport] = useState(false)
+  const [selectedRemittanceId, setSelectedRemittanceId] = useState(null)
+
+  useEffect(() => {
+    fetchData()
+  }, [companyFilter])
+
+  const fetchData = async () => {
+    try {
+      setLoading(true)
+      const params = companyFilter ? { logisticsCompanyId: companyFilter } : {}
+      const [ordersResponse, remittancesResponse] = await Promise.all([
+        api.get('/accounting/cod-remittances/unreconciled-orders', { params }),
+        api.get('/accounting/cod-remittances', { params })
+      ])
+
+      if (ordersResponse.data?.success) {
+        setUnreconciled({
+          orders: ordersResponse.data.orders || [],
+          summary: ordersResponse.data.summary || null
+        })
+      }
+      if (remittancesResponse.data?.success) {
+        setRemittances(remittancesResponse.data.data || [])
+      }
+    } catch (error) {
+      console.error('Error fetching COD reconciliation:', error)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleImportClose = (remittance) => {
+    setShowImport(false)
+    fetchData()
+    if (remittance) {
+      setSelectedRemittanceId(remittance.id)
+    }
+  }
+
+  const handleDetailClose = () => {
+    setSelectedRemittanceId(null)
+    fetchData()
+  }
+
+  return (
+    <div className="mt-8">
+      <div className="flex flex-col sm:flex-row justify-between sm:items-center gap-3 mb-4">
+        <h2 className="text-xl font-semibold text-gray-900">COD Reconciliation</h2>
+        <div className="flex gap-3">
+          <select
+            value={companyFilter}
+            onChange={(e) => setCompanyFilter(e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 min-h-[44px]"
+          >
+            <option value="">All companies</option>
+            {companies.map(company => (
+              <option key={company.id} value={company.id}>{company.name}</option>
+            ))}
+          </select>
+          <button
+            onClick={() => setShowImport(true)}
+            disabled={companies.length === 0}
+            className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 transition-colors min-h-[44px]"
+          >
+            Import Settlement
+          </button>
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="flex items-center justify-center py-8">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+        </div>
+      ) : (
+        <div className="space-y-6">
+          <div className="bg-white rounded-lg shadow">
+            <div className="px-4 py-3 border-b border-gray-200 flex justify-between items-center">
+              <h3 className="font-medium text-gray-900">Unreconciled COD Orders</h3>
+              {unreconciled.summary && (
+                <span className="text-sm text-gray-600">
+                  {unreconciled.summary.count} orders · {formatAmount(unreconciled.summary.totalExpected)} expected
+                </span>
+              )}
+            </div>
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Order</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Courier</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">CN</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Expected COD</th>
+                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">COD Fee</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {unreconciled.orders.length === 0 ? (
+                    <tr>
+                      <td colSpan="6" className="px-4 py-6 text-center text-gray-500">
+                        All COD orders are reconciled
+                      </td>
+                    </tr>
+                  ) : (
+                    unreconciled.orders.map(order => (
+                      <tr key={order.id} className="hover:bg-gray-50">
+                        <td className="px-4 py-3 text-sm">
+                          <Link to={`/business/orders/${order.id}`} className="text-blue-600 hover:text-blue-800">
+                            {order.orderNumber}
+                          </Link>
+                        </td>
+                        <td className="px-4 py-3 text-sm text-gray-900">{order.logisticsCompany?.name}</td>
+                        <td className="px-4 py-3 text-sm font-mono text-gray-900">{order.consignmentNumber || order.trackingNumber || '—'}</td>
+                        <td className="px-4 py-3 text-sm text-gray-900">{order.status.replace(/_/g, ' ')}</td>
+                        <td className="px-4 py-3 text-sm text-right text-gray-900">{formatAmount(order.expectedCodAmount)}</td>
+                        <td className="px-4 py-3 text-sm text-right text-gray-900">{formatAmount(order.codFee)}</td>
+                      </tr>
+                    ))
+                  )}
+                </tbody>
+              </table>
+            </div>
+          </div>
+
+          <div className="bg-white rounded-lg shadow">
+            <div className="px-4 py-3 border-b border-gray-200">
+              <h3 className="font-medium text-gray-900">Settlements</h3>
+            </div>
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Remittance</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Courier</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date</th>
+                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Collected</th>
+                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Net</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Lines</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {remittances.length === 0 ? (
+                    <tr>
+                      <td colSpan="7" className="px-4 py-6 text-center text-gray-500">
+                        No settlements imported yet
+                      </td>
+                    </tr>
+                  ) : (
+                    remittances.map(remittance => (
+                      <tr
+                        key={remittance.id}
+                        onClick={() => setSelectedRemittanceId(remittance.id)}
+                        className="hover:bg-gray-50 cursor-pointer"
+                      >
+                        <td className="px-4 py-3 text-sm text-gray-900">
+                          {remittance.remittanceNumber}
+                          {remittance.reference && <span className="block text-xs text-gray-500">{remittance.reference}</span>}
+                        </td>
+                        <td className="px-4 py-3 text-sm text-gray-900">{remittance.logisticsCompany?.name}</td>
+                        <td className="px-4 py-3 text-sm text-gray-900">{new Date(remittance.settlementDate).toLocaleDateString()}</td>
+                        <td className="px-4 py-3 text-sm text-right text-gray-900">{formatAmount(remittance.totalCodCollected)}</td>
+                        <td className="px-4 py-3 text-sm text-right text-gray-900">{formatAmount(remittance.netAmount)}</td>
+                        <td className="px-4 py-3 text-sm text-gray-900">
+                          {remittance.lineCount}
+                          {remittance.varianceCount > 0 && <span className="ml-2 text-yellow-700">{remittance.varianceCount} variance</span>}
+                          {remittance.unmatchedCount > 0 && <span className="ml-2 text-red-700">{remittance.unmatchedCount} unmatched</span>}
+                        </td>
+                        <td className="px-4 py-3 text-sm">
+                          <span className={`px-2 py-1 text-xs font-semibold rounded-full ${
+                            remittance.status === 'POSTED' ? 'bg-green-100 text-green-800' : 'bg-yellow-100 text-yellow-800'
+                          }`}>
+                            {remittance.status}
+                          </span>
+                        </td>
+                      </tr>
+                    ))
+                  )}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {showImport && (
+        <ImportSettlementModal
+          companies={companies}
+          defaultCompanyId={companyFilter}
+          onClose={handleImportClose}
+        />
+      )}
+
+      {selectedRemittanceId && (
+        <RemittanceDetailModal
+          remittanceId={selectedRemittanceId}
+          onClose={handleDetailClose}
+        />
+      )}
+    </div>
+  )
+}
+
+function ImportSettlementModal({ companies, defaultCompanyId, onClose }) {
+  const [logisticsCompanyId, setLogisticsCompanyId] = useState(defaultCompanyId || companies[0]?.id || '')
+  const [settlementDate, setSettlementDate] = useState(new Date().toISOString().split('T')[0])
+  const [reference, setReference] = useState('')
+  const [file, setFile] = useState(null)
+  const [loading, setLoading] = useState(false)
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    if (!file) {
+      toast.error('Choose the settlement CSV file')
+      return
+    }
+
+    try {
+      setLoading(true)
+      const data = new FormData()
+      data.append('file', file)
+      data.append('logisticsCompanyId', logisticsCompanyId)
+      data.append('settlementDate', settlementDate)
+      if (reference) {
+        data.append('reference', reference)
+      }
+
+      const response = await api.post('/accounting/cod-remittances/import', data, {
+        headers: {
+          'Content-Type': 'multipart/form-data'
+        }
+      })
+
+      if (response.data?.success) {
+        const skipped = response.data.errors?.length || 0
+        toast.success(`Settlement imported${skipped > 0 ? ` (${skipped} rows skipped)` : ''}`)
+        onClose(response.data.data)
+      }
+    } catch (error) {
+      console.error('Error importing settlement:', error)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-lg max-h-[90vh] overflow-y-auto">
+        <div className="p-4 sm:p-6">
+          <div className="flex justify-between items-center mb-6">
+            <h2 className="text-xl font-bold text-gray-900">Import COD Settlement</h2>
+            <button
+              onClick={() => onClose(null)}
+              className="text-gray-400 hover:text-gray-600 min-h-[44px] min-w-[44px] flex items-center justify-center"
+            >
+              ✕
+            </button>
+          </div>
+
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Logistics Company <span className="text-red-500">*</span>
+              </label>
+              <select
+                value={logisticsCompanyId}
+                onChange={(e) => setLogisticsCompanyId(e.target.value)}
+                required
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 min-h-[44px]"
+              >
+                {companies.map(company => (
+                  <option key={company.id} value={company.id}>{company.name}</option>
+                ))}
+              </select>
+            </div>
+
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Settlement Date</label>
+                <input
+                  type="date"
+                  value={settlementDate}
+                  onChange={(e) => setSettlementDate(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 min-h-[44px]"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Reference</label>
+                <input
+                  type="text"
+                  value={reference}
+                  onChange={(e) => setReference(e.target.value)}
+                  placeholder="Settlement / cheque no."
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 min-h-[44px]"
+                />
+              </div>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Settlement Sheet (CSV) <span className="text-red-500">*</span>
+              </label>
+              <input
+                type="file"
+                accept=".csv,text/csv"
+                onChange={(e) => setFile(e.target.files?.[0] || null)}
+                className="w-full text-sm"
+              />
+              <p className="mt-1 text-xs text-gray-500">
+                Columns: CN, COD Amount, COD Fee, Shipping. Common courier header names are recognised.
+              </p>
+            </div>
+
+            <div className="flex gap-3 pt-4">
+              <button
+                type="button"
+                onClick={() => onClose(null)}
+                className="flex-1 px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 transition-colors min-h-[44px]"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={loading}
+                className="flex-1 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors min-h-[44px]"
+              >
+                {loading ? 'Importing...' : 'Import'}
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+function RemittanceDetailModal({ remittanceId, onClose }) {
+  const [remittance, setRemittance] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [paymentAccountId, setPaymentAccountId] = useState(null)
+  const [posting, setPosting] = useState(false)
+  const [matchInputs, setMatchInputs] = useState({})
+  const [openOrders, setOpenOrders] = useState([])
+
+  useEffect(() => {
+    fetchRemittance()
+  }, [remittanceId])
+
+  useEffect(() => {
+    if (remittance?.status === 'DRAFT') {
+      fetchOpenOrders(remittance.logisticsCompanyId)
+    }
+  }, [remittance?.logisticsCompanyId, remittance?.status])
+
+  const fetchOpenOrders = async (logisticsCompanyId) => {
+    try {
+      const response = await api.get('/accounting/cod-remittances/unreconciled-orders', {
+        params: { logisticsCompanyId }
+      })
+      if (response.data?.success) {
+        setOpenOrders(response.data.orders || [])
+      }
+    } catch (error) {
+      console.error('Error fetching open COD orders:', error)
+    }
+  }
+
+  const fetchRemittance = async () => {
+    try {
+      setLoading(true)
+      const response = await api.get(`/accounting/cod-remittances/${remittanceId}`)
+      if (response.data?.success) {
+        setRemittance(response.data.data)
+      }
+    } catch (error) {
+      console.error('Error fetching remittance:', error)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleRemoveLine = async (lineId) => {
+    try {
+      const response = await api.delete(`/accounting/cod-remittances/${remittanceId}/lines/${lineId}`)
+      if (response.data?.success) {
+        setRemittance(response.data.data)
+      }
+    } catch (error) {
+      console.error('Error removing line:', error)
+    }
+  }
+
+  const handleMatchLine = async (lineId) => {
+    const orderId = matchInputs[lineId]
+    if (!orderId) return
+
+    try {
+      const response = await api.put(`/accounting/cod-remittances/${remittanceId}/lines/${lineId}`, { orderId })
+      if (response.data?.success) {
+        setRemittance(response.data.data)
+        setMatchInputs(prev => ({ ...prev, [lineId]: '' }))
+      }
+    } catch (error) {
+      console.error('Error matching line:', error)
+    }
+  }
+
+  const handlePost = async () => {
+    if (!paymentAccountId) {
+      toast.error('Select the account the courier paid into')
+      return
+    }
+    try {
+      setPosting(true)
+      const response = await api.post(`/accounting/cod-remittances/${remittanceId}/post`, { paymentAccountId })
+      if (response.data?.success) {
+        toast.success('Remittance posted')
+        setRemittance(response.data.data)
+      }
+    } catch (error) {
+      console.error('Error posting remittance:', error)
+    } finally {
+      setPosting(false)
+    }
+  }
+
+  const handleDelete = async () => {
+    if (!window.confirm('Delete this draft settlement?')) return
+    try {
+      await api.delete(`/accounting/cod-remittances/${remittanceId}`)
+      toast.success('Settlement deleted')
+      onClose()
+    } catch (error) {
+      console.error('Error deleting remittance:', error)
+    }
+  }
+
+  const isDraft = remittance?.status === 'DRAFT'
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-4xl max-h-[90vh] overflow-y-auto">
+        <div className="p-4 sm:p-6">
+          <div className="flex justify-between items-center mb-4">
+            <h2 className="text-xl font-bold text-gray-900">
+              {remittance ? `${remittance.remittanceNumber} · ${remittance.logisticsCompany?.name}` : 'Settlement'}
+            </h2>
+            <button
+              onClick={onClose}
+              className="text-gray-400 hover:text-gray-600 min-h-[44px] min-w-[44px] flex items-center justify-center"
+            >
+              ✕
+            </button>
+          </div>
+
+          {loading || !remittance ? (
+            <div className="flex items-center justify-center py-8">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+            </div>
+          ) : (
+            <>
+              <div className="grid grid-cols-2 sm:grid-cols-4 gap-3 mb-4 text-sm">
+                <div className="p-3 bg-gray-50 rounded-lg">
+                  <p className="text-gray-500">COD Collected</p>
+                  <p className="font-semibold text-gray-900">{formatAmount(remittance.totalCodCollected)}</p>
+                </div>
+                <div className="p-3 bg-gray-50 rounded-lg">
+                  <p className="text-gray-500">COD Fee</p>
+                  <p className="font-semibold text-gray-900">{formatAmount(remittance.totalCodFee)}</p>
+                </div>
+                <div className="p-3 bg-gray-50 rounded-lg">
+                  <p className="text-gray-500">Shipping</p>
+                  <p className="font-semibold text-gray-900">{formatAmount(remittance.totalShippingCharges)}</p>
+                </div>
+                <div className="p-3 bg-blue-50 rounded-lg">
+                  <p className="text-blue-700">Net Receipt</p>
+                  <p className="font-semibold text-blue-900">{formatAmount(remittance.netAmount)}</p>
+                </div>
+              </div>
+
+              <div className="overflow-x-auto border border-gray-200 rounded-lg">
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">CN</th>
+                      <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Order</th>
+                      <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Collected</th>
+                      <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Expected</th>
+                      <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Fee</th>
+                      <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Shipping</th>
+                      <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Match</th>
+                      {isDraft && <th className="px-3 py-2"></th>}
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {remittance.lines.map(line => (
+                      <tr key={line.id}>
+                        <td className="px-3 py-2 text-sm font-mono text-gray-900">{line.consignmentNumber}</td>
+                        <td className="px-3 py-2 text-sm text-gray-900">
+                          {line.order ? line.order.orderNumber : isDraft ? (
+                            <div className="flex gap-1">
+                              <select
+                                value={matchInputs[line.id] || ''}
+                                onChange={(e) => setMatchInputs(prev => ({ ...prev, [line.id]: e.target.value }))}
+                                className="w-36 px-2 py-1 border border-gray-300 rounded text-sm"
+                              >
+                                <option value="">Order #</option>
+                                {openOrders.map(order => (
+                                  <option key={order.id} value={order.id}>
+                                    {order.orderNumber} ({formatAmount(order.expectedCodAmount)})
+                                  </option>
+                                ))}
+                              </select>
+                              <button
+                                onClick={() => handleMatchLine(line.id)}
+                                className="px-2 py-1 text-xs text-blue-600 border border-blue-300 rounded hover:bg-blue-50"
+                              >
+                                Match
+                              </button>
+                            </div>
+                          ) : '—'}
+                        </td>
+                        <td className="px-3 py-2 text-sm text-right text-gray-900">{formatAmount(line.codCollected)}</td>
+                        <td className="px-3 py-2 text-sm text-right text-gray-900">
+                          {line.expectedCodAmount !== null ? formatAmount(line.expectedCodAmount) : '—'}
+                          {Math.abs(line.codVariance) > 0.01 && (
+                            <span className={`block text-xs ${line.codVariance < 0 ? 'text-red-600' : 'text-green-600'}`}>
+                              {line.codVariance > 0 ? '+' : ''}{Number(line.codVariance).toFixed(2)}
+                            </span>
+                          )}
+                        </td>
+                        <td className="px-3 py-2 text-sm text-right text-gray-900">
+                          {formatAmount(line.codFee)}
+                          {Math.abs(line.codFeeVariance) > 0.01 && (
+                            <span className="block text-xs text-yellow-700">
+                              {line.codFeeVariance > 0 ? '+' : ''}{Number(line.codFeeVariance).toFixed(2)}
+                            </span>
+                          )}
+                        </td>
+                        <td className="px-3 py-2 text-sm text-right text-gray-900">{formatAmount(line.shippingCharge)}</td>
+                        <td className="px-3 py-2 text-sm">
+                          <span className={`px-2 py-0.5 text-xs font-semibold rounded-full ${MATCH_STATUS_STYLES[line.matchStatus] || 'bg-gray-100 text-gray-800'}`}>
+                            {line.matchStatus}
+                          </span>
+                        </td>
+                        {isDraft && (
+                          <td className="px-3 py-2 text-sm text-right">
+                            <button
+                              onClick={() => handleRemoveLine(line.id)}
+                              className="text-red-600 hover:text-red-800 text-xs"
+                            >
+                              Remove
+                            </button>
+                          </td>
+                        )}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              {isDraft ? (
+                <div className="mt-4 flex flex-col sm:flex-row sm:items-end gap-3">
+                  <div className="flex-1">
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Received Into</label>
+                    <PaymentAccountSelector
+                      value={paymentAccountId}
+                      onChange={setPaymentAccountId}
+                      required
+                    />
+                  </div>
+                  <button
+                    onClick={handleDelete}
+                    className="px-4 py-2 border border-red-300 text-red-700 rounded-lg hover:bg-red-50 transition-colors min-h-[44px]"
+                  >
+                    Delete Draft
+                  </button>
+                  <button
+                    onClick={handlePost}
+                    disabled={posting}
+                    className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:opacity-50 transition-colors min-h-[44px]"
+                  >
+                    {posting ? 'Posting...' : 'Post to Ledger'}
+                  </button>
+                </div>
+              ) : (
+                <p className="mt-4 text-sm text-gray-600">
+                  Posted {remittance.postedAt ? new Date(remittance.postedAt).toLocaleString() : ''} to {remittance.paymentAccount?.name}
+                </p>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default CodReconciliationSection
@@ -0,0 +1,219 @@
+import { useState, useEffect } from 'react'
+import { toast } from 'react-hot-toast'
+import { XMarkIcon, PlusIcon, TrashIcon } from '@heroicons/react/24/outline'
+import api from '../../services/api'
+
+const emptyLine = () => ({ accountId: '', debitAmount: '', creditAmount: '' })
+
+const toAmount = (value) => Math.round((parseFloat(value) || 0) * 100) / 100
+
+function JournalEntryModal({ onClose, onSaved }) {
+  const [accounts, setAccounts] = useState([])
+  const [date, setDate] = useState(new Date().toISOString().split('T')[0])
+  const [description, setDescription] = useState('')
+  const [lines, setLines] = useState([emptyLine(), emptyLine()])
+  const [saving, setSaving] = useState(false)
+
+  useEffect(() => {
+    fetchAccounts()
+  }, [])
+
+  const fetchAccounts = async () => {
+    try {
+      const response = await api.get('/accounting/accounts')
+      if (response.data?.success) {
+        setAccounts([...(response.data.data || [])].sort((a, b) => a.code.localeCompare(b.code)))
+      }
+    } catch (error) {
+      console.error('Error fetching accounts:', error)
+    }
+  }
+
+  const updateLine = (index, field, value) => {
+    setLines(prev => prev.map((line, i) => {
+      if (i !== index) return line
+      const updated = { ...line, [field]: value }
+      // A line is either a debit or a credit
+      if (field === 'debitAmount' && value) updated.creditAmount = ''
+      if (field === 'creditAmount' && value) updated.debitAmount = ''
+      return updated
+    }))
+  }
+
+  const removeLine = (index) => {
+    setLines(prev => prev.filter((_, i) => i !== index))
+  }
+
+  const totalDebits = lines.reduce((sum, line) => sum + toAmount(line.debitAmount), 0)
+  const totalCredits = lines.reduce((sum, line) => sum + toAmount(line.creditAmount), 0)
+  const difference = Math.round((totalDebits - totalCredits) * 100) / 100
+  const filledLines = lines.filter(line => line.accountId && (toAmount(line.debitAmount) > 0 || toAmount(line.creditAmount) > 0))
+  const canSave = filledLines.length >= 2 && difference === 0 && totalDebits > 0 && !saving
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    if (!canSave) return
+
+    try {
+      setSaving(true)
+      const response = await api.post('/accounting/transactions', {
+        date,
+        description,
+        transactionLines: filledLines.map(line => ({
+          accountId: line.accountId,
+          debitAmount: toAmount(line.debitAmount),
+          creditAmount: toAmount(line.creditAmount)
+        }))
+      })
+
+      if (response.data?.success) {
+        toast.success(`Journal entry ${response.data.data.transactionNumber} posted`)
+        onSaved()
+      }
+    } catch (error) {
+      console.error('Error posting journal entry:', error)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-3xl max-h-[90vh] overflow-y-auto">
+        <form onSubmit={handleSubmit} className="p-4 sm:p-6">
+          <div className="flex justify-between items-center mb-6">
+            <h2 className="text-xl font-bold text-gray-900">New Journal Entry</h2>
+            <button type="button" onClick={onClose} className="text-gray-400 hover:text-gray-600">
+              <XMarkIcon className="h-6 w-6" />
+            </button>
+          </div>
+
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 mb-6">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Date</label>
+              <input
+                type="date"
+                value={date}
+                onChange={(e) => setDate(e.target.value)}
+                required
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg min-h-[44px]"
+              />
+            </div>
+            <div className="sm:col-span-2">
+              <label className="block text-sm font-medium text-gray-700 mb-1">Description</label>
+              <input
+                type="text"
+                value={description}
+                onChange={(e) => setDescription(e.target.value)}
+                placeholder="e.g. Correct misposted rent"
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg min-h-[44px]"
+              />
+            </div>
+          </div>
+
+          <div className="overflow-x-auto">
+            <table className="min-w-full">
+              <thead>
+                <tr>
+                  <th className="pb-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Account</th>
+                  <th className="pb-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider w-36">Debit</th>
+                  <th className="pb-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider w-36">Credit</th>
+                  <th className="w-10"></th>
+                </tr>
+              </thead>
+              <tbody>
+                {lines.map((line, index) => (
+                  <tr key={index}>
+                    <td className="py-1 pr-2">
+                      <select
+                        value={line.accountId}
+                        onChange={(e) => updateLine(index, 'accountId', e.target.value)}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg min-h-[44px]"
+                      >
+                        <option value="">Select account</option>
+                        {accounts.map(account => (
+                          <option key={account.id} value={account.id}>
+                            {account.code} - {account.name}
+                          </option>
+                        ))}
+                      </select>
+                    </td>
+                    <td className="py-1 px-1">
+                      <input
+                        type="number"
+                        min="0"
+                        step="0.01"
+                        value={line.debitAmount}
+                        onChange={(e) => updateLine(index, 'debitAmount', e.target.value)}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg text-right min-h-[44px]"
+                      />
+                    </td>
+                    <td className="py-1 px-1">
+                      <input
+                        type="number"
+                        min="0"
+                        step="0.01"
+                        value={line.creditAmount}
+                        onChange={(e) => updateLine(index, 'creditAmount', e.target.value)}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg text-right min-h-[44px]"
+                      />
+                    </td>
+                    <td className="py-1 pl-1">
+                      <button
+                        type="button"
+                        onClick={() => removeLine(index)}
+                        disabled={lines.length <= 2}
+                        className="p-2 text-gray-400 hover:text-red-600 disabled:opacity-30"
+                      >
+                        <TrashIcon className="h-5 w-5" />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+              <tfoot>
+                <tr className="border-t border-gray-200">
+                  <td className="pt-3 text-sm font-medium text-gray-700">Totals</td>
+                  <td className="pt-3 px-1 text-sm text-right font-medium text-gray-900">Rs. {totalDebits.toLocaleString()}</td>
+                  <td className="pt-3 px-1 text-sm text-right font-medium text-gray-900">Rs. {totalCredits.toLocaleString()}</td>
+                  <td></td>
+                </tr>
+              </tfoot>
+            </table>
+          </div>
+
+          <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 mt-4">
+            <button
+              type="button"
+              onClick={() => setLines(prev => [...prev, emptyLine()])}
+              className="inline-flex items-center text-sm text-brand-600 hover:text-brand-700"
+            >
+              <PlusIcon className="h-4 w-4 mr-1" />
+              Add line
+            </button>
+            {difference !== 0 && (
+              <p className="text-sm text-red-600">
+                Out of balance by Rs. {Math.abs(difference).toLocaleString()} ({difference > 0 ? 'debits' : 'credits'} higher)
+              </p>
+            )}
+          </div>
+
+          <div className="flex justify-end gap-3 mt-6">
+            <button type="button" onClick={onClose} className="btn-secondary px-4 py-2 min-h-[44px]">
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={!canSave}
+              className="px-4 py-2 bg-brand-600 text-white rounded-lg font-medium hover:bg-brand-700 disabled:opacity-50 min-h-[44px]"
+            >
+              {saving ? 'Posting...' : 'Post Entry'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  )
+}
+
+export default JournalEntryModal
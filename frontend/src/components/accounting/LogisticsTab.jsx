@@ -2,6 +2,7 @@ import { useState, useEffect } from 'react'
 import api from '../../services/api'
 import { useTenant } from '../../hooks/useTenant'
 import { toast } from 'react-hot-toast'
+import CodReconciliationSection from './CodReconciliationSection'
 
 function LogisticsTab() {
   const { tenant } = useTenant()
@@ -85,6 +86,9 @@ function LogisticsTab() {
                 <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                   Fee Details
                 </th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Courier Booking
+                </th>
                 <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                   Status
                 </th>
@@ -96,7 +100,7 @@ function LogisticsTab() {
             <tbody className="bg-white divide-y divide-gray-200">
               {companies.length === 0 ? (
                 <tr>
-                  <td colSpan="6" className="px-4 py-8 text-center text-gray-500">
+                  <td colSpan="7" className="px-4 py-8 text-center text-gray-500">
                     No logistics companies found
                   </td>
                 </tr>
@@ -132,6 +136,9 @@ function LogisticsTab() {
                       <td className="px-4 py-3 text-sm text-gray-900">
                         {feeDetails}
                       </td>
+                      <td className="px-4 py-3 text-sm text-gray-900">
+                        {company.courierService === 'MANUAL' || !company.courierService ? 'Manual entry' : company.courierService}
+                      </td>
                       <td className="px-4 py-3 text-sm">
                         <span className={`px-2 py-1 text-xs font-semibold rounded-full ${
                           company.status === 'ACTIVE' ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-800'
@@ -156,6 +163,9 @@ function LogisticsTab() {
         </div>
       </div>
 
+      {/* COD Reconciliation */}
+      <CodReconciliationSection companies={companies} />
+
       {/* Company Form Modal */}
       {showForm && (
         <LogisticsCompanyFormModal
@@ -179,8 +189,27 @@ function LogisticsCompanyFormModal({ company, onClose }) {
     codFeeCalculationType: 'PERCENTAGE',
     codFeePercentage: '',
     fixedCodFee: '',
-    codFeeRules: []
+    codFeeRules: [],
+    courierService: 'MANUAL',
+    courierApiKey: '',
+    courierAccountNumber: '',
+    trackingUrlTemplate: ''
   })
+  const [courierServices, setCourierServices] = useState([])
+
+  useEffect(() => {
+    const fetchCourierServices = async () => {
+      try {
+        const response = await api.get('/accounting/logistics-companies/courier-services')
+        if (response.data?.success) {
+          setCourierServices(response.data.data || [])
+        }
+      } catch (error) {
+        console.error('Error fetching courier services:', error)
+      }
+    }
+    fetchCourierServices()
+  }, [])
 
   useEffect(() => {
     if (company) {
@@ -200,7 +229,11 @@ function LogisticsCompanyFormModal({ company, onClose }) {
         codFeeCalculationType: company.codFeeCalculationType || 'PERCENTAGE',
         codFeePercentage: company.codFeePercentage?.toString() || '',
         fixedCodFee: company.fixedCodFee?.toString() || '',
-        codFeeRules: rules
+        codFeeRules: rules,
+        courierService: company.courierService || 'MANUAL',
+        courierApiKey: company.courierApiKey || '',
+        courierAccountNumber: company.courierAccountNumber || '',
+        trackingUrlTemplate: company.trackingUrlTemplate || ''
       })
     }
   }, [company])
@@ -267,7 +300,11 @@ function LogisticsCompanyFormModal({ company, onClose }) {
           min: parseFloat(rule.min),
           max: parseFloat(rule.max),
           fee: parseFloat(rule.fee)
-        })) : null
+        })) : null,
+        courierService: formData.courierService,
+        courierApiKey: formData.courierApiKey || null,
+        courierAccountNumber: formData.courierAccountNumber || null,
+        trackingUrlTemplate: formData.trackingUrlTemplate || null
       }
 
       if (company) {
@@ -454,6 +491,68 @@ function LogisticsCompanyFormModal({ company, onClose }) {
               </div>
             )}
 
+            <div className="border-t border-gray-200 pt-4 space-y-4">
+              <h3 className="text-sm font-semibold text-gray-900">Courier Booking</h3>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Booking Method
+                </label>
+                <select
+                  value={formData.courierService}
+                  onChange={(e) => setFormData(prev => ({ ...prev, courierService: e.target.value }))}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 min-h-[44px]"
+                >
+                  {(courierServices.length > 0 ? courierServices : [{ code: 'MANUAL', name: 'Manual entry' }]).map(service => (
+                    <option key={service.code} value={service.code}>{service.name}</option>
+                  ))}
+                </select>
+                <p className="mt-1 text-xs text-gray-500">
+                  Manual entry: staff type the tracking number at dispatch. Other methods book the parcel automatically.
+                </p>
+              </div>
+
+              {courierServices.find(service => service.code === formData.courierService)?.requiresCredentials && (
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      API Key
+                    </label>
+                    <input
+                      type="password"
+                      value={formData.courierApiKey}
+                      onChange={(e) => setFormData(prev => ({ ...prev, courierApiKey: e.target.value }))}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 min-h-[44px]"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Account Number
+                    </label>
+                    <input
+                      type="text"
+                      value={formData.courierAccountNumber}
+                      onChange={(e) => setFormData(prev => ({ ...prev, courierAccountNumber: e.target.value }))}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 min-h-[44px]"
+                    />
+                  </div>
+                </div>
+              )}
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Tracking URL
+                </label>
+                <input
+                  type="url"
+                  value={formData.trackingUrlTemplate}
+                  onChange={(e) => setFormData(prev => ({ ...prev, trackingUrlTemplate: e.target.value }))}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 min-h-[44px]"
+                  placeholder="https://courier.example/track?cn={trackingNumber}"
+                />
+                <p className="mt-1 text-xs text-gray-500">{'{trackingNumber}'} is replaced with the parcel&apos;s tracking number</p>
+              </div>
+            </div>
+
             <div className="flex gap-3 pt-4">
               <button
                 type="button"
@@ -0,0 +1,233 @@
+import { useState, useEffect } from 'react'
+import { toast } from 'react-hot-toast'
+import { LockClosedIcon, LockOpenIcon } from '@heroicons/react/24/outline'
+import api from '../../services/api'
+import { useAuth } from '../../contexts/AuthContext'
+import LoadingSpinner from '../LoadingSpinner'
+
+const formatAmount = (value) =>
+  `Rs. ${(value || 0).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`
+
+// Default to last month, the usual one to close
+const previousMonth = () => {
+  const now = new Date()
+  const date = new Date(now.getFullYear(), now.getMonth() - 1, 1)
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`
+}
+
+function PeriodClosingTab() {
+  const { user } = useAuth()
+  const [periods, setPeriods] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [month, setMonth] = useState(previousMonth())
+  const [closing, setClosing] = useState(false)
+  const [selectedPeriod, setSelectedPeriod] = useState(null)
+  const [loadingDetails, setLoadingDetails] = useState(false)
+
+  const isOwner = user?.role === 'BUSINESS_OWNER'
+
+  useEffect(() => {
+    fetchPeriods()
+  }, [])
+
+  const fetchPeriods = async () => {
+    try {
+      setLoading(true)
+      const response = await api.get('/accounting/periods')
+      if (response.data?.success) {
+        setPeriods(response.data.data || [])
+      }
+    } catch (error) {
+      console.error('Error fetching accounting periods:', error)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleClose = async () => {
+    const [year, monthNumber] = month.split('-').map(Number)
+    const label = new Date(year, monthNumber - 1, 1).toLocaleDateString('en-US', { month: 'long', year: 'numeric' })
+    if (!window.confirm(`Close ${label}? Its profit will be moved to Retained Earnings and new entries dated in ${label} will be posted as adjustments in the next open month.`)) {
+      return
+    }
+
+    try {
+      setClosing(true)
+      const response = await api.post('/accounting/periods/close', { year, month: monthNumber })
+      if (response.data?.success) {
+        toast.success(response.data.message)
+        fetchPeriods()
+      }
+    } catch (error) {
+      console.error('Error closing period:', error)
+    } finally {
+      setClosing(false)
+    }
+  }
+
+  const handleReopen = async (period) => {
+    const reason = window.prompt(`Reopen ${period.label}? Enter a reason (kept in the audit log):`)
+    if (reason === null) return
+
+    try {
+      const response = await api.post(`/accounting/periods/${period.id}/reopen`, { reason })
+      if (response.data?.success) {
+        toast.success(response.data.message)
+        if (selectedPeriod?.id === period.id) setSelectedPeriod(null)
+        fetchPeriods()
+      }
+    } catch (error) {
+      console.error('Error reopening period:', error)
+    }
+  }
+
+  const toggleDetails = async (period) => {
+    if (selectedPeriod?.id === period.id) {
+      setSelectedPeriod(null)
+      return
+    }
+
+    try {
+      setLoadingDetails(true)
+      const response = await api.get(`/accounting/periods/${period.id}`)
+      if (response.data?.success) {
+        setSelectedPeriod(response.data.data)
+      }
+    } catch (error) {
+      console.error('Error fetching period:', error)
+    } finally {
+      setLoadingDetails(false)
+    }
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="card p-6">
+        <h2 className="text-xl font-semibold text-gray-900">Month-end close</h2>
+        <p className="text-sm text-gray-500 mt-1">
+          Closing a month snapshots every account balance, transfers the month's profit to Retained Earnings (3200)
+          and locks it. Orders, payments or returns dated in a closed month are posted as adjustments in the next open month.
+        </p>
+        <div className="flex flex-col sm:flex-row gap-3 mt-4">
+          <input
+            type="month"
+            value={month}
+            onChange={(e) => setMonth(e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-md"
+          />
+          <button
+            onClick={handleClose}
+            disabled={closing || !month}
+            className="inline-flex items-center justify-center px-4 py-2 bg-brand-600 text-white rounded-lg text-sm font-medium hover:bg-brand-700 disabled:opacity-50"
+          >
+            <LockClosedIcon className="h-5 w-5 mr-2" />
+            {closing ? 'Closing...' : 'Close month'}
+          </button>
+        </div>
+      </div>
+
+      <div className="card p-6">
+        <h2 className="text-xl font-semibold text-gray-900 mb-4">Periods</h2>
+        {loading ? (
+          <LoadingSpinner className="py-8" />
+        ) : periods.length === 0 ? (
+          <p className="text-gray-500 text-center py-8">No months have been closed yet</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Month</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                  <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Net profit</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Closed</th>
+                  <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {periods.map(period => (
+                  <tr key={period.id} className="hover:bg-gray-50">
+                    <td className="px-4 py-3 text-sm font-medium text-gray-900">{period.label}</td>
+                    <td className="px-4 py-3 text-sm">
+                      {period.status === 'CLOSED' ? (
+                        <span className="inline-flex items-center px-2 py-0.5 rounded text-xs font-medium bg-gray-800 text-white">
+                          <LockClosedIcon className="h-3 w-3 mr-1" />
+                          Closed
+                        </span>
+                      ) : (
+                        <span
+                          className="inline-flex items-center px-2 py-0.5 rounded text-xs font-medium bg-yellow-100 text-yellow-800"
+                          title={period.reopenReason || ''}
+                        >
+                          <LockOpenIcon className="h-3 w-3 mr-1" />
+                          Reopened {period.reopenedBy ? `by ${period.reopenedBy}` : ''}
+                        </span>
+                      )}
+                    </td>
+                    <td className={`px-4 py-3 text-sm text-right ${period.netProfit < 0 ? 'text-red-600' : 'text-gray-900'}`}>
+                      {formatAmount(period.netProfit)}
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-500">
+                      {new Date(period.closedAt).toLocaleDateString()} {period.closedBy ? `by ${period.closedBy}` : ''}
+                    </td>
+                    <td className="px-4 py-3 text-sm text-right whitespace-nowrap space-x-3">
+                      {period.status === 'CLOSED' && (
+                        <button onClick={() => toggleDetails(period)} className="text-brand-600 hover:text-brand-700">
+                          {selectedPeriod?.id === period.id ? 'Hide balances' : 'Balances'}
+                        </button>
+                      )}
+                      {period.status === 'CLOSED' && isOwner && (
+                        <button onClick={() => handleReopen(period)} className="text-red-600 hover:text-red-700">
+                          Reopen
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {loadingDetails && <LoadingSpinner className="py-8" />}
+
+      {selectedPeriod && !loadingDetails && (
+        <div className="card p-6">
+          <h2 className="text-xl font-semibold text-gray-900">Balances at close: {selectedPeriod.label}</h2>
+          {selectedPeriod.closingTransaction && (
+            <p className="text-sm text-gray-500 mt-1">
+              Closing entry {selectedPeriod.closingTransaction.transactionNumber}
+            </p>
+          )}
+          <div className="overflow-x-auto mt-4">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Code</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Account</th>
+                  <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Debits</th>
+                  <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Credits</th>
+                  <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Balance</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-100">
+                {selectedPeriod.snapshots.map(snapshot => (
+                  <tr key={snapshot.id}>
+                    <td className="px-4 py-2 text-sm text-gray-500">{snapshot.account.code}</td>
+                    <td className="px-4 py-2 text-sm text-gray-900">{snapshot.account.name}</td>
+                    <td className="px-4 py-2 text-sm text-right text-gray-700">{formatAmount(snapshot.debitTotal)}</td>
+                    <td className="px-4 py-2 text-sm text-right text-gray-700">{formatAmount(snapshot.creditTotal)}</td>
+                    <td className="px-4 py-2 text-sm text-right font-medium text-gray-900">{formatAmount(snapshot.balance)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default PeriodClosingTab
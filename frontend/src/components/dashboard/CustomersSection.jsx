@@ -25,7 +25,10 @@ const CustomersSection = ({
   onRefreshCustomers,
   onCustomerClick,
   filterPendingPayments,
-  onFilterChange
+  onFilterChange,
+  segments = [],
+  segmentFilter = '',
+  onSegmentChange
 }) => {
   const [displayMode, setDisplayMode] = useState('list')
 
@@ -70,6 +73,21 @@ const CustomersSection = ({
               />
             </div>
             <div className="flex gap-3">
+              {/* Saved Segment Filter */}
+              {segments.length > 0 && (
+                <select
+                  value={segmentFilter}
+                  onChange={(e) => onSegmentChange && onSegmentChange(e.target.value)}
+                  className="px-3 py-2 border border-gray-300 rounded-lg text-sm text-gray-700 focus:ring-2 focus:ring-brand-500"
+                >
+                  <option value="">All segments</option>
+                  {segments.map(segment => (
+                    <option key={segment.id} value={segment.id}>
+                      {segment.name} ({segment.memberCount})
+                    </option>
+                  ))}
+                </select>
+              )}
               {/* Pending Payments Filter */}
               <button
                 onClick={() => onFilterChange && onFilterChange(!filterPendingPayments)}
@@ -11,6 +11,7 @@ import InvoiceUploadModal from '../InvoiceUploadModal'
 import {
     PlusIcon,
     CameraIcon,
+    ShoppingCartIcon,
     MagnifyingGlassIcon,
     Squares2X2Icon,
     ListBulletIcon,
@@ -183,6 +184,13 @@ const ProductsManagement = () => {
                         <CameraIcon className="h-5 w-5 mr-2" />
                         Import Stock
                     </button>
+                    <button
+                        onClick={() => navigate('/business/products/reorder')}
+                        className="btn-secondary flex items-center justify-center"
+                    >
+                        <ShoppingCartIcon className="h-5 w-5 mr-2" />
+                        Reorder
+                    </button>
                 </div>
 
                 <button
@@ -357,6 +365,12 @@ const ProductsManagement = () => {
                                         <span>{product.totalVariantStock} total</span>
                                     </div>
                                 )}
+                                {product.reservedQuantity > 0 && (
+                                    <div className="flex items-center justify-between text-xs pt-1">
+                                        <span className="text-amber-700">Reserved / Available:</span>
+                                        <span className="font-semibold text-amber-700">{product.reservedQuantity} / {product.availableQuantity}</span>
+                                    </div>
+                                )}
 
                                 {/* Variants List */}
                                 {product.hasVariants && product.variants && product.variants.length > 0 && (
@@ -425,6 +439,14 @@ const ProductsManagement = () => {
                                                                 {variant.currentQuantity || 0}
                                                             </span>
                                                         </div>
+                                                        {variant.reservedQuantity > 0 && (
+                                                            <div className="flex items-center justify-between">
+                                                                <span className="text-xs text-amber-700">Reserved / Available:</span>
+                                                                <span className="text-xs font-semibold text-amber-700">
+                                                                    {variant.reservedQuantity} / {variant.availableQuantity}
+                                                                </span>
+                                                            </div>
+                                                        )}
                                                     </div>
                                                 </div>
                                             ))}
@@ -523,7 +545,12 @@ const ProductsManagement = () => {
                                         </td>
                                         <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{product.category}</td>
                                         <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">Rs. {product.price}</td>
-                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{product.hasVariants && product.totalVariantStock != null ? product.totalVariantStock : (product.currentQuantity || 0)}</td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                            {product.hasVariants && product.totalVariantStock != null ? product.totalVariantStock : (product.currentQuantity || 0)}
+                                            {product.reservedQuantity > 0 && (
+                                                <div className="text-xs text-amber-700">{product.reservedQuantity} reserved · {product.availableQuantity} available</div>
+                                            )}
+                                        </td>
                                         <td className="px-6 py-4 whitespace-nowrap">
                                             <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${product.isActive ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'
                                                 }`}>
@@ -72,13 +72,23 @@ export const AuthProvider = ({ children }) => {
     await fetchUser()
   }
 
+  // Owners can do everything in their business; staff only what they were granted
+  // An array of permissions means any one of them
+  const hasPermission = (permission) => {
+    if (!user) return false
+    if (user.role === 'BUSINESS_OWNER') return true
+    const permissions = [].concat(permission)
+    return user.role === 'STAFF' && permissions.some(key => (user.permissions || []).includes(key))
+  }
+
   const value = {
     user,
     login,
     logout,
     loading,
     isAuthenticated: !!user,
-    refreshUser
+    refreshUser,
+    hasPermission
   }
 
   return (
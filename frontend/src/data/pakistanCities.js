@@ -1,4 +1,5 @@
 // List of major cities in Pakistan
+// Mirrored in backend/data/pakistanCities.js, which checks CITY answers on submit - keep the two in sync.
 export const pakistanCities = [
   'Karachi',
   'Lahore',
@@ -1,5 +1,5 @@
 import { useState, useEffect, useRef } from 'react'
-import { useNavigate } from 'react-router-dom'
+import { useNavigate, useLocation } from 'react-router-dom'
 import { useForm, useFieldArray } from 'react-hook-form'
 import { ArrowLeftIcon, DocumentTextIcon, PlusIcon, TrashIcon, XMarkIcon } from '@heroicons/react/24/outline'
 import api from '../services/api'
@@ -11,7 +11,10 @@ import PaymentAccountSelector from '../components/accounting/PaymentAccountSelec
 
 const AddPurchasePage = () => {
   const navigate = useNavigate()
+  const location = useLocation()
   const { tenant } = useTenant()
+  /** Draft handed over from Reorder Suggestions: { supplierId, supplierName, items[] } */
+  const reorderDraft = location.state?.reorderDraft || null
   const [isSubmitting, setIsSubmitting] = useState(false)
   const [categories, setCategories] = useState([])
   const [loadingCategories, setLoadingCategories] = useState(false)
@@ -22,10 +25,18 @@ const AddPurchasePage = () => {
   const [supplierSuggestions, setSupplierSuggestions] = useState([])
   const [showSuggestions, setShowSuggestions] = useState(false)
   const [searchTimeout, setSearchTimeout] = useState(null)
-  const [selectedSupplierId, setSelectedSupplierId] = useState(null)
+  const [selectedSupplierId, setSelectedSupplierId] = useState(reorderDraft?.supplierId || null)
   const [productSearchResults, setProductSearchResults] = useState({}) // index -> products[]
   const [showProductSearch, setShowProductSearch] = useState({}) // index -> boolean
-  const [selectedProducts, setSelectedProducts] = useState({}) // index -> product object
+  const [selectedProducts, setSelectedProducts] = useState(() => (
+    Object.fromEntries((reorderDraft?.items || []).map((item, index) => [index, {
+      id: item.productId,
+      name: item.name,
+      sku: item.sku,
+      category: item.category,
+      hasVariants: !!item.productVariantId
+    }]))
+  )) // index -> product object
   const [productVariants, setProductVariants] = useState({}) // index -> variants[]
   const [showCreateProductModal, setShowCreateProductModal] = useState(false)
   /** When opening Create Product from a purchase row: that row index; after create we auto-select the new product in this row */
@@ -50,6 +61,7 @@ const AddPurchasePage = () => {
   const [newVariantInputsByIndex, setNewVariantInputsByIndex] = useState({})
   /** Pending products created in Create Product popup (in memory only). Key = row index; created in DB when invoice is saved. */
   const [pendingProductsByRow, setPendingProductsByRow] = useState({})
+  const [locations, setLocations] = useState([])
 
   const {
     register,
@@ -62,18 +74,85 @@ const AddPurchasePage = () => {
   } = useForm({
     defaultValues: {
       invoiceNumber: '',
-      supplierName: '',
+      supplierName: reorderDraft?.supplierName || '',
       invoiceDate: new Date().toISOString().split('T')[0],
       totalAmount: 0,
       paymentStatus: '',
       paymentAmount: '',
       paymentAccountId: '',
+      locationId: '',
       notes: '',
-      items: [{ name: '', quantity: 1, purchasePrice: 0, sku: '', category: '', description: '', productId: null, productVariantId: null, color: '', size: '' }],
+      items: reorderDraft?.items?.length
+        ? reorderDraft.items.map(item => ({
+          name: item.name,
+          quantity: item.quantity,
+          purchasePrice: item.purchasePrice || 0,
+          sku: item.sku || '',
+          category: item.category || '',
+          description: '',
+          productId: item.productId,
+          productVariantId: item.productVariantId || null,
+          color: item.color || '',
+          size: item.size || ''
+        }))
+        : [{ name: '', quantity: 1, purchasePrice: 0, sku: '', category: '', description: '', productId: null, productVariantId: null, color: '', size: '' }],
       returnItems: []
     }
   })
 
+  const loadSupplierBalance = async (supplierName) => {
+    setLoadingSupplierBalance(true)
+    try {
+      const response = await api.get(`/accounting/suppliers/by-name/${encodeURIComponent(supplierName)}/balance`)
+      if (response.data.success) {
+        setSupplierBalance(response.data)
+      } else {
+        setSupplierBalance(null)
+        setAdvanceAmountUsed(0)
+      }
+    } catch (error) {
+      console.error('Error fetching supplier balance:', error)
+      setSupplierBalance(null)
+      setAdvanceAmountUsed(0)
+    } finally {
+      setLoadingSupplierBalance(false)
+    }
+  }
+
+  // Reorder draft: load the supplier's balance and variant options for prefilled rows
+  useEffect(() => {
+    if (!reorderDraft) return
+    if (reorderDraft.supplierName) {
+      loadSupplierBalance(reorderDraft.supplierName)
+    }
+    const variantRows = {}
+    reorderDraft.items.forEach((item, index) => {
+      if (!item.productVariantId) return
+      variantRows[item.productId] = [...(variantRows[item.productId] || []), index]
+    })
+    Object.entries(variantRows).forEach(([productId, indices]) => {
+      fetchProductVariants(indices[0], productId, indices.slice(1))
+    })
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [])
+
+  // Stock locations the goods can be received into (empty when the tenant has none)
+  useEffect(() => {
+    const fetchLocations = async () => {
+      try {
+        const response = await api.get('/locations')
+        const activeLocations = (response.data.locations || []).filter(location => location.isActive)
+        setLocations(activeLocations)
+        const defaultLocation = activeLocations.find(location => location.isDefault)
+        if (defaultLocation) setValue('locationId', defaultLocation.id)
+      } catch (error) {
+        console.error('Failed to fetch locations:', error)
+      }
+    }
+    fetchLocations()
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [])
+
   // Fetch existing categories from products
   useEffect(() => {
     const fetchCategories = async () => {
@@ -946,6 +1025,7 @@ const AddPurchasePage = () => {
         paymentAmount: paymentAmount > 0 ? paymentAmount : undefined,
         paymentAccountId: paymentAmount > 0 ? (data.paymentAccountId || null) : null,
         notes: data.notes || null,
+        locationId: data.locationId || undefined,
         useAdvanceBalance: advanceAmountUsed > 0,
         advanceAmountUsed: advanceAmountUsed > 0 ? advanceAmountUsed : undefined,
         products: validItems.map((item, mapIndex) => {
@@ -1143,22 +1223,7 @@ const AddPurchasePage = () => {
                           setSupplierSuggestions([])
                           
                           // Fetch balance only when supplier is selected
-                          setLoadingSupplierBalance(true)
-                          try {
-                            const response = await api.get(`/accounting/suppliers/by-name/${encodeURIComponent(supplier.name)}/balance`)
-                            if (response.data.success) {
-                              setSupplierBalance(response.data)
-                            } else {
-                              setSupplierBalance(null)
-                              setAdvanceAmountUsed(0)
-                            }
-                          } catch (error) {
-                            console.error('Error fetching supplier balance:', error)
-                            setSupplierBalance(null)
-                            setAdvanceAmountUsed(0)
-                          } finally {
-                            setLoadingSupplierBalance(false)
-                          }
+                          await loadSupplierBalance(supplier.name)
                         }}
                       >
                         <div className="font-medium text-gray-900">{supplier.name}</div>
@@ -1204,6 +1269,24 @@ const AddPurchasePage = () => {
                 )}
               </div>
 
+              {locations.length > 1 && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Receive Into
+                  </label>
+                  <select
+                    {...register('locationId')}
+                    className="w-full px-3 py-2 bg-white text-gray-900 border-2 border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  >
+                    {locations.map(location => (
+                      <option key={location.id} value={location.id}>
+                        {location.name}{location.isDefault ? ' (default)' : ''}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              )}
+
             </div>
             {/* totalAmount is auto-calculated from items and shown in Payment Summary at bottom */}
             <input
@@ -0,0 +1,244 @@
+import { useState, useEffect, Fragment } from 'react'
+import { Link } from 'react-router-dom'
+import { ClipboardDocumentListIcon, ChevronDownIcon, ChevronRightIcon } from '@heroicons/react/24/outline'
+import api from '../services/api'
+import ModernLayout from '../components/ModernLayout'
+import LoadingSpinner from '../components/LoadingSpinner'
+import { Card, CardContent } from '../components/ui/Card'
+import { AuditChangeList, ACTION_LABELS } from '../components/AuditHistoryPanel'
+
+const ENTITY_LABELS = {
+  ORDER: 'Order',
+  PAYMENT: 'Payment',
+  PURCHASE_INVOICE: 'Purchase invoice',
+  ACCOUNTING_PERIOD: 'Accounting period',
+  TRANSACTION: 'Journal entry',
+  STOCK_COUNT: 'Stock count'
+}
+
+const emptyFilters = {
+  entityType: '',
+  userId: '',
+  search: '',
+  startDate: '',
+  endDate: ''
+}
+
+const entityLink = (log) => {
+  switch (log.entityType) {
+    case 'ORDER':
+      return `/business/orders/${log.entityId}`
+    case 'PURCHASE_INVOICE':
+      return `/business/purchases/${log.entityId}`
+    default:
+      return null
+  }
+}
+
+function AuditLogPage() {
+  const [logs, setLogs] = useState([])
+  const [actors, setActors] = useState([])
+  const [filters, setFilters] = useState(emptyFilters)
+  const [page, setPage] = useState(1)
+  const [pagination, setPagination] = useState({ page: 1, pages: 1, total: 0 })
+  const [expanded, setExpanded] = useState({})
+  const [loading, setLoading] = useState(true)
+
+  useEffect(() => {
+    fetchActors()
+  }, [])
+
+  useEffect(() => {
+    fetchLogs()
+  }, [filters, page])
+
+  const fetchActors = async () => {
+    try {
+      const response = await api.get('/audit-logs/actors')
+      setActors(response.data.actors || [])
+    } catch (error) {
+      console.error('Failed to load audit users:', error)
+    }
+  }
+
+  const fetchLogs = async () => {
+    try {
+      setLoading(true)
+      const params = { page, limit: 25 }
+      Object.entries(filters).forEach(([key, value]) => {
+        if (value) params[key] = value
+      })
+      const response = await api.get('/audit-logs', { params })
+      setLogs(response.data.logs || [])
+      setPagination(response.data.pagination || { page: 1, pages: 1, total: 0 })
+    } catch (error) {
+      console.error('Failed to load audit log:', error)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const updateFilter = (key, value) => {
+    setFilters(prev => ({ ...prev, [key]: value }))
+    setPage(1)
+  }
+
+  const toggleExpanded = (id) => {
+    setExpanded(prev => ({ ...prev, [id]: !prev[id] }))
+  }
+
+  return (
+    <ModernLayout>
+      <div className="space-y-6">
+        <div>
+          <h1 className="text-3xl font-bold text-brand-600">Audit Log</h1>
+          <p className="text-gray-500 mt-1">Who changed which order, payment or purchase invoice, and what changed.</p>
+        </div>
+
+        <Card>
+          <CardContent>
+            <div className="grid grid-cols-1 md:grid-cols-5 gap-3">
+              <select
+                value={filters.entityType}
+                onChange={(e) => updateFilter('entityType', e.target.value)}
+                className="px-3 py-2 border border-gray-300 rounded-md bg-white text-gray-900"
+              >
+                <option value="">All records</option>
+                {Object.entries(ENTITY_LABELS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+              <select
+                value={filters.userId}
+                onChange={(e) => updateFilter('userId', e.target.value)}
+                className="px-3 py-2 border border-gray-300 rounded-md bg-white text-gray-900"
+              >
+                <option value="">All users</option>
+                {actors.map(actor => (
+                  <option key={actor.userId} value={actor.userId}>{actor.userName || actor.userId}</option>
+                ))}
+              </select>
+              <input
+                type="text"
+                value={filters.search}
+                onChange={(e) => updateFilter('search', e.target.value)}
+                placeholder="Order / payment / invoice number"
+                className="px-3 py-2 border border-gray-300 rounded-md"
+              />
+              <input
+                type="date"
+                value={filters.startDate}
+                onChange={(e) => updateFilter('startDate', e.target.value)}
+                className="px-3 py-2 border border-gray-300 rounded-md"
+              />
+              <input
+                type="date"
+                value={filters.endDate}
+                onChange={(e) => updateFilter('endDate', e.target.value)}
+                className="px-3 py-2 border border-gray-300 rounded-md"
+              />
+            </div>
+          </CardContent>
+        </Card>
+
+        <Card>
+          <CardContent>
+            {loading ? (
+              <LoadingSpinner className="py-12" />
+            ) : logs.length === 0 ? (
+              <div className="text-center py-12">
+                <ClipboardDocumentListIcon className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+                <h3 className="text-lg font-medium text-gray-900 mb-2">No audit entries found</h3>
+                <p className="text-gray-600">Edits to orders, payments and purchase invoices appear here.</p>
+              </div>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-4 py-3 w-8" />
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">When</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">User</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Record</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Action</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Changes</th>
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {logs.map(log => {
+                      const link = entityLink(log)
+                      const label = `${ENTITY_LABELS[log.entityType] || log.entityType} ${log.entityLabel || ''}`
+                      return (
+                        <Fragment key={log.id}>
+                          <tr className="hover:bg-gray-50 cursor-pointer" onClick={() => toggleExpanded(log.id)}>
+                            <td className="px-4 py-3 text-gray-400">
+                              {expanded[log.id]
+                                ? <ChevronDownIcon className="h-4 w-4" />
+                                : <ChevronRightIcon className="h-4 w-4" />}
+                            </td>
+                            <td className="px-4 py-3 text-sm text-gray-900 whitespace-nowrap">
+                              {new Date(log.createdAt).toLocaleString()}
+                            </td>
+                            <td className="px-4 py-3 text-sm text-gray-900">{log.userName || 'System'}</td>
+                            <td className="px-4 py-3 text-sm">
+                              {link ? (
+                                <Link to={link} onClick={(e) => e.stopPropagation()} className="text-brand-600 hover:underline">
+                                  {label}
+                                </Link>
+                              ) : (
+                                <span className="text-gray-900">{label}</span>
+                              )}
+                            </td>
+                            <td className="px-4 py-3 text-sm text-gray-700">{ACTION_LABELS[log.action] || log.action}</td>
+                            <td className="px-4 py-3 text-sm text-gray-500">
+                              {log.changes.length} field{log.changes.length === 1 ? '' : 's'}
+                            </td>
+                          </tr>
+                          {expanded[log.id] && (
+                            <tr className="bg-gray-50">
+                              <td />
+                              <td colSpan={5} className="px-4 py-3">
+                                {log.description && <p className="text-sm text-gray-600 mb-2">{log.description}</p>}
+                                <AuditChangeList changes={log.changes} />
+                              </td>
+                            </tr>
+                          )}
+                        </Fragment>
+                      )
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            )}
+
+            {pagination.pages > 1 && (
+              <div className="flex justify-between items-center mt-4 text-sm text-gray-600">
+                <span>Page {pagination.page} of {pagination.pages} ({pagination.total} entries)</span>
+                <div className="flex gap-2">
+                  <button
+                    type="button"
+                    disabled={page <= 1}
+                    onClick={() => setPage(page - 1)}
+                    className="px-3 py-1 border border-gray-300 rounded-md disabled:opacity-50"
+                  >
+                    Previous
+                  </button>
+                  <button
+                    type="button"
+                    disabled={page >= pagination.pages}
+                    onClick={() => setPage(page + 1)}
+                    className="px-3 py-1 border border-gray-300 rounded-md disabled:opacity-50"
+                  >
+                    Next
+                  </button>
+                </div>
+              </div>
+            )}
+          </CardContent>
+        </Card>
+      </div>
+    </ModernLayout>
+  )
+}
+
+export default AuditLogPage
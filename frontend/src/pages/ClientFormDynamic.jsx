@@ -8,6 +8,7 @@ import ProductDisplay from '../components/ProductDisplay'
 import ShoppingCartForm from '../components/ShoppingCartForm'
 import CityAutocomplete from '../components/CityAutocomplete'
 import WhatsAppConfirmationModal from '../components/WhatsAppConfirmationModal'
+import { isFieldShown, getValidationRules, getFieldOptions } from '../utils/formFieldRules'
 import { 
   PhotoIcon, DocumentIcon, UserIcon, PhoneIcon, MapPinIcon, ScaleIcon, 
   CubeTransparentIcon, XMarkIcon, CheckIcon, DocumentTextIcon, TagIcon, 
@@ -25,13 +26,15 @@ const ClientFormDynamic = () => {
   const [quantities, setQuantities] = useState({})
   const [selectedProducts, setSelectedProducts] = useState([])
   const [productQuantities, setProductQuantities] = useState({})
+  const [couponCode, setCouponCode] = useState('')
 
   const {
     register,
     handleSubmit,
     formState: { errors },
     setValue,
-    trigger
+    trigger,
+    watch
   } = useForm()
 
   useEffect(() => {
@@ -352,10 +355,7 @@ const ClientFormDynamic = () => {
 
     // Regular form fields
     const commonProps = {
-      ...register(field.label, {
-        required: field.isRequired ? `${field.label} is required` : false,
-        validate: field.isRequired ? undefined : () => true // Allow empty values for non-required fields
-      }),
+      ...register(field.label, getValidationRules(field)),
       className: "w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-pink-500 focus:border-pink-500 bg-white text-gray-900 placeholder-gray-400 text-sm transition-colors duration-200",
       placeholder: field.placeholder || `Enter ${field.label.toLowerCase()}`
     }
@@ -367,6 +367,57 @@ const ClientFormDynamic = () => {
         return <input type="email" {...commonProps} />
       case 'PHONE':
         return <input type="tel" {...commonProps} placeholder="+92 300 1234567" />
+      case 'NUMBER':
+        return <input type="number" step="any" {...commonProps} />
+      case 'DATE':
+        return <input type="date" {...commonProps} />
+      case 'CITY':
+        return (
+          <>
+            <CityAutocomplete
+              name={field.label}
+              value={watch(field.label) || ''}
+              onChange={(e) => setValue(field.label, e.target.value, { shouldValidate: true })}
+              onBlur={() => trigger(field.label)}
+              required={field.isRequired}
+              placeholder={field.placeholder || 'Select or type city name'}
+            />
+            <input type="hidden" {...register(field.label, getValidationRules(field))} />
+          </>
+        )
+      case 'RADIO':
+        return (
+          <div className="space-y-2">
+            {getFieldOptions(field).map(option => (
+              <label key={option} className="flex items-center gap-2 text-sm text-gray-900">
+                <input type="radio" value={option} {...register(field.label, getValidationRules(field))} className="text-pink-600 focus:ring-pink-500" />
+                {option}
+              </label>
+            ))}
+          </div>
+        )
+      case 'CHECKBOX': {
+        const checkboxOptions = getFieldOptions(field)
+        // Without options this is a single tick box (e.g. accepting terms)
+        if (checkboxOptions.length === 0) {
+          return (
+            <label className="flex items-center gap-2 text-sm text-gray-900">
+              <input type="checkbox" value="Yes" {...register(field.label, getValidationRules(field))} className="rounded text-pink-600 focus:ring-pink-500" />
+              {field.placeholder || field.label}
+            </label>
+          )
+        }
+        return (
+          <div className="space-y-2">
+            {checkboxOptions.map(option => (
+              <label key={option} className="flex items-center gap-2 text-sm text-gray-900">
+                <input type="checkbox" value={option} {...register(field.label, getValidationRules(field))} className="rounded text-pink-600 focus:ring-pink-500" />
+                {option}
+              </label>
+            ))}
+          </div>
+        )
+      }
       case 'ADDRESS':
       case 'TEXTAREA':
         return (
@@ -534,6 +585,7 @@ const ClientFormDynamic = () => {
       // Validate required images
       const requiredImageFields = form.fields.filter(f => 
         f.fieldType === 'FILE_UPLOAD' && 
+        isFieldShown(f, data, form.fields) && 
         f.isRequired && 
         (f.label.toLowerCase().includes('image') || f.label.toLowerCase().includes('dress'))
       )
@@ -547,7 +599,8 @@ const ClientFormDynamic = () => {
           // Prepare form data
           const formData = {}
           form.fields.forEach(field => {
-            if (field.fieldType !== 'FILE_UPLOAD') {
+            // Questions hidden by a show/hide rule are not sent
+            if (field.fieldType !== 'FILE_UPLOAD' && isFieldShown(field, data, form.fields)) {
               const value = data[field.label]
               // Always include required fields (even if empty for validation)
               // For optional fields, only include if they have a value
@@ -610,7 +663,8 @@ const ClientFormDynamic = () => {
         paymentReceipt: paymentReceipt?.url || null,
         selectedProducts: normalizedProducts,
         productQuantities: payloadQuantities,
-        productPrices: payloadPrices
+        productPrices: payloadPrices,
+        couponCode: selectedProducts.length > 0 && couponCode.trim() ? couponCode.trim() : null
       }
 
       console.log('📤 Submitting order data:', orderData)
@@ -675,21 +729,27 @@ const ClientFormDynamic = () => {
     )
   }
 
+  // Only fields whose show/hide rule passes for the current answers; City always has its own input below
+  const answers = watch()
+  const shownFields = form.fields.filter(f =>
+    f.label.toLowerCase() !== 'city' && isFieldShown(f, answers, form.fields)
+  )
+
   // Group fields by sections - use more precise filtering to avoid duplicates
-  const customerFields = form.fields.filter(f => 
+  const customerFields = shownFields.filter(f => 
     f.label.toLowerCase() === 'customer name' ||
     f.label.toLowerCase() === 'email address' ||
     f.label.toLowerCase() === 'phone number' ||
     f.label.toLowerCase() === 'shipping address'
   )
-  const dressFields = form.fields.filter(f => 
+  const dressFields = shownFields.filter(f => 
     f.label.toLowerCase().includes('size') ||
     f.label.toLowerCase().includes('quantity') ||
     f.label.toLowerCase().includes('image') ||
     f.label.toLowerCase().includes('product') ||
     f.fieldType === 'PRODUCT_SELECTOR'
   )
-  const paymentFields = form.fields.filter(f => 
+  const paymentFields = shownFields.filter(f => 
     f.label.toLowerCase().includes('payment') ||
     f.label.toLowerCase().includes('receipt') ||
     (f.label.toLowerCase().includes('amount') && f.label.toLowerCase().includes('payment'))
@@ -851,7 +911,7 @@ const ClientFormDynamic = () => {
             {/* Additional Fields Section - for any fields not categorized above */}
             {(() => {
               const categorizedFields = [...customerFields, ...dressFields, ...paymentFields];
-              const remainingFields = form.fields.filter(f => !categorizedFields.includes(f));
+              const remainingFields = shownFields.filter(f => !categorizedFields.includes(f));
               
               if (remainingFields.length > 0) {
                 return (
@@ -884,6 +944,20 @@ const ClientFormDynamic = () => {
               return null;
             })()}
 
+            {/* Discount code - checked and applied by the server on submit */}
+            {selectedProducts.length > 0 && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Discount Code</label>
+                <input
+                  type="text"
+                  value={couponCode}
+                  onChange={(e) => setCouponCode(e.target.value.toUpperCase())}
+                  placeholder="Have a discount code?"
+                  className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-pink-500 focus:border-pink-500"
+                />
+              </div>
+            )}
+
             {/* Submit Button */}
             <div className="pt-4">
               <button
@@ -7,6 +7,8 @@ import toast from 'react-hot-toast'
 import LoadingSpinner from '../components/LoadingSpinner'
 import ProductSelector from '../components/ProductSelector'
 import ModernLayout from '../components/ModernLayout'
+import FormFieldRulesEditor from '../components/FormFieldRulesEditor'
+import { OPTION_FIELD_TYPES } from '../utils/formFieldRules'
 import { useAuth } from '../contexts/AuthContext'
 import { useTenant } from '../hooks'
 
@@ -53,6 +55,7 @@ const CreateFormPage = () => {
     control,
     name: 'fields'
   })
+  const watchedFields = watch('fields') || []
 
   // Fetch tenants
   useEffect(() => {
@@ -91,6 +94,8 @@ const CreateFormPage = () => {
     const name = fieldName.toLowerCase()
     if (name.includes('email')) return 'EMAIL'
     if (name.includes('phone') || name.includes('mobile') || name.includes('contact')) return 'PHONE'
+    if (name.includes('city')) return 'CITY'
+    if (name.includes('date')) return 'DATE'
     if (name.includes('address') || name.includes('location')) return 'ADDRESS'
     if (name.includes('amount') || name.includes('price') || name.includes('cost')) return 'AMOUNT'
     if (name.includes('quantity') || name.includes('qty')) return 'AMOUNT'
@@ -106,10 +111,15 @@ const CreateFormPage = () => {
     { value: 'EMAIL', label: 'Email Address' },
     { value: 'PHONE', label: 'Phone Number' },
     { value: 'ADDRESS', label: 'Address' },
+    { value: 'CITY', label: 'City' },
     { value: 'TEXTAREA', label: 'Long Text' },
     { value: 'AMOUNT', label: 'Number/Amount' },
+    { value: 'NUMBER', label: 'Number' },
+    { value: 'DATE', label: 'Date' },
     { value: 'FILE_UPLOAD', label: 'File Upload' },
     { value: 'DROPDOWN', label: 'Dropdown Menu' },
+    { value: 'RADIO', label: 'Multiple Choice' },
+    { value: 'CHECKBOX', label: 'Checkboxes' },
     { value: 'PRODUCT_SELECTOR', label: 'Product Selection' }
   ]
 
@@ -148,11 +158,12 @@ const CreateFormPage = () => {
           .map(field => {
             const processedField = {
               ...field,
-              options: field.fieldType === 'DROPDOWN' && field.options 
+              options: OPTION_FIELD_TYPES.includes(field.fieldType) && field.options 
                 ? Array.isArray(field.options) 
                   ? field.options
                   : field.options.split(',').map(opt => opt.trim()).filter(opt => opt)
-                : undefined
+                : undefined,
+              showIf: field.showIf?.field ? field.showIf : undefined
             }
             
             // Add selected products for PRODUCT_SELECTOR fields (with prices)
@@ -302,7 +313,9 @@ const CreateFormPage = () => {
             </div>
 
             <div className="space-y-4">
-              {fields.map((field, index) => (
+              {fields.map((field, index) => {
+                const currentType = watchedFields[index]?.fieldType || field.fieldType
+                return (
                 <div key={field.id} className={`border rounded-lg p-4 ${field.isVisible ? 'border-gray-200 bg-white' : 'border-gray-300 bg-gray-50'}`}>
                   <div className="flex justify-between items-start mb-3">
                     <div className="flex items-center">
@@ -354,6 +367,8 @@ const CreateFormPage = () => {
                                   'TEXTAREA': 'Enter details here',
                                   'FILE_UPLOAD': 'Choose file to upload',
                                   'DROPDOWN': 'Select an option',
+                                  'CITY': 'Select your city',
+                                  'DATE': 'Choose a date',
                                   'PRODUCT_SELECTOR': 'Choose products'
                                 }
                                 if (placeholders[fieldType]) {
@@ -384,20 +399,25 @@ const CreateFormPage = () => {
                         </div>
                       </div>
 
-                      {/* Show detected field type */}
+                      {/* Detected field type - can be changed */}
                       <div className="mt-2 p-3 bg-blue-100 border-2 border-blue-300 rounded-lg">
-                        <div className="flex items-center text-sm">
+                        <div className="flex flex-col sm:flex-row sm:items-center gap-2 text-sm">
                           <span className="font-bold text-gray-900">Field Type:</span>
-                          <span className="ml-2 px-3 py-1 bg-blue-200 rounded font-bold text-gray-900">
-                            {fieldTypes.find(t => t.value === field.fieldType)?.label || 'Text Input'}
-                          </span>
-                          <span className="ml-2 text-gray-700 font-medium">
+                          <select
+                            {...register(`fields.${index}.fieldType`)}
+                            className="px-3 py-1 bg-blue-200 rounded font-bold text-gray-900 border-0"
+                          >
+                            {fieldTypes.map((type) => (
+                              <option key={type.value} value={type.value}>{type.label}</option>
+                            ))}
+                          </select>
+                          <span className="text-gray-700 font-medium">
                             (Auto-detected from field name)
                           </span>
                         </div>
                       </div>
 
-                      {field.fieldType === 'DROPDOWN' && (
+                      {OPTION_FIELD_TYPES.includes(currentType) && (
                         <div className="mt-3 p-3 bg-yellow-100 border-2 border-yellow-300 rounded-lg">
                           <label className="block text-sm font-bold text-gray-900 mb-2">
                             What options should users choose from?
@@ -409,12 +429,21 @@ const CreateFormPage = () => {
                             defaultValue={field.options?.join(', ')}
                           />
                           <p className="text-xs text-gray-700 font-medium mt-2">
-                            💡 Separate each option with a comma
+                            💡 Separate each option with a comma{currentType === 'CHECKBOX' && ' (leave empty for a single tick box)'}
                           </p>
                         </div>
                       )}
 
-                      {field.fieldType === 'PRODUCT_SELECTOR' && selectedTenantId && (
+                      {currentType !== 'PRODUCT_SELECTOR' && (
+                        <FormFieldRulesEditor
+                          register={register}
+                          index={index}
+                          field={{ ...field, ...watchedFields[index] }}
+                          allFields={watchedFields}
+                        />
+                      )}
+
+                      {currentType === 'PRODUCT_SELECTOR' && selectedTenantId && (
                         <div className="mt-3 bg-green-100 border-2 border-green-300 rounded-lg p-4">
                           <div className="flex items-center justify-between mb-3">
                             <h5 className="font-bold text-gray-900">🛍️ Choose Products for This Field</h5>
@@ -453,7 +482,8 @@ const CreateFormPage = () => {
                     </>
                   )}
                 </div>
-              ))}
+                )
+              })}
             </div>
           </div>
 
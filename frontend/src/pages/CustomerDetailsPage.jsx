@@ -16,6 +16,9 @@ const CustomerDetailsPage = () => {
   const [customerBalance, setCustomerBalance] = useState(null)
   const [customerPayments, setCustomerPayments] = useState([])
   const [customerReturns, setCustomerReturns] = useState([])
+  const [customerSegments, setCustomerSegments] = useState(null)
+  const [customerRisk, setCustomerRisk] = useState(null)
+  const [blocking, setBlocking] = useState(false)
   const [loading, setLoading] = useState(true)
   const [activeTab, setActiveTab] = useState('overview')
   const [isEditing, setIsEditing] = useState(false)
@@ -69,6 +72,8 @@ const CustomerDetailsPage = () => {
       // Fetch payments and returns after orders are loaded
       fetchPayments()
       fetchReturns()
+      fetchSegments()
+      fetchRisk()
     } catch (error) {
       console.error('Failed to fetch customer details:', error)
       toast.error('Failed to fetch customer details')
@@ -91,6 +96,39 @@ const CustomerDetailsPage = () => {
     }
   }
   
+  const fetchSegments = async () => {
+    try {
+      const response = await api.get(`/customer/${customerId}/segments`)
+      setCustomerSegments(response.data)
+    } catch (error) {
+      console.error('Failed to fetch customer segments:', error)
+    }
+  }
+  
+  const fetchRisk = async () => {
+    try {
+      const response = await api.get(`/customer/${customerId}/risk`)
+      setCustomerRisk(response.data.risk)
+    } catch (error) {
+      console.error('Failed to fetch customer risk:', error)
+    }
+  }
+
+  const handleBlockPhone = async () => {
+    const reason = window.prompt(`Block ${customerDetails.phoneNumber}? New orders from this number will follow your blocklist rule.\n\nReason (optional):`)
+    if (reason === null) return
+    try {
+      setBlocking(true)
+      await api.post('/customer/blocklist', { type: 'PHONE', value: customerDetails.phoneNumber, reason })
+      toast.success('Phone number blocked')
+      fetchRisk()
+    } catch (error) {
+      console.error('Failed to block phone number:', error)
+    } finally {
+      setBlocking(false)
+    }
+  }
+
   const fetchReturns = async () => {
     try {
       const response = await api.get('/accounting/order-returns', {
@@ -216,6 +254,8 @@ const CustomerDetailsPage = () => {
         return '🛒'
       case 'INFO_CHANGED':
         return '📝'
+      case 'MERGED':
+        return '🔗'
       default:
         return '📋'
     }
@@ -390,6 +430,12 @@ const CustomerDetailsPage = () => {
                       <PhoneIcon className="h-5 w-5 text-gray-400" />
                       <span className="text-gray-900">{customerDetails.phoneNumber}</span>
                     </div>
+                    {customerDetails.alternatePhones?.length > 0 && (
+                      <div className="flex items-center space-x-3">
+                        <span className="text-sm font-medium text-gray-600 w-16">Also:</span>
+                        <span className="text-gray-900">{customerDetails.alternatePhones.join(', ')}</span>
+                      </div>
+                    )}
                     <div className="flex items-center space-x-3">
                       <span className="text-sm font-medium text-gray-600 w-16">Name:</span>
                       {isEditing ? (
@@ -517,6 +563,98 @@ const CustomerDetailsPage = () => {
                 </div>
               </div>
 
+              {/* Risk score from refused deliveries, cancellations and returns */}
+              {customerRisk && (
+                <div className="card p-6">
+                  <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+                    <div>
+                      <div className="flex items-center gap-2">
+                        <h3 className="text-lg font-semibold text-gray-900">Order Risk</h3>
+                        <span className={`px-2 py-0.5 rounded-full text-xs font-semibold ${
+                          customerRisk.level === 'HIGH'
+                            ? 'bg-red-100 text-red-800'
+                            : customerRisk.level === 'MEDIUM'
+                              ? 'bg-amber-100 text-amber-800'
+                              : 'bg-green-100 text-green-800'
+                        }`}>
+                          {customerRisk.score} / 100 · {customerRisk.level}
+                        </span>
+                        {customerRisk.blocked.length > 0 && (
+                          <span className="px-2 py-0.5 rounded-full text-xs font-semibold bg-gray-900 text-white">Blocked</span>
+                        )}
+                      </div>
+                      <p className="text-sm text-gray-500 mt-1">
+                        {customerRisk.reasons.length > 0 ? customerRisk.reasons.join(', ') : 'No refused deliveries, cancellations or returns'}
+                        {' · '}{customerRisk.history.frequency} order{customerRisk.history.frequency === 1 ? '' : 's'} kept
+                      </p>
+                    </div>
+                    {customerRisk.blocked.length === 0 && (
+                      <button
+                        onClick={handleBlockPhone}
+                        disabled={blocking}
+                        className="px-4 py-2 text-sm font-medium text-red-700 bg-red-50 border border-red-200 rounded-lg hover:bg-red-100 disabled:opacity-50"
+                      >
+                        {blocking ? 'Blocking...' : 'Block Phone Number'}
+                      </button>
+                    )}
+                  </div>
+                </div>
+              )}
+
+              {/* RFM scores and saved segments */}
+              {customerSegments && (
+                <div className="card p-6">
+                  <div className="flex items-center justify-between mb-4">
+                    <h3 className="text-lg font-semibold text-gray-900">Segments</h3>
+                    <button
+                      onClick={() => navigate('/business/customers/segments')}
+                      className="text-sm font-medium text-pink-600 hover:text-pink-700"
+                    >
+                      Manage segments
+                    </button>
+                  </div>
+                  <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+                    <div className="bg-gray-50 p-3 rounded-lg">
+                      <p className="text-xs font-medium text-gray-600 mb-1">RFM Group</p>
+                      <p className="text-lg font-bold text-gray-900">{customerSegments.metrics.rfmGroup}</p>
+                    </div>
+                    <div className="bg-gray-50 p-3 rounded-lg">
+                      <p className="text-xs font-medium text-gray-600 mb-1">Recency / Frequency / Monetary</p>
+                      <p className="text-lg font-bold text-gray-900">
+                        {customerSegments.metrics.rfmScore ? customerSegments.metrics.rfmScore.split('').join(' / ') : '-'}
+                      </p>
+                    </div>
+                    <div className="bg-gray-50 p-3 rounded-lg">
+                      <p className="text-xs font-medium text-gray-600 mb-1">Days Since Last Order</p>
+                      <p className="text-lg font-bold text-gray-900">{customerSegments.metrics.recencyDays ?? '-'}</p>
+                    </div>
+                    <div className="bg-gray-50 p-3 rounded-lg">
+                      <p className="text-xs font-medium text-gray-600 mb-1">Refused / Cancelled</p>
+                      <p className="text-lg font-bold text-gray-900">
+                        {customerSegments.metrics.refusedOrders} / {customerSegments.metrics.cancelledOrders}
+                      </p>
+                    </div>
+                    <div className="bg-gray-50 p-3 rounded-lg">
+                      <p className="text-xs font-medium text-gray-600 mb-1">Return Rate</p>
+                      <p className="text-lg font-bold text-gray-900">{customerSegments.metrics.returnRate}%</p>
+                    </div>
+                  </div>
+                  <div className="flex flex-wrap gap-2 mt-4">
+                    {customerSegments.segments.length === 0 ? (
+                      <span className="text-sm text-gray-500">Not in any saved segment</span>
+                    ) : customerSegments.segments.map(segment => (
+                      <button
+                        key={segment.id}
+                        onClick={() => navigate(`/business/customers?segment=${segment.id}`)}
+                        className="px-3 py-1 rounded-full text-xs font-medium bg-purple-100 text-purple-800 hover:bg-purple-200"
+                      >
+                        {segment.name}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              )}
+
               {/* Notes */}
               <div className="card p-6">
                 <h3 className="text-lg font-semibold text-gray-900 mb-2">Notes</h3>
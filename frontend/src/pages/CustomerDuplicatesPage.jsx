@@ -0,0 +1,233 @@
+import { useState, useEffect } from 'react'
+import { useNavigate } from 'react-router-dom'
+import { ArrowLeftIcon, ArrowPathIcon } from '@heroicons/react/24/outline'
+import toast from 'react-hot-toast'
+import api from '../services/api'
+import ModernLayout from '../components/ModernLayout'
+import LoadingSpinner from '../components/LoadingSpinner'
+
+const CONFIDENCE_STYLES = {
+  HIGH: { label: 'Same phone number', className: 'bg-red-100 text-red-800' },
+  MEDIUM: { label: 'Possible match', className: 'bg-amber-100 text-amber-800' }
+}
+
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString() : '—')
+
+// Keep the suggested record and merge every other record in the group by default
+const initialSelection = (group) => ({
+  primaryId: group.suggestedPrimaryId,
+  mergeIds: group.customers.map(customer => customer.id).filter(id => id !== group.suggestedPrimaryId)
+})
+
+function CustomerDuplicatesPage() {
+  const navigate = useNavigate()
+  const [groups, setGroups] = useState([])
+  const [selections, setSelections] = useState({})
+  const [loading, setLoading] = useState(true)
+  const [mergingKey, setMergingKey] = useState(null)
+
+  useEffect(() => {
+    fetchDuplicates()
+  }, [])
+
+  const groupKey = (group) => group.customers.map(customer => customer.id).sort().join('|')
+
+  const fetchDuplicates = async () => {
+    try {
+      setLoading(true)
+      const response = await api.get('/customer/duplicates')
+      const list = response.data.groups || []
+      setGroups(list)
+      setSelections(Object.fromEntries(list.map(group => [groupKey(group), initialSelection(group)])))
+    } catch (error) {
+      console.error('Failed to find duplicate customers:', error)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const setPrimary = (group, customerId) => {
+    const key = groupKey(group)
+    setSelections(prev => ({
+      ...prev,
+      [key]: {
+        primaryId: customerId,
+        mergeIds: group.customers.map(customer => customer.id).filter(id => id !== customerId)
+      }
+    }))
+  }
+
+  const toggleMerge = (group, customerId) => {
+    const key = groupKey(group)
+    setSelections(prev => {
+      const { primaryId, mergeIds } = prev[key]
+      return {
+        ...prev,
+        [key]: {
+          primaryId,
+          mergeIds: mergeIds.includes(customerId)
+            ? mergeIds.filter(id => id !== customerId)
+            : [...mergeIds, customerId]
+        }
+      }
+    })
+  }
+
+  const handleMerge = async (group) => {
+    const key = groupKey(group)
+    const { primaryId, mergeIds } = selections[key]
+    const primary = group.customers.find(customer => customer.id === primaryId)
+    const merged = group.customers.filter(customer => mergeIds.includes(customer.id))
+    const names = merged.map(customer => `${customer.name || 'Unnamed'} (${customer.phoneNumber})`).join('\n')
+    if (!window.confirm(
+      `Merge into ${primary.name || 'Unnamed'} (${primary.phoneNumber})?\n\n${names}\n\n` +
+      'Their orders, payments, history and advance balance move to this customer and the merged records are removed. ' +
+      'Their phone numbers are kept so future orders find this customer.'
+    )) return
+
+    try {
+      setMergingKey(key)
+      await api.post('/customer/merge', { primaryId, duplicateIds: mergeIds })
+      toast.success('Customers merged')
+      fetchDuplicates()
+    } catch (error) {
+      console.error('Failed to merge customers:', error)
+    } finally {
+      setMergingKey(null)
+    }
+  }
+
+  const describeMatch = (group, match) => {
+    const names = match.customerIds.map(id => {
+      const customer = group.customers.find(item => item.id === id)
+      return customer?.name || customer?.phoneNumber || 'Unnamed'
+    })
+    const details = match.reasons.includes('Similar name and address')
+      ? ` · name ${match.nameSimilarity}%, address ${match.addressSimilarity}% alike`
+      : ''
+    return `${names.join(' & ')}: ${match.reasons.join(', ')}${details}`
+  }
+
+  return (
+    <ModernLayout>
+      <div className="space-y-6">
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+          <div>
+            <button
+              onClick={() => navigate('/business/customers')}
+              className="flex items-center text-sm text-gray-500 hover:text-gray-700 mb-2"
+            >
+              <ArrowLeftIcon className="h-4 w-4 mr-1" />
+              Customers
+            </button>
+            <h1 className="text-3xl font-bold text-brand-600">Duplicate Customers</h1>
+            <p className="text-gray-500 mt-1">
+              Records that look like the same buyer: the same number written differently (0300… and +92300…), or a
+              similar name at a similar address under another number.
+            </p>
+          </div>
+          <button onClick={fetchDuplicates} className="btn-secondary flex items-center justify-center min-h-[44px]">
+            <ArrowPathIcon className="h-5 w-5 mr-2" />
+            Scan Again
+          </button>
+        </div>
+
+        {loading ? (
+          <LoadingSpinner className="py-12" />
+        ) : groups.length === 0 ? (
+          <div className="card p-8 text-center text-gray-500">No duplicate customers found.</div>
+        ) : (
+          groups.map(group => {
+            const key = groupKey(group)
+            const selection = selections[key] || initialSelection(group)
+            const confidence = CONFIDENCE_STYLES[group.confidence]
+            return (
+              <div key={key} className="card overflow-x-auto">
+                <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2 p-4 border-b">
+                  <div>
+                    <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${confidence.className}`}>
+                      {confidence.label}
+                    </span>
+                    {group.matches.map((match, index) => (
+                      <p key={index} className="text-xs text-gray-500 mt-1">{describeMatch(group, match)}</p>
+                    ))}
+                  </div>
+                  <button
+                    onClick={() => handleMerge(group)}
+                    disabled={mergingKey === key || selection.mergeIds.length === 0}
+                    className="btn-primary min-h-[44px]"
+                  >
+                    {mergingKey === key ? 'Merging...' : `Merge ${selection.mergeIds.length + 1} Records`}
+                  </button>
+                </div>
+                <table className="min-w-full divide-y divide-gray-200 text-sm">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-4 py-3 text-left font-medium text-gray-500">Keep</th>
+                      <th className="px-4 py-3 text-left font-medium text-gray-500">Merge</th>
+                      <th className="px-4 py-3 text-left font-medium text-gray-500">Customer</th>
+                      <th className="px-4 py-3 text-left font-medium text-gray-500">Address</th>
+                      <th className="px-4 py-3 text-right font-medium text-gray-500">Orders</th>
+                      <th className="px-4 py-3 text-right font-medium text-gray-500">Spent</th>
+                      <th className="px-4 py-3 text-right font-medium text-gray-500">Advance</th>
+                      <th className="px-4 py-3 text-right font-medium text-gray-500">Last Order</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-100">
+                    {group.customers.map(customer => {
+                      const isPrimary = customer.id === selection.primaryId
+                      return (
+                        <tr key={customer.id} className={isPrimary ? 'bg-brand-50' : ''}>
+                          <td className="px-4 py-3">
+                            <input
+                              type="radio"
+                              name={`primary-${key}`}
+                              checked={isPrimary}
+                              onChange={() => setPrimary(group, customer.id)}
+                            />
+                          </td>
+                          <td className="px-4 py-3">
+                            <input
+                              type="checkbox"
+                              checked={!isPrimary && selection.mergeIds.includes(customer.id)}
+                              disabled={isPrimary}
+                              onChange={() => toggleMerge(group, customer.id)}
+                            />
+                          </td>
+                          <td className="px-4 py-3">
+                            <button
+                              onClick={() => navigate(`/business/customers/${customer.id}`)}
+                              className="font-semibold text-gray-900 hover:text-brand-600"
+                            >
+                              {customer.name || 'Unnamed'}
+                            </button>
+                            {!customer.isActive && (
+                              <span className="ml-2 px-2 py-0.5 rounded-full text-xs bg-gray-100 text-gray-500">Inactive</span>
+                            )}
+                            <div className="text-xs text-gray-500">
+                              {[customer.phoneNumber, ...(customer.alternatePhones || [])].join(', ')}
+                            </div>
+                          </td>
+                          <td className="px-4 py-3 text-gray-700">
+                            {customer.address || customer.shippingAddress || '—'}
+                            {customer.city && <div className="text-xs text-gray-500">{customer.city}</div>}
+                          </td>
+                          <td className="px-4 py-3 text-right">{customer.totalOrders}</td>
+                          <td className="px-4 py-3 text-right">Rs. {(customer.totalSpent || 0).toFixed(2)}</td>
+                          <td className="px-4 py-3 text-right">Rs. {(customer.advanceBalance || 0).toFixed(2)}</td>
+                          <td className="px-4 py-3 text-right">{formatDate(customer.lastOrderDate)}</td>
+                        </tr>
+                      )
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            )
+          })
+        )}
+      </div>
+    </ModernLayout>
+  )
+}
+
+export default CustomerDuplicatesPage
@@ -1,10 +1,12 @@
 import { useState, useEffect } from 'react'
 import { useNavigate, useParams } from 'react-router-dom'
 import { ArrowLeftIcon, DocumentTextIcon } from '@heroicons/react/24/outline'
+import { openPdfFromApi, getPdfErrorMessage } from '../utils/exportUtils'
 import api from '../services/api'
 import { toast } from 'react-hot-toast'
 import ModernLayout from '../components/ModernLayout'
 import LoadingSpinner from '../components/LoadingSpinner'
+import StatementExportModal from '../components/StatementExportModal'
 import { Card, CardContent } from '../components/ui/Card'
 
 function CustomerLedgerPage() {
@@ -14,6 +16,8 @@ function CustomerLedgerPage() {
   const [customer, setCustomer] = useState(null)
   const [ledger, setLedger] = useState([])
   const [summary, setSummary] = useState(null)
+  const [downloadingInvoiceId, setDownloadingInvoiceId] = useState(null)
+  const [showStatementModal, setShowStatementModal] = useState(false)
   const [filters, setFilters] = useState({
     fromDate: '',
     toDate: ''
@@ -56,6 +60,17 @@ function CustomerLedgerPage() {
     }
   }
 
+  const downloadInvoice = async (entry) => {
+    try {
+      setDownloadingInvoiceId(entry.orderId)
+      await openPdfFromApi(`/order/${entry.orderId}/invoice`, null, `invoice-${entry.reference}.pdf`)
+    } catch (error) {
+      toast.error(await getPdfErrorMessage(error, 'Failed to create invoice'))
+    } finally {
+      setDownloadingInvoiceId(null)
+    }
+  }
+
   if (loading) {
     return (
       <ModernLayout>
@@ -81,6 +96,13 @@ function CustomerLedgerPage() {
               Transaction history for {customer?.name || customer?.phoneNumber || 'Customer'}
             </p>
           </div>
+          <button
+            onClick={() => setShowStatementModal(true)}
+            className="ml-auto btn-secondary flex items-center"
+          >
+            <DocumentTextIcon className="h-5 w-5 mr-2" />
+            Statement
+          </button>
         </div>
 
         {/* Summary Card */}
@@ -240,6 +262,15 @@ function CustomerLedgerPage() {
                               View Order
                             </button>
                           )}
+                          {entry.type === 'ORDER' && entry.orderId && (
+                            <button
+                              onClick={() => downloadInvoice(entry)}
+                              disabled={downloadingInvoiceId === entry.orderId}
+                              className="ml-2 text-pink-600 hover:text-pink-900 text-xs underline disabled:opacity-50"
+                            >
+                              {downloadingInvoiceId === entry.orderId ? 'Preparing...' : 'Invoice'}
+                            </button>
+                          )}
                           {entry.paymentId && (
                             <button
                               onClick={() => navigate(`/business/payments`)}
@@ -281,6 +312,18 @@ function CustomerLedgerPage() {
           </CardContent>
         </Card>
       </div>
+
+      {showStatementModal && (
+        <StatementExportModal
+          url={`/customer/${customerId}/statement`}
+          title="Customer Statement"
+          subtitle={customer?.name || customer?.phoneNumber}
+          filename={`statement-${customer?.phoneNumber || customerId}`}
+          defaultFromDate={filters.fromDate}
+          defaultToDate={filters.toDate}
+          onClose={() => setShowStatementModal(false)}
+        />
+      )}
     </ModernLayout>
   )
 }
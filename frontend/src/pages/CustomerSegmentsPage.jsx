@@ -0,0 +1,410 @@
+import { useState, useEffect } from 'react'
+import { useNavigate } from 'react-router-dom'
+import {
+  PlusIcon,
+  PencilIcon,
+  TrashIcon,
+  XMarkIcon,
+  ArrowDownTrayIcon,
+  ArrowLeftIcon
+} from '@heroicons/react/24/outline'
+import toast from 'react-hot-toast'
+import api from '../services/api'
+import ModernLayout from '../components/ModernLayout'
+import LoadingSpinner from '../components/LoadingSpinner'
+import { downloadFromApi, getPdfErrorMessage } from '../utils/exportUtils'
+
+const OPERATOR_LABELS = {
+  gte: 'at least',
+  lte: 'at most',
+  eq: 'is',
+  contains: 'contains'
+}
+
+const GROUP_STYLES = {
+  Champions: 'bg-green-100 text-green-800',
+  Loyal: 'bg-emerald-100 text-emerald-800',
+  New: 'bg-blue-100 text-blue-800',
+  Promising: 'bg-sky-100 text-sky-800',
+  'At Risk': 'bg-orange-100 text-orange-800',
+  Hibernating: 'bg-gray-200 text-gray-700',
+  'Needs Attention': 'bg-amber-100 text-amber-800',
+  'No Purchases': 'bg-gray-100 text-gray-500'
+}
+
+const emptyRule = { field: 'frequency', operator: 'gte', value: '' }
+
+const emptyForm = {
+  name: '',
+  description: '',
+  rules: [emptyRule]
+}
+
+function CustomerSegmentsPage() {
+  const navigate = useNavigate()
+  const [segments, setSegments] = useState([])
+  const [fields, setFields] = useState([])
+  const [operators, setOperators] = useState({})
+  const [templates, setTemplates] = useState([])
+  const [groups, setGroups] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [showModal, setShowModal] = useState(false)
+  const [editingId, setEditingId] = useState(null)
+  const [form, setForm] = useState(emptyForm)
+  const [saving, setSaving] = useState(false)
+  const [exportingId, setExportingId] = useState(null)
+
+  useEffect(() => {
+    fetchSegments()
+    fetchGroups()
+  }, [])
+
+  const fetchSegments = async () => {
+    try {
+      setLoading(true)
+      const response = await api.get('/customer/segments')
+      setSegments(response.data.segments || [])
+      setFields(response.data.fields || [])
+      setOperators(response.data.operators || {})
+      setTemplates(response.data.templates || [])
+    } catch (error) {
+      console.error('Failed to fetch segments:', error)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const fetchGroups = async () => {
+    try {
+      const response = await api.get('/customer/analytics/rfm')
+      setGroups(response.data.groups || [])
+    } catch (error) {
+      console.error('Failed to fetch RFM groups:', error)
+    }
+  }
+
+  const fieldFor = (key) => fields.find(field => field.key === key)
+
+  const describeRule = (rule) => {
+    const field = fieldFor(rule.field)
+    return `${field ? field.label : rule.field} ${OPERATOR_LABELS[rule.operator] || rule.operator} ${rule.value}`
+  }
+
+  const openCreate = (template = null) => {
+    setEditingId(null)
+    setForm(template
+      ? { name: template.name, description: template.description || '', rules: template.rules.map(rule => ({ ...rule })) }
+      : emptyForm)
+    setShowModal(true)
+  }
+
+  const openEdit = (segment) => {
+    setEditingId(segment.id)
+    setForm({
+      name: segment.name,
+      description: segment.description || '',
+      rules: segment.rules.map(rule => ({ ...rule }))
+    })
+    setShowModal(true)
+  }
+
+  const updateRule = (index, changes) => {
+    setForm(prev => ({
+      ...prev,
+      rules: prev.rules.map((rule, position) => {
+        if (position !== index) return rule
+        const next = { ...rule, ...changes }
+        // A new field may not support the old comparison or value
+        if (changes.field) {
+          const field = fieldFor(changes.field)
+          const allowed = operators[field?.type] || []
+          if (!allowed.includes(next.operator)) next.operator = allowed[0]
+          next.value = ''
+        }
+        return next
+      })
+    }))
+  }
+
+  const addRule = () => setForm(prev => ({ ...prev, rules: [...prev.rules, { ...emptyRule }] }))
+
+  const removeRule = (index) => setForm(prev => ({ ...prev, rules: prev.rules.filter((rule, position) => position !== index) }))
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    try {
+      setSaving(true)
+      if (editingId) {
+        await api.put(`/customer/segments/${editingId}`, form)
+        toast.success('Segment updated')
+      } else {
+        await api.post('/customer/segments', form)
+        toast.success('Segment created')
+      }
+      setShowModal(false)
+      fetchSegments()
+    } catch (error) {
+      console.error('Failed to save segment:', error)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleDelete = async (segment) => {
+    if (!window.confirm(`Delete segment "${segment.name}"? Customers are not affected.`)) return
+    try {
+      await api.delete(`/customer/segments/${segment.id}`)
+      toast.success('Segment deleted')
+      fetchSegments()
+    } catch (error) {
+      console.error('Failed to delete segment:', error)
+    }
+  }
+
+  const handleExport = async (segment) => {
+    try {
+      setExportingId(segment.id)
+      await downloadFromApi(`/customer/segments/${segment.id}/export`, {}, `${segment.name}-contacts.csv`)
+    } catch (error) {
+      toast.error(await getPdfErrorMessage(error, 'Failed to export segment'))
+    } finally {
+      setExportingId(null)
+    }
+  }
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg min-h-[44px]'
+
+  return (
+    <ModernLayout>
+      <div className="space-y-6">
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+          <div>
+            <button
+              onClick={() => navigate('/business/customers')}
+              className="flex items-center text-sm text-gray-500 hover:text-gray-700 mb-2"
+            >
+              <ArrowLeftIcon className="h-4 w-4 mr-1" />
+              Customers
+            </button>
+            <h1 className="text-3xl font-bold text-brand-600">Customer Segments</h1>
+            <p className="text-gray-500 mt-1">Saved filters over recency, frequency, spend and returns. Members update with every order.</p>
+          </div>
+          <button onClick={() => openCreate()} className="btn-primary flex items-center justify-center min-h-[44px]">
+            <PlusIcon className="h-5 w-5 mr-2" />
+            New Segment
+          </button>
+        </div>
+
+        {groups.length > 0 && (
+          <div className="card p-4">
+            <h2 className="text-sm font-semibold text-gray-700 mb-3">RFM groups</h2>
+            <div className="grid grid-cols-2 sm:grid-cols-4 lg:grid-cols-8 gap-3">
+              {groups.map(group => (
+                <div key={group.group} className={`rounded-lg p-3 text-center ${GROUP_STYLES[group.group] || 'bg-gray-100 text-gray-700'}`}>
+                  <div className="text-2xl font-bold">{group.count}</div>
+                  <div className="text-xs font-medium">{group.group}</div>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {loading ? (
+          <LoadingSpinner className="py-12" />
+        ) : segments.length === 0 ? (
+          <div className="card p-8 text-center text-gray-500">
+            <p className="mb-4">No segments yet. Start from a template:</p>
+            <div className="flex flex-wrap justify-center gap-2">
+              {templates.map(template => (
+                <button key={template.name} onClick={() => openCreate(template)} className="btn-secondary text-sm">
+                  {template.name}
+                </button>
+              ))}
+            </div>
+          </div>
+        ) : (
+          <div className="card overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-3 text-left font-medium text-gray-500">Segment</th>
+                  <th className="px-4 py-3 text-left font-medium text-gray-500">Rules</th>
+                  <th className="px-4 py-3 text-right font-medium text-gray-500">Customers</th>
+                  <th className="px-4 py-3 text-right font-medium text-gray-500">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {segments.map(segment => (
+                  <tr key={segment.id}>
+                    <td className="px-4 py-3">
+                      <div className="font-semibold text-gray-900">{segment.name}</div>
+                      {segment.description && <div className="text-xs text-gray-500">{segment.description}</div>}
+                    </td>
+                    <td className="px-4 py-3 text-gray-700">
+                      {segment.rules.map((rule, index) => (
+                        <div key={index}>{describeRule(rule)}</div>
+                      ))}
+                    </td>
+                    <td className="px-4 py-3 text-right">
+                      <button
+                        onClick={() => navigate(`/business/customers?segment=${segment.id}`)}
+                        className="font-semibold text-brand-600 hover:underline"
+                        title="View customers"
+                      >
+                        {segment.memberCount}
+                      </button>
+                    </td>
+                    <td className="px-4 py-3 text-right whitespace-nowrap">
+                      <button
+                        onClick={() => handleExport(segment)}
+                        disabled={exportingId === segment.id || segment.memberCount === 0}
+                        className="p-2 text-gray-500 hover:text-brand-600 disabled:opacity-40"
+                        title="Export contacts (CSV)"
+                      >
+                        <ArrowDownTrayIcon className="h-5 w-5" />
+                      </button>
+                      <button onClick={() => openEdit(segment)} className="p-2 text-gray-500 hover:text-brand-600" title="Edit">
+                        <PencilIcon className="h-5 w-5" />
+                      </button>
+                      <button onClick={() => handleDelete(segment)} className="p-2 text-gray-500 hover:text-red-600" title="Delete">
+                        <TrashIcon className="h-5 w-5" />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {showModal && (
+        <div className="fixed inset-0 bg-gray-900 bg-opacity-75 z-50 flex items-center justify-center p-4">
+          <form onSubmit={handleSubmit} className="bg-white rounded-lg shadow-xl w-full max-w-2xl max-h-[90vh] overflow-y-auto">
+            <div className="flex items-center justify-between p-4 border-b">
+              <h2 className="text-lg font-semibold text-gray-900">{editingId ? 'Edit Segment' : 'New Segment'}</h2>
+              <button type="button" onClick={() => setShowModal(false)} className="p-2 text-gray-500 hover:text-gray-700">
+                <XMarkIcon className="h-5 w-5" />
+              </button>
+            </div>
+
+            <div className="p-4 space-y-4">
+              {!editingId && templates.length > 0 && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Start from a template</label>
+                  <div className="flex flex-wrap gap-2">
+                    {templates.map(template => (
+                      <button
+                        key={template.name}
+                        type="button"
+                        onClick={() => openCreate(template)}
+                        className="px-3 py-1 rounded-full text-xs font-medium bg-gray-100 text-gray-700 hover:bg-gray-200"
+                      >
+                        {template.name}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Name *</label>
+                <input
+                  value={form.name}
+                  onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+                  className={inputClass}
+                  required
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Description</label>
+                <input
+                  value={form.description}
+                  onChange={(e) => setForm(prev => ({ ...prev, description: e.target.value }))}
+                  className={inputClass}
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Customers matching all of</label>
+                <div className="space-y-2">
+                  {form.rules.map((rule, index) => {
+                    const field = fieldFor(rule.field)
+                    return (
+                      <div key={index} className="flex flex-col sm:flex-row gap-2">
+                        <select
+                          value={rule.field}
+                          onChange={(e) => updateRule(index, { field: e.target.value })}
+                          className={`${inputClass} sm:flex-1`}
+                        >
+                          {fields.map(option => (
+                            <option key={option.key} value={option.key}>{option.label}</option>
+                          ))}
+                        </select>
+                        <select
+                          value={rule.operator}
+                          onChange={(e) => updateRule(index, { operator: e.target.value })}
+                          className={`${inputClass} sm:w-32`}
+                        >
+                          {(operators[field?.type] || []).map(operator => (
+                            <option key={operator} value={operator}>{OPERATOR_LABELS[operator]}</option>
+                          ))}
+                        </select>
+                        {field?.options ? (
+                          <select
+                            value={rule.value}
+                            onChange={(e) => updateRule(index, { value: e.target.value })}
+                            className={`${inputClass} sm:w-44`}
+                            required
+                          >
+                            <option value="">Choose...</option>
+                            {field.options.map(option => (
+                              <option key={option} value={option}>{option}</option>
+                            ))}
+                          </select>
+                        ) : (
+                          <input
+                            type={field?.type === 'number' ? 'number' : 'text'}
+                            step="any"
+                            value={rule.value}
+                            onChange={(e) => updateRule(index, { value: e.target.value })}
+                            className={`${inputClass} sm:w-44`}
+                            required
+                          />
+                        )}
+                        <button
+                          type="button"
+                          onClick={() => removeRule(index)}
+                          disabled={form.rules.length === 1}
+                          className="p-2 text-gray-500 hover:text-red-600 disabled:opacity-40"
+                          title="Remove rule"
+                        >
+                          <TrashIcon className="h-5 w-5" />
+                        </button>
+                      </div>
+                    )
+                  })}
+                </div>
+                <button type="button" onClick={addRule} className="mt-2 text-sm font-medium text-brand-600 hover:text-brand-700">
+                  + Add rule
+                </button>
+              </div>
+            </div>
+
+            <div className="flex justify-end gap-3 p-4 border-t">
+              <button type="button" onClick={() => setShowModal(false)} className="btn-secondary">
+                Cancel
+              </button>
+              <button type="submit" disabled={saving} className="btn-primary">
+                {saving ? 'Saving...' : editingId ? 'Save Segment' : 'Create Segment'}
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+    </ModernLayout>
+  )
+}
+
+export default CustomerSegmentsPage
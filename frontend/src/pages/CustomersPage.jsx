@@ -1,17 +1,23 @@
 import React, { useState, useEffect, useCallback } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, useSearchParams } from 'react-router-dom';
 import { useCustomers } from '../hooks';
 import api from '../services/api';
 import ModernLayout from '../components/ModernLayout';
 import CustomersSection from '../components/dashboard/CustomersSection';
 import LoadingSpinner from '../components/LoadingSpinner';
+import StatementExportModal from '../components/StatementExportModal';
+import { DocumentTextIcon, UserGroupIcon, DocumentDuplicateIcon } from '@heroicons/react/24/outline';
 
 const CustomersPage = () => {
     const navigate = useNavigate();
+    const [searchParams, setSearchParams] = useSearchParams();
     const { customers, loading: customersLoading, refreshCustomers } = useCustomers();
     const [customerSearch, setCustomerSearch] = useState('');
     const [filterPendingPayments, setFilterPendingPayments] = useState(false);
+    const [showStatementModal, setShowStatementModal] = useState(false);
     const [customerStats, setCustomerStats] = useState(null);
+    const [segments, setSegments] = useState([]);
+    const segmentFilter = searchParams.get('segment') || '';
 
     const fetchCustomerStats = useCallback(async () => {
         try {
@@ -22,19 +28,34 @@ const CustomersPage = () => {
         }
     }, []);
 
+    const fetchSegments = useCallback(async () => {
+        try {
+            const response = await api.get('/customer/segments');
+            setSegments(response.data.segments);
+        } catch (error) {
+            console.error('Failed to fetch segments:', error);
+        }
+    }, []);
+
     useEffect(() => {
         refreshCustomers({ 
             search: customerSearch,
-            hasPendingPayment: filterPendingPayments
+            hasPendingPayment: filterPendingPayments,
+            segmentId: segmentFilter
         });
         fetchCustomerStats();
-    }, [refreshCustomers, fetchCustomerStats, customerSearch, filterPendingPayments]);
+    }, [refreshCustomers, fetchCustomerStats, customerSearch, filterPendingPayments, segmentFilter]);
+
+    useEffect(() => {
+        fetchSegments();
+    }, [fetchSegments]);
 
     const handleCustomerSearch = (searchTerm) => {
         setCustomerSearch(searchTerm);
         refreshCustomers({ 
             search: searchTerm,
-            hasPendingPayment: filterPendingPayments
+            hasPendingPayment: filterPendingPayments,
+            segmentId: segmentFilter
         });
     };
 
@@ -42,10 +63,16 @@ const CustomersPage = () => {
         setFilterPendingPayments(hasPending);
         refreshCustomers({ 
             search: customerSearch,
-            hasPendingPayment: hasPending
+            hasPendingPayment: hasPending,
+            segmentId: segmentFilter
         });
     };
 
+    // Kept in the URL so the segments page can link straight to a filtered list
+    const handleSegmentChange = (segmentId) => {
+        setSearchParams(segmentId ? { segment: segmentId } : {});
+    };
+
     const handleCustomerClick = (customer) => {
         navigate(`/business/customers/${customer.id}`);
     };
@@ -61,9 +88,34 @@ const CustomersPage = () => {
     return (
         <ModernLayout>
             <div className="space-y-6">
-                <div>
-                    <h1 className="text-3xl font-bold text-brand-600">Customers</h1>
-                    <p className="text-gray-500 mt-1">Manage your customer base and view their history.</p>
+                <div className="flex items-start justify-between gap-4">
+                    <div>
+                        <h1 className="text-3xl font-bold text-brand-600">Customers</h1>
+                        <p className="text-gray-500 mt-1">Manage your customer base and view their history.</p>
+                    </div>
+                    <div className="flex gap-3">
+                        <button
+                            onClick={() => navigate('/business/customers/segments')}
+                            className="btn-secondary flex items-center"
+                        >
+                            <UserGroupIcon className="h-5 w-5 mr-2" />
+                            Segments
+                        </button>
+                        <button
+                            onClick={() => navigate('/business/customers/duplicates')}
+                            className="btn-secondary flex items-center"
+                        >
+                            <DocumentDuplicateIcon className="h-5 w-5 mr-2" />
+                            Duplicates
+                        </button>
+                        <button
+                            onClick={() => setShowStatementModal(true)}
+                            className="btn-secondary flex items-center"
+                        >
+                            <DocumentTextIcon className="h-5 w-5 mr-2" />
+                            Statements
+                        </button>
+                    </div>
                 </div>
 
                 <CustomersSection
@@ -75,13 +127,27 @@ const CustomersPage = () => {
                     onAddCustomer={handleAddCustomer}
                     onRefreshCustomers={() => refreshCustomers({ 
                         search: customerSearch,
-                        hasPendingPayment: filterPendingPayments
+                        hasPendingPayment: filterPendingPayments,
+                        segmentId: segmentFilter
                     })}
                     onCustomerClick={handleCustomerClick}
                     filterPendingPayments={filterPendingPayments}
                     onFilterChange={handleFilterChange}
+                    segments={segments}
+                    segmentFilter={segmentFilter}
+                    onSegmentChange={handleSegmentChange}
                 />
             </div>
+
+            {showStatementModal && (
+                <StatementExportModal
+                    url="/customer/statements"
+                    title="Customer Statements"
+                    subtitle="Every customer with an outstanding balance"
+                    filename="customer-statements"
+                    onClose={() => setShowStatementModal(false)}
+                />
+            )}
         </ModernLayout>
     );
 };
@@ -6,6 +6,8 @@ import api from '../services/api'
 import toast from 'react-hot-toast'
 import LoadingSpinner from '../components/LoadingSpinner'
 import ModernLayout from '../components/ModernLayout'
+import FormFieldRulesEditor from '../components/FormFieldRulesEditor'
+import { OPTION_FIELD_TYPES, parseFieldJSON } from '../utils/formFieldRules'
 
 const EditFormPage = () => {
   const navigate = useNavigate()
@@ -18,6 +20,7 @@ const EditFormPage = () => {
     register,
     handleSubmit,
     control,
+    watch,
     formState: { errors },
     reset
   } = useForm()
@@ -26,16 +29,22 @@ const EditFormPage = () => {
     control,
     name: 'fields'
   })
+  const watchedFields = watch('fields') || []
 
   const fieldTypes = [
     { value: 'TEXT', label: 'Text' },
     { value: 'EMAIL', label: 'Email' },
     { value: 'PHONE', label: 'Phone' },
     { value: 'ADDRESS', label: 'Address' },
+    { value: 'CITY', label: 'City' },
     { value: 'TEXTAREA', label: 'Text Area' },
     { value: 'AMOUNT', label: 'Amount' },
+    { value: 'NUMBER', label: 'Number' },
+    { value: 'DATE', label: 'Date' },
     { value: 'FILE_UPLOAD', label: 'File Upload' },
     { value: 'DROPDOWN', label: 'Dropdown' },
+    { value: 'RADIO', label: 'Multiple Choice' },
+    { value: 'CHECKBOX', label: 'Checkboxes' },
     { value: 'PRODUCT_SELECTOR', label: 'Product Selection' }
   ]
 
@@ -60,6 +69,8 @@ const EditFormPage = () => {
         isRequired: field.isRequired,
         placeholder: field.placeholder || '',
         options: field.options ? (Array.isArray(JSON.parse(field.options)) ? JSON.parse(field.options).join(', ') : field.options) : '',
+        validation: parseFieldJSON(field.validation) || {},
+        showIf: parseFieldJSON(field.showIf) || { field: '', operator: 'EQUALS', value: '' },
         isVisible: true // All existing fields are visible
       }))
 
@@ -91,6 +102,8 @@ const EditFormPage = () => {
       isRequired: false,
       placeholder: '',
       options: '',
+      validation: {},
+      showIf: { field: '', operator: 'EQUALS', value: '' },
       isVisible: true
     })
   }
@@ -105,9 +118,10 @@ const EditFormPage = () => {
           .filter(field => field.isVisible)
           .map(field => ({
             ...field,
-            options: field.fieldType === 'DROPDOWN' && field.options 
+            options: OPTION_FIELD_TYPES.includes(field.fieldType) && field.options 
               ? field.options.split(',').map(opt => opt.trim()).filter(opt => opt)
-              : undefined
+              : undefined,
+            showIf: field.showIf?.field ? field.showIf : undefined
           }))
       }
       
@@ -227,7 +241,9 @@ const EditFormPage = () => {
             </div>
 
             <div className="space-y-4">
-              {fields.map((field, index) => (
+              {fields.map((field, index) => {
+                const currentType = watchedFields[index]?.fieldType || field.fieldType
+                return (
                 <div key={field.id} className={`border rounded-lg p-4 ${field.isVisible ? 'border-gray-200 bg-white' : 'border-gray-300 bg-gray-50'}`}>
                   <div className="flex justify-between items-start mb-3">
                     <div className="flex items-center">
@@ -303,19 +319,31 @@ const EditFormPage = () => {
                         </div>
                       </div>
 
-                      {field.fieldType === 'DROPDOWN' && (
+                      {OPTION_FIELD_TYPES.includes(currentType) && (
                         <div className="mt-3">
                           <label className="block text-sm font-bold text-gray-900 mb-2">
-                            Dropdown Options (comma-separated)
+                            Options (comma-separated)
                           </label>
                           <input
                             {...register(`fields.${index}.options`)}
                             className="input-field bg-white text-gray-900 border-2 border-gray-300 rounded-lg px-4 py-2 w-full focus:border-primary-500 focus:ring-2 focus:ring-primary-200"
                             placeholder="Option 1, Option 2, Option 3"
                           />
+                          {currentType === 'CHECKBOX' && (
+                            <p className="text-xs text-gray-700 font-medium mt-1">Leave empty for a single tick box</p>
+                          )}
                         </div>
                       )}
 
+                      {currentType !== 'PRODUCT_SELECTOR' && (
+                        <FormFieldRulesEditor
+                          register={register}
+                          index={index}
+                          field={{ ...field, ...watchedFields[index] }}
+                          allFields={watchedFields}
+                        />
+                      )}
+
                       <div className="mt-3 flex items-center space-x-4">
                         <label className="flex items-center">
                           <input
@@ -329,7 +357,8 @@ const EditFormPage = () => {
                     </>
                   )}
                 </div>
-              ))}
+                )
+              })}
             </div>
           </div>
 
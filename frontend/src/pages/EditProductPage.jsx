@@ -794,6 +794,11 @@ const EditProductPage = () => {
                           </div>
                           <div className="text-sm text-gray-600 space-y-1">
                             <p>Stock: <span className="font-medium">{variant.currentQuantity}</span></p>
+                            {variant.reservedQuantity > 0 && (
+                              <p>Reserved: <span className="font-medium text-amber-700">{variant.reservedQuantity}</span>
+                                {' · '}Available: <span className="font-medium">{variant.availableQuantity}</span>
+                              </p>
+                            )}
                             <p>Status: <span className={variant.isActive ? 'text-green-600' : 'text-red-600'}>
                               {variant.isActive ? 'Active' : 'Inactive'}
                             </span></p>
@@ -9,6 +9,8 @@ import PurchaseInvoiceModal from '../components/PurchaseInvoiceModal'
 import ProductHistoryModal from '../components/ProductHistoryModal'
 import ProductImageUpload from '../components/ProductImageUpload'
 import ReturnsManagement from '../components/ReturnsManagement'
+import LabelPrintModal from '../components/LabelPrintModal'
+import ProductImportModal from '../components/ProductImportModal'
 import {
   PlusIcon,
   CameraIcon,
@@ -26,7 +28,9 @@ import {
   CalendarIcon,
   CurrencyDollarIcon,
   BuildingStorefrontIcon,
-  ArrowPathIcon
+  ArrowPathIcon,
+  QrCodeIcon,
+  TableCellsIcon
 } from '@heroicons/react/24/outline'
 
 const EnhancedProductsDashboard = () => {
@@ -39,6 +43,9 @@ const EnhancedProductsDashboard = () => {
   const [loading, setLoading] = useState(true)
   const [searchTerm, setSearchTerm] = useState('')
   const [categoryFilter, setCategoryFilter] = useState('')
+  const [locations, setLocations] = useState([])
+  const [locationFilter, setLocationFilter] = useState('')
+  const [locationQuantities, setLocationQuantities] = useState(null) // productId or productId_variantId -> qty
   const [currentView, setCurrentView] = useState('invoices') // 'invoices', 'products', 'purchase-items', 'returns', or 'deleted-invoices'
   const [displayMode, setDisplayMode] = useState('card') // 'card' or 'list'
   const [selectedInvoice, setSelectedInvoice] = useState(null)
@@ -53,6 +60,8 @@ const EnhancedProductsDashboard = () => {
   const [showProductImageUpload, setShowProductImageUpload] = useState(false)
   const [selectedProductForImage, setSelectedProductForImage] = useState(null)
   const [imageRefreshKey, setImageRefreshKey] = useState(0)
+  const [showLabelPrint, setShowLabelPrint] = useState(false)
+  const [showProductImport, setShowProductImport] = useState(false)
 
   useEffect(() => {
     fetchTenantData()
@@ -61,9 +70,14 @@ const EnhancedProductsDashboard = () => {
   useEffect(() => {
     if (tenant) {
       fetchData()
+      fetchLocations()
     }
   }, [tenant])
 
+  useEffect(() => {
+    fetchLocationStock()
+  }, [locationFilter])
+
   useEffect(() => {
     // Fetch purchase items when switching to purchase-items view
     if (currentView === 'purchase-items' && !selectedInvoice) {
@@ -107,6 +121,33 @@ const EnhancedProductsDashboard = () => {
     }
   }
 
+  const fetchLocations = async () => {
+    try {
+      const response = await api.get('/locations')
+      setLocations(response.data.locations || [])
+    } catch (error) {
+      console.error('Failed to fetch locations:', error)
+    }
+  }
+
+  const fetchLocationStock = async () => {
+    if (!locationFilter) {
+      setLocationQuantities(null)
+      return
+    }
+    try {
+      const response = await api.get(`/locations/${locationFilter}/stock`)
+      const quantities = {}
+      response.data.items.forEach(item => {
+        quantities[item.productVariantId ? `${item.productId}_${item.productVariantId}` : item.productId] = item.quantity
+      })
+      setLocationQuantities(quantities)
+    } catch (error) {
+      console.error('Failed to fetch location stock:', error)
+      toast.error('Failed to fetch location stock')
+    }
+  }
+
   const fetchAllPurchaseItems = async () => {
     try {
       const response = await api.get('/purchase-invoice')
@@ -331,8 +372,26 @@ const EnhancedProductsDashboard = () => {
     }
   }
 
+  // With a location selected, quantities are what that location holds and unstocked products are hidden
+  const locationProducts = !locationQuantities ? products : products
+    .map(product => {
+      if (product.hasVariants && Array.isArray(product.variants) && product.variants.length > 0) {
+        const variants = product.variants.map(variant => ({
+          ...variant,
+          currentQuantity: locationQuantities[`${product.id}_${variant.id}`] || 0
+        }))
+        return {
+          ...product,
+          variants,
+          totalVariantStock: variants.reduce((sum, variant) => sum + variant.currentQuantity, 0)
+        }
+      }
+      return { ...product, currentQuantity: locationQuantities[product.id] || 0 }
+    })
+    .filter(product => (product.hasVariants && product.totalVariantStock != null ? product.totalVariantStock : product.currentQuantity) > 0)
+
   // Filter products based on search, category, and selected invoice
-  const filteredProducts = products.filter(product => {
+  const filteredProducts = locationProducts.filter(product => {
     const matchesSearch = product.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
                          product.description?.toLowerCase().includes(searchTerm.toLowerCase()) ||
                          product.sku?.toLowerCase().includes(searchTerm.toLowerCase())
@@ -455,6 +514,25 @@ const EnhancedProductsDashboard = () => {
             <CameraIcon className="h-5 w-5 mr-2" />
             Import from Invoice
           </button>
+
+          <button
+            onClick={() => setShowProductImport(true)}
+            className="btn-secondary flex items-center justify-center"
+            title="Import products from CSV/Excel or export the catalogue"
+          >
+            <TableCellsIcon className="h-5 w-5 mr-2" />
+            Import / Export
+          </button>
+
+          <button
+            onClick={() => setShowLabelPrint(true)}
+            disabled={filteredProducts.length === 0}
+            className="btn-secondary flex items-center justify-center disabled:opacity-50"
+            title="Print barcode/QR labels for the products listed below"
+          >
+            <QrCodeIcon className="h-5 w-5 mr-2" />
+            Print Labels
+          </button>
         </div>
 
         {/* Search and Filter */}
@@ -491,6 +569,21 @@ const EnhancedProductsDashboard = () => {
               </div>
             )}
 
+            {currentView === 'products' && locations.length > 1 && (
+              <div className="sm:w-48">
+                <select
+                  value={locationFilter}
+                  onChange={(e) => setLocationFilter(e.target.value)}
+                  className="input-field"
+                >
+                  <option value="">All Locations</option>
+                  {locations.map(location => (
+                    <option key={location.id} value={location.id}>{location.name}</option>
+                  ))}
+                </select>
+              </div>
+            )}
+
             {/* Display Mode Toggle and Refresh */}
             <div className="flex space-x-2">
               <button
@@ -605,7 +698,7 @@ const EnhancedProductsDashboard = () => {
           </div>
           <div className="card p-4 text-center">
             <div className="text-2xl font-bold text-purple-600">
-              {products.reduce((sum, p) => sum + (p.hasVariants && p.totalVariantStock != null ? p.totalVariantStock : (p.currentQuantity || 0)), 0)}
+              {locationProducts.reduce((sum, p) => sum + (p.hasVariants && p.totalVariantStock != null ? p.totalVariantStock : (p.currentQuantity || 0)), 0)}
             </div>
             <div className="text-gray-600">Total Quantity</div>
           </div>
@@ -613,6 +706,24 @@ const EnhancedProductsDashboard = () => {
       </div>
 
       {/* Modals */}
+      {showLabelPrint && (
+        <LabelPrintModal
+          products={filteredProducts}
+          businessName={tenant?.businessName}
+          onClose={() => setShowLabelPrint(false)}
+        />
+      )}
+
+      {showProductImport && (
+        <ProductImportModal
+          onClose={() => setShowProductImport(false)}
+          onImported={() => {
+            setShowProductImport(false)
+            fetchData()
+          }}
+        />
+      )}
+
       {showInvoiceUpload && (
         <InvoiceUploadModal
           onClose={() => setShowInvoiceUpload(false)}
@@ -46,6 +46,8 @@ const Login = () => {
         return <Navigate to="/business" replace />
       case 'STOCK_KEEPER':
         return <Navigate to="/stock" replace />
+      case 'STAFF':
+        return <Navigate to="/business" replace />
       default:
         return <Navigate to="/login" replace />
     }
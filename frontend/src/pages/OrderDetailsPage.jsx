@@ -10,7 +10,8 @@ import {
     PencilIcon,
     XMarkIcon,
     PrinterIcon,
-    ChevronDownIcon
+    ChevronDownIcon,
+    DocumentTextIcon
 } from '@heroicons/react/24/outline'
 import api, { getImageUrl } from '../services/api'
 import toast from 'react-hot-toast'
@@ -19,6 +20,16 @@ import ModernLayout from '../components/ModernLayout'
 import OrderProductSelector from '../components/OrderProductSelector'
 import PaymentAccountSelector from '../components/accounting/PaymentAccountSelector'
 import WhatsAppConfirmationModal from '../components/WhatsAppConfirmationModal'
+import AuditHistoryPanel from '../components/AuditHistoryPanel'
+import OrderRiskBadge from '../components/OrderRiskBadge'
+import { openPdfFromApi, getPdfErrorMessage } from '../utils/exportUtils'
+import {
+    ORDER_STATUS_LABELS,
+    ORDER_STATUS_STYLES,
+    CONFIRMED_ORDER_STATUSES,
+    SHIPPED_ORDER_STATUSES,
+    DELIVERY_STATUS_TRANSITIONS
+} from '../utils/orderStatus'
 
 const OrderDetailsPage = () => {
     const { orderId } = useParams()
@@ -30,6 +41,7 @@ const OrderDetailsPage = () => {
     const [isEditing, setIsEditing] = useState(false)
     const [saving, setSaving] = useState(false)
     const [showPrintDropdown, setShowPrintDropdown] = useState(false)
+    const [downloadingInvoice, setDownloadingInvoice] = useState(false)
     
     // Edit state
     const [selectedProducts, setSelectedProducts] = useState([])
@@ -51,6 +63,12 @@ const OrderDetailsPage = () => {
     const [dispatchManualCodFee, setDispatchManualCodFee] = useState(null)
     const [dispatchCodFeeCalculationDetails, setDispatchCodFeeCalculationDetails] = useState(null)
     const [dispatchPrintReceiptChoice, setDispatchPrintReceiptChoice] = useState('without_payment') // 'without_payment' | 'with_payment' - asked in dispatch modal
+    const [dispatchTrackingNumber, setDispatchTrackingNumber] = useState('')
+    const [dispatchConsignmentNumber, setDispatchConsignmentNumber] = useState('')
+    const [dispatchLocations, setDispatchLocations] = useState([])
+    const [dispatchLocationId, setDispatchLocationId] = useState('')
+    const [bookingShipment, setBookingShipment] = useState(false)
+    const [updatingDeliveryStatus, setUpdatingDeliveryStatus] = useState(false)
     const [codFeePaidBy, setCodFeePaidBy] = useState('BUSINESS_OWNER')
     const [showShippingAdjustmentModal, setShowShippingAdjustmentModal] = useState(false)
     const [adjustmentActualCost, setAdjustmentActualCost] = useState(null)
@@ -268,12 +286,12 @@ const OrderDetailsPage = () => {
                 ? paymentAmount
                 : (order?.paymentAmount !== null && order?.paymentAmount !== undefined ? order.paymentAmount : null)
             
-            // Note: Shipping variance for DISPATCHED/COMPLETED orders should be handled via adjust-shipping-cost endpoint
+            // Note: Shipping variance for dispatched orders should be handled via adjust-shipping-cost endpoint
             // Only calculate variance here for non-dispatched orders (if needed)
             let shippingVariance = null
             let shippingVarianceDate = null
             if (actualShippingCost !== null && actualShippingCost !== undefined && shippingCharges > 0 && 
-                order.status !== 'DISPATCHED' && order.status !== 'COMPLETED') {
+                !SHIPPED_ORDER_STATUSES.includes(order.status)) {
                 shippingVariance = shippingCharges - actualShippingCost
                 if (shippingVariance !== 0) {
                     shippingVarianceDate = new Date().toISOString()
@@ -420,6 +438,18 @@ const OrderDetailsPage = () => {
         }
     }, [dispatchLogisticsCompanyId, showDispatchModal, dispatchCodFeeOverride])
 
+    // Locations the parcel can ship from; the picker only shows when there is more than one
+    useEffect(() => {
+        if (!showDispatchModal) return
+        api.get('/locations')
+            .then(response => {
+                const activeLocations = (response.data.locations || []).filter(location => location.isActive)
+                setDispatchLocations(activeLocations)
+                setDispatchLocationId(activeLocations.find(location => location.isDefault)?.id || '')
+            })
+            .catch(error => console.error('Failed to fetch locations:', error))
+    }, [showDispatchModal])
+
     const adjustShippingCost = async () => {
         if (adjustmentActualCost === null || adjustmentActualCost === undefined) {
             toast.error('Please enter the actual shipping cost')
@@ -461,9 +491,25 @@ const OrderDetailsPage = () => {
             if (dispatchCodFeeOverride && dispatchManualCodFee !== null) {
                 payload.codFee = parseFloat(dispatchManualCodFee)
             }
+            if (dispatchTrackingNumber.trim()) {
+                payload.trackingNumber = dispatchTrackingNumber.trim()
+            }
+            if (dispatchConsignmentNumber.trim()) {
+                payload.consignmentNumber = dispatchConsignmentNumber.trim()
+            }
+            if (dispatchLocationId) {
+                payload.locationId = dispatchLocationId
+            }
             
-            await api.post(`/order/${orderId}/dispatch`, payload)
+            const response = await api.post(`/order/${orderId}/dispatch`, payload)
             toast.success('Order dispatched successfully!')
+            if (response.data.whatsappUrl) {
+                setWhatsappModal({
+                    isOpen: true,
+                    url: response.data.whatsappUrl,
+                    phone: response.data.customerPhone || 'customer'
+                })
+            }
             const shouldPrintWithPayment = dispatchPrintReceiptChoice === 'with_payment'
             setShowDispatchModal(false)
             setActualShippingCost(null)
@@ -473,6 +519,8 @@ const OrderDetailsPage = () => {
             setDispatchManualCodFee(null)
             setDispatchCodFeeCalculationDetails(null)
             setDispatchPrintReceiptChoice('without_payment')
+            setDispatchTrackingNumber('')
+            setDispatchConsignmentNumber('')
             fetchOrderDetails()
             // Print shipping receipt as chosen in dispatch modal (COD vs without COD)
             setTimeout(() => handlePrintShippingReceipt(shouldPrintWithPayment), 300)
@@ -489,10 +537,58 @@ const OrderDetailsPage = () => {
         }
     }
 
+    const bookShipment = async () => {
+        try {
+            setBookingShipment(true)
+            const payload = {}
+            if (dispatchTrackingNumber.trim()) {
+                payload.trackingNumber = dispatchTrackingNumber.trim()
+            }
+            if (dispatchConsignmentNumber.trim()) {
+                payload.consignmentNumber = dispatchConsignmentNumber.trim()
+            }
+            await api.post(`/order/${orderId}/book-shipment`, payload)
+            toast.success('Tracking details saved')
+            setDispatchTrackingNumber('')
+            setDispatchConsignmentNumber('')
+            fetchOrderDetails()
+        } catch (error) {
+            console.error('Book shipment error:', error)
+        } finally {
+            setBookingShipment(false)
+        }
+    }
+
+    const updateDeliveryStatus = async (status) => {
+        const payload = { status }
+        if (status === 'FAILED_DELIVERY') {
+            const reason = window.prompt('Reason for failed delivery (optional):')
+            if (reason === null) return
+            if (reason.trim()) {
+                payload.reason = reason.trim()
+            }
+        } else if (status === 'RETURNED_TO_ORIGIN') {
+            if (!window.confirm('Mark this parcel as returned to origin? Items will be restocked and the sale reversed in accounting.')) {
+                return
+            }
+        }
+
+        try {
+            setUpdatingDeliveryStatus(true)
+            await api.put(`/order/${orderId}/status`, payload)
+            toast.success(`Order marked as ${ORDER_STATUS_LABELS[status]}`)
+            fetchOrderDetails()
+        } catch (error) {
+            console.error('Update delivery status error:', error)
+        } finally {
+            setUpdatingDeliveryStatus(false)
+        }
+    }
+
     const calculateCodAmount = () => {
         const productsTotal = calculateProductsTotal()
         const currentShippingCharges = isEditing ? shippingCharges : (order?.shippingCharges || 0)
-        const baseOrderTotal = productsTotal + currentShippingCharges
+        const baseOrderTotal = productsTotal - (order?.discountAmount || 0) + currentShippingCharges
         const currentPaymentAmount = isEditing ? (paymentAmount || 0) : (order?.paymentAmount || 0)
         return baseOrderTotal - currentPaymentAmount
     }
@@ -571,6 +667,9 @@ const OrderDetailsPage = () => {
             total += price * quantity
         })
         
+        // Discount code applied at submission
+        total -= order?.discountAmount || 0
+
         // Add shipping charges (use state if editing, otherwise use order data)
         const currentShippingCharges = isEditing ? shippingCharges : (order?.shippingCharges || 0)
         total += currentShippingCharges
@@ -611,6 +710,17 @@ const OrderDetailsPage = () => {
         }
     }
 
+    const handleDownloadInvoice = async () => {
+        try {
+            setDownloadingInvoice(true)
+            await openPdfFromApi(`/order/${order.id}/invoice`, null, `invoice-${order.orderNumber}.pdf`)
+        } catch (error) {
+            toast.error(await getPdfErrorMessage(error, 'Failed to create invoice'))
+        } finally {
+            setDownloadingInvoice(false)
+        }
+    }
+
     const handleReceivePayment = () => {
         if (!order) return
         // Calculate total order amount
@@ -1111,14 +1221,7 @@ const OrderDetailsPage = () => {
     }
 
     const getStatusBadge = (status) => {
-        const styles = {
-            PENDING: 'bg-yellow-100 text-yellow-800',
-            CONFIRMED: 'bg-green-100 text-green-800',
-            DISPATCHED: 'bg-blue-100 text-blue-800',
-            CANCELLED: 'bg-red-100 text-red-800',
-            COMPLETED: 'bg-purple-100 text-purple-800'
-        }
-        return `px-3 py-1 inline-flex text-sm leading-5 font-semibold rounded-full ${styles[status] || 'bg-gray-100 text-gray-800'}`
+        return `px-3 py-1 inline-flex text-sm leading-5 font-semibold rounded-full ${ORDER_STATUS_STYLES[status] || 'bg-gray-100 text-gray-800'}`
     }
 
     if (loading) {
@@ -1152,8 +1255,9 @@ const OrderDetailsPage = () => {
                                     Order #{order.orderNumber}
                                 </h1>
                                 <span className={getStatusBadge(order.status)}>
-                                    {order.status}
+                                    {ORDER_STATUS_LABELS[order.status] || order.status}
                                 </span>
+                                <OrderRiskBadge order={order} onReviewed={fetchOrderDetails} />
                             </div>
                             <p className="text-sm text-gray-500 mt-1">
                                 Placed on {new Date(order.createdAt).toLocaleString()}
@@ -1177,7 +1281,7 @@ const OrderDetailsPage = () => {
                                         Dispatch Order
                                     </button>
                                 )}
-                                {(order.status === 'DISPATCHED' || order.status === 'COMPLETED') && (
+                                {SHIPPED_ORDER_STATUSES.includes(order.status) && (
                                     <div className="relative">
                                         <button
                                             onClick={() => setShowPrintDropdown(!showPrintDropdown)}
@@ -1225,7 +1329,7 @@ const OrderDetailsPage = () => {
                                         )}
                                     </div>
                                 )}
-                                {(order.status === 'CONFIRMED' || order.status === 'DISPATCHED' || order.status === 'COMPLETED') && (
+                                {CONFIRMED_ORDER_STATUSES.includes(order.status) && (
                                     <button
                                         onClick={handleReceivePayment}
                                         className="btn-primary flex items-center px-6 py-2.5 bg-purple-600 hover:bg-purple-700"
@@ -1234,7 +1338,17 @@ const OrderDetailsPage = () => {
                                         Receive Payment
                                     </button>
                                 )}
-                                {(order.status === 'DISPATCHED' || order.status === 'COMPLETED') && (
+                                {CONFIRMED_ORDER_STATUSES.includes(order.status) && (
+                                    <button
+                                        onClick={handleDownloadInvoice}
+                                        disabled={downloadingInvoice}
+                                        className="btn-secondary flex items-center px-6 py-2.5 disabled:opacity-50"
+                                    >
+                                        <DocumentTextIcon className="h-5 w-5 mr-2" />
+                                        {downloadingInvoice ? 'Preparing...' : 'Download Invoice'}
+                                    </button>
+                                )}
+                                {SHIPPED_ORDER_STATUSES.includes(order.status) && (
                                     <button
                                         onClick={() => {
                                             setAdjustmentActualCost(order.actualShippingCost || null)
@@ -1506,6 +1620,14 @@ const OrderDetailsPage = () => {
                                                         Rs. {calculateProductsTotal().toLocaleString()}
                                                     </span>
                                                 </div>
+                                                {order.discountAmount > 0 && (
+                                                    <div className="flex justify-between items-center">
+                                                        <span className="text-sm font-semibold text-gray-700">Discount ({order.promotionCode}):</span>
+                                                        <span className="text-lg font-bold text-green-700">
+                                                            -Rs. {order.discountAmount.toFixed(2).replace(/\B(?=(\d{3})+(?!\d))/g, ',')}
+                                                        </span>
+                                                    </div>
+                                                )}
                                                 <div className="flex justify-between items-center">
                                                     <span className="text-sm font-semibold text-gray-700">Shipping Charges:</span>
                                                     <span className="text-lg font-bold text-blue-600">
@@ -1557,8 +1679,116 @@ const OrderDetailsPage = () => {
                                 </div>
                             )}
 
+                            {/* Shipment Tracking */}
+                            {!isEditing && SHIPPED_ORDER_STATUSES.includes(order.status) && (
+                                <div className="mt-4 p-4 bg-indigo-50 border border-indigo-200 rounded-lg">
+                                    <h4 className="font-semibold text-gray-900 mb-2">Shipment Tracking</h4>
+                                    {order.trackingNumber ? (
+                                        <div className="space-y-1 text-sm text-gray-700">
+                                            {order.logisticsCompany && (
+                                                <p><strong>Courier:</strong> {order.logisticsCompany.name}</p>
+                                            )}
+                                            {order.dispatchLocation && (
+                                                <p><strong>Shipped From:</strong> {order.dispatchLocation.name}</p>
+                                            )}
+                                            {order.packVerifiedAt && (
+                                                <p><strong>Packed:</strong> items scanned {new Date(order.packVerifiedAt).toLocaleString()}{order.packVerifiedBy ? ` by ${order.packVerifiedBy}` : ''}</p>
+                                            )}
+                                            <p><strong>Tracking No:</strong> <span className="font-mono">{order.trackingNumber}</span></p>
+                                            {order.consignmentNumber && order.consignmentNumber !== order.trackingNumber && (
+                                                <p><strong>CN:</strong> <span className="font-mono">{order.consignmentNumber}</span></p>
+                                            )}
+                                            {order.courierBookedAt && (
+                                                <p><strong>Booked:</strong> {new Date(order.courierBookedAt).toLocaleString()}</p>
+                                            )}
+                                            <div className="flex flex-wrap gap-3 pt-1">
+                                                {order.trackingUrl && (
+                                                    <a href={order.trackingUrl} target="_blank" rel="noopener noreferrer" className="text-indigo-600 hover:text-indigo-800 font-medium">
+                                                        Track parcel
+                                                    </a>
+                                                )}
+                                                {order.courierLabelUrl && (
+                                                    <a href={order.courierLabelUrl} target="_blank" rel="noopener noreferrer" className="text-indigo-600 hover:text-indigo-800 font-medium">
+                                                        Courier label
+                                                    </a>
+                                                )}
+                                            </div>
+                                        </div>
+                                    ) : (
+                                        <div className="space-y-2">
+                                            <p className="text-sm text-gray-600">No tracking number recorded yet.</p>
+                                            <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+                                                <input
+                                                    type="text"
+                                                    value={dispatchTrackingNumber}
+                                                    onChange={(e) => setDispatchTrackingNumber(e.target.value)}
+                                                    placeholder="Tracking number"
+                                                    className="w-full px-3 py-2 border-2 border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+                                                />
+                                                <input
+                                                    type="text"
+                                                    value={dispatchConsignmentNumber}
+                                                    onChange={(e) => setDispatchConsignmentNumber(e.target.value)}
+                                                    placeholder="CN (optional)"
+                                                    className="w-full px-3 py-2 border-2 border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+                                                />
+                                            </div>
+                                            <button
+                                                onClick={bookShipment}
+                                                disabled={bookingShipment}
+                                                className="px-4 py-2 bg-indigo-600 text-white text-sm font-semibold rounded-lg hover:bg-indigo-700 disabled:opacity-50"
+                                            >
+                                                {bookingShipment
+                                                    ? 'Saving...'
+                                                    : (dispatchTrackingNumber.trim() || dispatchConsignmentNumber.trim() || order.logisticsCompany?.courierService === 'MANUAL' || !order.logisticsCompany)
+                                                        ? 'Save Tracking Number'
+                                                        : `Book with ${order.logisticsCompany.name}`}
+                                            </button>
+                                        </div>
+                                    )}
+                                    <div className="mt-3 pt-3 border-t border-indigo-200 space-y-1 text-sm text-gray-700">
+                                        <p>
+                                            <strong>Delivery Status:</strong>{' '}
+                                            <span className={`px-2 py-0.5 rounded-full text-xs font-semibold ${ORDER_STATUS_STYLES[order.status] || 'bg-gray-100 text-gray-800'}`}>
+                                                {ORDER_STATUS_LABELS[order.status] || order.status}
+                                            </span>
+                                        </p>
+                                        {order.deliveredAt && (
+                                            <p><strong>Delivered:</strong> {new Date(order.deliveredAt).toLocaleString()}</p>
+                                        )}
+                                        {order.deliveryFailedAt && (
+                                            <p>
+                                                <strong>Delivery Failed:</strong> {new Date(order.deliveryFailedAt).toLocaleString()}
+                                                {order.deliveryFailureReason && ` (${order.deliveryFailureReason})`}
+                                            </p>
+                                        )}
+                                        {order.returnedToOriginAt && (
+                                            <p><strong>Returned to Origin:</strong> {new Date(order.returnedToOriginAt).toLocaleString()}</p>
+                                        )}
+                                        {DELIVERY_STATUS_TRANSITIONS[order.status] && (
+                                            <div className="flex flex-wrap gap-2 pt-2">
+                                                {DELIVERY_STATUS_TRANSITIONS[order.status].map(nextStatus => (
+                                                    <button
+                                                        key={nextStatus}
+                                                        onClick={() => updateDeliveryStatus(nextStatus)}
+                                                        disabled={updatingDeliveryStatus}
+                                                        className={`px-3 py-1.5 text-xs font-semibold rounded-lg border disabled:opacity-50 ${
+                                                            nextStatus === 'RETURNED_TO_ORIGIN'
+                                                                ? 'border-rose-300 text-rose-700 hover:bg-rose-50'
+                                                                : 'border-indigo-300 text-indigo-700 hover:bg-indigo-100'
+                                                        }`}
+                                                    >
+                                                        Mark {ORDER_STATUS_LABELS[nextStatus]}
+                                                    </button>
+                                                ))}
+                                            </div>
+                                        )}
+                                    </div>
+                                </div>
+                            )}
+
                             {/* Shipping Variance Display */}
-                            {order.shippingVariance !== null && order.shippingVariance !== undefined && !isEditing && (order.status === 'DISPATCHED' || order.status === 'COMPLETED') && (
+                            {order.shippingVariance !== null && order.shippingVariance !== undefined && !isEditing && SHIPPED_ORDER_STATUSES.includes(order.status) && (
                                 <div className={`mt-4 p-4 rounded-lg border-2 ${
                                     order.shippingVariance > 0 
                                         ? 'bg-green-50 border-green-300' 
@@ -1617,6 +1847,14 @@ const OrderDetailsPage = () => {
                                             </span>
                                         </div>
                                     )}
+                                    {order.discountAmount > 0 && (
+                                        <div className="flex justify-between items-center">
+                                            <span className="text-lg font-semibold text-gray-700">Discount ({order.promotionCode}):</span>
+                                            <span className="text-lg font-bold text-green-700">
+                                                -Rs. {order.discountAmount.toFixed(2).replace(/\B(?=(\d{3})+(?!\d))/g, ',')}
+                                            </span>
+                                        </div>
+                                    )}
                                     <div className="flex justify-between items-center">
                                         <span className="text-lg font-semibold text-gray-700">Shipping Charges:</span>
                                         {isEditing ? (
@@ -1850,7 +2088,7 @@ const OrderDetailsPage = () => {
                     {/* Sidebar */}
                     <div className="space-y-6">
                         {/* Profit Info - Only show for confirmed/dispatched/completed orders */}
-                        {profit && profit.profit !== undefined && ['CONFIRMED', 'DISPATCHED', 'COMPLETED'].includes(order.status) && (
+                        {profit && profit.profit !== undefined && CONFIRMED_ORDER_STATUSES.includes(order.status) && (
                             <div className="card p-6 bg-gradient-to-br from-green-50 to-emerald-50 border-2 border-green-200">
                                 <h2 className="text-lg font-bold text-gray-900 mb-4 flex items-center">
                                     <CurrencyDollarIcon className="h-5 w-5 mr-2 text-green-700" />
@@ -2241,6 +2479,14 @@ const OrderDetailsPage = () => {
                 </div>
             )}
 
+            {/* Edit History */}
+            {!isEditing && order && (
+                <div className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8 mt-8 mb-8">
+                    {/* Remount after each save so the latest edit shows up */}
+                    <AuditHistoryPanel key={order.updatedAt} entityType="ORDER" entityId={order.id} />
+                </div>
+            )}
+
             {/* Payment Modal */}
             {showPaymentModal && (
                 <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50 flex items-center justify-center p-4">
@@ -2363,6 +2609,24 @@ const OrderDetailsPage = () => {
                         <div className="p-6">
                             <h3 className="text-xl font-bold text-gray-900 mb-4">Dispatch Order</h3>
                             <div className="space-y-4">
+                                {dispatchLocations.length > 1 && (
+                                    <div>
+                                        <label className="block text-sm font-medium text-gray-700 mb-1">
+                                            Ship From
+                                        </label>
+                                        <select
+                                            value={dispatchLocationId}
+                                            onChange={(e) => setDispatchLocationId(e.target.value)}
+                                            className="w-full px-3 py-2 border-2 border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                                        >
+                                            {dispatchLocations.map(location => (
+                                                <option key={location.id} value={location.id}>
+                                                    {location.name}{location.isDefault ? ' (default)' : ''}
+                                                </option>
+                                            ))}
+                                        </select>
+                                    </div>
+                                )}
                                 <div>
                                     <label className="block text-sm font-medium text-gray-700 mb-1">
                                         Estimated Shipping Charges
@@ -2423,6 +2687,38 @@ const OrderDetailsPage = () => {
                                         Select the logistics company used to dispatch this order
                                     </p>
                                 </div>
+                                {(() => {
+                                    const dispatchCompany = logisticsCompanies.find(c => c.id === dispatchLogisticsCompanyId)
+                                    const autoBooking = dispatchCompany && dispatchCompany.courierService && dispatchCompany.courierService !== 'MANUAL'
+                                    return (
+                                        <div>
+                                            <label className="block text-sm font-medium text-gray-700 mb-1">
+                                                Tracking Number / CN
+                                            </label>
+                                            <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+                                                <input
+                                                    type="text"
+                                                    value={dispatchTrackingNumber}
+                                                    onChange={(e) => setDispatchTrackingNumber(e.target.value)}
+                                                    placeholder="Tracking number"
+                                                    className="w-full px-3 py-2 border-2 border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                                                />
+                                                <input
+                                                    type="text"
+                                                    value={dispatchConsignmentNumber}
+                                                    onChange={(e) => setDispatchConsignmentNumber(e.target.value)}
+                                                    placeholder="CN (optional)"
+                                                    className="w-full px-3 py-2 border-2 border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                                                />
+                                            </div>
+                                            <p className="text-xs text-gray-500 mt-1">
+                                                {autoBooking
+                                                    ? `Leave empty to book the parcel with ${dispatchCompany.name} automatically`
+                                                    : 'Enter the tracking number from the courier booking slip'}
+                                            </p>
+                                        </div>
+                                    )
+                                })()}
                                 
                                 {/* COD Fee Section in Dispatch Modal */}
                                 {(() => {
@@ -234,6 +234,38 @@ const OrderReceipt = () => {
 
           {/* Order Details */}
           <div className="p-3 sm:p-6">
+
+            {/* Shipment Tracking */}
+            {order.trackingNumber && (
+              <div className="mb-4 sm:mb-6">
+                <h3 className="text-base sm:text-lg font-semibold text-gray-900 mb-2 sm:mb-3 flex items-center">
+                  <MapPinIcon className="h-4 w-4 mr-2 text-indigo-500" />
+                  Shipment Tracking
+                </h3>
+                <div className="bg-indigo-50 border border-indigo-200 rounded-lg p-3 sm:p-4 space-y-1">
+                  {order.logisticsCompany?.name && (
+                    <p className="text-sm text-gray-700"><span className="font-medium">Courier:</span> {order.logisticsCompany.name}</p>
+                  )}
+                  <p className="text-sm text-gray-700"><span className="font-medium">Tracking No:</span> <span className="font-mono">{order.trackingNumber}</span></p>
+                  {order.consignmentNumber && order.consignmentNumber !== order.trackingNumber && (
+                    <p className="text-sm text-gray-700"><span className="font-medium">CN:</span> <span className="font-mono">{order.consignmentNumber}</span></p>
+                  )}
+                  {order.courierBookedAt && (
+                    <p className="text-sm text-gray-700"><span className="font-medium">Booked:</span> {new Date(order.courierBookedAt).toLocaleDateString()}</p>
+                  )}
+                  {order.trackingUrl && (
+                    <a
+                      href={order.trackingUrl}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="inline-block mt-2 text-sm font-semibold text-indigo-600 hover:text-indigo-800"
+                    >
+                      Track your parcel →
+                    </a>
+                  )}
+                </div>
+              </div>
+            )}
             
             {/* Form Fields - Dynamic Display */}
             <div className="mb-4 sm:mb-6">
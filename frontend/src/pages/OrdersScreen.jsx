@@ -5,6 +5,9 @@ import api, { getImageUrl } from '../services/api'
 import toast from 'react-hot-toast'
 import LoadingSpinner from '../components/LoadingSpinner'
 import WhatsAppConfirmationModal from '../components/WhatsAppConfirmationModal'
+import OrderRiskBadge from '../components/OrderRiskBadge'
+import { ORDER_STATUS_LABELS, ORDER_STATUS_STYLES, CONFIRMED_ORDER_STATUSES } from '../utils/orderStatus'
+import { openPdfFromApi, getPdfErrorMessage } from '../utils/exportUtils'
 
 import {
   ShoppingBagIcon,
@@ -21,7 +24,10 @@ import {
   ArrowPathIcon,
   MagnifyingGlassIcon,
   ClockIcon,
-  ChartBarIcon
+  ChartBarIcon,
+  PrinterIcon,
+  TagIcon,
+  XMarkIcon
 } from '@heroicons/react/24/outline'
 import { useOrderStats } from '../hooks/useOrders'
 import { StatsCard } from '../components/ui/StatsCard'
@@ -42,6 +48,8 @@ const OrdersScreen = () => {
   const [searchTerm, setSearchTerm] = useState('')
   const [sortBy, setSortBy] = useState('newest')
   const [displayMode, setDisplayMode] = useState('card')
+  const [selectedOrderIds, setSelectedOrderIds] = useState([])
+  const [printing, setPrinting] = useState(false)
 
   // Helper function to find phone number from formData
   const getPhoneNumber = (formData) => {
@@ -103,6 +111,27 @@ const OrdersScreen = () => {
 
   const [whatsappModal, setWhatsappModal] = useState({ isOpen: false, url: null, phone: null })
 
+  const toggleOrderSelection = (orderId) => {
+    setSelectedOrderIds(prev => prev.includes(orderId) ? prev.filter(id => id !== orderId) : [...prev, orderId])
+  }
+
+  // Packing slips (A4, go in the parcel) or shipping labels (4x6", go on the parcel) as one PDF
+  const printDocuments = async (type, orderIds) => {
+    const names = { 'packing-slip': 'packing-slips', 'shipping-label': 'shipping-labels' }
+    try {
+      setPrinting(true)
+      if (orderIds.length === 1) {
+        await openPdfFromApi(`/order/${orderIds[0]}/documents/${type}`, null, `${names[type]}.pdf`)
+      } else {
+        await openPdfFromApi(`/order/documents/${type}`, { orderIds }, `${names[type]}.pdf`)
+      }
+    } catch (error) {
+      toast.error(await getPdfErrorMessage(error, 'Failed to create documents'))
+    } finally {
+      setPrinting(false)
+    }
+  }
+
   const confirmOrder = async (orderId) => {
     try {
       const response = await api.post(`/order/${orderId}/confirm`)
@@ -143,14 +172,7 @@ const OrdersScreen = () => {
   }
 
   const getStatusBadge = (status) => {
-    const styles = {
-      PENDING: 'bg-yellow-100 text-yellow-800',
-      CONFIRMED: 'bg-green-100 text-green-800',
-      DISPATCHED: 'bg-blue-100 text-blue-800',
-      CANCELLED: 'bg-red-100 text-red-800',
-      COMPLETED: 'bg-purple-100 text-purple-800'
-    }
-    return `px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${styles[status] || 'bg-gray-100 text-gray-800'}`
+    return `px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${ORDER_STATUS_STYLES[status] || 'bg-gray-100 text-gray-800'}`
   }
 
   const filteredOrders = orders.filter(order => {
@@ -168,6 +190,15 @@ const OrdersScreen = () => {
     }
   })
 
+  const allVisibleSelected = filteredOrders.length > 0 && filteredOrders.every(order => selectedOrderIds.includes(order.id))
+
+  const toggleAllVisible = () => {
+    const visibleIds = filteredOrders.map(order => order.id)
+    setSelectedOrderIds(prev => allVisibleSelected
+      ? prev.filter(id => !visibleIds.includes(id))
+      : [...new Set([...prev, ...visibleIds])])
+  }
+
   const renderDressImages = (order) => {
     if (!order.images) return null
 
@@ -291,6 +322,11 @@ const OrdersScreen = () => {
               <option value="PENDING">Pending</option>
               <option value="CONFIRMED">Confirmed</option>
               <option value="DISPATCHED">Dispatched</option>
+              <option value="IN_TRANSIT">In Transit</option>
+              <option value="DELIVERED">Delivered</option>
+              <option value="FAILED_DELIVERY">Failed Delivery</option>
+              <option value="RETURNED_TO_ORIGIN">Returned to Origin</option>
+              <option value="COMPLETED">Completed</option>
               <option value="CANCELLED">Cancelled</option>
             </select>
           </div>
@@ -330,6 +366,39 @@ const OrdersScreen = () => {
         </div>
       </div>
 
+      {selectedOrderIds.length > 0 && (
+        <div className="card p-3 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 border border-brand-200">
+          <span className="text-sm font-semibold text-gray-900">
+            {selectedOrderIds.length} order{selectedOrderIds.length === 1 ? '' : 's'} selected
+          </span>
+          <div className="flex flex-wrap gap-2">
+            <button
+              onClick={() => printDocuments('packing-slip', selectedOrderIds)}
+              disabled={printing}
+              className="btn-secondary text-sm py-1.5 px-3 flex items-center"
+            >
+              <PrinterIcon className="h-4 w-4 mr-1" />
+              Packing Slips
+            </button>
+            <button
+              onClick={() => printDocuments('shipping-label', selectedOrderIds)}
+              disabled={printing}
+              className="btn-secondary text-sm py-1.5 px-3 flex items-center"
+            >
+              <TagIcon className="h-4 w-4 mr-1" />
+              Shipping Labels
+            </button>
+            <button
+              onClick={() => setSelectedOrderIds([])}
+              className="text-sm text-gray-600 hover:text-gray-900 px-2 flex items-center"
+            >
+              <XMarkIcon className="h-4 w-4 mr-1" />
+              Clear
+            </button>
+          </div>
+        </div>
+      )}
+
       {/* Orders List */}
       {filteredOrders.length === 0 ? (
         <div className="text-center py-12 bg-white rounded-xl border border-gray-100">
@@ -345,6 +414,15 @@ const OrdersScreen = () => {
             <table className="min-w-full divide-y divide-gray-200">
               <thead className="bg-gray-50">
                 <tr>
+                  <th className="pl-6 py-3 text-left">
+                    <input
+                      type="checkbox"
+                      checked={allVisibleSelected}
+                      onChange={toggleAllVisible}
+                      className="h-4 w-4 text-brand-600 rounded border-gray-300"
+                      title="Select all"
+                    />
+                  </th>
                   <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Order #</th>
                   <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Products</th>
                   <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Customer</th>
@@ -416,6 +494,14 @@ const OrdersScreen = () => {
                   
                   return (
                     <tr key={order.id} className="hover:bg-gray-50">
+                      <td className="pl-6 py-4">
+                        <input
+                          type="checkbox"
+                          checked={selectedOrderIds.includes(order.id)}
+                          onChange={() => toggleOrderSelection(order.id)}
+                          className="h-4 w-4 text-brand-600 rounded border-gray-300"
+                        />
+                      </td>
                       <td className="px-6 py-4 whitespace-nowrap text-sm font-bold text-gray-900">
                         {order.orderNumber}
                       </td>
@@ -465,9 +551,12 @@ const OrdersScreen = () => {
                         {new Date(order.createdAt).toLocaleDateString()}
                       </td>
                       <td className="px-6 py-4 whitespace-nowrap">
-                        <span className={getStatusBadge(order.status)}>
-                          {order.status}
-                        </span>
+                        <div className="flex flex-col items-start gap-1">
+                          <span className={getStatusBadge(order.status)}>
+                            {ORDER_STATUS_LABELS[order.status] || order.status}
+                          </span>
+                          <OrderRiskBadge order={order} onReviewed={fetchOrders} />
+                        </div>
                       </td>
                       <td className="px-6 py-4 whitespace-nowrap">
                         <div className="text-sm">
@@ -489,6 +578,22 @@ const OrdersScreen = () => {
                           >
                             View
                           </button>
+                          <button
+                            onClick={() => printDocuments('packing-slip', [order.id])}
+                            disabled={printing}
+                            className="text-gray-500 hover:text-gray-900"
+                            title="Packing slip"
+                          >
+                            <PrinterIcon className="h-5 w-5" />
+                          </button>
+                          <button
+                            onClick={() => printDocuments('shipping-label', [order.id])}
+                            disabled={printing}
+                            className="text-gray-500 hover:text-gray-900"
+                            title="Shipping label"
+                          >
+                            <TagIcon className="h-5 w-5" />
+                          </button>
                           {order.status === 'PENDING' && (
                             <button
                               onClick={() => confirmOrder(order.id)}
@@ -497,7 +602,7 @@ const OrdersScreen = () => {
                               Confirm
                             </button>
                           )}
-                          {(order.status === 'CONFIRMED' || order.status === 'DISPATCHED' || order.status === 'COMPLETED') && (
+                          {CONFIRMED_ORDER_STATUSES.includes(order.status) && (
                             <button
                               onClick={() => navigate(`/business/orders/${order.id}`, { state: { openReceivePayment: true } })}
                               className="text-purple-600 hover:text-purple-900 font-semibold"
@@ -580,15 +685,26 @@ const OrdersScreen = () => {
                 <div className="p-6">
                   <div className="flex justify-between items-start mb-4">
                     <div className="flex-1 min-w-0">
-                      <h3 className="text-lg font-bold text-gray-900 truncate">{order.orderNumber}</h3>
+                      <div className="flex items-center gap-2">
+                        <input
+                          type="checkbox"
+                          checked={selectedOrderIds.includes(order.id)}
+                          onChange={() => toggleOrderSelection(order.id)}
+                          className="h-4 w-4 text-brand-600 rounded border-gray-300"
+                        />
+                        <h3 className="text-lg font-bold text-gray-900 truncate">{order.orderNumber}</h3>
+                      </div>
                       <p className="text-sm text-gray-700 flex items-center mt-1 font-medium">
                         <UserIcon className="h-4 w-4 mr-1 flex-shrink-0" />
                         <span className="truncate">{formData['Customer Name'] || 'N/A'}</span>
                       </p>
                     </div>
-                    <span className={getStatusBadge(order.status)}>
-                      {order.status}
-                    </span>
+                    <div className="flex flex-col items-end gap-1">
+                      <span className={getStatusBadge(order.status)}>
+                        {ORDER_STATUS_LABELS[order.status] || order.status}
+                      </span>
+                      <OrderRiskBadge order={order} onReviewed={fetchOrders} />
+                    </div>
                   </div>
 
                   {/* Products Section */}
@@ -684,6 +800,22 @@ const OrdersScreen = () => {
                   {renderDressImages(order)}
 
                   <div className="mt-6 pt-4 border-t border-gray-200 flex justify-end gap-2 flex-wrap">
+                    <button
+                      onClick={() => printDocuments('packing-slip', [order.id])}
+                      disabled={printing}
+                      className="p-1.5 text-gray-500 hover:text-gray-900"
+                      title="Packing slip"
+                    >
+                      <PrinterIcon className="h-5 w-5" />
+                    </button>
+                    <button
+                      onClick={() => printDocuments('shipping-label', [order.id])}
+                      disabled={printing}
+                      className="p-1.5 text-gray-500 hover:text-gray-900"
+                      title="Shipping label"
+                    >
+                      <TagIcon className="h-5 w-5" />
+                    </button>
                     <button
                       onClick={() => navigate(`/business/orders/${order.id}`)}
                       className="btn-secondary text-sm py-1.5 px-4"
@@ -698,7 +830,7 @@ const OrdersScreen = () => {
                         Confirm
                       </button>
                     )}
-                    {(order.status === 'CONFIRMED' || order.status === 'DISPATCHED' || order.status === 'COMPLETED') && (
+                    {CONFIRMED_ORDER_STATUSES.includes(order.status) && (
                       <button
                         onClick={() => navigate(`/business/orders/${order.id}`, { state: { openReceivePayment: true } })}
                         className="btn-primary text-sm py-1.5 px-4 bg-purple-600 hover:bg-purple-700"
@@ -0,0 +1,508 @@
+import { useState, useEffect, useMemo } from 'react'
+import { PlusIcon, PencilIcon, TrashIcon, XMarkIcon } from '@heroicons/react/24/outline'
+import toast from 'react-hot-toast'
+import api from '../services/api'
+import ModernLayout from '../components/ModernLayout'
+import LoadingSpinner from '../components/LoadingSpinner'
+
+const formatAmount = (value) => (value || 0).toLocaleString(undefined, { minimumFractionDigits: 0, maximumFractionDigits: 2 })
+
+const toDateInput = (value) => (value ? new Date(value).toISOString().slice(0, 10) : '')
+
+const emptyForm = {
+  code: '',
+  name: '',
+  description: '',
+  discountType: 'PERCENTAGE',
+  discountValue: '',
+  maxDiscountAmount: '',
+  scope: 'ORDER',
+  productIds: [],
+  categories: [],
+  minOrderValue: '',
+  usageLimit: '',
+  perCustomerLimit: '',
+  startsAt: '',
+  endsAt: '',
+  isActive: true
+}
+
+const describeDiscount = (promotion) => {
+  const value = promotion.discountType === 'PERCENTAGE'
+    ? `${promotion.discountValue}% off`
+    : `Rs. ${formatAmount(promotion.discountValue)} off`
+  const cap = promotion.maxDiscountAmount ? ` (max Rs. ${formatAmount(promotion.maxDiscountAmount)})` : ''
+  const scope = promotion.scope === 'PRODUCTS'
+    ? ` · ${promotion.productIds.length} product${promotion.productIds.length === 1 ? '' : 's'}`
+    : promotion.scope === 'CATEGORIES'
+      ? ` · ${promotion.categories.join(', ')}`
+      : ''
+  return `${value}${cap}${scope}`
+}
+
+const statusOf = (promotion) => {
+  const now = new Date()
+  if (!promotion.isActive) return { label: 'Inactive', className: 'bg-gray-100 text-gray-600' }
+  if (promotion.endsAt && new Date(promotion.endsAt) < now) return { label: 'Expired', className: 'bg-red-100 text-red-700' }
+  if (promotion.startsAt && new Date(promotion.startsAt) > now) return { label: 'Scheduled', className: 'bg-blue-100 text-blue-700' }
+  if (promotion.usageLimit !== null && promotion.usageCount >= promotion.usageLimit) {
+    return { label: 'Used up', className: 'bg-amber-100 text-amber-700' }
+  }
+  return { label: 'Active', className: 'bg-green-100 text-green-700' }
+}
+
+function PromotionsPage() {
+  const [promotions, setPromotions] = useState([])
+  const [products, setProducts] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [showModal, setShowModal] = useState(false)
+  const [editingId, setEditingId] = useState(null)
+  const [form, setForm] = useState(emptyForm)
+  const [productSearch, setProductSearch] = useState('')
+  const [saving, setSaving] = useState(false)
+
+  useEffect(() => {
+    fetchPromotions()
+    fetchProducts()
+  }, [])
+
+  const fetchPromotions = async () => {
+    try {
+      setLoading(true)
+      const response = await api.get('/promotions')
+      setPromotions(response.data.promotions || [])
+    } catch (error) {
+      console.error('Failed to fetch promotions:', error)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const fetchProducts = async () => {
+    try {
+      const response = await api.get('/product', { params: { limit: 100 } })
+      setProducts(response.data.products || [])
+    } catch (error) {
+      console.error('Failed to fetch products:', error)
+    }
+  }
+
+  const categories = useMemo(
+    () => [...new Set(products.map(product => product.category).filter(Boolean))].sort(),
+    [products]
+  )
+
+  const filteredProducts = useMemo(() => {
+    const term = productSearch.trim().toLowerCase()
+    if (!term) return products
+    return products.filter(product =>
+      product.name.toLowerCase().includes(term) || (product.sku || '').toLowerCase().includes(term)
+    )
+  }, [products, productSearch])
+
+  const openCreate = () => {
+    setEditingId(null)
+    setForm(emptyForm)
+    setProductSearch('')
+    setShowModal(true)
+  }
+
+  const openEdit = (promotion) => {
+    setEditingId(promotion.id)
+    setForm({
+      ...emptyForm,
+      ...promotion,
+      description: promotion.description || '',
+      maxDiscountAmount: promotion.maxDiscountAmount ?? '',
+      minOrderValue: promotion.minOrderValue ?? '',
+      usageLimit: promotion.usageLimit ?? '',
+      perCustomerLimit: promotion.perCustomerLimit ?? '',
+      startsAt: toDateInput(promotion.startsAt),
+      endsAt: toDateInput(promotion.endsAt)
+    })
+    setProductSearch('')
+    setShowModal(true)
+  }
+
+  const updateField = (field, value) => setForm(prev => ({ ...prev, [field]: value }))
+
+  const toggleListValue = (field, value) => {
+    setForm(prev => ({
+      ...prev,
+      [field]: prev[field].includes(value)
+        ? prev[field].filter(entry => entry !== value)
+        : [...prev[field], value]
+    }))
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    const payload = {
+      code: form.code,
+      name: form.name,
+      description: form.description,
+      discountType: form.discountType,
+      discountValue: form.discountValue,
+      maxDiscountAmount: form.maxDiscountAmount,
+      scope: form.scope,
+      productIds: form.productIds,
+      categories: form.categories,
+      minOrderValue: form.minOrderValue,
+      usageLimit: form.usageLimit,
+      perCustomerLimit: form.perCustomerLimit,
+      // End date covers the whole day
+      startsAt: form.startsAt ? `${form.startsAt}T00:00:00` : null,
+      endsAt: form.endsAt ? `${form.endsAt}T23:59:59` : null,
+      isActive: form.isActive
+    }
+    try {
+      setSaving(true)
+      if (editingId) {
+        await api.put(`/promotions/${editingId}`, payload)
+        toast.success('Discount code updated')
+      } else {
+        await api.post('/promotions', payload)
+        toast.success('Discount code created')
+      }
+      setShowModal(false)
+      fetchPromotions()
+    } catch (error) {
+      console.error('Failed to save promotion:', error)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const toggleActive = async (promotion) => {
+    try {
+      await api.put(`/promotions/${promotion.id}`, { isActive: !promotion.isActive })
+      toast.success(promotion.isActive ? 'Discount code deactivated' : 'Discount code activated')
+      fetchPromotions()
+    } catch (error) {
+      console.error('Failed to update promotion:', error)
+    }
+  }
+
+  const handleDelete = async (promotion) => {
+    if (!window.confirm(`Delete discount code ${promotion.code}?`)) return
+    try {
+      await api.delete(`/promotions/${promotion.id}`)
+      toast.success('Discount code deleted')
+      fetchPromotions()
+    } catch (error) {
+      console.error('Failed to delete promotion:', error)
+    }
+  }
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg min-h-[44px]'
+
+  return (
+    <ModernLayout>
+      <div className="space-y-6">
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+          <div>
+            <h1 className="text-3xl font-bold text-brand-600">Discount Codes</h1>
+            <p className="text-gray-500 mt-1">Codes customers can enter on your order forms.</p>
+          </div>
+          <button onClick={openCreate} className="btn-primary flex items-center justify-center min-h-[44px]">
+            <PlusIcon className="h-5 w-5 mr-2" />
+            New Code
+          </button>
+        </div>
+
+        {loading ? (
+          <LoadingSpinner className="py-12" />
+        ) : promotions.length === 0 ? (
+          <div className="card p-8 text-center text-gray-500">No discount codes yet.</div>
+        ) : (
+          <div className="card overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-3 text-left font-medium text-gray-500">Code</th>
+                  <th className="px-4 py-3 text-left font-medium text-gray-500">Discount</th>
+                  <th className="px-4 py-3 text-left font-medium text-gray-500">Valid</th>
+                  <th className="px-4 py-3 text-right font-medium text-gray-500">Used</th>
+                  <th className="px-4 py-3 text-right font-medium text-gray-500">Total discount</th>
+                  <th className="px-4 py-3 text-left font-medium text-gray-500">Status</th>
+                  <th className="px-4 py-3 text-right font-medium text-gray-500">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {promotions.map(promotion => {
+                  const status = statusOf(promotion)
+                  return (
+                    <tr key={promotion.id}>
+                      <td className="px-4 py-3">
+                        <div className="font-mono font-semibold text-gray-900">{promotion.code}</div>
+                        <div className="text-xs text-gray-500">{promotion.name}</div>
+                      </td>
+                      <td className="px-4 py-3 text-gray-700">
+                        {describeDiscount(promotion)}
+                        {promotion.minOrderValue ? (
+                          <div className="text-xs text-gray-500">Min order Rs. {formatAmount(promotion.minOrderValue)}</div>
+                        ) : null}
+                      </td>
+                      <td className="px-4 py-3 text-gray-700">
+                        {promotion.startsAt || promotion.endsAt
+                          ? `${promotion.startsAt ? new Date(promotion.startsAt).toLocaleDateString() : '…'} – ${promotion.endsAt ? new Date(promotion.endsAt).toLocaleDateString() : '…'}`
+                          : 'Always'}
+                      </td>
+                      <td className="px-4 py-3 text-right text-gray-700">
+                        {promotion.usageCount}{promotion.usageLimit !== null ? ` / ${promotion.usageLimit}` : ''}
+                      </td>
+                      <td className="px-4 py-3 text-right text-gray-700">Rs. {formatAmount(promotion.totalDiscount)}</td>
+                      <td className="px-4 py-3">
+                        <button
+                          onClick={() => toggleActive(promotion)}
+                          title={promotion.isActive ? 'Deactivate' : 'Activate'}
+                          className={`px-2 py-1 rounded-full text-xs font-medium ${status.className}`}
+                        >
+                          {status.label}
+                        </button>
+                      </td>
+                      <td className="px-4 py-3 text-right whitespace-nowrap">
+                        <button onClick={() => openEdit(promotion)} className="p-2 text-gray-500 hover:text-brand-600" title="Edit">
+                          <PencilIcon className="h-5 w-5" />
+                        </button>
+                        {promotion.usageCount === 0 && (
+                          <button onClick={() => handleDelete(promotion)} className="p-2 text-gray-500 hover:text-red-600" title="Delete">
+                            <TrashIcon className="h-5 w-5" />
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                  )
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {showModal && (
+        <div className="fixed inset-0 bg-gray-900 bg-opacity-75 z-50 flex items-center justify-center p-4">
+          <form onSubmit={handleSubmit} className="bg-white rounded-lg shadow-xl w-full max-w-2xl max-h-[90vh] overflow-y-auto">
+            <div className="flex items-center justify-between p-4 border-b">
+              <h2 className="text-lg font-semibold text-gray-900">{editingId ? 'Edit Discount Code' : 'New Discount Code'}</h2>
+              <button type="button" onClick={() => setShowModal(false)} className="p-2 text-gray-500 hover:text-gray-700">
+                <XMarkIcon className="h-5 w-5" />
+              </button>
+            </div>
+
+            <div className="p-4 space-y-4">
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Code *</label>
+                  <input
+                    value={form.code}
+                    onChange={(e) => updateField('code', e.target.value.toUpperCase())}
+                    placeholder="EID20"
+                    className={`${inputClass} font-mono`}
+                    required
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Name *</label>
+                  <input
+                    value={form.name}
+                    onChange={(e) => updateField('name', e.target.value)}
+                    placeholder="Eid sale"
+                    className={inputClass}
+                    required
+                  />
+                </div>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Description</label>
+                <input
+                  value={form.description}
+                  onChange={(e) => updateField('description', e.target.value)}
+                  className={inputClass}
+                />
+              </div>
+
+              <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Type</label>
+                  <select
+                    value={form.discountType}
+                    onChange={(e) => updateField('discountType', e.target.value)}
+                    className={inputClass}
+                  >
+                    <option value="PERCENTAGE">Percentage</option>
+                    <option value="FIXED">Fixed amount</option>
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    {form.discountType === 'PERCENTAGE' ? 'Percent off *' : 'Amount off (Rs.) *'}
+                  </label>
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    value={form.discountValue}
+                    onChange={(e) => updateField('discountValue', e.target.value)}
+                    className={inputClass}
+                    required
+                  />
+                </div>
+                {form.discountType === 'PERCENTAGE' && (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Max discount (Rs.)</label>
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.01"
+                      value={form.maxDiscountAmount}
+                      onChange={(e) => updateField('maxDiscountAmount', e.target.value)}
+                      className={inputClass}
+                    />
+                  </div>
+                )}
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Applies to</label>
+                <select
+                  value={form.scope}
+                  onChange={(e) => updateField('scope', e.target.value)}
+                  className={inputClass}
+                >
+                  <option value="ORDER">Whole order</option>
+                  <option value="PRODUCTS">Selected products</option>
+                  <option value="CATEGORIES">Selected categories</option>
+                </select>
+              </div>
+
+              {form.scope === 'PRODUCTS' && (
+                <div className="border border-gray-200 rounded-lg p-3">
+                  <input
+                    value={productSearch}
+                    onChange={(e) => setProductSearch(e.target.value)}
+                    placeholder="Search products..."
+                    className={`${inputClass} mb-2`}
+                  />
+                  <div className="max-h-48 overflow-y-auto space-y-1">
+                    {filteredProducts.map(product => (
+                      <label key={product.id} className="flex items-center gap-2 text-sm py-1">
+                        <input
+                          type="checkbox"
+                          checked={form.productIds.includes(product.id)}
+                          onChange={() => toggleListValue('productIds', product.id)}
+                        />
+                        <span>{product.name}</span>
+                        {product.sku && <span className="text-xs text-gray-400">{product.sku}</span>}
+                      </label>
+                    ))}
+                  </div>
+                  <p className="text-xs text-gray-500 mt-2">{form.productIds.length} selected</p>
+                </div>
+              )}
+
+              {form.scope === 'CATEGORIES' && (
+                <div className="border border-gray-200 rounded-lg p-3">
+                  {categories.length === 0 ? (
+                    <p className="text-sm text-gray-500">No product categories found.</p>
+                  ) : (
+                    <div className="flex flex-wrap gap-3">
+                      {categories.map(category => (
+                        <label key={category} className="flex items-center gap-2 text-sm">
+                          <input
+                            type="checkbox"
+                            checked={form.categories.includes(category)}
+                            onChange={() => toggleListValue('categories', category)}
+                          />
+                          {category}
+                        </label>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              )}
+
+              <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Min order (Rs.)</label>
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    value={form.minOrderValue}
+                    onChange={(e) => updateField('minOrderValue', e.target.value)}
+                    className={inputClass}
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Total uses</label>
+                  <input
+                    type="number"
+                    min="0"
+                    value={form.usageLimit}
+                    onChange={(e) => updateField('usageLimit', e.target.value)}
+                    placeholder="Unlimited"
+                    className={inputClass}
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Uses per customer</label>
+                  <input
+                    type="number"
+                    min="0"
+                    value={form.perCustomerLimit}
+                    onChange={(e) => updateField('perCustomerLimit', e.target.value)}
+                    placeholder="Unlimited"
+                    className={inputClass}
+                  />
+                </div>
+              </div>
+
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Starts</label>
+                  <input
+                    type="date"
+                    value={form.startsAt}
+                    onChange={(e) => updateField('startsAt', e.target.value)}
+                    className={inputClass}
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Ends</label>
+                  <input
+                    type="date"
+                    value={form.endsAt}
+                    onChange={(e) => updateField('endsAt', e.target.value)}
+                    className={inputClass}
+                  />
+                </div>
+              </div>
+
+              <label className="flex items-center gap-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={form.isActive}
+                  onChange={(e) => updateField('isActive', e.target.checked)}
+                />
+                Active
+              </label>
+            </div>
+
+            <div className="flex justify-end gap-3 p-4 border-t">
+              <button type="button" onClick={() => setShowModal(false)} className="btn-secondary min-h-[44px]">
+                Cancel
+              </button>
+              <button type="submit" disabled={saving} className="btn-primary min-h-[44px]">
+                {saving ? 'Saving...' : 'Save'}
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+    </ModernLayout>
+  )
+}
+
+export default PromotionsPage
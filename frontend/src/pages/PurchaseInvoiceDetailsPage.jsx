@@ -7,6 +7,7 @@ import toast from 'react-hot-toast'
 import ModernLayout from '../components/ModernLayout'
 import { useTenant } from '../hooks'
 import PaymentAccountSelector from '../components/accounting/PaymentAccountSelector'
+import AuditHistoryPanel from '../components/AuditHistoryPanel'
 
 const PurchaseInvoiceDetailsPage = () => {
   const navigate = useNavigate()
@@ -310,6 +311,12 @@ const PurchaseInvoiceDetailsPage = () => {
                 {new Date(invoice.invoiceDate).toLocaleDateString()}
               </p>
             </div>
+            {invoice.location && (
+              <div>
+                <p className="text-sm text-gray-600">Received At</p>
+                <p className="text-lg font-semibold text-gray-900">{invoice.location.name}</p>
+              </div>
+            )}
             <div>
               <p className="text-sm text-gray-600">Total Amount</p>
               <p className="text-lg font-semibold text-gray-900">Rs. {invoice.totalAmount.toLocaleString()}</p>
@@ -954,6 +961,11 @@ const PurchaseInvoiceDetailsPage = () => {
             </div>
           )}
         </div>
+
+        {/* Edit History */}
+        <div className="mt-6">
+          <AuditHistoryPanel entityType="PURCHASE_INVOICE" entityId={invoiceId} />
+        </div>
       </div>
     </ModernLayout>
   )
@@ -0,0 +1,235 @@
+import { useState, useEffect } from 'react'
+import { Link, useNavigate } from 'react-router-dom'
+import { ArrowLeftIcon, ArrowPathIcon, ShoppingCartIcon } from '@heroicons/react/24/outline'
+import api from '../services/api'
+import { useAuth } from '../contexts/AuthContext'
+import ModernLayout from '../components/ModernLayout'
+import LoadingSpinner from '../components/LoadingSpinner'
+import { Card, CardContent } from '../components/ui/Card'
+
+const formatAmount = (value) => (value || 0).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : '')
+
+const itemKey = (item) => `${item.productId}:${item.productVariantId || ''}`
+
+const variantLabel = (item) => [item.color, item.size].filter(Boolean).join(' / ')
+
+function ReorderSuggestionsPage() {
+  const navigate = useNavigate()
+  const { hasPermission } = useAuth()
+  const canPurchase = hasPermission('purchases:edit')
+  const [lookbackDays, setLookbackDays] = useState(30)
+  const [coverDays, setCoverDays] = useState(30)
+  const [data, setData] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [quantities, setQuantities] = useState({}) // itemKey -> quantity to order
+
+  useEffect(() => {
+    fetchSuggestions()
+  }, [])
+
+  const fetchSuggestions = async () => {
+    try {
+      setLoading(true)
+      const response = await api.get('/product/reorder-suggestions', {
+        params: { lookbackDays, coverDays }
+      })
+      setData(response.data)
+      const initial = {}
+      response.data.groups.forEach(group => {
+        group.items.forEach(item => { initial[itemKey(item)] = item.suggestedQuantity })
+      })
+      setQuantities(initial)
+    } catch (error) {
+      console.error('Failed to fetch reorder suggestions:', error)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const createDraftPurchase = (group) => {
+    const items = group.items
+      .map(item => ({ ...item, quantity: parseInt(quantities[itemKey(item)], 10) || 0 }))
+      .filter(item => item.quantity > 0)
+      .map(item => ({
+        productId: item.productId,
+        productVariantId: item.productVariantId,
+        name: item.name,
+        sku: item.sku,
+        category: item.category,
+        color: item.color,
+        size: item.size,
+        quantity: item.quantity,
+        purchasePrice: item.lastPurchasePrice
+      }))
+
+    if (items.length === 0) return
+
+    navigate('/business/purchases/add', {
+      state: {
+        reorderDraft: {
+          supplierId: group.supplierId,
+          supplierName: group.supplierName,
+          items
+        }
+      }
+    })
+  }
+
+  return (
+    <ModernLayout>
+      <div className="space-y-6">
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+          <div>
+            <Link to="/business/products" className="inline-flex items-center text-sm text-gray-500 hover:text-brand-600 mb-2">
+              <ArrowLeftIcon className="h-4 w-4 mr-1" />
+              Products
+            </Link>
+            <h1 className="text-3xl font-bold text-brand-600">Reorder Suggestions</h1>
+            <p className="text-gray-500 mt-1">Items at or below minimum stock, grouped by the supplier you last bought them from.</p>
+          </div>
+        </div>
+
+        <div className="card p-4">
+          <div className="flex flex-col sm:flex-row gap-4 sm:items-end">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Sales window (days)</label>
+              <input
+                type="number"
+                min="1"
+                value={lookbackDays}
+                onChange={(e) => setLookbackDays(e.target.value)}
+                className="w-full sm:w-40 px-3 py-2 border border-gray-300 rounded-lg min-h-[44px]"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Cover (days of sales)</label>
+              <input
+                type="number"
+                min="1"
+                value={coverDays}
+                onChange={(e) => setCoverDays(e.target.value)}
+                className="w-full sm:w-40 px-3 py-2 border border-gray-300 rounded-lg min-h-[44px]"
+              />
+            </div>
+            <button
+              onClick={fetchSuggestions}
+              className="btn-secondary flex items-center justify-center min-h-[44px]"
+            >
+              <ArrowPathIcon className="h-5 w-5 mr-2" />
+              Recalculate
+            </button>
+          </div>
+          <p className="text-xs text-gray-500 mt-3">
+            Quantities fill up to the max stock level; without one they cover the expected sales over the cover period (and at least the minimum).
+          </p>
+        </div>
+
+        {loading ? (
+          <LoadingSpinner className="py-12" />
+        ) : !data || data.groups.length === 0 ? (
+          <div className="card p-8 text-center text-gray-500">Nothing needs reordering right now.</div>
+        ) : (
+          <>
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+              <Card>
+                <CardContent className="p-4">
+                  <p className="text-sm text-gray-500">Items to reorder</p>
+                  <p className="text-2xl font-bold text-gray-900">{data.totalItems}</p>
+                </CardContent>
+              </Card>
+              <Card>
+                <CardContent className="p-4">
+                  <p className="text-sm text-gray-500">Suggested units</p>
+                  <p className="text-2xl font-bold text-gray-900">{data.totalQuantity}</p>
+                </CardContent>
+              </Card>
+              <Card>
+                <CardContent className="p-4">
+                  <p className="text-sm text-gray-500">Estimated cost</p>
+                  <p className="text-2xl font-bold text-gray-900">Rs. {formatAmount(data.estimatedCost)}</p>
+                </CardContent>
+              </Card>
+            </div>
+
+            {data.groups.map(group => (
+              <div key={group.supplierId || group.supplierName || 'none'} className="card p-4 sm:p-6">
+                <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 mb-4">
+                  <div>
+                    <h2 className="text-lg font-semibold text-gray-900">{group.supplierName || 'No previous supplier'}</h2>
+                    <p className="text-sm text-gray-500">
+                      {group.items.length} item{group.items.length === 1 ? '' : 's'} · Rs. {formatAmount(group.estimatedCost)}
+                    </p>
+                  </div>
+                  {canPurchase && (
+                    <button
+                      onClick={() => createDraftPurchase(group)}
+                      className="btn-primary flex items-center justify-center min-h-[44px]"
+                    >
+                      <ShoppingCartIcon className="h-5 w-5 mr-2" />
+                      Create Draft Purchase
+                    </button>
+                  )}
+                </div>
+
+                <div className="overflow-x-auto">
+                  <table className="min-w-full divide-y divide-gray-200 text-sm">
+                    <thead className="bg-gray-50">
+                      <tr>
+                        <th className="px-3 py-2 text-left font-medium text-gray-500">Product</th>
+                        <th className="px-3 py-2 text-right font-medium text-gray-500">In stock</th>
+                        <th className="px-3 py-2 text-right font-medium text-gray-500">Min / Max</th>
+                        <th className="px-3 py-2 text-right font-medium text-gray-500">Sold / day</th>
+                        <th className="px-3 py-2 text-right font-medium text-gray-500">Days left</th>
+                        <th className="px-3 py-2 text-right font-medium text-gray-500">Last price</th>
+                        <th className="px-3 py-2 text-right font-medium text-gray-500">Order qty</th>
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-100">
+                      {group.items.map(item => (
+                        <tr key={itemKey(item)}>
+                          <td className="px-3 py-2">
+                            <div className="font-medium text-gray-900">{item.name}</div>
+                            <div className="text-xs text-gray-500">
+                              {[variantLabel(item), item.sku].filter(Boolean).join(' · ')}
+                            </div>
+                            {item.lastInvoiceNumber && (
+                              <div className="text-xs text-gray-400">
+                                Last bought {formatDate(item.lastPurchaseDate)} ({item.lastInvoiceNumber})
+                              </div>
+                            )}
+                          </td>
+                          <td className={`px-3 py-2 text-right font-medium ${item.currentQuantity <= 0 ? 'text-red-600' : 'text-amber-600'}`}>
+                            {item.currentQuantity}
+                          </td>
+                          <td className="px-3 py-2 text-right text-gray-700">
+                            {item.minStockLevel} / {item.maxStockLevel ?? '—'}
+                          </td>
+                          <td className="px-3 py-2 text-right text-gray-700">{item.dailyVelocity}</td>
+                          <td className="px-3 py-2 text-right text-gray-700">{item.daysOfStock ?? '—'}</td>
+                          <td className="px-3 py-2 text-right text-gray-700">{formatAmount(item.lastPurchasePrice)}</td>
+                          <td className="px-3 py-2 text-right">
+                            <input
+                              type="number"
+                              min="0"
+                              value={quantities[itemKey(item)] ?? ''}
+                              onChange={(e) => setQuantities(prev => ({ ...prev, [itemKey(item)]: e.target.value }))}
+                              className="w-24 px-2 py-1 border border-gray-300 rounded-lg text-right min-h-[44px]"
+                            />
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+            ))}
+          </>
+        )}
+      </div>
+    </ModernLayout>
+  )
+}
+
+export default ReorderSuggestionsPage
@@ -1,7 +1,7 @@
 import { useState, useEffect } from 'react'
 import { useNavigate } from 'react-router-dom'
 import { useForm } from 'react-hook-form'
-import { ArrowLeftIcon, CogIcon, LockClosedIcon, UserIcon, BuildingOfficeIcon, PhoneIcon, TruckIcon, CurrencyDollarIcon, BanknotesIcon, PencilSquareIcon, TrashIcon, PlusIcon } from '@heroicons/react/24/outline'
+import { ArrowLeftIcon, CogIcon, LockClosedIcon, UserIcon, BuildingOfficeIcon, PhoneIcon, TruckIcon, CurrencyDollarIcon, BanknotesIcon, PencilSquareIcon, TrashIcon, PlusIcon, UsersIcon, ArchiveBoxIcon, ShieldExclamationIcon } from '@heroicons/react/24/outline'
 import api from '../services/api'
 import LoadingSpinner from '../components/LoadingSpinner'
 import toast from 'react-hot-toast'
@@ -10,6 +10,10 @@ import { useAuth } from '../contexts/AuthContext'
 import { useTenant } from '../hooks'
 import CityChargesEditor from '../components/CityChargesEditor'
 import QuantityRulesEditor from '../components/QuantityRulesEditor'
+import StaffManagement from '../components/StaffManagement'
+import InvoiceLogoSettings from '../components/InvoiceLogoSettings'
+import BackupRestore from '../components/BackupRestore'
+import OrderRiskSettings from '../components/OrderRiskSettings'
 
 const SettingsPage = () => {
   const navigate = useNavigate()
@@ -85,7 +89,9 @@ const SettingsPage = () => {
         businessName: tenant.businessName || '',
         contactPerson: tenant.contactPerson || '',
         whatsappNumber: tenant.whatsappNumber || '',
-        businessAddress: tenant.businessAddress || ''
+        businessAddress: tenant.businessAddress || '',
+        stockReservationHours: tenant.stockReservationHours ?? 24,
+        requirePackScan: tenant.requirePackScan ?? false
       })
       setDefaultCodFeePaidBy(tenant.defaultCodFeePaidBy || 'BUSINESS_OWNER')
     }
@@ -492,6 +498,45 @@ const SettingsPage = () => {
                 Payment / Bank Details
               </div>
             </button>
+            <button
+              onClick={() => setActiveTab('staff')}
+              className={`py-4 px-1 border-b-2 font-medium text-sm transition-colors ${
+                activeTab === 'staff'
+                  ? 'border-pink-500 text-pink-600'
+                  : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+              }`}
+            >
+              <div className="flex items-center">
+                <UsersIcon className="h-5 w-5 mr-2" />
+                Staff
+              </div>
+            </button>
+            <button
+              onClick={() => setActiveTab('risk')}
+              className={`py-4 px-1 border-b-2 font-medium text-sm transition-colors ${
+                activeTab === 'risk'
+                  ? 'border-pink-500 text-pink-600'
+                  : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+              }`}
+            >
+              <div className="flex items-center">
+                <ShieldExclamationIcon className="h-5 w-5 mr-2" />
+                Order Risk
+              </div>
+            </button>
+            <button
+              onClick={() => setActiveTab('backup')}
+              className={`py-4 px-1 border-b-2 font-medium text-sm transition-colors ${
+                activeTab === 'backup'
+                  ? 'border-pink-500 text-pink-600'
+                  : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+              }`}
+            >
+              <div className="flex items-center">
+                <ArchiveBoxIcon className="h-5 w-5 mr-2" />
+                Backup
+              </div>
+            </button>
           </nav>
         </div>
 
@@ -569,6 +614,7 @@ const SettingsPage = () => {
         {activeTab === 'business' && tenant && (
           <div className="card p-6">
             <h3 className="text-lg font-bold text-gray-900 mb-4">Business Information</h3>
+            <InvoiceLogoSettings hasLogo={Boolean(tenant.logo)} />
             <form onSubmit={handleTenantSubmit(onTenantSubmit)} className="space-y-6">
               <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
                 <div>
@@ -648,6 +694,47 @@ const SettingsPage = () => {
                 )}
               </div>
 
+              <div>
+                <label className="block text-sm font-bold text-gray-900 mb-2">
+                  Stock Reservation Window (hours)
+                </label>
+                <input
+                  type="number"
+                  {...registerTenant('stockReservationHours', {
+                    valueAsNumber: true,
+                    required: 'Reservation window is required',
+                    min: { value: 1, message: 'Must be at least 1 hour' },
+                    max: { value: 720, message: 'Must be at most 720 hours (30 days)' }
+                  })}
+                  className="w-full md:w-1/2 px-3 py-2 bg-white text-gray-900 border-2 border-gray-300 rounded-lg focus:ring-2 focus:ring-pink-500 focus:border-pink-500"
+                  min="1"
+                  max="720"
+                />
+                <p className="text-xs text-gray-500 mt-1">
+                  New orders hold their stock for this long while pending. Holds are released when the order is confirmed or cancelled, or when the window runs out.
+                </p>
+                {tenantErrors.stockReservationHours && (
+                  <p className="text-red-500 text-sm mt-1">{tenantErrors.stockReservationHours.message}</p>
+                )}
+              </div>
+
+              <div>
+                <div className="flex items-center gap-2">
+                  <input
+                    type="checkbox"
+                    id="requirePackScan"
+                    {...registerTenant('requirePackScan')}
+                    className="h-4 w-4 text-pink-600 rounded border-gray-300 focus:ring-pink-500"
+                  />
+                  <label htmlFor="requirePackScan" className="text-sm font-bold text-gray-900">
+                    Scan items before dispatch
+                  </label>
+                </div>
+                <p className="text-xs text-gray-500 mt-1">
+                  The packer must scan the barcode label of every item in an order before it can be dispatched, so the wrong colour or size never goes out.
+                </p>
+              </div>
+
               <div className="flex justify-end space-x-3 pt-4 border-t border-gray-200">
                 <button
                   type="button"
@@ -1063,6 +1150,14 @@ const SettingsPage = () => {
           </div>
         )}
 
+        {/* Staff Tab */}
+        {activeTab === 'staff' && <StaffManagement />}
+
+        {/* Backup Tab */}
+        {activeTab === 'risk' && <OrderRiskSettings tenant={tenant} updateTenant={updateTenant} />}
+
+        {activeTab === 'backup' && <BackupRestore />}
+
         {/* Payment / Bank Details Tab (prepaid transfer instructions for customers) */}
         {activeTab === 'bank-details' && (
           <div className="card p-6">
@@ -0,0 +1,306 @@
+import { useState, useEffect, useMemo } from 'react'
+import { useParams, useNavigate } from 'react-router-dom'
+import { ArrowLeftIcon, MagnifyingGlassIcon } from '@heroicons/react/24/outline'
+import toast from 'react-hot-toast'
+import api from '../services/api'
+import { useAuth } from '../contexts/AuthContext'
+import ModernLayout from '../components/ModernLayout'
+import LoadingSpinner from '../components/LoadingSpinner'
+import { COUNT_STATUS_STYLES } from './StockCountsPage'
+
+const formatAmount = (value) => (value || 0).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })
+
+const VIEW_FILTERS = [
+  { value: 'all', label: 'All' },
+  { value: 'uncounted', label: 'Not counted' },
+  { value: 'variances', label: 'Differences' }
+]
+
+function StockCountPage() {
+  const { id } = useParams()
+  const navigate = useNavigate()
+  const { hasPermission } = useAuth()
+  const [count, setCount] = useState(null)
+  const [reasons, setReasons] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [search, setSearch] = useState('')
+  const [view, setView] = useState('all')
+  const [edits, setEdits] = useState({}) // itemId -> { countedQuantity, reason }
+  const [busy, setBusy] = useState(false)
+
+  const canApprove = hasPermission('stock:approve')
+
+  useEffect(() => {
+    fetchCount()
+  }, [id])
+
+  const fetchCount = async () => {
+    try {
+      setLoading(true)
+      const response = await api.get(`/stock-counts/${id}`)
+      setCount(response.data.count)
+      setReasons(response.data.reasons || [])
+    } catch (error) {
+      console.error('Failed to fetch stock count:', error)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  // Unsaved entries are shown over the saved line so the variance updates while typing
+  const lines = useMemo(() => {
+    if (!count) return []
+    const term = search.trim().toLowerCase()
+    return count.items
+      .map(item => {
+        const edit = edits[item.id]
+        if (!edit) return item
+        const countedQuantity = edit.countedQuantity === '' ? null : parseInt(edit.countedQuantity, 10)
+        const variance = countedQuantity === null || Number.isNaN(countedQuantity) ? null : countedQuantity - item.bookQuantity
+        return { ...item, countedQuantity, reason: edit.reason ?? item.reason, variance }
+      })
+      .filter(item => !term || item.productName.toLowerCase().includes(term))
+      .filter(item => view === 'all' ||
+        (view === 'uncounted' && item.countedQuantity === null) ||
+        (view === 'variances' && item.variance))
+  }, [count, edits, search, view])
+
+  const editable = count?.status === 'IN_PROGRESS'
+  const dirtyCount = Object.keys(edits).length
+
+  const updateEdit = (item, field, value) => {
+    setEdits(prev => {
+      const current = prev[item.id] || {
+        countedQuantity: item.countedQuantity === null ? '' : String(item.countedQuantity),
+        reason: item.reason || ''
+      }
+      return { ...prev, [item.id]: { ...current, [field]: value } }
+    })
+  }
+
+  const saveEdits = async () => {
+    if (dirtyCount === 0) return true
+    try {
+      setBusy(true)
+      const response = await api.put(`/stock-counts/${id}/items`, {
+        items: Object.entries(edits).map(([itemId, edit]) => ({
+          itemId,
+          countedQuantity: edit.countedQuantity === '' ? null : parseInt(edit.countedQuantity, 10),
+          reason: edit.reason || null
+        }))
+      })
+      setCount(response.data.count)
+      setEdits({})
+      toast.success('Counts saved')
+      return true
+    } catch (error) {
+      console.error('Failed to save counts:', error)
+      return false
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const runAction = async (action, message, confirmText) => {
+    if (confirmText && !window.confirm(confirmText)) return
+    if (action === 'submit' && !(await saveEdits())) return
+    try {
+      setBusy(true)
+      const response = await api.post(`/stock-counts/${id}/${action}`)
+      toast.success(message)
+      if (action === 'cancel') {
+        navigate('/business/stock-counts')
+        return
+      }
+      setCount(response.data.count)
+    } catch (error) {
+      console.error(`Failed to ${action} stock count:`, error)
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  if (loading) {
+    return (
+      <ModernLayout>
+        <LoadingSpinner className="py-12" />
+      </ModernLayout>
+    )
+  }
+
+  if (!count) {
+    return (
+      <ModernLayout>
+        <div className="card p-8 text-center text-gray-500">Stock count not found.</div>
+      </ModernLayout>
+    )
+  }
+
+  const status = COUNT_STATUS_STYLES[count.status] || COUNT_STATUS_STYLES.IN_PROGRESS
+
+  return (
+    <ModernLayout>
+      <div className="space-y-4 pb-24">
+        <button onClick={() => navigate('/business/stock-counts')} className="flex items-center text-gray-600 hover:text-gray-900 min-h-[44px]">
+          <ArrowLeftIcon className="h-5 w-5 mr-2" />
+          Stock Counts
+        </button>
+
+        <div className="card p-4 space-y-3">
+          <div className="flex flex-wrap items-center justify-between gap-2">
+            <div>
+              <h1 className="text-2xl font-bold text-brand-600">{count.countNumber}</h1>
+              <p className="text-sm text-gray-500">
+                {count.location ? count.location.name : 'All locations'}
+                {count.notes ? ` · ${count.notes}` : ''}
+              </p>
+            </div>
+            <span className={`px-2 py-1 rounded-full text-xs font-medium ${status.className}`}>{status.label}</span>
+          </div>
+          <div className="grid grid-cols-2 sm:grid-cols-4 gap-3 text-sm">
+            <div>
+              <div className="text-gray-500">Counted</div>
+              <div className="font-semibold text-gray-900">{count.summary.countedLines} / {count.summary.lineCount}</div>
+            </div>
+            <div>
+              <div className="text-gray-500">Differences</div>
+              <div className="font-semibold text-gray-900">{count.summary.varianceLines}</div>
+            </div>
+            <div>
+              <div className="text-gray-500">Shrinkage at cost</div>
+              <div className="font-semibold text-red-600">Rs. {formatAmount(count.summary.shrinkageValue)}</div>
+            </div>
+            <div>
+              <div className="text-gray-500">Gain at cost</div>
+              <div className="font-semibold text-green-600">Rs. {formatAmount(count.summary.gainValue)}</div>
+            </div>
+          </div>
+          {count.status === 'APPROVED' && (
+            <p className="text-sm text-gray-600">
+              Approved {new Date(count.approvedAt).toLocaleString()}{count.approvedBy ? ` by ${count.approvedBy}` : ''}. Stock and the Inventory account were adjusted.
+            </p>
+          )}
+        </div>
+
+        <div className="flex flex-col sm:flex-row gap-2">
+          <div className="relative flex-1">
+            <MagnifyingGlassIcon className="h-5 w-5 text-gray-400 absolute left-3 top-3" />
+            <input
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              placeholder="Search products..."
+              className="w-full pl-10 pr-3 py-2 border border-gray-300 rounded-lg min-h-[44px]"
+            />
+          </div>
+          <div className="flex gap-1">
+            {VIEW_FILTERS.map(filter => (
+              <button
+                key={filter.value}
+                onClick={() => setView(filter.value)}
+                className={`px-3 py-2 rounded-lg text-sm min-h-[44px] ${view === filter.value ? 'bg-brand-600 text-white' : 'bg-white border border-gray-300 text-gray-700'}`}
+              >
+                {filter.label}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        <div className="space-y-2">
+          {lines.length === 0 && <div className="card p-6 text-center text-gray-500">No lines to show.</div>}
+          {lines.map(item => {
+            const edit = edits[item.id]
+            const countedValue = edit ? edit.countedQuantity : (item.countedQuantity ?? '')
+            return (
+              <div key={item.id} className="card p-3">
+                <div className="flex items-center justify-between gap-3">
+                  <div className="min-w-0">
+                    <div className="font-medium text-gray-900 truncate">{item.productName}</div>
+                    <div className="text-xs text-gray-500">
+                      Books: {item.bookQuantity}
+                      {item.variance !== null && item.variance !== 0 && (
+                        <span className={`ml-2 font-semibold ${item.variance < 0 ? 'text-red-600' : 'text-green-600'}`}>
+                          {item.variance > 0 ? '+' : ''}{item.variance}
+                          {' '}(Rs. {formatAmount(Math.abs(item.variance * item.unitCost))})
+                        </span>
+                      )}
+                      {item.variance === 0 && <span className="ml-2 text-gray-400">matches</span>}
+                    </div>
+                  </div>
+                  <input
+                    type="number"
+                    inputMode="numeric"
+                    min="0"
+                    value={countedValue}
+                    disabled={!editable}
+                    onChange={(e) => updateEdit(item, 'countedQuantity', e.target.value)}
+                    placeholder="Qty"
+                    className="w-24 px-3 py-2 text-lg text-center border-2 border-gray-300 rounded-lg min-h-[44px] disabled:bg-gray-100"
+                  />
+                </div>
+                {item.variance !== null && item.variance !== 0 && (
+                  <select
+                    value={edit?.reason ?? item.reason ?? ''}
+                    disabled={!editable}
+                    onChange={(e) => updateEdit(item, 'reason', e.target.value)}
+                    className={`mt-2 w-full px-3 py-2 border rounded-lg min-h-[44px] disabled:bg-gray-100 ${(edit?.reason ?? item.reason) ? 'border-gray-300' : 'border-amber-400'}`}
+                  >
+                    <option value="">Reason for the difference...</option>
+                    {reasons.map(reason => (
+                      <option key={reason.value} value={reason.value}>{reason.label}</option>
+                    ))}
+                  </select>
+                )}
+              </div>
+            )
+          })}
+        </div>
+      </div>
+
+      {['IN_PROGRESS', 'SUBMITTED'].includes(count.status) && (
+        <div className="fixed bottom-0 inset-x-0 lg:left-64 bg-white border-t border-gray-200 p-3 z-20">
+          <div className="flex flex-wrap justify-end gap-2">
+            {canApprove && (
+              <button
+                onClick={() => runAction('cancel', 'Stock count cancelled', 'Cancel this stock count? Nothing will be adjusted.')}
+                disabled={busy}
+                className="px-4 py-2 text-red-600 border border-red-300 rounded-lg min-h-[44px]"
+              >
+                Cancel Count
+              </button>
+            )}
+            {editable && (
+              <>
+                <button onClick={saveEdits} disabled={busy || dirtyCount === 0} className="btn-secondary min-h-[44px]">
+                  Save{dirtyCount > 0 ? ` (${dirtyCount})` : ''}
+                </button>
+                <button
+                  onClick={() => runAction('submit', 'Submitted for approval', 'Submit this count for approval? Uncounted lines are left unchanged.')}
+                  disabled={busy}
+                  className="btn-primary min-h-[44px]"
+                >
+                  Submit
+                </button>
+              </>
+            )}
+            {count.status === 'SUBMITTED' && canApprove && (
+              <>
+                <button onClick={() => runAction('reopen', 'Sent back for recounting')} disabled={busy} className="btn-secondary min-h-[44px]">
+                  Send Back
+                </button>
+                <button
+                  onClick={() => runAction('approve', 'Stock adjusted and variances posted', 'Approve this count? Stock quantities will be set to the counted ones and the differences posted to the ledger.')}
+                  disabled={busy}
+                  className="btn-primary min-h-[44px]"
+                >
+                  Approve
+                </button>
+              </>
+            )}
+          </div>
+        </div>
+      )}
+    </ModernLayout>
+  )
+}
+
+export default StockCountPage
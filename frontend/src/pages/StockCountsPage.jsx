@@ -0,0 +1,218 @@
+import { useState, useEffect, useMemo } from 'react'
+import { Link, useNavigate } from 'react-router-dom'
+import { PlusIcon, XMarkIcon, ClipboardDocumentCheckIcon } from '@heroicons/react/24/outline'
+import toast from 'react-hot-toast'
+import api from '../services/api'
+import ModernLayout from '../components/ModernLayout'
+import LoadingSpinner from '../components/LoadingSpinner'
+
+const formatAmount = (value) => (value || 0).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })
+
+export const COUNT_STATUS_STYLES = {
+  IN_PROGRESS: { label: 'Counting', className: 'bg-blue-100 text-blue-700' },
+  SUBMITTED: { label: 'Awaiting approval', className: 'bg-amber-100 text-amber-700' },
+  APPROVED: { label: 'Approved', className: 'bg-green-100 text-green-700' },
+  CANCELLED: { label: 'Cancelled', className: 'bg-gray-100 text-gray-600' }
+}
+
+function StockCountsPage() {
+  const navigate = useNavigate()
+  const [counts, setCounts] = useState([])
+  const [locations, setLocations] = useState([])
+  const [products, setProducts] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [statusFilter, setStatusFilter] = useState('')
+  const [showModal, setShowModal] = useState(false)
+  const [form, setForm] = useState({ locationId: '', category: '', notes: '' })
+  const [saving, setSaving] = useState(false)
+
+  useEffect(() => {
+    fetchCounts()
+  }, [statusFilter])
+
+  useEffect(() => {
+    // Both lists are optional extras for narrowing a count
+    api.get('/locations')
+      .then(response => setLocations((response.data.locations || []).filter(location => location.isActive)))
+      .catch(error => console.error('Failed to fetch locations:', error))
+    api.get('/product', { params: { limit: 100 } })
+      .then(response => setProducts(response.data.products || []))
+      .catch(error => console.error('Failed to fetch products:', error))
+  }, [])
+
+  const fetchCounts = async () => {
+    try {
+      setLoading(true)
+      const response = await api.get('/stock-counts', { params: statusFilter ? { status: statusFilter } : {} })
+      setCounts(response.data.counts || [])
+    } catch (error) {
+      console.error('Failed to fetch stock counts:', error)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const categories = useMemo(
+    () => [...new Set(products.map(product => product.category).filter(Boolean))].sort(),
+    [products]
+  )
+
+  const handleCreate = async (e) => {
+    e.preventDefault()
+    try {
+      setSaving(true)
+      const response = await api.post('/stock-counts', {
+        locationId: form.locationId || null,
+        category: form.category || null,
+        notes: form.notes
+      })
+      toast.success(`${response.data.count.countNumber} started`)
+      navigate(`/business/stock-counts/${response.data.count.id}`)
+    } catch (error) {
+      console.error('Failed to start stock count:', error)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg min-h-[44px]'
+
+  return (
+    <ModernLayout>
+      <div className="space-y-6">
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+          <div>
+            <h1 className="text-3xl font-bold text-brand-600">Stock Counts</h1>
+            <p className="text-gray-500 mt-1">Count what is on the shelf, review the differences and post them to the books.</p>
+          </div>
+          <div className="flex gap-2">
+            <select
+              value={statusFilter}
+              onChange={(e) => setStatusFilter(e.target.value)}
+              className="px-3 py-2 border border-gray-300 rounded-lg min-h-[44px]"
+            >
+              <option value="">All counts</option>
+              {Object.entries(COUNT_STATUS_STYLES).map(([value, status]) => (
+                <option key={value} value={value}>{status.label}</option>
+              ))}
+            </select>
+            <button
+              onClick={() => {
+                setForm({ locationId: '', category: '', notes: '' })
+                setShowModal(true)
+              }}
+              className="btn-primary flex items-center justify-center min-h-[44px]"
+            >
+              <PlusIcon className="h-5 w-5 mr-2" />
+              New Count
+            </button>
+          </div>
+        </div>
+
+        {loading ? (
+          <LoadingSpinner className="py-12" />
+        ) : counts.length === 0 ? (
+          <div className="card p-8 text-center text-gray-500">No stock counts yet.</div>
+        ) : (
+          <div className="space-y-3">
+            {counts.map(count => {
+              const status = COUNT_STATUS_STYLES[count.status] || COUNT_STATUS_STYLES.IN_PROGRESS
+              return (
+                <Link
+                  key={count.id}
+                  to={`/business/stock-counts/${count.id}`}
+                  className="card p-4 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 hover:shadow-lg transition-shadow"
+                >
+                  <div className="flex items-start gap-3">
+                    <ClipboardDocumentCheckIcon className="h-6 w-6 text-brand-500 mt-1" />
+                    <div>
+                      <div className="font-semibold text-gray-900">
+                        {count.countNumber}
+                        {count.location && <span className="text-gray-500 font-normal"> · {count.location.name}</span>}
+                      </div>
+                      <div className="text-sm text-gray-500">
+                        Started {new Date(count.createdAt).toLocaleDateString()}{count.startedBy ? ` by ${count.startedBy}` : ''}
+                        {' · '}{count.countedLines} of {count.lineCount} lines counted
+                      </div>
+                    </div>
+                  </div>
+                  <div className="flex items-center gap-3">
+                    {count.status === 'APPROVED' && (
+                      <div className="text-sm text-right">
+                        <div className="text-red-600">Shrinkage Rs. {formatAmount(count.shrinkageValue)}</div>
+                        <div className="text-green-600">Gain Rs. {formatAmount(count.gainValue)}</div>
+                      </div>
+                    )}
+                    <span className={`px-2 py-1 rounded-full text-xs font-medium ${status.className}`}>{status.label}</span>
+                  </div>
+                </Link>
+              )
+            })}
+          </div>
+        )}
+      </div>
+
+      {showModal && (
+        <div className="fixed inset-0 bg-gray-900 bg-opacity-75 z-50 flex items-center justify-center p-4">
+          <form onSubmit={handleCreate} className="bg-white rounded-lg shadow-xl w-full max-w-lg">
+            <div className="flex items-center justify-between p-4 border-b">
+              <h2 className="text-lg font-semibold text-gray-900">New Stock Count</h2>
+              <button type="button" onClick={() => setShowModal(false)} className="p-2 text-gray-500 hover:text-gray-700">
+                <XMarkIcon className="h-5 w-5" />
+              </button>
+            </div>
+            <div className="p-4 space-y-4">
+              {locations.length > 1 && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Location</label>
+                  <select
+                    value={form.locationId}
+                    onChange={(e) => setForm(prev => ({ ...prev, locationId: e.target.value }))}
+                    className={inputClass}
+                  >
+                    <option value="">All locations (total stock)</option>
+                    {locations.map(location => (
+                      <option key={location.id} value={location.id}>{location.name}</option>
+                    ))}
+                  </select>
+                </div>
+              )}
+              {categories.length > 0 && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Category</label>
+                  <select
+                    value={form.category}
+                    onChange={(e) => setForm(prev => ({ ...prev, category: e.target.value }))}
+                    className={inputClass}
+                  >
+                    <option value="">All categories</option>
+                    {categories.map(category => (
+                      <option key={category} value={category}>{category}</option>
+                    ))}
+                  </select>
+                </div>
+              )}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Notes</label>
+                <input
+                  value={form.notes}
+                  onChange={(e) => setForm(prev => ({ ...prev, notes: e.target.value }))}
+                  placeholder="Month-end count"
+                  className={inputClass}
+                />
+              </div>
+            </div>
+            <div className="flex justify-end gap-2 p-4 border-t">
+              <button type="button" onClick={() => setShowModal(false)} className="btn-secondary min-h-[44px]">Cancel</button>
+              <button type="submit" disabled={saving} className="btn-primary min-h-[44px]">
+                {saving ? 'Starting...' : 'Start Count'}
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+    </ModernLayout>
+  )
+}
+
+export default StockCountsPage
@@ -4,11 +4,13 @@ import api from '../services/api'
 import toast from 'react-hot-toast'
 import LoadingSpinner from '../components/LoadingSpinner'
 import OrderDetailsModal from '../components/OrderDetailsModal'
+import PackScanModal from '../components/PackScanModal'
 import { 
   ShoppingBagIcon,
   EyeIcon,
   TruckIcon,
-  CheckIcon
+  CheckIcon,
+  QrCodeIcon
 } from '@heroicons/react/24/outline'
 
 const StockKeeperDashboard = () => {
@@ -17,16 +19,26 @@ const StockKeeperDashboard = () => {
   const [stats, setStats] = useState(null)
   const [loading, setLoading] = useState(true)
   const [selectedOrder, setSelectedOrder] = useState(null)
+  const [packingOrder, setPackingOrder] = useState(null)
   const [statusFilter, setStatusFilter] = useState('CONFIRMED')
+  const [locations, setLocations] = useState([])
+  const [locationFilter, setLocationFilter] = useState('')
+
+  useEffect(() => {
+    api.get('/order/dispatch-locations')
+      .then(response => setLocations(response.data.locations || []))
+      .catch(error => console.error('Failed to fetch locations:', error))
+  }, [])
 
   useEffect(() => {
     fetchDashboardData()
-  }, [statusFilter])
+  }, [statusFilter, locationFilter])
 
   const fetchDashboardData = async () => {
     try {
+      const locationParam = locationFilter ? `&locationId=${locationFilter}` : ''
       const [ordersRes, statsRes] = await Promise.all([
-        api.get(`/order?status=${statusFilter}&limit=50`),
+        api.get(`/order?status=${statusFilter}&limit=50${locationParam}`),
         api.get('/order/stats/dashboard')
       ])
 
@@ -39,13 +51,16 @@ const StockKeeperDashboard = () => {
     }
   }
 
+  // Orders ship from the selected location; without one the business's default location is used
   const dispatchOrder = async (orderId) => {
     try {
-      await api.post(`/order/${orderId}/dispatch`)
+      await api.post(`/order/${orderId}/dispatch`, locationFilter ? { locationId: locationFilter } : {})
       toast.success('Order dispatched successfully!')
       fetchDashboardData()
+      return true
     } catch (error) {
-      toast.error('Failed to dispatch order')
+      toast.error(error.response?.data?.error || 'Failed to dispatch order')
+      return false
     }
   }
 
@@ -133,15 +148,31 @@ const StockKeeperDashboard = () => {
               </div>
               Orders
             </h3>
-            <select
-              value={statusFilter}
-              onChange={(e) => setStatusFilter(e.target.value)}
-              className="input-field w-auto"
-            >
-              <option value="CONFIRMED">Ready to Dispatch</option>
-              <option value="DISPATCHED">Dispatched</option>
-              <option value="all">All Orders</option>
-            </select>
+            <div className="flex gap-2">
+              {locations.length > 0 && (
+                <select
+                  value={locationFilter}
+                  onChange={(e) => setLocationFilter(e.target.value)}
+                  className="input-field w-auto"
+                >
+                  <option value="">All Locations</option>
+                  {locations.map(location => (
+                    <option key={location.id} value={location.id}>
+                      {location.name} ({location.tenant.businessName})
+                    </option>
+                  ))}
+                </select>
+              )}
+              <select
+                value={statusFilter}
+                onChange={(e) => setStatusFilter(e.target.value)}
+                className="input-field w-auto"
+              >
+                <option value="CONFIRMED">Ready to Dispatch</option>
+                <option value="DISPATCHED">Dispatched</option>
+                <option value="all">All Orders</option>
+              </select>
+            </div>
           </div>
 
           {orders.length === 0 ? (
@@ -184,6 +215,12 @@ const StockKeeperDashboard = () => {
                             <p><span className="font-semibold">Amount:</span> <span className="font-bold text-green-600">Rs. {formData['Payment Amount']}</span></p>
                           )}
                           <p><span className="font-semibold">Confirmed:</span> {new Date(order.updatedAt).toLocaleDateString()}</p>
+                          {order.dispatchLocation && (
+                            <p><span className="font-semibold">Shipped from:</span> {order.dispatchLocation.name}</p>
+                          )}
+                          {order.status === 'CONFIRMED' && order.packVerifiedAt && (
+                            <p className="text-green-700"><span className="font-semibold">Packed:</span> all items scanned</p>
+                          )}
                         </div>
                       </div>
                       
@@ -198,11 +235,11 @@ const StockKeeperDashboard = () => {
                         
                         {order.status === 'CONFIRMED' && (
                           <button
-                            onClick={() => dispatchOrder(order.id)}
+                            onClick={() => setPackingOrder(order)}
                             className="bg-green-600 hover:bg-green-700 text-white text-sm font-semibold py-2 px-3 rounded-lg flex items-center transition-colors duration-200 shadow-lg hover:shadow-xl"
                           >
-                            <TruckIcon className="h-4 w-4 mr-1" />
-                            Dispatch
+                            <QrCodeIcon className="h-4 w-4 mr-1" />
+                            Scan &amp; Dispatch
                           </button>
                         )}
                       </div>
@@ -235,12 +272,21 @@ const StockKeeperDashboard = () => {
           <div className="text-sm text-blue-800 space-y-1">
             <p>• Review confirmed orders and verify customer details</p>
             <p>• Check dress images and requirements carefully</p>
-            <p>• Mark orders as "Dispatched" once they're ready for delivery</p>
+            <p>• Use "Scan &amp; Dispatch" and scan each item's label while packing to catch a wrong colour or size</p>
+            <p>• Dispatch the order once every item has been scanned</p>
             <p>• Contact business owner if you have any questions about an order</p>
           </div>
         </div>
       </div>
 
+      {packingOrder && (
+        <PackScanModal
+          order={packingOrder}
+          onClose={() => setPackingOrder(null)}
+          onDispatch={dispatchOrder}
+        />
+      )}
+
       {/* Order Details Modal */}
       {selectedOrder && (
         <OrderDetailsModal
@@ -0,0 +1,420 @@
+import { useState, useEffect, useMemo } from 'react'
+import { PlusIcon, PencilIcon, TrashIcon, XMarkIcon, ArrowsRightLeftIcon, StarIcon } from '@heroicons/react/24/outline'
+import toast from 'react-hot-toast'
+import api from '../services/api'
+import ModernLayout from '../components/ModernLayout'
+import LoadingSpinner from '../components/LoadingSpinner'
+
+const emptyForm = { name: '', address: '' }
+
+const lineKey = (level) => (level.productVariantId ? `${level.productId}_${level.productVariantId}` : level.productId)
+
+function StockLocationsPage() {
+  const [locations, setLocations] = useState([])
+  const [levels, setLevels] = useState([])
+  const [transfers, setTransfers] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [showModal, setShowModal] = useState(false)
+  const [editingId, setEditingId] = useState(null)
+  const [form, setForm] = useState(emptyForm)
+  const [saving, setSaving] = useState(false)
+  const [showTransfer, setShowTransfer] = useState(false)
+  const [transfer, setTransfer] = useState({ fromLocationId: '', toLocationId: '', notes: '' })
+  const [transferQuantities, setTransferQuantities] = useState({})
+  const [transferSearch, setTransferSearch] = useState('')
+
+  useEffect(() => {
+    fetchAll()
+  }, [])
+
+  const fetchAll = async () => {
+    try {
+      setLoading(true)
+      const [locationsRes, levelsRes, transfersRes] = await Promise.all([
+        api.get('/locations'),
+        api.get('/locations/stock-levels'),
+        api.get('/locations/transfers', { params: { limit: 20 } })
+      ])
+      setLocations(locationsRes.data.locations || [])
+      setLevels(levelsRes.data.levels || [])
+      setTransfers(transfersRes.data.transfers || [])
+    } catch (error) {
+      console.error('Failed to fetch locations:', error)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const activeLocations = locations.filter(location => location.isActive)
+
+  // Lines the "from" location can send, filtered by the search box
+  const transferLines = useMemo(() => {
+    if (!transfer.fromLocationId) return []
+    const term = transferSearch.trim().toLowerCase()
+    return levels.filter(level =>
+      (level.quantities[transfer.fromLocationId] || 0) > 0 &&
+      (!term || level.productName.toLowerCase().includes(term))
+    )
+  }, [levels, transfer.fromLocationId, transferSearch])
+
+  const openCreate = () => {
+    setEditingId(null)
+    setForm(emptyForm)
+    setShowModal(true)
+  }
+
+  const openEdit = (location) => {
+    setEditingId(location.id)
+    setForm({ name: location.name, address: location.address || '' })
+    setShowModal(true)
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    try {
+      setSaving(true)
+      if (editingId) {
+        await api.put(`/locations/${editingId}`, form)
+        toast.success('Location updated')
+      } else {
+        await api.post('/locations', form)
+        toast.success('Location created')
+      }
+      setShowModal(false)
+      fetchAll()
+    } catch (error) {
+      console.error('Failed to save location:', error)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const toggleActive = async (location) => {
+    try {
+      await api.put(`/locations/${location.id}`, { isActive: !location.isActive })
+      toast.success(location.isActive ? 'Location deactivated' : 'Location activated')
+      fetchAll()
+    } catch (error) {
+      console.error('Failed to update location:', error)
+    }
+  }
+
+  const makeDefault = async (location) => {
+    if (!window.confirm(`Make ${location.name} the default location? New purchases and returns will be stocked there.`)) return
+    try {
+      await api.post(`/locations/${location.id}/default`)
+      toast.success(`${location.name} is now the default location`)
+      fetchAll()
+    } catch (error) {
+      console.error('Failed to set default location:', error)
+    }
+  }
+
+  const handleDelete = async (location) => {
+    if (!window.confirm(`Delete location ${location.name}?`)) return
+    try {
+      await api.delete(`/locations/${location.id}`)
+      toast.success('Location deleted')
+      fetchAll()
+    } catch (error) {
+      console.error('Failed to delete location:', error)
+    }
+  }
+
+  const openTransfer = () => {
+    const defaultLocation = activeLocations.find(location => location.isDefault)
+    setTransfer({ fromLocationId: defaultLocation?.id || '', toLocationId: '', notes: '' })
+    setTransferQuantities({})
+    setTransferSearch('')
+    setShowTransfer(true)
+  }
+
+  const handleTransfer = async (e) => {
+    e.preventDefault()
+    const items = levels
+      .filter(level => parseInt(transferQuantities[lineKey(level)], 10) > 0)
+      .map(level => ({
+        productId: level.productId,
+        productVariantId: level.productVariantId,
+        quantity: parseInt(transferQuantities[lineKey(level)], 10)
+      }))
+    if (items.length === 0) {
+      toast.error('Enter a quantity for at least one item')
+      return
+    }
+    try {
+      setSaving(true)
+      const response = await api.post('/locations/transfers', { ...transfer, items })
+      toast.success(`${response.data.transferred} line${response.data.transferred === 1 ? '' : 's'} transferred`)
+      setShowTransfer(false)
+      fetchAll()
+    } catch (error) {
+      console.error('Failed to transfer stock:', error)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg min-h-[44px]'
+
+  return (
+    <ModernLayout>
+      <div className="space-y-6">
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+          <div>
+            <h1 className="text-3xl font-bold text-brand-600">Stock Locations</h1>
+            <p className="text-gray-500 mt-1">Warehouses and shops you keep stock in. Unassigned stock sits at the default location.</p>
+          </div>
+          <div className="flex gap-2">
+            {activeLocations.length > 1 && (
+              <button onClick={openTransfer} className="btn-secondary flex items-center justify-center min-h-[44px]">
+                <ArrowsRightLeftIcon className="h-5 w-5 mr-2" />
+                Transfer Stock
+              </button>
+            )}
+            <button onClick={openCreate} className="btn-primary flex items-center justify-center min-h-[44px]">
+              <PlusIcon className="h-5 w-5 mr-2" />
+              New Location
+            </button>
+          </div>
+        </div>
+
+        {loading ? (
+          <LoadingSpinner className="py-12" />
+        ) : locations.length === 0 ? (
+          <div className="card p-8 text-center text-gray-500">
+            No locations yet. Your first location becomes the default and holds all current stock.
+          </div>
+        ) : (
+          <>
+            <div className="card overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200 text-sm">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-4 py-3 text-left font-medium text-gray-500">Location</th>
+                    <th className="px-4 py-3 text-right font-medium text-gray-500">Units held</th>
+                    <th className="px-4 py-3 text-left font-medium text-gray-500">Status</th>
+                    <th className="px-4 py-3 text-right font-medium text-gray-500">Actions</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {locations.map(location => (
+                    <tr key={location.id}>
+                      <td className="px-4 py-3">
+                        <div className="font-semibold text-gray-900">
+                          {location.name}
+                          {location.isDefault && (
+                            <span className="ml-2 px-2 py-0.5 rounded-full text-xs font-medium bg-brand-100 text-brand-700">Default</span>
+                          )}
+                        </div>
+                        {location.address && <div className="text-xs text-gray-500">{location.address}</div>}
+                      </td>
+                      <td className="px-4 py-3 text-right text-gray-700">{location.totalUnits}</td>
+                      <td className="px-4 py-3">
+                        <button
+                          onClick={() => toggleActive(location)}
+                          disabled={location.isDefault}
+                          title={location.isActive ? 'Deactivate' : 'Activate'}
+                          className={`px-2 py-1 rounded-full text-xs font-medium ${location.isActive ? 'bg-green-100 text-green-700' : 'bg-gray-100 text-gray-600'}`}
+                        >
+                          {location.isActive ? 'Active' : 'Inactive'}
+                        </button>
+                      </td>
+                      <td className="px-4 py-3 text-right whitespace-nowrap">
+                        {!location.isDefault && location.isActive && (
+                          <button onClick={() => makeDefault(location)} className="p-2 text-gray-500 hover:text-brand-600" title="Make default">
+                            <StarIcon className="h-5 w-5" />
+                          </button>
+                        )}
+                        <button onClick={() => openEdit(location)} className="p-2 text-gray-500 hover:text-brand-600" title="Edit">
+                          <PencilIcon className="h-5 w-5" />
+                        </button>
+                        {!location.isDefault && location.totalUnits === 0 && (
+                          <button onClick={() => handleDelete(location)} className="p-2 text-gray-500 hover:text-red-600" title="Delete">
+                            <TrashIcon className="h-5 w-5" />
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            <div className="card overflow-x-auto">
+              <h2 className="text-lg font-semibold text-gray-900 p-4 border-b">Recent Transfers</h2>
+              {transfers.length === 0 ? (
+                <p className="p-4 text-sm text-gray-500">No transfers yet.</p>
+              ) : (
+                <table className="min-w-full divide-y divide-gray-200 text-sm">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-4 py-3 text-left font-medium text-gray-500">Date</th>
+                      <th className="px-4 py-3 text-left font-medium text-gray-500">Item</th>
+                      <th className="px-4 py-3 text-left font-medium text-gray-500">From → To</th>
+                      <th className="px-4 py-3 text-right font-medium text-gray-500">Qty</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-100">
+                    {transfers.map(log => (
+                      <tr key={log.id}>
+                        <td className="px-4 py-3 text-gray-700">{new Date(log.createdAt).toLocaleString()}</td>
+                        <td className="px-4 py-3 text-gray-900">
+                          {log.product?.name}
+                          {log.productVariant && (
+                            <span className="text-gray-500"> ({log.productVariant.color}{log.productVariant.size ? `, ${log.productVariant.size}` : ''})</span>
+                          )}
+                        </td>
+                        <td className="px-4 py-3 text-gray-700">{log.location?.name || '—'} → {log.toLocation?.name || '—'}</td>
+                        <td className="px-4 py-3 text-right text-gray-700">{log.quantity}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+          </>
+        )}
+      </div>
+
+      {showModal && (
+        <div className="fixed inset-0 bg-gray-900 bg-opacity-75 z-50 flex items-center justify-center p-4">
+          <form onSubmit={handleSubmit} className="bg-white rounded-lg shadow-xl w-full max-w-lg">
+            <div className="flex items-center justify-between p-4 border-b">
+              <h2 className="text-lg font-semibold text-gray-900">{editingId ? 'Edit Location' : 'New Location'}</h2>
+              <button type="button" onClick={() => setShowModal(false)} className="p-2 text-gray-500 hover:text-gray-700">
+                <XMarkIcon className="h-5 w-5" />
+              </button>
+            </div>
+            <div className="p-4 space-y-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Name *</label>
+                <input
+                  value={form.name}
+                  onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+                  placeholder="Main warehouse"
+                  className={inputClass}
+                  required
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Address</label>
+                <input
+                  value={form.address}
+                  onChange={(e) => setForm(prev => ({ ...prev, address: e.target.value }))}
+                  className={inputClass}
+                />
+              </div>
+            </div>
+            <div className="flex justify-end gap-2 p-4 border-t">
+              <button type="button" onClick={() => setShowModal(false)} className="btn-secondary min-h-[44px]">Cancel</button>
+              <button type="submit" disabled={saving} className="btn-primary min-h-[44px]">
+                {saving ? 'Saving...' : 'Save'}
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      {showTransfer && (
+        <div className="fixed inset-0 bg-gray-900 bg-opacity-75 z-50 flex items-center justify-center p-4">
+          <form onSubmit={handleTransfer} className="bg-white rounded-lg shadow-xl w-full max-w-2xl max-h-[90vh] overflow-y-auto">
+            <div className="flex items-center justify-between p-4 border-b">
+              <h2 className="text-lg font-semibold text-gray-900">Transfer Stock</h2>
+              <button type="button" onClick={() => setShowTransfer(false)} className="p-2 text-gray-500 hover:text-gray-700">
+                <XMarkIcon className="h-5 w-5" />
+              </button>
+            </div>
+            <div className="p-4 space-y-4">
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">From *</label>
+                  <select
+                    value={transfer.fromLocationId}
+                    onChange={(e) => {
+                      setTransfer(prev => ({ ...prev, fromLocationId: e.target.value }))
+                      setTransferQuantities({})
+                    }}
+                    className={inputClass}
+                    required
+                  >
+                    <option value="">Select location</option>
+                    {locations.map(location => (
+                      <option key={location.id} value={location.id}>{location.name}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">To *</label>
+                  <select
+                    value={transfer.toLocationId}
+                    onChange={(e) => setTransfer(prev => ({ ...prev, toLocationId: e.target.value }))}
+                    className={inputClass}
+                    required
+                  >
+                    <option value="">Select location</option>
+                    {activeLocations
+                      .filter(location => location.id !== transfer.fromLocationId)
+                      .map(location => (
+                        <option key={location.id} value={location.id}>{location.name}</option>
+                      ))}
+                  </select>
+                </div>
+              </div>
+
+              {transfer.fromLocationId && (
+                <div className="border border-gray-200 rounded-lg p-3">
+                  <input
+                    value={transferSearch}
+                    onChange={(e) => setTransferSearch(e.target.value)}
+                    placeholder="Search products..."
+                    className={`${inputClass} mb-2`}
+                  />
+                  {transferLines.length === 0 ? (
+                    <p className="text-sm text-gray-500">Nothing in stock at this location.</p>
+                  ) : (
+                    <div className="max-h-64 overflow-y-auto divide-y divide-gray-100">
+                      {transferLines.map(level => (
+                        <div key={lineKey(level)} className="flex items-center justify-between gap-3 py-2 text-sm">
+                          <div>
+                            <div className="text-gray-900">{level.productName}</div>
+                            <div className="text-xs text-gray-500">{level.quantities[transfer.fromLocationId]} available</div>
+                          </div>
+                          <input
+                            type="number"
+                            min="0"
+                            max={level.quantities[transfer.fromLocationId]}
+                            value={transferQuantities[lineKey(level)] || ''}
+                            onChange={(e) => setTransferQuantities(prev => ({ ...prev, [lineKey(level)]: e.target.value }))}
+                            className="w-24 px-3 py-2 border border-gray-300 rounded-lg"
+                          />
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              )}
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Notes</label>
+                <input
+                  value={transfer.notes}
+                  onChange={(e) => setTransfer(prev => ({ ...prev, notes: e.target.value }))}
+                  className={inputClass}
+                />
+              </div>
+            </div>
+            <div className="flex justify-end gap-2 p-4 border-t">
+              <button type="button" onClick={() => setShowTransfer(false)} className="btn-secondary min-h-[44px]">Cancel</button>
+              <button type="submit" disabled={saving} className="btn-primary min-h-[44px]">
+                {saving ? 'Transferring...' : 'Transfer'}
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+    </ModernLayout>
+  )
+}
+
+export default StockLocationsPage
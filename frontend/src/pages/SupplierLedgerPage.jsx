@@ -6,6 +6,7 @@ import { useTenant } from '../hooks/useTenant'
 import { toast } from 'react-hot-toast'
 import ModernLayout from '../components/ModernLayout'
 import LoadingSpinner from '../components/LoadingSpinner'
+import StatementExportModal from '../components/StatementExportModal'
 import { Card, CardContent } from '../components/ui/Card'
 
 function SupplierLedgerPage() {
@@ -16,6 +17,7 @@ function SupplierLedgerPage() {
   const [supplier, setSupplier] = useState(null)
   const [ledgerEntries, setLedgerEntries] = useState([])
   const [summary, setSummary] = useState(null)
+  const [showStatementModal, setShowStatementModal] = useState(false)
   const [filters, setFilters] = useState({
     fromDate: '',
     toDate: ''
@@ -83,6 +85,13 @@ function SupplierLedgerPage() {
               Transaction history for {supplier?.name || 'Supplier'}
             </p>
           </div>
+          <button
+            onClick={() => setShowStatementModal(true)}
+            className="ml-auto btn-secondary flex items-center"
+          >
+            <DocumentTextIcon className="h-5 w-5 mr-2" />
+            Statement
+          </button>
         </div>
 
         {/* Summary Card */}
@@ -264,6 +273,18 @@ function SupplierLedgerPage() {
           </CardContent>
         </Card>
       </div>
+
+      {showStatementModal && (
+        <StatementExportModal
+          url={`/accounting/suppliers/${id}/statement`}
+          title="Supplier Statement"
+          subtitle={supplier?.name}
+          filename={`statement-${(supplier?.name || id).replace(/[^a-zA-Z0-9-]+/g, '-')}`}
+          defaultFromDate={filters.fromDate}
+          defaultToDate={filters.toDate}
+          onClose={() => setShowStatementModal(false)}
+        />
+      )}
     </ModernLayout>
   )
 }
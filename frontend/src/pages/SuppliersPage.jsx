@@ -4,6 +4,8 @@ import api from '../services/api';
 import ModernLayout from '../components/ModernLayout';
 import SuppliersSection from '../components/dashboard/SuppliersSection';
 import LoadingSpinner from '../components/LoadingSpinner';
+import StatementExportModal from '../components/StatementExportModal';
+import { DocumentTextIcon } from '@heroicons/react/24/outline';
 
 const SuppliersPage = () => {
     const navigate = useNavigate();
@@ -11,6 +13,7 @@ const SuppliersPage = () => {
     const [loading, setLoading] = useState(true);
     const [supplierSearch, setSupplierSearch] = useState('');
     const [filterPendingPayments, setFilterPendingPayments] = useState(false);
+    const [showStatementModal, setShowStatementModal] = useState(false);
     const [supplierStats, setSupplierStats] = useState(null);
 
     const fetchSuppliers = useCallback(async ({ search = '', hasPendingPayment = false } = {}) => {
@@ -78,9 +81,18 @@ const SuppliersPage = () => {
     return (
         <ModernLayout>
             <div className="space-y-6">
-                <div>
-                    <h1 className="text-3xl font-bold text-brand-600">Suppliers</h1>
-                    <p className="text-gray-500 mt-1">Manage your suppliers and track payables.</p>
+                <div className="flex items-start justify-between gap-4">
+                    <div>
+                        <h1 className="text-3xl font-bold text-brand-600">Suppliers</h1>
+                        <p className="text-gray-500 mt-1">Manage your suppliers and track payables.</p>
+                    </div>
+                    <button
+                        onClick={() => setShowStatementModal(true)}
+                        className="btn-secondary flex items-center"
+                    >
+                        <DocumentTextIcon className="h-5 w-5 mr-2" />
+                        Statements
+                    </button>
                 </div>
 
                 <SuppliersSection
@@ -99,6 +111,16 @@ const SuppliersPage = () => {
                     onFilterChange={handleFilterChange}
                 />
             </div>
+
+            {showStatementModal && (
+                <StatementExportModal
+                    url="/accounting/suppliers/statements"
+                    title="Supplier Statements"
+                    subtitle="Every supplier with an outstanding balance"
+                    filename="supplier-statements"
+                    onClose={() => setShowStatementModal(false)}
+                />
+            )}
         </ModernLayout>
     );
 };
@@ -69,7 +69,9 @@ function AccountLedgerPage() {
                 transactionNumber: transaction.transactionNumber,
                 description: transaction.description,
                 debitAmount: line.debitAmount || 0,
-                creditAmount: line.creditAmount || 0
+                creditAmount: line.creditAmount || 0,
+                isVoid: transaction.status === 'VOID',
+                voidReason: transaction.voidReason
               })
             }
           })
@@ -88,8 +90,11 @@ function AccountLedgerPage() {
         // For ASSET and EXPENSE: Debit increases, Credit decreases. EQUITY in this system uses same as ASSET.
         const isDebitIncrease = ['ASSET', 'EXPENSE', 'EQUITY'].includes(accountData.type)
 
+        // Void transactions are listed but, like account.balance, never move the balance
+        const postedEntries = entries.filter(entry => !entry.isVoid)
+
         // Total effect of displayed transactions on this account
-        const totalEffect = entries.reduce((sum, entry) => {
+        const totalEffect = postedEntries.reduce((sum, entry) => {
           const change = isDebitIncrease ? entry.debitAmount - entry.creditAmount : entry.creditAmount - entry.debitAmount
           return sum + change
         }, 0)
@@ -106,6 +111,10 @@ function AccountLedgerPage() {
         // Calculate running balance starting from opening balance
         let currentBalance = openingBalance
         entries.forEach(entry => {
+          if (entry.isVoid) {
+            entry.balance = currentBalance
+            return
+          }
           if (isDebitIncrease) {
             currentBalance = currentBalance + entry.debitAmount - entry.creditAmount
           } else {
@@ -257,7 +266,7 @@ function AccountLedgerPage() {
                   </thead>
                   <tbody className="bg-white divide-y divide-gray-200">
                     {ledgerEntries.map((entry, index) => (
-                      <tr key={`${entry.transactionNumber}-${index}`} className="hover:bg-gray-50">
+                      <tr key={`${entry.transactionNumber}-${index}`} className={`hover:bg-gray-50 ${entry.isVoid ? 'opacity-60' : ''}`}>
                         <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-900">
                           {new Date(entry.date).toLocaleDateString()}
                         </td>
@@ -266,11 +275,19 @@ function AccountLedgerPage() {
                         </td>
                         <td className="px-4 py-3 text-sm text-gray-900">
                           {entry.description || 'N/A'}
+                          {entry.isVoid && (
+                            <span
+                              className="ml-2 px-2 py-0.5 rounded text-xs font-medium bg-red-100 text-red-800"
+                              title={entry.voidReason || ''}
+                            >
+                              Void
+                            </span>
+                          )}
                         </td>
-                        <td className="px-4 py-3 whitespace-nowrap text-sm text-right text-gray-900">
+                        <td className={`px-4 py-3 whitespace-nowrap text-sm text-right text-gray-900 ${entry.isVoid ? 'line-through' : ''}`}>
                           {entry.debitAmount > 0 ? `Rs. ${entry.debitAmount.toLocaleString()}` : '-'}
                         </td>
-                        <td className="px-4 py-3 whitespace-nowrap text-sm text-right text-gray-900">
+                        <td className={`px-4 py-3 whitespace-nowrap text-sm text-right text-gray-900 ${entry.isVoid ? 'line-through' : ''}`}>
                           {entry.creditAmount > 0 ? `Rs. ${entry.creditAmount.toLocaleString()}` : '-'}
                         </td>
                         <td className="px-4 py-3 whitespace-nowrap text-sm font-semibold text-right text-gray-900">
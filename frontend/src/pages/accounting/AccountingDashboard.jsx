@@ -16,7 +16,9 @@ import {
   Cog6ToothIcon,
   ArrowTrendingUpIcon,
   ArrowTrendingDownIcon,
-  BanknotesIcon
+  BanknotesIcon,
+  DocumentChartBarIcon,
+  BuildingLibraryIcon
 } from '@heroicons/react/24/outline'
 
 function AccountingDashboard() {
@@ -72,7 +74,7 @@ function AccountingDashboard() {
         </div>
 
         {/* Quick Links */}
-        <div className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-6 gap-4">
+        <div className="grid grid-cols-2 sm:grid-cols-4 lg:grid-cols-8 gap-4">
           <Link
             to="/business/accounting/expenses"
             className="card p-6 hover:shadow-lg transition-all duration-200 text-center group"
@@ -100,6 +102,24 @@ function AccountingDashboard() {
             </div>
             <div className="text-sm font-medium text-gray-900">Transactions</div>
           </Link>
+          <Link
+            to="/business/accounting/statements"
+            className="card p-6 hover:shadow-lg transition-all duration-200 text-center group"
+          >
+            <div className="w-12 h-12 mx-auto mb-3 bg-teal-100 rounded-full flex items-center justify-center group-hover:bg-teal-200 transition-colors">
+              <DocumentChartBarIcon className="h-6 w-6 text-teal-600" />
+            </div>
+            <div className="text-sm font-medium text-gray-900">Statements</div>
+          </Link>
+          <Link
+            to="/business/accounting/bank-reconciliation"
+            className="card p-6 hover:shadow-lg transition-all duration-200 text-center group"
+          >
+            <div className="w-12 h-12 mx-auto mb-3 bg-indigo-100 rounded-full flex items-center justify-center group-hover:bg-indigo-200 transition-colors">
+              <BuildingLibraryIcon className="h-6 w-6 text-indigo-600" />
+            </div>
+            <div className="text-sm font-medium text-gray-900">Bank Rec</div>
+          </Link>
           <Link
             to="/business/accounting/payments"
             className="card p-6 hover:shadow-lg transition-all duration-200 text-center group"
@@ -1,58 +1,173 @@
-import { useState, useEffect } from 'react'
+import { Fragment, useState, useEffect } from 'react'
 import { useNavigate } from 'react-router-dom'
-import { ArrowLeftIcon } from '@heroicons/react/24/outline'
+import {
+  ArrowLeftIcon,
+  ArrowDownTrayIcon,
+  ChevronDownIcon,
+  ChevronRightIcon,
+  ChevronUpIcon,
+  MagnifyingGlassIcon
+} from '@heroicons/react/24/outline'
 import api from '../../services/api'
 import { useTenant } from '../../hooks/useTenant'
 import { toast } from 'react-hot-toast'
 import ModernLayout from '../../components/ModernLayout'
 import LoadingSpinner from '../../components/LoadingSpinner'
 import { Card, CardContent } from '../../components/ui/Card'
+import { downloadFromApi } from '../../utils/exportUtils'
+
+const TABS = {
+  customers: {
+    label: 'Customer Balances (AR)',
+    title: 'Accounts Receivable',
+    party: 'Customer',
+    advanceLabel: 'Advance Held',
+    empty: 'No customer balances'
+  },
+  suppliers: {
+    label: 'Supplier Balances (AP)',
+    title: 'Accounts Payable',
+    party: 'Supplier',
+    advanceLabel: 'Advance Paid',
+    empty: 'No supplier balances'
+  }
+}
+
+const BUCKETS = [
+  { key: 'current', label: 'Current' },
+  { key: 'days1to30', label: '1-30 days' },
+  { key: 'days31to60', label: '31-60 days' },
+  { key: 'days61to90', label: '61-90 days' },
+  { key: 'over90', label: 'Over 90 days' }
+]
+
+const DOCUMENT_LABELS = {
+  ORDER: 'Order',
+  PURCHASE_INVOICE: 'Purchase invoice',
+  OPENING_BALANCE: 'Opening balance',
+  REFUND: 'Refund'
+}
+
+const formatAmount = (value) => `Rs. ${(value || 0).toLocaleString()}`
+
+const today = () => new Date().toISOString().slice(0, 10)
 
 function BalancesPage() {
   const navigate = useNavigate()
   const { tenant } = useTenant()
   const [activeTab, setActiveTab] = useState('customers')
   const [loading, setLoading] = useState(true)
-  const [customerBalances, setCustomerBalances] = useState([])
-  const [supplierBalances, setSupplierBalances] = useState([])
+  const [report, setReport] = useState(null)
+  const [filters, setFilters] = useState({ asOf: today(), terms: '0', bucket: '' })
+  const [search, setSearch] = useState('')
+  const [sort, setSort] = useState({ sortBy: 'total', sortOrder: 'desc' })
+  const [expanded, setExpanded] = useState(null)
+  const [details, setDetails] = useState({})
+  const [exporting, setExporting] = useState(false)
+
+  const tab = TABS[activeTab]
+
+  const getParams = () => ({
+    asOf: filters.asOf || undefined,
+    terms: filters.terms || undefined,
+    bucket: filters.bucket || undefined,
+    search: search.trim() || undefined,
+    ...sort
+  })
 
   useEffect(() => {
-    if (tenant?.id) {
-      fetchBalances()
-    }
-  }, [tenant?.id, activeTab])
+    if (!tenant?.id) return
+    // Wait for typing to pause before searching
+    const timer = setTimeout(fetchAgeing, search ? 300 : 0)
+    return () => clearTimeout(timer)
+  }, [tenant?.id, activeTab, filters, search, sort])
 
-  const fetchBalances = async () => {
+  const fetchAgeing = async () => {
     try {
       setLoading(true)
-
-      if (activeTab === 'customers') {
-        const response = await api.get('/accounting/balances/customers')
-        if (response.data?.success) {
-          setCustomerBalances(response.data.data || [])
-        }
-      } else {
-        const response = await api.get('/accounting/balances/suppliers')
-        if (response.data?.success) {
-          setSupplierBalances(response.data.data || [])
-        }
+      setExpanded(null)
+      setDetails({})
+      const response = await api.get(`/accounting/balances/${activeTab}/ageing`, { params: getParams() })
+      if (response.data?.success) {
+        setReport(response.data.data)
       }
     } catch (error) {
-      console.error('Error fetching balances:', error)
-      toast.error('Failed to load balances')
+      console.error('Error fetching ageing:', error)
+      toast.error(error.response?.data?.error?.message || 'Failed to load balances')
     } finally {
       setLoading(false)
     }
   }
 
-  if (loading) {
-    return (
-      <ModernLayout>
-        <LoadingSpinner className="min-h-screen" />
-      </ModernLayout>
-    )
+  const toggleRow = async (partyId) => {
+    if (expanded === partyId) {
+      setExpanded(null)
+      return
+    }
+    setExpanded(partyId)
+    if (details[partyId]) return
+    try {
+      const response = await api.get(`/accounting/balances/${activeTab}/${partyId}/ageing`, {
+        params: { asOf: filters.asOf || undefined, terms: filters.terms || undefined }
+      })
+      if (response.data?.success) {
+        setDetails(prev => ({ ...prev, [partyId]: response.data.data }))
+      }
+    } catch (error) {
+      console.error('Error fetching ageing detail:', error)
+      toast.error('Failed to load open documents')
+      setExpanded(null)
+    }
+  }
+
+  const handleSort = (sortBy) => {
+    setSort(prev => ({
+      sortBy,
+      sortOrder: prev.sortBy === sortBy && prev.sortOrder === 'desc' ? 'asc' : sortBy === 'name' ? 'asc' : 'desc'
+    }))
+  }
+
+  const handleExport = async () => {
+    try {
+      setExporting(true)
+      await downloadFromApi(
+        `/accounting/balances/${activeTab}/ageing`,
+        { ...getParams(), format: 'csv' },
+        `${activeTab === 'customers' ? 'customer' : 'supplier'}-ageing-${filters.asOf || today()}.csv`
+      )
+    } catch (error) {
+      console.error('Error exporting ageing:', error)
+      toast.error('Failed to export ageing report')
+    } finally {
+      setExporting(false)
+    }
+  }
+
+  const openDocument = (document) => {
+    if (document.orderId) navigate(`/business/orders/${document.orderId}`)
+    else if (document.invoiceId) navigate(`/business/purchases/${document.invoiceId}`)
   }
 
+  const openLedger = (partyId) => {
+    navigate(activeTab === 'customers'
+      ? `/business/customers/${partyId}/ledger`
+      : `/business/suppliers/${partyId}/ledger`)
+  }
+
+  const SortHeader = ({ field, label, align = 'right' }) => (
+    <th
+      onClick={() => handleSort(field)}
+      className={`px-4 py-3 ${align === 'right' ? 'text-right' : 'text-left'} text-xs font-medium text-gray-500 uppercase tracking-wider cursor-pointer select-none hover:text-gray-900`}
+    >
+      <span className={`inline-flex items-center gap-1 ${align === 'right' ? 'justify-end' : ''}`}>
+        {label}
+        {sort.sortBy === field && (sort.sortOrder === 'asc'
+          ? <ChevronUpIcon className="h-3 w-3" />
+          : <ChevronDownIcon className="h-3 w-3" />)}
+      </span>
+    </th>
+  )
+
   return (
     <ModernLayout>
       <div className="space-y-6">
@@ -66,164 +181,246 @@ function BalancesPage() {
           </button>
           <div>
             <h1 className="text-3xl font-bold text-brand-600">Balances</h1>
-            <p className="text-gray-500 mt-1">View customer and supplier account balances.</p>
+            <p className="text-gray-500 mt-1">Customer and supplier balances by how long they have been outstanding.</p>
           </div>
         </div>
 
         {/* Tabs */}
         <div className="border-b border-gray-200">
           <nav className="flex space-x-8">
-            <button
-              onClick={() => setActiveTab('customers')}
-              className={`py-4 px-1 border-b-2 font-medium text-sm min-h-[44px] ${activeTab === 'customers'
-                  ? 'border-brand-500 text-brand-600'
-                  : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
-                }`}
-            >
-              Customer Balances (AR)
-            </button>
-            <button
-              onClick={() => setActiveTab('suppliers')}
-              className={`py-4 px-1 border-b-2 font-medium text-sm min-h-[44px] ${activeTab === 'suppliers'
-                  ? 'border-brand-500 text-brand-600'
-                  : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
-                }`}
-            >
-              Supplier Balances (AP)
-            </button>
+            {Object.entries(TABS).map(([key, value]) => (
+              <button
+                key={key}
+                onClick={() => {
+                  setReport(null)
+                  setActiveTab(key)
+                }}
+                className={`py-4 px-1 border-b-2 font-medium text-sm min-h-[44px] ${activeTab === key
+                    ? 'border-brand-500 text-brand-600'
+                    : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+                  }`}
+              >
+                {value.label}
+              </button>
+            ))}
           </nav>
         </div>
 
-        {/* Customer Balances */}
-        {activeTab === 'customers' && (
-          <Card>
-            <CardContent>
-              <div className="p-6 border-b">
-                <h2 className="text-xl font-semibold text-gray-900">
-                  Accounts Receivable
-                </h2>
-              </div>
-              <div className="p-6">
-            {customerBalances.length === 0 ? (
-              <p className="text-gray-500 text-center py-8">No customer balances</p>
-            ) : (
-              <div className="overflow-x-auto">
-                <table className="min-w-full divide-y divide-gray-200">
-                  <thead className="bg-gray-50">
-                    <tr>
-                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                        Customer
-                      </th>
-                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                        Total Pending
-                      </th>
-                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                        Advance Balance
-                      </th>
-                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                        Orders
-                      </th>
-                    </tr>
-                  </thead>
-                  <tbody className="bg-white divide-y divide-gray-200">
-                    {customerBalances.map((balance) => (
-                      <tr key={balance.customerId} className="hover:bg-gray-50">
-                        <td className="px-4 py-3 text-sm text-gray-900">
-                          {balance.customerName || 'N/A'}
-                        </td>
-                        <td className="px-4 py-3 text-sm font-semibold text-red-600">
-                          Rs. {balance.totalPending.toLocaleString()}
-                        </td>
-                        <td className="px-4 py-3 text-sm font-semibold text-green-600">
-                          Rs. {balance.advanceBalance.toLocaleString()}
-                        </td>
-                        <td className="px-4 py-3 text-sm text-gray-900">
-                          {balance.orders?.length || 0}
-                        </td>
-                      </tr>
-                    ))}
-                  </tbody>
-                </table>
-              </div>
-            )}
-              </div>
-            </CardContent>
-          </Card>
+        {/* Bucket totals */}
+        {report && (
+          <div className="grid grid-cols-2 md:grid-cols-6 gap-4">
+            {BUCKETS.map(bucket => (
+              <Card key={bucket.key}>
+                <CardContent className="p-4">
+                  <p className="text-xs text-gray-500 uppercase tracking-wide mb-1">{bucket.label}</p>
+                  <p className={`text-lg font-semibold ${bucket.key === 'current' ? 'text-gray-900' : 'text-red-600'}`}>
+                    {formatAmount(report.totals[bucket.key])}
+                  </p>
+                </CardContent>
+              </Card>
+            ))}
+            <Card>
+              <CardContent className="p-4">
+                <p className="text-xs text-gray-500 uppercase tracking-wide mb-1">Total Outstanding</p>
+                <p className="text-lg font-semibold text-brand-600">{formatAmount(report.totals.total)}</p>
+              </CardContent>
+            </Card>
+          </div>
         )}
 
-        {/* Supplier Balances */}
-        {activeTab === 'suppliers' && (
-          <Card>
-            <CardContent>
-              <div className="p-6 border-b">
-                <h2 className="text-xl font-semibold text-gray-900">
-                  Accounts Payable
-                </h2>
-              </div>
-              <div className="p-6">
-            {supplierBalances.length === 0 ? (
-              <p className="text-gray-500 text-center py-8">No supplier balances</p>
-            ) : (
-              <div className="overflow-x-auto">
-                <table className="min-w-full divide-y divide-gray-200">
-                  <thead className="bg-gray-50">
-                    <tr>
-                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                        Supplier
-                      </th>
-                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                        Opening Balance
-                      </th>
-                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                        Total Invoices
-                      </th>
-                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                        Total Paid
-                      </th>
-                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                        Pending
-                      </th>
-                    </tr>
-                  </thead>
-                  <tbody className="bg-white divide-y divide-gray-200">
-                    {supplierBalances.map((balance) => (
-                      <tr key={balance.supplierId} className="hover:bg-gray-50">
-                        <td className="px-4 py-3 text-sm text-gray-900">
-                          {balance.supplierName}
-                        </td>
-                        <td className={`px-4 py-3 text-sm font-semibold ${balance.openingBalance > 0
-                            ? 'text-red-600'
-                            : balance.openingBalance < 0
-                              ? 'text-green-600'
-                              : 'text-gray-900'
-                          }`}>
-                          {balance.openingBalance > 0 && 'We Owe: '}
-                          {balance.openingBalance < 0 && 'They Owe: '}
-                          Rs. {Math.abs(balance.openingBalance || 0).toLocaleString()}
-                        </td>
-                        <td className="px-4 py-3 text-sm text-gray-900">
-                          Rs. {balance.totalInvoices.toLocaleString()}
-                        </td>
-                        <td className="px-4 py-3 text-sm text-gray-900">
-                          Rs. {balance.totalPaid.toLocaleString()}
-                        </td>
-                        <td className="px-4 py-3 text-sm font-semibold text-red-600">
-                          Rs. {balance.pending.toLocaleString()}
-                        </td>
-                      </tr>
-                    ))}
-                  </tbody>
-                </table>
+        <Card>
+          <CardContent>
+            <div className="p-6 border-b space-y-4">
+              <div className="flex flex-wrap items-center justify-between gap-4">
+                <h2 className="text-xl font-semibold text-gray-900">{tab.title}</h2>
+                <button
+                  onClick={handleExport}
+                  disabled={exporting || !report?.rows.length}
+                  className="btn-secondary flex items-center disabled:opacity-50"
+                >
+                  <ArrowDownTrayIcon className="h-5 w-5 mr-2" />
+                  {exporting ? 'Exporting...' : 'Export CSV'}
+                </button>
               </div>
-            )}
+              <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+                <div className="relative">
+                  <MagnifyingGlassIcon className="h-5 w-5 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+                  <input
+                    type="text"
+                    value={search}
+                    onChange={(e) => setSearch(e.target.value)}
+                    placeholder={`Search ${tab.party.toLowerCase()} name or phone`}
+                    className="input-field pl-10"
+                  />
+                </div>
+                <select
+                  value={filters.bucket}
+                  onChange={(e) => setFilters({ ...filters, bucket: e.target.value })}
+                  className="input-field"
+                >
+                  <option value="">All balances</option>
+                  <option value="overdue">Overdue only</option>
+                  {BUCKETS.map(bucket => (
+                    <option key={bucket.key} value={bucket.key}>With {bucket.label.toLowerCase()}</option>
+                  ))}
+                </select>
+                <div className="flex items-center gap-2">
+                  <label className="text-sm text-gray-600 whitespace-nowrap">As of</label>
+                  <input
+                    type="date"
+                    value={filters.asOf}
+                    onChange={(e) => setFilters({ ...filters, asOf: e.target.value })}
+                    className="input-field"
+                  />
+                </div>
+                <div className="flex items-center gap-2">
+                  <label className="text-sm text-gray-600 whitespace-nowrap">Credit terms</label>
+                  <input
+                    type="number"
+                    min="0"
+                    value={filters.terms}
+                    onChange={(e) => setFilters({ ...filters, terms: e.target.value })}
+                    className="input-field"
+                  />
+                  <span className="text-sm text-gray-600">days</span>
+                </div>
               </div>
-            </CardContent>
-          </Card>
-        )}
+            </div>
+            <div className="p-6">
+              {loading ? (
+                <LoadingSpinner />
+              ) : !report?.rows.length ? (
+                <p className="text-gray-500 text-center py-8">{tab.empty}</p>
+              ) : (
+                <div className="overflow-x-auto">
+                  <table className="min-w-full divide-y divide-gray-200">
+                    <thead className="bg-gray-50">
+                      <tr>
+                        <SortHeader field="name" label={tab.party} align="left" />
+                        {BUCKETS.map(bucket => (
+                          <SortHeader key={bucket.key} field={bucket.key} label={bucket.label} />
+                        ))}
+                        <SortHeader field="total" label="Total" />
+                        <SortHeader field="advance" label={tab.advanceLabel} />
+                      </tr>
+                    </thead>
+                    <tbody className="bg-white divide-y divide-gray-200">
+                      {report.rows.map((row) => (
+                        <Fragment key={row.partyId}>
+                          <tr onClick={() => toggleRow(row.partyId)} className="hover:bg-gray-50 cursor-pointer">
+                            <td className="px-4 py-3 text-sm text-gray-900">
+                              <div className="flex items-center gap-2">
+                                {expanded === row.partyId
+                                  ? <ChevronDownIcon className="h-4 w-4 text-gray-400" />
+                                  : <ChevronRightIcon className="h-4 w-4 text-gray-400" />}
+                                <div>
+                                  <p className="font-medium">{row.name || 'N/A'}</p>
+                                  {row.phone && <p className="text-xs text-gray-500">{row.phone}</p>}
+                                </div>
+                              </div>
+                            </td>
+                            {BUCKETS.map(bucket => (
+                              <td
+                                key={bucket.key}
+                                className={`px-4 py-3 text-sm text-right ${row[bucket.key] > 0 && bucket.key !== 'current' ? 'text-red-600' : 'text-gray-900'}`}
+                              >
+                                {row[bucket.key] > 0 ? formatAmount(row[bucket.key]) : '-'}
+                              </td>
+                            ))}
+                            <td className="px-4 py-3 text-sm text-right font-semibold text-gray-900">
+                              {formatAmount(row.total)}
+                            </td>
+                            <td className="px-4 py-3 text-sm text-right font-semibold text-green-600">
+                              {row.advance > 0 ? formatAmount(row.advance) : '-'}
+                            </td>
+                          </tr>
+                          {expanded === row.partyId && (
+                            <tr className="bg-gray-50">
+                              <td colSpan={BUCKETS.length + 3} className="px-10 py-4">
+                                {!details[row.partyId] ? (
+                                  <p className="text-sm text-gray-500">Loading open documents...</p>
+                                ) : (
+                                  <div className="space-y-3">
+                                    {details[row.partyId].documents.length === 0 ? (
+                                      <p className="text-sm text-gray-500">Nothing outstanding</p>
+                                    ) : (
+                                      <table className="min-w-full text-sm">
+                                        <thead>
+                                          <tr className="text-xs text-gray-500 uppercase">
+                                            <th className="py-2 text-left">Date</th>
+                                            <th className="py-2 text-left">Document</th>
+                                            <th className="py-2 text-right">Amount</th>
+                                            <th className="py-2 text-right">Settled</th>
+                                            <th className="py-2 text-right">Outstanding</th>
+                                            <th className="py-2 text-right">Days Overdue</th>
+                                          </tr>
+                                        </thead>
+                                        <tbody className="divide-y divide-gray-200">
+                                          {details[row.partyId].documents.map((document, index) => (
+                                            <tr key={`${document.type}-${document.reference || index}`}>
+                                              <td className="py-2 text-gray-700">
+                                                {new Date(document.date).toLocaleDateString()}
+                                              </td>
+                                              <td className="py-2">
+                                                {document.orderId || document.invoiceId ? (
+                                                  <button
+                                                    onClick={() => openDocument(document)}
+                                                    className="text-brand-600 hover:underline"
+                                                  >
+                                                    {DOCUMENT_LABELS[document.type]} {document.reference}
+                                                  </button>
+                                                ) : (
+                                                  <span className="text-gray-700">
+                                                    {DOCUMENT_LABELS[document.type] || document.description} {document.reference || ''}
+                                                  </span>
+                                                )}
+                                              </td>
+                                              <td className="py-2 text-right text-gray-700">{formatAmount(document.amount)}</td>
+                                              <td className="py-2 text-right text-gray-700">{formatAmount(document.settled)}</td>
+                                              <td className="py-2 text-right font-semibold text-gray-900">{formatAmount(document.outstanding)}</td>
+                                              <td className={`py-2 text-right ${document.daysOverdue > 0 ? 'text-red-600' : 'text-gray-700'}`}>
+                                                {document.daysOverdue}
+                                              </td>
+                                            </tr>
+                                          ))}
+                                        </tbody>
+                                      </table>
+                                    )}
+                                    <button
+                                      onClick={() => openLedger(row.partyId)}
+                                      className="text-sm text-brand-600 hover:underline"
+                                    >
+                                      View full ledger
+                                    </button>
+                                  </div>
+                                )}
+                              </td>
+                            </tr>
+                          )}
+                        </Fragment>
+                      ))}
+                    </tbody>
+                    <tfoot className="bg-gray-50">
+                      <tr className="font-semibold">
+                        <td className="px-4 py-3 text-sm text-gray-900">Total</td>
+                        {BUCKETS.map(bucket => (
+                          <td key={bucket.key} className="px-4 py-3 text-sm text-right text-gray-900">
+                            {formatAmount(report.totals[bucket.key])}
+                          </td>
+                        ))}
+                        <td className="px-4 py-3 text-sm text-right text-gray-900">{formatAmount(report.totals.total)}</td>
+                        <td className="px-4 py-3 text-sm text-right text-green-600">{formatAmount(report.totals.advance)}</td>
+                      </tr>
+                    </tfoot>
+                  </table>
+                </div>
+              )}
+            </div>
+          </CardContent>
+        </Card>
       </div>
     </ModernLayout>
   )
 }
 
 export default BalancesPage
-
@@ -0,0 +1,640 @@
+import { useState, useEffect } from 'react'
+import { Link } from 'react-router-dom'
+import { toast } from 'react-hot-toast'
+import { ArrowLeftIcon, ArrowUpTrayIcon } from '@heroicons/react/24/outline'
+import api from '../../services/api'
+import { useAuth } from '../../contexts/AuthContext'
+import ModernLayout from '../../components/ModernLayout'
+import LoadingSpinner from '../../components/LoadingSpinner'
+import { Card, CardContent } from '../../components/ui/Card'
+
+const formatAmount = (value) => {
+  if (value === null || value === undefined) return '—'
+  const formatted = Math.abs(value).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })
+  return value < 0 ? `(${formatted})` : formatted
+}
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : '')
+
+const today = () => new Date().toLocaleDateString('en-CA')
+
+function BankReconciliationPage() {
+  const { hasPermission } = useAuth()
+  const canEdit = hasPermission('accounting:edit')
+  const [accounts, setAccounts] = useState([])
+  const [accountId, setAccountId] = useState('')
+  const [asOfDate, setAsOfDate] = useState(today())
+  const [report, setReport] = useState(null)
+  const [statements, setStatements] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [showImport, setShowImport] = useState(false)
+  const [selectedStatementId, setSelectedStatementId] = useState(null)
+
+  useEffect(() => {
+    fetchAccounts()
+  }, [])
+
+  useEffect(() => {
+    if (accountId) {
+      fetchData()
+    }
+  }, [accountId, asOfDate])
+
+  const fetchAccounts = async () => {
+    try {
+      const response = await api.get('/accounting/accounts/payment-accounts')
+      if (response.data?.success) {
+        const paymentAccounts = response.data.data || []
+        setAccounts(paymentAccounts)
+        // Bank accounts are the usual ones to reconcile
+        const preferred = paymentAccounts.find(account => account.accountSubType === 'BANK') || paymentAccounts[0]
+        if (preferred) {
+          setAccountId(preferred.id)
+        } else {
+          setLoading(false)
+        }
+      }
+    } catch (error) {
+      console.error('Error fetching payment accounts:', error)
+      setLoading(false)
+    }
+  }
+
+  const fetchData = async () => {
+    try {
+      setLoading(true)
+      const [reportResponse, statementsResponse] = await Promise.all([
+        api.get('/accounting/bank-reconciliation/report', { params: { accountId, asOfDate } }),
+        api.get('/accounting/bank-reconciliation/statements', { params: { accountId } })
+      ])
+
+      if (reportResponse.data?.success) {
+        setReport(reportResponse.data.data.accounts[0] || null)
+      }
+      if (statementsResponse.data?.success) {
+        setStatements(statementsResponse.data.data || [])
+      }
+    } catch (error) {
+      console.error('Error fetching reconciliation:', error)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleImportClose = (statement) => {
+    setShowImport(false)
+    if (statement) {
+      fetchData()
+      setSelectedStatementId(statement.id)
+    }
+  }
+
+  const handleDetailClose = () => {
+    setSelectedStatementId(null)
+    fetchData()
+  }
+
+  return (
+    <ModernLayout>
+      <div className="space-y-6">
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+          <div className="flex items-center gap-4">
+            <Link
+              to="/business/accounting"
+              className="p-2 text-gray-500 hover:text-gray-900 hover:bg-gray-100 rounded-lg transition-colors"
+            >
+              <ArrowLeftIcon className="h-6 w-6" />
+            </Link>
+            <div>
+              <h1 className="text-3xl font-bold text-brand-600">Bank Reconciliation</h1>
+              <p className="text-gray-500 mt-1">Match bank statement lines with the ledger of your cash and bank accounts.</p>
+            </div>
+          </div>
+          {canEdit && accountId && (
+            <button
+              onClick={() => setShowImport(true)}
+              className="inline-flex items-center justify-center px-4 py-2 bg-brand-600 text-white rounded-lg font-medium hover:bg-brand-700 min-h-[44px]"
+            >
+              <ArrowUpTrayIcon className="h-5 w-5 mr-2" />
+              Import Statement
+            </button>
+          )}
+        </div>
+
+        <Card>
+          <CardContent className="p-4">
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Account</label>
+                <select
+                  value={accountId}
+                  onChange={(e) => setAccountId(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 min-h-[44px]"
+                >
+                  {accounts.length === 0 && <option value="">No cash or bank accounts</option>}
+                  {accounts.map(account => (
+                    <option key={account.id} value={account.id}>
+                      {account.code} - {account.name} ({account.accountSubType})
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">As of</label>
+                <input
+                  type="date"
+                  value={asOfDate}
+                  onChange={(e) => setAsOfDate(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 min-h-[44px]"
+                />
+              </div>
+            </div>
+          </CardContent>
+        </Card>
+
+        {loading ? (
+          <LoadingSpinner className="py-12" />
+        ) : !report ? (
+          <p className="text-center text-gray-500 py-12">Add a cash or bank account to start reconciling.</p>
+        ) : (
+          <>
+            <div className="grid grid-cols-2 lg:grid-cols-4 gap-4">
+              <div className="card p-4">
+                <div className="text-sm text-gray-500">Book balance</div>
+                <div className="text-xl font-semibold text-gray-900">Rs. {formatAmount(report.bookBalance)}</div>
+              </div>
+              <div className="card p-4">
+                <div className="text-sm text-gray-500">Cleared balance</div>
+                <div className="text-xl font-semibold text-green-700">Rs. {formatAmount(report.clearedBalance)}</div>
+              </div>
+              <div className="card p-4">
+                <div className="text-sm text-gray-500">Uncleared in / out</div>
+                <div className="text-xl font-semibold text-gray-900">
+                  {formatAmount(report.unclearedDeposits)} / {formatAmount(report.unclearedPayments)}
+                </div>
+                <div className="text-xs text-gray-500">{report.unclearedCount} ledger lines</div>
+              </div>
+              <div className="card p-4">
+                <div className="text-sm text-gray-500">On statement, not in books</div>
+                <div className={`text-xl font-semibold ${report.unmatchedStatementCount > 0 ? 'text-red-600' : 'text-gray-900'}`}>
+                  Rs. {formatAmount(report.unmatchedStatementAmount)}
+                </div>
+                <div className="text-xs text-gray-500">{report.unmatchedStatementCount} statement lines</div>
+              </div>
+            </div>
+
+            {report.latestStatement?.closingBalance !== null && report.latestStatement?.closingBalance !== undefined && (
+              <div className="card p-4 text-sm text-gray-700">
+                Statement {report.latestStatement.statementNumber} closing balance on {formatDate(report.latestStatement.toDate)}:{' '}
+                <span className="font-semibold">Rs. {formatAmount(report.latestStatement.closingBalance)}</span>
+              </div>
+            )}
+
+            <Card>
+              <CardContent>
+                <h2 className="text-lg font-semibold text-gray-900 mb-4">Statements</h2>
+                {statements.length === 0 ? (
+                  <p className="text-gray-500 text-center py-6">No statements imported for this account yet</p>
+                ) : (
+                  <div className="overflow-x-auto">
+                    <table className="min-w-full divide-y divide-gray-200">
+                      <thead className="bg-gray-50">
+                        <tr>
+                          <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Statement</th>
+                          <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Period</th>
+                          <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">In</th>
+                          <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Out</th>
+                          <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Matched</th>
+                        </tr>
+                      </thead>
+                      <tbody className="bg-white divide-y divide-gray-200">
+                        {statements.map(statement => (
+                          <tr
+                            key={statement.id}
+                            onClick={() => setSelectedStatementId(statement.id)}
+                            className="hover:bg-gray-50 cursor-pointer"
+                          >
+                            <td className="px-4 py-3 text-sm font-medium text-brand-600">
+                              {statement.statementNumber}
+                              {statement.fileName && <div className="text-xs text-gray-500">{statement.fileName}</div>}
+                            </td>
+                            <td className="px-4 py-3 text-sm text-gray-900">
+                              {formatDate(statement.fromDate)} – {formatDate(statement.toDate)}
+                            </td>
+                            <td className="px-4 py-3 text-sm text-right text-gray-900">{formatAmount(statement.totalIn)}</td>
+                            <td className="px-4 py-3 text-sm text-right text-gray-900">{formatAmount(statement.totalOut)}</td>
+                            <td className="px-4 py-3 text-sm">
+                              <span className={statement.matchedCount === statement.lineCount ? 'text-green-700' : 'text-yellow-700'}>
+                                {statement.matchedCount} / {statement.lineCount}
+                              </span>
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+              </CardContent>
+            </Card>
+
+            <Card>
+              <CardContent>
+                <h2 className="text-lg font-semibold text-gray-900 mb-4">Uncleared ledger lines</h2>
+                {report.unclearedLines.length === 0 ? (
+                  <p className="text-gray-500 text-center py-6">Every ledger line up to this date is cleared</p>
+                ) : (
+                  <div className="overflow-x-auto">
+                    <table className="min-w-full divide-y divide-gray-200">
+                      <thead className="bg-gray-50">
+                        <tr>
+                          <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date</th>
+                          <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Transaction #</th>
+                          <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Description</th>
+                          <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Amount</th>
+                        </tr>
+                      </thead>
+                      <tbody className="bg-white divide-y divide-gray-200">
+                        {report.unclearedLines.map(line => (
+                          <tr key={line.id}>
+                            <td className="px-4 py-3 text-sm text-gray-900">{formatDate(line.transaction.date)}</td>
+                            <td className="px-4 py-3 text-sm text-gray-900">{line.transaction.transactionNumber}</td>
+                            <td className="px-4 py-3 text-sm text-gray-700">{line.transaction.description || ''}</td>
+                            <td className={`px-4 py-3 text-sm text-right ${line.amount < 0 ? 'text-red-600' : 'text-gray-900'}`}>
+                              {formatAmount(line.amount)}
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+              </CardContent>
+            </Card>
+          </>
+        )}
+      </div>
+
+      {showImport && (
+        <ImportStatementModal
+          accountId={accountId}
+          onClose={handleImportClose}
+        />
+      )}
+
+      {selectedStatementId && (
+        <StatementDetailModal
+          statementId={selectedStatementId}
+          canEdit={canEdit}
+          onClose={handleDetailClose}
+        />
+      )}
+    </ModernLayout>
+  )
+}
+
+function ImportStatementModal({ accountId, onClose }) {
+  const [file, setFile] = useState(null)
+  const [closingBalance, setClosingBalance] = useState('')
+  const [dateWindowDays, setDateWindowDays] = useState(3)
+  const [loading, setLoading] = useState(false)
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    if (!file) {
+      toast.error('Choose the statement CSV file')
+      return
+    }
+
+    try {
+      setLoading(true)
+      const data = new FormData()
+      data.append('file', file)
+      data.append('accountId', accountId)
+      data.append('dateWindowDays', dateWindowDays)
+      if (closingBalance !== '') {
+        data.append('closingBalance', closingBalance)
+      }
+
+      const response = await api.post('/accounting/bank-reconciliation/statements/import', data, {
+        headers: {
+          'Content-Type': 'multipart/form-data'
+        }
+      })
+
+      if (response.data?.success) {
+        const skipped = response.data.errors?.length || 0
+        toast.success(`Statement imported, ${response.data.matchedCount} lines matched${skipped > 0 ? ` (${skipped} rows skipped)` : ''}`)
+        onClose(response.data.data)
+      }
+    } catch (error) {
+      console.error('Error importing statement:', error)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-lg max-h-[90vh] overflow-y-auto">
+        <div className="p-4 sm:p-6">
+          <div className="flex justify-between items-center mb-6">
+            <h2 className="text-xl font-bold text-gray-900">Import Bank Statement</h2>
+            <button
+              onClick={() => onClose(null)}
+              className="text-gray-400 hover:text-gray-600 min-h-[44px] min-w-[44px] flex items-center justify-center"
+            >
+              ✕
+            </button>
+          </div>
+
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Statement (CSV) <span className="text-red-500">*</span>
+              </label>
+              <input
+                type="file"
+                accept=".csv,text/csv"
+                onChange={(e) => setFile(e.target.files?.[0] || null)}
+                className="w-full text-sm"
+              />
+              <p className="mt-1 text-xs text-gray-500">
+                Columns: Date, Description, Amount (money out negative), or separate Debit/Credit columns.
+              </p>
+            </div>
+
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Closing Balance</label>
+                <input
+                  type="number"
+                  step="0.01"
+                  value={closingBalance}
+                  onChange={(e) => setClosingBalance(e.target.value)}
+                  placeholder="As printed on the statement"
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 min-h-[44px]"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Match Window (days)</label>
+                <input
+                  type="number"
+                  min="0"
+                  max="31"
+                  value={dateWindowDays}
+                  onChange={(e) => setDateWindowDays(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 min-h-[44px]"
+                />
+              </div>
+            </div>
+
+            <div className="flex gap-3 pt-4">
+              <button
+                type="button"
+                onClick={() => onClose(null)}
+                className="flex-1 px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 transition-colors min-h-[44px]"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={loading}
+                className="flex-1 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors min-h-[44px]"
+              >
+                {loading ? 'Importing...' : 'Import'}
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+function StatementDetailModal({ statementId, canEdit, onClose }) {
+  const [statement, setStatement] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [matchingLine, setMatchingLine] = useState(null)
+  const [candidates, setCandidates] = useState([])
+
+  useEffect(() => {
+    fetchStatement()
+  }, [statementId])
+
+  const fetchStatement = async () => {
+    try {
+      setLoading(true)
+      const response = await api.get(`/accounting/bank-reconciliation/statements/${statementId}`)
+      if (response.data?.success) {
+        setStatement(response.data.data)
+      }
+    } catch (error) {
+      console.error('Error fetching statement:', error)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleAutoMatch = async () => {
+    try {
+      const response = await api.post(`/accounting/bank-reconciliation/statements/${statementId}/auto-match`, {})
+      if (response.data?.success) {
+        setStatement(response.data.data)
+        toast.success(`${response.data.matchedCount} more lines matched`)
+      }
+    } catch (error) {
+      console.error('Error auto-matching statement:', error)
+    }
+  }
+
+  const openMatch = async (line) => {
+    setMatchingLine(line)
+    setCandidates([])
+    try {
+      const response = await api.get('/accounting/bank-reconciliation/uncleared-lines', {
+        params: { accountId: statement.accountId, amount: line.amount }
+      })
+      if (response.data?.success) {
+        setCandidates(response.data.data || [])
+      }
+    } catch (error) {
+      console.error('Error fetching uncleared ledger lines:', error)
+    }
+  }
+
+  const handleMatch = async (transactionLineId) => {
+    try {
+      const response = await api.put(
+        `/accounting/bank-reconciliation/statements/${statementId}/lines/${matchingLine.id}`,
+        { transactionLineId }
+      )
+      if (response.data?.success) {
+        setStatement(response.data.data)
+        setMatchingLine(null)
+      }
+    } catch (error) {
+      console.error('Error matching statement line:', error)
+    }
+  }
+
+  const handleUnmatch = async (lineId) => {
+    try {
+      const response = await api.delete(`/accounting/bank-reconciliation/statements/${statementId}/lines/${lineId}/match`)
+      if (response.data?.success) {
+        setStatement(response.data.data)
+      }
+    } catch (error) {
+      console.error('Error unmatching statement line:', error)
+    }
+  }
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete statement ${statement.statementNumber}? Its matched ledger lines become uncleared again.`)) {
+      return
+    }
+    try {
+      const response = await api.delete(`/accounting/bank-reconciliation/statements/${statementId}`)
+      if (response.data?.success) {
+        toast.success(response.data.message)
+        onClose()
+      }
+    } catch (error) {
+      console.error('Error deleting statement:', error)
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-5xl max-h-[90vh] overflow-y-auto">
+        <div className="p-4 sm:p-6">
+          <div className="flex justify-between items-center mb-6">
+            <div>
+              <h2 className="text-xl font-bold text-gray-900">{statement?.statementNumber || 'Statement'}</h2>
+              {statement && (
+                <p className="text-sm text-gray-500">
+                  {statement.account.name} · {formatDate(statement.fromDate)} – {formatDate(statement.toDate)}
+                </p>
+              )}
+            </div>
+            <button
+              onClick={onClose}
+              className="text-gray-400 hover:text-gray-600 min-h-[44px] min-w-[44px] flex items-center justify-center"
+            >
+              ✕
+            </button>
+          </div>
+
+          {loading || !statement ? (
+            <LoadingSpinner className="py-12" />
+          ) : (
+            <>
+              {canEdit && (
+                <div className="flex flex-wrap gap-3 mb-4">
+                  <button
+                    onClick={handleAutoMatch}
+                    className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors min-h-[44px]"
+                  >
+                    Auto-match
+                  </button>
+                  <button
+                    onClick={handleDelete}
+                    className="px-4 py-2 border border-red-300 text-red-700 rounded-lg hover:bg-red-50 transition-colors min-h-[44px]"
+                  >
+                    Delete Statement
+                  </button>
+                </div>
+              )}
+
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Description</th>
+                      <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Amount</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Ledger</th>
+                      {canEdit && <th className="px-4 py-3"></th>}
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {statement.lines.map(line => (
+                      <tr key={line.id} className={line.transactionLine ? '' : 'bg-red-50'}>
+                        <td className="px-4 py-3 text-sm text-gray-900 whitespace-nowrap">{formatDate(line.date)}</td>
+                        <td className="px-4 py-3 text-sm text-gray-700">
+                          {line.description || ''}
+                          {line.reference && <div className="text-xs text-gray-500">Ref {line.reference}</div>}
+                        </td>
+                        <td className={`px-4 py-3 text-sm text-right ${line.amount < 0 ? 'text-red-600' : 'text-gray-900'}`}>
+                          {formatAmount(line.amount)}
+                        </td>
+                        <td className="px-4 py-3 text-sm">
+                          {line.transactionLine ? (
+                            <div>
+                              <span className="text-green-700">{line.transactionLine.transaction.transactionNumber}</span>
+                              <span className="ml-2 text-xs text-gray-500">
+                                {formatDate(line.transactionLine.transaction.date)} · {line.matchType === 'AUTO' ? 'auto' : 'manual'}
+                              </span>
+                            </div>
+                          ) : (
+                            <span className="text-red-700">Not in books</span>
+                          )}
+                        </td>
+                        {canEdit && (
+                          <td className="px-4 py-3 text-sm text-right whitespace-nowrap">
+                            {line.transactionLine ? (
+                              <button onClick={() => handleUnmatch(line.id)} className="text-gray-600 hover:text-gray-900">
+                                Unmatch
+                              </button>
+                            ) : (
+                              <button onClick={() => openMatch(line)} className="text-brand-600 hover:text-brand-700">
+                                Match
+                              </button>
+                            )}
+                          </td>
+                        )}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              {matchingLine && (
+                <div className="mt-6 border border-gray-200 rounded-lg p-4">
+                  <div className="flex justify-between items-center mb-3">
+                    <h3 className="text-sm font-semibold text-gray-900">
+                      Uncleared ledger lines of {formatAmount(matchingLine.amount)} (statement date {formatDate(matchingLine.date)})
+                    </h3>
+                    <button onClick={() => setMatchingLine(null)} className="text-sm text-gray-500 hover:text-gray-700">
+                      Cancel
+                    </button>
+                  </div>
+                  {candidates.length === 0 ? (
+                    <p className="text-sm text-gray-500">
+                      No uncleared ledger line with this amount. Record the missing entry, then auto-match again.
+                    </p>
+                  ) : (
+                    <ul className="divide-y divide-gray-100">
+                      {candidates.map(candidate => (
+                        <li key={candidate.id} className="flex justify-between items-center py-2 text-sm">
+                          <span>
+                            {formatDate(candidate.transaction.date)} · {candidate.transaction.transactionNumber}
+                            <span className="ml-2 text-gray-500">{candidate.transaction.description || ''}</span>
+                          </span>
+                          <button onClick={() => handleMatch(candidate.id)} className="text-brand-600 hover:text-brand-700">
+                            Select
+                          </button>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default BankReconciliationPage
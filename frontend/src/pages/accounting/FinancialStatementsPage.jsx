@@ -0,0 +1,375 @@
+import { useState, useEffect, useRef } from 'react'
+import { Link } from 'react-router-dom'
+import { toast } from 'react-hot-toast'
+import { ArrowLeftIcon, ArrowDownTrayIcon, PrinterIcon } from '@heroicons/react/24/outline'
+import api from '../../services/api'
+import ModernLayout from '../../components/ModernLayout'
+import LoadingSpinner from '../../components/LoadingSpinner'
+import { Card, CardContent } from '../../components/ui/Card'
+import { downloadFromApi, printDocument } from '../../utils/exportUtils'
+
+const REPORTS = [
+  { key: 'profit-loss', label: 'Profit & Loss' },
+  { key: 'balance-sheet', label: 'Balance Sheet' },
+  { key: 'trial-balance', label: 'Trial Balance' }
+]
+
+const formatAmount = (value) => {
+  if (value === null || value === undefined) return '—'
+  const formatted = Math.abs(value).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })
+  return value < 0 ? `(${formatted})` : formatted
+}
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : '')
+
+const startOfMonth = () => {
+  const now = new Date()
+  return new Date(now.getFullYear(), now.getMonth(), 1).toLocaleDateString('en-CA')
+}
+
+const today = () => new Date().toLocaleDateString('en-CA')
+
+// Rows of one statement section followed by its total
+const SectionRows = ({ title, section, hasComparison, totalLabel }) => (
+  <>
+    <tr className="bg-gray-50">
+      <td colSpan={hasComparison ? 4 : 3} className="px-4 py-2 text-sm font-semibold text-gray-900">{title}</td>
+    </tr>
+    {section.rows.length === 0 ? (
+      <tr>
+        <td colSpan={hasComparison ? 4 : 3} className="px-4 py-2 text-sm text-gray-500">No activity</td>
+      </tr>
+    ) : section.rows.map(row => (
+      <tr key={row.accountId || row.name}>
+        <td className="px-4 py-2 text-sm text-gray-500">{row.code || ''}</td>
+        <td className="px-4 py-2 text-sm text-gray-900">
+          {row.accountId ? (
+            <Link to={`/business/accounting/ledger/${row.accountId}`} className="hover:text-brand-600">{row.name}</Link>
+          ) : row.name}
+        </td>
+        <td className="px-4 py-2 text-sm text-right text-gray-900">{formatAmount(row.amount)}</td>
+        {hasComparison && (
+          <td className="px-4 py-2 text-sm text-right text-gray-500">{formatAmount(row.previousAmount)}</td>
+        )}
+      </tr>
+    ))}
+    <TotalRow label={totalLabel || `Total ${title}`} totals={section} hasComparison={hasComparison} />
+  </>
+)
+
+const TotalRow = ({ label, totals, hasComparison, highlight = false }) => (
+  <tr className={highlight ? 'bg-brand-50' : ''}>
+    <td />
+    <td className="px-4 py-2 text-sm font-semibold text-gray-900">{label}</td>
+    <td className="px-4 py-2 text-sm text-right font-semibold text-gray-900">{formatAmount(totals.total)}</td>
+    {hasComparison && (
+      <td className="px-4 py-2 text-sm text-right font-semibold text-gray-500">{formatAmount(totals.previousTotal)}</td>
+    )}
+  </tr>
+)
+
+const StatementHead = ({ currentLabel, previousLabel, hasComparison }) => (
+  <thead className="bg-gray-50">
+    <tr>
+      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider w-24">Code</th>
+      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Account</th>
+      <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">{currentLabel}</th>
+      {hasComparison && (
+        <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">{previousLabel}</th>
+      )}
+    </tr>
+  </thead>
+)
+
+const ProfitAndLoss = ({ data }) => {
+  const hasComparison = !!data.comparisonPeriod
+  const previousLabel = hasComparison
+    ? `${formatDate(data.comparisonPeriod.fromDate)} – ${formatDate(data.comparisonPeriod.toDate)}`
+    : ''
+
+  return (
+    <table className="min-w-full divide-y divide-gray-200">
+      <StatementHead currentLabel="This period" previousLabel={previousLabel} hasComparison={hasComparison} />
+      <tbody className="bg-white divide-y divide-gray-100">
+        <SectionRows title="Income" section={data.income} hasComparison={hasComparison} />
+        <SectionRows title="Cost of Sales" section={data.costOfSales} hasComparison={hasComparison} />
+        <TotalRow label="Gross Profit" totals={data.grossProfit} hasComparison={hasComparison} highlight />
+        <SectionRows title="Expenses" section={data.expenses} hasComparison={hasComparison} />
+        <TotalRow label="Net Profit" totals={data.netProfit} hasComparison={hasComparison} highlight />
+      </tbody>
+    </table>
+  )
+}
+
+const BalanceSheet = ({ data }) => {
+  const hasComparison = !!data.comparisonDate
+
+  return (
+    <>
+      {!data.isBalanced && (
+        <div className="mb-4 p-3 rounded-lg bg-red-50 text-sm text-red-700">
+          Assets do not equal liabilities plus equity. Check for unbalanced journal entries.
+        </div>
+      )}
+      <table className="min-w-full divide-y divide-gray-200">
+        <StatementHead
+          currentLabel={`As at ${formatDate(data.asOfDate)}`}
+          previousLabel={hasComparison ? `As at ${formatDate(data.comparisonDate)}` : ''}
+          hasComparison={hasComparison}
+        />
+        <tbody className="bg-white divide-y divide-gray-100">
+          <SectionRows title="Assets" section={data.assets} hasComparison={hasComparison} />
+          <SectionRows title="Liabilities" section={data.liabilities} hasComparison={hasComparison} />
+          <SectionRows title="Equity" section={data.equity} hasComparison={hasComparison} />
+          <TotalRow
+            label="Total Liabilities and Equity"
+            totals={data.totalLiabilitiesAndEquity}
+            hasComparison={hasComparison}
+            highlight
+          />
+        </tbody>
+      </table>
+    </>
+  )
+}
+
+const TrialBalance = ({ data }) => {
+  const hasComparison = !!data.comparisonDate
+
+  return (
+    <>
+      {!data.isBalanced && (
+        <div className="mb-4 p-3 rounded-lg bg-red-50 text-sm text-red-700">
+          Debits and credits do not agree. Check for unbalanced journal entries.
+        </div>
+      )}
+      <table className="min-w-full divide-y divide-gray-200">
+        <thead className="bg-gray-50">
+          <tr>
+            <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider w-24">Code</th>
+            <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Account</th>
+            <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Debit</th>
+            <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Credit</th>
+            {hasComparison && (
+              <>
+                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Debit {formatDate(data.comparisonDate)}
+                </th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Credit {formatDate(data.comparisonDate)}
+                </th>
+              </>
+            )}
+          </tr>
+        </thead>
+        <tbody className="bg-white divide-y divide-gray-100">
+          {data.rows.map(row => (
+            <tr key={row.accountId}>
+              <td className="px-4 py-2 text-sm text-gray-500">{row.code}</td>
+              <td className="px-4 py-2 text-sm text-gray-900">
+                <Link to={`/business/accounting/ledger/${row.accountId}`} className="hover:text-brand-600">{row.name}</Link>
+              </td>
+              <td className="px-4 py-2 text-sm text-right text-gray-900">{row.debit ? formatAmount(row.debit) : ''}</td>
+              <td className="px-4 py-2 text-sm text-right text-gray-900">{row.credit ? formatAmount(row.credit) : ''}</td>
+              {hasComparison && (
+                <>
+                  <td className="px-4 py-2 text-sm text-right text-gray-500">{row.previousDebit ? formatAmount(row.previousDebit) : ''}</td>
+                  <td className="px-4 py-2 text-sm text-right text-gray-500">{row.previousCredit ? formatAmount(row.previousCredit) : ''}</td>
+                </>
+              )}
+            </tr>
+          ))}
+          <tr className="bg-brand-50">
+            <td />
+            <td className="px-4 py-2 text-sm font-semibold text-gray-900">Total</td>
+            <td className="px-4 py-2 text-sm text-right font-semibold text-gray-900">{formatAmount(data.totals.debit)}</td>
+            <td className="px-4 py-2 text-sm text-right font-semibold text-gray-900">{formatAmount(data.totals.credit)}</td>
+            {hasComparison && (
+              <>
+                <td className="px-4 py-2 text-sm text-right font-semibold text-gray-500">{formatAmount(data.totals.previousDebit)}</td>
+                <td className="px-4 py-2 text-sm text-right font-semibold text-gray-500">{formatAmount(data.totals.previousCredit)}</td>
+              </>
+            )}
+          </tr>
+        </tbody>
+      </table>
+    </>
+  )
+}
+
+function FinancialStatementsPage() {
+  const [report, setReport] = useState('profit-loss')
+  const [filters, setFilters] = useState({ fromDate: startOfMonth(), toDate: today(), compareTo: '' })
+  const [result, setResult] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const statementRef = useRef(null)
+
+  useEffect(() => {
+    fetchReport()
+  }, [report, filters])
+
+  const getParams = () => {
+    const params = { toDate: filters.toDate }
+    if (filters.fromDate) params.fromDate = filters.fromDate
+    if (filters.compareTo) params.compareTo = filters.compareTo
+    return params
+  }
+
+  const fetchReport = async () => {
+    try {
+      setLoading(true)
+      setResult(null)
+      const response = await api.get(`/accounting/reports/${report}`, { params: getParams() })
+      if (response.data?.success) {
+        setResult({ report, data: response.data.data })
+      }
+    } catch (error) {
+      console.error('Error fetching financial report:', error)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  // Ignore a response that belongs to the previously selected report
+  const data = result?.report === report ? result.data : null
+  const reportLabel = REPORTS.find(r => r.key === report)?.label
+  const periodLabel = report === 'profit-loss'
+    ? `${filters.fromDate ? formatDate(filters.fromDate) : 'Beginning'} – ${formatDate(filters.toDate)}`
+    : `As at ${formatDate(filters.toDate)}`
+
+  const handleExportCsv = async () => {
+    try {
+      await downloadFromApi(
+        `/accounting/reports/${report}`,
+        { ...getParams(), format: 'csv' },
+        `${report}-${filters.toDate}.csv`
+      )
+    } catch (error) {
+      console.error('Error exporting report:', error)
+    }
+  }
+
+  const handlePrint = () => {
+    if (!statementRef.current) return
+    const printed = printDocument(
+      `${reportLabel} ${filters.toDate}`,
+      `<h1>${reportLabel}</h1><div class="subtitle">${periodLabel}</div>${statementRef.current.innerHTML}`
+    )
+    if (!printed) {
+      toast.error('Please allow popups to export the PDF')
+    }
+  }
+
+  return (
+    <ModernLayout>
+      <div className="space-y-6">
+        <div className="flex flex-col sm:flex-row sm:justify-between sm:items-center gap-4">
+          <div className="flex items-center gap-3">
+            <Link to="/business/accounting" className="p-2 text-gray-500 hover:text-gray-700 hover:bg-gray-100 rounded-lg">
+              <ArrowLeftIcon className="h-5 w-5" />
+            </Link>
+            <div>
+              <h1 className="text-3xl font-bold text-brand-600">Financial Statements</h1>
+              <p className="text-gray-500 mt-1">Generated from your journal entries.</p>
+            </div>
+          </div>
+          <div className="flex gap-2">
+            <button
+              onClick={handleExportCsv}
+              disabled={!data}
+              className="inline-flex items-center px-4 py-2 border border-gray-300 rounded-lg text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+            >
+              <ArrowDownTrayIcon className="h-5 w-5 mr-2" />
+              CSV
+            </button>
+            <button
+              onClick={handlePrint}
+              disabled={!data}
+              className="inline-flex items-center px-4 py-2 border border-gray-300 rounded-lg text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+            >
+              <PrinterIcon className="h-5 w-5 mr-2" />
+              PDF
+            </button>
+          </div>
+        </div>
+
+        <Card>
+          <CardContent>
+            <div className="flex flex-wrap gap-2 mb-4">
+              {REPORTS.map(option => (
+                <button
+                  key={option.key}
+                  onClick={() => setReport(option.key)}
+                  className={`px-4 py-2 rounded-lg text-sm font-medium ${report === option.key
+                    ? 'bg-brand-600 text-white'
+                    : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                  }`}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  {report === 'profit-loss' ? 'From' : 'Period start (for comparison)'}
+                </label>
+                <input
+                  type="date"
+                  value={filters.fromDate}
+                  onChange={(e) => setFilters(prev => ({ ...prev, fromDate: e.target.value }))}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  {report === 'profit-loss' ? 'To' : 'As at'}
+                </label>
+                <input
+                  type="date"
+                  value={filters.toDate}
+                  onChange={(e) => setFilters(prev => ({ ...prev, toDate: e.target.value || today() }))}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Compare with</label>
+                <select
+                  value={filters.compareTo}
+                  onChange={(e) => setFilters(prev => ({ ...prev, compareTo: e.target.value }))}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md bg-white"
+                >
+                  <option value="">No comparison</option>
+                  <option value="PREVIOUS_PERIOD">Previous period</option>
+                  <option value="PREVIOUS_YEAR">Same period last year</option>
+                </select>
+              </div>
+            </div>
+          </CardContent>
+        </Card>
+
+        <Card>
+          <CardContent>
+            <div className="mb-4">
+              <h2 className="text-xl font-semibold text-gray-900">{reportLabel}</h2>
+              <p className="text-sm text-gray-500">{periodLabel}</p>
+            </div>
+            {loading ? (
+              <LoadingSpinner className="py-12" />
+            ) : !data ? (
+              <p className="text-gray-500 text-center py-8">Report could not be loaded</p>
+            ) : (
+              <div className="overflow-x-auto" ref={statementRef}>
+                {report === 'profit-loss' && <ProfitAndLoss data={data} />}
+                {report === 'balance-sheet' && <BalanceSheet data={data} />}
+                {report === 'trial-balance' && <TrialBalance data={data} />}
+              </div>
+            )}
+          </CardContent>
+        </Card>
+      </div>
+    </ModernLayout>
+  )
+}
+
+export default FinancialStatementsPage
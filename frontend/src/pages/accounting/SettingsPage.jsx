@@ -5,6 +5,7 @@ import ModernLayout from '../../components/ModernLayout'
 import AccountsTab from '../../components/accounting/AccountsTab'
 import InvestorsTab from '../../components/accounting/InvestorsTab'
 import LogisticsTab from '../../components/accounting/LogisticsTab'
+import PeriodClosingTab from '../../components/accounting/PeriodClosingTab'
 
 function AccountingSettingsPage() {
   const navigate = useNavigate()
@@ -60,6 +61,16 @@ function AccountingSettingsPage() {
             >
               Logistics Companies
             </button>
+            <button
+              onClick={() => setActiveTab('periods')}
+              className={`py-4 px-1 border-b-2 font-medium text-sm whitespace-nowrap min-h-[44px] ${
+                activeTab === 'periods'
+                  ? 'border-brand-500 text-brand-600'
+                  : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+              }`}
+            >
+              Period Closing
+            </button>
           </nav>
         </div>
 
@@ -67,6 +78,7 @@ function AccountingSettingsPage() {
         {activeTab === 'accounts' && <AccountsTab />}
         {activeTab === 'investors' && <InvestorsTab />}
         {activeTab === 'logistics' && <LogisticsTab />}
+        {activeTab === 'periods' && <PeriodClosingTab />}
       </div>
     </ModernLayout>
   )
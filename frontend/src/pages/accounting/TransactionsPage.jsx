@@ -1,17 +1,29 @@
 import { useState, useEffect } from 'react'
 import { useNavigate } from 'react-router-dom'
-import { ArrowLeftIcon } from '@heroicons/react/24/outline'
+import { ArrowLeftIcon, PlusIcon } from '@heroicons/react/24/outline'
 import api from '../../services/api'
 import { useTenant } from '../../hooks/useTenant'
+import { useAuth } from '../../contexts/AuthContext'
 import { toast } from 'react-hot-toast'
 import ModernLayout from '../../components/ModernLayout'
 import LoadingSpinner from '../../components/LoadingSpinner'
 import { Card, CardContent } from '../../components/ui/Card'
+import JournalEntryModal from '../../components/accounting/JournalEntryModal'
+
+const ENTRY_TYPE_LABELS = {
+  MANUAL: { label: 'Manual', className: 'bg-blue-100 text-blue-800' },
+  REVERSAL: { label: 'Reversal', className: 'bg-purple-100 text-purple-800' },
+  ADJUSTMENT: { label: 'Adjustment', className: 'bg-yellow-100 text-yellow-800' },
+  CLOSING: { label: 'Closing', className: 'bg-gray-800 text-white' }
+}
 
 function TransactionsPage() {
   const navigate = useNavigate()
   const { tenant } = useTenant()
+  const { hasPermission } = useAuth()
+  const canEdit = hasPermission('accounting:edit')
   const [loading, setLoading] = useState(true)
+  const [showJournalModal, setShowJournalModal] = useState(false)
   const [transactions, setTransactions] = useState([])
   const [pagination, setPagination] = useState({ page: 1, limit: 20, total: 0 })
   const [filters, setFilters] = useState({
@@ -61,6 +73,47 @@ function TransactionsPage() {
     setPagination(prev => ({ ...prev, page: 1 }))
   }
 
+  const handleReverse = async (transaction) => {
+    if (!window.confirm(`Post a reversal of ${transaction.transactionNumber} dated today? Debits and credits will be swapped.`)) {
+      return
+    }
+
+    try {
+      const response = await api.post(`/accounting/transactions/${transaction.id}/reverse`)
+      if (response.data?.success) {
+        toast.success(response.data.message)
+        fetchTransactions()
+      }
+    } catch (error) {
+      console.error('Error reversing transaction:', error)
+    }
+  }
+
+  const handleVoid = async (transaction) => {
+    const reason = window.prompt(`Void ${transaction.transactionNumber}? It stays on the journal but no longer counts towards balances. Reason:`)
+    if (reason === null) return
+    if (!reason.trim()) {
+      toast.error('A reason is required to void a transaction')
+      return
+    }
+
+    try {
+      const response = await api.post(`/accounting/transactions/${transaction.id}/void`, { reason })
+      if (response.data?.success) {
+        toast.success(response.data.message)
+        fetchTransactions()
+      }
+    } catch (error) {
+      console.error('Error voiding transaction:', error)
+    }
+  }
+
+  const canCorrect = (transaction) =>
+    canEdit &&
+    transaction.status !== 'VOID' &&
+    transaction.entryType !== 'CLOSING' &&
+    !(transaction.reversal && transaction.reversal.status !== 'VOID')
+
   if (loading && transactions.length === 0) {
     return (
       <ModernLayout>
@@ -73,17 +126,28 @@ function TransactionsPage() {
     <ModernLayout>
       <div className="space-y-6">
         {/* Header */}
-        <div className="flex items-center gap-4">
-          <button
-            onClick={() => navigate('/business/accounting')}
-            className="p-2 text-gray-500 hover:text-gray-900 hover:bg-gray-100 rounded-lg transition-colors"
-          >
-            <ArrowLeftIcon className="h-6 w-6" />
-          </button>
-          <div>
-            <h1 className="text-3xl font-bold text-brand-600">Journal Entries</h1>
-            <p className="text-gray-500 mt-1">View all accounting transactions and journal entries.</p>
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+          <div className="flex items-center gap-4">
+            <button
+              onClick={() => navigate('/business/accounting')}
+              className="p-2 text-gray-500 hover:text-gray-900 hover:bg-gray-100 rounded-lg transition-colors"
+            >
+              <ArrowLeftIcon className="h-6 w-6" />
+            </button>
+            <div>
+              <h1 className="text-3xl font-bold text-brand-600">Journal Entries</h1>
+              <p className="text-gray-500 mt-1">View all accounting transactions and journal entries.</p>
+            </div>
           </div>
+          {canEdit && (
+            <button
+              onClick={() => setShowJournalModal(true)}
+              className="inline-flex items-center justify-center px-4 py-2 bg-brand-600 text-white rounded-lg font-medium hover:bg-brand-700 min-h-[44px]"
+            >
+              <PlusIcon className="h-5 w-5 mr-2" />
+              New Journal Entry
+            </button>
+          )}
         </div>
 
         {/* Filters */}
@@ -160,19 +224,25 @@ function TransactionsPage() {
                 <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
                   Credit
                 </th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Actions
+                </th>
               </tr>
             </thead>
             <tbody className="bg-white divide-y divide-gray-200">
               {transactions.length === 0 ? (
                 <tr>
-                  <td colSpan="6" className="px-4 py-8 text-center text-gray-500">
+                  <td colSpan="7" className="px-4 py-8 text-center text-gray-500">
                     No transactions found
                   </td>
                 </tr>
               ) : (
                 transactions.map((transaction) => 
                   transaction.transactionLines?.map((line, lineIndex) => (
-                    <tr key={`${transaction.id}-${lineIndex}`} className="hover:bg-gray-50">
+                    <tr
+                      key={`${transaction.id}-${lineIndex}`}
+                      className={`hover:bg-gray-50 ${transaction.status === 'VOID' ? 'bg-gray-50 opacity-60' : ''}`}
+                    >
                       {lineIndex === 0 && (
                         <>
                           <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-900" rowSpan={transaction.transactionLines.length}>
@@ -182,19 +252,56 @@ function TransactionsPage() {
                             {transaction.transactionNumber}
                           </td>
                           <td className="px-4 py-3 text-sm text-gray-900" rowSpan={transaction.transactionLines.length}>
-                            {transaction.description || 'N/A'}
+                            <div>{transaction.description || 'N/A'}</div>
+                            <div className="flex flex-wrap gap-1 mt-1">
+                              {ENTRY_TYPE_LABELS[transaction.entryType] && (
+                                <span className={`px-2 py-0.5 rounded text-xs font-medium ${ENTRY_TYPE_LABELS[transaction.entryType].className}`}>
+                                  {ENTRY_TYPE_LABELS[transaction.entryType].label}
+                                </span>
+                              )}
+                              {transaction.status === 'VOID' && (
+                                <span
+                                  className="px-2 py-0.5 rounded text-xs font-medium bg-red-100 text-red-800"
+                                  title={transaction.voidReason || ''}
+                                >
+                                  Void{transaction.voidedBy ? ` by ${transaction.voidedBy}` : ''}
+                                </span>
+                              )}
+                              {transaction.reversalOf && (
+                                <span className="text-xs text-gray-500">Reverses {transaction.reversalOf.transactionNumber}</span>
+                              )}
+                              {transaction.reversal && transaction.reversal.status !== 'VOID' && (
+                                <span className="text-xs text-gray-500">Reversed by {transaction.reversal.transactionNumber}</span>
+                              )}
+                            </div>
                           </td>
                         </>
                       )}
                       <td className="px-4 py-3 text-sm text-gray-900">
                         {line.account?.name || 'N/A'}
                       </td>
-                      <td className="px-4 py-3 text-sm text-right text-gray-900">
+                      <td className={`px-4 py-3 text-sm text-right text-gray-900 ${transaction.status === 'VOID' ? 'line-through' : ''}`}>
                         {line.debitAmount > 0 ? `Rs. ${line.debitAmount.toLocaleString()}` : '-'}
                       </td>
-                      <td className="px-4 py-3 text-sm text-right text-gray-900">
+                      <td className={`px-4 py-3 text-sm text-right text-gray-900 ${transaction.status === 'VOID' ? 'line-through' : ''}`}>
                         {line.creditAmount > 0 ? `Rs. ${line.creditAmount.toLocaleString()}` : '-'}
                       </td>
+                      {lineIndex === 0 && (
+                        <td className="px-4 py-3 text-sm text-right whitespace-nowrap" rowSpan={transaction.transactionLines.length}>
+                          {canCorrect(transaction) && (
+                            <div className="flex flex-col items-end gap-1">
+                              {!transaction.reversalOf && (
+                                <button onClick={() => handleReverse(transaction)} className="text-brand-600 hover:text-brand-700">
+                                  Reverse
+                                </button>
+                              )}
+                              <button onClick={() => handleVoid(transaction)} className="text-red-600 hover:text-red-700">
+                                Void
+                              </button>
+                            </div>
+                          )}
+                        </td>
+                      )}
                     </tr>
                   ))
                 )
@@ -232,6 +339,16 @@ function TransactionsPage() {
           </CardContent>
         </Card>
       </div>
+
+      {showJournalModal && (
+        <JournalEntryModal
+          onClose={() => setShowJournalModal(false)}
+          onSaved={() => {
+            setShowJournalModal(false)
+            fetchTransactions()
+          }}
+        />
+      )}
     </ModernLayout>
   )
 }
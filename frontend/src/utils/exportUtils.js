@@ -0,0 +1,106 @@
+import api from '../services/api'
+
+/**
+ * Download a file served by the API (CSV exports etc.)
+ * @param {string} url - API path
+ * @param {Object} params - Query params
+ * @param {string} filename - Name for the saved file
+ */
+export async function downloadFromApi(url, params, filename) {
+  const response = await api.get(url, { params, responseType: 'blob' })
+  const blobUrl = window.URL.createObjectURL(response.data)
+  const link = document.createElement('a')
+  link.href = blobUrl
+  link.download = filename
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+  window.URL.revokeObjectURL(blobUrl)
+}
+
+/**
+ * Open a PDF generated by the API in a new tab (downloaded instead when popups are blocked)
+ * @param {string} url - API path
+ * @param {Object} data - POST body; the PDF is fetched with GET when omitted
+ * @param {string} filename - Name used if the file has to be downloaded
+ */
+export async function openPdfFromApi(url, data, filename) {
+  // Open the tab before the request so the browser treats it as user-initiated
+  const pdfWindow = window.open('', '_blank')
+  let response
+  try {
+    response = data
+      ? await api.post(url, data, { responseType: 'blob' })
+      : await api.get(url, { responseType: 'blob' })
+  } catch (error) {
+    if (pdfWindow) pdfWindow.close()
+    throw error
+  }
+  const blobUrl = window.URL.createObjectURL(new Blob([response.data], { type: 'application/pdf' }))
+
+  if (pdfWindow) {
+    pdfWindow.location.href = blobUrl
+  } else {
+    const link = document.createElement('a')
+    link.href = blobUrl
+    link.download = filename
+    document.body.appendChild(link)
+    link.click()
+    link.remove()
+  }
+  setTimeout(() => window.URL.revokeObjectURL(blobUrl), 60000)
+}
+
+/**
+ * Error message from a failed openPdfFromApi call (the error body arrives as a blob)
+ * @param {Error} error - Axios error
+ * @param {string} fallback - Message used when the body is not JSON
+ */
+export async function getPdfErrorMessage(error, fallback) {
+  try {
+    return JSON.parse(await error.response.data.text()).error || fallback
+  } catch (e) {
+    return fallback
+  }
+}
+
+const PRINT_STYLES = `
+  * { box-sizing: border-box; }
+  body { font-family: Arial, sans-serif; color: #111827; margin: 24px; font-size: 12px; }
+  h1 { font-size: 20px; margin: 0 0 4px; }
+  h2 { font-size: 14px; margin: 20px 0 8px; }
+  .subtitle { color: #6b7280; margin-bottom: 16px; }
+  table { width: 100%; border-collapse: collapse; margin-bottom: 12px; }
+  th, td { padding: 6px 8px; border-bottom: 1px solid #e5e7eb; text-align: left; }
+  th { background: #f9fafb; font-size: 11px; text-transform: uppercase; color: #6b7280; }
+  .text-right { text-align: right; }
+  .font-semibold, .font-bold { font-weight: 700; }
+  button, .no-print { display: none !important; }
+  @page { margin: 12mm; }
+`
+
+/**
+ * Open markup in a new window and bring up the print dialog ("Save as PDF" in every browser)
+ * @param {string} title - Document title (also the default PDF file name)
+ * @param {string} bodyHtml - Markup to print
+ * @param {string} extraStyles - CSS added after the default print styles
+ * @returns {boolean} false when the popup was blocked
+ */
+export function printDocument(title, bodyHtml, extraStyles = '') {
+  const printWindow = window.open('', '_blank')
+  if (!printWindow) return false
+
+  printWindow.document.write(`<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8" />
+  <title>${title}</title>
+  <style>${PRINT_STYLES}${extraStyles}</style>
+</head>
+<body>${bodyHtml}</body>
+</html>`)
+  printWindow.document.close()
+  printWindow.focus()
+  setTimeout(() => printWindow.print(), 300)
+  return true
+}
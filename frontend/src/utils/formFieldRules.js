@@ -0,0 +1,132 @@
+// Mirrors backend/utils/formFieldRules.js - the server re-checks every answer on submit
+
+import { pakistanCities } from '../data/pakistanCities'
+
+export const CONDITION_OPERATORS = [
+  { value: 'EQUALS', label: 'is' },
+  { value: 'NOT_EQUALS', label: 'is not' },
+  { value: 'CONTAINS', label: 'contains' },
+  { value: 'IS_FILLED', label: 'is answered' },
+  { value: 'IS_EMPTY', label: 'is not answered' }
+]
+
+export const OPTION_FIELD_TYPES = ['DROPDOWN', 'RADIO', 'CHECKBOX']
+
+const NUMERIC_FIELD_TYPES = ['NUMBER', 'AMOUNT']
+const LENGTH_FIELD_TYPES = ['TEXT', 'TEXTAREA', 'ADDRESS']
+export const PATTERN_FIELD_TYPES = ['TEXT', 'TEXTAREA', 'ADDRESS', 'PHONE', 'EMAIL', 'CITY']
+
+// Which min/max inputs the form builder offers for a field type
+export const getRangeKind = (fieldType) => {
+  if (fieldType === 'DATE') return 'date'
+  if (NUMERIC_FIELD_TYPES.includes(fieldType)) return 'number'
+  if (LENGTH_FIELD_TYPES.includes(fieldType)) return 'length'
+  return null
+}
+
+export const parseFieldJSON = (value) => {
+  if (!value) return null
+  if (typeof value !== 'string') return value
+  try {
+    return JSON.parse(value)
+  } catch (error) {
+    return null
+  }
+}
+
+export const getFieldOptions = (field) => {
+  const options = parseFieldJSON(field.options)
+  return Array.isArray(options) ? options.map(option => String(option)) : []
+}
+
+const isEmptyValue = (value) => {
+  if (value === undefined || value === null || value === false) return true
+  if (Array.isArray(value)) return value.length === 0
+  return String(value).trim() === ''
+}
+
+const toAnswerList = (value) => {
+  if (isEmptyValue(value)) return []
+  const values = Array.isArray(value) ? value : [value]
+  return values.map(entry => String(entry).trim().toLowerCase())
+}
+
+/**
+ * Whether a field should be shown for the current answers (keyed by field label)
+ */
+export const isFieldShown = (field, values, fields, seen = new Set()) => {
+  const condition = parseFieldJSON(field.showIf)
+  if (!condition || !condition.field) return true
+
+  const source = fields.find(entry => entry.label === condition.field)
+  if (!source || seen.has(source.label)) return true
+  seen.add(field.label)
+  if (!isFieldShown(source, values, fields, seen)) return false
+
+  const answers = toAnswerList(values?.[condition.field])
+  const target = String(condition.value ?? '').trim().toLowerCase()
+
+  switch (condition.operator) {
+    case 'EQUALS':
+      return answers.includes(target)
+    case 'NOT_EQUALS':
+      return !answers.includes(target)
+    case 'CONTAINS':
+      return answers.some(answer => answer.includes(target))
+    case 'IS_FILLED':
+      return answers.length > 0
+    case 'IS_EMPTY':
+      return answers.length === 0
+    default:
+      return true
+  }
+}
+
+/**
+ * react-hook-form rules for a field's validation settings
+ */
+export const getValidationRules = (field) => {
+  const rules = parseFieldJSON(field.validation) || {}
+  const hasMin = rules.min !== undefined && rules.min !== null && rules.min !== ''
+  const hasMax = rules.max !== undefined && rules.max !== null && rules.max !== ''
+  const kind = getRangeKind(field.fieldType)
+  const result = {
+    required: field.isRequired ? `${field.label} is required` : false
+  }
+
+  if (kind === 'number') {
+    if (hasMin) result.min = { value: Number(rules.min), message: `${field.label} must be at least ${rules.min}` }
+    if (hasMax) result.max = { value: Number(rules.max), message: `${field.label} must be at most ${rules.max}` }
+  } else if (kind === 'length') {
+    if (hasMin) result.minLength = { value: Number(rules.min), message: `${field.label} must be at least ${rules.min} characters` }
+    if (hasMax) result.maxLength = { value: Number(rules.max), message: `${field.label} must be at most ${rules.max} characters` }
+  } else if (kind === 'date') {
+    result.validate = (value) => {
+      if (!value) return true
+      if (hasMin && value < rules.min) return `${field.label} must be on or after ${rules.min}`
+      if (hasMax && value > rules.max) return `${field.label} must be on or before ${rules.max}`
+      return true
+    }
+  }
+
+  if (field.fieldType === 'CITY') {
+    result.validate = (value) => {
+      if (!value) return true
+      const city = String(value).trim().toLowerCase()
+      return pakistanCities.some(entry => entry.toLowerCase() === city) || `${field.label} must be a city from the list`
+    }
+  }
+
+  if (rules.pattern && PATTERN_FIELD_TYPES.includes(field.fieldType)) {
+    try {
+      result.pattern = {
+        value: new RegExp(rules.pattern),
+        message: rules.message || `${field.label} is not in the expected format`
+      }
+    } catch (error) {
+      // Invalid patterns are rejected when the form is saved
+    }
+  }
+
+  return result
+}
@@ -0,0 +1,115 @@
+import JsBarcode from 'jsbarcode'
+import QRCode from 'qrcode'
+import { printDocument } from './exportUtils'
+
+export const LABEL_FORMATS = [
+  { value: 'CODE128', label: 'Barcode (Code128)' },
+  { value: 'QR', label: 'QR code' }
+]
+
+// Sizes match common sticker sheets and thermal rolls
+export const LABEL_LAYOUTS = {
+  A4_24: { label: 'A4 sheet, 24 labels (70 × 37 mm)', columns: 3, width: 70, height: 37, page: 'A4', margin: '8mm 0' },
+  A4_40: { label: 'A4 sheet, 40 labels (48.5 × 25.4 mm)', columns: 4, width: 48.5, height: 25.4, page: 'A4', margin: '21mm 8mm' },
+  ROLL_50: { label: 'Label printer roll (50 × 25 mm)', columns: 1, width: 50, height: 25, page: '50mm 25mm', margin: '0' }
+}
+
+/**
+ * Code printed on a label: the SKU when set, otherwise the record ID (matches the scan check on the server)
+ * @param {Object} record - Product or variant
+ * @returns {string}
+ */
+export const getLabelCode = (record) => (record.sku || '').trim() || record.id
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+
+const renderBarcode = (code, layout) => {
+  const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg')
+  JsBarcode(svg, code, {
+    format: 'CODE128',
+    height: layout.height > 30 ? 40 : 28,
+    width: code.length > 16 ? 1 : 1.5,
+    margin: 0,
+    fontSize: 10,
+    displayValue: true
+  })
+  return svg.outerHTML
+}
+
+/**
+ * One label per product, or per variant for products with variants
+ * @param {Array} products - Products as listed on the products page
+ * @returns {Array} [{ key, name, detail, code, price, stock }]
+ */
+export function buildLabelRows(products) {
+  return products.flatMap(product => {
+    const activeVariants = (product.variants || []).filter(variant => variant.isActive !== false)
+    if (product.hasVariants && activeVariants.length > 0) {
+      return activeVariants.map(variant => ({
+        key: `${product.id}_${variant.id}`,
+        name: product.name,
+        detail: [variant.color, variant.size].filter(Boolean).join(' / '),
+        code: getLabelCode(variant),
+        price: product.currentRetailPrice,
+        stock: variant.currentQuantity || 0
+      }))
+    }
+    return [{
+      key: product.id,
+      name: product.name,
+      detail: product.category || '',
+      code: getLabelCode(product),
+      price: product.currentRetailPrice,
+      stock: product.currentQuantity || 0
+    }]
+  })
+}
+
+/**
+ * Render the labels and open the print dialog
+ * @param {Array} rows - [{ name, detail, code, price, quantity }]
+ * @param {Object} options - { format, layout, showPrice, businessName }
+ * @returns {Promise<boolean>} false when the popup was blocked
+ */
+export async function printLabelSheet(rows, { format = 'CODE128', layout: layoutKey = 'A4_24', showPrice = true, businessName = '' } = {}) {
+  const layout = LABEL_LAYOUTS[layoutKey] || LABEL_LAYOUTS.A4_24
+  const labels = []
+
+  for (const row of rows) {
+    const graphic = format === 'QR'
+      ? await QRCode.toString(row.code, { type: 'svg', margin: 0, errorCorrectionLevel: 'M' })
+      : renderBarcode(row.code, layout)
+    const html = `
+      <div class="label ${format === 'QR' ? 'label-qr' : ''}">
+        <div class="code">${graphic}</div>
+        <div class="text">
+          ${businessName ? `<div class="business">${escapeHtml(businessName)}</div>` : ''}
+          <div class="name">${escapeHtml(row.name)}</div>
+          ${row.detail ? `<div class="detail">${escapeHtml(row.detail)}</div>` : ''}
+          ${showPrice && row.price ? `<div class="price">Rs. ${Number(row.price).toLocaleString()}</div>` : ''}
+          ${format === 'QR' ? `<div class="detail">${escapeHtml(row.code)}</div>` : ''}
+        </div>
+      </div>`
+    for (let i = 0; i < row.quantity; i++) labels.push(html)
+  }
+
+  const styles = `
+    body { margin: 0; }
+    @page { size: ${layout.page}; margin: ${layout.margin}; }
+    .sheet { display: grid; grid-template-columns: repeat(${layout.columns}, ${layout.width}mm); justify-content: center; }
+    .label { width: ${layout.width}mm; height: ${layout.height}mm; padding: 2mm; overflow: hidden; display: flex; flex-direction: column; align-items: center; justify-content: center; text-align: center; page-break-inside: avoid; }
+    .label-qr { flex-direction: row; gap: 2mm; text-align: left; }
+    .label .code svg { max-width: 100%; height: auto; max-height: ${layout.height - 12}mm; }
+    .label-qr .code svg { width: ${layout.height - 6}mm; height: ${layout.height - 6}mm; max-height: none; }
+    .label .text { line-height: 1.2; min-width: 0; }
+    .business { font-size: 7px; color: #6b7280; text-transform: uppercase; }
+    .name { font-size: 9px; font-weight: 700; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; max-width: ${layout.width - 4}mm; }
+    .detail { font-size: 8px; }
+    .price { font-size: 9px; font-weight: 700; }
+  `
+  return printDocument('Product Labels', `<div class="sheet">${labels.join('')}</div>`, styles)
+}
@@ -0,0 +1,39 @@
+// Mirrors backend/utils/orderStatus.js
+
+export const ORDER_STATUS_LABELS = {
+  PENDING: 'Pending',
+  CONFIRMED: 'Confirmed',
+  DISPATCHED: 'Dispatched',
+  IN_TRANSIT: 'In Transit',
+  DELIVERED: 'Delivered',
+  FAILED_DELIVERY: 'Failed Delivery',
+  RETURNED_TO_ORIGIN: 'Returned to Origin',
+  COMPLETED: 'Completed',
+  CANCELLED: 'Cancelled'
+}
+
+export const ORDER_STATUS_STYLES = {
+  PENDING: 'bg-yellow-100 text-yellow-800',
+  CONFIRMED: 'bg-green-100 text-green-800',
+  DISPATCHED: 'bg-blue-100 text-blue-800',
+  IN_TRANSIT: 'bg-sky-100 text-sky-800',
+  DELIVERED: 'bg-teal-100 text-teal-800',
+  FAILED_DELIVERY: 'bg-orange-100 text-orange-800',
+  RETURNED_TO_ORIGIN: 'bg-rose-100 text-rose-800',
+  CANCELLED: 'bg-red-100 text-red-800',
+  COMPLETED: 'bg-purple-100 text-purple-800'
+}
+
+// Stock deducted and revenue booked (RTO reverses both)
+export const CONFIRMED_ORDER_STATUSES = ['CONFIRMED', 'DISPATCHED', 'IN_TRANSIT', 'DELIVERED', 'FAILED_DELIVERY', 'COMPLETED']
+
+// Handed over to a logistics company
+export const SHIPPED_ORDER_STATUSES = ['DISPATCHED', 'IN_TRANSIT', 'DELIVERED', 'FAILED_DELIVERY', 'RETURNED_TO_ORIGIN', 'COMPLETED']
+
+// Next delivery statuses offered on the order page (set through PUT /order/:id/status)
+export const DELIVERY_STATUS_TRANSITIONS = {
+  DISPATCHED: ['IN_TRANSIT', 'DELIVERED', 'FAILED_DELIVERY', 'RETURNED_TO_ORIGIN', 'COMPLETED'],
+  IN_TRANSIT: ['DELIVERED', 'FAILED_DELIVERY', 'RETURNED_TO_ORIGIN'],
+  FAILED_DELIVERY: ['IN_TRANSIT', 'DELIVERED', 'RETURNED_TO_ORIGIN'],
+  DELIVERED: ['COMPLETED']
+}